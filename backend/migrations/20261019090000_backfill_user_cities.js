@@ -0,0 +1,22 @@
+/**
+ * Backfill User.city for region-scoped staff access
+ *
+ * Regional staff only see users whose city is one of theirs. Users created
+ * before the field existed get the staff-assigned city their recent trips
+ * and bookings mention most often. Users with no matching history keep no
+ * city until their next booking or trip sets one.
+ */
+
+const { backfillUserCities } = require('../src/services/accessScopeService');
+
+module.exports = {
+  async up() {
+    const { scanned, updated } = await backfillUserCities();
+    console.log(`Set city on ${updated} of ${scanned} users without one`);
+  },
+
+  async down() {
+    // Cities are user-editable profile data; a backfilled value cannot be
+    // told apart from one the user set, so rollback leaves them in place
+  }
+};
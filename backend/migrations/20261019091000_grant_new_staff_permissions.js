@@ -0,0 +1,80 @@
+/**
+ * Grant existing staff the permissions added for coupons, trip chat, fee
+ * schedules, report schedules, SOS evidence, payment disputes and the ledger
+ *
+ * Staff accounts store their permissions when created, and checkPermission
+ * uses that list whenever it is non-empty, so accounts created before these
+ * permissions existed would be refused on the new routes. Accounts with an
+ * empty list already fall back to their role and are left alone.
+ */
+
+// Permissions added to each role's defaults in permissionService.ROLE_PERMISSIONS
+const ADDED_PERMISSIONS = {
+  operations: ['chat:read', 'sos:export'],
+  customer_support: ['chat:read'],
+  finance: [
+    'reports:write',
+    'coupons:read',
+    'coupons:write',
+    'pricing:read',
+    'pricing:write',
+    'disputes:read',
+    'disputes:write',
+    'ledger:read'
+  ],
+  admin: [
+    'chat:read',
+    'sos:export',
+    'reports:write',
+    'coupons:read',
+    'coupons:write',
+    'pricing:read',
+    'pricing:write',
+    'disputes:read',
+    'disputes:write',
+    'ledger:read'
+  ],
+  super_admin: [
+    'chat:read',
+    'sos:export',
+    'reports:write',
+    'coupons:read',
+    'coupons:write',
+    'pricing:read',
+    'pricing:write',
+    'disputes:read',
+    'disputes:write',
+    'ledger:read'
+  ]
+};
+
+const staffWithStoredPermissions = (role) => ({
+  isStaff: true,
+  role,
+  'permissions.0': { $exists: true }
+});
+
+module.exports = {
+  async up(mongoose) {
+    const users = mongoose.connection.collection('users');
+
+    for (const [role, permissions] of Object.entries(ADDED_PERMISSIONS)) {
+      const result = await users.updateMany(
+        staffWithStoredPermissions(role),
+        { $addToSet: { permissions: { $each: permissions } } }
+      );
+      console.log(`Granted ${permissions.length} permission(s) to ${result.modifiedCount} ${role} account(s)`);
+    }
+  },
+
+  async down(mongoose) {
+    const users = mongoose.connection.collection('users');
+
+    for (const [role, permissions] of Object.entries(ADDED_PERMISSIONS)) {
+      await users.updateMany(
+        staffWithStoredPermissions(role),
+        { $pullAll: { permissions } }
+      );
+    }
+  }
+};
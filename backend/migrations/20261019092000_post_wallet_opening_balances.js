@@ -0,0 +1,25 @@
+/**
+ * Post opening ledger balances for existing wallets
+ *
+ * Wallet counters were funded before the ledger went live, so without an
+ * opening entry every wallet holding money shows up as a reconciliation
+ * mismatch. Each wallet bucket gets one entry against opening_balance_equity
+ * for the difference between its counter and its ledger balance. Entries
+ * are keyed by wallet account, so re-running posts nothing new.
+ *
+ * Run while wallet traffic is paused: a credit or debit landing between the
+ * counter and ledger reads would be counted twice.
+ */
+
+const { postWalletOpeningBalances } = require('../src/services/ledgerService');
+
+module.exports = {
+  async up() {
+    const { scanned, posted } = await postWalletOpeningBalances();
+    console.log(`Posted ${posted} opening balance(s) across ${scanned} wallets`);
+  },
+
+  async down(mongoose) {
+    await mongoose.connection.collection('ledgerentries').deleteMany({ type: 'opening_balance' });
+  }
+};
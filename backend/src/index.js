@@ -213,8 +213,10 @@ app.use('/api/super-admin', require('./routes/superAdmin'));
 app.use('/api/sos', criticalLimiter, require('./routes/sos')); // Critical: 300 req/min
 app.use('/api/driver', require('./routes/driver'));
 app.use('/api/trips', require('./routes/trips'));
+app.use('/api/trip-templates', require('./routes/tripTemplates')); // Recurring trip templates
 app.use('/api/search', require('./routes/search'));
 app.use('/api/bookings', require('./routes/bookings'));
+app.use('/api/chat', require('./routes/chat')); // Passenger-driver trip chat
 app.use('/api/payments', require('./routes/payments'));
 app.use('/api/webhooks', require('./routes/webhooks')); // Cashfree webhooks (no rate limiting)
 app.use('/api/subscriptions', require('./routes/subscriptions')); // Subscription management
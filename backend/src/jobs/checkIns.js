@@ -0,0 +1,45 @@
+/**
+ * Check-ins Cron Job
+ * Sends overdue passengers' emergency contacts the live tracking link and
+ * alerts support when they still have not arrived
+ */
+
+const cron = require('node-cron');
+const { processOverdueCheckIns } = require('../services/checkInService');
+
+/**
+ * Main cron job function
+ */
+const runCheckInsCheck = async () => {
+  try {
+    const results = await processOverdueCheckIns();
+
+    if (results.contactsNotified > 0 || results.supportAlerted > 0 || results.failed > 0) {
+      console.log(
+        `[CheckIns] Notified contacts for ${results.contactsNotified} bookings, ` +
+        `alerted support for ${results.supportAlerted}, ${results.failed} failed`
+      );
+    }
+  } catch (error) {
+    console.error('[CheckIns] Failed to run check-ins check:', error);
+  }
+};
+
+/**
+ * Schedule the cron job to run every minute
+ * Grace windows are minutes long, so overdue check-ins have to be picked up promptly
+ */
+const scheduleCheckInsJob = () => {
+  const job = cron.schedule('* * * * *', runCheckInsCheck, {
+    scheduled: false,
+    timezone: 'Asia/Kolkata'
+  });
+
+  console.log('[CheckIns] Check-ins cron job scheduled (every minute)');
+  return job;
+};
+
+module.exports = {
+  runCheckInsCheck,
+  scheduleCheckInsJob
+};
@@ -0,0 +1,41 @@
+/**
+ * Dispute Deadlines Cron Job
+ * Alerts finance about open payment disputes nearing their respond-by deadline
+ */
+
+const cron = require('node-cron');
+const { processDisputeDeadlines } = require('../services/disputeService');
+
+/**
+ * Main cron job function
+ */
+const runDisputeDeadlinesCheck = async () => {
+  try {
+    const results = await processDisputeDeadlines();
+
+    if (results.alerted > 0 || results.failed > 0) {
+      console.log(`[DisputeDeadlines] Alerted finance about ${results.alerted} disputes, ${results.failed} failed`);
+    }
+  } catch (error) {
+    console.error('[DisputeDeadlines] Failed to run dispute deadlines check:', error);
+  }
+};
+
+/**
+ * Schedule the cron job to run hourly at :15
+ * Deadlines are days out, so an hourly check leaves ample time to respond
+ */
+const scheduleDisputeDeadlinesJob = () => {
+  const job = cron.schedule('15 * * * *', runDisputeDeadlinesCheck, {
+    scheduled: false,
+    timezone: 'Asia/Kolkata'
+  });
+
+  console.log('[DisputeDeadlines] Dispute deadlines cron job scheduled (hourly at :15)');
+  return job;
+};
+
+module.exports = {
+  runDisputeDeadlinesCheck,
+  scheduleDisputeDeadlinesJob
+};
@@ -0,0 +1,46 @@
+/**
+ * Driver Payouts Cron Job
+ * Pays drivers on daily and weekly payout cycles, releases cleared holds and
+ * settles pending bank transfers
+ */
+
+const cron = require('node-cron');
+const { runScheduledPayouts } = require('../services/payoutService');
+
+/**
+ * Main cron job function
+ */
+const runDriverPayouts = async () => {
+  console.log('[DriverPayouts] Running scheduled driver payouts...');
+
+  try {
+    const results = await runScheduledPayouts();
+
+    console.log(`[DriverPayouts] Checked ${results.processed} drivers, paid ${results.paid}, skipped ${results.skipped}; settled ${results.reconciled.completed} pending transfers`);
+
+    if (results.errors.length > 0) {
+      console.error(`[DriverPayouts] ${results.errors.length} payouts had errors:`, results.errors);
+    }
+  } catch (error) {
+    console.error('[DriverPayouts] Failed to run driver payouts:', error);
+  }
+};
+
+/**
+ * Schedule the cron job to run daily at PAYOUT_HOUR_IST (10 AM IST)
+ * Weekly-cycle drivers are paid on the first run of each week
+ */
+const scheduleDriverPayoutsJob = () => {
+  const job = cron.schedule('0 10 * * *', runDriverPayouts, {
+    scheduled: false,
+    timezone: 'Asia/Kolkata'
+  });
+
+  console.log('[DriverPayouts] Driver payouts cron job scheduled (daily at 10:00 IST)');
+  return job;
+};
+
+module.exports = {
+  runDriverPayouts,
+  scheduleDriverPayoutsJob
+};
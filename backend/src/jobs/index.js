@@ -6,19 +6,40 @@
  * - Subscription expiry check (daily at 2:00 AM)
  * - Cashback expiry check (daily at 3:00 AM)
  * - Monthly benefits reset (daily at 4:00 AM)
+ * - Recurring trip materialization (daily at 1:00 AM)
+ * - Waitlist offer expiry (every minute)
+ * - Scheduled financial report emails (hourly)
+ * - Driver payouts for daily and weekly cycles (daily at 10:00 AM)
+ * - Overdue trusted-contact check-ins (every minute)
+ * - Payment dispute response deadlines (hourly)
+ * - Ledger trial balance and wallet reconciliation (daily at 00:30 AM)
  */
 
 const { scheduleSubscriptionExpiryJob } = require('./subscriptionExpiry');
 const { scheduleCashbackExpiryJob } = require('./cashbackExpiry');
 const { scheduleBenefitsResetJob } = require('./benefitsReset');
 const { scheduleWalletExpiryJob } = require('./walletExpiry');
+const { scheduleRecurringTripsJob } = require('./recurringTrips');
+const { scheduleWaitlistOffersJob } = require('./waitlistOffers');
+const { scheduleScheduledReportsJob } = require('./scheduledReports');
+const { scheduleDriverPayoutsJob } = require('./driverPayouts');
+const { scheduleCheckInsJob } = require('./checkIns');
+const { scheduleDisputeDeadlinesJob } = require('./disputeDeadlines');
+const { scheduleTrialBalanceJob } = require('./trialBalance');
 
 // Store job instances
 let jobs = {
   subscriptionExpiry: null,
   cashbackExpiry: null,
   benefitsReset: null,
-  walletExpiry: null
+  walletExpiry: null,
+  recurringTrips: null,
+  waitlistOffers: null,
+  scheduledReports: null,
+  driverPayouts: null,
+  checkIns: null,
+  disputeDeadlines: null,
+  trialBalance: null
 };
 
 /**
@@ -32,12 +53,26 @@ const startCronJobs = () => {
     jobs.subscriptionExpiry = scheduleSubscriptionExpiryJob();
     jobs.cashbackExpiry = scheduleCashbackExpiryJob();
     jobs.benefitsReset = scheduleBenefitsResetJob();
+    jobs.recurringTrips = scheduleRecurringTripsJob();
+    jobs.waitlistOffers = scheduleWaitlistOffersJob();
+    jobs.scheduledReports = scheduleScheduledReportsJob();
+    jobs.driverPayouts = scheduleDriverPayoutsJob();
+    jobs.checkIns = scheduleCheckInsJob();
+    jobs.disputeDeadlines = scheduleDisputeDeadlinesJob();
+    jobs.trialBalance = scheduleTrialBalanceJob();
     scheduleWalletExpiryJob(); // This job manages its own scheduling
     
     // Start all jobs
     jobs.subscriptionExpiry.start();
     jobs.cashbackExpiry.start();
     jobs.benefitsReset.start();
+    jobs.recurringTrips.start();
+    jobs.waitlistOffers.start();
+    jobs.scheduledReports.start();
+    jobs.driverPayouts.start();
+    jobs.checkIns.start();
+    jobs.disputeDeadlines.start();
+    jobs.trialBalance.start();
     
     console.log('[CronJobs] All cron jobs started successfully');
     console.log('[CronJobs] Schedule:');
@@ -45,6 +80,13 @@ const startCronJobs = () => {
     console.log('[CronJobs]   - Cashback expiry: Daily at 3:00 AM IST');
     console.log('[CronJobs]   - Benefits reset: Daily at 4:00 AM IST');
     console.log('[CronJobs]   - Wallet expiry: Daily at 9:00 AM IST');
+    console.log('[CronJobs]   - Recurring trips: Daily at 1:00 AM IST');
+    console.log('[CronJobs]   - Waitlist offers: Every minute');
+    console.log('[CronJobs]   - Scheduled reports: Hourly at :05');
+    console.log('[CronJobs]   - Driver payouts: Daily at 10:00 AM IST');
+    console.log('[CronJobs]   - Check-ins: Every minute');
+    console.log('[CronJobs]   - Dispute deadlines: Hourly at :15');
+    console.log('[CronJobs]   - Trial balance: Daily at 00:30 AM IST');
   } catch (error) {
     console.error('[CronJobs] Failed to start cron jobs:', error);
     throw error;
@@ -86,6 +128,41 @@ const getCronJobsStatus = () => {
       running: jobs.benefitsReset ? jobs.benefitsReset.running : false,
       schedule: '0 4 * * *', // Daily at 4:00 AM
       timezone: 'Asia/Kolkata'
+    },
+    recurringTrips: {
+      running: jobs.recurringTrips ? jobs.recurringTrips.running : false,
+      schedule: '0 1 * * *', // Daily at 1:00 AM
+      timezone: 'Asia/Kolkata'
+    },
+    waitlistOffers: {
+      running: jobs.waitlistOffers ? jobs.waitlistOffers.running : false,
+      schedule: '* * * * *', // Every minute
+      timezone: 'Asia/Kolkata'
+    },
+    scheduledReports: {
+      running: jobs.scheduledReports ? jobs.scheduledReports.running : false,
+      schedule: '5 * * * *', // Hourly at :05
+      timezone: 'Asia/Kolkata'
+    },
+    driverPayouts: {
+      running: jobs.driverPayouts ? jobs.driverPayouts.running : false,
+      schedule: '0 10 * * *', // Daily at 10:00 AM
+      timezone: 'Asia/Kolkata'
+    },
+    checkIns: {
+      running: jobs.checkIns ? jobs.checkIns.running : false,
+      schedule: '* * * * *', // Every minute
+      timezone: 'Asia/Kolkata'
+    },
+    disputeDeadlines: {
+      running: jobs.disputeDeadlines ? jobs.disputeDeadlines.running : false,
+      schedule: '15 * * * *', // Hourly at :15
+      timezone: 'Asia/Kolkata'
+    },
+    trialBalance: {
+      running: jobs.trialBalance ? jobs.trialBalance.running : false,
+      schedule: '30 0 * * *', // Daily at 00:30 AM
+      timezone: 'Asia/Kolkata'
     }
   };
 };
@@ -113,6 +190,41 @@ const triggerJob = async (jobName) => {
         await runBenefitsResetCheck();
         break;
       
+      case 'recurringTrips':
+        const { runRecurringTripsMaterialization } = require('./recurringTrips');
+        await runRecurringTripsMaterialization();
+        break;
+      
+      case 'waitlistOffers':
+        const { runWaitlistOffersCheck } = require('./waitlistOffers');
+        await runWaitlistOffersCheck();
+        break;
+      
+      case 'scheduledReports':
+        const { runScheduledReports } = require('./scheduledReports');
+        await runScheduledReports();
+        break;
+      
+      case 'driverPayouts':
+        const { runDriverPayouts } = require('./driverPayouts');
+        await runDriverPayouts();
+        break;
+      
+      case 'checkIns':
+        const { runCheckInsCheck } = require('./checkIns');
+        await runCheckInsCheck();
+        break;
+      
+      case 'disputeDeadlines':
+        const { runDisputeDeadlinesCheck } = require('./disputeDeadlines');
+        await runDisputeDeadlinesCheck();
+        break;
+      
+      case 'trialBalance':
+        const { runTrialBalance } = require('./trialBalance');
+        await runTrialBalance();
+        break;
+      
       default:
         throw new Error(`Unknown job: ${jobName}`);
     }
@@ -0,0 +1,47 @@
+/**
+ * Recurring Trips Cron Job
+ * Materializes active trip templates into scheduled trips ahead of time
+ */
+
+const cron = require('node-cron');
+const { materializeAllTemplates } = require('../services/recurringTripService');
+
+/**
+ * Main cron job function
+ */
+const runRecurringTripsMaterialization = async () => {
+  console.log('[RecurringTrips] Starting recurring trip materialization...');
+
+  try {
+    const results = await materializeAllTemplates();
+
+    console.log(`[RecurringTrips] Processed ${results.processed} templates, created ${results.created} trips`);
+
+    if (results.errors.length > 0) {
+      console.error(`[RecurringTrips] ${results.errors.length} errors occurred:`, results.errors);
+    }
+
+    console.log('[RecurringTrips] Recurring trip materialization completed successfully');
+  } catch (error) {
+    console.error('[RecurringTrips] Failed to run recurring trip materialization:', error);
+  }
+};
+
+/**
+ * Schedule the cron job to run daily at 1:00 AM
+ * Runs before the other daily jobs so the day's occurrences exist by morning
+ */
+const scheduleRecurringTripsJob = () => {
+  const job = cron.schedule('0 1 * * *', runRecurringTripsMaterialization, {
+    scheduled: false,
+    timezone: 'Asia/Kolkata'
+  });
+
+  console.log('[RecurringTrips] Recurring trips cron job scheduled (daily at 1:00 AM IST)');
+  return job;
+};
+
+module.exports = {
+  runRecurringTripsMaterialization,
+  scheduleRecurringTripsJob
+};
@@ -0,0 +1,46 @@
+/**
+ * Scheduled Reports Cron Job
+ * Emails due daily, weekly and monthly financial reports to finance staff
+ */
+
+const cron = require('node-cron');
+const { runDueSchedules } = require('../services/reportScheduleService');
+
+/**
+ * Main cron job function
+ */
+const runScheduledReports = async () => {
+  console.log('[ScheduledReports] Checking for due report schedules...');
+
+  try {
+    const results = await runDueSchedules();
+
+    console.log(`[ScheduledReports] Ran ${results.processed} schedules, delivered ${results.delivered} emails`);
+
+    if (results.errors.length > 0) {
+      console.error(`[ScheduledReports] ${results.errors.length} schedules had delivery errors:`, results.errors);
+    }
+  } catch (error) {
+    console.error('[ScheduledReports] Failed to run scheduled reports:', error);
+  }
+};
+
+/**
+ * Schedule the cron job to run hourly
+ * Schedules deliver at a fixed IST hour; running hourly also catches up on
+ * runs missed while the server was down
+ */
+const scheduleScheduledReportsJob = () => {
+  const job = cron.schedule('5 * * * *', runScheduledReports, {
+    scheduled: false,
+    timezone: 'Asia/Kolkata'
+  });
+
+  console.log('[ScheduledReports] Scheduled reports cron job scheduled (hourly at :05)');
+  return job;
+};
+
+module.exports = {
+  runScheduledReports,
+  scheduleScheduledReportsJob
+};
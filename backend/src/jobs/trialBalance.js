@@ -0,0 +1,46 @@
+/**
+ * Trial Balance Cron Job
+ * Snapshots the ledger trial balance for the previous IST day and flags
+ * wallets whose counters disagree with their ledger balance
+ */
+
+const cron = require('node-cron');
+const { runDailyTrialBalance } = require('../services/ledgerService');
+
+/**
+ * Main cron job function
+ */
+const runTrialBalance = async () => {
+  try {
+    const snapshot = await runDailyTrialBalance();
+
+    console.log(`[TrialBalance] ${snapshot.date}: Dr ₹${snapshot.totalDebits}, Cr ₹${snapshot.totalCredits}, ${snapshot.entryCount} entries`);
+    if (!snapshot.balanced) {
+      console.error(`[TrialBalance] Ledger out of balance for ${snapshot.date} (${snapshot.unbalancedEntries.length} unbalanced entries)`);
+    }
+    if (snapshot.walletMismatches > 0) {
+      console.warn(`[TrialBalance] ${snapshot.walletMismatches} wallet(s) disagree with the ledger`);
+    }
+  } catch (error) {
+    console.error('[TrialBalance] Failed to run trial balance:', error);
+  }
+};
+
+/**
+ * Schedule the cron job to run daily at 00:30 IST
+ * Runs after the day has closed so the snapshot covers the whole day
+ */
+const scheduleTrialBalanceJob = () => {
+  const job = cron.schedule('30 0 * * *', runTrialBalance, {
+    scheduled: false,
+    timezone: 'Asia/Kolkata'
+  });
+
+  console.log('[TrialBalance] Trial balance cron job scheduled (daily at 00:30 IST)');
+  return job;
+};
+
+module.exports = {
+  runTrialBalance,
+  scheduleTrialBalanceJob
+};
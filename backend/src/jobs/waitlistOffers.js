@@ -0,0 +1,44 @@
+/**
+ * Waitlist Offers Cron Job
+ * Expires unanswered waitlist seat offers and moves the seat to the next passenger
+ */
+
+const cron = require('node-cron');
+const { expireWaitlistOffers } = require('../services/waitlistService');
+
+/**
+ * Main cron job function
+ */
+const runWaitlistOffersCheck = async () => {
+  try {
+    const results = await expireWaitlistOffers();
+
+    if (results.expired > 0 || results.accepted > 0 || results.closed > 0) {
+      console.log(
+        `[WaitlistOffers] Expired ${results.expired} offers, marked ${results.accepted} accepted, ` +
+        `closed ${results.closed} entries, made ${results.offered} new offers`
+      );
+    }
+  } catch (error) {
+    console.error('[WaitlistOffers] Failed to run waitlist offers check:', error);
+  }
+};
+
+/**
+ * Schedule the cron job to run every minute
+ * Offer holds are short, so expiry has to be picked up promptly
+ */
+const scheduleWaitlistOffersJob = () => {
+  const job = cron.schedule('* * * * *', runWaitlistOffersCheck, {
+    scheduled: false,
+    timezone: 'Asia/Kolkata'
+  });
+
+  console.log('[WaitlistOffers] Waitlist offers cron job scheduled (every minute)');
+  return job;
+};
+
+module.exports = {
+  runWaitlistOffersCheck,
+  scheduleWaitlistOffersJob
+};
@@ -7,9 +7,35 @@ const { verifyToken, extractTokenFromHeader, isTokenBlacklisted } = require('../
 const User = require('../models/User');
 const { createLogger } = require('../services/loggerService');
 const { validateAccess } = require('../services/permissionService');
+const { requiresTwoFactor, isStaffIpAllowed, verifyStepUpToken } = require('../services/staffSecurityService');
+const accessScopeService = require('../services/accessScopeService');
 
 const logger = createLogger('auth');
 
+/**
+ * Staff-only checks on an authenticated request
+ * Staff must connect from their role's IP allow-list, and two-factor roles
+ * must hold a token issued after two-factor verification.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} payload - Token payload
+ * @param {string} ip - Client address
+ * @returns {Object|null} Rejection { status, reason, error, errorCode } or null
+ */
+const checkStaffAccess = (user, payload, ip) => {
+  if (!user.isStaff) return null;
+
+  if (!isStaffIpAllowed(user, ip)) {
+    return { status: 403, reason: 'IP_NOT_ALLOWED', error: 'Access is not allowed from this network', errorCode: 'AUTH_006' };
+  }
+
+  if (requiresTwoFactor(user) && payload.mfa !== true) {
+    return { status: 401, reason: 'TWO_FACTOR_REQUIRED', error: 'Two-factor authentication required. Please sign in again.', errorCode: 'AUTH_011' };
+  }
+
+  return null;
+};
+
 /**
  * Middleware to authenticate requests using JWT
  * Attaches user object to req.user if valid
@@ -80,6 +106,17 @@ const authenticate = async (req, res, next) => {
         message: 'Account is deactivated'
       });
     }
+
+    const staffRejection = checkStaffAccess(user, payload, req.ip);
+    if (staffRejection) {
+      logger.authError(staffRejection.reason, { userId: user._id.toString(), path: req.path, ip: req.ip });
+      return res.status(staffRejection.status).json({
+        success: false,
+        error: staffRejection.error,
+        errorCode: staffRejection.errorCode,
+        message: staffRejection.error
+      });
+    }
     
     // Attach user and token payload to request
     req.user = user;
@@ -180,7 +217,7 @@ const optionalAuth = async (req, res, next) => {
     
     if (valid) {
       const user = await User.findById(payload.userId);
-      if (user && user.isActive) {
+      if (user && user.isActive && !checkStaffAccess(user, payload, req.ip)) {
         req.user = user;
         req.tokenPayload = payload;
         req.token = token;
@@ -300,6 +337,130 @@ const requireRole = (allowedRoles) => {
   };
 };
 
+/**
+ * Middleware requiring a fresh step-up verification for sensitive actions
+ * The client obtains a token from POST /api/auth/staff-2fa/step-up and
+ * sends it in the X-Step-Up-Token header.
+ */
+const requireStepUp = (req, res, next) => {
+  // authenticate middleware must run first
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      errorCode: 'UNAUTHORIZED'
+    });
+  }
+
+  if (!verifyStepUpToken(req.get('X-Step-Up-Token'), req.user._id)) {
+    logger.authError('STEP_UP_REQUIRED', {
+      userId: req.user._id.toString(),
+      path: req.path
+    });
+    return res.status(403).json({
+      success: false,
+      error: 'Please re-enter your authentication code to continue',
+      errorCode: 'STEP_UP_REQUIRED'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Reject a request that failed a resource scope check and audit log it
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} denial - { resource, reason, targetType, targetId, details }
+ * @param {string} [errorCode='SCOPE_DENIED'] - Error code for the response
+ */
+const rejectOutOfScope = async (req, res, denial, errorCode = 'SCOPE_DENIED') => {
+  logger.authError('SCOPE_DENIED', {
+    userId: req.user._id.toString(),
+    userRole: req.user.role,
+    resource: denial.resource,
+    path: req.path
+  });
+  await accessScopeService.recordScopeDenial(req.user, {
+    ...denial,
+    details: { ...denial.details, path: req.originalUrl, method: req.method },
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+  return res.status(403).json({
+    success: false,
+    error: denial.reason || 'Access denied. Outside your assigned scope.',
+    errorCode
+  });
+};
+
+/**
+ * Middleware factory for resource-scoped access control
+ * Loads the resource named by a route parameter and checks it against the
+ * staff member's regions and ticket queues (see accessScopeService)
+ * 
+ * @param {string} resource - 'user' or 'ticket'
+ * @param {string} [param='id'] - Route parameter holding the identifier
+ * @returns {Function} Express middleware
+ */
+const requireScope = (resource, param = 'id') => {
+  return async (req, res, next) => {
+    // authenticate middleware must run first
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        errorCode: 'UNAUTHORIZED'
+      });
+    }
+
+    try {
+      const result = await accessScopeService.checkResourceScope(req.user, resource, req.params[param]);
+      if (!result.allowed) {
+        return rejectOutOfScope(req, res, { resource, ...result });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Middleware factory enforcing the per-role refund cap
+ * 
+ * @param {Function} [getAmount] - Reads the refund amount from the request (may be async)
+ * @param {string} [targetType='trip'] - Audit target type
+ * @param {Function} [getTargetId] - Reads the audit target ID from the request (may be async)
+ * @returns {Function} Express middleware
+ */
+const requireRefundLimit = (getAmount = (req) => req.body.amount, targetType = 'trip', getTargetId = (req) => req.params.id) => {
+  return async (req, res, next) => {
+    // authenticate middleware must run first
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        errorCode: 'UNAUTHORIZED'
+      });
+    }
+
+    try {
+      const amount = await getAmount(req);
+      const result = await accessScopeService.checkRefundLimit(req.user, amount);
+      if (!result.allowed) {
+        return rejectOutOfScope(req, res, {
+          resource: 'refund',
+          reason: result.reason,
+          targetType,
+          targetId: await getTargetId(req),
+          details: { amount, refundLimit: result.refundLimit }
+        }, 'REFUND_LIMIT_EXCEEDED');
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 module.exports = {
   authenticate,
   authenticateToken: authenticate, // Alias for backward compatibility
@@ -312,5 +473,8 @@ module.exports = {
   isPassenger,
   optionalAuth,
   requirePermission,
-  requireRole
+  requireRole,
+  requireStepUp,
+  requireScope,
+  requireRefundLimit
 };
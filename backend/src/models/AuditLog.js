@@ -30,9 +30,9 @@ const AuditLogSchema = new mongoose.Schema({
       // Document actions
       'document_approve', 'document_reject', 'document_view',
       // Trip actions
-      'trip_view', 'trip_cancel', 'trip_intervene',
+      'trip_view', 'trip_cancel', 'trip_intervene', 'chat_view',
       // SOS actions
-      'sos_acknowledge', 'sos_resolve', 'sos_view',
+      'sos_acknowledge', 'sos_resolve', 'sos_view', 'sos_evidence_export',
       // Ticket actions
       'ticket_create', 'ticket_update', 'ticket_assign', 'ticket_resolve',
       // Analytics actions
@@ -40,7 +40,9 @@ const AuditLogSchema = new mongoose.Schema({
       // System actions
       'login', 'logout', 'settings_update',
       // Permission/Role management actions (Requirements 5.3)
-      'permission_update', 'role_update'
+      'permission_update', 'role_update',
+      // Resource scope check denied a staff action
+      'access_denied'
     ]
   },
   targetType: {
@@ -18,6 +18,7 @@ const AuthAuditLogSchema = new mongoose.Schema({
       'LOGIN_FAILURE',
       'LOGOUT',
       'TOKEN_REFRESH',
+      'REFRESH_TOKEN_REUSE',
       'SESSION_REVOKED',
       'RATE_LIMITED',
       'TOKEN_BLACKLISTED',
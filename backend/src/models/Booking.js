@@ -75,6 +75,36 @@ const BookingSchema = new mongoose.Schema({
     type: LocationSchema,
     required: [true, 'Drop point is required']
   },
+  // Stop indexes on multi-stop trips: 0 = source, 1..n = stopovers, n + 1 = destination
+  pickupStop: {
+    type: Number,
+    min: 0
+  },
+  dropStop: {
+    type: Number,
+    min: 1
+  },
+  // En-route segment along the trip's route polyline (absent for full-route bookings)
+  // Seats are only occupied between startKm and endKm, so non-overlapping legs can share a seat
+  segment: {
+    startKm: {
+      type: Number,
+      min: 0
+    },
+    endKm: {
+      type: Number,
+      min: 0
+    },
+    distanceKm: {
+      type: Number,
+      min: 0
+    },
+    ratio: {
+      type: Number,
+      min: 0,
+      max: 1
+    }
+  },
   fare: {
     type: Number,
     required: [true, 'Fare is required'],
@@ -144,6 +174,26 @@ const BookingSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Feedback cannot exceed 1000 characters']
   },
+  // Driver's rating of the passenger (feeds User.passengerReputation)
+  passengerRating: {
+    rating: {
+      type: Number,
+      min: [1, 'Rating must be at least 1'],
+      max: [5, 'Rating cannot exceed 5']
+    },
+    tags: [{
+      type: String,
+      enum: ['punctual', 'polite', 'no_show', 'late', 'abusive', 'vehicle_damage', 'unsafe_behaviour']
+    }],
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Comment cannot exceed 1000 characters']
+    },
+    ratedAt: {
+      type: Date
+    }
+  },
   // Passenger's booking PIN copied from User at booking time
   // Used for ride start verification (Requirements 4.4, 8.2)
   passengerPIN: {
@@ -171,6 +221,117 @@ const BookingSchema = new mongoose.Schema({
   pickedUpAt: {
     type: Date
   },
+  // No-show flow: driver arrives in the pickup geofence, waits, then reports
+  // the passenger; the booking is cancelled with a no-show charge
+  noShow: {
+    driverArrivedAt: {
+      type: Date
+    },
+    arrivalDistanceMeters: {
+      type: Number,
+      min: 0
+    },
+    markedAt: {
+      type: Date
+    },
+    markedDistanceMeters: {
+      type: Number,
+      min: 0
+    },
+    markedLocation: {
+      lat: Number,
+      lng: Number
+    },
+    waitedMinutes: {
+      type: Number,
+      min: 0
+    },
+    charge: {
+      type: Number,
+      min: 0
+    },
+    refundAmount: {
+      type: Number,
+      min: 0
+    },
+    driverCompensation: {
+      type: Number,
+      min: 0
+    },
+    earningId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DriverEarning'
+    },
+    // Overturned disputes void the strike against the passenger
+    strikeVoided: {
+      type: Boolean,
+      default: false
+    },
+    dispute: {
+      status: {
+        type: String,
+        enum: ['open', 'upheld', 'overturned']
+      },
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Dispute reason cannot exceed 1000 characters']
+      },
+      openedAt: Date,
+      ticketId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SupportTicket'
+      },
+      resolvedAt: Date,
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      resolutionNote: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Resolution note cannot exceed 1000 characters']
+      }
+    }
+  },
+  // Trusted-contact check-in: contacts get the live tracking link if the
+  // passenger has not reached the drop point by the expected arrival plus grace
+  checkIn: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    reason: {
+      type: String,
+      enum: ['passenger', 'ladies_only', 'night_hours']
+    },
+    // Passenger turned check-in off, so it is not auto-enabled again
+    optedOut: {
+      type: Boolean,
+      default: false
+    },
+    status: {
+      type: String,
+      enum: ['inactive', 'monitoring', 'arrived', 'contacts_notified', 'support_alerted'],
+      default: 'inactive'
+    },
+    expectedArrivalAt: {
+      type: Date
+    },
+    arrivedAt: {
+      type: Date
+    },
+    contactsNotifiedAt: {
+      type: Date
+    },
+    supportAlertedAt: {
+      type: Date
+    },
+    supportTicketId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SupportTicket'
+    }
+  },
   // Enhanced payment tracking for AbhiBus-style interface
   paymentDetails: {
     method: {
@@ -223,6 +384,42 @@ const BookingSchema = new mongoose.Schema({
       type: Date
     }
   },
+  // Shared by all bookings created from one recurring seat request
+  recurringGroupId: {
+    type: String,
+    index: true
+  },
+  // Platform fees from the fee schedule version that priced this booking
+  pricing: {
+    feeSchedule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeeSchedule'
+    },
+    // 0 = built-in default schedule
+    feeScheduleVersion: {
+      type: Number,
+      index: true
+    },
+    ruleName: String,
+    planId: String,
+    distanceKm: Number,
+    passengerFee: { type: Number, min: 0 },
+    surcharge: { type: Number, min: 0 },
+    waiver: { type: Number, min: 0 },
+    driverCommission: { type: Number, min: 0 }
+  },
+  // Business details for a B2B tax invoice (GSTIN validated at booking)
+  billing: {
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    legalName: {
+      type: String,
+      trim: true
+    }
+  },
   // Fare breakdown for transparency
   fareBreakdown: {
     baseFare: {
@@ -245,6 +442,11 @@ const BookingSchema = new mongoose.Schema({
       default: 0,
       min: 0
     },
+    couponCode: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
     totalFare: {
       type: Number,
       required: true,
@@ -443,6 +645,7 @@ BookingSchema.index({ passengerId: 1, status: 1 });
 BookingSchema.index({ passengerId: 1, createdAt: -1 });
 BookingSchema.index({ tripId: 1, passengerId: 1 }, { unique: true });
 BookingSchema.index({ 'driverResponse.status': 1, expiresAt: 1 }); // For expired bookings query
+BookingSchema.index({ 'checkIn.status': 1, 'checkIn.expectedArrivalAt': 1 }); // For overdue check-ins
 
 /**
  * Generate unique booking ID
@@ -0,0 +1,82 @@
+/**
+ * Chat Message Model
+ * Messages exchanged between a passenger and the driver of a booked trip
+ *
+ * Each booking has its own thread inside the trip, so co-passengers never see
+ * each other's messages. Text is stored after contact-detail redaction.
+ */
+
+const mongoose = require('mongoose');
+
+const ChatMessageSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: [true, 'Trip ID is required'],
+    index: true
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking ID is required']
+  },
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Sender ID is required']
+  },
+  senderRole: {
+    type: String,
+    enum: ['passenger', 'driver'],
+    required: true
+  },
+  recipientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  messageType: {
+    type: String,
+    enum: ['text', 'quick_reply'],
+    default: 'text'
+  },
+  quickReplyKey: {
+    type: String
+  },
+  text: {
+    type: String,
+    required: [true, 'Message text is required'],
+    maxlength: 1000
+  },
+  // Client-generated ID so resent messages are not stored twice
+  clientMessageId: {
+    type: String,
+    trim: true
+  },
+  moderation: {
+    redacted: { type: Boolean, default: false },
+    redactionTypes: [{ type: String, enum: ['phone', 'upi', 'email'] }],
+    flagged: { type: Boolean, default: false },
+    flagReasons: [{ type: String, enum: ['abusive_language', 'off_platform_payment'] }]
+  },
+  deliveredAt: {
+    type: Date
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+ChatMessageSchema.index({ bookingId: 1, createdAt: 1 });
+ChatMessageSchema.index({ tripId: 1, createdAt: 1 });
+ChatMessageSchema.index(
+  { bookingId: 1, senderId: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $exists: true } } }
+);
+
+const ChatMessage = mongoose.model('ChatMessage', ChatMessageSchema);
+
+module.exports = ChatMessage;
@@ -0,0 +1,117 @@
+/**
+ * Coupon Model
+ * Stores promo codes with discount rules, usage limits and targeting
+ * Individual redemptions are stored in CouponRedemption
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Coupon Schema
+ * Main schema for promo codes
+ */
+const CouponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code must be 3-30 letters, digits, hyphens or underscores'],
+    index: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['flat', 'percentage'],
+    required: [true, 'Discount type is required']
+  },
+  // Rupees for flat coupons, percent (1-100) for percentage coupons
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative']
+  },
+  // Cap on the discount amount (mainly for percentage coupons)
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Max discount cannot be negative']
+  },
+  minFare: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum fare cannot be negative']
+  },
+  validFrom: {
+    type: Date,
+    required: [true, 'Valid from date is required']
+  },
+  validUntil: {
+    type: Date,
+    required: [true, 'Valid until date is required'],
+    index: true
+  },
+  // Total redemptions allowed across all users (null = unlimited)
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  // Redemptions allowed per user
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  // Active (reserved) redemptions, kept in sync with CouponRedemption
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  firstRideOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Subscription tiers allowed to use the coupon (empty = all tiers)
+  eligibleTiers: [{
+    type: String,
+    enum: ['normal', 'silver', 'gold']
+  }],
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient querying
+CouponSchema.index({ isActive: 1, validUntil: 1 });
+
+/**
+ * Find coupon by code (case-insensitive)
+ * @param {string} code - Coupon code
+ * @returns {Promise<Object|null>} Coupon document
+ */
+CouponSchema.statics.findByCode = async function(code) {
+  if (!code || typeof code !== 'string') return null;
+  return this.findOne({ code: code.trim().toUpperCase() });
+};
+
+const Coupon = mongoose.model('Coupon', CouponSchema);
+
+module.exports = Coupon;
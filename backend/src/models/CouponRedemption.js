@@ -0,0 +1,84 @@
+/**
+ * Coupon Redemption Model
+ * Tracks each use of a coupon against a booking
+ *
+ * 'reserved' redemptions count toward limits until released (booking cancelled).
+ * Each reserved redemption takes one of the user's per-coupon slots
+ * (0 .. perUserLimit - 1); the unique index on slots enforces the per-user
+ * limit atomically, even for concurrent bookings by the same user.
+ */
+
+const mongoose = require('mongoose');
+
+const CouponRedemptionSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: [true, 'Coupon ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking ID is required']
+  },
+  // Per-user slot held while reserved
+  slot: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['reserved', 'released'],
+    default: 'reserved'
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  },
+  releasedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One reserved redemption per user slot and per booking
+CouponRedemptionSchema.index(
+  { couponId: 1, userId: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { status: 'reserved' } }
+);
+CouponRedemptionSchema.index(
+  { bookingId: 1 },
+  { unique: true, partialFilterExpression: { status: 'reserved' } }
+);
+CouponRedemptionSchema.index({ couponId: 1, redeemedAt: -1 });
+
+/**
+ * Count active redemptions of a coupon by a user
+ * @param {string} couponId - Coupon ID
+ * @param {string} userId - User ID
+ * @param {string} [excludeBookingId] - Booking whose reservation is ignored
+ * @returns {Promise<number>} Number of reserved redemptions
+ */
+CouponRedemptionSchema.statics.countUserRedemptions = function(couponId, userId, excludeBookingId) {
+  const query = { couponId, userId, status: 'reserved' };
+  if (excludeBookingId) {
+    query.bookingId = { $ne: excludeBookingId };
+  }
+  return this.countDocuments(query);
+};
+
+const CouponRedemption = mongoose.model('CouponRedemption', CouponRedemptionSchema);
+
+module.exports = CouponRedemption;
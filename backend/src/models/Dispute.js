@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+
+/**
+ * Dispute Schema
+ * Payment disputes and chargebacks raised by a passenger's bank against a
+ * booking payment, as reported by Cashfree dispute webhooks
+ *
+ * Design Decision: One document per gateway dispute, updated by every webhook
+ * Rationale: Cashfree sends created, updated and closed events for the same
+ * dispute_id; finance works one case from first notice to the final outcome
+ *
+ * States: open -> contested (evidence submitted) -> under_review -> won | lost,
+ * or open -> accepted. Accepted and lost disputes claw the driver's share of
+ * the disputed amount back from their payouts.
+ */
+
+/**
+ * Evidence Document Schema
+ * A file generated for the dispute and, once contested, uploaded to Cashfree
+ */
+const EvidenceDocumentSchema = new mongoose.Schema({
+  docType: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  sha256: String,
+  size: Number,
+  uploadedAt: Date
+}, { _id: false });
+
+/**
+ * Dispute Event Schema
+ * Gateway status history, one entry per webhook
+ */
+const DisputeEventSchema = new mongoose.Schema({
+  // Gateway event ID, when the webhook carries one
+  eventId: String,
+  eventType: String,
+  gatewayStatus: String,
+  status: String,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  gatewayUpdatedAt: Date,
+  remarks: String
+}, { _id: false });
+
+const DisputeSchema = new mongoose.Schema({
+  disputeId: {
+    type: String,
+    required: [true, 'Dispute ID is required'],
+    unique: true
+  },
+  // Cashfree dispute_id
+  gatewayDisputeId: {
+    type: String,
+    required: [true, 'Gateway dispute ID is required'],
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['dispute', 'chargeback', 'retrieval', 'pre_arbitration', 'arbitration'],
+    default: 'chargeback'
+  },
+  reasonCode: String,
+  reasonDescription: String,
+  amount: {
+    type: Number,
+    required: [true, 'Dispute amount is required'],
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  orderId: {
+    type: String,
+    index: true
+  },
+  gatewayPaymentId: String,
+  // Linked records (any may be missing for orders we cannot match)
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    index: true
+  },
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip'
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  passengerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'contested', 'under_review', 'accepted', 'won', 'lost'],
+    default: 'open',
+    index: true
+  },
+  gatewayStatus: String,
+  gatewayUpdatedAt: Date,
+  // Deadline to accept or contest at the gateway
+  respondBy: {
+    type: Date,
+    index: true
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  resolvedAt: Date,
+  // Finance decision
+  decision: {
+    action: {
+      type: String,
+      enum: ['accept', 'contest']
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Note cannot exceed 1000 characters']
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date
+  },
+  evidence: {
+    assembledAt: Date,
+    // SHA-256 of the evidence JSON the documents were rendered from
+    dataHash: String,
+    documents: {
+      type: [EvidenceDocumentSchema],
+      default: []
+    }
+  },
+  // Recovery of the driver's share on lost or accepted disputes
+  clawback: {
+    amount: {
+      type: Number,
+      min: 0
+    },
+    adjustmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DriverEarning'
+    },
+    clawedBackAt: Date,
+    // Set when a later win returns the clawed-back amount
+    reversalId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DriverEarning'
+    },
+    reversedAt: Date
+  },
+  // Set once finance has been warned the deadline is near
+  deadlineAlertedAt: Date,
+  events: {
+    type: [DisputeEventSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+DisputeSchema.index({ status: 1, respondBy: 1 });
+DisputeSchema.index({ tripId: 1, status: 1 });
+
+/**
+ * Generate unique dispute ID
+ * @returns {Promise<string>} Unique dispute ID in format DSP-YYYY-NNNNNN
+ */
+DisputeSchema.statics.generateDisputeId = async function() {
+  const year = new Date().getFullYear();
+  const count = await this.countDocuments({
+    disputeId: { $regex: `^DSP-${year}-` }
+  });
+  const sequence = String(count + 1).padStart(6, '0');
+  return `DSP-${year}-${sequence}`;
+};
+
+/**
+ * Get dispute by ID (MongoDB ObjectId or human-readable)
+ * @param {string} id - Dispute ID
+ * @returns {Promise<Object>} Dispute document
+ */
+DisputeSchema.statics.findByDisputeId = async function(id) {
+  if (id.match(/^[0-9a-fA-F]{24}$/)) {
+    const dispute = await this.findById(id);
+    if (dispute) return dispute;
+  }
+  return this.findOne({ disputeId: id });
+};
+
+const Dispute = mongoose.model('Dispute', DisputeSchema);
+
+module.exports = Dispute;
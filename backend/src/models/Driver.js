@@ -58,6 +58,71 @@ const VehicleSchema = new mongoose.Schema({
 }, { _id: true, timestamps: true });
 
 
+/**
+ * Document OCR Schema
+ * Fields read from a license, RC or Aadhaar photo by the document worker,
+ * cross-checked against the driver's profile to help reviewers
+ */
+const CROSS_CHECK_RESULTS = ['match', 'partial', 'mismatch', 'missing', 'not_applicable'];
+
+const DocumentOcrSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['completed', 'skipped', 'failed'],
+    required: true
+  },
+  processedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Mean word confidence reported by the OCR engine (0-100)
+  engineConfidence: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  // Overall score (0-1) from engine confidence, fields found and cross-checks
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  extracted: {
+    name: { type: String, trim: true },
+    licenseNumber: { type: String, trim: true },
+    registrationNumber: { type: String, trim: true },
+    expiryDate: { type: Date },
+    // Only the last four Aadhaar digits are kept
+    aadhaarLast4: { type: String, trim: true }
+  },
+  checks: {
+    name: { type: String, enum: CROSS_CHECK_RESULTS },
+    licenseNumber: { type: String, enum: CROSS_CHECK_RESULTS },
+    registrationNumber: { type: String, enum: CROSS_CHECK_RESULTS }
+  },
+  // e.g. 'license_number_mismatch', 'document_expired', 'low_ocr_confidence'
+  flags: {
+    type: [String],
+    default: []
+  },
+  // Clean, confident read: reviewers can fast-track approval
+  fastTrack: {
+    type: Boolean,
+    default: false
+  },
+  // expiryDate on the document was filled in from OCR
+  expiryPrefilled: {
+    type: Boolean,
+    default: false
+  },
+  // Why OCR was skipped or failed
+  reason: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+
 /**
  * Driver Document Schema
  * Stores document information for verification
@@ -132,6 +197,9 @@ const DriverDocumentSchema = new mongoose.Schema({
   },
   expiryDate: {
     type: Date
+  },
+  ocr: {
+    type: DocumentOcrSchema
   }
 }, { _id: true });
 
@@ -177,6 +245,147 @@ const BankDetailsSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+/**
+ * Availability Schema
+ * Driver's working calendar; trips outside it are rejected (see driverScheduleService)
+ * Times and dates are IST
+ */
+const AvailabilitySchema = new mongoose.Schema({
+  // Daily working hours (HH:mm); end before start wraps past midnight. Unset = any time
+  workingHours: {
+    start: {
+      type: String,
+      match: [/^([01][0-9]|2[0-3]):[0-5][0-9]$/, 'Time must be in HH:mm format']
+    },
+    end: {
+      type: String,
+      match: [/^([01][0-9]|2[0-3]):[0-5][0-9]$/, 'Time must be in HH:mm format']
+    }
+  },
+  // Days of week the driver works (0 = Sunday). Empty = every day
+  workingDays: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: []
+  },
+  blockedDates: {
+    type: [{
+      date: {
+        type: String, // YYYY-MM-DD
+        required: true,
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD']
+      },
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: 200
+      }
+    }],
+    default: []
+  },
+  updatedAt: Date
+}, { _id: false });
+
+/**
+ * Selfie Check Schema
+ * A live selfie taken before a trip start, compared with the verified photo
+ */
+const SelfieCheckSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip'
+  },
+  // Why the check was requested
+  reason: {
+    type: String,
+    enum: ['initial', 'periodic', 'random', 'manual']
+  },
+  status: {
+    type: String,
+    enum: ['passed', 'failed', 'no_face', 'error'],
+    required: true
+  },
+  // Face similarity reported by the comparison (0-100)
+  similarity: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  s3Key: {
+    type: String
+  },
+  checkedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, { _id: true });
+
+/**
+ * Face Verification Schema
+ * Selfie-to-ID match at onboarding and periodic pre-trip selfie checks
+ * (see faceVerificationService)
+ */
+const FaceVerificationSchema = new mongoose.Schema({
+  // Registered selfie compared with the ID photo during document review
+  idMatch: {
+    status: {
+      type: String,
+      enum: ['matched', 'mismatch', 'no_face', 'unsupported', 'error']
+    },
+    similarity: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    selfieDocumentId: mongoose.Schema.Types.ObjectId,
+    idDocumentId: mongoose.Schema.Types.ObjectId,
+    comparedAt: Date,
+    // Reviewer approved despite a mismatch (e.g. an old ID photo)
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    overrideReason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
+  },
+  lastPassedAt: Date,
+  // Outstanding check the driver must pass before starting a trip
+  pendingCheck: {
+    reason: {
+      type: String,
+      enum: ['initial', 'periodic', 'random', 'manual']
+    },
+    requestedAt: Date,
+    tripId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Trip'
+    }
+  },
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  // Set after repeated failures; trips stay blocked until operations unlocks
+  lockedAt: Date,
+  // Most recent checks, newest last
+  checks: {
+    type: [SelfieCheckSchema],
+    default: []
+  }
+}, { _id: false });
+
 /**
  * Driver Schema
  * Design Decision: Separate collection linked to User via userId
@@ -235,6 +444,27 @@ const DriverSchema = new mongoose.Schema({
   },
   bankDetails: {
     type: BankDetailsSchema
+  },
+  // Payout cycle and minimum amount per payout (see payoutService)
+  payoutSettings: {
+    cycle: {
+      type: String,
+      enum: ['instant', 'daily', 'weekly'],
+      default: 'instant'
+    },
+    minimumPayout: {
+      type: Number,
+      min: 0
+    },
+    lastPayoutAt: Date
+  },
+  availability: {
+    type: AvailabilitySchema,
+    default: () => ({})
+  },
+  faceVerification: {
+    type: FaceVerificationSchema,
+    default: () => ({})
   }
 }, {
   timestamps: true
@@ -245,6 +475,7 @@ DriverSchema.index({ verificationStatus: 1 });
 DriverSchema.index({ licenseNumber: 1 }, { unique: true });
 DriverSchema.index({ 'documents.status': 1 });
 DriverSchema.index({ 'documents.expiryDate': 1 });
+DriverSchema.index({ 'faceVerification.checks.status': 1, 'faceVerification.checks.checkedAt': -1 });
 
 // Apply encryption plugin for sensitive fields
 // Design Decision: Encrypt bank account numbers at rest for payment security
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+/**
+ * Driver Earning Schema
+ * Ledger of amounts owed to a driver: one entry per completed trip, no-show
+ * compensation for passengers who did not turn up, and manual adjustments
+ * by finance staff
+ *
+ * Design Decision: Earnings accrue here and are paid out in batches
+ * Rationale: Drivers choose an instant, daily or weekly payout cycle, and
+ * entries for trips with an open SOS alert, payment ticket or payment
+ * dispute must be held back individually while the rest of the batch is paid
+ */
+
+const HoldSchema = new mongoose.Schema({
+  reason: {
+    type: String,
+    enum: ['sos_alert', 'payment_ticket', 'no_show_dispute', 'payment_dispute'],
+    required: true
+  },
+  referenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  placedAt: {
+    type: Date,
+    default: Date.now
+  },
+  releasedAt: Date
+}, { _id: false });
+
+const DriverEarningSchema = new mongoose.Schema({
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    required: [true, 'Driver ID is required'],
+    index: true
+  },
+  kind: {
+    type: String,
+    enum: ['trip', 'no_show', 'adjustment'],
+    default: 'trip'
+  },
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip'
+  },
+  tripCode: String,
+  // No-show entries: the cancelled booking the compensation is for
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  // Fares of the trip's completed bookings
+  grossFare: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Driver-side platform commission
+  platformFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // TDS under section 194-O, withheld on the gross fare
+  tdsAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Advance already paid at trip start
+  advancePaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Adjustment entries only: signed amount and why
+  adjustmentAmount: {
+    type: Number,
+    default: 0
+  },
+  reason: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Amount payable through the payout cycle (negative for deductions)
+  netAmount: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'held', 'processing', 'paid'],
+    default: 'pending'
+  },
+  holds: {
+    type: [HoldSchema],
+    default: []
+  },
+  payoutId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DriverPayout'
+  },
+  earnedAt: {
+    type: Date,
+    default: Date.now
+  },
+  paidAt: Date
+}, {
+  timestamps: true
+});
+
+// One ledger entry per trip
+DriverEarningSchema.index(
+  { tripId: 1 },
+  { unique: true, partialFilterExpression: { kind: 'trip' } }
+);
+// One compensation entry per no-show booking
+DriverEarningSchema.index(
+  { bookingId: 1 },
+  { unique: true, partialFilterExpression: { kind: 'no_show' } }
+);
+DriverEarningSchema.index({ driverId: 1, status: 1 });
+DriverEarningSchema.index({ driverId: 1, earnedAt: -1 });
+DriverEarningSchema.index({ status: 1, 'holds.reason': 1 });
+
+const DriverEarning = mongoose.model('DriverEarning', DriverEarningSchema);
+
+module.exports = DriverEarning;
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * Driver Payout Schema
+ * One transfer to a driver covering a batch of DriverEarning entries
+ */
+const DriverPayoutSchema = new mongoose.Schema({
+  payoutId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    required: [true, 'Driver ID is required'],
+    index: true
+  },
+  cycle: {
+    type: String,
+    enum: ['instant', 'daily', 'weekly', 'manual'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  earnings: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DriverEarning'
+  }],
+  destination: {
+    type: String,
+    enum: ['bank_account', 'wallet'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'queued', 'completed', 'failed'],
+    default: 'processing'
+  },
+  beneficiaryId: String,
+  transferId: String,
+  // Retried transfers sent so far; each attempt has its own stable transfer ID
+  transferAttempts: {
+    type: Number,
+    default: 0
+  },
+  referenceId: String,
+  utr: String,
+  failureReason: String,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+DriverPayoutSchema.index({ driverId: 1, createdAt: -1 });
+DriverPayoutSchema.index({ status: 1 });
+
+/**
+ * Generate unique payout ID
+ * @returns {Promise<string>} Unique payout ID in format PO-YYYY-NNNNNN
+ */
+DriverPayoutSchema.statics.generatePayoutId = async function() {
+  const year = new Date().getFullYear();
+  const count = await this.countDocuments({
+    payoutId: { $regex: `^PO-${year}-` }
+  });
+  const sequence = String(count + 1).padStart(6, '0');
+  return `PO-${year}-${sequence}`;
+};
+
+const DriverPayout = mongoose.model('DriverPayout', DriverPayoutSchema);
+
+module.exports = DriverPayout;
@@ -0,0 +1,214 @@
+/**
+ * Fee Schedule Model
+ * Versioned platform fee rules used by the pricing engine
+ *
+ * Each document is one immutable version once activated. Editing an active
+ * schedule means creating a new draft version; activating it archives the
+ * previous one. Bookings record the version that priced them.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Fee Amount Schema
+ * Flat rupee amount (optionally per seat) or percentage of the base fare,
+ * clamped to optional min/max amounts
+ */
+const FeeAmountSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['flat', 'percentage'],
+    required: true
+  },
+  // Rupees for flat fees, percent (0-100) for percentage fees
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  perSeat: {
+    type: Boolean,
+    default: true
+  },
+  minAmount: {
+    type: Number,
+    min: 0
+  },
+  maxAmount: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+/**
+ * Fee Rule Schema
+ * The most specific matching rule prices a booking (route > city > global)
+ */
+const FeeRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  scope: {
+    type: {
+      type: String,
+      enum: ['global', 'city', 'route'],
+      default: 'global'
+    },
+    // Matched against the trip's source or destination address
+    city: { type: String, trim: true },
+    sourceCity: { type: String, trim: true },
+    destinationCity: { type: String, trim: true }
+  },
+  // Distance band in km: minKm <= distance < maxKm (no maxKm = unbounded)
+  distanceBand: {
+    minKm: { type: Number, min: 0, default: 0 },
+    maxKm: { type: Number, min: 0 }
+  },
+  passengerFee: {
+    type: FeeAmountSchema,
+    required: true
+  },
+  driverCommission: {
+    type: FeeAmountSchema,
+    required: true
+  }
+}, { _id: true });
+
+/**
+ * Surcharge Schema
+ * Extra passenger fee on weekends or listed festival dates (IST)
+ */
+const SurchargeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['weekend', 'festival'],
+    required: true
+  },
+  // Weekend days (0 = Sunday); defaults to Saturday and Sunday
+  daysOfWeek: {
+    type: [Number],
+    default: undefined
+  },
+  // Festival dates as YYYY-MM-DD
+  dates: {
+    type: [String],
+    default: undefined
+  },
+  amount: {
+    type: FeeAmountSchema,
+    required: true
+  }
+}, { _id: false });
+
+/**
+ * Tier Waiver Schema
+ * Share of the passenger fee (including surcharges) waived for a subscription tier
+ */
+const TierWaiverSchema = new mongoose.Schema({
+  planId: {
+    type: String,
+    enum: ['normal', 'silver', 'gold'],
+    required: true
+  },
+  waivePercent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+const FeeScheduleSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: 1
+  },
+  name: {
+    type: String,
+    required: [true, 'Schedule name is required'],
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'archived'],
+    default: 'draft'
+  },
+  rules: {
+    type: [FeeRuleSchema],
+    default: []
+  },
+  surcharges: {
+    type: [SurchargeSchema],
+    default: []
+  },
+  tierWaivers: {
+    type: [TierWaiverSchema],
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  activatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  activatedAt: {
+    type: Date
+  },
+  archivedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Only one schedule can be active at a time
+FeeScheduleSchema.index(
+  { status: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+/**
+ * Get the next schedule version number
+ * @returns {Promise<number>} Next version
+ */
+FeeScheduleSchema.statics.getNextVersion = async function() {
+  const latest = await this.findOne().sort({ version: -1 }).select('version');
+  return (latest?.version || 0) + 1;
+};
+
+/**
+ * Find schedule by MongoDB ID or version number
+ * @param {string|number} identifier - ObjectId or version
+ * @returns {Promise<Object>} Schedule document
+ */
+FeeScheduleSchema.statics.findByIdentifier = async function(identifier) {
+  const id = String(identifier);
+  if (/^[0-9a-fA-F]{24}$/.test(id)) {
+    return this.findById(id);
+  }
+  if (/^\d+$/.test(id)) {
+    return this.findOne({ version: parseInt(id, 10) });
+  }
+  return null;
+};
+
+const FeeSchedule = mongoose.model('FeeSchedule', FeeScheduleSchema);
+
+module.exports = FeeSchedule;
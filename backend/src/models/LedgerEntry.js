@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+/**
+ * Ledger Entry Schema
+ * Double-entry journal: every money movement between passenger wallets,
+ * fares in escrow, driver payables, platform revenue, gateway clearing and
+ * tax liabilities is posted as one balanced entry
+ *
+ * Design Decision: Entries are immutable and keyed by their source event
+ * Rationale: Wallet, payment and payout flows can be retried; the source key
+ * makes posting idempotent, and corrections are posted as new entries so
+ * account balances can always be rebuilt from the journal
+ *
+ * Accounts are strings: a class ('fares_escrow') or a class with a holder
+ * ('wallet_cash:<userId>', 'driver_payable:<driverId>'). See ledgerService
+ * for the chart of accounts.
+ */
+
+/**
+ * Journal Line Schema
+ * Exactly one of debit and credit is non-zero
+ */
+const JournalLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: [true, 'Account is required']
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Debit cannot be negative']
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit cannot be negative']
+  }
+}, { _id: false });
+
+const LedgerEntrySchema = new mongoose.Schema({
+  // Idempotency key of the source event, e.g. 'wallet_credit:<transactionId>'
+  sourceKey: {
+    type: String,
+    required: [true, 'Source key is required'],
+    unique: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Entry type is required'],
+    enum: [
+      'wallet_credit',
+      'wallet_debit',
+      'promo_expiry',
+      'gateway_collection',
+      'driver_advance',
+      'trip_settlement',
+      'refund',
+      'cancellation_charge',
+      'no_show_charge',
+      'no_show_reversal',
+      'driver_adjustment',
+      'driver_payout',
+      'opening_balance'
+    ],
+    index: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  lines: {
+    type: [JournalLineSchema],
+    validate: {
+      validator: function(lines) {
+        if (!Array.isArray(lines) || lines.length < 2) return false;
+        const debits = lines.reduce((sum, l) => sum + (l.debit || 0), 0);
+        const credits = lines.reduce((sum, l) => sum + (l.credit || 0), 0);
+        return debits > 0 && Math.abs(debits - credits) < 0.005;
+      },
+      message: 'Journal entry must have at least two lines with equal debits and credits'
+    }
+  },
+  // References for drill-down
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    index: true
+  },
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver'
+  },
+  postedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+LedgerEntrySchema.index({ 'lines.account': 1, postedAt: 1 });
+
+const LedgerEntry = mongoose.model('LedgerEntry', LedgerEntrySchema);
+
+module.exports = LedgerEntry;
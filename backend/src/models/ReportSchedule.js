@@ -0,0 +1,74 @@
+/**
+ * Report Schedule Model
+ * Recurring financial report emailed to finance staff
+ *
+ * Each run covers the previous complete day, week (Monday-Sunday) or
+ * calendar month in IST and is delivered at DELIVERY_HOUR_IST.
+ */
+
+const mongoose = require('mongoose');
+
+const ReportScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Schedule name is required'],
+    trim: true,
+    maxlength: 200
+  },
+  reportType: {
+    type: String,
+    enum: ['transactions', 'revenue', 'payouts'],
+    default: 'transactions'
+  },
+  format: {
+    type: String,
+    enum: ['pdf', 'xlsx', 'csv'],
+    default: 'pdf'
+  },
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: [true, 'Frequency is required']
+  },
+  // Explicit recipient addresses
+  recipients: {
+    type: [String],
+    default: []
+  },
+  // Active staff with these roles also receive the report
+  recipientRoles: {
+    type: [String],
+    enum: ['finance', 'admin', 'super_admin'],
+    default: ['finance']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+  lastRunAt: Date,
+  lastStatus: {
+    type: String,
+    enum: ['success', 'partial', 'failed', 'no_recipients']
+  },
+  lastError: String,
+  lastDeliveredCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+ReportScheduleSchema.index({ isActive: 1, nextRunAt: 1 });
+
+const ReportSchedule = mongoose.model('ReportSchedule', ReportScheduleSchema);
+
+module.exports = ReportSchedule;
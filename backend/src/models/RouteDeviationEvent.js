@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+
+/**
+ * RouteDeviationEvent Schema
+ * Tracks a live trip leaving its planned route corridor for a sustained period
+ * Passengers receive a safety check; unanswered checks escalate to an SOS alert
+ */
+const RouteDeviationEventSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: [true, 'Trip ID is required'],
+    index: true
+  },
+  // Passengers on board who were sent the safety check
+  passengerIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  location: {
+    coordinates: {
+      lat: {
+        type: Number,
+        required: [true, 'Latitude is required'],
+        min: -90,
+        max: 90
+      },
+      lng: {
+        type: Number,
+        required: [true, 'Longitude is required'],
+        min: -180,
+        max: 180
+      }
+    },
+    address: {
+      type: String,
+      trim: true
+    }
+  },
+  // Distance from the planned route in meters when the event was raised
+  distanceFromRoute: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  corridorMeters: {
+    type: Number,
+    required: true
+  },
+  // When the vehicle first left the corridor
+  offRouteSince: {
+    type: Date,
+    required: true
+  },
+  alertSentAt: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['alert_sent', 'safe_confirmed', 'help_requested', 'escalated', 'resolved'],
+    default: 'alert_sent',
+    index: true
+  },
+  passengerResponse: {
+    responded: {
+      type: Boolean,
+      default: false
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: {
+      type: Date
+    },
+    response: {
+      type: String,
+      enum: ['safe', 'help']
+    }
+  },
+  escalatedAt: {
+    type: Date
+  },
+  sosAlertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SOSAlert'
+  },
+  resolvedAt: {
+    type: Date
+  },
+  resolutionReason: {
+    type: String,
+    enum: ['returned_to_route', 'passenger_confirmed_safe', 'sos_triggered', 'trip_ended']
+  }
+}, {
+  timestamps: true
+});
+
+RouteDeviationEventSchema.index({ tripId: 1, status: 1 });
+RouteDeviationEventSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * Get deviation events still awaiting a passenger response for trips
+ * @param {Array<ObjectId>} tripIds - Trip IDs
+ * @returns {Promise<Array>} Open events
+ */
+RouteDeviationEventSchema.statics.getOpenForTrips = function(tripIds) {
+  return this.find({
+    tripId: { $in: tripIds },
+    status: 'alert_sent'
+  }).sort({ createdAt: -1 });
+};
+
+/**
+ * Record a passenger's response to the safety check
+ * @param {ObjectId} userId - Responding passenger
+ * @param {string} response - 'safe' or 'help'
+ * @returns {Promise<Object>} Updated event
+ */
+RouteDeviationEventSchema.methods.recordResponse = async function(userId, response) {
+  this.passengerResponse = {
+    responded: true,
+    respondedBy: userId,
+    respondedAt: new Date(),
+    response
+  };
+
+  if (response === 'safe') {
+    this.status = 'safe_confirmed';
+    this.resolvedAt = new Date();
+    this.resolutionReason = 'passenger_confirmed_safe';
+  } else if (response === 'help') {
+    this.status = 'help_requested';
+  }
+
+  return this.save();
+};
+
+/**
+ * Link the SOS alert raised for this deviation
+ * @param {ObjectId} sosAlertId - SOS Alert ID
+ * @param {string} status - 'help_requested' or 'escalated'
+ * @returns {Promise<Object>} Updated event
+ */
+RouteDeviationEventSchema.methods.linkSOSAlert = async function(sosAlertId, status) {
+  this.sosAlertId = sosAlertId;
+  this.status = status;
+  if (status === 'escalated') {
+    this.escalatedAt = new Date();
+  }
+  this.resolvedAt = new Date();
+  this.resolutionReason = 'sos_triggered';
+  return this.save();
+};
+
+/**
+ * Resolve an event without a passenger response
+ * @param {string} reason - 'returned_to_route' or 'trip_ended'
+ * @returns {Promise<Object>} Updated event
+ */
+RouteDeviationEventSchema.methods.resolve = async function(reason) {
+  this.status = 'resolved';
+  this.resolvedAt = new Date();
+  this.resolutionReason = reason;
+  return this.save();
+};
+
+const RouteDeviationEvent = mongoose.model('RouteDeviationEvent', RouteDeviationEventSchema);
+
+module.exports = RouteDeviationEvent;
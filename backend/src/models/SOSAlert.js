@@ -93,6 +93,17 @@ const SOSAlertSchema = new mongoose.Schema({
     enum: ['high', 'critical'],
     default: 'critical'
   },
+  // Silent alerts are hidden from the driver: no trip-room broadcasts or
+  // driver-visible notifications, only staff dashboards and emergency contacts
+  silent: {
+    type: Boolean,
+    default: false
+  },
+  triggerSource: {
+    type: String,
+    enum: ['app', 'button_pattern', 'chat_safe_word', 'sms_safe_word'],
+    default: 'app'
+  },
   // Journey details - Requirements: 5.5
   journeyDetails: {
     // Route taken - array of coordinates
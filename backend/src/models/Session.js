@@ -42,6 +42,25 @@ const SessionSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Refresh token hash is required']
   },
+  // Refresh token rotation: every refresh retires the current token and
+  // issues the next one in the same family. A signed token from this family
+  // that is not the current one has been retired, so presenting it revokes
+  // the family (and with it this session)
+  tokenFamilyId: {
+    type: String,
+    index: true
+  },
+  refreshTokenGeneration: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    trim: true
+  },
   createdAt: {
     type: Date,
     default: Date.now
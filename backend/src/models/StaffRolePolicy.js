@@ -0,0 +1,40 @@
+/**
+ * Staff Role Policy Model
+ * Per-role access limits layered on top of role permissions
+ *
+ * One document per staff role, edited by super admins. Roles without a
+ * document use the defaults in accessScopeService.
+ */
+
+const mongoose = require('mongoose');
+
+const StaffRolePolicySchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['operations', 'customer_support', 'finance', 'admin'],
+    required: true,
+    unique: true
+  },
+  // Largest single refund (INR) the role may issue; null = no cap,
+  // unset = role default
+  refundLimit: {
+    type: Number,
+    min: 0
+  },
+  // 'all' tickets, or only tickets assigned to the agent or in their queues
+  // (unset = role default)
+  ticketVisibility: {
+    type: String,
+    enum: ['all', 'assigned_or_queue']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const StaffRolePolicy = mongoose.model('StaffRolePolicy', StaffRolePolicySchema);
+
+module.exports = StaffRolePolicy;
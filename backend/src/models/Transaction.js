@@ -333,6 +333,7 @@ TransactionSchema.statics.expirePromotionalCredits = async function() {
 
   let totalExpired = 0;
   let totalAmount = 0;
+  const expired = [];
 
   for (const transaction of expiredTransactions) {
     // Mark transaction as expired
@@ -367,12 +368,18 @@ TransactionSchema.statics.expirePromotionalCredits = async function() {
       
       totalExpired++;
       totalAmount += transaction.amount;
+      expired.push({
+        transactionId: adjustmentTransaction._id,
+        userId: transaction.userId,
+        amount: transaction.amount
+      });
     }
   }
 
   return {
     expiredCount: totalExpired,
-    totalAmount: totalAmount
+    totalAmount: totalAmount,
+    expired
   };
 };
 
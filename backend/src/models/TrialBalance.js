@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+/**
+ * Trial Balance Schema
+ * Daily snapshot of ledger balances by account class, taken by the
+ * trial-balance job after the IST day closes
+ *
+ * Design Decision: Balances are summed per account class, not per holder
+ * Rationale: There is one wallet and one driver-payable account per user;
+ * holder-level differences are checked by wallet reconciliation instead
+ */
+
+const AccountBalanceSchema = new mongoose.Schema({
+  accountClass: {
+    type: String,
+    required: true
+  },
+  accountType: {
+    type: String,
+    enum: ['asset', 'liability', 'equity', 'revenue', 'expense', 'unknown']
+  },
+  debit: {
+    type: Number,
+    default: 0
+  },
+  credit: {
+    type: Number,
+    default: 0
+  },
+  // Signed by the account's normal side (debit for assets and expenses)
+  balance: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const TrialBalanceSchema = new mongoose.Schema({
+  // IST date (YYYY-MM-DD); balances include every entry up to its end
+  date: {
+    type: String,
+    required: [true, 'Date is required'],
+    unique: true
+  },
+  asOf: {
+    type: Date,
+    required: true
+  },
+  totalDebits: {
+    type: Number,
+    default: 0
+  },
+  totalCredits: {
+    type: Number,
+    default: 0
+  },
+  balanced: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+  // Entries whose own lines do not balance (should always be empty)
+  unbalancedEntries: {
+    type: [String],
+    default: []
+  },
+  accounts: {
+    type: [AccountBalanceSchema],
+    default: []
+  },
+  // Wallets whose counters disagree with their ledger balance
+  walletMismatches: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+const TrialBalance = mongoose.model('TrialBalance', TrialBalanceSchema);
+
+module.exports = TrialBalance;
@@ -54,6 +54,11 @@ const TripPassengerSchema = new mongoose.Schema({
     type: LocationSchema,
     required: [true, 'Drop point is required']
   },
+  // En-route segment (km along route polyline) for partial-route passengers
+  segment: {
+    startKm: { type: Number, min: 0 },
+    endKm: { type: Number, min: 0 }
+  },
   fare: {
     type: Number,
     required: [true, 'Fare is required'],
@@ -216,6 +221,48 @@ const TrackingInfoSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+/**
+ * Trip Stop Schema
+ * Intermediate stop where passengers can board or alight
+ */
+const TripStopSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: [true, 'Stop address is required'],
+    trim: true
+  },
+  coordinates: {
+    lat: { type: Number, required: true, min: -90, max: 90 },
+    lng: { type: Number, required: true, min: -180, max: 180 }
+  },
+  landmark: {
+    type: String,
+    trim: true
+  },
+  scheduledAt: {
+    type: Date,
+    required: true
+  },
+  routeKm: {
+    type: Number, // distance from source along the route
+    required: true,
+    min: 0
+  },
+  arrivedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+/**
+ * Stop Fare Schema
+ * Per-seat fare between two stops, by index in [source, ...stopovers, destination]
+ */
+const StopFareSchema = new mongoose.Schema({
+  fromStop: { type: Number, required: true, min: 0 },
+  toStop: { type: Number, required: true, min: 1 },
+  farePerSeat: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
 
 /**
  * Post ID format regex: HR-YYYY-NNNNNN
@@ -270,6 +317,14 @@ const TripSchema = new mongoose.Schema({
     type: LocationSchema,
     required: [true, 'Destination location is required']
   },
+  stopovers: {
+    type: [TripStopSchema],
+    default: []
+  },
+  stopFares: {
+    type: [StopFareSchema],
+    default: []
+  },
   route: {
     type: RouteInfoSchema
   },
@@ -536,6 +591,15 @@ const TripSchema = new mongoose.Schema({
     type: String
     // Hashed OTP for ride start validation
   },
+  // Recurring trip template this trip was generated from
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TripTemplate'
+  },
+  // Template occurrence date (YYYY-MM-DD, IST)
+  occurrenceDate: {
+    type: String
+  },
   tracking: {
     type: [TrackingInfoSchema],
     default: []
@@ -556,6 +620,11 @@ const TripSchema = new mongoose.Schema({
 TripSchema.index({ status: 1, scheduledAt: -1 });
 TripSchema.index({ 'passengers.userId': 1 });
 TripSchema.index({ createdAt: -1 });
+// One trip per template occurrence keeps materialization idempotent
+TripSchema.index(
+  { template: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { template: { $exists: true } } }
+);
 
 /**
  * Generate unique trip ID
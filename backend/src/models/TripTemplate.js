@@ -0,0 +1,190 @@
+/**
+ * Trip Template Model
+ * Recurring trip definition that the recurring trips job materializes into Trip documents
+ */
+
+const mongoose = require('mongoose');
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Location Schema
+ * Mirrors the Trip location shape so occurrences can be created directly
+ */
+const LocationSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: [true, 'Address is required'],
+    trim: true
+  },
+  coordinates: {
+    lat: { type: Number, min: -90, max: 90 },
+    lng: { type: Number, min: -180, max: 180 }
+  },
+  landmark: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+/**
+ * Recurrence Schema
+ * Dates are IST calendar days (YYYY-MM-DD), days of week use 0 = Sunday
+ */
+const RecurrenceSchema = new mongoose.Schema({
+  pattern: {
+    type: String,
+    enum: ['daily', 'weekdays', 'custom'],
+    required: [true, 'Recurrence pattern is required']
+  },
+  // Used when pattern is 'custom'
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  startDate: {
+    type: String,
+    required: [true, 'Start date is required'],
+    match: [DATE_KEY_PATTERN, 'Start date must be YYYY-MM-DD']
+  },
+  // Open-ended when not set
+  endDate: {
+    type: String,
+    match: [DATE_KEY_PATTERN, 'End date must be YYYY-MM-DD']
+  },
+  skipDates: [{
+    type: String,
+    match: [DATE_KEY_PATTERN, 'Skip dates must be YYYY-MM-DD']
+  }]
+}, { _id: false });
+
+/**
+ * Trip Template Schema
+ */
+const TripTemplateSchema = new mongoose.Schema({
+  templateId: {
+    type: String,
+    unique: true,
+    required: true,
+    index: true
+  },
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    required: [true, 'Driver is required'],
+    index: true
+  },
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  source: {
+    type: LocationSchema,
+    required: [true, 'Source location is required']
+  },
+  destination: {
+    type: LocationSchema,
+    required: [true, 'Destination location is required']
+  },
+  stopovers: {
+    type: [LocationSchema],
+    default: []
+  },
+  route: {
+    distance: Number,
+    duration: Number,
+    polyline: String
+  },
+  // Departure time of day in IST (HH:mm)
+  departureTime: {
+    type: String,
+    required: [true, 'Departure time is required'],
+    match: [TIME_PATTERN, 'Departure time must be HH:mm']
+  },
+  availableSeats: {
+    type: Number,
+    required: [true, 'Available seats is required'],
+    min: 1,
+    max: 6
+  },
+  farePerSeat: {
+    type: Number,
+    required: [true, 'Fare per seat is required'],
+    min: 0
+  },
+  instantBooking: {
+    type: Boolean,
+    default: false
+  },
+  ladiesOnly: {
+    type: Boolean,
+    default: false
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  recurrence: {
+    type: RecurrenceSchema,
+    required: [true, 'Recurrence is required']
+  },
+  // How many days ahead occurrences are created
+  materializeDaysAhead: {
+    type: Number,
+    default: 7,
+    min: 1,
+    max: 30
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'ended'],
+    default: 'active',
+    index: true
+  },
+  pausedAt: {
+    type: Date
+  },
+  endedAt: {
+    type: Date
+  },
+  lastMaterializedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+TripTemplateSchema.index({ driver: 1, status: 1 });
+
+/**
+ * Generate unique template ID
+ * Format: TT-YYYY-NNNNNN
+ * @returns {Promise<string>} Template ID
+ */
+TripTemplateSchema.statics.generateTemplateId = async function() {
+  const year = new Date().getFullYear();
+  const count = await this.countDocuments({
+    templateId: { $regex: `^TT-${year}-` }
+  });
+  const sequence = String(count + 1).padStart(6, '0');
+  return `TT-${year}-${sequence}`;
+};
+
+/**
+ * Find template by MongoDB ID or template ID
+ * @param {string} id - MongoDB ObjectId or TT- template ID
+ * @returns {Promise<Object|null>} Template document
+ */
+TripTemplateSchema.statics.findByIdentifier = async function(id) {
+  if (mongoose.Types.ObjectId.isValid(id)) {
+    const template = await this.findById(id);
+    if (template) return template;
+  }
+  return this.findOne({ templateId: id });
+};
+
+const TripTemplate = mongoose.model('TripTemplate', TripTemplateSchema);
+
+module.exports = TripTemplate;
@@ -201,6 +201,19 @@ const UserSchema = new mongoose.Schema({
     type: [String],
     default: []
   },
+  // Resource scope for staff, set by super admins
+  // Empty cities = all regions; ticketQueues are ticket categories
+  staffScope: {
+    cities: {
+      type: [String],
+      default: undefined
+    },
+    ticketQueues: {
+      type: [String],
+      enum: ['booking', 'payment', 'driver', 'safety', 'account', 'technical', 'other'],
+      default: undefined
+    }
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -213,6 +226,45 @@ const UserSchema = new mongoose.Schema({
     type: String,
     select: false // Don't include password in queries by default
   },
+  // TOTP two-factor authentication for staff accounts
+  // Secrets are encrypted at rest; backup codes are stored as hashes
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret shown during enrolment, promoted once a code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    enrolledAt: {
+      type: Date
+    },
+    // Last accepted time step (rejects replayed codes)
+    lastUsedStep: {
+      type: Number
+    },
+    backupCodes: {
+      type: [{
+        _id: false,
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    resetAt: {
+      type: Date
+    },
+    resetBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   // Booking PIN for ride verification (4-digit unique code)
   // Design Decision: Permanent PIN tied to phone number for ride start verification
   // Rationale: Ensures correct passenger boards the vehicle (Requirements 4.1, 4.2)
@@ -282,6 +334,13 @@ const UserSchema = new mongoose.Schema({
   dateOfBirth: {
     type: Date
   },
+  // Home city, used to scope regional staff access
+  city: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    index: true
+  },
   // UPI details for instant transfers
   upiDetails: {
     upiId: {
@@ -292,6 +351,62 @@ const UserSchema = new mongoose.Schema({
     verifiedAt: {
       type: Date
     }
+  },
+  // Aggregated driver ratings of this user as a passenger
+  // Recalculated by ratingService.updatePassengerReputation
+  passengerReputation: {
+    rating: {
+      type: Number,
+      default: 0
+    },
+    totalRatings: {
+      type: Number,
+      default: 0
+    },
+    // No-shows reported in the reputation window
+    recentNoShows: {
+      type: Number,
+      default: 0
+    },
+    // All no-show strikes from driver reports (overturned disputes excluded)
+    noShowStrikes: {
+      type: Number,
+      default: 0
+    },
+    tagCounts: {
+      type: Map,
+      of: Number,
+      default: {}
+    },
+    // Automatic restriction for low-reputation passengers
+    instantBookingDisabled: {
+      type: Boolean,
+      default: false
+    },
+    restrictionReason: {
+      type: String,
+      enum: ['LOW_RATING', 'REPEATED_NO_SHOWS']
+    },
+    restrictedAt: {
+      type: Date
+    },
+    updatedAt: {
+      type: Date
+    }
+  },
+  // Discreet SOS triggers; the safe word is stored encrypted
+  silentSos: {
+    safeWord: {
+      type: String,
+      select: false
+    },
+    buttonPatternEnabled: {
+      type: Boolean,
+      default: true
+    },
+    updatedAt: {
+      type: Date
+    }
   }
 }, {
   timestamps: true
@@ -0,0 +1,99 @@
+/**
+ * Waitlist Entry Model
+ * Passengers waiting for a seat on a fully-booked trip
+ *
+ * Lifecycle: waiting -> offered -> accepted | expired (next passenger is offered)
+ * Entries leave the queue as cancelled (passenger left, trip cancelled) or
+ * closed (trip departed or passenger could not be offered a seat).
+ */
+
+const mongoose = require('mongoose');
+
+const WaitlistEntrySchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: [true, 'Trip ID is required'],
+    index: true
+  },
+  passengerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Passenger ID is required'],
+    index: true
+  },
+  seats: {
+    type: Number,
+    required: [true, 'Number of seats is required'],
+    min: 1,
+    max: 6
+  },
+  pickupPoint: {
+    address: { type: String, required: true },
+    coordinates: {
+      lat: { type: Number, required: true },
+      lng: { type: Number, required: true }
+    },
+    landmark: String
+  },
+  dropPoint: {
+    address: { type: String, required: true },
+    coordinates: {
+      lat: { type: Number, required: true },
+      lng: { type: Number, required: true }
+    },
+    landmark: String
+  },
+  // En-route segment the passenger is waiting for (absent for full-route)
+  segment: {
+    startKm: Number,
+    endKm: Number,
+    distanceKm: Number,
+    ratio: Number
+  },
+  // Subscription tier at join time (ordering re-checks the live tier)
+  planId: {
+    type: String,
+    enum: ['normal', 'silver', 'gold'],
+    default: 'normal'
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'accepted', 'expired', 'cancelled', 'closed'],
+    default: 'waiting',
+    index: true
+  },
+  // Booking created to hold the offered seat
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  offeredAt: {
+    type: Date
+  },
+  offerExpiresAt: {
+    type: Date,
+    index: true
+  },
+  respondedAt: {
+    type: Date
+  },
+  closedReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+WaitlistEntrySchema.index({ tripId: 1, status: 1, createdAt: 1 });
+
+// A passenger can only be in a trip's active queue once
+WaitlistEntrySchema.index(
+  { tripId: 1, passengerId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['waiting', 'offered'] } } }
+);
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
+
+module.exports = WaitlistEntry;
@@ -17,11 +17,21 @@ const ShareLink = require('./ShareLink');
 const LocationShare = require('./LocationShare');
 const Invoice = require('./Invoice');
 const StationaryEvent = require('./StationaryEvent');
+const RouteDeviationEvent = require('./RouteDeviationEvent');
 const Transaction = require('./Transaction');
 const Subscription = require('./Subscription');
 const Wallet = require('./Wallet');
 const Session = require('./Session');
 const AuthAuditLog = require('./AuthAuditLog');
+const Coupon = require('./Coupon');
+const CouponRedemption = require('./CouponRedemption');
+const TripTemplate = require('./TripTemplate');
+const WaitlistEntry = require('./WaitlistEntry');
+const ChatMessage = require('./ChatMessage');
+const FeeSchedule = require('./FeeSchedule');
+const ReportSchedule = require('./ReportSchedule');
+const DriverEarning = require('./DriverEarning');
+const DriverPayout = require('./DriverPayout');
 
 module.exports = {
   User,
@@ -38,9 +48,19 @@ module.exports = {
   LocationShare,
   Invoice,
   StationaryEvent,
+  RouteDeviationEvent,
   Transaction,
   Subscription,
   Wallet,
   Session,
-  AuthAuditLog
+  AuthAuditLog,
+  Coupon,
+  CouponRedemption,
+  TripTemplate,
+  WaitlistEntry,
+  ChatMessage,
+  FeeSchedule,
+  ReportSchedule,
+  DriverEarning,
+  DriverPayout
 };
@@ -2,14 +2,17 @@ const express = require('express');
 const router = express.Router();
 const Joi = require('joi');
 const { validate } = require('../middleware/validate');
-const { authenticate, requireRole, requirePermission } = require('../middleware/auth');
+const { authenticate, requireRole, requirePermission, requireStepUp, requireScope, requireRefundLimit } = require('../middleware/auth');
 const ridesService = require('../services/ridesService');
 const tripInterventionService = require('../services/tripInterventionService');
 const { PaymentStateMachine } = require('../services/paymentService');
 const reportService = require('../services/reportService');
 const documentService = require('../services/documentService');
+const faceVerificationService = require('../services/faceVerificationService');
 const tripTrackingService = require('../services/tripTrackingService');
 const staffService = require('../services/staffService');
+const staffSecurityService = require('../services/staffSecurityService');
+const accessScopeService = require('../services/accessScopeService');
 const adminTrackingService = require('../services/adminTrackingService');
 const Trip = require('../models/Trip');
 const Driver = require('../models/Driver');
@@ -90,14 +93,26 @@ router.get('/stats/support', authenticate, async (req, res, next) => {
 /**
  * GET /api/admin/drivers/list
  * Get all drivers with their document status for operations dashboard
+ * Region-scoped staff only see drivers in their assigned cities
  */
 router.get('/drivers/list', authenticate, requirePermission('drivers:read'), async (req, res, next) => {
   try {
+    const scope = await accessScopeService.getAccessScope(req.user);
+    const userScopeFilter = accessScopeService.buildUserScopeFilter(scope);
+    const isRegionScoped = Object.keys(userScopeFilter).length > 0;
+
     const drivers = await Driver.find()
-      .populate('userId', 'name phone email')
+      .populate({
+        path: 'userId',
+        match: userScopeFilter,
+        select: 'name phone email'
+      })
       .lean();
 
-    const driversWithStats = drivers.map(driver => {
+    // Filter out drivers whose user is outside the staff member's regions
+    const visibleDrivers = isRegionScoped ? drivers.filter(driver => driver.userId) : drivers;
+
+    const driversWithStats = visibleDrivers.map(driver => {
       const pendingDocs = driver.documents?.filter(d => d.status === 'pending').length || 0;
       const approvedDocs = driver.documents?.filter(d => d.status === 'approved').length || 0;
       const rejectedDocs = driver.documents?.filter(d => d.status === 'rejected').length || 0;
@@ -126,38 +141,65 @@ router.get('/drivers/list', authenticate, requirePermission('drivers:read'), asy
   }
 });
 
+const driverScheduleSchema = Joi.object({
+  from: Joi.date().optional(),
+  days: Joi.number().integer().min(1).max(90).default(14)
+});
+
+/**
+ * GET /api/admin/drivers/:id/schedule
+ * Driver's upcoming trips with occupied windows, overlaps and availability calendar
+ */
+router.get('/drivers/:id/schedule', authenticate, requirePermission('drivers:read'), requireScope('driver'), validate(driverScheduleSchema, 'query'), async (req, res, next) => {
+  try {
+    const driverScheduleService = require('../services/driverScheduleService');
+    const schedule = await driverScheduleService.getDriverSchedule(req.params.id, req.query);
+
+    res.json({
+      success: true,
+      data: schedule
+    });
+  } catch (error) {
+    if (error.code === 'DRIVER_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+    next(error);
+  }
+});
+
 /**
  * GET /api/admin/users/search
  * Search users (drivers or passengers)
  * If query is empty, returns all users of the specified type
+ * Region-scoped staff only see users in their assigned cities
  */
-router.get('/users/search', authenticate, async (req, res, next) => {
+router.get('/users/search', authenticate, (req, res, next) => {
+  const permission = req.query.type === 'driver' ? 'drivers:read' : 'passengers:read';
+  return requirePermission(permission)(req, res, next);
+}, async (req, res, next) => {
   try {
     const { type, query } = req.query;
     
+    const scope = await accessScopeService.getAccessScope(req.user);
+    const userQuery = staffService.buildAdminUserSearchQuery({ type, query }, scope);
+    
     if (type === 'driver') {
       // Search or list drivers
-      let driverQuery = {};
-      if (query && query.trim().length >= 2) {
-        const searchRegex = new RegExp(query, 'i');
-        driverQuery = {
-          $or: [
-            { name: searchRegex },
-            { phone: searchRegex },
-            { email: searchRegex }
-          ]
-        };
-      }
-      
       const drivers = await Driver.find()
         .populate({
           path: 'userId',
-          match: query && query.trim().length >= 2 ? driverQuery : {},
+          match: userQuery,
           select: 'name phone email'
         })
         .lean();
 
-      // Filter out drivers where userId didn't match (only if searching)
+      // Filter out drivers where userId didn't match the search or region
       const results = drivers
         .filter(d => d.userId)
         .map(d => ({
@@ -172,20 +214,6 @@ router.get('/users/search', authenticate, async (req, res, next) => {
       return res.json({ success: true, data: results });
     } else {
       // Search or list passengers
-      let userQuery = {
-        role: 'passenger',
-        isStaff: { $ne: true }
-      };
-      
-      if (query && query.trim().length >= 2) {
-        const searchRegex = new RegExp(query, 'i');
-        userQuery.$or = [
-          { name: searchRegex },
-          { phone: searchRegex },
-          { email: searchRegex }
-        ];
-      }
-      
       const users = await User.find(userQuery)
         .select('name phone email isActive')
         .limit(50)
@@ -439,9 +467,10 @@ router.delete('/staff/:id', authenticate, requirePermission('staff:delete'), asy
 /**
  * POST /api/admin/staff/:id/reset-password
  * Reset a staff member's password
+ * Requires step-up verification (X-Step-Up-Token)
  * Requirements: 5.4
  */
-router.post('/staff/:id/reset-password', authenticate, requireRole('super_admin'), validate(resetPasswordSchema), async (req, res, next) => {
+router.post('/staff/:id/reset-password', authenticate, requireRole('super_admin'), requireStepUp, validate(resetPasswordSchema), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { newPassword } = req.body;
@@ -476,6 +505,34 @@ router.post('/staff/:id/reset-password', authenticate, requireRole('super_admin'
   }
 });
 
+/**
+ * POST /api/admin/staff/:id/reset-2fa
+ * Reset a staff member's two-factor authentication
+ * They enrol a new authenticator at their next login.
+ * Requires step-up verification (X-Step-Up-Token)
+ */
+router.post('/staff/:id/reset-2fa', authenticate, requireRole('super_admin'), requireStepUp, async (req, res, next) => {
+  try {
+    await staffSecurityService.resetTwoFactor(req.params.id, req.user._id);
+    
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset successfully'
+    });
+  } catch (error) {
+    if (error.code === 'STAFF_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+    next(error);
+  }
+});
+
 /**
  * POST /api/admin/staff/:id/activate
  * Reactivate a deactivated staff account
@@ -554,6 +611,7 @@ router.get('/support/tickets', authenticate, requirePermission('tickets:read'),
   try {
     const { page, limit, status, priority, category, assignedTo, search } = req.query;
     
+    const scope = await accessScopeService.getAccessScope(req.user);
     const result = await staffService.getSupportTickets({
       page,
       limit,
@@ -562,7 +620,7 @@ router.get('/support/tickets', authenticate, requirePermission('tickets:read'),
       category,
       assignedTo,
       search
-    });
+    }, scope);
     
     res.json({
       success: true,
@@ -582,7 +640,7 @@ router.get('/support/tickets', authenticate, requirePermission('tickets:read'),
  * Get a single support ticket by ID
  * Requirements: 4.3
  */
-router.get('/support/tickets/:id', authenticate, requirePermission('tickets:read'), async (req, res, next) => {
+router.get('/support/tickets/:id', authenticate, requirePermission('tickets:read'), requireScope('ticket'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -611,7 +669,7 @@ router.get('/support/tickets/:id', authenticate, requirePermission('tickets:read
  * Update support ticket status
  * Requirements: 4.3
  */
-router.put('/support/tickets/:id/status', authenticate, requirePermission('tickets:write'), validate(updateTicketStatusSchema), async (req, res, next) => {
+router.put('/support/tickets/:id/status', authenticate, requirePermission('tickets:write'), requireScope('ticket'), validate(updateTicketStatusSchema), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -652,7 +710,7 @@ router.put('/support/tickets/:id/status', authenticate, requirePermission('ticke
  * Add a message to a support ticket
  * Requirements: 4.3
  */
-router.post('/support/tickets/:id/messages', authenticate, requirePermission('tickets:write'), validate(addTicketMessageSchema), async (req, res, next) => {
+router.post('/support/tickets/:id/messages', authenticate, requirePermission('tickets:write'), requireScope('ticket'), validate(addTicketMessageSchema), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { message } = req.body;
@@ -693,7 +751,7 @@ router.post('/support/tickets/:id/messages', authenticate, requirePermission('ti
  * Assign a support ticket to a staff member
  * Requirements: 4.3
  */
-router.put('/support/tickets/:id/assign', authenticate, requirePermission('tickets:write'), validate(assignTicketSchema), async (req, res, next) => {
+router.put('/support/tickets/:id/assign', authenticate, requirePermission('tickets:write'), requireScope('ticket'), validate(assignTicketSchema), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { assigneeId } = req.body;
@@ -729,6 +787,305 @@ router.put('/support/tickets/:id/assign', authenticate, requirePermission('ticke
   }
 });
 
+// ============================================
+// No-show Dispute Endpoints
+// ============================================
+
+const noShowService = require('../services/noShowService');
+
+const resolveNoShowSchema = Joi.object({
+  outcome: Joi.string().valid('upheld', 'overturned').required(),
+  note: Joi.string().trim().max(1000).optional()
+});
+
+/**
+ * POST /api/admin/no-shows/:bookingId/resolve
+ * Resolve a passenger's no-show dispute
+ * Overturning refunds the charge, reverses the driver's compensation and
+ * removes the strike from the passenger's reputation
+ */
+router.post('/no-shows/:bookingId/resolve', authenticate, requirePermission('tickets:write'), validate(resolveNoShowSchema), async (req, res, next) => {
+  try {
+    const result = await noShowService.resolveNoShowDispute(req.params.bookingId, req.body, req.user._id);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (['BOOKING_NOT_FOUND', 'NO_OPEN_DISPUTE'].includes(error.code)) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+    next(error);
+  }
+});
+
+// ============================================
+// Payment Dispute Endpoints
+// ============================================
+
+const disputeService = require('../services/disputeService');
+
+const DISPUTE_ERROR_CODES = [
+  'DISPUTE_NOT_FOUND',
+  'DISPUTE_NOT_OPEN',
+  'RESPONSE_DEADLINE_PASSED',
+  'BOOKING_NOT_LINKED'
+];
+
+const getDisputesSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('open', 'contested', 'under_review', 'accepted', 'won', 'lost')
+});
+
+const disputeEvidenceSchema = Joi.object({
+  format: Joi.string().valid('json', 'pdf').default('json'),
+  file: Joi.string().valid('proof-of-service.pdf', 'invoice.pdf').default('proof-of-service.pdf')
+});
+
+const disputeDecisionSchema = Joi.object({
+  note: Joi.string().trim().max(1000).optional()
+});
+
+/**
+ * Send a dispute service error in the admin error format
+ * @returns {boolean} True if the error was handled
+ */
+const sendDisputeError = (res, error) => {
+  if (!DISPUTE_ERROR_CODES.includes(error.code)) return false;
+  res.status(error.statusCode).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message
+    }
+  });
+  return true;
+};
+
+/**
+ * GET /api/admin/disputes
+ * List payment disputes and chargebacks, soonest response deadline first
+ */
+router.get('/disputes', authenticate, requirePermission('disputes:read'), validate(getDisputesSchema, 'query'), async (req, res, next) => {
+  try {
+    const { page, limit, status } = req.query;
+    const result = await disputeService.listDisputes({ page, limit, status });
+
+    res.json({
+      success: true,
+      data: result.disputes,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/disputes/:id
+ * Get a dispute with its booking, trip, invoice and gateway history
+ */
+router.get('/disputes/:id', authenticate, requirePermission('disputes:read'), async (req, res, next) => {
+  try {
+    const result = await disputeService.getDispute(req.params.id);
+
+    res.json({
+      success: true,
+      data: result.dispute
+    });
+  } catch (error) {
+    if (sendDisputeError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/disputes/:id/evidence
+ * Assemble the dispute evidence from current booking, trip and invoice data
+ *
+ * format=json returns every file base64-encoded with the evidence data hash;
+ * format=pdf downloads one PDF (proof-of-service.pdf or invoice.pdf).
+ */
+router.get('/disputes/:id/evidence', authenticate, requirePermission('disputes:read'), validate(disputeEvidenceSchema, 'query'), async (req, res, next) => {
+  try {
+    const { format, file } = req.query;
+    const { dataHash, files } = await disputeService.getDisputeEvidence(req.params.id);
+
+    if (format === 'pdf') {
+      const pdf = files.find(f => f.name === file);
+      if (!pdf) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'EVIDENCE_FILE_NOT_FOUND',
+            message: `${file} is not available for this dispute`
+          }
+        });
+      }
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="dispute-${req.params.id}-${file}"`);
+      res.setHeader('X-Evidence-Data-Hash', dataHash);
+      return res.send(pdf.data);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        dataHash,
+        files: files.map(f => ({
+          name: f.name,
+          docType: f.docType || null,
+          contentType: f.contentType,
+          encoding: 'base64',
+          data: f.data.toString('base64')
+        }))
+      }
+    });
+  } catch (error) {
+    if (sendDisputeError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/disputes/:id/accept
+ * Accept a dispute at the gateway; the driver's share is clawed back
+ */
+router.post('/disputes/:id/accept', authenticate, requirePermission('disputes:write'), validate(disputeDecisionSchema), async (req, res, next) => {
+  try {
+    const result = await disputeService.acceptDispute(req.params.id, req.body, req.user._id);
+
+    res.json({
+      success: true,
+      data: result.dispute
+    });
+  } catch (error) {
+    if (sendDisputeError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/disputes/:id/contest
+ * Contest a dispute by uploading the invoice and proof-of-service PDFs
+ */
+router.post('/disputes/:id/contest', authenticate, requirePermission('disputes:write'), validate(disputeDecisionSchema), async (req, res, next) => {
+  try {
+    const result = await disputeService.contestDispute(req.params.id, req.body, req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        dispute: result.dispute,
+        uploaded: result.uploaded
+      }
+    });
+  } catch (error) {
+    if (sendDisputeError(res, error)) return;
+    next(error);
+  }
+});
+
+// ============================================
+// Ledger Endpoints
+// ============================================
+
+const ledgerService = require('../services/ledgerService');
+
+const trialBalanceSchema = Joi.object({
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional()
+});
+
+const walletMismatchesSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+const ledgerAccountSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+/**
+ * GET /api/admin/ledger/trial-balance
+ * Trial balance by account class as of the end of an IST date
+ * Stored daily snapshots are returned as taken; other dates are computed live
+ */
+router.get('/ledger/trial-balance', authenticate, requirePermission('ledger:read'), validate(trialBalanceSchema, 'query'), async (req, res, next) => {
+  try {
+    const result = await ledgerService.getTrialBalance(req.query.date);
+
+    res.json({
+      success: true,
+      data: result.trialBalance,
+      live: result.live
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/ledger/wallet-mismatches
+ * Wallets whose balance counters disagree with their ledger balance
+ */
+router.get('/ledger/wallet-mismatches', authenticate, requirePermission('ledger:read'), validate(walletMismatchesSchema, 'query'), async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+    const result = await ledgerService.findWalletMismatches({ page, limit });
+
+    res.json({
+      success: true,
+      data: result.mismatches,
+      checkedWallets: result.checkedWallets,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/ledger/accounts/:account
+ * Journal entries and balance of one account (e.g. platform_revenue or
+ * wallet_cash:<userId>)
+ */
+router.get('/ledger/accounts/:account', authenticate, requirePermission('ledger:read'), validate(ledgerAccountSchema, 'query'), async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+    const result = await ledgerService.getAccountEntries(req.params.account, { page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        account: result.account,
+        balance: result.balance,
+        entries: result.entries
+      },
+      pagination: result.pagination
+    });
+  } catch (error) {
+    if (error.code === 'UNKNOWN_ACCOUNT') {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+    next(error);
+  }
+});
+
 // ============================================
 // Filtered User Lookup API Routes (Customer Support)
 // Requirements: 4.2
@@ -743,12 +1100,13 @@ router.get('/support/users', authenticate, requirePermission('passengers:read'),
   try {
     const { page, limit, role, search } = req.query;
     
+    const scope = await accessScopeService.getAccessScope(req.user);
     const result = await staffService.searchUsersFiltered({
       page,
       limit,
       role,
       search
-    });
+    }, scope);
     
     res.json({
       success: true,
@@ -765,7 +1123,7 @@ router.get('/support/users', authenticate, requirePermission('passengers:read'),
  * Get filtered user details by ID, phone, or email (excludes sensitive financial data)
  * Requirements: 4.2
  */
-router.get('/support/users/:identifier', authenticate, requirePermission('passengers:read'), async (req, res, next) => {
+router.get('/support/users/:identifier', authenticate, requirePermission('passengers:read'), requireScope('user', 'identifier'), async (req, res, next) => {
   try {
     const { identifier } = req.params;
     
@@ -1014,43 +1372,104 @@ router.get('/trips/:id/location', authenticate, async (req, res, next) => {
 });
 
 // ============================================
-// Payment Endpoints
-// Requirements: 5.1, 5.2, 5.3, 5.4, 5.5
+// Trip Chat Endpoints
 // ============================================
 
-/**
- * Validation schemas for payment endpoints
- */
-const getPaymentsSchema = Joi.object({
-  page: Joi.number().integer().min(1).default(1),
-  limit: Joi.number().integer().min(1).max(100).default(20),
-  startDate: Joi.date().iso(),
-  endDate: Joi.date().iso().min(Joi.ref('startDate')),
-  status: Joi.string().valid('pending', 'completed', 'failed')
-});
-
-const refundSchema = Joi.object({
-  amount: Joi.number().positive().required(),
-  reason: Joi.string().required().max(500).trim(),
-  passengerId: Joi.string().hex().length(24)
-});
+const chatService = require('../services/chatService');
 
-const exportReportSchema = Joi.object({
-  format: Joi.string().valid('csv', 'pdf').required(),
-  reportType: Joi.string().valid('transactions', 'revenue', 'payouts').default('transactions'),
-  startDate: Joi.date().iso(),
-  endDate: Joi.date().iso().min(Joi.ref('startDate'))
-});
+const getTripChatSchema = Joi.object({
+  ticketId: Joi.string().max(50),
+  sosAlertId: Joi.string().hex().length(24)
+}).xor('ticketId', 'sosAlertId');
 
 /**
- * GET /api/admin/payments
- * Get paginated list of payments with dashboard metrics
- * Requirements: 5.1
+ * GET /api/admin/trips/:id/chat
+ * View a trip's passenger-driver chat while handling a support ticket or SOS alert
+ * Access is audit logged against the case
  */
-router.get('/payments', authenticate, validate(getPaymentsSchema, 'query'), async (req, res, next) => {
+router.get('/trips/:id/chat', authenticate, requirePermission('chat:read'), validate(getTripChatSchema, 'query'), async (req, res, next) => {
   try {
-    const { page = 1, limit = 20, startDate, endDate, status } = req.query;
-    
+    const { id } = req.params;
+    const staffId = req.user?._id || req.user?.id;
+
+    const result = await chatService.getTripChatForStaff(id, staffId, {
+      ticketId: req.query.ticketId,
+      sosAlertId: req.query.sosAlertId,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error.code === 'TRIP_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+    if (error.code === 'CASE_NOT_LINKED' || error.code === 'CASE_REQUIRED') {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+    next(error);
+  }
+});
+
+// ============================================
+// Payment Endpoints
+// Requirements: 5.1, 5.2, 5.3, 5.4, 5.5
+// ============================================
+
+/**
+ * Validation schemas for payment endpoints
+ */
+const getPaymentsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')),
+  status: Joi.string().valid('pending', 'completed', 'failed')
+});
+
+const refundSchema = Joi.object({
+  amount: Joi.number().positive().required(),
+  reason: Joi.string().required().max(500).trim(),
+  passengerId: Joi.string().hex().length(24)
+});
+
+const exportReportSchema = Joi.object({
+  format: Joi.string().valid('csv', 'pdf', 'xlsx').required(),
+  reportType: Joi.string().valid('transactions', 'revenue', 'payouts').default('transactions'),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate'))
+});
+
+const gstr1ExportSchema = Joi.object({
+  period: Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])$/).required()
+    .messages({ 'string.pattern.base': 'period must be in YYYY-MM format' }),
+  format: Joi.string().valid('json', 'csv').default('json')
+});
+
+/**
+ * GET /api/admin/payments
+ * Get paginated list of payments with dashboard metrics
+ * Requirements: 5.1
+ */
+router.get('/payments', authenticate, validate(getPaymentsSchema, 'query'), async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, startDate, endDate, status } = req.query;
+    
     const skip = (page - 1) * limit;
     
     // Build query for trips with payment data
@@ -1202,9 +1621,10 @@ router.get('/payments/:id', authenticate, async (req, res, next) => {
 /**
  * POST /api/admin/payments/:id/refund
  * Process a refund for a trip
+ * Requires step-up verification (X-Step-Up-Token)
  * Requirements: 5.4
  */
-router.post('/payments/:id/refund', authenticate, validate(refundSchema), async (req, res, next) => {
+router.post('/payments/:id/refund', authenticate, requirePermission('payments:write'), requireStepUp, validate(refundSchema), requireRefundLimit(), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { amount, reason, passengerId } = req.body;
@@ -1254,6 +1674,7 @@ const Transaction = require('../models/Transaction');
 const Booking = require('../models/Booking');
 const cashfreeService = require('../services/cashfreeService');
 const { calculateCancellationCharges, PLATFORM_FEE } = require('../services/cashfreePaymentCalculation');
+const invoiceService = require('../services/invoiceService');
 
 /**
  * Validation schema for Cashfree refund
@@ -1265,21 +1686,76 @@ const cashfreeRefundSchema = Joi.object({
   useCalculatedAmount: Joi.boolean().default(true)
 });
 
+/**
+ * Load the booking, its captured payment and trip for a refund
+ * Cached on the request so the refund limit check and the route share one
+ * lookup; missing records are null and reported by the route.
+ *
+ * @param {Object} req - Express request (body.bookingId)
+ * @returns {Promise<Object>} { booking, originalTransaction, trip }
+ */
+const loadRefundContext = async (req) => {
+  if (!req.refundContext) {
+    const booking = await Booking.findByBookingId(req.body.bookingId);
+    const originalTransaction = booking ? await Transaction.findOne({
+      bookingId: booking._id,
+      type: 'collection',
+      status: { $in: ['captured', 'completed', 'authorized'] }
+    }) : null;
+    const trip = booking ? await Trip.findById(booking.tripId) : null;
+    req.refundContext = { booking, originalTransaction, trip };
+  }
+  return req.refundContext;
+};
+
+/**
+ * Amount a booking refund pays out: the requested amount, or the
+ * cancellation-policy refund when useCalculatedAmount is set (or no amount
+ * is given)
+ *
+ * @param {Object} context - { booking, originalTransaction, trip }
+ * @param {Object} request - { amount, useCalculatedAmount }
+ * @returns {Object} { refundAmount, cancellationDetails }
+ */
+const calculateBookingRefundAmount = ({ booking, originalTransaction, trip }, { amount, useCalculatedAmount }) => {
+  if (!useCalculatedAmount && amount) {
+    return { refundAmount: amount, cancellationDetails: null };
+  }
+
+  const cancellationDetails = calculateCancellationCharges({
+    baseFare: originalTransaction.breakdown?.baseFare || booking.fare,
+    platformFee: originalTransaction.breakdown?.platformFee || PLATFORM_FEE,
+    freeCancellationFee: originalTransaction.breakdown?.freeCancellationFee || 0,
+    hasFreeCancellation: originalTransaction.metadata?.hasFreeCancellation || false,
+    appliedDiscount: originalTransaction.breakdown?.discountApplied || 0,
+    departureTime: trip?.scheduledAt || trip?.departureTime || new Date()
+  }, new Date());
+  return { refundAmount: cancellationDetails.netRefund, cancellationDetails };
+};
+
 /**
  * POST /api/admin/refunds
  * Process a refund for a booking via Cashfree
  * Calculates refund amount based on cancellation policy
  * Updates booking and transaction records
+ * Requires step-up verification (X-Step-Up-Token); the role's refund cap
+ * applies to the amount actually refunded
  * 
  * Requirements: 8.1, 8.2, 8.3, 8.4, 8.5
  */
-router.post('/refunds', authenticate, requirePermission('payments:write'), validate(cashfreeRefundSchema), async (req, res, next) => {
+router.post('/refunds', authenticate, requirePermission('payments:write'), requireStepUp, validate(cashfreeRefundSchema), requireRefundLimit(
+  async (req) => {
+    const context = await loadRefundContext(req);
+    return context.originalTransaction ? calculateBookingRefundAmount(context, req.body).refundAmount : 0;
+  },
+  'booking',
+  async (req) => (await loadRefundContext(req)).booking?._id
+), async (req, res, next) => {
   try {
-    const { bookingId, amount, reason, useCalculatedAmount } = req.body;
+    const { reason } = req.body;
     const adminId = req.user?._id || req.user?.id;
     
-    // Find the booking
-    const booking = await Booking.findByBookingId(bookingId);
+    const { booking, originalTransaction, trip } = await loadRefundContext(req);
     if (!booking) {
       return res.status(404).json({
         success: false,
@@ -1312,13 +1788,6 @@ router.post('/refunds', authenticate, requirePermission('payments:write'), valid
       });
     }
     
-    // Find the original transaction
-    const originalTransaction = await Transaction.findOne({
-      bookingId: booking._id,
-      type: 'collection',
-      status: { $in: ['captured', 'completed', 'authorized'] }
-    });
-    
     if (!originalTransaction) {
       return res.status(400).json({
         success: false,
@@ -1329,29 +1798,8 @@ router.post('/refunds', authenticate, requirePermission('payments:write'), valid
       });
     }
     
-    // Get trip for departure time
-    const Trip = require('../models/Trip');
-    const trip = await Trip.findById(booking.tripId);
-    
     // Calculate refund amount based on cancellation policy if not specified
-    let refundAmount = amount;
-    let cancellationDetails = null;
-    
-    if (useCalculatedAmount || !amount) {
-      // Build booking data for cancellation calculation
-      const bookingData = {
-        baseFare: originalTransaction.breakdown?.baseFare || booking.fare,
-        platformFee: originalTransaction.breakdown?.platformFee || PLATFORM_FEE,
-        freeCancellationFee: originalTransaction.breakdown?.freeCancellationFee || 0,
-        hasFreeCancellation: originalTransaction.metadata?.hasFreeCancellation || false,
-        appliedDiscount: originalTransaction.breakdown?.discountApplied || 0,
-        departureTime: trip?.scheduledAt || trip?.departureTime || new Date()
-      };
-      
-      // Calculate cancellation charges
-      cancellationDetails = calculateCancellationCharges(bookingData, new Date());
-      refundAmount = cancellationDetails.netRefund;
-    }
+    const { refundAmount, cancellationDetails } = calculateBookingRefundAmount({ booking, originalTransaction, trip }, req.body);
     
     // Validate refund amount
     const validation = cashfreeService.validateRefundAmount(
@@ -1477,6 +1925,20 @@ router.post('/refunds', authenticate, requirePermission('payments:write'), valid
     };
     await originalTransaction.save();
     
+    // Issue a GST credit note against the booking's tax invoice
+    let creditNoteNumber = null;
+    try {
+      const creditNoteResult = await invoiceService.issueCreditNote(booking, {
+        amount: refundAmount,
+        reason,
+        source: 'admin_refund',
+        refundReference: refundTransactionId
+      });
+      creditNoteNumber = creditNoteResult.creditNote?.invoiceId || null;
+    } catch (creditNoteError) {
+      console.error('Failed to issue credit note:', creditNoteError.message);
+    }
+    
     res.status(200).json({
       success: true,
       message: 'Refund processed successfully',
@@ -1485,6 +1947,7 @@ router.post('/refunds', authenticate, requirePermission('payments:write'), valid
         refundId: refundResponse?.refundId || refundId,
         refundAmount,
         refundStatus,
+        creditNoteNumber,
         refundType: validation.isFullRefund ? 'full' : 'partial',
         booking: {
           bookingId: booking.bookingId,
@@ -1592,18 +2055,43 @@ router.get('/refunds/:bookingId', authenticate, requirePermission('payments:read
   }
 });
 
+/**
+ * Load the booking and its latest pending or failed refund
+ * Cached on the request so the refund limit check and the route share one
+ * lookup; missing records are null and reported by the route.
+ *
+ * @param {Object} req - Express request (params.bookingId)
+ * @returns {Promise<Object>} { booking, failedRefund }
+ */
+const loadRefundRetryContext = async (req) => {
+  if (!req.refundContext) {
+    const booking = await Booking.findByBookingId(req.params.bookingId);
+    const failedRefund = booking ? await Transaction.findOne({
+      bookingId: booking._id,
+      type: 'refund',
+      status: { $in: ['pending', 'failed'] }
+    }).sort({ createdAt: -1 }) : null;
+    req.refundContext = { booking, failedRefund };
+  }
+  return req.refundContext;
+};
+
 /**
  * POST /api/admin/refunds/:bookingId/retry
  * Retry a failed refund
+ * Requires step-up verification (X-Step-Up-Token); the role's refund cap
+ * applies to the refund being retried
  * Requirements: 8.5 - Allow admin to retry failed refunds
  */
-router.post('/refunds/:bookingId/retry', authenticate, requirePermission('payments:write'), async (req, res, next) => {
+router.post('/refunds/:bookingId/retry', authenticate, requirePermission('payments:write'), requireStepUp, requireRefundLimit(
+  async (req) => (await loadRefundRetryContext(req)).failedRefund?.amount || 0,
+  'booking',
+  async (req) => (await loadRefundRetryContext(req)).booking?._id
+), async (req, res, next) => {
   try {
-    const { bookingId } = req.params;
     const adminId = req.user?._id || req.user?.id;
     
-    // Find the booking
-    const booking = await Booking.findByBookingId(bookingId);
+    const { booking, failedRefund } = await loadRefundRetryContext(req);
     if (!booking) {
       return res.status(404).json({
         success: false,
@@ -1614,13 +2102,6 @@ router.post('/refunds/:bookingId/retry', authenticate, requirePermission('paymen
       });
     }
     
-    // Find the failed refund transaction
-    const failedRefund = await Transaction.findOne({
-      bookingId: booking._id,
-      type: 'refund',
-      status: { $in: ['pending', 'failed'] }
-    }).sort({ createdAt: -1 });
-    
     if (!failedRefund) {
       return res.status(400).json({
         success: false,
@@ -1709,7 +2190,8 @@ const getDocumentsSchema = Joi.object({
   limit: Joi.number().integer().min(1).max(100).default(20),
   status: Joi.string().valid('pending', 'approved', 'rejected'),
   type: Joi.string().valid('license', 'registration', 'insurance', 'kyc', 'selfie_with_car', 'vehicle_photo'),
-  driverId: Joi.string().hex().length(24)
+  driverId: Joi.string().hex().length(24),
+  fastTrack: Joi.boolean()
 });
 
 const verifyDocumentSchema = Joi.object({
@@ -1718,9 +2200,25 @@ const verifyDocumentSchema = Joi.object({
     is: 'rejected',
     then: Joi.required(),
     otherwise: Joi.forbidden()
+  }),
+  // Approve although the selfie and ID photo did not match
+  faceMatchOverride: Joi.string().min(10).max(500).trim().when('status', {
+    is: 'approved',
+    otherwise: Joi.forbidden()
   })
 });
 
+const getSelfieChecksSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('passed', 'failed', 'no_face', 'error'),
+  locked: Joi.boolean()
+});
+
+const unlockSelfieChecksSchema = Joi.object({
+  note: Joi.string().min(10).max(500).trim().required()
+});
+
 /**
  * GET /api/admin/documents
  * Get paginated list of documents for review with presigned URLs
@@ -1728,15 +2226,17 @@ const verifyDocumentSchema = Joi.object({
  */
 router.get('/documents', authenticate, requirePermission('documents:read'), validate(getDocumentsSchema, 'query'), async (req, res, next) => {
   try {
-    const { page, limit, status, type, driverId } = req.query;
+    const { page, limit, status, type, driverId, fastTrack } = req.query;
     
+    const scope = await accessScopeService.getAccessScope(req.user);
     const result = await documentService.getDocumentsForReview({
       page,
       limit,
       status,
       type,
-      driverId
-    });
+      driverId,
+      fastTrack
+    }, scope);
 
     // Get document stats for dashboard
     const stats = await documentService.getDocumentStats();
@@ -1780,13 +2280,93 @@ router.get('/documents', authenticate, requirePermission('documents:read'), vali
   }
 });
 
+/**
+ * GET /api/admin/documents/selfie-checks
+ * Pre-trip selfie checks across drivers, newest first
+ * NOTE: This route MUST be defined BEFORE /documents/:id to avoid route conflicts
+ */
+router.get('/documents/selfie-checks', authenticate, requirePermission('documents:read'), validate(getSelfieChecksSchema, 'query'), async (req, res, next) => {
+  try {
+    const { page, limit, status, locked } = req.query;
+    const scope = await accessScopeService.getAccessScope(req.user);
+    const result = await faceVerificationService.listSelfieChecks({ page, limit, status, locked }, scope);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/documents/driver/:driverId/face-verification
+ * Selfie-to-ID match and selfie check history for a driver
+ */
+router.get('/documents/driver/:driverId/face-verification', authenticate, requirePermission('documents:read'), requireScope('driver', 'driverId'), async (req, res, next) => {
+  try {
+    const result = await faceVerificationService.getFaceVerification(req.params.driverId);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error.code === 'DRIVER_NOT_FOUND' || error.code === 'INVALID_DRIVER_ID') {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/documents/driver/:driverId/face-verification/unlock
+ * Allow trip starts again after reviewing failed selfie checks
+ * The driver must pass a fresh selfie check before the next trip
+ */
+router.post('/documents/driver/:driverId/face-verification/unlock', authenticate, requirePermission('documents:verify'), requireScope('driver', 'driverId'), validate(unlockSelfieChecksSchema), async (req, res, next) => {
+  try {
+    const result = await faceVerificationService.unlockSelfieChecks({
+      driverId: req.params.driverId,
+      reviewer: req.user,
+      note: req.body.note,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Driver can start trips after passing a new selfie check'
+    });
+  } catch (error) {
+    if (error.code === 'DRIVER_NOT_FOUND' || error.code === 'INVALID_DRIVER_ID') {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+    next(error);
+  }
+});
+
 /**
  * GET /api/admin/documents/driver/:driverId
  * Get all documents for a specific driver with presigned URLs
  * Requirements: 3.1, 5.1, 5.2, 6.2
  * NOTE: This route MUST be defined BEFORE /documents/:id to avoid route conflicts
  */
-router.get('/documents/driver/:driverId', authenticate, requirePermission('documents:read'), async (req, res, next) => {
+router.get('/documents/driver/:driverId', authenticate, requirePermission('documents:read'), requireScope('driver', 'driverId'), async (req, res, next) => {
   try {
     const { driverId } = req.params;
     
@@ -1832,7 +2412,7 @@ router.get('/documents/driver/:driverId', authenticate, requirePermission('docum
  * Requirements: 3.1, 5.3
  * NOTE: This route MUST be defined BEFORE /documents/:id to avoid route conflicts
  */
-router.get('/documents/:id/url', authenticate, requirePermission('documents:read'), async (req, res, next) => {
+router.get('/documents/:id/url', authenticate, requirePermission('documents:read'), requireScope('document'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -1866,7 +2446,7 @@ router.get('/documents/:id/url', authenticate, requirePermission('documents:read
  * Requirements: 3.1, 5.2, 5.3, 6.2
  * NOTE: This route MUST be defined AFTER more specific routes like /documents/driver/:driverId
  */
-router.get('/documents/:id', authenticate, requirePermission('documents:read'), async (req, res, next) => {
+router.get('/documents/:id', authenticate, requirePermission('documents:read'), requireScope('document'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -1906,7 +2486,7 @@ const missingDocumentsSchema = Joi.object({
  * Mark documents as missing and notify driver
  * Requirements: 2.4, 3.1
  */
-router.post('/drivers/:id/missing-documents', authenticate, requirePermission('documents:write'), validate(missingDocumentsSchema), async (req, res, next) => {
+router.post('/drivers/:id/missing-documents', authenticate, requirePermission('documents:write'), requireScope('driver'), validate(missingDocumentsSchema), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { documentTypes, message } = req.body;
@@ -1946,10 +2526,10 @@ router.post('/drivers/:id/missing-documents', authenticate, requirePermission('d
  * Approve or reject a document
  * Requirements: 3.2, 3.3, 3.4, 3.5, 6.3, 6.4
  */
-router.post('/documents/:id/verify', authenticate, requirePermission('documents:verify'), validate(verifyDocumentSchema), async (req, res, next) => {
+router.post('/documents/:id/verify', authenticate, requirePermission('documents:verify'), requireScope('document'), validate(verifyDocumentSchema), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status, reason } = req.body;
+    const { status, reason, faceMatchOverride } = req.body;
     
     // Validate document ID parameter
     const mongoose = require('mongoose');
@@ -1972,7 +2552,8 @@ router.post('/documents/:id/verify', authenticate, requirePermission('documents:
     const result = await documentService.verifyDocument(docIdStr, {
       status,
       reviewerId,
-      reason
+      reason,
+      faceMatchOverride
     });
     
     res.json({
@@ -1990,6 +2571,16 @@ router.post('/documents/:id/verify', authenticate, requirePermission('documents:
         }
       });
     }
+    if (error.code === 'FACE_MISMATCH') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+          faceMatch: error.idMatch
+        }
+      });
+    }
     if (error.code === 'DOCUMENT_ALREADY_PROCESSED' || 
         error.code === 'REASON_REQUIRED' || 
         error.code === 'INVALID_STATUS' ||
@@ -2012,6 +2603,8 @@ router.post('/documents/:id/verify', authenticate, requirePermission('documents:
 // ============================================
 
 const sosService = require('../services/sosService');
+const sosEvidenceService = require('../services/sosEvidenceService');
+const { auditMiddlewares, getClientIP } = require('../middleware/auditLog');
 
 /**
  * Validation schemas for SOS endpoints
@@ -2027,6 +2620,33 @@ const resolveSOSSchema = Joi.object({
   actionsTaken: Joi.array().items(Joi.string().max(500).trim()).default([])
 });
 
+const exportEvidenceSchema = Joi.object({
+  format: Joi.string().valid('json', 'pdf').default('json'),
+  recipient: Joi.string().max(200).trim(),
+  reference: Joi.string().max(100).trim()
+});
+
+const verifyEvidenceSchema = Joi.object({
+  manifest: Joi.object({
+    version: Joi.number().integer().required(),
+    alertId: Joi.string().required(),
+    generatedAt: Joi.string().required(),
+    generatedBy: Joi.string().allow(null),
+    algorithm: Joi.string().valid('SHA-256').required(),
+    files: Joi.array().items(Joi.object({
+      name: Joi.string().required(),
+      contentType: Joi.string().required(),
+      bytes: Joi.number().integer().min(0).required(),
+      sha256: Joi.string().hex().length(64).required()
+    })).required()
+  }).required(),
+  signature: Joi.string().hex().required(),
+  files: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    data: Joi.string().base64().required()
+  })).default([])
+});
+
 /**
  * GET /api/admin/sos
  * Get paginated list of SOS alerts
@@ -2087,7 +2707,7 @@ router.get('/sos/:id', authenticate, async (req, res, next) => {
  * POST /api/admin/sos/:id/acknowledge
  * Acknowledge an SOS alert
  */
-router.post('/sos/:id/acknowledge', authenticate, async (req, res, next) => {
+router.post('/sos/:id/acknowledge', authenticate, auditMiddlewares.sosAcknowledge, async (req, res, next) => {
   try {
     const { id } = req.params;
     const adminId = req.user?._id || req.user?.id;
@@ -2127,7 +2747,7 @@ router.post('/sos/:id/acknowledge', authenticate, async (req, res, next) => {
  * Resolve an SOS alert
  * Requirements: 7.5
  */
-router.post('/sos/:id/resolve', authenticate, validate(resolveSOSSchema), async (req, res, next) => {
+router.post('/sos/:id/resolve', authenticate, validate(resolveSOSSchema), auditMiddlewares.sosResolve, async (req, res, next) => {
   try {
     const { id } = req.params;
     const { resolution, actionsTaken } = req.body;
@@ -2167,9 +2787,91 @@ router.post('/sos/:id/resolve', authenticate, validate(resolveSOSSchema), async
   }
 });
 
+/**
+ * GET /api/admin/sos/:id/evidence
+ * Export a signed evidence bundle (PDF report, evidence JSON and manifest)
+ * for police or insurers. Each export is recorded in the audit log.
+ *
+ * format=json returns every file base64-encoded with the manifest and signature;
+ * format=pdf downloads the report with the manifest and signature in headers.
+ */
+router.get('/sos/:id/evidence', authenticate, requirePermission('sos:export'), validate(exportEvidenceSchema, 'query'), async (req, res, next) => {
+  try {
+    const { format, recipient, reference } = req.query;
+
+    const bundle = await sosEvidenceService.exportEvidenceBundle(req.params.id, {
+      staffId: req.user._id,
+      recipient,
+      reference,
+      ipAddress: getClientIP(req),
+      userAgent: req.headers['user-agent']
+    });
+
+    if (format === 'pdf') {
+      const pdf = bundle.files.find(file => file.name === 'evidence.pdf');
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="sos-evidence-${req.params.id}.pdf"`);
+      res.setHeader('X-Evidence-Manifest', Buffer.from(sosEvidenceService.canonicalize(bundle.manifest)).toString('base64'));
+      res.setHeader('X-Evidence-Signature', bundle.signature);
+      return res.send(pdf.data);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        manifest: bundle.manifest,
+        signature: bundle.signature,
+        files: bundle.files.map(file => ({
+          name: file.name,
+          contentType: file.contentType,
+          encoding: 'base64',
+          data: file.data.toString('base64')
+        }))
+      }
+    });
+  } catch (error) {
+    if (error.code === 'ALERT_NOT_FOUND' || error.code === 'SIGNING_NOT_CONFIGURED') {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/sos/evidence/verify
+ * Check an evidence bundle's signature and file hashes
+ */
+router.post('/sos/evidence/verify', authenticate, requirePermission('sos:export'), validate(verifyEvidenceSchema), async (req, res, next) => {
+  try {
+    const result = sosEvidenceService.verifyEvidenceBundle(req.body);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error.code === 'SIGNING_NOT_CONFIGURED') {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+    next(error);
+  }
+});
+
 /**
  * GET /api/admin/reports/export
- * Export financial reports in CSV or PDF format
+ * Export financial reports as a CSV, PDF or XLSX download
  * Requirements: 5.5
  */
 router.get('/reports/export', authenticate, validate(exportReportSchema, 'query'), async (req, res, next) => {
@@ -2183,26 +2885,50 @@ router.get('/reports/export', authenticate, validate(exportReportSchema, 'query'
       endDate
     });
 
-    // For CSV, send as downloadable file
+    res.setHeader('Content-Type', result.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.setHeader('X-Record-Count', String(result.recordCount));
+    res.send(result.content);
+  } catch (error) {
+    if (error.code === 'INVALID_FORMAT' || error.code === 'INVALID_REPORT_TYPE') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/reports/gstr1
+ * Export the monthly GSTR-1 return (tax invoices and credit notes) as JSON or CSV
+ */
+router.get('/reports/gstr1', authenticate, requirePermission('reports:read'), validate(gstr1ExportSchema, 'query'), async (req, res, next) => {
+  try {
+    const { period, format } = req.query;
+    const result = await reportService.exportGstr1({ period, format });
+
     if (format === 'csv') {
       res.setHeader('Content-Type', 'text/csv');
       res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
       return res.send(result.content);
     }
 
-    // For PDF, return JSON data (in production, would generate actual PDF)
     res.json({
       success: true,
       data: result.content,
       metadata: {
         filename: result.filename,
         recordCount: result.recordCount,
-        summary: result.summary,
         generatedAt: result.generatedAt
       }
     });
   } catch (error) {
-    if (error.code === 'INVALID_FORMAT' || error.code === 'INVALID_REPORT_TYPE') {
+    if (error.code === 'INVALID_FORMAT' || error.code === 'INVALID_PERIOD') {
       return res.status(400).json({
         success: false,
         error: {
@@ -2216,8 +2942,237 @@ router.get('/reports/export', authenticate, validate(exportReportSchema, 'query'
 });
 
 // ============================================
-// Live Tracking Dashboard Endpoints
-// Requirements: 4.1, 4.3, 4.4, 4.5
+// Scheduled Report Endpoints
+// ============================================
+
+const reportScheduleService = require('../services/reportScheduleService');
+
+const createReportScheduleSchema = Joi.object({
+  name: Joi.string().trim().max(200).required(),
+  reportType: Joi.string().valid('transactions', 'revenue', 'payouts').default('transactions'),
+  format: Joi.string().valid('pdf', 'xlsx', 'csv').default('pdf'),
+  frequency: Joi.string().valid('daily', 'weekly', 'monthly').required(),
+  recipients: Joi.array().items(Joi.string().email()).unique().max(50).default([]),
+  recipientRoles: Joi.array().items(Joi.string().valid('finance', 'admin', 'super_admin')).unique().default(['finance']),
+  isActive: Joi.boolean().default(true)
+}).custom((value, helpers) => {
+  if (value.recipients.length === 0 && value.recipientRoles.length === 0) {
+    return helpers.message('At least one recipient or recipient role is required');
+  }
+  return value;
+});
+
+const updateReportScheduleSchema = Joi.object({
+  name: Joi.string().trim().max(200),
+  reportType: Joi.string().valid('transactions', 'revenue', 'payouts'),
+  format: Joi.string().valid('pdf', 'xlsx', 'csv'),
+  frequency: Joi.string().valid('daily', 'weekly', 'monthly'),
+  recipients: Joi.array().items(Joi.string().email()).unique().max(50),
+  recipientRoles: Joi.array().items(Joi.string().valid('finance', 'admin', 'super_admin')).unique(),
+  isActive: Joi.boolean()
+}).min(1);
+
+const getReportSchedulesSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  isActive: Joi.boolean()
+});
+
+/**
+ * Send report schedule errors with their status code
+ * @param {Error} error - Error from reportScheduleService
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+const handleReportScheduleError = (error, res, next) => {
+  if (['REPORT_SCHEDULE_NOT_FOUND', 'INVALID_FREQUENCY'].includes(error.code)) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+  next(error);
+};
+
+/**
+ * GET /api/admin/report-schedules
+ * List scheduled report deliveries
+ */
+router.get('/report-schedules', authenticate, requirePermission('reports:read'), validate(getReportSchedulesSchema, 'query'), async (req, res, next) => {
+  try {
+    const result = await reportScheduleService.getSchedules(req.query);
+
+    res.json({
+      success: true,
+      data: result.schedules,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    handleReportScheduleError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/admin/report-schedules
+ * Create a daily, weekly or monthly report emailed to finance staff
+ */
+router.post('/report-schedules', authenticate, requirePermission('reports:write'), validate(createReportScheduleSchema), async (req, res, next) => {
+  try {
+    const result = await reportScheduleService.createSchedule(req.body, req.user?._id);
+
+    res.status(201).json({
+      success: true,
+      data: result.schedule
+    });
+  } catch (error) {
+    handleReportScheduleError(error, res, next);
+  }
+});
+
+/**
+ * PUT /api/admin/report-schedules/:id
+ * Update a report schedule
+ */
+router.put('/report-schedules/:id', authenticate, requirePermission('reports:write'), validate(updateReportScheduleSchema), async (req, res, next) => {
+  try {
+    const result = await reportScheduleService.updateSchedule(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: result.schedule
+    });
+  } catch (error) {
+    handleReportScheduleError(error, res, next);
+  }
+});
+
+/**
+ * DELETE /api/admin/report-schedules/:id
+ * Delete a report schedule
+ */
+router.delete('/report-schedules/:id', authenticate, requirePermission('reports:write'), async (req, res, next) => {
+  try {
+    await reportScheduleService.deleteSchedule(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Report schedule deleted'
+    });
+  } catch (error) {
+    handleReportScheduleError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/admin/report-schedules/:id/run
+ * Send a schedule's report now for its most recent period
+ */
+router.post('/report-schedules/:id/run', authenticate, requirePermission('reports:write'), async (req, res, next) => {
+  try {
+    const { result } = await reportScheduleService.runScheduleNow(req.params.id);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleReportScheduleError(error, res, next);
+  }
+});
+
+// ============================================
+// Driver Payout Endpoints
+// ============================================
+
+const payoutService = require('../services/payoutService');
+
+const getHeldEarningsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const earningsAdjustmentSchema = Joi.object({
+  amount: Joi.number().invalid(0).min(-100000).max(100000).required(),
+  reason: Joi.string().trim().max(500).required()
+});
+
+/**
+ * Send payout errors with their status code
+ * @param {Error} error - Error from payoutService
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+const handlePayoutError = (error, res, next) => {
+  if (['DRIVER_NOT_FOUND', 'INVALID_ADJUSTMENT'].includes(error.code)) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+  next(error);
+};
+
+/**
+ * GET /api/admin/payouts/holds
+ * List driver earnings held for an open SOS alert or payment ticket
+ */
+router.get('/payouts/holds', authenticate, requirePermission('payments:read'), validate(getHeldEarningsSchema, 'query'), async (req, res, next) => {
+  try {
+    const result = await payoutService.getHeldEarnings(req.query);
+
+    res.json({
+      success: true,
+      data: result.earnings,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    handlePayoutError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/admin/drivers/:driverId/earnings-adjustments
+ * Add a bonus (positive) or deduction (negative) to a driver's next payout
+ */
+router.post('/drivers/:driverId/earnings-adjustments', authenticate, requirePermission('payments:write'), validate(earningsAdjustmentSchema), async (req, res, next) => {
+  try {
+    const result = await payoutService.addAdjustment(req.params.driverId, req.body, req.user?._id);
+
+    res.status(201).json({
+      success: true,
+      data: result.adjustment
+    });
+  } catch (error) {
+    handlePayoutError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/admin/drivers/:driverId/payouts/run
+ * Pay a driver's unheld balance now, ignoring cycle and minimum payout
+ */
+router.post('/drivers/:driverId/payouts/run', authenticate, requirePermission('payments:write'), async (req, res, next) => {
+  try {
+    const result = await payoutService.processDriverPayout(req.params.driverId, { force: true });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handlePayoutError(error, res, next);
+  }
+});
+
+// ============================================
+// Live Tracking Dashboard Endpoints
+// Requirements: 4.1, 4.3, 4.4, 4.5
 // ============================================
 
 /**
@@ -2497,6 +3452,382 @@ router.post('/circuit-breakers/reset-all', authenticate, requireRole('super_admi
   }
 });
 
+// ============================================
+// Coupon Management Endpoints
+// ============================================
+
+const couponService = require('../services/couponService');
+
+const couponCodeSchema = Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]{3,30}$/);
+
+const createCouponSchema = Joi.object({
+  code: couponCodeSchema.required(),
+  description: Joi.string().trim().max(500),
+  discountType: Joi.string().valid('flat', 'percentage').required(),
+  discountValue: Joi.number().positive().required(),
+  maxDiscount: Joi.number().min(0),
+  minFare: Joi.number().min(0).default(0),
+  validFrom: Joi.date().iso().required(),
+  validUntil: Joi.date().iso().greater(Joi.ref('validFrom')).required(),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  perUserLimit: Joi.number().integer().min(1).default(1),
+  firstRideOnly: Joi.boolean().default(false),
+  eligibleTiers: Joi.array().items(Joi.string().valid('normal', 'silver', 'gold')).unique()
+});
+
+const updateCouponSchema = Joi.object({
+  description: Joi.string().trim().max(500),
+  discountType: Joi.string().valid('flat', 'percentage'),
+  discountValue: Joi.number().positive(),
+  maxDiscount: Joi.number().min(0).allow(null),
+  minFare: Joi.number().min(0),
+  validFrom: Joi.date().iso(),
+  validUntil: Joi.date().iso(),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  perUserLimit: Joi.number().integer().min(1),
+  firstRideOnly: Joi.boolean(),
+  eligibleTiers: Joi.array().items(Joi.string().valid('normal', 'silver', 'gold')).unique(),
+  isActive: Joi.boolean()
+}).min(1);
+
+const getCouponsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  isActive: Joi.boolean(),
+  search: Joi.string().max(30).trim()
+});
+
+/**
+ * Send coupon service errors with their status code
+ * @param {Error} error - Error from couponService
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+const handleCouponError = (error, res, next) => {
+  if (['COUPON_NOT_FOUND', 'DUPLICATE_COUPON_CODE', 'INVALID_COUPON_DATA'].includes(error.code)) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message,
+        details: error.details
+      }
+    });
+  }
+  next(error);
+};
+
+/**
+ * POST /api/admin/coupons
+ * Create a promo code
+ */
+router.post('/coupons', authenticate, requirePermission('coupons:write'), validate(createCouponSchema), async (req, res, next) => {
+  try {
+    const result = await couponService.createCoupon(req.body, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      data: result.coupon,
+      message: 'Coupon created successfully'
+    });
+  } catch (error) {
+    handleCouponError(error, res, next);
+  }
+});
+
+/**
+ * GET /api/admin/coupons
+ * List promo codes with filters
+ */
+router.get('/coupons', authenticate, requirePermission('coupons:read'), validate(getCouponsSchema, 'query'), async (req, res, next) => {
+  try {
+    const { page, limit, isActive, search } = req.query;
+
+    const result = await couponService.getCoupons({ page, limit, isActive, search });
+
+    res.json({
+      success: true,
+      data: result.coupons,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/coupons/:id
+ * Get a promo code with its redemption summary
+ */
+router.get('/coupons/:id', authenticate, requirePermission('coupons:read'), async (req, res, next) => {
+  try {
+    const result = await couponService.getCouponById(req.params.id);
+
+    res.json({
+      success: true,
+      data: result.coupon
+    });
+  } catch (error) {
+    handleCouponError(error, res, next);
+  }
+});
+
+/**
+ * PUT /api/admin/coupons/:id
+ * Update a promo code's rules
+ */
+router.put('/coupons/:id', authenticate, requirePermission('coupons:write'), validate(updateCouponSchema), async (req, res, next) => {
+  try {
+    const result = await couponService.updateCoupon(req.params.id, req.body, req.user._id);
+
+    res.json({
+      success: true,
+      data: result.coupon,
+      message: 'Coupon updated successfully'
+    });
+  } catch (error) {
+    handleCouponError(error, res, next);
+  }
+});
+
+/**
+ * DELETE /api/admin/coupons/:id
+ * Deactivate a promo code (soft delete)
+ */
+router.delete('/coupons/:id', authenticate, requirePermission('coupons:write'), async (req, res, next) => {
+  try {
+    await couponService.deactivateCoupon(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Coupon deactivated successfully'
+    });
+  } catch (error) {
+    handleCouponError(error, res, next);
+  }
+});
+
+// ============================================
+// Fee Schedule Endpoints
+// ============================================
+
+const pricingService = require('../services/pricingService');
+
+const feeAmountSchema = Joi.object({
+  type: Joi.string().valid('flat', 'percentage').required(),
+  value: Joi.number().min(0).required(),
+  perSeat: Joi.boolean(),
+  minAmount: Joi.number().min(0),
+  maxAmount: Joi.number().min(0)
+});
+
+const feeRuleSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  scope: Joi.object({
+    type: Joi.string().valid('global', 'city', 'route').default('global'),
+    city: Joi.string().trim().max(100),
+    sourceCity: Joi.string().trim().max(100),
+    destinationCity: Joi.string().trim().max(100)
+  }).default({ type: 'global' }),
+  distanceBand: Joi.object({
+    minKm: Joi.number().min(0).default(0),
+    maxKm: Joi.number().min(0)
+  }),
+  passengerFee: feeAmountSchema.required(),
+  driverCommission: feeAmountSchema.required()
+});
+
+const feeSurchargeSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  type: Joi.string().valid('weekend', 'festival').required(),
+  daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).unique(),
+  dates: Joi.array().items(Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/)).unique(),
+  amount: feeAmountSchema.required()
+});
+
+const tierWaiverSchema = Joi.object({
+  planId: Joi.string().valid('normal', 'silver', 'gold').required(),
+  waivePercent: Joi.number().min(0).max(100).required()
+});
+
+const createFeeScheduleSchema = Joi.object({
+  name: Joi.string().trim().max(200).required(),
+  description: Joi.string().trim().max(1000),
+  rules: Joi.array().items(feeRuleSchema).min(1).required(),
+  surcharges: Joi.array().items(feeSurchargeSchema),
+  tierWaivers: Joi.array().items(tierWaiverSchema)
+});
+
+const updateFeeScheduleSchema = Joi.object({
+  name: Joi.string().trim().max(200),
+  description: Joi.string().trim().max(1000),
+  rules: Joi.array().items(feeRuleSchema).min(1),
+  surcharges: Joi.array().items(feeSurchargeSchema),
+  tierWaivers: Joi.array().items(tierWaiverSchema)
+}).min(1);
+
+const getFeeSchedulesSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('draft', 'active', 'archived')
+});
+
+const previewFeeScheduleSchema = Joi.object({
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(5000).default(1000)
+});
+
+/**
+ * Send pricing service errors with their status code
+ * @param {Error} error - Error from pricingService
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+const handleFeeScheduleError = (error, res, next) => {
+  if (['FEE_SCHEDULE_NOT_FOUND', 'FEE_SCHEDULE_LOCKED', 'INVALID_FEE_SCHEDULE'].includes(error.code)) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message,
+        details: error.errors
+      }
+    });
+  }
+  next(error);
+};
+
+/**
+ * GET /api/admin/fee-schedules/active
+ * Get the fee schedule currently pricing new bookings
+ */
+router.get('/fee-schedules/active', authenticate, requirePermission('pricing:read'), async (req, res, next) => {
+  try {
+    const schedule = await pricingService.getActiveFeeSchedule();
+
+    res.json({
+      success: true,
+      data: schedule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/fee-schedules
+ * Create a draft fee schedule version
+ */
+router.post('/fee-schedules', authenticate, requirePermission('pricing:write'), validate(createFeeScheduleSchema), async (req, res, next) => {
+  try {
+    const result = await pricingService.createFeeSchedule(req.body, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      data: result.schedule,
+      message: 'Fee schedule draft created successfully'
+    });
+  } catch (error) {
+    handleFeeScheduleError(error, res, next);
+  }
+});
+
+/**
+ * GET /api/admin/fee-schedules
+ * List fee schedule versions
+ */
+router.get('/fee-schedules', authenticate, requirePermission('pricing:read'), validate(getFeeSchedulesSchema, 'query'), async (req, res, next) => {
+  try {
+    const { page, limit, status } = req.query;
+
+    const result = await pricingService.getFeeSchedules({ page, limit, status });
+
+    res.json({
+      success: true,
+      data: result.schedules,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/fee-schedules/:id
+ * Get a fee schedule by ID or version number
+ */
+router.get('/fee-schedules/:id', authenticate, requirePermission('pricing:read'), async (req, res, next) => {
+  try {
+    const result = await pricingService.getFeeScheduleById(req.params.id);
+
+    res.json({
+      success: true,
+      data: result.schedule
+    });
+  } catch (error) {
+    handleFeeScheduleError(error, res, next);
+  }
+});
+
+/**
+ * PUT /api/admin/fee-schedules/:id
+ * Update a draft fee schedule
+ */
+router.put('/fee-schedules/:id', authenticate, requirePermission('pricing:write'), validate(updateFeeScheduleSchema), async (req, res, next) => {
+  try {
+    const result = await pricingService.updateFeeSchedule(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: result.schedule,
+      message: 'Fee schedule updated successfully'
+    });
+  } catch (error) {
+    handleFeeScheduleError(error, res, next);
+  }
+});
+
+/**
+ * GET /api/admin/fee-schedules/:id/preview
+ * Compare a schedule's fees with what historical bookings were charged
+ */
+router.get('/fee-schedules/:id/preview', authenticate, requirePermission('pricing:read'), validate(previewFeeScheduleSchema, 'query'), async (req, res, next) => {
+  try {
+    const { startDate, endDate, limit } = req.query;
+
+    const result = await pricingService.previewFeeSchedule(req.params.id, { startDate, endDate, limit });
+
+    res.json({
+      success: true,
+      data: result.preview
+    });
+  } catch (error) {
+    handleFeeScheduleError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/admin/fee-schedules/:id/activate
+ * Activate a draft schedule for new bookings, archiving the current one
+ */
+router.post('/fee-schedules/:id/activate', authenticate, requirePermission('pricing:write'), async (req, res, next) => {
+  try {
+    const result = await pricingService.activateFeeSchedule(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        schedule: result.schedule,
+        previousVersion: result.previousVersion
+      },
+      message: `Fee schedule v${result.schedule.version} activated`
+    });
+  } catch (error) {
+    handleFeeScheduleError(error, res, next);
+  }
+});
+
 // ============================================
 // Cron Jobs Management Endpoints
 // ============================================
@@ -2524,7 +3855,7 @@ router.get('/cron-jobs/status', authenticate, requireRole(['super_admin', 'admin
  * Manually trigger a specific cron job
  */
 const triggerJobSchema = Joi.object({
-  jobName: Joi.string().valid('subscriptionExpiry', 'cashbackExpiry', 'benefitsReset').required()
+  jobName: Joi.string().valid('subscriptionExpiry', 'cashbackExpiry', 'benefitsReset', 'recurringTrips', 'waitlistOffers', 'scheduledReports', 'driverPayouts', 'checkIns', 'disputeDeadlines', 'trialBalance').required()
 });
 
 router.post('/cron-jobs/trigger/:jobName', 
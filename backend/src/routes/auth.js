@@ -4,7 +4,7 @@
  * 
  * Enhanced with dual-token architecture:
  * - Access tokens: Short-lived (15 min) for API authorization
- * - Refresh tokens: Long-lived (7 days) for obtaining new access tokens
+ * - Refresh tokens: Long-lived (7 days), rotated on every refresh
  * 
  * Requirements: 1.1, 1.3, 2.1, 2.2, 3.1, 3.2, 3.3, 4.1, 4.2, 4.4, 6.1, 6.3, 6.4
  */
@@ -23,6 +23,17 @@ const {
 } = require('../services/tokenService');
 const { findUserByIdentifier, createUser, findUserById } = require('../services/userService');
 const { authenticateStaff } = require('../services/staffService');
+const {
+  requiresTwoFactor,
+  isStaffIpAllowed,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  createStepUpToken,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes
+} = require('../services/staffSecurityService');
 const { getInstance: getTwilioService } = require('../services/twilioService');
 const { 
   createSession, 
@@ -30,10 +41,12 @@ const {
   revokeSession, 
   revokeAllSessions,
   validateSessionForRefresh,
-  updateSessionActivity
+  rotateRefreshToken,
+  revokeTokenFamily
 } = require('../services/sessionService');
 const { 
   logLoginSuccess, 
+  logLoginFailure,
   logLogout, 
   logTokenRefresh,
   logSessionRevoked
@@ -92,6 +105,35 @@ const staffLoginSchema = Joi.object({
   password: Joi.string().required()
 });
 
+const totpCode = Joi.string().pattern(/^\d{6}$/).messages({
+  'string.pattern.base': 'Authentication code must be 6 digits'
+});
+const backupCode = Joi.string().trim().max(20);
+
+const staffChallengeSchema = Joi.object({
+  challengeToken: Joi.string().required()
+});
+
+const staffEnrollVerifySchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  code: totpCode.required()
+});
+
+const staffTwoFactorVerifySchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  code: totpCode,
+  backupCode
+}).xor('code', 'backupCode');
+
+const staffStepUpSchema = Joi.object({
+  code: totpCode,
+  backupCode
+}).xor('code', 'backupCode');
+
+const staffBackupCodesSchema = Joi.object({
+  code: totpCode.required()
+});
+
 
 /**
  * POST /api/auth/request-otp
@@ -221,15 +263,16 @@ router.post('/verify-otp', otpVerifyLimiter, validate(verifyOTPSchema), async (r
       await user.save();
     }
     
-    // Generate session ID first for token binding
-    const { generateSessionId } = require('../services/sessionService');
+    // Generate session ID and refresh token family first for token binding
+    const { generateSessionId, generateTokenFamilyId } = require('../services/sessionService');
     const sessionId = generateSessionId();
+    const familyId = generateTokenFamilyId();
     
     // Generate dual token pair (Requirements 1.1)
-    const { accessToken, refreshToken, accessExpiresIn, refreshExpiresIn } = generateTokenPair(user, sessionId, isNewUser);
+    const { accessToken, refreshToken, accessExpiresIn, refreshExpiresIn } = generateTokenPair(user, sessionId, isNewUser, familyId);
     
     // Create session with refresh token binding (Requirements 4.1)
-    await createSession(user._id, refreshToken, ipAddress, userAgent);
+    await createSession(user._id, refreshToken, ipAddress, userAgent, { sessionId, familyId });
     
     // Log successful authentication event (Requirements 6.1)
     await logLoginSuccess(user._id, ipAddress, userAgent, {
@@ -276,6 +319,121 @@ router.post('/verify-otp', otpVerifyLimiter, validate(verifyOTPSchema), async (r
   }
 });
 
+// ============================================================================
+// Staff Login and Two-Factor Authentication
+// ============================================================================
+
+// Landing page for each staff role after login
+const STAFF_REDIRECTS = {
+  operations: '/admin/documents',
+  customer_support: '/admin/support',
+  finance: '/admin/payments',
+  super_admin: '/admin/super'
+};
+
+/**
+ * Issue a staff access token and build the login response
+ * @param {Object} staff - Staff user
+ * @param {Object} claims - Extra token claims
+ * @returns {Object} Response body
+ */
+const buildStaffLoginResponse = (staff, claims = {}) => {
+  const { token, expiresIn } = generateToken(staff, false, claims);
+
+  return {
+    success: true,
+    token,
+    expiresIn,
+    user: {
+      id: staff._id,
+      email: staff.email,
+      name: staff.name,
+      role: staff.role,
+      permissions: staff.permissions
+    },
+    isNewUser: false,
+    redirectTo: STAFF_REDIRECTS[staff.role] || '/admin'
+  };
+};
+
+/**
+ * Send a coded staff authentication error, or pass others on
+ * @param {Object} res - Express response
+ * @param {Error} error - Error
+ * @param {Function} next - Express next
+ */
+const handleStaffAuthError = (res, error, next) => {
+  if (error.code === 'INVALID_CREDENTIALS') {
+    return res.status(401).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  if (error.code === 'ACCOUNT_DEACTIVATED') {
+    return res.status(403).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  if (error.code && error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  next(error);
+};
+
+/**
+ * Password step of staff login
+ * Rejects addresses outside the role's allow-list. Staff in two-factor
+ * roles get a challenge instead of a token.
+ */
+const staffPasswordLogin = async (req, res, next) => {
+  const ipAddress = req.ip || req.connection.remoteAddress || 'unknown';
+  const userAgent = req.get('User-Agent') || 'unknown';
+
+  try {
+    const { email, password } = req.body;
+    
+    // Authenticate staff member
+    const { staff } = await authenticateStaff(email, password);
+
+    if (!isStaffIpAllowed(staff, ipAddress)) {
+      await logLoginFailure(email, ipAddress, 'ip_not_allowed', userAgent, { loginMethod: 'staff_password' });
+      return res.status(403).json({
+        success: false,
+        error: 'Login is not allowed from this network',
+        code: 'IP_NOT_ALLOWED'
+      });
+    }
+
+    if (requiresTwoFactor(staff)) {
+      const { challengeToken, enrollmentRequired, expiresIn } = createLoginChallenge(staff);
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        enrollmentRequired,
+        challengeToken,
+        expiresIn
+      });
+    }
+
+    await logLoginSuccess(staff._id, ipAddress, userAgent, { loginMethod: 'staff_password' });
+
+    // Generate JWT token with role and permissions (Requirements 6.4)
+    res.json(buildStaffLoginResponse(staff));
+  } catch (error) {
+    handleStaffAuthError(res, error, next);
+  }
+};
+
 /**
  * POST /api/auth/staff-login
  * Staff login with email/password authentication
@@ -285,127 +443,148 @@ router.post('/verify-otp', otpVerifyLimiter, validate(verifyOTPSchema), async (r
  * - Includes role and permissions in JWT payload
  * - Checks isActive status before allowing login
  * - Returns same generic error for wrong email or password
+ * - Operations, finance and admin roles must complete two-factor
+ *   authentication via /staff-2fa/* with the returned challengeToken
+ * Rate limited: 5 login attempts per 15 minutes per IP address
+ */
+router.post('/staff-login', staffLoginLimiter, validate(staffLoginSchema), staffPasswordLogin);
+
+/**
+ * POST /api/auth/admin-login
+ * Legacy admin login endpoint - same flow as staff-login
+ * @deprecated Use /api/auth/staff-login instead
  * Rate limited: 5 login attempts per 15 minutes per IP address
  */
-router.post('/staff-login', staffLoginLimiter, validate(staffLoginSchema), async (req, res, next) => {
+router.post('/admin-login', staffLoginLimiter, validate(staffLoginSchema), staffPasswordLogin);
+
+/**
+ * POST /api/auth/staff-2fa/enroll
+ * Start authenticator enrolment for a staff member without two-factor
+ * Returns the secret and a QR code (PNG data URL) to scan
+ * Rate limited: 5 attempts per 15 minutes per IP address
+ */
+router.post('/staff-2fa/enroll', staffLoginLimiter, validate(staffChallengeSchema), async (req, res, next) => {
   try {
-    const { email, password } = req.body;
-    
-    // Authenticate staff member
-    const { staff } = await authenticateStaff(email, password);
-    
-    // Generate JWT token with role and permissions (Requirements 6.4)
-    const { token, expiresIn } = generateToken(staff, false);
-    
-    // Determine redirect based on role
-    let redirectTo = '/admin';
-    if (staff.role === 'operations') {
-      redirectTo = '/admin/documents';
-    } else if (staff.role === 'customer_support') {
-      redirectTo = '/admin/support';
-    } else if (staff.role === 'finance') {
-      redirectTo = '/admin/payments';
-    } else if (staff.role === 'super_admin') {
-      redirectTo = '/admin/super';
+    const challenge = verifyLoginChallenge(req.body.challengeToken);
+    if (!challenge.enroll) {
+      return res.status(409).json({
+        success: false,
+        error: 'Two-factor authentication is already set up for this account',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
     }
-    
+
+    const { secret, otpauthUrl, qrCode } = await startEnrollment(challenge.userId);
+
     res.json({
       success: true,
-      token,
-      expiresIn,
-      user: {
-        id: staff._id,
-        email: staff.email,
-        name: staff.name,
-        role: staff.role,
-        permissions: staff.permissions
-      },
-      isNewUser: false,
-      redirectTo
+      secret,
+      otpauthUrl,
+      qrCode
     });
   } catch (error) {
-    // Handle specific error codes
-    if (error.code === 'INVALID_CREDENTIALS') {
-      return res.status(401).json({
-        success: false,
-        error: error.message,
-        code: error.code
-      });
+    handleStaffAuthError(res, error, next);
+  }
+});
+
+/**
+ * POST /api/auth/staff-2fa/enroll/verify
+ * Confirm enrolment with a code from the authenticator and complete login
+ * Backup codes are returned once and cannot be retrieved again
+ * Rate limited: 5 attempts per 15 minutes per IP address
+ */
+router.post('/staff-2fa/enroll/verify', staffLoginLimiter, validate(staffEnrollVerifySchema), async (req, res, next) => {
+  const ipAddress = req.ip || req.connection.remoteAddress || 'unknown';
+  const userAgent = req.get('User-Agent') || 'unknown';
+
+  try {
+    const challenge = verifyLoginChallenge(req.body.challengeToken);
+    const { backupCodes } = await confirmEnrollment(challenge.userId, req.body.code);
+    const staff = await findUserById(challenge.userId);
+
+    await logLoginSuccess(staff._id, ipAddress, userAgent, { loginMethod: 'staff_2fa', twoFactorMethod: 'enrollment' });
+
+    res.json({
+      ...buildStaffLoginResponse(staff, { mfa: true }),
+      backupCodes
+    });
+  } catch (error) {
+    handleStaffAuthError(res, error, next);
+  }
+});
+
+/**
+ * POST /api/auth/staff-2fa/verify
+ * Complete staff login with a TOTP code or a one-time backup code
+ * Rate limited: 5 attempts per 15 minutes per IP address
+ */
+router.post('/staff-2fa/verify', staffLoginLimiter, validate(staffTwoFactorVerifySchema), async (req, res, next) => {
+  const ipAddress = req.ip || req.connection.remoteAddress || 'unknown';
+  const userAgent = req.get('User-Agent') || 'unknown';
+  let challenge;
+
+  try {
+    challenge = verifyLoginChallenge(req.body.challengeToken);
+    const { staff, method, backupCodesRemaining } = await verifySecondFactor(challenge.userId, req.body);
+
+    await logLoginSuccess(staff._id, ipAddress, userAgent, { loginMethod: 'staff_2fa', twoFactorMethod: method });
+
+    res.json({
+      ...buildStaffLoginResponse(staff, { mfa: true }),
+      ...(method === 'backup_code' && { backupCodesRemaining })
+    });
+  } catch (error) {
+    if (challenge && error.code === 'INVALID_2FA_CODE') {
+      await logLoginFailure(challenge.userId, ipAddress, 'invalid_2fa_code', userAgent, { loginMethod: 'staff_2fa' });
     }
-    
-    if (error.code === 'ACCOUNT_DEACTIVATED') {
+    handleStaffAuthError(res, error, next);
+  }
+});
+
+/**
+ * POST /api/auth/staff-2fa/step-up
+ * Re-verify a signed-in staff member before a sensitive action
+ * Returns a short-lived token to send in the X-Step-Up-Token header
+ * Rate limited: 5 attempts per 15 minutes per IP address
+ */
+router.post('/staff-2fa/step-up', staffLoginLimiter, authenticate, validate(staffStepUpSchema), async (req, res, next) => {
+  try {
+    if (!req.user.isStaff) {
       return res.status(403).json({
         success: false,
-        error: error.message,
-        code: error.code
+        error: 'Step-up authentication is only available to staff',
+        code: 'STAFF_ONLY'
       });
     }
-    
-    next(error);
+
+    await verifySecondFactor(req.user._id, req.body);
+    const { stepUpToken, expiresIn } = createStepUpToken(req.user._id);
+
+    res.json({
+      success: true,
+      stepUpToken,
+      expiresIn
+    });
+  } catch (error) {
+    handleStaffAuthError(res, error, next);
   }
 });
 
 /**
- * POST /api/auth/admin-login
- * Legacy admin login endpoint - redirects to staff-login
- * @deprecated Use /api/auth/staff-login instead
- * Rate limited: 5 login attempts per 15 minutes per IP address
+ * POST /api/auth/staff-2fa/backup-codes
+ * Replace the signed-in staff member's backup codes (needs a TOTP code)
+ * Rate limited: 5 attempts per 15 minutes per IP address
  */
-router.post('/admin-login', staffLoginLimiter, validate(staffLoginSchema), async (req, res, next) => {
+router.post('/staff-2fa/backup-codes', staffLoginLimiter, authenticate, validate(staffBackupCodesSchema), async (req, res, next) => {
   try {
-    const { email, password } = req.body;
-    
-    // Authenticate staff member using the same logic
-    const { staff } = await authenticateStaff(email, password);
-    
-    // Generate JWT token with role and permissions
-    const { token, expiresIn } = generateToken(staff, false);
-    
-    // Determine redirect based on role
-    let redirectTo = '/admin';
-    if (staff.role === 'operations') {
-      redirectTo = '/admin/documents';
-    } else if (staff.role === 'customer_support') {
-      redirectTo = '/admin/support';
-    } else if (staff.role === 'finance') {
-      redirectTo = '/admin/payments';
-    } else if (staff.role === 'super_admin') {
-      redirectTo = '/admin/super';
-    }
-    
+    const { backupCodes } = await regenerateBackupCodes(req.user._id, req.body.code);
+
     res.json({
       success: true,
-      token,
-      expiresIn,
-      user: {
-        id: staff._id,
-        email: staff.email,
-        name: staff.name,
-        role: staff.role,
-        permissions: staff.permissions
-      },
-      isNewUser: false,
-      redirectTo
+      backupCodes
     });
   } catch (error) {
-    // Handle specific error codes
-    if (error.code === 'INVALID_CREDENTIALS') {
-      return res.status(401).json({
-        success: false,
-        error: error.message,
-        code: error.code
-      });
-    }
-    
-    if (error.code === 'ACCOUNT_DEACTIVATED') {
-      return res.status(403).json({
-        success: false,
-        error: error.message,
-        code: error.code
-      });
-    }
-    
-    next(error);
+    handleStaffAuthError(res, error, next);
   }
 });
 
@@ -421,12 +600,31 @@ const refreshTokenSchema = Joi.object({
   })
 });
 
+/**
+ * Respond to reuse of a retired refresh token
+ * Revokes the token family and its session before rejecting the request
+ */
+const rejectReusedRefreshToken = async (res, session, context) => {
+  await revokeTokenFamily(session, context);
+
+  return res.status(401).json({
+    success: false,
+    error: 'Refresh token has already been used. You have been signed out for security.',
+    errorCode: 'AUTH_010',
+    message: 'Refresh token has already been used. You have been signed out for security.'
+  });
+};
+
 /**
  * POST /api/auth/refresh-token
- * Exchange a valid refresh token for a new access token
+ * Exchange a valid refresh token for a new access token and refresh token
  * Requirements: 1.3 - Valid refresh token issues new access token
  * Requirements: 4.1 - Update session activity
  * Requirements: 6.1 - Log token refresh event
+ * 
+ * Refresh tokens rotate: each refresh retires the presented token and
+ * returns the next one in the same family. Presenting a retired token
+ * revokes the family and its session (AUTH_010).
  */
 router.post('/refresh-token', validate(refreshTokenSchema), async (req, res, next) => {
   try {
@@ -448,8 +646,12 @@ router.post('/refresh-token', validate(refreshTokenSchema), async (req, res, nex
     
     const { payload } = verifyResult;
     
-    // Validate session is still active (Requirements 4.3)
-    const sessionValidation = await validateSessionForRefresh(refreshToken, payload.sessionId);
+    // Validate session is still active and the token is current (Requirements 4.3)
+    const sessionValidation = await validateSessionForRefresh(refreshToken, payload.sessionId, payload.familyId);
+    
+    if (sessionValidation.reuseDetected) {
+      return rejectReusedRefreshToken(res, sessionValidation.session, { ipAddress, userAgent });
+    }
     
     if (!sessionValidation.valid) {
       return res.status(401).json({
@@ -472,21 +674,36 @@ router.post('/refresh-token', validate(refreshTokenSchema), async (req, res, nex
       });
     }
     
-    // Generate new access token only (keep same refresh token)
-    const { accessToken, accessExpiresIn } = generateTokenPair(user, payload.sessionId, false);
+    // Issue the next token pair in the same family and retire the presented token
+    const { session } = sessionValidation;
+    const familyId = session.tokenFamilyId || payload.sessionId;
+    const {
+      accessToken,
+      refreshToken: nextRefreshToken,
+      accessExpiresIn,
+      refreshExpiresIn
+    } = generateTokenPair(user, payload.sessionId, false, familyId);
+    
+    const rotated = await rotateRefreshToken(payload.sessionId, refreshToken, nextRefreshToken);
     
-    // Update session last activity (Requirements 4.1)
-    await updateSessionActivity(payload.sessionId);
+    // Another request exchanged this token first, so it has been used twice
+    if (!rotated) {
+      return rejectReusedRefreshToken(res, session, { ipAddress, userAgent });
+    }
     
     // Log token refresh event (Requirements 6.1)
     await logTokenRefresh(user._id, ipAddress, userAgent, {
-      sessionId: payload.sessionId
+      sessionId: payload.sessionId,
+      familyId,
+      generation: rotated.refreshTokenGeneration
     });
     
     res.json({
       success: true,
       accessToken,
+      refreshToken: nextRefreshToken,
       accessExpiresIn,
+      refreshExpiresIn,
       // Legacy support
       token: accessToken,
       expiresIn: `${accessExpiresIn}s`
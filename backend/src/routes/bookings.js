@@ -11,8 +11,12 @@ const { authenticateToken } = require('../middleware/auth');
 const { verifyFemaleOnly } = require('../middleware/genderVerification');
 const { validate } = require('../middleware/validate');
 const bookingService = require('../services/bookingService');
+const recurringTripService = require('../services/recurringTripService');
+const waitlistService = require('../services/waitlistService');
 const cancellationService = require('../services/cancellationService');
 const ratingService = require('../services/ratingService');
+const checkInService = require('../services/checkInService');
+const noShowService = require('../services/noShowService');
 
 const router = express.Router();
 
@@ -27,6 +31,32 @@ const locationSchema = Joi.object({
 });
 
 const createBookingSchema = Joi.object({
+  tripId: Joi.string().required(),
+  seats: Joi.number().integer().min(1).max(6).required(),
+  // On multi-stop trips passengers can pick stops instead of points
+  pickupStop: Joi.number().integer().min(0).optional(),
+  dropStop: Joi.number().integer().min(1).optional(),
+  pickupPoint: locationSchema.when('pickupStop', { is: Joi.exist(), otherwise: Joi.required() }),
+  dropPoint: locationSchema.when('dropStop', { is: Joi.exist(), otherwise: Joi.required() }),
+  // Business passengers get a B2B tax invoice
+  gstin: Joi.string().trim().uppercase().length(15).optional(),
+  businessName: Joi.string().trim().max(200).when('gstin', { is: Joi.exist(), then: Joi.required() })
+}).and('pickupStop', 'dropStop');
+
+const dateKeySchema = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/)
+  .messages({ 'string.pattern.base': 'Date must be YYYY-MM-DD' });
+
+const createRecurringBookingSchema = Joi.object({
+  templateId: Joi.string().required(),
+  startDate: dateKeySchema.required(),
+  endDate: dateKeySchema.required(),
+  daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().min(1).optional(),
+  seats: Joi.number().integer().min(1).max(6).required(),
+  pickupPoint: locationSchema.required(),
+  dropPoint: locationSchema.required()
+});
+
+const joinWaitlistSchema = Joi.object({
   tripId: Joi.string().required(),
   seats: Joi.number().integer().min(1).max(6).required(),
   pickupPoint: locationSchema.required(),
@@ -46,6 +76,23 @@ const ratingSchema = Joi.object({
   feedback: Joi.string().max(1000).optional()
 });
 
+const passengerRatingSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required(),
+  tags: Joi.array().items(Joi.string().valid(
+    ...ratingService.PASSENGER_RATING_TAGS.POSITIVE,
+    ...ratingService.PASSENGER_RATING_TAGS.NEGATIVE
+  )).unique().max(7).optional(),
+  comment: Joi.string().max(1000).optional()
+});
+
+const checkInSchema = Joi.object({
+  enabled: Joi.boolean().required()
+});
+
+const noShowDisputeSchema = Joi.object({
+  reason: Joi.string().trim().min(10).max(1000).required()
+});
+
 /**
  * POST /api/bookings
  * Create a new booking
@@ -64,8 +111,13 @@ router.post('/', authenticateToken, verifyFemaleOnly, validate(createBookingSche
     if (error.code === 'TRIP_NOT_FOUND') {
       return res.status(404).json({ success: false, error: error.message, code: error.code });
     }
+    if (error.code === 'INSTANT_BOOKING_RESTRICTED') {
+      return res.status(403).json({ success: false, error: error.message, code: error.code });
+    }
     if (error.code === 'INVALID_BOOKING_DATA' || error.code === 'TRIP_NOT_AVAILABLE' || 
-        error.code === 'DUPLICATE_BOOKING' || error.code === 'INSUFFICIENT_SEATS') {
+        error.code === 'DUPLICATE_BOOKING' || error.code === 'INSUFFICIENT_SEATS' ||
+        error.code === 'INVALID_ROUTE_SEGMENT' || error.code === 'INVALID_STOP' ||
+        error.code === 'INVALID_STOP_ORDER') {
       return res.status(400).json({ success: false, error: error.message, code: error.code });
     }
     console.error('Create booking error:', error);
@@ -73,6 +125,33 @@ router.post('/', authenticateToken, verifyFemaleOnly, validate(createBookingSche
   }
 });
 
+/**
+ * POST /api/bookings/recurring
+ * Book a seat on every occurrence of a recurring trip within a date range
+ *
+ * Women-Only Booking: Requires gender verification (Requirements 1.1, 1.2, 1.4)
+ */
+router.post('/recurring', authenticateToken, verifyFemaleOnly, validate(createRecurringBookingSchema), async (req, res) => {
+  try {
+    const result = await recurringTripService.createRecurringBooking(req.user._id, req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.code === 'PASSENGER_NOT_FOUND' || error.code === 'TEMPLATE_NOT_FOUND') {
+      return res.status(404).json({ success: false, error: error.message, code: error.code });
+    }
+    if (error.code === 'NO_SEATS_BOOKED') {
+      return res.status(409).json({ success: false, error: error.message, code: error.code, skipped: error.skipped });
+    }
+    if (error.code === 'INVALID_BOOKING_DATA' || error.code === 'TEMPLATE_NOT_ACTIVE' ||
+        error.code === 'NO_OCCURRENCES' || error.code === 'PROFILE_INCOMPLETE' ||
+        error.code === 'EMERGENCY_CONTACT_REQUIRED') {
+      return res.status(400).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Create recurring booking error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  }
+});
+
 /**
  * GET /api/bookings/upcoming
  * Get passenger's upcoming bookings with "Upcoming Soon" flag
@@ -91,6 +170,69 @@ router.get('/upcoming', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/bookings/waitlist
+ * Join the waitlist for a fully-booked trip
+ * Freed seats are offered in subscription priority order (Requirements: 8.1)
+ *
+ * Women-Only Booking: Requires gender verification (Requirements 1.1, 1.2, 1.4)
+ */
+router.post('/waitlist', authenticateToken, verifyFemaleOnly, validate(joinWaitlistSchema), async (req, res) => {
+  try {
+    const result = await waitlistService.joinWaitlist(req.user._id, req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.code === 'TRIP_NOT_FOUND') {
+      return res.status(404).json({ success: false, error: error.message, code: error.code });
+    }
+    if (error.code === 'ALREADY_WAITLISTED') {
+      return res.status(409).json({ success: false, error: error.message, code: error.code });
+    }
+    if (error.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Join waitlist error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  }
+});
+
+/**
+ * GET /api/bookings/waitlist
+ * Get passenger's waitlist entries with queue positions
+ */
+router.get('/waitlist', authenticateToken, async (req, res) => {
+  try {
+    const result = await waitlistService.getPassengerWaitlist(req.user._id);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  }
+});
+
+/**
+ * DELETE /api/bookings/waitlist/:entryId
+ * Leave a waitlist, releasing any seat currently held for the passenger
+ */
+router.delete('/waitlist/:entryId', authenticateToken, async (req, res) => {
+  try {
+    const result = await waitlistService.leaveWaitlist(req.params.entryId, req.user._id);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.code === 'WAITLIST_ENTRY_NOT_FOUND') {
+      return res.status(404).json({ success: false, error: error.message, code: error.code });
+    }
+    if (error.code === 'UNAUTHORIZED') {
+      return res.status(403).json({ success: false, error: error.message, code: error.code });
+    }
+    if (error.code === 'INVALID_WAITLIST_STATUS') {
+      return res.status(400).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  }
+});
+
 /**
  * GET /api/bookings/cancellation-policy
  * Get cancellation policy details
@@ -442,4 +584,166 @@ router.post('/:id/rating', authenticateToken, validate(ratingSchema), async (req
   }
 });
 
+/**
+ * POST /api/bookings/:id/passenger-rating
+ * Driver rates the passenger of a completed or no-show booking
+ */
+router.post('/:id/passenger-rating', authenticateToken, validate(passengerRatingSchema), async (req, res) => {
+  try {
+    const Driver = require('../models/Driver');
+    const driver = await Driver.findOne({ userId: req.user._id });
+
+    if (!driver) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only drivers can rate passengers',
+        code: 'NOT_A_DRIVER'
+      });
+    }
+
+    const result = await ratingService.submitPassengerRating(req.params.id, driver._id.toString(), req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.code === 'BOOKING_NOT_FOUND') {
+      return res.status(404).json({ success: false, error: error.message, code: error.code });
+    }
+    if (error.code === 'UNAUTHORIZED') {
+      return res.status(403).json({ success: false, error: error.message, code: error.code });
+    }
+    if (error.code === 'INVALID_RATING_DATA' || error.code === 'BOOKING_NOT_COMPLETED' || error.code === 'ALREADY_RATED') {
+      return res.status(400).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Submit passenger rating error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  }
+});
+
+/**
+ * GET /api/bookings/:id/check-in
+ * Get trusted-contact check-in state for a booking
+ */
+router.get('/:id/check-in', authenticateToken, async (req, res) => {
+  try {
+    const result = await checkInService.getCheckIn(req.params.id, req.user._id);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    if (error.code === 'BOOKING_NOT_FOUND') {
+      return res.status(404).json({ success: false, error: error.message, code: error.code });
+    }
+    if (error.code === 'UNAUTHORIZED') {
+      return res.status(403).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Get check-in error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  }
+});
+
+/**
+ * PUT /api/bookings/:id/check-in
+ * Turn trusted-contact check-in on or off for a booking
+ * If the passenger has not reached the drop point by the ETA plus a grace
+ * window, emergency contacts are sent the live tracking link
+ */
+router.put('/:id/check-in', authenticateToken, validate(checkInSchema), async (req, res) => {
+  try {
+    const result = await checkInService.setCheckIn(req.params.id, req.user._id, req.body.enabled);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    if (error.code === 'BOOKING_NOT_FOUND') {
+      return res.status(404).json({ success: false, error: error.message, code: error.code });
+    }
+    if (error.code === 'UNAUTHORIZED') {
+      return res.status(403).json({ success: false, error: error.message, code: error.code });
+    }
+    if (error.code === 'BOOKING_NOT_ACTIVE') {
+      return res.status(400).json({ success: false, error: error.message, code: error.code });
+    }
+    if (error.code === 'CHECK_IN_ESCALATED') {
+      return res.status(409).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Update check-in error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  }
+});
+
+/**
+ * POST /api/bookings/:id/arrived
+ * Driver reports arrival at the passenger's pickup point
+ * Starts the wait after which the passenger can be marked no-show
+ */
+router.post('/:id/arrived', authenticateToken, async (req, res) => {
+  try {
+    const Driver = require('../models/Driver');
+    const driver = await Driver.findOne({ userId: req.user._id });
+
+    if (!driver) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only drivers can report arrival',
+        code: 'NOT_A_DRIVER'
+      });
+    }
+
+    const result = await noShowService.markDriverArrived(req.params.id, driver._id);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Report arrival error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  }
+});
+
+/**
+ * POST /api/bookings/:id/no-show
+ * Driver marks the passenger no-show after waiting at the pickup point
+ * Cancels the booking with a no-show charge, part of which goes to the driver
+ */
+router.post('/:id/no-show', authenticateToken, async (req, res) => {
+  try {
+    const Driver = require('../models/Driver');
+    const driver = await Driver.findOne({ userId: req.user._id });
+
+    if (!driver) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only drivers can report no-shows',
+        code: 'NOT_A_DRIVER'
+      });
+    }
+
+    const result = await noShowService.markNoShow(req.params.id, driver._id);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        ...(error.remainingMinutes !== undefined && { remainingMinutes: error.remainingMinutes })
+      });
+    }
+    console.error('Mark no-show error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  }
+});
+
+/**
+ * POST /api/bookings/:id/no-show/dispute
+ * Passenger disputes a no-show; opens a support ticket
+ */
+router.post('/:id/no-show/dispute', authenticateToken, validate(noShowDisputeSchema), async (req, res) => {
+  try {
+    const result = await noShowService.disputeNoShow(req.params.id, req.user._id, req.body.reason);
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Dispute no-show error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,133 @@
+/**
+ * Chat Routes
+ * REST access to passenger-driver trip chat
+ * Real-time messaging uses the chat:* Socket.IO events; these endpoints serve
+ * history and a fallback for clients without a socket connection.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const chatService = require('../services/chatService');
+const socketService = require('../services/socketService');
+
+const router = express.Router();
+
+// Validation schemas
+const sendMessageSchema = Joi.object({
+  text: Joi.string().max(1000).optional(),
+  quickReplyKey: Joi.string().max(50).optional(),
+  clientMessageId: Joi.string().max(100).optional()
+}).or('text', 'quickReplyKey');
+
+const getMessagesSchema = Joi.object({
+  before: Joi.date().iso().optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+/**
+ * Map service errors to responses
+ */
+const handleChatError = (res, error, label) => {
+  if (['BOOKING_NOT_FOUND', 'TRIP_NOT_FOUND'].includes(error.code)) {
+    return res.status(404).json({ success: false, error: error.message, code: error.code });
+  }
+  if (['CHAT_ACCESS_DENIED', 'CHAT_CLOSED'].includes(error.code)) {
+    return res.status(403).json({ success: false, error: error.message, code: error.code });
+  }
+  if (['INVALID_MESSAGE', 'INVALID_QUICK_REPLY'].includes(error.code)) {
+    return res.status(400).json({ success: false, error: error.message, code: error.code });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+};
+
+/**
+ * GET /api/chat/quick-replies
+ * Get quick-reply templates for passengers and drivers
+ */
+router.get('/quick-replies', authenticateToken, (req, res) => {
+  res.status(200).json({ success: true, quickReplies: chatService.QUICK_REPLIES });
+});
+
+/**
+ * GET /api/chat/:bookingId
+ * Get chat status for a booking
+ */
+router.get('/:bookingId', authenticateToken, async (req, res) => {
+  try {
+    const result = await chatService.openChat(req.params.bookingId, req.user._id);
+    res.status(200).json(result);
+  } catch (error) {
+    handleChatError(res, error, 'Get chat');
+  }
+});
+
+/**
+ * GET /api/chat/:bookingId/messages
+ * Get chat history (marks incoming messages as delivered)
+ */
+router.get('/:bookingId/messages', authenticateToken, validate(getMessagesSchema, 'query'), async (req, res) => {
+  try {
+    const result = await chatService.getMessages(req.params.bookingId, req.user._id, req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    handleChatError(res, error, 'Get chat messages');
+  }
+});
+
+/**
+ * POST /api/chat/:bookingId/messages
+ * Send a chat message without a socket connection
+ */
+router.post('/:bookingId/messages', authenticateToken, validate(sendMessageSchema), async (req, res) => {
+  try {
+    const { message, recipientId, duplicate } = await chatService.sendMessage(
+      req.params.bookingId,
+      req.user._id,
+      req.body
+    );
+
+    const io = socketService.getIO();
+    if (io && !duplicate) {
+      io.to(`chat:${message.bookingId}`).emit('chat:message', message);
+      socketService.sendToUser(recipientId, 'chat:unread', {
+        bookingId: message.bookingId,
+        tripId: message.tripId,
+        messageId: message._id
+      });
+    }
+
+    res.status(201).json({ success: true, message });
+  } catch (error) {
+    handleChatError(res, error, 'Send chat message');
+  }
+});
+
+/**
+ * POST /api/chat/:bookingId/read
+ * Mark incoming messages as read
+ */
+router.post('/:bookingId/read', authenticateToken, async (req, res) => {
+  try {
+    const { booking } = await chatService.getChatContext(req.params.bookingId, req.user._id);
+    const result = await chatService.markRead(booking._id, req.user._id);
+
+    const io = socketService.getIO();
+    if (io && result.messageIds.length > 0) {
+      io.to(`chat:${booking._id}`).emit('chat:receipt', {
+        bookingId: booking._id,
+        type: 'read',
+        messageIds: result.messageIds,
+        at: result.readAt
+      });
+    }
+
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    handleChatError(res, error, 'Mark chat read');
+  }
+});
+
+module.exports = router;
@@ -9,6 +9,7 @@ const driverRegistrationService = require('../services/driverRegistrationService
 const vehicleService = require('../services/vehicleService');
 const documentService = require('../services/documentService');
 const uploadService = require('../services/uploadService');
+const driverScheduleService = require('../services/driverScheduleService');
 
 const router = express.Router();
 
@@ -57,6 +58,27 @@ const vehicleSchema = Joi.object({
   insuranceExpiry: Joi.date().greater('now').required()
 });
 
+const timeOfDay = Joi.string().pattern(/^([01][0-9]|2[0-3]):[0-5][0-9]$/)
+  .messages({ 'string.pattern.base': 'Time must be HH:mm' });
+
+const availabilitySchema = Joi.object({
+  workingHours: Joi.object({
+    start: timeOfDay.required(),
+    end: timeOfDay.invalid(Joi.ref('start')).required()
+  }).allow(null).optional(),
+  workingDays: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().optional(),
+  blockedDates: Joi.array().items(Joi.object({
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required()
+      .messages({ 'string.pattern.base': 'Date must be YYYY-MM-DD' }),
+    reason: Joi.string().trim().max(200).allow('').optional()
+  })).max(366).optional()
+}).min(1);
+
+const scheduleQuerySchema = Joi.object({
+  from: Joi.date().optional(),
+  days: Joi.number().integer().min(1).max(90).default(14)
+});
+
 /**
  * POST /api/driver/register
  * Register as a driver with personal details
@@ -638,4 +660,71 @@ router.get('/booking-requests', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/driver/availability
+ * Get the driver's availability calendar (working hours, working days, blocked dates)
+ */
+router.get('/availability', authenticateToken, async (req, res) => {
+  try {
+    const driverStatus = await driverRegistrationService.getDriverStatus(req.user._id);
+    if (!driverStatus.isDriver) {
+      return res.status(404).json({ success: false, error: 'Driver registration not found', code: 'DRIVER_NOT_FOUND' });
+    }
+
+    const availability = await driverScheduleService.getAvailability(driverStatus.driverId);
+    res.status(200).json({ success: true, availability });
+  } catch (error) {
+    if (error.code === 'DRIVER_NOT_FOUND') {
+      return res.status(404).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Get availability error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  }
+});
+
+/**
+ * PUT /api/driver/availability
+ * Update the availability calendar. New trips outside it are rejected;
+ * existing trips it no longer covers are returned as affectedTrips.
+ */
+router.put('/availability', authenticateToken, validate(availabilitySchema), async (req, res) => {
+  try {
+    const driverStatus = await driverRegistrationService.getDriverStatus(req.user._id);
+    if (!driverStatus.isDriver) {
+      return res.status(404).json({ success: false, error: 'Driver registration not found', code: 'DRIVER_NOT_FOUND' });
+    }
+
+    const result = await driverScheduleService.updateAvailability(driverStatus.driverId, req.body);
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    if (error.code === 'DRIVER_NOT_FOUND') {
+      return res.status(404).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Update availability error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  }
+});
+
+/**
+ * GET /api/driver/schedule
+ * Get the driver's upcoming trips with their occupied time windows
+ */
+router.get('/schedule', authenticateToken, validate(scheduleQuerySchema, 'query'), async (req, res) => {
+  try {
+    const driverStatus = await driverRegistrationService.getDriverStatus(req.user._id);
+    if (!driverStatus.isDriver) {
+      return res.status(404).json({ success: false, error: 'Driver registration not found', code: 'DRIVER_NOT_FOUND' });
+    }
+
+    const schedule = await driverScheduleService.getDriverSchedule(driverStatus.driverId, req.query);
+    res.status(200).json({ success: true, schedule });
+  } catch (error) {
+    if (error.code === 'DRIVER_NOT_FOUND') {
+      return res.status(404).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Get schedule error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  }
+});
+
 module.exports = router;
@@ -9,7 +9,7 @@ const express = require('express');
 const Joi = require('joi');
 const { authenticateToken } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
-const { createOrder, isServiceAvailable } = require('../services/cashfreeService');
+const { createOrder, getOrder, terminateOrder, isServiceAvailable } = require('../services/cashfreeService');
 const { calculatePaymentBreakdown, PLATFORM_FEE } = require('../services/cashfreePaymentCalculation');
 const { 
   verifyPassengerOTP, 
@@ -17,6 +17,8 @@ const {
   verifyOTPAndCapturePayments,
   getPassengerVerificationStatus 
 } = require('../services/paymentService');
+const { validateCoupon, reserveCouponForBooking, releaseCouponForBooking } = require('../services/couponService');
+const { getChargedDriverCommission } = require('../services/pricingService');
 const Transaction = require('../models/Transaction');
 const Booking = require('../models/Booking');
 const Trip = require('../models/Trip');
@@ -29,7 +31,13 @@ const initiatePaymentSchema = Joi.object({
   bookingId: Joi.string().required(),
   hasFreeCancellation: Joi.boolean().default(false),
   returnUrl: Joi.string().uri().optional(),
-  source: Joi.string().valid('web', 'mobile').default('web')
+  source: Joi.string().valid('web', 'mobile').default('web'),
+  couponCode: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]{3,30}$/).optional()
+});
+
+const validateCouponSchema = Joi.object({
+  bookingId: Joi.string().required(),
+  couponCode: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]{3,30}$/).required()
 });
 
 /**
@@ -43,6 +51,30 @@ const generateOrderId = (bookingId) => {
   return `HR-${bookingId.slice(-6)}-${timestamp}-${random}`.toUpperCase();
 };
 
+/**
+ * Close a booking's earlier order so it can no longer be paid
+ * The order's amount carries the discount of the coupon reserved with it,
+ * so that reservation may only be released or swapped once the order is
+ * terminated or has expired.
+ * @param {string} orderId - Earlier Cashfree order ID
+ * @returns {Promise<boolean>} Whether the order can no longer be paid
+ */
+const closePreviousOrder = async (orderId) => {
+  try {
+    const { orderStatus } = await terminateOrder(orderId);
+    return orderStatus === 'TERMINATED';
+  } catch (error) {
+    // Cashfree refuses to terminate orders that are no longer active
+    try {
+      const { orderStatus } = await getOrder(orderId);
+      return ['TERMINATED', 'EXPIRED'].includes(orderStatus);
+    } catch (fetchError) {
+      console.error(`Failed to close previous order ${orderId}:`, fetchError.message);
+      return false;
+    }
+  }
+};
+
 /**
  * POST /api/payments/initiate
  * Initiate payment for a booking
@@ -51,8 +83,11 @@ const generateOrderId = (bookingId) => {
  * Requirements: 1.1, 1.5, 2.1, 3.2
  */
 router.post('/initiate', authenticateToken, validate(initiatePaymentSchema), async (req, res) => {
+  // Coupon reserved by this request, released if the order is never created
+  let reservedBookingId = null;
+
   try {
-    const { bookingId, hasFreeCancellation, returnUrl, source } = req.body;
+    const { bookingId, hasFreeCancellation, returnUrl, source, couponCode } = req.body;
     const userId = req.user._id;
 
 
@@ -122,12 +157,41 @@ router.post('/initiate', authenticateToken, validate(initiatePaymentSchema), asy
       });
     }
 
+    // An earlier order discounted with a different coupon (or none now) must
+    // be closed before its reservation is released or swapped
+    const previousCouponCode = booking.fareBreakdown?.couponCode;
+    if (booking.paymentId && previousCouponCode && previousCouponCode !== couponCode) {
+      if (!(await closePreviousOrder(booking.paymentId))) {
+        return res.status(409).json({
+          success: false,
+          error: 'An earlier payment for this booking is still open. Please try again in a few minutes.',
+          code: 'PREVIOUS_PAYMENT_OPEN'
+        });
+      }
+    }
+
+    // Reserve coupon for this booking, or release one from an earlier attempt
+    let coupon = null;
+    if (couponCode) {
+      coupon = await reserveCouponForBooking(couponCode, userId, booking);
+      // A reused reservation still backs the earlier order
+      reservedBookingId = coupon.reused ? null : booking._id;
+    } else {
+      await releaseCouponForBooking(booking._id);
+    }
+
     // Calculate payment breakdown with platform fee and optional Free Cancellation
     // Requirements: 2.1, 3.2
+    // Bookings priced by a fee schedule carry their own passenger fee; commission
+    // is only deducted when an activated schedule (not the default) priced them
     const breakdown = calculatePaymentBreakdown(booking.fare, {
       hasFreeCancellation,
-      appliedDiscount: 0, // TODO: Integrate with discount/coupon system
-      source
+      appliedDiscount: coupon ? coupon.discount : 0,
+      source,
+      ...(typeof booking.pricing?.passengerFee === 'number' && {
+        platformFee: booking.pricing.passengerFee,
+        driverCommission: getChargedDriverCommission(booking.pricing)
+      })
     });
 
     // Generate unique order ID
@@ -158,6 +222,7 @@ router.post('/initiate', authenticateToken, validate(initiatePaymentSchema), asy
       orderMeta,
       note: `HushRyd Booking: ${booking.bookingId}`
     });
+    reservedBookingId = null;
 
     // Generate transaction ID
     const transactionId = await Transaction.generateTransactionId();
@@ -193,14 +258,23 @@ router.post('/initiate', authenticateToken, validate(initiatePaymentSchema), asy
       metadata: {
         source,
         hasFreeCancellation,
-        bookingId: booking.bookingId
+        bookingId: booking.bookingId,
+        couponCode: coupon ? coupon.code : null
       }
     });
 
     await transaction.save();
 
-    // Update booking with payment initiation info
+    // Update booking with payment initiation info and the fare breakdown used for invoicing
     booking.paymentId = orderId;
+    booking.fareBreakdown = {
+      baseFare: breakdown.baseFare,
+      platformFee: breakdown.platformFee,
+      taxes: 0,
+      discount: breakdown.appliedDiscount,
+      couponCode: coupon ? coupon.code : undefined,
+      totalFare: breakdown.totalAmount
+    };
     await booking.save();
 
     // Return payment session for frontend checkout
@@ -221,6 +295,7 @@ router.post('/initiate', authenticateToken, validate(initiatePaymentSchema), asy
           appliedDiscount: breakdown.appliedDiscount,
           totalAmount: breakdown.totalAmount
         },
+        couponCode: coupon ? coupon.code : null,
         hasFreeCancellation,
         booking: {
           bookingId: booking.bookingId,
@@ -234,6 +309,22 @@ router.post('/initiate', authenticateToken, validate(initiatePaymentSchema), asy
   } catch (error) {
     console.error('Payment initiation error:', error);
 
+    // No order was created, so the coupon must not stay reserved
+    if (reservedBookingId) {
+      await releaseCouponForBooking(reservedBookingId).catch(releaseError =>
+        console.error('Failed to release coupon after payment initiation error:', releaseError.message)
+      );
+    }
+
+    // Coupon could not be applied
+    if (error.code && error.code.startsWith('COUPON_')) {
+      return res.status(error.statusCode || 400).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
     // Handle specific Cashfree errors
     if (error.message?.includes('Cashfree is not configured')) {
       return res.status(503).json({
@@ -260,6 +351,65 @@ router.post('/initiate', authenticateToken, validate(initiatePaymentSchema), asy
   }
 });
 
+/**
+ * POST /api/payments/coupon/validate
+ * Preview the discount a coupon gives on a booking without reserving it
+ */
+router.post('/coupon/validate', authenticateToken, validate(validateCouponSchema), async (req, res) => {
+  try {
+    const { bookingId, couponCode } = req.body;
+    const userId = req.user._id;
+
+    const booking = await Booking.findByBookingId(bookingId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found',
+        code: 'BOOKING_NOT_FOUND'
+      });
+    }
+
+    if (booking.passengerId.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized to apply a coupon to this booking',
+        code: 'UNAUTHORIZED'
+      });
+    }
+
+    const { coupon, discount } = await validateCoupon(couponCode, userId, booking.fare, {
+      excludeBookingId: booking._id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        couponCode: coupon.code,
+        description: coupon.description,
+        fare: booking.fare,
+        discount,
+        discountedFare: booking.fare - discount
+      }
+    });
+
+  } catch (error) {
+    if (error.code && error.code.startsWith('COUPON_')) {
+      return res.status(error.statusCode || 400).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Coupon validation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to validate coupon',
+      code: 'COUPON_VALIDATION_FAILED'
+    });
+  }
+});
+
 /**
  * GET /api/payments/:orderId/status
  * Get payment status for an order
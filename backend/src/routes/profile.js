@@ -18,6 +18,7 @@ const updateProfileSchema = Joi.object({
   gender: Joi.string().valid('male', 'female', 'other'),
   dateOfBirth: Joi.date().max('now'),
   healthInfo: Joi.string().trim().max(500),
+  city: Joi.string().trim().max(100),
   preferences: Joi.object({
     rideType: Joi.array().items(
       Joi.string().valid('regular', 'female-only', 'accessible', 'premium')
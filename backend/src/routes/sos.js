@@ -44,6 +44,26 @@ const resolveAlertSchema = Joi.object({
 
 const acknowledgeAlertSchema = Joi.object({});
 
+const silentSOSSchema = Joi.object({
+  trigger: Joi.string().valid('button_pattern').required(),
+  pressTimestamps: Joi.array().items(
+    Joi.alternatives().try(Joi.number().integer().min(0), Joi.date().iso())
+  ).min(2).max(20).required(),
+  tripId: Joi.string().hex().length(24),
+  location: Joi.object({
+    coordinates: Joi.object({
+      lat: Joi.number().min(-90).max(90).required(),
+      lng: Joi.number().min(-180).max(180).required()
+    }).required(),
+    address: Joi.string().max(500).trim().allow('')
+  })
+});
+
+const safeWordSchema = Joi.object({
+  safeWord: Joi.string().min(4).max(50).trim().required()
+    .messages({ 'any.required': 'Safe word is required' })
+});
+
 /**
  * POST /api/sos/trigger
  * Trigger an SOS alert
@@ -109,6 +129,108 @@ router.post('/trigger', authenticate, validate(triggerSOSSchema), async (req, re
 });
 
 
+/**
+ * POST /api/sos/silent
+ * Trigger a silent SOS from a discreet signal reported by the app
+ * The driver receives nothing; staff dashboards and emergency contacts are alerted
+ */
+router.post('/silent', authenticate, validate(silentSOSSchema), async (req, res, next) => {
+  try {
+    const { pressTimestamps, tripId, location } = req.body;
+
+    const result = await sosService.handleButtonPattern(req.user._id, {
+      pressTimestamps,
+      tripId,
+      location
+    });
+
+    res.status(202).json({
+      success: true,
+      data: {
+        alertId: result.alertId,
+        status: result.status
+      }
+    });
+  } catch (error) {
+    if (['PATTERN_NOT_MATCHED', 'BUTTON_PATTERN_DISABLED', 'COORDINATES_REQUIRED'].includes(error.code)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+    if (['NO_ACTIVE_TRIP', 'TRIP_NOT_FOUND', 'USER_NOT_FOUND'].includes(error.code)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sos/safe-word
+ * Get silent SOS settings (the safe word itself is never returned)
+ */
+router.get('/safe-word', authenticate, async (req, res, next) => {
+  try {
+    const settings = await sosService.getSilentSOSSettings(req.user._id);
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/sos/safe-word
+ * Set the safe word that triggers a silent SOS from chat or SMS
+ */
+router.put('/safe-word', authenticate, validate(safeWordSchema), async (req, res, next) => {
+  try {
+    const settings = await sosService.setSafeWord(req.user._id, req.body.safeWord);
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_SAFE_WORD') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/sos/safe-word
+ * Remove the silent SOS safe word
+ */
+router.delete('/safe-word', authenticate, async (req, res, next) => {
+  try {
+    const settings = await sosService.clearSafeWord(req.user._id);
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/sos/alerts
  * Get user's SOS alerts (for the triggering user)
@@ -12,6 +12,7 @@ const { validate } = require('../middleware/validate');
 const { authenticate, isSuperAdmin } = require('../middleware/auth');
 const { auditMiddlewares } = require('../middleware/auditLog');
 const adminService = require('../services/adminService');
+const accessScopeService = require('../services/accessScopeService');
 
 // Apply authentication and super admin check to all routes
 router.use(authenticate);
@@ -94,6 +95,16 @@ const getAuditLogsSchema = Joi.object({
   endDate: Joi.date().iso().min(Joi.ref('startDate'))
 });
 
+const updateRolePolicySchema = Joi.object({
+  refundLimit: Joi.number().min(0).allow(null),
+  ticketVisibility: Joi.string().valid('all', 'assigned_or_queue')
+}).min(1);
+
+const updateStaffScopeSchema = Joi.object({
+  cities: Joi.array().items(Joi.string().trim().max(100)).max(50),
+  ticketQueues: Joi.array().items(Joi.string().valid(...accessScopeService.TICKET_QUEUES))
+}).min(1);
+
 /**
  * GET /api/super-admin/dashboard
  * Get dashboard metrics
@@ -276,4 +287,65 @@ router.get('/audit-logs', validate(getAuditLogsSchema, 'query'), async (req, res
   }
 });
 
+/**
+ * GET /api/super-admin/access-scopes/roles
+ * Refund caps and ticket visibility for each staff role
+ */
+router.get('/access-scopes/roles', async (req, res, next) => {
+  try {
+    const policies = await accessScopeService.listRolePolicies();
+    res.json({ success: true, data: policies });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/super-admin/access-scopes/roles/:role
+ * Update a role's refund cap (null = no cap) and ticket visibility
+ */
+router.put('/access-scopes/roles/:role', validate(updateRolePolicySchema), async (req, res, next) => {
+  try {
+    const policy = await accessScopeService.updateRolePolicy(req.params.role, req.body, req.user._id);
+    res.json({ success: true, data: policy, message: 'Role policy updated successfully' });
+  } catch (error) {
+    if (error.code === 'INVALID_ROLE') {
+      return res.status(400).json({ success: false, error: { code: error.code, message: error.message } });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/super-admin/staff/:id/scope
+ * A staff member's assigned cities and ticket queues
+ */
+router.get('/staff/:id/scope', async (req, res, next) => {
+  try {
+    const scope = await accessScopeService.getStaffScope(req.params.id);
+    res.json({ success: true, data: scope });
+  } catch (error) {
+    if (error.code === 'STAFF_NOT_FOUND') {
+      return res.status(404).json({ success: false, error: { code: error.code, message: error.message } });
+    }
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/super-admin/staff/:id/scope
+ * Assign a staff member's cities (empty = all regions) and ticket queues
+ */
+router.put('/staff/:id/scope', validate(updateStaffScopeSchema), async (req, res, next) => {
+  try {
+    const scope = await accessScopeService.updateStaffScope(req.params.id, req.body, req.user._id);
+    res.json({ success: true, data: scope, message: 'Staff scope updated successfully' });
+  } catch (error) {
+    if (error.code === 'STAFF_NOT_FOUND') {
+      return res.status(404).json({ success: false, error: { code: error.code, message: error.message } });
+    }
+    next(error);
+  }
+});
+
 module.exports = router;
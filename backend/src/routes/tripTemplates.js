@@ -0,0 +1,224 @@
+/**
+ * Trip Template Routes
+ * API endpoints for recurring trip templates (daily commuter drivers)
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const recurringTripService = require('../services/recurringTripService');
+const driverRegistrationService = require('../services/driverRegistrationService');
+
+const router = express.Router();
+
+const requireDriverRole = authorize('driver', 'admin', 'super_admin');
+
+// Validation schemas
+const dateKeySchema = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/)
+  .messages({ 'string.pattern.base': 'Date must be YYYY-MM-DD' });
+
+const locationSchema = Joi.object({
+  address: Joi.string().min(3).max(500).required(),
+  coordinates: Joi.object({
+    lat: Joi.number().min(-90).max(90),
+    lng: Joi.number().min(-180).max(180)
+  }).optional(),
+  landmark: Joi.string().max(200).optional()
+});
+
+const recurrenceSchema = Joi.object({
+  pattern: Joi.string().valid('daily', 'weekdays', 'custom').required(),
+  daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).unique()
+    .when('pattern', { is: 'custom', then: Joi.array().min(1).required() }),
+  startDate: dateKeySchema.required(),
+  endDate: dateKeySchema.optional(),
+  skipDates: Joi.array().items(dateKeySchema).unique().max(366).optional()
+});
+
+const createTemplateSchema = Joi.object({
+  source: locationSchema.required(),
+  destination: locationSchema.required(),
+  stopovers: Joi.array().items(locationSchema).optional(),
+  departureTime: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required()
+    .messages({ 'string.pattern.base': 'Departure time must be HH:mm' }),
+  availableSeats: Joi.number().integer().min(1).max(6).required(),
+  farePerSeat: Joi.number().min(0).required(),
+  vehicleId: Joi.string().allow('', null).optional(),
+  instantBooking: Joi.boolean().optional(),
+  ladiesOnly: Joi.boolean().optional(),
+  description: Joi.string().allow('', null).max(1000).optional(),
+  route: Joi.object({
+    distance: Joi.number().min(0).optional(),
+    duration: Joi.number().min(0).optional(),
+    polyline: Joi.string().optional()
+  }).optional(),
+  recurrence: recurrenceSchema.required(),
+  materializeDaysAhead: Joi.number().integer().min(1).max(30).optional()
+});
+
+const updateTemplateSchema = Joi.object({
+  departureTime: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .messages({ 'string.pattern.base': 'Departure time must be HH:mm' }),
+  availableSeats: Joi.number().integer().min(1).max(6),
+  farePerSeat: Joi.number().min(0),
+  instantBooking: Joi.boolean(),
+  ladiesOnly: Joi.boolean(),
+  description: Joi.string().allow('', null).max(1000),
+  recurrence: Joi.object({
+    endDate: dateKeySchema.allow(null),
+    skipDates: Joi.array().items(dateKeySchema).unique().max(366)
+  }),
+  materializeDaysAhead: Joi.number().integer().min(1).max(30)
+}).min(1);
+
+const cancelOccurrencesSchema = Joi.object({
+  fromDate: dateKeySchema.optional(),
+  toDate: dateKeySchema.optional(),
+  reason: Joi.string().max(500).optional(),
+  endTemplate: Joi.boolean().default(false)
+});
+
+/**
+ * Helper to get driver ID from authenticated user
+ */
+const getDriverId = async (userId) => {
+  const driverStatus = await driverRegistrationService.getDriverStatus(userId);
+  if (!driverStatus.isDriver) {
+    const error = new Error('Driver registration not found');
+    error.code = 'DRIVER_NOT_FOUND';
+    error.statusCode = 404;
+    throw error;
+  }
+  return driverStatus.driverId;
+};
+
+/**
+ * Map service errors to responses
+ */
+const handleTemplateError = (res, error, label) => {
+  if (['DRIVER_NOT_FOUND', 'TEMPLATE_NOT_FOUND'].includes(error.code)) {
+    return res.status(404).json({ success: false, error: error.message, code: error.code });
+  }
+  if (error.code === 'UNAUTHORIZED') {
+    return res.status(403).json({ success: false, error: error.message, code: error.code });
+  }
+  if (error.code === 'DOCUMENTS_NEED_ATTENTION') {
+    return res.status(403).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      rejectedDocuments: error.rejectedDocuments
+    });
+  }
+  if (['INVALID_TEMPLATE_DATA', 'INVALID_TEMPLATE_STATUS', 'TEMPLATE_ENDED'].includes(error.code)) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      errors: error.errors,
+      fieldErrors: error.fieldErrors
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+};
+
+/**
+ * POST /api/trip-templates
+ * Create a recurring trip template
+ */
+router.post('/', authenticateToken, requireDriverRole, validate(createTemplateSchema), async (req, res) => {
+  try {
+    const driverId = await getDriverId(req.user._id);
+    const result = await recurringTripService.createTemplate(driverId, req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    handleTemplateError(res, error, 'Create trip template');
+  }
+});
+
+/**
+ * GET /api/trip-templates
+ * List the driver's trip templates
+ */
+router.get('/', authenticateToken, requireDriverRole, async (req, res) => {
+  try {
+    const driverId = await getDriverId(req.user._id);
+    const result = await recurringTripService.getDriverTemplates(driverId, { status: req.query.status });
+    res.status(200).json(result);
+  } catch (error) {
+    handleTemplateError(res, error, 'Get trip templates');
+  }
+});
+
+/**
+ * GET /api/trip-templates/:id
+ * Get a trip template with its upcoming trips
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await recurringTripService.getTemplateById(req.params.id);
+    res.status(200).json(result);
+  } catch (error) {
+    handleTemplateError(res, error, 'Get trip template');
+  }
+});
+
+/**
+ * PUT /api/trip-templates/:id
+ * Update a trip template (applies to occurrences not yet created)
+ */
+router.put('/:id', authenticateToken, requireDriverRole, validate(updateTemplateSchema), async (req, res) => {
+  try {
+    const driverId = await getDriverId(req.user._id);
+    const result = await recurringTripService.updateTemplate(req.params.id, driverId, req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    handleTemplateError(res, error, 'Update trip template');
+  }
+});
+
+/**
+ * POST /api/trip-templates/:id/pause
+ * Stop creating new occurrences
+ */
+router.post('/:id/pause', authenticateToken, requireDriverRole, async (req, res) => {
+  try {
+    const driverId = await getDriverId(req.user._id);
+    const result = await recurringTripService.pauseTemplate(req.params.id, driverId);
+    res.status(200).json(result);
+  } catch (error) {
+    handleTemplateError(res, error, 'Pause trip template');
+  }
+});
+
+/**
+ * POST /api/trip-templates/:id/resume
+ * Resume creating occurrences
+ */
+router.post('/:id/resume', authenticateToken, requireDriverRole, async (req, res) => {
+  try {
+    const driverId = await getDriverId(req.user._id);
+    const result = await recurringTripService.resumeTemplate(req.params.id, driverId);
+    res.status(200).json(result);
+  } catch (error) {
+    handleTemplateError(res, error, 'Resume trip template');
+  }
+});
+
+/**
+ * POST /api/trip-templates/:id/cancel-occurrences
+ * Bulk cancel future occurrences, refunding booked passengers
+ */
+router.post('/:id/cancel-occurrences', authenticateToken, requireDriverRole, validate(cancelOccurrencesSchema), async (req, res) => {
+  try {
+    const driverId = await getDriverId(req.user._id);
+    const result = await recurringTripService.cancelFutureOccurrences(req.params.id, driverId, req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    handleTemplateError(res, error, 'Cancel trip occurrences');
+  }
+});
+
+module.exports = router;
@@ -7,6 +7,7 @@
 
 const express = require('express');
 const Joi = require('joi');
+const multer = require('multer');
 const { authenticateToken, authorize } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
 
@@ -21,9 +22,27 @@ const driverRegistrationService = require('../services/driverRegistrationService
 const cancellationService = require('../services/cancellationService');
 const ratingService = require('../services/ratingService');
 const tripTrackingService = require('../services/tripTrackingService');
+const fareSuggestionService = require('../services/fareSuggestionService');
+const payoutService = require('../services/payoutService');
+const routeDeviationService = require('../services/routeDeviationService');
+const faceVerificationService = require('../services/faceVerificationService');
+const { renderEarningsStatementPdf } = require('../services/reportDocumentService');
+const { MAX_STOPOVERS } = require('../services/tripStopService');
 
 const router = express.Router();
 
+// Live selfies for pre-trip identity checks are held in memory and sent to S3
+const selfieUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    if (['image/jpeg', 'image/png'].includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new Error('Only JPEG and PNG photos are allowed'));
+  }
+});
+
 // Validation schemas
 const locationSchema = Joi.object({
   address: Joi.string().min(3).max(500).required(),
@@ -38,11 +57,19 @@ const createTripSchema = Joi.object({
   source: locationSchema.required(),
   destination: locationSchema.required(),
   stopovers: Joi.array().items(Joi.object({
-    address: Joi.string().min(3).max(500),
+    address: Joi.string().min(3).max(500).required(),
     coordinates: Joi.object({
-      lat: Joi.number().min(-90).max(90),
-      lng: Joi.number().min(-180).max(180)
-    }).optional()
+      lat: Joi.number().min(-90).max(90).required(),
+      lng: Joi.number().min(-180).max(180).required()
+    }).required(),
+    landmark: Joi.string().max(200).optional(),
+    scheduledAt: Joi.date().optional()
+  })).max(MAX_STOPOVERS).optional(),
+  // Stop indexes: 0 = source, 1..n = stopovers, n + 1 = destination
+  stopFares: Joi.array().items(Joi.object({
+    fromStop: Joi.number().integer().min(0).required(),
+    toStop: Joi.number().integer().min(1).required(),
+    farePerSeat: Joi.number().min(0).required()
   })).optional(),
   scheduledAt: Joi.date().greater('now').required(),
   availableSeats: Joi.number().integer().min(1).max(6).required(),
@@ -58,6 +85,18 @@ const createTripSchema = Joi.object({
   }).optional()
 });
 
+const fareSuggestionSchema = Joi.object({
+  source: locationSchema.required(),
+  destination: locationSchema.required(),
+  scheduledAt: Joi.date().optional(),
+  availableSeats: Joi.number().integer().min(1).max(6).optional(),
+  vehicleId: Joi.string().allow('', null).optional(),
+  vehicleType: Joi.string().valid('sedan', 'suv', 'hatchback', 'premium').optional(),
+  route: Joi.object({
+    distance: Joi.number().min(0).optional()
+  }).optional()
+});
+
 const startTripSchema = Joi.object({
   otp: Joi.string().length(6).pattern(/^\d+$/).required()
     .messages({ 'string.pattern.base': 'OTP must be 6 digits' })
@@ -67,6 +106,19 @@ const cancelTripSchema = Joi.object({
   reason: Joi.string().max(500).optional()
 });
 
+const payoutSettingsSchema = Joi.object({
+  cycle: Joi.string().valid('instant', 'daily', 'weekly').optional(),
+  minimumPayout: Joi.number().min(0).max(10000).optional()
+}).min(1);
+
+const statementQuerySchema = Joi.object({
+  format: Joi.string().valid('json', 'pdf').default('json')
+});
+
+const deviationResponseSchema = Joi.object({
+  response: Joi.string().valid('safe', 'help').required()
+});
+
 
 /**
  * Helper to get driver ID from authenticated user
@@ -128,6 +180,16 @@ router.post('/', authenticateToken, requireDriverRole, async (req, res) => {
         rejectedDocuments: error.rejectedDocuments 
       });
     }
+    if (error.code === 'FARE_EXCEEDS_LIMIT') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        maxFarePerSeat: error.maxFarePerSeat,
+        maxFarePerKm: error.maxFarePerKm,
+        distanceKm: error.distanceKm
+      });
+    }
     if (error.code === 'INVALID_TRIP_DATA') {
       return res.status(400).json({ 
         success: false, 
@@ -137,6 +199,15 @@ router.post('/', authenticateToken, requireDriverRole, async (req, res) => {
         fieldErrors: error.fieldErrors
       });
     }
+    if (error.code === 'INVALID_STOPOVERS' || error.code === 'INVALID_STOP_FARES') {
+      return res.status(400).json({ success: false, error: error.message, code: error.code });
+    }
+    if (error.code === 'SCHEDULE_CONFLICT') {
+      return res.status(409).json({ success: false, error: error.message, code: error.code, conflicts: error.conflicts });
+    }
+    if (error.code === 'DRIVER_UNAVAILABLE') {
+      return res.status(409).json({ success: false, error: error.message, code: error.code, reason: error.reason });
+    }
     if (error.code === 'VEHICLE_NOT_FOUND' || error.code === 'VEHICLE_NOT_ACTIVE') {
       return res.status(400).json({ success: false, error: error.message, code: error.code });
     }
@@ -144,6 +215,40 @@ router.post('/', authenticateToken, requireDriverRole, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/trips/fare-suggestion
+ * Recommend a fare range for a trip from route distance, vehicle running
+ * cost and completed trips on the same corridor
+ */
+router.post('/fare-suggestion', authenticateToken, requireDriverRole, validate(fareSuggestionSchema), async (req, res) => {
+  try {
+    const driverId = await getDriverId(req.user._id);
+    const { source, destination, scheduledAt, availableSeats, vehicleId, vehicleType, route } = req.body;
+
+    const result = await fareSuggestionService.suggestFare({
+      source,
+      destination,
+      scheduledAt,
+      seats: availableSeats,
+      driverId,
+      vehicleId: vehicleId || undefined,
+      vehicleType,
+      distanceKm: route?.distance
+    });
+
+    res.json({ success: true, data: result.suggestion });
+  } catch (error) {
+    console.error('Fare suggestion error:', error.message, error.code);
+    if (error.code === 'DRIVER_NOT_FOUND') {
+      return res.status(404).json({ success: false, error: error.message, code: error.code });
+    }
+    if (error.code === 'ROUTE_DISTANCE_UNAVAILABLE') {
+      return res.status(422).json({ success: false, error: error.message, code: error.code });
+    }
+    res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  }
+});
+
 /**
  * GET /api/driver/trips
  * Get driver's trips with filters
@@ -224,11 +329,65 @@ router.put('/:id/start', authenticateToken, requireDriverRole, validate(startTri
     if (error.code === 'OTP_REQUIRED' || error.code === 'INVALID_OTP') {
       return res.status(401).json({ success: false, error: error.message, code: error.code });
     }
+    if (error.code === 'TRIP_ALREADY_IN_PROGRESS') {
+      return res.status(409).json({ success: false, error: error.message, code: error.code, activeTripId: error.activeTripId });
+    }
+    if (error.code === 'SELFIE_CHECK_REQUIRED') {
+      return res.status(403).json({ success: false, error: error.message, code: error.code, reason: error.reason });
+    }
+    if (error.code === 'SELFIE_CHECK_LOCKED') {
+      return res.status(403).json({ success: false, error: error.message, code: error.code });
+    }
     console.error('Start trip error:', error);
     res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
   }
 });
 
+/**
+ * POST /api/trips/:id/selfie-check
+ * Live selfie compared with the driver's verified photo before a trip start
+ */
+router.post('/:id/selfie-check', authenticateToken, requireDriverRole, (req, res, next) => {
+  selfieUpload.single('selfie')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({ success: false, error: 'File size must be less than 5MB', code: 'FILE_TOO_LARGE' });
+      }
+      return res.status(400).json({ success: false, error: err.message, code: 'UPLOAD_ERROR' });
+    } else if (err) {
+      return res.status(400).json({ success: false, error: err.message, code: 'UPLOAD_ERROR' });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No selfie uploaded', code: 'NO_FILE_UPLOADED' });
+    }
+
+    const driverId = await getDriverId(req.user._id);
+    const result = await faceVerificationService.submitSelfieCheck({
+      driverId,
+      tripId: req.params.id,
+      file: req.file
+    });
+
+    const messages = {
+      passed: 'Identity confirmed. You can start the trip.',
+      failed: 'Your selfie did not match your verified photo.',
+      no_face: 'No face found. Please retake the selfie in good light.',
+      error: 'We could not check your selfie. Please try again.'
+    };
+    res.status(200).json({ success: true, data: result, message: messages[result.status] });
+  } catch (error) {
+    if (error.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Selfie check error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  }
+});
+
 /**
  * PUT /api/trips/:id/complete
  * Complete a trip
@@ -314,6 +473,70 @@ router.get('/driver/earnings', authenticateToken, requireDriverRole, async (req,
   }
 });
 
+/**
+ * GET /api/driver/payouts
+ * Get payout cycle, payable and held balances, and recent payouts
+ */
+router.get('/driver/payouts', authenticateToken, requireDriverRole, async (req, res) => {
+  try {
+    const driverId = await getDriverId(req.user._id);
+    const result = await payoutService.getPayoutOverview(driverId);
+
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.code === 'DRIVER_NOT_FOUND') {
+      return res.status(404).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Get payouts error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  }
+});
+
+/**
+ * PUT /api/driver/payouts/settings
+ * Choose the payout cycle (instant, daily, weekly) and minimum payout
+ */
+router.put('/driver/payouts/settings', authenticateToken, requireDriverRole, validate(payoutSettingsSchema), async (req, res) => {
+  try {
+    const driverId = await getDriverId(req.user._id);
+    const result = await payoutService.updatePayoutSettings(driverId, req.body);
+
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Update payout settings error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  }
+});
+
+/**
+ * GET /api/driver/statements/:month
+ * Monthly earnings statement (YYYY-MM) as JSON or a downloadable PDF
+ */
+router.get('/driver/statements/:month', authenticateToken, requireDriverRole, validate(statementQuerySchema, 'query'), async (req, res) => {
+  try {
+    const driverId = await getDriverId(req.user._id);
+    const { statement } = await payoutService.getMonthlyStatement(driverId, req.params.month);
+
+    if (req.query.format === 'pdf') {
+      const pdf = await renderEarningsStatementPdf(statement);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="hushryd-earnings-${statement.month}.pdf"`);
+      return res.send(pdf);
+    }
+
+    res.status(200).json({ success: true, statement });
+  } catch (error) {
+    if (error.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Get earnings statement error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  }
+});
+
 /**
  * GET /api/driver/rating
  * Get driver's rating details
@@ -472,4 +695,39 @@ router.post('/:id/tracking/location', authenticateToken, requireDriverRole, asyn
   }
 });
 
+/**
+ * POST /api/trips/deviation-events/:eventId/response
+ * Passenger answers a route deviation safety check
+ * "help" raises an SOS alert immediately
+ */
+router.post('/deviation-events/:eventId/response', authenticateToken, validate(deviationResponseSchema), async (req, res) => {
+  try {
+    const result = await routeDeviationService.handleSafetyResponse(
+      req.params.eventId,
+      req.user._id,
+      req.body.response
+    );
+
+    if (!result.success) {
+      return res.status(409).json({
+        success: false,
+        error: result.message,
+        code: 'ALREADY_RESPONDED'
+      });
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Route deviation response error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Internal server error', 
+      code: 'INTERNAL_ERROR' 
+    });
+  }
+});
+
 module.exports = router;
@@ -11,6 +11,11 @@ const Transaction = require('../models/Transaction');
 const Booking = require('../models/Booking');
 const User = require('../models/User');
 const { sendNotification } = require('../services/notificationService');
+const { markOfferAccepted } = require('../services/waitlistService');
+const { handleInboundSms } = require('../services/sosService');
+const { handleDisputeWebhook } = require('../services/disputeService');
+const { recordGatewayCollection } = require('../services/ledgerService');
+const twilioService = require('../services/twilioService');
 const { 
   activateSubscription, 
   getSubscriptionByOrderId 
@@ -26,7 +31,10 @@ const WEBHOOK_EVENTS = {
   PAYMENT_FAILED: 'PAYMENT_FAILED_WEBHOOK',
   PAYMENT_USER_DROPPED: 'PAYMENT_USER_DROPPED_WEBHOOK',
   REFUND_STATUS: 'REFUND_STATUS_WEBHOOK',
-  PAYOUT_STATUS: 'PAYOUT_STATUS_WEBHOOK'
+  PAYOUT_STATUS: 'PAYOUT_STATUS_WEBHOOK',
+  DISPUTE_CREATED: 'DISPUTE_CREATED',
+  DISPUTE_UPDATED: 'DISPUTE_UPDATED',
+  DISPUTE_CLOSED: 'DISPUTE_CLOSED'
 };
 
 /**
@@ -160,6 +168,17 @@ const handlePaymentSuccess = async (data) => {
     booking.paymentStatus = 'paid';
     await booking.save();
     
+    await recordGatewayCollection({
+      paymentId: orderId,
+      amount: payment?.payment_amount ?? transaction.amount,
+      bookingId: booking._id,
+      tripId: booking.tripId,
+      userId: transaction.userId
+    });
+    
+    // Close the waitlist offer this booking was holding, if any
+    await markOfferAccepted(booking._id);
+    
     // Generate and send invoice (Requirements 13.1, 13.2, 13.3)
     const invoiceService = require('../services/invoiceService');
     invoiceService.generateAndSendInvoice(booking.bookingId || booking._id.toString())
@@ -352,6 +371,7 @@ const handlePaymentUserDropped = async (data) => {
  * - Verify webhook signature before processing
  * - Handle PAYMENT_SUCCESS_WEBHOOK - update booking status, create transaction
  * - Handle PAYMENT_FAILED_WEBHOOK - update booking status, notify user
+ * - Handle DISPUTE_CREATED/UPDATED/CLOSED - track disputes and chargebacks
  * - Implement idempotent processing using transaction ID
  */
 router.post('/cashfree', express.raw({ type: 'application/json' }), async (req, res) => {
@@ -434,6 +454,15 @@ router.post('/cashfree', express.raw({ type: 'application/json' }), async (req,
         result = { success: true, message: 'Payout webhook acknowledged' };
         break;
         
+      case WEBHOOK_EVENTS.DISPUTE_CREATED:
+      case WEBHOOK_EVENTS.DISPUTE_UPDATED:
+      case WEBHOOK_EVENTS.DISPUTE_CLOSED:
+        result = await handleDisputeWebhook(eventType, data, {
+          eventId: payload.event_id,
+          signatureTimestamp: timestamp
+        });
+        break;
+        
       default:
         console.warn(`Unknown webhook event type: ${eventType}`);
         result = { success: true, message: 'Unknown event type acknowledged' };
@@ -736,4 +765,35 @@ router.get('/subscription/health', (req, res) => {
 });
 
 
+/**
+ * POST /api/webhooks/sms-inbound
+ * Twilio inbound SMS webhook for silent SOS safe words
+ *
+ * Always answers with an empty TwiML response: an auto-reply would show up
+ * on the passenger's phone and could give the silent SOS away.
+ */
+router.post('/sms-inbound', async (req, res) => {
+  const url = `${process.env.BACKEND_URL || 'http://localhost:5000'}${req.originalUrl}`;
+  const signature = req.headers['x-twilio-signature'];
+  if (!twilioService.getInstance().validateWebhookSignature(url, req.body, signature)) {
+    console.warn('Inbound SMS signature verification failed');
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid webhook signature'
+    });
+  }
+
+  try {
+    const result = await handleInboundSms({ from: req.body.From, body: req.body.Body });
+    if (result.triggered) {
+      console.log(`Silent SOS triggered by inbound SMS: ${result.alertId}`);
+    }
+  } catch (error) {
+    console.error('Inbound SMS processing error:', error.message);
+  }
+
+  res.status(200).type('text/xml').send('<Response></Response>');
+});
+
+
 module.exports = router;
@@ -0,0 +1,586 @@
+/**
+ * Access Scope Service
+ * Resource-scoped access for staff, layered on top of role permissions
+ *
+ * - Region: staff assigned to cities only see users whose home city is one
+ *   of them (no cities = all regions). Users who have not set a city get
+ *   one from the addresses of their trips and bookings.
+ * - Tickets: roles with 'assigned_or_queue' visibility only see tickets
+ *   assigned to them or in their team queues (ticket categories)
+ * - Refunds: each role can issue refunds up to a per-role amount cap
+ *
+ * Super admins are never scoped. Denied checks are recorded in AuditLog.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Driver = require('../models/Driver');
+const Trip = require('../models/Trip');
+const Booking = require('../models/Booking');
+const SupportTicket = require('../models/SupportTicket');
+const StaffRolePolicy = require('../models/StaffRolePolicy');
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Policy used for roles with no StaffRolePolicy document
+ * refundLimit: INR cap per refund (null = no cap)
+ */
+const DEFAULT_ROLE_POLICIES = {
+  operations: { refundLimit: 0, ticketVisibility: 'all' },
+  customer_support: { refundLimit: 0, ticketVisibility: 'assigned_or_queue' },
+  finance: { refundLimit: 10000, ticketVisibility: 'all' },
+  admin: { refundLimit: 50000, ticketVisibility: 'all' }
+};
+
+const SCOPED_ROLES = Object.keys(DEFAULT_ROLE_POLICIES);
+
+const TICKET_QUEUES = ['booking', 'payment', 'driver', 'safety', 'account', 'technical', 'other'];
+
+/**
+ * Build an error with code and HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error object
+ */
+const createError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeCity = (city) => String(city || '').trim().toLowerCase();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isObjectIdString = (value) => /^[0-9a-fA-F]{24}$/.test(String(value));
+
+// ============================================
+// Scope resolution
+// ============================================
+
+/**
+ * Effective policy for a role
+ * @param {string} role - Staff role
+ * @param {Object} stored - StaffRolePolicy document, if any
+ * @returns {Object} { role, refundLimit, ticketVisibility }
+ */
+const mergeRolePolicy = (role, stored = null) => {
+  const defaults = DEFAULT_ROLE_POLICIES[role] || { refundLimit: 0, ticketVisibility: 'all' };
+  return {
+    role,
+    refundLimit: stored && stored.refundLimit !== undefined ? stored.refundLimit : defaults.refundLimit,
+    ticketVisibility: stored?.ticketVisibility || defaults.ticketVisibility
+  };
+};
+
+/**
+ * Resolve a staff member's scope from their assignment and role policy
+ * @param {Object} staff - Staff user
+ * @param {Object} policy - Effective role policy
+ * @returns {Object} Access scope
+ */
+const resolveAccessScope = (staff, policy) => {
+  if (!staff?.isStaff || staff.role === 'super_admin') {
+    return { unrestricted: true, cities: [], ticketVisibility: 'all', ticketQueues: [], refundLimit: null };
+  }
+
+  const cities = [...new Set((staff.staffScope?.cities || []).map(normalizeCity).filter(Boolean))];
+
+  return {
+    unrestricted: false,
+    staffId: staff._id.toString(),
+    role: staff.role,
+    cities,
+    ticketVisibility: policy.ticketVisibility,
+    ticketQueues: [...(staff.staffScope?.ticketQueues || [])],
+    refundLimit: policy.refundLimit
+  };
+};
+
+/**
+ * Load the effective policy for a role
+ * @param {string} role - Staff role
+ * @returns {Promise<Object>} Effective policy
+ */
+const getRolePolicy = async (role) => {
+  const stored = SCOPED_ROLES.includes(role) ? await StaffRolePolicy.findOne({ role }).lean() : null;
+  return mergeRolePolicy(role, stored);
+};
+
+/**
+ * Load a staff member's access scope
+ * @param {Object} staff - Staff user (req.user)
+ * @returns {Promise<Object>} Access scope
+ */
+const getAccessScope = async (staff) => {
+  if (!staff?.isStaff || staff.role === 'super_admin') {
+    return resolveAccessScope(staff, null);
+  }
+  return resolveAccessScope(staff, await getRolePolicy(staff.role));
+};
+
+// ============================================
+// Checks and query filters
+// ============================================
+
+/**
+ * Mongo filter restricting users to a scope's cities
+ * @param {Object} scope - Access scope
+ * @param {string} [prefix=''] - Path of the user document (e.g. 'user.' after a $lookup)
+ * @returns {Object} Filter ({} when unrestricted)
+ */
+const buildUserScopeFilter = (scope, prefix = '') => {
+  if (scope.unrestricted || scope.cities.length === 0) return {};
+  return { [`${prefix}city`]: { $in: scope.cities.map(city => new RegExp(`^${escapeRegex(city)}$`, 'i')) } };
+};
+
+/**
+ * Whether a user is inside a scope's regions
+ * @param {Object} scope - Access scope
+ * @param {Object} user - User with city
+ * @returns {boolean} True if visible
+ */
+const isUserInScope = (scope, user) => {
+  if (scope.unrestricted || scope.cities.length === 0) return true;
+  return scope.cities.includes(normalizeCity(user?.city));
+};
+
+/**
+ * Mongo filter restricting tickets to a scope
+ * @param {Object} scope - Access scope
+ * @returns {Object} Filter ({} when unrestricted)
+ */
+const buildTicketScopeFilter = (scope) => {
+  if (scope.unrestricted || scope.ticketVisibility === 'all') return {};
+
+  const conditions = [{ assignedTo: new mongoose.Types.ObjectId(scope.staffId) }];
+  if (scope.ticketQueues.length > 0) {
+    conditions.push({ category: { $in: scope.ticketQueues } });
+  }
+  return { $or: conditions };
+};
+
+/**
+ * Whether a ticket is visible within a scope
+ * @param {Object} scope - Access scope
+ * @param {Object} ticket - Ticket with assignedTo and category
+ * @returns {boolean} True if visible
+ */
+const isTicketInScope = (scope, ticket) => {
+  if (scope.unrestricted || scope.ticketVisibility === 'all') return true;
+
+  const assignee = ticket?.assignedTo?._id || ticket?.assignedTo;
+  if (assignee && assignee.toString() === scope.staffId) return true;
+  return scope.ticketQueues.includes(ticket?.category);
+};
+
+/**
+ * Whether a refund amount is within a scope's cap
+ * @param {Object} scope - Access scope
+ * @param {number} amount - Refund amount (INR)
+ * @returns {boolean} True if allowed
+ */
+const isRefundWithinLimit = (scope, amount) => {
+  if (scope.unrestricted || scope.refundLimit === null || scope.refundLimit === undefined) return true;
+  return Number(amount) <= scope.refundLimit;
+};
+
+/**
+ * Record a denied scope check
+ * @param {Object} staff - Staff user
+ * @param {Object} denial - { resource, targetType, targetId, reason, details, ipAddress, userAgent }
+ * @returns {Promise<void>}
+ */
+const recordScopeDenial = async (staff, { resource, targetType, targetId, reason, details = {}, ipAddress, userAgent }) => {
+  try {
+    await AuditLog.logAction({
+      userId: staff._id,
+      action: 'access_denied',
+      targetType,
+      targetId: targetId && isObjectIdString(targetId) ? targetId : undefined,
+      details: {
+        resource,
+        reason,
+        role: staff.role,
+        ...details
+      },
+      ipAddress,
+      userAgent
+    });
+  } catch (error) {
+    console.error('[AccessScope] Failed to record scope denial:', error.message);
+  }
+};
+
+/**
+ * Check a driver profile against a scope by its user's region
+ * @param {Object} scope - Access scope
+ * @param {Object} driver - Driver with userId, or null
+ * @param {string} targetType - Audit target type
+ * @param {string} targetId - Audit target ID
+ * @returns {Promise<Object>} { allowed, reason, targetType, targetId }
+ */
+const checkDriverInScope = async (scope, driver, targetType, targetId) => {
+  if (!driver) return { allowed: true };
+
+  const user = await User.findById(driver.userId).select('city').lean();
+  if (!user || isUserInScope(scope, user)) return { allowed: true };
+  return { allowed: false, reason: 'Outside assigned region', targetType, targetId };
+};
+
+/**
+ * Load a resource and check it against a staff member's scope
+ * Drivers and driver documents are checked by the driver's user region.
+ * Missing resources are allowed through so the route can return 404.
+ *
+ * @param {Object} staff - Staff user
+ * @param {string} resource - 'user', 'driver', 'document' or 'ticket'
+ * @param {string} identifier - User ID/phone/email, driver ID, document ID or ticket ID
+ * @returns {Promise<Object>} { allowed, reason, targetType, targetId }
+ */
+const checkResourceScope = async (staff, resource, identifier) => {
+  const scope = await getAccessScope(staff);
+  if (scope.unrestricted) return { allowed: true };
+
+  if (resource === 'user') {
+    const conditions = [{ phone: identifier }, { email: String(identifier).toLowerCase() }];
+    if (isObjectIdString(identifier)) conditions.unshift({ _id: identifier });
+
+    const user = await User.findOne({ $or: conditions }).select('city').lean();
+    if (!user || isUserInScope(scope, user)) return { allowed: true };
+    return { allowed: false, reason: 'Outside assigned region', targetType: 'user', targetId: user._id };
+  }
+
+  if (resource === 'driver') {
+    if (!isObjectIdString(identifier)) return { allowed: true };
+    const driver = await Driver.findById(identifier).select('userId').lean();
+    return checkDriverInScope(scope, driver, 'driver', driver?._id);
+  }
+
+  if (resource === 'document') {
+    if (!isObjectIdString(identifier)) return { allowed: true };
+    const driver = await Driver.findOne({ 'documents._id': identifier }).select('userId').lean();
+    return checkDriverInScope(scope, driver, 'document', identifier);
+  }
+
+  if (resource === 'ticket') {
+    const ticket = await SupportTicket.findByTicketId(identifier);
+    if (!ticket || isTicketInScope(scope, ticket)) return { allowed: true };
+    return { allowed: false, reason: 'Ticket not assigned to you or your queues', targetType: 'ticket', targetId: ticket._id };
+  }
+
+  throw createError('UNKNOWN_RESOURCE', `Unknown scoped resource: ${resource}`, 500);
+};
+
+/**
+ * Check a refund amount against the staff member's role cap
+ * @param {Object} staff - Staff user
+ * @param {number} amount - Refund amount (INR)
+ * @returns {Promise<Object>} { allowed, reason, refundLimit }
+ */
+const checkRefundLimit = async (staff, amount) => {
+  const scope = await getAccessScope(staff);
+  if (isRefundWithinLimit(scope, amount)) return { allowed: true, refundLimit: scope.refundLimit };
+
+  return {
+    allowed: false,
+    reason: `Refund of ₹${amount} exceeds the ₹${scope.refundLimit} limit for ${staff.role}`,
+    refundLimit: scope.refundLimit
+  };
+};
+
+// ============================================
+// User regions
+// ============================================
+
+// Recent trips or bookings read per user when inferring a city
+const CITY_HISTORY_LIMIT = 20;
+
+// Users with no city set (null also matches a missing field)
+const WITHOUT_CITY = { city: { $in: [null, ''] } };
+
+/**
+ * Pick the city a user's addresses mention most often
+ * Addresses are matched like fee schedule city rules (case-insensitive
+ * substring). Ties go to the city seen first, so pass addresses newest first.
+ *
+ * @param {Array<string>} addresses - Trip or booking addresses
+ * @param {Array<string>} cities - Candidate city names
+ * @returns {string|null} City, as given in cities
+ */
+const inferCityFromAddresses = (addresses, cities) => {
+  const counts = new Map();
+  addresses.forEach((address, index) => {
+    const text = normalizeCity(address);
+    if (!text) return;
+    for (const city of cities) {
+      if (!normalizeCity(city) || !text.includes(normalizeCity(city))) continue;
+      const entry = counts.get(city) || { count: 0, firstIndex: index };
+      entry.count += 1;
+      counts.set(city, entry);
+    }
+  });
+
+  let best = null;
+  for (const [city, entry] of counts) {
+    if (!best || entry.count > best.count || (entry.count === best.count && entry.firstIndex < best.firstIndex)) {
+      best = { city, ...entry };
+    }
+  }
+  return best ? best.city : null;
+};
+
+/**
+ * Cities assigned to any staff member, de-duplicated case-insensitively
+ * @returns {Promise<Array<string>>} City names
+ */
+const getAssignedCities = async () => {
+  const cities = await User.distinct('staffScope.cities', { isStaff: true });
+  const byKey = new Map();
+  for (const city of cities) {
+    const key = normalizeCity(city);
+    if (key && !byKey.has(key)) byKey.set(key, city.trim());
+  }
+  return [...byKey.values()];
+};
+
+/**
+ * Addresses from a user's recent trips (drivers) and bookings (passengers), newest first
+ * @param {Object} user - User with _id
+ * @returns {Promise<Array<string>>} Addresses
+ */
+const getUserAddresses = async (user) => {
+  const bookings = await Booking.find({ passengerId: user._id })
+    .select('pickupPoint.address dropPoint.address')
+    .sort({ createdAt: -1 })
+    .limit(CITY_HISTORY_LIMIT)
+    .lean();
+  const addresses = bookings.flatMap(b => [b.pickupPoint?.address, b.dropPoint?.address]);
+
+  const driver = await Driver.findOne({ userId: user._id }).select('_id').lean();
+  if (driver) {
+    const trips = await Trip.find({ driver: driver._id })
+      .select('source.address destination.address')
+      .sort({ scheduledAt: -1 })
+      .limit(CITY_HISTORY_LIMIT)
+      .lean();
+    addresses.unshift(...trips.flatMap(t => [t.source?.address, t.destination?.address]));
+  }
+
+  return addresses.filter(Boolean);
+};
+
+/**
+ * Set a user's city from addresses if they have none yet
+ * Only cities assigned to staff are considered. Errors are logged, not
+ * thrown, so booking and trip creation never fail on it.
+ *
+ * @param {string} userId - User ID
+ * @param {Array<string>} addresses - Addresses, newest first
+ * @returns {Promise<string|null>} City set, if any
+ */
+const assignUserCity = async (userId, addresses) => {
+  try {
+    const city = inferCityFromAddresses(addresses.filter(Boolean), await getAssignedCities());
+    if (!city) return null;
+
+    const result = await User.updateOne(
+      { _id: userId, ...WITHOUT_CITY },
+      { $set: { city } }
+    );
+    return result.modifiedCount > 0 ? city : null;
+  } catch (error) {
+    console.error('[AccessScope] Failed to assign user city:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Set missing user cities from their trip and booking history
+ * Walks users without a city with a cursor; used by the backfill migration
+ * and when staff are assigned new cities.
+ *
+ * @returns {Promise<Object>} { scanned, updated }
+ */
+const backfillUserCities = async () => {
+  const candidates = await getAssignedCities();
+  if (candidates.length === 0) return { scanned: 0, updated: 0 };
+
+  let scanned = 0;
+  let updated = 0;
+  const cursor = User.find({
+    isStaff: { $ne: true },
+    ...WITHOUT_CITY
+  }).select('_id').lean().cursor();
+
+  for await (const user of cursor) {
+    scanned += 1;
+    const city = inferCityFromAddresses(await getUserAddresses(user), candidates);
+    if (!city) continue;
+
+    const result = await User.updateOne(
+      { _id: user._id, ...WITHOUT_CITY },
+      { $set: { city } }
+    );
+    updated += result.modifiedCount;
+  }
+
+  return { scanned, updated };
+};
+
+// ============================================
+// Super admin configuration
+// ============================================
+
+/**
+ * Effective policy for every scoped role
+ * @returns {Promise<Array>} Policies
+ */
+const listRolePolicies = async () => {
+  const stored = await StaffRolePolicy.find({ role: { $in: SCOPED_ROLES } }).lean();
+  const byRole = new Map(stored.map(p => [p.role, p]));
+  return SCOPED_ROLES.map(role => ({
+    ...mergeRolePolicy(role, byRole.get(role)),
+    isDefault: !byRole.has(role)
+  }));
+};
+
+/**
+ * Update a role's refund cap and ticket visibility
+ * @param {string} role - Staff role (not super_admin)
+ * @param {Object} updates - { refundLimit, ticketVisibility }
+ * @param {string} performedById - Super admin user ID
+ * @returns {Promise<Object>} Effective policy
+ */
+const updateRolePolicy = async (role, updates, performedById) => {
+  if (!SCOPED_ROLES.includes(role)) {
+    throw createError('INVALID_ROLE', `Role ${role} has no configurable policy`);
+  }
+
+  const previous = await getRolePolicy(role);
+  const stored = await StaffRolePolicy.findOneAndUpdate(
+    { role },
+    { $set: { ...updates, updatedBy: performedById } },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+  const policy = mergeRolePolicy(role, stored);
+
+  await AuditLog.logAction({
+    userId: performedById,
+    action: 'role_update',
+    targetType: 'system',
+    previousValue: { refundLimit: previous.refundLimit, ticketVisibility: previous.ticketVisibility },
+    newValue: { refundLimit: policy.refundLimit, ticketVisibility: policy.ticketVisibility },
+    details: {
+      type: 'staff_role_policy',
+      role
+    }
+  });
+
+  return policy;
+};
+
+/**
+ * A staff member's assignment and effective role policy
+ * @param {string} staffId - Staff user ID
+ * @returns {Promise<Object>} { staffId, role, staffScope, policy }
+ */
+const getStaffScope = async (staffId) => {
+  const staff = await User.findOne({ _id: staffId, isStaff: true }).select('role staffScope').lean();
+  if (!staff) {
+    throw createError('STAFF_NOT_FOUND', 'Staff account not found', 404);
+  }
+
+  return {
+    staffId: staff._id,
+    role: staff.role,
+    staffScope: {
+      cities: staff.staffScope?.cities || [],
+      ticketQueues: staff.staffScope?.ticketQueues || []
+    },
+    policy: staff.role === 'super_admin' ? null : await getRolePolicy(staff.role)
+  };
+};
+
+/**
+ * Assign a staff member's regions and ticket queues
+ * @param {string} staffId - Staff user ID
+ * @param {Object} scope - { cities, ticketQueues }
+ * @param {string} performedById - Super admin user ID
+ * @returns {Promise<Object>} { staffId, role, staffScope }
+ */
+const updateStaffScope = async (staffId, { cities, ticketQueues }, performedById) => {
+  const staff = await User.findOne({ _id: staffId, isStaff: true });
+  if (!staff) {
+    throw createError('STAFF_NOT_FOUND', 'Staff account not found', 404);
+  }
+
+  const previous = {
+    cities: [...(staff.staffScope?.cities || [])],
+    ticketQueues: [...(staff.staffScope?.ticketQueues || [])]
+  };
+  if (cities !== undefined) {
+    staff.set('staffScope.cities', [...new Set(cities.map(c => c.trim()).filter(Boolean))]);
+  }
+  if (ticketQueues !== undefined) {
+    staff.set('staffScope.ticketQueues', [...new Set(ticketQueues)]);
+  }
+  await staff.save();
+
+  // Users in newly assigned cities may not have a city set yet
+  const previousCities = new Set(previous.cities.map(normalizeCity));
+  const addedCities = (staff.staffScope?.cities || []).filter(city => !previousCities.has(normalizeCity(city)));
+  if (addedCities.length > 0) {
+    backfillUserCities().catch(error => {
+      console.error('[AccessScope] User city backfill failed:', error.message);
+    });
+  }
+
+  const staffScope = {
+    cities: [...(staff.staffScope?.cities || [])],
+    ticketQueues: [...(staff.staffScope?.ticketQueues || [])]
+  };
+
+  await AuditLog.logAction({
+    userId: performedById,
+    action: 'permission_update',
+    targetType: 'user',
+    targetId: staff._id,
+    previousValue: previous,
+    newValue: staffScope,
+    details: {
+      type: 'staff_scope'
+    }
+  });
+
+  return { staffId: staff._id, role: staff.role, staffScope };
+};
+
+module.exports = {
+  DEFAULT_ROLE_POLICIES,
+  SCOPED_ROLES,
+  TICKET_QUEUES,
+  normalizeCity,
+  mergeRolePolicy,
+  resolveAccessScope,
+  getRolePolicy,
+  getAccessScope,
+  buildUserScopeFilter,
+  isUserInScope,
+  buildTicketScopeFilter,
+  isTicketInScope,
+  isRefundWithinLimit,
+  inferCityFromAddresses,
+  getAssignedCities,
+  assignUserCity,
+  backfillUserCities,
+  recordScopeDenial,
+  checkResourceScope,
+  checkRefundLimit,
+  listRolePolicies,
+  updateRolePolicy,
+  getStaffScope,
+  updateStaffScope
+};
@@ -6,6 +6,7 @@
 
 const Trip = require('../models/Trip');
 const SOSAlert = require('../models/SOSAlert');
+const RouteDeviationEvent = require('../models/RouteDeviationEvent');
 const Driver = require('../models/Driver');
 const { getDriverLocation } = require('./socketService');
 
@@ -71,6 +72,18 @@ const getActiveTrips = async (options = {}) => {
   for (const alert of activeSOSAlerts) {
     sosAlertMap.set(alert.tripId.toString(), alert);
   }
+
+  // Route deviations still awaiting a passenger response
+  const openDeviations = await RouteDeviationEvent.getOpenForTrips(tripIds)
+    .select('tripId distanceFromRoute offRouteSince alertSentAt location')
+    .lean();
+  const deviationMap = new Map();
+  for (const deviation of openDeviations) {
+    const key = deviation.tripId.toString();
+    if (!deviationMap.has(key)) {
+      deviationMap.set(key, deviation);
+    }
+  }
   
   // Enrich trips with current location and SOS status
   const enrichedTrips = trips.map(trip => {
@@ -87,6 +100,7 @@ const getActiveTrips = async (options = {}) => {
     
     // Get SOS alert if any
     const sosAlert = sosAlertMap.get(trip._id.toString());
+    const deviation = deviationMap.get(trip._id.toString());
     
     // Get vehicle details
     let vehicleDetails = null;
@@ -135,6 +149,14 @@ const getActiveTrips = async (options = {}) => {
         status: sosAlert.status,
         priority: sosAlert.priority,
         createdAt: sosAlert.createdAt
+      } : null,
+      hasActiveDeviation: !!deviation,
+      routeDeviation: deviation ? {
+        _id: deviation._id,
+        distanceFromRoute: deviation.distanceFromRoute,
+        offRouteSince: deviation.offRouteSince,
+        alertSentAt: deviation.alertSentAt,
+        location: deviation.location
       } : null
     };
   });
@@ -163,6 +185,7 @@ const getActiveTrips = async (options = {}) => {
     stats: {
       totalActive: total,
       withSOSAlerts: activeSOSAlerts.length,
+      withRouteDeviations: deviationMap.size,
       inProgress: trips.filter(t => t.status === 'in_progress').length,
       scheduled: trips.filter(t => t.status === 'scheduled').length
     }
@@ -20,6 +20,7 @@ const AUTH_EVENT_TYPES = {
   LOGIN_FAILURE: 'LOGIN_FAILURE',
   LOGOUT: 'LOGOUT',
   TOKEN_REFRESH: 'TOKEN_REFRESH',
+  REFRESH_TOKEN_REUSE: 'REFRESH_TOKEN_REUSE',
   SESSION_REVOKED: 'SESSION_REVOKED',
   RATE_LIMITED: 'RATE_LIMITED',
   TOKEN_BLACKLISTED: 'TOKEN_BLACKLISTED',
@@ -165,6 +166,7 @@ const getAuthEvents = async (userId, options = {}) => {
 const isFailureEvent = (eventType) => {
   const failureTypes = [
     AUTH_EVENT_TYPES.LOGIN_FAILURE,
+    AUTH_EVENT_TYPES.REFRESH_TOKEN_REUSE,
     AUTH_EVENT_TYPES.RATE_LIMITED,
     AUTH_EVENT_TYPES.OTP_FAILED
   ];
@@ -292,6 +294,27 @@ const logTokenRefresh = async (userId, ipAddress, userAgent, metadata = {}) => {
   });
 };
 
+/**
+ * Log reuse of a retired refresh token
+ * The token's family and session are revoked when this is detected.
+ * 
+ * @param {string} userId - User ID
+ * @param {string} ipAddress - Client IP address that presented the token
+ * @param {string} [userAgent] - User-Agent header
+ * @param {Object} [metadata] - Additional metadata (e.g., sessionId, familyId)
+ * @returns {Promise<Object>} Created audit log entry
+ */
+const logRefreshTokenReuse = async (userId, ipAddress, userAgent, metadata = {}) => {
+  return logAuthEvent({
+    eventType: AUTH_EVENT_TYPES.REFRESH_TOKEN_REUSE,
+    userId,
+    ipAddress,
+    userAgent,
+    failureReason: 'Retired refresh token presented',
+    metadata
+  });
+};
+
 /**
  * Log a session revocation event
  * Requirements: 6.3 - Log revocation with userId and reason
@@ -432,6 +455,7 @@ module.exports = {
   logLoginFailure,
   logLogout,
   logTokenRefresh,
+  logRefreshTokenReuse,
   logSessionRevoked,
   logRateLimited,
   logTokenBlacklisted,
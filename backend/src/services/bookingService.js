@@ -17,6 +17,38 @@ const {
   validateWomenOnlyBooking,
   canUserBookWomenOnlyRide
 } = require('./womenOnlyRideService');
+const { matchesRouteSegment } = require('./searchService');
+const { calculateSegmentFarePerSeat } = require('./fareCalculation');
+const { decodePolyline, getCumulativeDistances } = require('../utils/polylineUtils');
+const { releaseCouponForBooking } = require('./couponService');
+const { assignUserCity } = require('./accessScopeService');
+const { quoteBookingFees } = require('./pricingService');
+const { isValidGSTIN } = require('./gstService');
+const { summarizePassengerReputation } = require('./ratingService');
+const {
+  getStopSequence,
+  validateStopOrder,
+  getStopSegment,
+  getStopPairFare,
+  matchStops
+} = require('./tripStopService');
+
+/**
+ * Segment covering the whole route
+ * Bookings without a segment occupy their seats from source to destination
+ */
+const FULL_ROUTE_SEGMENT = { startKm: 0, endKm: Number.POSITIVE_INFINITY };
+
+/**
+ * Segments shorter than this are not considered sellable when deciding
+ * whether a trip is fully booked
+ */
+const MIN_SELLABLE_SEGMENT_KM = 1;
+
+/**
+ * Pickup/drop points within this distance (km) of a trip stop board or alight there
+ */
+const STOP_MATCH_RADIUS_KM = 2;
 
 /**
  * Validate booking data
@@ -36,8 +68,13 @@ const validateBookingData = (bookingData) => {
     errors.push('Maximum 6 seats allowed');
   }
 
-  // Pickup point validation
-  if (!bookingData.pickupPoint) {
+  // Stop indexes replace pickup/drop points on multi-stop trips
+  const hasStops = bookingData.pickupStop !== undefined || bookingData.dropStop !== undefined;
+  if (hasStops) {
+    if (!Number.isInteger(bookingData.pickupStop) || !Number.isInteger(bookingData.dropStop)) {
+      errors.push('Pickup and drop stops are both required');
+    }
+  } else if (!bookingData.pickupPoint) {
     errors.push('Pickup point is required');
   } else {
     if (!bookingData.pickupPoint.address) errors.push('Pickup address is required');
@@ -46,16 +83,23 @@ const validateBookingData = (bookingData) => {
     }
   }
 
-  // Drop point validation
-  if (!bookingData.dropPoint) {
-    errors.push('Drop point is required');
-  } else {
-    if (!bookingData.dropPoint.address) errors.push('Drop address is required');
-    if (!bookingData.dropPoint.coordinates?.lat || !bookingData.dropPoint.coordinates?.lng) {
-      errors.push('Drop coordinates are required');
+  // Drop point validation (taken from the drop stop when stops are given)
+  if (!hasStops) {
+    if (!bookingData.dropPoint) {
+      errors.push('Drop point is required');
+    } else {
+      if (!bookingData.dropPoint.address) errors.push('Drop address is required');
+      if (!bookingData.dropPoint.coordinates?.lat || !bookingData.dropPoint.coordinates?.lng) {
+        errors.push('Drop coordinates are required');
+      }
     }
   }
 
+  // GSTIN is optional; when given it must be valid so the B2B invoice can be filed
+  if (bookingData.gstin && !isValidGSTIN(bookingData.gstin)) {
+    errors.push('Invalid GSTIN');
+  }
+
   return {
     isValid: errors.length === 0,
     errors
@@ -63,12 +107,150 @@ const validateBookingData = (bookingData) => {
 };
 
 
+/**
+ * Get the route segment occupied by a booking
+ * @param {Object} booking - Booking object
+ * @returns {Object} Segment { startKm, endKm }
+ */
+const getBookingSegment = (booking) => {
+  if (booking.segment && typeof booking.segment.startKm === 'number' &&
+      typeof booking.segment.endKm === 'number') {
+    return { startKm: booking.segment.startKm, endKm: booking.segment.endKm };
+  }
+  return FULL_ROUTE_SEGMENT;
+};
+
+/**
+ * Count seats occupied at a point along the route
+ * @param {Array} bookings - Bookings holding seats on the trip
+ * @param {number} km - Distance along the route in km
+ * @returns {number} Seats occupied at that point
+ */
+const getOccupancyAt = (bookings, km) => bookings
+  .filter(b => {
+    const { startKm, endKm } = getBookingSegment(b);
+    return startKm <= km && km < endKm;
+  })
+  .reduce((sum, b) => sum + b.seats, 0);
+
+/**
+ * Calculate peak seat occupancy over a route segment
+ * Design Decision: Seats are tracked per segment rather than per trip
+ * Rationale: A seat freed at Hosur can be resold for Hosur→Chennai
+ * 
+ * A booking occupies its seats on [startKm, endKm) so a drop and a pickup at
+ * the same point do not overlap.
+ * 
+ * @param {Array} bookings - Bookings holding seats on the trip
+ * @param {Object} segment - Requested segment { startKm, endKm } (default: full route)
+ * @returns {number} Maximum number of seats occupied at any point of the segment
+ */
+const calculateSegmentOccupancy = (bookings, segment = FULL_ROUTE_SEGMENT) => {
+  const requested = segment || FULL_ROUTE_SEGMENT;
+
+  const overlapping = bookings.filter(b => {
+    const { startKm, endKm } = getBookingSegment(b);
+    return startKm < requested.endKm && requested.startKm < endKm;
+  });
+
+  // Occupancy only increases where a booking starts, so those are the only points to check
+  const checkpoints = [
+    requested.startKm,
+    ...overlapping.map(b => getBookingSegment(b).startKm).filter(km => km > requested.startKm)
+  ];
+
+  return checkpoints.reduce((peak, km) => Math.max(peak, getOccupancyAt(overlapping, km)), 0);
+};
+
+/**
+ * Resolve the route segment a booking covers from its pickup and drop points
+ * Returns null for full-route bookings (trip has no route polyline, points are
+ * not along the route, or they span the whole route).
+ * 
+ * @param {Object} trip - Trip document
+ * @param {Object} pickupPoint - Booking pickup point
+ * @param {Object} dropPoint - Booking drop point
+ * @returns {Object|null} Segment { startKm, endKm, distanceKm, ratio } or null
+ * @throws {Error} INVALID_ROUTE_SEGMENT when the drop comes before the pickup
+ */
+const resolveBookingSegment = (trip, pickupPoint, dropPoint) => {
+  const match = matchesRouteSegment(trip, pickupPoint.coordinates, dropPoint.coordinates);
+
+  if (match.reason === 'WRONG_DIRECTION') {
+    const error = new Error('Drop point must come after pickup point along the trip route');
+    error.code = 'INVALID_ROUTE_SEGMENT';
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!match.matches || match.segmentRatio >= 1) {
+    return null;
+  }
+
+  return {
+    startKm: match.segmentStartKm,
+    endKm: match.segmentEndKm,
+    distanceKm: Math.round(match.segmentDistance * 100) / 100,
+    ratio: match.segmentRatio
+  };
+};
+
+/**
+ * Resolve the stops a booking boards and alights at on a multi-stop trip
+ * Uses the stop indexes when given, otherwise the nearest stops to the
+ * pickup and drop points. Returns null for trips without stopovers or when
+ * the points are not near any pair of stops (the route segment is used then).
+ *
+ * @param {Object} trip - Trip document
+ * @param {Object} bookingData - { pickupStop, dropStop, pickupPoint, dropPoint }
+ * @returns {Object|null} { pickupStop, dropStop, pickupPoint, dropPoint } or null
+ * @throws {Error} INVALID_STOP or INVALID_STOP_ORDER
+ */
+const resolveBookingStops = (trip, bookingData) => {
+  const hasIndexes = Number.isInteger(bookingData.pickupStop) && Number.isInteger(bookingData.dropStop);
+  if (!hasIndexes && !(trip.stopovers?.length > 0)) {
+    return null;
+  }
+
+  let pickupStop = bookingData.pickupStop;
+  let dropStop = bookingData.dropStop;
+
+  if (hasIndexes) {
+    validateStopOrder(trip, pickupStop, dropStop);
+  } else {
+    const match = matchStops(
+      trip,
+      bookingData.pickupPoint?.coordinates,
+      bookingData.dropPoint?.coordinates,
+      STOP_MATCH_RADIUS_KM
+    );
+    if (!match) return null;
+    pickupStop = match.fromStop;
+    dropStop = match.toStop;
+  }
+
+  const sequence = getStopSequence(trip);
+  const toPoint = (stop) => ({
+    address: stop.address,
+    coordinates: { lat: stop.coordinates.lat, lng: stop.coordinates.lng },
+    landmark: stop.landmark || undefined
+  });
+
+  return {
+    pickupStop,
+    dropStop,
+    pickupPoint: toPoint(sequence[pickupStop]),
+    dropPoint: toPoint(sequence[dropStop])
+  };
+};
+
 /**
  * Get available seats for a trip
  * @param {string} tripId - Trip ID
+ * @param {Object} [segment] - Route segment { startKm, endKm } (default: full route)
  * @returns {number} Available seats
  */
-const getAvailableSeats = async (tripId) => {
+const getAvailableSeats = async (tripId, segment = FULL_ROUTE_SEGMENT) => {
   const trip = await Trip.findById(tripId);
   if (!trip) return 0;
 
@@ -78,7 +260,7 @@ const getAvailableSeats = async (tripId) => {
     status: { $in: ['pending', 'confirmed'] }
   });
 
-  const bookedSeats = bookings.reduce((sum, b) => sum + b.seats, 0);
+  const bookedSeats = calculateSegmentOccupancy(bookings, segment);
   
   // Use trip's availableSeats if set, otherwise default to 6
   const maxSeats = trip.availableSeats || 6;
@@ -224,6 +406,14 @@ const createBooking = async (passengerId, bookingData) => {
     }
   }
 
+  // Passengers restricted for low reputation cannot use instant booking
+  if (trip.instantBooking && passenger.passengerReputation?.instantBookingDisabled) {
+    const error = new Error('Instant booking is unavailable for your account. Please choose a ride that needs driver approval.');
+    error.code = 'INSTANT_BOOKING_RESTRICTED';
+    error.statusCode = 403;
+    throw error;
+  }
+
   // Check if passenger already has a booking for this trip
   const existingBooking = await Booking.findOne({
     tripId: bookingData.tripId,
@@ -238,8 +428,18 @@ const createBooking = async (passengerId, bookingData) => {
     throw error;
   }
 
+  // Multi-stop trips board and alight at stops; otherwise resolve the
+  // en-route segment from the points (null for full-route bookings)
+  const stops = resolveBookingStops(trip, bookingData);
+  const pickupPoint = stops ? stops.pickupPoint : bookingData.pickupPoint;
+  const dropPoint = stops ? stops.dropPoint : bookingData.dropPoint;
+  const segment = stops
+    ? getStopSegment(trip, stops.pickupStop, stops.dropStop)
+    : resolveBookingSegment(trip, pickupPoint, dropPoint);
+
   // Check seat availability (prevent overbooking) - Requirements 5.2, 5.5
-  const availableSeats = await getAvailableSeats(bookingData.tripId);
+  // Only bookings overlapping this segment hold seats against it
+  const availableSeats = await getAvailableSeats(bookingData.tripId, segment || FULL_ROUTE_SEGMENT);
   const seatValidation = validateSeatAvailability(bookingData.seats, availableSeats);
   if (!seatValidation.isValid) {
     const error = new Error(seatValidation.message);
@@ -248,9 +448,17 @@ const createBooking = async (passengerId, bookingData) => {
     throw error;
   }
 
-  // Calculate fare
+  // Calculate fare: stop-pair fare on multi-stop trips, otherwise priced
+  // proportionally for partial segments
   const farePerSeat = trip.fare.total / 6; // Approximate fare per seat
-  const totalFare = Math.round(farePerSeat * bookingData.seats);
+  let totalFare;
+  if (stops) {
+    totalFare = getStopPairFare(trip, stops.pickupStop, stops.dropStop) * bookingData.seats;
+  } else {
+    totalFare = segment
+      ? calculateSegmentFarePerSeat(farePerSeat, segment.ratio) * bookingData.seats
+      : Math.round(farePerSeat * bookingData.seats);
+  }
 
   // Generate booking ID
   const bookingId = await Booking.generateBookingId();
@@ -263,15 +471,31 @@ const createBooking = async (passengerId, bookingData) => {
   // Set expiry time based on subscription tier
   const expiresAt = new Date(Date.now() + seatHoldMinutes * 60 * 1000);
 
+  // Platform fees from the active fee schedule
+  const pricing = await quoteBookingFees(trip, {
+    seats: bookingData.seats,
+    baseFare: totalFare,
+    segment,
+    planId: priorityInfo.planId
+  });
+
   // Create booking with passenger's PIN for ride verification (Requirements 4.4, 8.2)
   const booking = new Booking({
     bookingId,
     tripId: bookingData.tripId,
     passengerId,
     seats: bookingData.seats,
-    pickupPoint: bookingData.pickupPoint,
-    dropPoint: bookingData.dropPoint,
+    pickupPoint,
+    dropPoint,
+    pickupStop: stops ? stops.pickupStop : undefined,
+    dropStop: stops ? stops.dropStop : undefined,
+    segment: segment || undefined,
+    recurringGroupId: bookingData.recurringGroupId || undefined,
     fare: totalFare,
+    pricing,
+    billing: bookingData.gstin
+      ? { gstin: bookingData.gstin, legalName: bookingData.businessName }
+      : undefined,
     status: 'pending',
     paymentStatus: 'pending',
     bookedAt: new Date(),
@@ -284,6 +508,11 @@ const createBooking = async (passengerId, bookingData) => {
 
   await booking.save();
 
+  // Regional staff scoping needs a home city; take it from the booking if unset
+  if (!passenger.city) {
+    await assignUserCity(passengerId, [pickupPoint?.address, dropPoint?.address]);
+  }
+
   // TODO: Send notification to driver via push, SMS, and WhatsApp
   // This would be implemented with notificationService
 
@@ -296,7 +525,12 @@ const createBooking = async (passengerId, bookingData) => {
       seats: booking.seats,
       pickupPoint: booking.pickupPoint,
       dropPoint: booking.dropPoint,
+      pickupStop: booking.pickupStop,
+      dropStop: booking.dropStop,
+      segment,
       fare: booking.fare,
+      platformFee: pricing.passengerFee,
+      feeScheduleVersion: pricing.feeScheduleVersion,
       status: booking.status,
       paymentStatus: booking.paymentStatus,
       bookedAt: booking.bookedAt
@@ -478,6 +712,10 @@ const confirmBooking = async (bookingId, paymentId) => {
   booking.verificationCode = verificationCode;
   await booking.save();
 
+  // Close the waitlist offer this booking was holding, if any
+  const waitlistService = require('./waitlistService');
+  await waitlistService.markOfferAccepted(booking._id);
+
   // Add passenger to trip's passengers array
   const trip = await Trip.findById(booking.tripId);
   if (trip) {
@@ -486,6 +724,7 @@ const confirmBooking = async (bookingId, paymentId) => {
       seats: booking.seats,
       pickupPoint: booking.pickupPoint,
       dropPoint: booking.dropPoint,
+      segment: typeof booking.segment?.endKm === 'number' ? getBookingSegment(booking) : undefined,
       fare: booking.fare,
       paymentStatus: 'paid'
     };
@@ -528,6 +767,29 @@ const confirmBooking = async (bookingId, paymentId) => {
   };
 };
 
+/**
+ * Release a coupon reserved for a cancelled booking so it can be reused
+ * Failures are logged and never block the cancellation
+ * @param {Object} booking - Booking document
+ */
+const releaseBookingCoupon = async (booking) => {
+  try {
+    await releaseCouponForBooking(booking._id);
+  } catch (error) {
+    console.error(`Failed to release coupon for booking ${booking.bookingId}:`, error.message);
+  }
+};
+
+/**
+ * Offer a seat freed by a cancelled booking to the trip's waitlist
+ * Required lazily - waitlistService depends on this module
+ * @param {Object} booking - Cancelled booking document
+ */
+const promoteWaitlist = async (booking) => {
+  const waitlistService = require('./waitlistService');
+  await waitlistService.handleBookingCancelled(booking);
+};
+
 /**
  * Cancel a booking
  * @param {string} bookingId - Booking ID
@@ -577,6 +839,8 @@ const cancelBooking = async (bookingId, passengerId, reason) => {
   booking.cancelledBy = 'passenger';
   await booking.save();
 
+  await releaseBookingCoupon(booking);
+
   // Remove passenger from trip if booking was confirmed
   if (trip) {
     await Trip.findByIdAndUpdate(
@@ -597,6 +861,8 @@ const cancelBooking = async (bookingId, passengerId, reason) => {
     };
   }
 
+  await promoteWaitlist(booking);
+
   return {
     success: true,
     booking: {
@@ -680,6 +946,7 @@ const acceptBooking = async (bookingId, driverId) => {
     seats: booking.seats,
     pickupPoint: booking.pickupPoint,
     dropPoint: booking.dropPoint,
+    segment: typeof booking.segment?.endKm === 'number' ? getBookingSegment(booking) : undefined,
     fare: booking.fare,
     paymentStatus: booking.paymentStatus
   };
@@ -773,6 +1040,10 @@ const declineBooking = async (bookingId, driverId, reason = '') => {
 
   await booking.save();
 
+  await releaseBookingCoupon(booking);
+
+  await promoteWaitlist(booking);
+
   // TODO: Send notification to passenger with alternative trips
 
   return {
@@ -805,9 +1076,18 @@ const checkTripFullyBooked = async (tripId) => {
     status: 'confirmed'
   });
 
-  const bookedSeats = confirmedBookings.reduce((sum, b) => sum + b.seats, 0);
   const maxSeats = 6; // Default max seats
 
+  // Trip is fully booked only when no sellable leg has a free seat:
+  // check occupancy wherever a booking starts or ends along the route
+  const routePoints = decodePolyline(trip.route?.polyline);
+  const routeEndKm = routePoints.length > 1 ? getCumulativeDistances(routePoints).pop() : 0;
+  const checkpoints = [0, ...confirmedBookings.flatMap(b => {
+    const segment = getBookingSegment(b);
+    return [segment.startKm, segment.endKm];
+  })].filter(km => km === 0 || km <= routeEndKm - MIN_SELLABLE_SEGMENT_KM);
+  const bookedSeats = Math.min(...checkpoints.map(km => getOccupancyAt(confirmedBookings, km)));
+
   if (bookedSeats >= maxSeats) {
     await Trip.findByIdAndUpdate(tripId, { status: 'fully_booked' });
     return true;
@@ -857,6 +1137,10 @@ const autoDeclineExpiredBookings = async () => {
 
       await booking.save();
 
+      await releaseBookingCoupon(booking);
+
+      await promoteWaitlist(booking);
+
       // TODO: Send notification to passenger
 
       results.declined++;
@@ -903,7 +1187,7 @@ const getDriverBookingRequests = async (driverId) => {
       { expiresAt: null }
     ]
   })
-    .populate('passengerId', 'name phone email')
+    .populate('passengerId', 'name phone email passengerReputation')
     .populate('tripId', 'tripId source destination scheduledAt')
     .sort({ createdAt: -1 });
 
@@ -914,7 +1198,8 @@ const getDriverBookingRequests = async (driverId) => {
       bookingId: b.bookingId,
       passenger: {
         name: b.passengerId?.name,
-        phone: b.passengerId?.phone
+        phone: b.passengerId?.phone,
+        reputation: summarizePassengerReputation(b.passengerId?.passengerReputation)
       },
       trip: {
         tripId: b.tripId?.tripId,
@@ -1242,6 +1527,9 @@ module.exports = {
   validateBookingData,
   validateSeatAvailability,
   getAvailableSeats,
+  calculateSegmentOccupancy,
+  resolveBookingSegment,
+  resolveBookingStops,
   createBooking,
   getPassengerBookings,
   getBookingById,
@@ -12,6 +12,10 @@ const Driver = require('../models/Driver');
 const { PaymentStateMachine } = require('./paymentService');
 const notificationService = require('./notificationService');
 const subscriptionService = require('./subscriptionService');
+const { releaseCouponForBooking } = require('./couponService');
+const waitlistService = require('./waitlistService');
+const invoiceService = require('./invoiceService');
+const ledgerService = require('./ledgerService');
 
 /**
  * Cancellation policy configuration
@@ -220,6 +224,14 @@ const cancelPassengerBooking = async (bookingId, passengerId, reason, useFreeCan
         passengerId
       );
     }
+
+    // Whatever was paid and not refunded is the cancellation charge
+    await ledgerService.recordCancellationCharge({
+      bookingId: booking._id,
+      tripId: trip._id,
+      userId: passengerId,
+      amount: Math.max(0, ledgerService.getCollectedAmount(booking) - refundDetails.refundAmount)
+    });
     
     booking.paymentStatus = 'refunded';
   }
@@ -232,12 +244,35 @@ const cancelPassengerBooking = async (bookingId, passengerId, reason, useFreeCan
   booking.freeCancellationUsed = freeCancellationUsed;
   await booking.save();
 
+  // Issue a GST credit note against the booking's tax invoice for the refund
+  if (refundDetails && refundDetails.refundAmount > 0) {
+    try {
+      await invoiceService.issueCreditNote(booking, {
+        amount: refundDetails.refundAmount,
+        reason: booking.cancelReason,
+        source: 'passenger_cancellation'
+      });
+    } catch (creditNoteError) {
+      console.error('Failed to issue credit note:', creditNoteError.message);
+    }
+  }
+
+  // Return any coupon used on this booking to the passenger
+  try {
+    await releaseCouponForBooking(booking._id);
+  } catch (couponError) {
+    console.error('Failed to release coupon:', couponError.message);
+  }
+
   // Remove passenger from trip's passengers array
   await Trip.findByIdAndUpdate(
     booking.tripId,
     { $pull: { passengers: { userId: booking.passengerId } } }
   );
 
+  // Offer the freed seat to the next waitlisted passenger
+  await waitlistService.handleBookingCancelled(booking);
+
   // Notify driver about cancellation
   try {
     const driverId = trip.driver?._id?.toString() || trip.driver?.toString();
@@ -365,6 +400,13 @@ const cancelDriverTrip = async (tripId, driverId, reason) => {
         booking.passengerId._id.toString()
       );
 
+      await ledgerService.recordCancellationCharge({
+        bookingId: booking._id,
+        tripId: trip._id,
+        userId: booking.passengerId._id,
+        amount: Math.max(0, ledgerService.getCollectedAmount(booking) - booking.fare)
+      });
+
       booking.paymentStatus = 'refunded';
     }
 
@@ -375,6 +417,24 @@ const cancelDriverTrip = async (tripId, driverId, reason) => {
     booking.cancelledBy = 'driver';
     await booking.save();
 
+    if (refundInfo.refundAmount > 0) {
+      try {
+        await invoiceService.issueCreditNote(booking, {
+          amount: refundInfo.refundAmount,
+          reason: booking.cancelReason,
+          source: 'driver_cancellation'
+        });
+      } catch (creditNoteError) {
+        console.error('Failed to issue credit note:', creditNoteError.message);
+      }
+    }
+
+    try {
+      await releaseCouponForBooking(booking._id);
+    } catch (couponError) {
+      console.error('Failed to release coupon:', couponError.message);
+    }
+
     refundResults.push(refundInfo);
 
     // Queue notification for passenger
@@ -401,6 +461,8 @@ const cancelDriverTrip = async (tripId, driverId, reason) => {
     { new: true }
   );
 
+  await waitlistService.cancelTripWaitlist(trip._id, 'Trip cancelled by driver');
+
   // Send all notifications (don't wait for them)
   Promise.all(notificationPromises).catch(err => 
     console.error('Some notifications failed:', err)
@@ -3,7 +3,8 @@
  * Implements payment breakdown, Free Cancellation fee, and total amount calculations
  * 
  * Requirements: 2.1, 2.2, 3.2
- * Design: Platform fee is fixed at ₹10, Free Cancellation fee starts at ₹10
+ * Design: Platform fee defaults to ₹10 (fee schedules may override it per booking),
+ * Free Cancellation fee starts at ₹10
  */
 
 /**
@@ -64,6 +65,8 @@ const calculateFreeCancellationFee = (fare) => {
  * @param {boolean} options.hasFreeCancellation - Whether Free Cancellation is selected
  * @param {number} options.appliedDiscount - Any discount amount applied (default: 0)
  * @param {string} options.source - Booking source ('web' or 'mobile')
+ * @param {number} options.platformFee - Passenger fee priced by the fee schedule (default: ₹10)
+ * @param {number} options.driverCommission - Commission deducted from the driver (default: 0)
  * @returns {Object} Payment breakdown with all components
  * 
  * Requirements: 2.1, 2.2, 3.2
@@ -80,7 +83,9 @@ const calculatePaymentBreakdown = (fare, options = {}) => {
   const {
     hasFreeCancellation = false,
     appliedDiscount = 0,
-    source = 'web'
+    source = 'web',
+    platformFee = PLATFORM_FEE,
+    driverCommission = 0
   } = options;
   
   // Validate discount
@@ -88,8 +93,14 @@ const calculatePaymentBreakdown = (fare, options = {}) => {
     throw new Error('INVALID_DISCOUNT_AMOUNT');
   }
   
-  // Platform fee is always ₹10 regardless of source
-  const platformFee = PLATFORM_FEE;
+  // Platform fee comes from the booking's fee schedule; ₹10 regardless of source otherwise
+  if (typeof platformFee !== 'number' || isNaN(platformFee) || platformFee < 0) {
+    throw new Error('INVALID_PLATFORM_FEE');
+  }
+  
+  if (typeof driverCommission !== 'number' || isNaN(driverCommission) || driverCommission < 0) {
+    throw new Error('INVALID_DRIVER_COMMISSION');
+  }
   
   // Calculate Free Cancellation fee if selected
   const freeCancellationFee = hasFreeCancellation 
@@ -103,8 +114,8 @@ const calculatePaymentBreakdown = (fare, options = {}) => {
   // Total amount = discounted fare + platform fee + Free Cancellation fee
   const totalAmount = discountedFare + platformFee + freeCancellationFee;
   
-  // Driver earnings = base fare (driver gets full fare, platform keeps fee)
-  const driverEarnings = fare;
+  // Driver earnings = base fare less the schedule's commission (platform keeps fees)
+  const driverEarnings = fare - Math.min(driverCommission, fare);
   
   return {
     baseFare: fare,
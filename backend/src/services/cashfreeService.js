@@ -293,6 +293,43 @@ const getOrder = async (orderId) => {
   });
 };
 
+/**
+ * Terminate an unpaid order so it can no longer be paid
+ * Cashfree may only accept the request (TERMINATION_REQUESTED) and refuses
+ * it once a payment on the order has succeeded, so check orderStatus.
+ * In stub mode, returns a simulated termination
+ * @param {string} orderId - Order ID to terminate
+ * @returns {Promise<Object>} { orderId, orderStatus }
+ */
+const terminateOrder = async (orderId) => {
+  if (isStubMode()) {
+    logStubOperation('TERMINATE ORDER', { orderId, status: 'TERMINATED' });
+    return { orderId, orderStatus: 'TERMINATED', stubMode: true };
+  }
+
+  if (!isCashfreeConfigured()) {
+    throw new Error('Cashfree is not configured');
+  }
+
+  initializeCashfree();
+  const config = getCashfreeConfig();
+  const idempotencyKey = generateIdempotencyKey('terminate');
+
+  return executeWithCircuitBreaker(async () => {
+    const response = await Cashfree.PGTerminateOrder(
+      config.apiVersion,
+      orderId,
+      { order_status: 'TERMINATED' },
+      undefined,
+      idempotencyKey
+    );
+    return {
+      orderId: response.data.order_id,
+      orderStatus: response.data.order_status
+    };
+  });
+};
+
 // ============================================
 // Payment Operations
 // ============================================
@@ -587,6 +624,95 @@ const getRefundStatus = async (orderId, refundId) => {
   });
 };
 
+// ============================================
+// Dispute Operations
+// ============================================
+
+/**
+ * Accept a payment dispute (the disputed amount is debited from settlements)
+ * In stub mode, returns a simulated acceptance
+ * @param {string} disputeId - Cashfree dispute ID
+ * @returns {Promise<Object>} Dispute status
+ */
+const acceptDispute = async (disputeId) => {
+  if (isStubMode()) {
+    logStubOperation('ACCEPT DISPUTE', { orderId: String(disputeId), status: 'DISPUTE_MERCHANT_ACCEPTED' });
+    return {
+      disputeId: String(disputeId),
+      disputeStatus: 'DISPUTE_MERCHANT_ACCEPTED',
+      stubMode: true
+    };
+  }
+
+  if (!isCashfreeConfigured()) {
+    throw new Error('Cashfree is not configured');
+  }
+
+  initializeCashfree();
+  const config = getCashfreeConfig();
+  const idempotencyKey = generateIdempotencyKey('dispute');
+
+  return executeWithCircuitBreaker(async () => {
+    const response = await Cashfree.PGAcceptDisputeByID(config.apiVersion, Number(disputeId), undefined, idempotencyKey);
+
+    return {
+      disputeId: String(response.data.dispute_id),
+      disputeStatus: response.data.dispute_status,
+      updatedAt: response.data.updated_at
+    };
+  });
+};
+
+/**
+ * Upload an evidence document to contest a payment dispute
+ * In stub mode, returns a simulated upload
+ * @param {Object} documentData - Document details
+ * @param {string} documentData.disputeId - Cashfree dispute ID
+ * @param {Buffer} documentData.content - File contents
+ * @param {string} documentData.contentType - MIME type (default: application/pdf)
+ * @param {string} documentData.docType - Cashfree document type
+ * @param {string} [documentData.note] - Note shown with the document
+ * @returns {Promise<Object>} Dispute status
+ */
+const uploadDisputeDocument = async ({ disputeId, content, contentType = 'application/pdf', docType, note }) => {
+  if (isStubMode()) {
+    logStubOperation('UPLOAD DISPUTE DOCUMENT', { orderId: String(disputeId), status: docType });
+    return {
+      disputeId: String(disputeId),
+      disputeStatus: 'DISPUTE_DOCS_RECEIVED',
+      stubMode: true
+    };
+  }
+
+  if (!isCashfreeConfigured()) {
+    throw new Error('Cashfree is not configured');
+  }
+
+  initializeCashfree();
+  const config = getCashfreeConfig();
+  const idempotencyKey = generateIdempotencyKey('dispute_doc');
+  const file = new Blob([content], { type: contentType });
+
+  return executeWithCircuitBreaker(async () => {
+    const response = await Cashfree.PGUploadDisputesDocuments(
+      config.apiVersion,
+      Number(disputeId),
+      file,
+      docType,
+      undefined,
+      idempotencyKey,
+      note
+    );
+    const [dispute] = Array.isArray(response.data) ? response.data : [response.data];
+
+    return {
+      disputeId: String(dispute?.dispute_id ?? disputeId),
+      disputeStatus: dispute?.dispute_status,
+      updatedAt: dispute?.updated_at
+    };
+  });
+};
+
 // ============================================
 // Payout Operations (Beneficiary & Transfers)
 // ============================================
@@ -1045,6 +1171,7 @@ module.exports = {
   // Order Management
   createOrder,
   getOrder,
+  terminateOrder,
   
   // Payment Operations
   getPaymentStatus,
@@ -1055,6 +1182,10 @@ module.exports = {
   getRefundStatus,
   validateRefundAmount,
   
+  // Dispute Operations
+  acceptDispute,
+  uploadDisputeDocument,
+  
   // Payout Operations
   addBeneficiary,
   getBeneficiary,
@@ -0,0 +1,544 @@
+/**
+ * Chat Service
+ * Passenger-driver chat for booked trips
+ *
+ * Design Decision: One thread per booking, scoped to its trip
+ * Rationale: Drivers coordinate pickup with each passenger separately and
+ * co-passengers should not see each other's messages
+ *
+ * Design Decision: Contact details are redacted before a message is stored
+ * Rationale: Keeps coordination and payment on the platform; the original
+ * text is never persisted, so staff views show the same redacted text
+ */
+
+const mongoose = require('mongoose');
+const ChatMessage = require('../models/ChatMessage');
+const Booking = require('../models/Booking');
+const Trip = require('../models/Trip');
+const Driver = require('../models/Driver');
+const SupportTicket = require('../models/SupportTicket');
+const SOSAlert = require('../models/SOSAlert');
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Hours after trip completion that the chat stays open
+ */
+const CHAT_CLOSE_HOURS = parseInt(process.env.TRIP_CHAT_CLOSE_HOURS, 10) || 24;
+
+/**
+ * Maximum message length
+ */
+const MAX_MESSAGE_LENGTH = 1000;
+
+/**
+ * Quick-reply templates per sender role
+ */
+const QUICK_REPLIES = {
+  passenger: [
+    { key: 'at_pickup', text: "I'm at the pickup point" },
+    { key: 'running_late', text: "I'm running a few minutes late" },
+    { key: 'on_my_way', text: "I'm on my way to the pickup point" },
+    { key: 'where_are_you', text: 'Where are you right now?' },
+    { key: 'thank_you', text: 'Thank you!' }
+  ],
+  driver: [
+    { key: 'arrived', text: "I've arrived at the pickup point" },
+    { key: 'running_late', text: "I'm running a few minutes late" },
+    { key: 'on_my_way', text: "I'm on my way" },
+    { key: 'waiting', text: "I'm waiting for you at the pickup point" },
+    { key: 'thank_you', text: 'Thank you for riding with HushRyd!' }
+  ]
+};
+
+// Indian mobile numbers, optionally with +91/0 prefix and spaces or dashes between digits
+const PHONE_PATTERN = /(?<!\d)(?:(?:\+|00)?91[\s-]*|0)?[6-9](?:[\s.-]*\d){9}(?!\d)/g;
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+// UPI virtual payment addresses (handle@bank)
+const UPI_PATTERN = /[A-Za-z0-9._-]{2,256}@[A-Za-z][A-Za-z0-9]{1,63}\b/g;
+
+const ABUSIVE_WORDS = ['idiot', 'stupid', 'bastard', 'bitch', 'fuck', 'shit', 'chutiya', 'saala', 'kutta', 'harami'];
+const OFF_PLATFORM_PAYMENT_PATTERN = /\b(pay\s+(me\s+)?(in\s+)?cash|cash\s+only|gpay|google\s*pay|phonepe|paytm|bhim|send\s+money|pay\s+directly)\b/i;
+
+/**
+ * Build an error with code and HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error object
+ */
+const createError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Replace phone numbers, email addresses and UPI IDs in message text
+ * Emails are matched before UPI IDs since every email also looks like a UPI handle.
+ *
+ * @param {string} text - Message text
+ * @returns {Object} { text, redactionTypes }
+ */
+const redactContactDetails = (text) => {
+  const redactionTypes = [];
+  let result = text;
+
+  const replace = (pattern, type, placeholder) => {
+    const replaced = result.replace(pattern, placeholder);
+    if (replaced !== result) {
+      redactionTypes.push(type);
+      result = replaced;
+    }
+  };
+
+  replace(PHONE_PATTERN, 'phone', '[phone number hidden]');
+  replace(EMAIL_PATTERN, 'email', '[email hidden]');
+  replace(UPI_PATTERN, 'upi', '[UPI ID hidden]');
+
+  return { text: result, redactionTypes };
+};
+
+/**
+ * Mask abusive words and flag messages for staff review
+ * Flagged messages are still delivered; staff see the flags in the trip chat view.
+ *
+ * @param {string} text - Message text
+ * @returns {Object} { text, flagReasons }
+ */
+const moderateText = (text) => {
+  const flagReasons = [];
+  let result = text;
+
+  for (const word of ABUSIVE_WORDS) {
+    const pattern = new RegExp(`\\b${word}\\w*`, 'gi');
+    const masked = result.replace(pattern, match => match[0] + '*'.repeat(match.length - 1));
+    if (masked !== result) {
+      result = masked;
+      if (!flagReasons.includes('abusive_language')) {
+        flagReasons.push('abusive_language');
+      }
+    }
+  }
+
+  if (OFF_PLATFORM_PAYMENT_PATTERN.test(text)) {
+    flagReasons.push('off_platform_payment');
+  }
+
+  return { text: result, flagReasons };
+};
+
+/**
+ * Apply redaction and moderation to outgoing message text
+ * @param {string} text - Raw message text
+ * @returns {Object} { text, moderation }
+ */
+const processMessageText = (text) => {
+  const redacted = redactContactDetails(text.trim());
+  const moderated = moderateText(redacted.text);
+
+  return {
+    text: moderated.text,
+    moderation: {
+      redacted: redacted.redactionTypes.length > 0,
+      redactionTypes: redacted.redactionTypes,
+      flagged: moderated.flagReasons.length > 0,
+      flagReasons: moderated.flagReasons
+    }
+  };
+};
+
+/**
+ * Determine whether a booking's chat is open
+ * Chat opens once the booking is accepted and closes CHAT_CLOSE_HOURS after
+ * the trip completes, or immediately when the booking or trip is cancelled.
+ *
+ * @param {Object} trip - Trip document
+ * @param {Object} booking - Booking document
+ * @param {Date} [now] - Current time
+ * @returns {Object} { isOpen, reason, closesAt }
+ */
+const getChatWindow = (trip, booking, now = new Date()) => {
+  if (booking.status === 'cancelled') {
+    return { isOpen: false, reason: 'BOOKING_CANCELLED', closesAt: null };
+  }
+
+  if (trip.status === 'cancelled') {
+    return { isOpen: false, reason: 'TRIP_CANCELLED', closesAt: null };
+  }
+
+  const accepted = ['confirmed', 'completed'].includes(booking.status) ||
+    booking.driverResponse?.status === 'accepted';
+  if (!accepted) {
+    return { isOpen: false, reason: 'BOOKING_NOT_ACCEPTED', closesAt: null };
+  }
+
+  if (trip.status === 'completed') {
+    const completedAt = trip.completedAt ? new Date(trip.completedAt) : now;
+    const closesAt = new Date(completedAt.getTime() + CHAT_CLOSE_HOURS * 60 * 60 * 1000);
+    return {
+      isOpen: now < closesAt,
+      reason: now < closesAt ? null : 'CHAT_CLOSED',
+      closesAt
+    };
+  }
+
+  return { isOpen: true, reason: null, closesAt: null };
+};
+
+/**
+ * Load a booking's chat participants and check the user is one of them
+ *
+ * @param {string} bookingId - Booking ID (MongoDB ID or BK-... ID)
+ * @param {string} userId - Requesting user ID
+ * @returns {Promise<Object>} { booking, trip, role, counterpartId, window }
+ */
+const getChatContext = async (bookingId, userId) => {
+  const booking = await Booking.findByBookingId(String(bookingId));
+  if (!booking) {
+    throw createError('BOOKING_NOT_FOUND', 'Booking not found', 404);
+  }
+
+  const trip = await Trip.findById(booking.tripId);
+  if (!trip) {
+    throw createError('TRIP_NOT_FOUND', 'Trip not found', 404);
+  }
+
+  const driver = await Driver.findById(trip.driver).select('userId');
+  const driverUserId = driver?.userId?.toString();
+  const passengerId = booking.passengerId.toString();
+  const requesterId = userId.toString();
+
+  let role;
+  let counterpartId;
+  if (requesterId === passengerId) {
+    role = 'passenger';
+    counterpartId = driverUserId;
+  } else if (driverUserId && requesterId === driverUserId) {
+    role = 'driver';
+    counterpartId = passengerId;
+  } else {
+    throw createError('CHAT_ACCESS_DENIED', 'You are not a participant in this chat', 403);
+  }
+
+  return {
+    booking,
+    trip,
+    role,
+    counterpartId,
+    window: getChatWindow(trip, booking)
+  };
+};
+
+/**
+ * Format message for API and socket payloads
+ * @param {Object} message - ChatMessage document
+ * @param {Object} [options] - { includeModeration }
+ * @returns {Object} Formatted message
+ */
+const formatMessage = (message, { includeModeration = false } = {}) => {
+  const formatted = {
+    _id: message._id,
+    tripId: message.tripId,
+    bookingId: message.bookingId,
+    senderId: message.senderId,
+    senderRole: message.senderRole,
+    messageType: message.messageType,
+    quickReplyKey: message.quickReplyKey,
+    text: message.text,
+    clientMessageId: message.clientMessageId,
+    redacted: message.moderation?.redacted || false,
+    deliveredAt: message.deliveredAt || null,
+    readAt: message.readAt || null,
+    createdAt: message.createdAt
+  };
+
+  if (includeModeration) {
+    formatted.moderation = message.moderation;
+  }
+
+  return formatted;
+};
+
+/**
+ * Open a booking's chat for a participant
+ * @param {string} bookingId - Booking ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Chat details with quick replies for the user's role
+ */
+const openChat = async (bookingId, userId) => {
+  const { booking, trip, role, window } = await getChatContext(bookingId, userId);
+
+  return {
+    success: true,
+    chat: {
+      bookingId: booking._id,
+      tripId: trip._id,
+      role,
+      isOpen: window.isOpen,
+      closedReason: window.reason,
+      closesAt: window.closesAt,
+      quickReplies: QUICK_REPLIES[role]
+    }
+  };
+};
+
+/**
+ * Send a chat message
+ *
+ * @param {string} bookingId - Booking ID
+ * @param {string} senderId - Sender user ID
+ * @param {Object} data - { text, quickReplyKey, clientMessageId }
+ * @returns {Promise<Object>} { message, recipientId }
+ */
+const sendMessage = async (bookingId, senderId, data = {}) => {
+  const { booking, trip, role, counterpartId, window } = await getChatContext(bookingId, senderId);
+
+  if (!window.isOpen) {
+    throw createError('CHAT_CLOSED', 'Chat is not available for this booking', 403);
+  }
+
+  if (!counterpartId) {
+    throw createError('CHAT_CLOSED', 'Driver is not available for chat yet', 403);
+  }
+
+  let rawText = typeof data.text === 'string' ? data.text : '';
+  let messageType = 'text';
+  if (data.quickReplyKey) {
+    const quickReply = QUICK_REPLIES[role].find(q => q.key === data.quickReplyKey);
+    if (!quickReply) {
+      throw createError('INVALID_QUICK_REPLY', 'Unknown quick reply');
+    }
+    rawText = quickReply.text;
+    messageType = 'quick_reply';
+  }
+
+  if (!rawText.trim()) {
+    throw createError('INVALID_MESSAGE', 'Message text is required');
+  }
+  if (rawText.length > MAX_MESSAGE_LENGTH) {
+    throw createError('INVALID_MESSAGE', `Message cannot exceed ${MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  // Resent messages return the stored copy instead of a duplicate
+  if (data.clientMessageId) {
+    const existing = await ChatMessage.findOne({
+      bookingId: booking._id,
+      senderId,
+      clientMessageId: data.clientMessageId
+    });
+    if (existing) {
+      return { message: formatMessage(existing), recipientId: counterpartId, duplicate: true };
+    }
+  }
+
+  const processed = messageType === 'quick_reply'
+    ? { text: rawText, moderation: { redacted: false, redactionTypes: [], flagged: false, flagReasons: [] } }
+    : processMessageText(rawText);
+
+  const message = await ChatMessage.create({
+    tripId: trip._id,
+    bookingId: booking._id,
+    senderId,
+    senderRole: role,
+    recipientId: counterpartId,
+    messageType,
+    quickReplyKey: messageType === 'quick_reply' ? data.quickReplyKey : undefined,
+    text: processed.text,
+    clientMessageId: data.clientMessageId || undefined,
+    moderation: processed.moderation
+  });
+
+  // A passenger's safe word triggers a silent SOS; the message is delivered
+  // unchanged so the driver sees nothing unusual
+  if (role === 'passenger' && messageType === 'text') {
+    try {
+      const sosService = require('./sosService');
+      await sosService.checkChatForSafeWord(senderId, trip._id, rawText);
+    } catch (error) {
+      console.error(`Safe word check failed for booking ${booking._id}:`, error.message);
+    }
+  }
+
+  return { message: formatMessage(message), recipientId: counterpartId, duplicate: false };
+};
+
+/**
+ * Get a booking's chat history
+ * Fetching history marks the requester's incoming messages as delivered.
+ *
+ * @param {string} bookingId - Booking ID
+ * @param {string} userId - User ID
+ * @param {Object} [options] - { before, limit }
+ * @returns {Promise<Object>} Messages in chronological order
+ */
+const getMessages = async (bookingId, userId, options = {}) => {
+  const { booking, role, window } = await getChatContext(bookingId, userId);
+  const limit = Math.min(parseInt(options.limit, 10) || 50, 100);
+
+  const query = { bookingId: booking._id };
+  if (options.before) {
+    query.createdAt = { $lt: new Date(options.before) };
+  }
+
+  const messages = await ChatMessage.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+  const delivered = await markDelivered(booking._id, userId);
+
+  return {
+    success: true,
+    chat: {
+      bookingId: booking._id,
+      role,
+      isOpen: window.isOpen,
+      closedReason: window.reason,
+      closesAt: window.closesAt
+    },
+    messages: messages.reverse().map(m => formatMessage(m)),
+    delivered
+  };
+};
+
+/**
+ * Mark a user's incoming messages as delivered
+ * @param {string} bookingId - Booking MongoDB ID
+ * @param {string} userId - Recipient user ID
+ * @param {Array<string>} [messageIds] - Limit to these messages
+ * @returns {Promise<Object>} { messageIds, deliveredAt }
+ */
+const markDelivered = async (bookingId, userId, messageIds = null) => {
+  const query = { bookingId, recipientId: userId, deliveredAt: null };
+  if (Array.isArray(messageIds)) {
+    query._id = { $in: messageIds.filter(id => mongoose.Types.ObjectId.isValid(id)) };
+  }
+
+  const pending = await ChatMessage.find(query).select('_id');
+  if (pending.length === 0) {
+    return { messageIds: [], deliveredAt: null };
+  }
+
+  const deliveredAt = new Date();
+  const ids = pending.map(m => m._id);
+  await ChatMessage.updateMany({ _id: { $in: ids } }, { $set: { deliveredAt } });
+
+  return { messageIds: ids, deliveredAt };
+};
+
+/**
+ * Mark all of a user's incoming messages in a chat as read
+ * @param {string} bookingId - Booking MongoDB ID
+ * @param {string} userId - Recipient user ID
+ * @returns {Promise<Object>} { messageIds, readAt }
+ */
+const markRead = async (bookingId, userId) => {
+  const unread = await ChatMessage.find({ bookingId, recipientId: userId, readAt: null }).select('_id');
+  if (unread.length === 0) {
+    return { messageIds: [], readAt: null };
+  }
+
+  const readAt = new Date();
+  const ids = unread.map(m => m._id);
+  await ChatMessage.updateMany({ _id: { $in: ids } }, { $set: { readAt } });
+  await ChatMessage.updateMany({ _id: { $in: ids }, deliveredAt: null }, { $set: { deliveredAt: readAt } });
+
+  return { messageIds: ids, readAt };
+};
+
+/**
+ * Get all chat threads of a trip for staff handling a support case
+ * Access must be tied to a support ticket or SOS alert for the same trip and
+ * is recorded in the audit log.
+ *
+ * @param {string} tripIdentifier - Trip MongoDB ID or human-readable trip ID
+ * @param {string} staffId - Staff user ID
+ * @param {Object} context - { ticketId, sosAlertId, ipAddress, userAgent }
+ * @returns {Promise<Object>} Trip chat threads grouped by booking
+ */
+const getTripChatForStaff = async (tripIdentifier, staffId, context = {}) => {
+  let trip;
+  if (tripIdentifier.match(/^[0-9a-fA-F]{24}$/)) {
+    trip = await Trip.findById(tripIdentifier);
+  }
+  if (!trip) {
+    trip = await Trip.findOne({ tripId: tripIdentifier });
+  }
+  if (!trip) {
+    throw createError('TRIP_NOT_FOUND', 'Trip not found', 404);
+  }
+
+  let caseRef;
+  if (context.ticketId) {
+    const ticket = await SupportTicket.findByTicketId(context.ticketId);
+    const linkedTripId = ticket?.relatedTrip?.toString() ||
+      (ticket?.relatedEntity?.type === 'trip' ? ticket.relatedEntity.id?.toString() : null);
+    if (!ticket || linkedTripId !== trip._id.toString()) {
+      throw createError('CASE_NOT_LINKED', 'Support ticket is not linked to this trip', 403);
+    }
+    caseRef = { type: 'ticket', id: ticket._id, ticketId: ticket.ticketId };
+  } else if (context.sosAlertId) {
+    const alert = mongoose.Types.ObjectId.isValid(context.sosAlertId)
+      ? await SOSAlert.findById(context.sosAlertId)
+      : null;
+    if (!alert || alert.tripId?.toString() !== trip._id.toString()) {
+      throw createError('CASE_NOT_LINKED', 'SOS alert is not linked to this trip', 403);
+    }
+    caseRef = { type: 'sos', id: alert._id };
+  } else {
+    throw createError('CASE_REQUIRED', 'A support ticket or SOS alert is required to view trip chat');
+  }
+
+  const messages = await ChatMessage.find({ tripId: trip._id }).sort({ createdAt: 1 });
+
+  const threads = new Map();
+  for (const message of messages) {
+    const key = message.bookingId.toString();
+    if (!threads.has(key)) {
+      threads.set(key, { bookingId: message.bookingId, messages: [], flaggedCount: 0 });
+    }
+    const thread = threads.get(key);
+    thread.messages.push(formatMessage(message, { includeModeration: true }));
+    if (message.moderation?.flagged) thread.flaggedCount++;
+  }
+
+  await AuditLog.logAction({
+    userId: staffId,
+    action: 'chat_view',
+    targetType: 'trip',
+    targetId: trip._id,
+    details: {
+      tripId: trip.tripId,
+      caseType: caseRef.type,
+      caseId: caseRef.id,
+      ticketId: caseRef.ticketId,
+      messageCount: messages.length
+    },
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent
+  });
+
+  return {
+    tripId: trip.tripId,
+    tripStatus: trip.status,
+    case: caseRef,
+    threads: Array.from(threads.values()),
+    totalMessages: messages.length
+  };
+};
+
+module.exports = {
+  CHAT_CLOSE_HOURS,
+  QUICK_REPLIES,
+  redactContactDetails,
+  moderateText,
+  processMessageText,
+  getChatWindow,
+  getChatContext,
+  openChat,
+  sendMessage,
+  getMessages,
+  markDelivered,
+  markRead,
+  getTripChatForStaff
+};
@@ -0,0 +1,510 @@
+/**
+ * Check-in Service
+ * Trusted-contact check-ins for passenger bookings
+ *
+ * Flow: check-in starts when the trip goes in_progress, with the expected
+ * arrival from calculateTripETA -> passenger enters the drop-point geofence
+ * (arrived) or the expected arrival plus grace passes -> emergency contacts
+ * get the live tracking link -> support is alerted if the passenger still has
+ * not arrived after the support timeout
+ *
+ * Check-in is turned on by the passenger per booking, and automatically for
+ * ladies-only rides and trips departing during night hours unless the
+ * passenger has turned it off.
+ */
+
+const Booking = require('../models/Booking');
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const SupportTicket = require('../models/SupportTicket');
+const { sendNotification } = require('./notificationService');
+
+const CHECK_IN_CONFIG = {
+  // Minutes after the expected arrival before contacts are sent the tracking link
+  graceMinutes: parseInt(process.env.CHECK_IN_GRACE_MINUTES, 10) || 15,
+  // Minutes after contacts are notified before support is alerted
+  supportTimeoutMinutes: parseInt(process.env.CHECK_IN_SUPPORT_TIMEOUT_MINUTES, 10) || 15,
+  // Distance from the drop point (meters) that counts as arrived
+  geofenceMeters: parseInt(process.env.CHECK_IN_DROP_GEOFENCE_METERS, 10) || 500,
+  // Departure hours (IST, 0-23) that auto-enable check-in; the range may wrap midnight
+  nightStartHour: parseInt(process.env.CHECK_IN_NIGHT_START_HOUR ?? 22, 10),
+  nightEndHour: parseInt(process.env.CHECK_IN_NIGHT_END_HOUR ?? 6, 10)
+};
+
+// Check-in states still waiting for the passenger to arrive
+const OPEN_STATUSES = ['monitoring', 'contacts_notified'];
+
+/**
+ * Build an error with code and HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error object
+ */
+const createError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Get the hour of day in IST
+ * @param {Date} date - Date
+ * @returns {number} Hour 0-23
+ */
+const getIstHour = (date) =>
+  parseInt(new Date(date).toLocaleString('en-GB', { timeZone: 'Asia/Kolkata', hour: '2-digit', hourCycle: 'h23' }), 10);
+
+/**
+ * Check whether a departure falls within the configured night hours
+ * A start hour after the end hour wraps midnight (22 -> 6 covers 22:00-05:59).
+ *
+ * @param {Date} departureAt - Scheduled departure
+ * @param {Object} [config] - { nightStartHour, nightEndHour }
+ * @returns {boolean} True if the departure is at night
+ */
+const isNightDeparture = (departureAt, config = CHECK_IN_CONFIG) => {
+  if (!departureAt) return false;
+  const { nightStartHour: start, nightEndHour: end } = config;
+  if (start === end) return false;
+
+  const hour = getIstHour(departureAt);
+  return start < end
+    ? hour >= start && hour < end
+    : hour >= start || hour < end;
+};
+
+/**
+ * Get the reason a trip auto-enables check-in
+ * @param {Object} trip - Trip with ladiesOnly/isWomenOnly and scheduledAt
+ * @param {Object} [config] - Check-in configuration
+ * @returns {string|null} 'ladies_only', 'night_hours' or null
+ */
+const getAutoEnableReason = (trip, config = CHECK_IN_CONFIG) => {
+  if (!trip) return null;
+  if (trip.ladiesOnly || trip.isWomenOnly) return 'ladies_only';
+  if (isNightDeparture(trip.scheduledAt, config)) return 'night_hours';
+  return null;
+};
+
+/**
+ * Decide the next check-in step at a given time
+ *
+ * @param {Object} checkIn - Booking check-in state
+ * @param {Date|number} now - Current time
+ * @param {Object} [config] - { graceMinutes, supportTimeoutMinutes }
+ * @returns {string|null} 'notify_contacts', 'alert_support' or null
+ */
+const evaluateCheckIn = (checkIn, now, config = CHECK_IN_CONFIG) => {
+  if (!checkIn) return null;
+  const time = new Date(now).getTime();
+
+  if (checkIn.status === 'monitoring' && checkIn.expectedArrivalAt) {
+    const contactsDueAt = new Date(checkIn.expectedArrivalAt).getTime() + config.graceMinutes * 60 * 1000;
+    return time >= contactsDueAt ? 'notify_contacts' : null;
+  }
+
+  if (checkIn.status === 'contacts_notified' && checkIn.contactsNotifiedAt) {
+    const supportDueAt = new Date(checkIn.contactsNotifiedAt).getTime() + config.supportTimeoutMinutes * 60 * 1000;
+    return time >= supportDueAt ? 'alert_support' : null;
+  }
+
+  return null;
+};
+
+/**
+ * Format a check-in for API responses
+ * @param {Object} booking - Booking
+ * @param {Object} trip - Trip
+ * @returns {Object} Check-in summary
+ */
+const toCheckInSummary = (booking, trip) => {
+  const checkIn = booking.checkIn || {};
+  return {
+    bookingId: booking._id,
+    enabled: !!checkIn.enabled,
+    reason: checkIn.reason || null,
+    optedOut: !!checkIn.optedOut,
+    autoEnableReason: getAutoEnableReason(trip),
+    status: checkIn.status || 'inactive',
+    expectedArrivalAt: checkIn.expectedArrivalAt || null,
+    contactsNotifiedAt: checkIn.contactsNotifiedAt || null,
+    arrivedAt: checkIn.arrivedAt || null
+  };
+};
+
+/**
+ * Load a passenger's booking with its trip
+ * @param {string} bookingId - Booking ID
+ * @param {string} userId - Passenger user ID
+ * @returns {Promise<Object>} { booking, trip }
+ */
+const loadPassengerBooking = async (bookingId, userId) => {
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    throw createError('BOOKING_NOT_FOUND', 'Booking not found', 404);
+  }
+  if (booking.passengerId.toString() !== userId.toString()) {
+    throw createError('UNAUTHORIZED', 'Not authorized to manage this booking', 403);
+  }
+
+  const trip = await Trip.findById(booking.tripId)
+    .select('status scheduledAt ladiesOnly isWomenOnly source destination tracking');
+  return { booking, trip };
+};
+
+/**
+ * Get the check-in state for a booking
+ * @param {string} bookingId - Booking ID
+ * @param {string} userId - Passenger user ID
+ * @returns {Promise<Object>} Check-in summary
+ */
+const getCheckIn = async (bookingId, userId) => {
+  const { booking, trip } = await loadPassengerBooking(bookingId, userId);
+  return toCheckInSummary(booking, trip);
+};
+
+/**
+ * Calculate the expected arrival for a trip from its latest known position
+ * @param {Object} trip - Trip with tracking and source
+ * @param {Date} now - Current time
+ * @returns {Promise<Date>} Expected arrival
+ */
+const calculateExpectedArrival = async (trip, now = new Date()) => {
+  const { calculateTripETA } = require('./tripTrackingService');
+  const lastPoint = trip.tracking?.length > 0 ? trip.tracking[trip.tracking.length - 1] : null;
+  const from = lastPoint?.coordinates || trip.source.coordinates;
+
+  const { eta } = await calculateTripETA(trip._id, from, lastPoint?.speed);
+  return new Date(now.getTime() + eta * 60 * 1000);
+};
+
+/**
+ * Turn check-in on or off for a booking
+ * Turning it on during a live trip starts monitoring straight away. Once
+ * contacts have been notified it can no longer be turned off.
+ *
+ * @param {string} bookingId - Booking ID
+ * @param {string} userId - Passenger user ID
+ * @param {boolean} enabled - Whether check-in is on
+ * @returns {Promise<Object>} Check-in summary
+ */
+const setCheckIn = async (bookingId, userId, enabled) => {
+  const { booking, trip } = await loadPassengerBooking(bookingId, userId);
+
+  if (!['pending', 'confirmed'].includes(booking.status) || ['completed', 'cancelled'].includes(trip?.status)) {
+    throw createError('BOOKING_NOT_ACTIVE', 'Check-in can only be changed for upcoming or ongoing rides', 400);
+  }
+
+  const status = booking.checkIn?.status || 'inactive';
+  if (['contacts_notified', 'support_alerted'].includes(status)) {
+    throw createError('CHECK_IN_ESCALATED', 'Your contacts have already been notified for this ride', 409);
+  }
+
+  if (enabled) {
+    booking.checkIn.enabled = true;
+    booking.checkIn.reason = 'passenger';
+    booking.checkIn.optedOut = false;
+    if (trip?.status === 'in_progress' && status === 'inactive') {
+      booking.checkIn.status = 'monitoring';
+      booking.checkIn.expectedArrivalAt = await calculateExpectedArrival(trip);
+    }
+  } else {
+    booking.checkIn.enabled = false;
+    booking.checkIn.optedOut = true;
+    if (status === 'monitoring') {
+      booking.checkIn.status = 'inactive';
+    }
+  }
+
+  await booking.save();
+  return toCheckInSummary(booking, trip);
+};
+
+/**
+ * Start check-ins for a trip that has just gone in_progress
+ * Applies auto-enable rules and sets the expected arrival on every booking
+ * with check-in on.
+ *
+ * @param {string} tripId - Trip ID
+ * @returns {Promise<Object>} { activated }
+ */
+const activateForTrip = async (tripId) => {
+  const trip = await Trip.findById(tripId)
+    .select('status scheduledAt ladiesOnly isWomenOnly source destination tracking');
+  if (!trip) {
+    return { activated: 0 };
+  }
+
+  const autoReason = getAutoEnableReason(trip);
+  const bookings = await Booking.find({ tripId, status: 'confirmed', 'checkIn.status': 'inactive' });
+  const candidates = bookings.filter(b => b.checkIn.enabled || (autoReason && !b.checkIn.optedOut));
+  if (candidates.length === 0) {
+    return { activated: 0 };
+  }
+
+  const expectedArrivalAt = await calculateExpectedArrival(trip);
+  for (const booking of candidates) {
+    if (!booking.checkIn.enabled) {
+      booking.checkIn.enabled = true;
+      booking.checkIn.reason = autoReason;
+    }
+    booking.checkIn.status = 'monitoring';
+    booking.checkIn.expectedArrivalAt = expectedArrivalAt;
+    await booking.save();
+  }
+
+  return { activated: candidates.length, expectedArrivalAt };
+};
+
+/**
+ * Mark open check-ins as arrived when the vehicle is inside their drop geofence
+ *
+ * @param {string} tripId - Trip ID
+ * @param {Object} coordinates - Current vehicle coordinates { lat, lng }
+ * @returns {Promise<Object>} { arrived }
+ */
+const processLocationUpdate = async (tripId, coordinates) => {
+  const bookings = await Booking.find({ tripId, 'checkIn.status': { $in: OPEN_STATUSES } });
+  if (bookings.length === 0) {
+    return { arrived: 0 };
+  }
+
+  const { calculateDistance } = require('./tripTrackingService');
+  let arrived = 0;
+  for (const booking of bookings) {
+    const distanceMeters = calculateDistance(coordinates, booking.dropPoint.coordinates) * 1000;
+    if (distanceMeters <= CHECK_IN_CONFIG.geofenceMeters) {
+      await markArrived(booking);
+      arrived++;
+    }
+  }
+
+  return { arrived };
+};
+
+/**
+ * Close a check-in because the passenger reached the drop point
+ * Contacts who were sent the tracking link are told the passenger arrived.
+ *
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} Updated booking
+ */
+const markArrived = async (booking) => {
+  const contactsWereNotified = booking.checkIn.status !== 'monitoring';
+  booking.checkIn.status = 'arrived';
+  booking.checkIn.arrivedAt = new Date();
+  await booking.save();
+
+  if (contactsWereNotified) {
+    const passenger = await User.findById(booking.passengerId).select('name emergencyContacts');
+    for (const contact of passenger?.emergencyContacts || []) {
+      try {
+        await sendNotification({
+          userId: booking.passengerId,
+          channel: 'sms',
+          template: 'check_in_arrived_sms',
+          recipient: contact.phone,
+          data: {
+            passengerName: passenger.name || 'A HushRyd passenger',
+            destination: booking.dropPoint.address
+          },
+          relatedEntity: { type: 'booking', id: booking._id }
+        });
+      } catch (error) {
+        console.error(`Check-in arrival message failed for booking ${booking._id}:`, error.message);
+      }
+    }
+  }
+
+  return booking;
+};
+
+/**
+ * Settle check-ins when a trip ends
+ * Cancelled trips close their check-ins. On completion, passengers whose drop
+ * point is within the geofence of the last tracked position are marked
+ * arrived; the rest stay open so the overdue escalation still runs.
+ *
+ * @param {string} tripId - Trip ID
+ * @returns {Promise<Object>} { settled }
+ */
+const handleTripEnd = async (tripId) => {
+  const trip = await Trip.findById(tripId).select('status tracking');
+  if (!trip) {
+    return { settled: 0 };
+  }
+
+  if (trip.status === 'cancelled') {
+    const result = await Booking.updateMany(
+      { tripId, 'checkIn.status': 'monitoring' },
+      { $set: { 'checkIn.status': 'inactive' } }
+    );
+    return { settled: result.modifiedCount || 0 };
+  }
+
+  const lastPoint = trip.tracking?.length > 0 ? trip.tracking[trip.tracking.length - 1] : null;
+  if (!lastPoint?.coordinates) {
+    return { settled: 0 };
+  }
+
+  const { arrived } = await processLocationUpdate(tripId, lastPoint.coordinates);
+  return { settled: arrived };
+};
+
+/**
+ * Send the passenger's emergency contacts the live tracking link
+ * Passengers without emergency contacts go straight to support.
+ *
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} Notification result
+ */
+const notifyContacts = async (booking) => {
+  const passenger = await User.findById(booking.passengerId).select('name emergencyContacts');
+  const locationSharingService = require('./locationSharingService');
+  const contacts = (passenger?.emergencyContacts || [])
+    .slice(0, locationSharingService.MAX_CONTACTS)
+    .map(c => ({ name: c.name, phone: c.phone }));
+
+  booking.checkIn.status = 'contacts_notified';
+  booking.checkIn.contactsNotifiedAt = new Date();
+  await booking.save();
+
+  if (contacts.length === 0) {
+    await alertSupport(booking, 'Passenger has no emergency contacts');
+    return { contactsNotified: 0, supportAlerted: true };
+  }
+
+  const share = await locationSharingService.startPassengerSharing(
+    booking._id.toString(),
+    booking.passengerId.toString(),
+    contacts
+  );
+  const trip = await Trip.findById(booking.tripId).select('source destination');
+  const results = await locationSharingService.sendTrackingLinksToContacts(share.sessionId.toString(), {
+    source: booking.pickupPoint?.address || trip?.source?.address,
+    destination: booking.dropPoint?.address || trip?.destination?.address,
+    expectedArrival: new Date(booking.checkIn.expectedArrivalAt)
+      .toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour: '2-digit', minute: '2-digit' })
+  }, {
+    sms: 'check_in_overdue_sms',
+    whatsapp: 'check_in_overdue_whatsapp'
+  });
+
+  try {
+    await sendNotification({
+      userId: booking.passengerId,
+      channel: 'push',
+      template: 'check_in_overdue_push',
+      recipient: booking.passengerId.toString(),
+      data: { bookingId: booking._id.toString() },
+      relatedEntity: { type: 'booking', id: booking._id }
+    });
+  } catch (error) {
+    console.error(`Check-in passenger notice failed for booking ${booking._id}:`, error.message);
+  }
+
+  return { contactsNotified: results.contactsNotified, supportAlerted: false };
+};
+
+/**
+ * Open a safety ticket and alert the support dashboard
+ *
+ * @param {Object} booking - Booking document
+ * @param {string} [note] - Extra context for the ticket
+ * @returns {Promise<Object>} { ticketId }
+ */
+const alertSupport = async (booking, note = null) => {
+  const ticketId = await SupportTicket.generateTicketId();
+  const ticket = new SupportTicket({
+    ticketId,
+    category: 'safety',
+    priority: 'critical',
+    status: 'open',
+    subject: 'Safety Escalation - Passenger Check-in Overdue',
+    description: `Passenger has not reached the drop point (${booking.dropPoint.address}) after the expected arrival and contact notification.${note ? ` ${note}.` : ''}`,
+    userId: booking.passengerId,
+    relatedTrip: booking.tripId,
+    relatedEntity: {
+      type: 'booking',
+      id: booking._id
+    },
+    metadata: {
+      checkInReason: booking.checkIn.reason,
+      expectedArrivalAt: booking.checkIn.expectedArrivalAt,
+      contactsNotifiedAt: booking.checkIn.contactsNotifiedAt,
+      dropPoint: booking.dropPoint
+    }
+  });
+  await ticket.save();
+
+  booking.checkIn.status = 'support_alerted';
+  booking.checkIn.supportAlertedAt = new Date();
+  booking.checkIn.supportTicketId = ticket._id;
+  await booking.save();
+
+  const { broadcastSupportEscalation } = require('./socketService');
+  broadcastSupportEscalation({
+    type: 'check_in_overdue',
+    ticketId: ticket._id,
+    tripId: booking.tripId,
+    passengerId: booking.passengerId,
+    location: booking.dropPoint,
+    priority: 'critical'
+  });
+
+  return { ticketId: ticket._id };
+};
+
+/**
+ * Escalate overdue check-ins
+ * Run every minute by the check-ins cron job.
+ *
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} { contactsNotified, supportAlerted, failed }
+ */
+const processOverdueCheckIns = async (now = new Date()) => {
+  const results = { contactsNotified: 0, supportAlerted: 0, failed: 0 };
+
+  const contactsCutoff = new Date(now.getTime() - CHECK_IN_CONFIG.graceMinutes * 60 * 1000);
+  const supportCutoff = new Date(now.getTime() - CHECK_IN_CONFIG.supportTimeoutMinutes * 60 * 1000);
+  const bookings = await Booking.find({
+    $or: [
+      { 'checkIn.status': 'monitoring', 'checkIn.expectedArrivalAt': { $lte: contactsCutoff } },
+      { 'checkIn.status': 'contacts_notified', 'checkIn.contactsNotifiedAt': { $lte: supportCutoff } }
+    ]
+  });
+
+  for (const booking of bookings) {
+    try {
+      const action = evaluateCheckIn(booking.checkIn, now);
+      if (action === 'notify_contacts') {
+        const result = await notifyContacts(booking);
+        results.contactsNotified++;
+        if (result.supportAlerted) results.supportAlerted++;
+      } else if (action === 'alert_support') {
+        await alertSupport(booking);
+        results.supportAlerted++;
+      }
+    } catch (error) {
+      results.failed++;
+      console.error(`Check-in escalation failed for booking ${booking._id}:`, error.message);
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  CHECK_IN_CONFIG,
+  isNightDeparture,
+  getAutoEnableReason,
+  evaluateCheckIn,
+  getCheckIn,
+  setCheckIn,
+  activateForTrip,
+  processLocationUpdate,
+  handleTripEnd,
+  processOverdueCheckIns
+};
@@ -0,0 +1,531 @@
+/**
+ * Coupon Service
+ * Implements promo code validation, discount calculation and redemption tracking
+ *
+ * Discounts apply to the booking fare only; platform and Free Cancellation fees
+ * are never discounted (see cashfreePaymentCalculation.calculatePaymentBreakdown).
+ */
+
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Booking = require('../models/Booking');
+const { getUserSubscription } = require('./subscriptionService');
+
+/**
+ * Eligibility failure codes with user-facing messages
+ */
+const COUPON_ERRORS = {
+  COUPON_INACTIVE: 'This coupon is no longer active',
+  COUPON_NOT_STARTED: 'This coupon is not valid yet',
+  COUPON_EXPIRED: 'This coupon has expired',
+  COUPON_MIN_FARE_NOT_MET: 'Fare does not meet the minimum amount for this coupon',
+  COUPON_USAGE_LIMIT_REACHED: 'This coupon has reached its usage limit',
+  COUPON_USER_LIMIT_REACHED: 'You have already used this coupon',
+  COUPON_FIRST_RIDE_ONLY: 'This coupon is only valid on your first ride',
+  COUPON_TIER_NOT_ELIGIBLE: 'This coupon is not available for your subscription plan',
+  COUPON_ALREADY_APPLYING: 'A coupon is already being applied to this booking'
+};
+
+/**
+ * Booking statuses that count as a ride for first-ride-only coupons
+ */
+const RIDE_STATUSES = ['confirmed', 'completed'];
+
+/**
+ * Build an error with code and HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error object
+ */
+const createError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Calculate discount amount for a fare
+ * Percentage discounts are rounded to the nearest rupee; every discount is
+ * capped by maxDiscount (when set) and by the fare itself.
+ *
+ * @param {Object} coupon - Coupon with discountType, discountValue, maxDiscount
+ * @param {number} fare - Fare amount in INR
+ * @returns {number} Discount amount in INR
+ */
+const calculateCouponDiscount = (coupon, fare) => {
+  if (!coupon || typeof fare !== 'number' || isNaN(fare) || fare <= 0) {
+    return 0;
+  }
+
+  let discount = coupon.discountType === 'percentage'
+    ? Math.round(fare * coupon.discountValue / 100)
+    : coupon.discountValue;
+
+  if (typeof coupon.maxDiscount === 'number' && coupon.maxDiscount >= 0) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+
+  return Math.max(0, Math.min(discount, fare));
+};
+
+/**
+ * Check whether a coupon can be used in the given context
+ * Pure function - all database-derived values are passed in via context.
+ *
+ * @param {Object} coupon - Coupon object
+ * @param {Object} context - Redemption context
+ * @param {number} context.fare - Booking fare
+ * @param {string} context.planId - User's subscription plan (normal, silver, gold)
+ * @param {number} context.userRedemptions - Active redemptions of this coupon by the user
+ * @param {number} context.previousRides - User's previous confirmed/completed bookings
+ * @param {Date} [context.now] - Current time
+ * @returns {Object} { eligible, code, message }
+ */
+const checkCouponEligibility = (coupon, context = {}) => {
+  const {
+    fare = 0,
+    planId = 'normal',
+    userRedemptions = 0,
+    previousRides = 0,
+    now = new Date()
+  } = context;
+
+  const fail = (code) => ({ eligible: false, code, message: COUPON_ERRORS[code] });
+
+  if (!coupon.isActive) return fail('COUPON_INACTIVE');
+  if (coupon.validFrom && now < new Date(coupon.validFrom)) return fail('COUPON_NOT_STARTED');
+  if (coupon.validUntil && now > new Date(coupon.validUntil)) return fail('COUPON_EXPIRED');
+  if (fare < (coupon.minFare || 0)) return fail('COUPON_MIN_FARE_NOT_MET');
+  if (coupon.usageLimit && (coupon.usageCount || 0) >= coupon.usageLimit) {
+    return fail('COUPON_USAGE_LIMIT_REACHED');
+  }
+  if (userRedemptions >= (coupon.perUserLimit || 1)) return fail('COUPON_USER_LIMIT_REACHED');
+  if (coupon.firstRideOnly && previousRides > 0) return fail('COUPON_FIRST_RIDE_ONLY');
+  if (coupon.eligibleTiers && coupon.eligibleTiers.length > 0 && !coupon.eligibleTiers.includes(planId)) {
+    return fail('COUPON_TIER_NOT_ELIGIBLE');
+  }
+
+  return { eligible: true, code: null, message: null };
+};
+
+/**
+ * Load a coupon and evaluate it for a user and fare
+ *
+ * @param {string} code - Coupon code
+ * @param {string} userId - User ID
+ * @param {number} fare - Fare to discount
+ * @param {Object} [options] - Options
+ * @param {string} [options.excludeBookingId] - Booking being paid (ignored for first-ride check)
+ * @returns {Promise<Object>} { coupon, discount }
+ * @throws {Error} COUPON_NOT_FOUND or an eligibility error code
+ */
+const validateCoupon = async (code, userId, fare, options = {}) => {
+  const coupon = await Coupon.findByCode(code);
+  if (!coupon) {
+    throw createError('COUPON_NOT_FOUND', 'Invalid coupon code', 404);
+  }
+
+  const rideQuery = { passengerId: userId, status: { $in: RIDE_STATUSES } };
+  if (options.excludeBookingId) {
+    rideQuery._id = { $ne: options.excludeBookingId };
+  }
+
+  const [subscription, previousRides] = await Promise.all([
+    getUserSubscription(userId),
+    coupon.firstRideOnly ? Booking.countDocuments(rideQuery) : Promise.resolve(0)
+  ]);
+
+  // A booking re-using its own reservation should not count against the per-user limit
+  const userRedemptions = await CouponRedemption.countUserRedemptions(coupon._id, userId, options.excludeBookingId);
+
+  const eligibility = checkCouponEligibility(coupon, {
+    fare,
+    planId: subscription?.planId || 'normal',
+    userRedemptions,
+    previousRides
+  });
+
+  if (!eligibility.eligible) {
+    throw createError(eligibility.code, eligibility.message);
+  }
+
+  return {
+    coupon,
+    discount: calculateCouponDiscount(coupon, fare)
+  };
+};
+
+/**
+ * Release any coupon reserved for a booking
+ * Called when a booking is cancelled or declined so the coupon can be reused.
+ *
+ * @param {string} bookingId - Booking MongoDB ObjectId
+ * @returns {Promise<Object>} { released, code }
+ */
+const releaseCouponForBooking = async (bookingId) => {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { bookingId, status: 'reserved' },
+    { $set: { status: 'released', releasedAt: new Date() } },
+    { new: true }
+  );
+  if (!redemption) {
+    return { released: false, code: null };
+  }
+
+  const coupon = await Coupon.findByIdAndUpdate(
+    redemption.couponId,
+    { $inc: { usageCount: -1 } },
+    { new: true }
+  );
+
+  return { released: true, code: coupon?.code || null };
+};
+
+/**
+ * Lowest per-user slot not held by a reserved redemption
+ * @param {number[]} usedSlots - Slots held by the user's reserved redemptions
+ * @param {number} perUserLimit - Redemptions allowed per user
+ * @returns {number|null} Free slot, or null when the user is at the limit
+ */
+const findFreeRedemptionSlot = (usedSlots, perUserLimit) => {
+  for (let slot = 0; slot < perUserLimit; slot++) {
+    if (!usedSlots.includes(slot)) return slot;
+  }
+  return null;
+};
+
+/**
+ * Record a reserved redemption in one of the user's free slots
+ * The unique slot index makes the per-user limit atomic: of two concurrent
+ * bookings competing for the last slot, only one insert succeeds.
+ *
+ * @param {Object} coupon - Coupon document
+ * @param {string} userId - Passenger user ID
+ * @param {string} bookingId - Booking MongoDB ObjectId
+ * @param {number} discount - Discount amount in INR
+ * @returns {Promise<Object>} CouponRedemption document
+ * @throws {Error} COUPON_USER_LIMIT_REACHED or COUPON_ALREADY_APPLYING
+ */
+const claimRedemptionSlot = async (coupon, userId, bookingId, discount) => {
+  const perUserLimit = coupon.perUserLimit || 1;
+
+  for (let attempt = 0; attempt < perUserLimit; attempt++) {
+    const usedSlots = await CouponRedemption.distinct('slot', {
+      couponId: coupon._id,
+      userId,
+      status: 'reserved'
+    });
+    const slot = findFreeRedemptionSlot(usedSlots, perUserLimit);
+    if (slot === null) break;
+
+    try {
+      return await CouponRedemption.create({
+        couponId: coupon._id,
+        userId,
+        bookingId,
+        slot,
+        discount,
+        status: 'reserved',
+        redeemedAt: new Date()
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      if (error.keyPattern?.bookingId) {
+        throw createError('COUPON_ALREADY_APPLYING', COUPON_ERRORS.COUPON_ALREADY_APPLYING, 409);
+      }
+      // Slot taken by a concurrent booking; look again
+    }
+  }
+
+  throw createError('COUPON_USER_LIMIT_REACHED', COUPON_ERRORS.COUPON_USER_LIMIT_REACHED);
+};
+
+/**
+ * Reserve a coupon for a booking and return the discount
+ * Idempotent per booking: re-applying the same coupon returns the existing
+ * reservation, applying a different coupon releases the previous one.
+ *
+ * @param {string} code - Coupon code
+ * @param {string} userId - Passenger user ID
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} { code, discount, couponId, reused }
+ */
+const reserveCouponForBooking = async (code, userId, booking) => {
+  const normalizedCode = code.trim().toUpperCase();
+
+  const existing = await CouponRedemption.findOne({ bookingId: booking._id, status: 'reserved' })
+    .populate('couponId', 'code');
+
+  if (existing && existing.couponId?.code === normalizedCode) {
+    return { code: existing.couponId.code, discount: existing.discount, couponId: existing.couponId._id, reused: true };
+  }
+
+  const { coupon, discount } = await validateCoupon(normalizedCode, userId, booking.fare, {
+    excludeBookingId: booking._id
+  });
+
+  if (existing) {
+    await releaseCouponForBooking(booking._id);
+  }
+
+  // Per-user limit: unique slot index on the redemption
+  const redemption = await claimRedemptionSlot(coupon, userId, booking._id, discount);
+
+  // Global usage limit: conditional increment against concurrent redemptions
+  const reserved = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true }
+  );
+
+  if (!reserved) {
+    await CouponRedemption.deleteOne({ _id: redemption._id });
+    throw createError('COUPON_USAGE_LIMIT_REACHED', COUPON_ERRORS.COUPON_USAGE_LIMIT_REACHED);
+  }
+
+  return { code: reserved.code, discount, couponId: reserved._id, reused: false };
+};
+
+/**
+ * Validate coupon data for create/update
+ * @param {Object} data - Coupon data
+ * @returns {Object} { isValid, errors }
+ */
+const validateCouponData = (data) => {
+  const errors = [];
+
+  if (data.discountType === 'percentage' && data.discountValue > 100) {
+    errors.push('Percentage discount cannot exceed 100');
+  }
+
+  if (data.validFrom && data.validUntil && new Date(data.validUntil) <= new Date(data.validFrom)) {
+    errors.push('Valid until must be after valid from');
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Create a new coupon
+ * @param {Object} data - Coupon data
+ * @param {string} createdBy - Staff user ID
+ * @returns {Promise<Object>} Created coupon
+ */
+const createCoupon = async (data, createdBy) => {
+  const validation = validateCouponData(data);
+  if (!validation.isValid) {
+    const error = createError('INVALID_COUPON_DATA', validation.errors.join(', '));
+    error.details = validation.errors;
+    throw error;
+  }
+
+  const existing = await Coupon.findByCode(data.code);
+  if (existing) {
+    throw createError('DUPLICATE_COUPON_CODE', 'A coupon with this code already exists', 409);
+  }
+
+  const coupon = new Coupon({
+    ...data,
+    code: data.code.trim().toUpperCase(),
+    usageCount: 0,
+    createdBy
+  });
+  await coupon.save();
+
+  return { success: true, coupon: formatCoupon(coupon) };
+};
+
+/**
+ * Find coupon by MongoDB ID or code
+ * @param {string} id - Coupon ID or code
+ * @returns {Promise<Object>} Coupon document
+ */
+const findCoupon = async (id) => {
+  let coupon = null;
+  if (mongoose.Types.ObjectId.isValid(id)) {
+    coupon = await Coupon.findById(id);
+  }
+  if (!coupon) {
+    coupon = await Coupon.findByCode(id);
+  }
+  if (!coupon) {
+    throw createError('COUPON_NOT_FOUND', 'Coupon not found', 404);
+  }
+  return coupon;
+};
+
+/**
+ * Update a coupon
+ * Code and usage counters cannot be changed once created.
+ *
+ * @param {string} id - Coupon ID or code
+ * @param {Object} updates - Fields to update
+ * @param {string} updatedBy - Staff user ID
+ * @returns {Promise<Object>} Updated coupon
+ */
+const updateCoupon = async (id, updates, updatedBy) => {
+  const coupon = await findCoupon(id);
+
+  const { code, usageCount, ...allowed } = updates;
+  const merged = { ...coupon.toObject(), ...allowed };
+  const validation = validateCouponData(merged);
+  if (!validation.isValid) {
+    const error = createError('INVALID_COUPON_DATA', validation.errors.join(', '));
+    error.details = validation.errors;
+    throw error;
+  }
+
+  Object.assign(coupon, allowed, { updatedBy });
+  await coupon.save();
+
+  return { success: true, coupon: formatCoupon(coupon) };
+};
+
+/**
+ * Deactivate a coupon (soft delete)
+ * Existing reservations remain valid for bookings already in payment.
+ *
+ * @param {string} id - Coupon ID or code
+ * @param {string} updatedBy - Staff user ID
+ * @returns {Promise<Object>} Deactivated coupon
+ */
+const deactivateCoupon = async (id, updatedBy) => {
+  const coupon = await findCoupon(id);
+  coupon.isActive = false;
+  coupon.updatedBy = updatedBy;
+  await coupon.save();
+
+  return { success: true, coupon: formatCoupon(coupon) };
+};
+
+/**
+ * Get coupon details with redemption summary
+ * @param {string} id - Coupon ID or code
+ * @returns {Promise<Object>} Coupon details
+ */
+const getCouponById = async (id) => {
+  const coupon = await findCoupon(id);
+
+  const [byStatus, recent] = await Promise.all([
+    CouponRedemption.aggregate([
+      { $match: { couponId: coupon._id } },
+      { $group: { _id: '$status', count: { $sum: 1 }, totalDiscount: { $sum: '$discount' } } }
+    ]),
+    CouponRedemption.find({ couponId: coupon._id })
+      .sort({ redeemedAt: -1 })
+      .limit(20)
+      .lean()
+  ]);
+  const reserved = byStatus.find(s => s._id === 'reserved');
+  const released = byStatus.find(s => s._id === 'released');
+
+  return {
+    success: true,
+    coupon: {
+      ...formatCoupon(coupon),
+      redemptionSummary: {
+        active: reserved?.count || 0,
+        released: released?.count || 0,
+        totalDiscount: reserved?.totalDiscount || 0
+      },
+      recentRedemptions: recent.map(r => ({
+        userId: r.userId,
+        bookingId: r.bookingId,
+        discount: r.discount,
+        status: r.status,
+        redeemedAt: r.redeemedAt,
+        releasedAt: r.releasedAt
+      }))
+    }
+  };
+};
+
+/**
+ * List coupons with filters and pagination
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} Paginated coupons
+ */
+const getCoupons = async (options = {}) => {
+  const { page = 1, limit = 20, isActive, search } = options;
+
+  const query = {};
+  if (isActive !== undefined) {
+    query.isActive = isActive;
+  }
+  if (search) {
+    query.code = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+  }
+
+  const skip = (page - 1) * limit;
+  const [coupons, total] = await Promise.all([
+    Coupon.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Coupon.countDocuments(query)
+  ]);
+
+  return {
+    success: true,
+    coupons,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasNextPage: page * limit < total,
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * Format coupon for API responses
+ * @param {Object} coupon - Coupon document
+ * @returns {Object} Formatted coupon
+ */
+const formatCoupon = (coupon) => ({
+  _id: coupon._id,
+  code: coupon.code,
+  description: coupon.description,
+  discountType: coupon.discountType,
+  discountValue: coupon.discountValue,
+  maxDiscount: coupon.maxDiscount,
+  minFare: coupon.minFare,
+  validFrom: coupon.validFrom,
+  validUntil: coupon.validUntil,
+  usageLimit: coupon.usageLimit,
+  perUserLimit: coupon.perUserLimit,
+  usageCount: coupon.usageCount,
+  firstRideOnly: coupon.firstRideOnly,
+  eligibleTiers: coupon.eligibleTiers,
+  isActive: coupon.isActive,
+  createdAt: coupon.createdAt,
+  updatedAt: coupon.updatedAt
+});
+
+module.exports = {
+  COUPON_ERRORS,
+  calculateCouponDiscount,
+  checkCouponEligibility,
+  findFreeRedemptionSlot,
+  validateCoupon,
+  reserveCouponForBooking,
+  releaseCouponForBooking,
+  createCoupon,
+  updateCoupon,
+  deactivateCoupon,
+  getCouponById,
+  getCoupons
+};
@@ -0,0 +1,788 @@
+/**
+ * Dispute Service
+ * Payment disputes and chargebacks reported by Cashfree dispute webhooks
+ *
+ * Flow: DISPUTE_CREATED webhook -> dispute is linked to the booking, its
+ * payment transaction and tax invoice, and proof-of-service evidence is
+ * assembled -> finance accepts or contests before the respond-by deadline
+ * (contesting uploads the invoice and proof-of-service PDFs) -> later
+ * DISPUTE_UPDATED / DISPUTE_CLOSED webhooks move it to its outcome.
+ *
+ * While a dispute is undecided the driver's earning for the trip is held
+ * (payoutService.findOpenHolds). Accepted and lost disputes claw the driver's
+ * share of the disputed amount back as a negative earnings adjustment; a
+ * dispute later won returns it.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Dispute = require('../models/Dispute');
+const Booking = require('../models/Booking');
+const Trip = require('../models/Trip');
+const Invoice = require('../models/Invoice');
+const Transaction = require('../models/Transaction');
+const DriverEarning = require('../models/DriverEarning');
+const SupportTicket = require('../models/SupportTicket');
+const cashfreeService = require('./cashfreeService');
+const invoiceService = require('./invoiceService');
+const payoutService = require('./payoutService');
+const { canonicalize } = require('./sosEvidenceService');
+const { renderInvoicePdf, renderDisputeEvidencePdf } = require('./reportDocumentService');
+const { PLATFORM_FEE } = require('./fareCalculation');
+
+const DISPUTE_CONFIG = {
+  // Hours before the respond-by deadline that finance is alerted
+  deadlineAlertHours: parseInt(process.env.DISPUTE_DEADLINE_ALERT_HOURS, 10) || 48
+};
+
+/**
+ * Dispute webhook event types
+ */
+const DISPUTE_EVENTS = ['DISPUTE_CREATED', 'DISPUTE_UPDATED', 'DISPUTE_CLOSED'];
+
+/**
+ * Statuses where finance or the gateway still has to decide
+ */
+const UNDECIDED_STATUSES = ['open', 'contested', 'under_review'];
+
+/**
+ * Statuses where the disputed amount is lost to the passenger's bank
+ */
+const LOSS_STATUSES = ['accepted', 'lost'];
+
+/**
+ * Document types used when uploading evidence to Cashfree
+ */
+const EVIDENCE_DOC_TYPES = {
+  invoice: 'Invoice/Bill',
+  proofOfService: 'Proof of Service'
+};
+
+/**
+ * Build an error with code and HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error object
+ */
+const createError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Map a Cashfree dispute status to a dispute state
+ * Cashfree prefixes statuses with the dispute type (DISPUTE_, CHARGEBACK_,
+ * RETRIEVAL_, PRE_ARBITRATION_, ARBITRATION_); the suffix carries the state.
+ *
+ * @param {string} gatewayStatus - e.g. CHARGEBACK_MERCHANT_WON
+ * @returns {string|null} Dispute status, or null if unrecognised
+ */
+const mapGatewayStatus = (gatewayStatus) => {
+  const status = String(gatewayStatus || '').toUpperCase();
+  if (status.endsWith('_CREATED')) return 'open';
+  if (status.endsWith('_DOCS_RECEIVED') || status.endsWith('_UNDER_REVIEW')) return 'under_review';
+  if (status.endsWith('_MERCHANT_WON')) return 'won';
+  if (status.endsWith('_MERCHANT_LOST') || status.endsWith('_INSUFFICIENT_EVIDENCE')) return 'lost';
+  if (status.endsWith('_MERCHANT_ACCEPTED')) return 'accepted';
+  return null;
+};
+
+/**
+ * Decide the status after a gateway update
+ * Outcomes are final except that a won dispute can still be lost (or a lost
+ * one won) on arbitration; an undecided update never reopens an outcome.
+ *
+ * @param {string} current - Current dispute status
+ * @param {string|null} next - Status mapped from the gateway
+ * @returns {string} Status to store
+ */
+const resolveNextStatus = (current, next) => {
+  if (!next) return current;
+  if (!UNDECIDED_STATUSES.includes(current) && UNDECIDED_STATUSES.includes(next)) return current;
+  // Evidence already submitted: an echo of "created" does not undo it
+  if (current === 'contested' && next === 'open') return current;
+  return next;
+};
+
+/**
+ * Time a dispute webhook describes
+ * The payload's updated_at when present, else the signed x-webhook-timestamp
+ * (milliseconds since epoch); null when the webhook carries neither.
+ *
+ * @param {Object} payload - Webhook dispute object
+ * @param {string|number} [signatureTimestamp] - x-webhook-timestamp header
+ * @returns {Date|null} Event time
+ */
+const getDisputeEventTime = (payload, signatureTimestamp) => {
+  const updatedAt = payload?.updated_at ? new Date(payload.updated_at) : null;
+  if (updatedAt && !Number.isNaN(updatedAt.getTime())) return updatedAt;
+
+  const signedAt = Number(signatureTimestamp);
+  return signatureTimestamp && Number.isFinite(signedAt) && signedAt > 0 ? new Date(signedAt) : null;
+};
+
+/**
+ * Whether a dispute webhook has already been applied
+ * Matched on the gateway event ID when the webhook has one, else on event
+ * type, gateway status and event time. Without an event time a redelivery
+ * cannot be told apart from a new update, so only a dispute_status change
+ * is applied.
+ *
+ * @param {Object} dispute - Existing dispute ({ gatewayStatus, events })
+ * @param {Object} event - { eventId, eventType, gatewayStatus, gatewayUpdatedAt }
+ * @returns {boolean} True if the webhook is a redelivery
+ */
+const isDuplicateDisputeEvent = (dispute, { eventId, eventType, gatewayStatus, gatewayUpdatedAt }) => {
+  if (eventId) {
+    return dispute.events.some(event => event.eventId === eventId);
+  }
+  if (!gatewayUpdatedAt) {
+    return dispute.gatewayStatus === gatewayStatus;
+  }
+  return dispute.events.some(event =>
+    event.eventType === eventType &&
+    event.gatewayStatus === gatewayStatus &&
+    event.gatewayUpdatedAt?.getTime() === gatewayUpdatedAt.getTime()
+  );
+};
+
+/**
+ * Driver's share of a disputed amount
+ * The passenger platform fee and any part of the dispute beyond the fare are
+ * borne by the platform; the rest is recovered pro rata to the driver's share
+ * of the fare.
+ *
+ * @param {Object} params - { disputeAmount, fare, driverShare }
+ * @returns {number} Amount to claw back from the driver
+ */
+const calculateClawbackAmount = ({ disputeAmount, fare, driverShare }) => {
+  if (!(fare > 0) || !(driverShare > 0) || !(disputeAmount > 0)) return 0;
+  const disputedFare = Math.min(disputeAmount, fare);
+  return roundAmount(disputedFare * Math.min(driverShare, fare) / fare);
+};
+
+/**
+ * Driver's share of a booking's fare as credited by the payout pipeline
+ * @param {Object} booking - Booking
+ * @returns {Promise<Object>} { fare, driverShare }
+ */
+const getDriverShare = async (booking) => {
+  if (booking.pickupStatus === 'no_show' && booking.noShow?.earningId) {
+    return { fare: booking.noShow.charge || 0, driverShare: booking.noShow.driverCompensation || 0 };
+  }
+
+  const tripEarning = await DriverEarning.exists({ tripId: booking.tripId, kind: 'trip' });
+  if (booking.status !== 'completed' || !tripEarning) {
+    return { fare: booking.fare || 0, driverShare: 0 };
+  }
+
+  const commission = booking.pricing?.driverCommission ?? PLATFORM_FEE.DRIVER_FEE_PER_SEAT * (booking.seats || 1);
+  return { fare: booking.fare || 0, driverShare: Math.max(0, (booking.fare || 0) - commission) };
+};
+
+/**
+ * Find the booking, transaction and invoice a gateway order belongs to
+ * @param {string} orderId - Cashfree order ID
+ * @param {string} paymentId - Cashfree payment ID
+ * @returns {Promise<Object>} { booking, transaction, invoice }
+ */
+const findLinkedRecords = async (orderId, paymentId) => {
+  let booking = orderId
+    ? await Booking.findOne({ 'paymentDetails.cashfreeOrderId': orderId })
+    : null;
+
+  const transactionQuery = [
+    orderId && { orderId },
+    paymentId && { paymentGatewayTxnId: paymentId },
+    booking && { bookingId: booking._id, category: 'booking', type: 'debit' }
+  ].filter(Boolean);
+  const transaction = transactionQuery.length > 0
+    ? await Transaction.findOne({ $or: transactionQuery }).select('_id bookingId').lean()
+    : null;
+
+  if (!booking && transaction?.bookingId) {
+    booking = await Booking.findById(transaction.bookingId);
+  }
+
+  const invoice = booking
+    ? await Invoice.findOne({ bookingId: booking._id, documentType: 'tax_invoice' }).select('_id').lean()
+    : null;
+
+  return { booking, transaction, invoice };
+};
+
+/**
+ * Record clawback or its reversal after a status change
+ * @param {Object} dispute - Dispute document
+ * @returns {Promise<void>}
+ */
+const settleDriverShare = async (dispute) => {
+  if (!dispute.driverId || !dispute.bookingId) return;
+
+  if (LOSS_STATUSES.includes(dispute.status) && !dispute.clawback?.adjustmentId) {
+    const booking = await Booking.findById(dispute.bookingId).lean();
+    if (!booking) return;
+
+    const amount = calculateClawbackAmount({ disputeAmount: dispute.amount, ...(await getDriverShare(booking)) });
+    if (amount <= 0) return;
+
+    const { adjustment } = await payoutService.addAdjustment(dispute.driverId, {
+      amount: -amount,
+      reason: `Payment dispute ${dispute.disputeId} ${dispute.status} on booking ${booking.bookingId}`
+    }, dispute.decision?.decidedBy);
+    dispute.clawback = { amount, adjustmentId: adjustment._id, clawedBackAt: new Date() };
+    return;
+  }
+
+  if (dispute.status === 'won' && dispute.clawback?.adjustmentId && !dispute.clawback.reversalId) {
+    const { adjustment } = await payoutService.addAdjustment(dispute.driverId, {
+      amount: dispute.clawback.amount,
+      reason: `Payment dispute ${dispute.disputeId} won; clawback returned`
+    });
+    dispute.clawback.reversalId = adjustment._id;
+    dispute.clawback.reversedAt = new Date();
+  }
+};
+
+/**
+ * Re-check payout holds on the disputed trip's earning
+ * @param {Object} dispute - Dispute document
+ * @returns {Promise<void>}
+ */
+const refreshTripHolds = async (dispute) => {
+  if (!dispute.tripId) return;
+  const earning = await DriverEarning.findOne({ tripId: dispute.tripId, kind: 'trip' });
+  if (earning) {
+    await payoutService.refreshHolds(earning);
+  }
+};
+
+/**
+ * Handle a Cashfree dispute webhook
+ * Creates the dispute on first notice and applies later status updates.
+ * Updates older than the last one applied are recorded in the history only.
+ *
+ * @param {string} eventType - DISPUTE_CREATED, DISPUTE_UPDATED or DISPUTE_CLOSED
+ * @param {Object} data - Webhook data ({ dispute, order_details })
+ * @param {Object} [delivery] - { eventId, signatureTimestamp } from the webhook envelope
+ * @returns {Promise<Object>} Processing result
+ */
+const handleDisputeWebhook = async (eventType, data, { eventId, signatureTimestamp } = {}) => {
+  const payload = data?.dispute || {};
+  const order = data?.order_details || {};
+  const gatewayDisputeId = payload.dispute_id != null ? String(payload.dispute_id) : null;
+
+  if (!gatewayDisputeId) {
+    throw createError('INVALID_DISPUTE_PAYLOAD', 'Missing dispute_id in webhook payload');
+  }
+
+  const gatewayStatus = payload.dispute_status;
+  const gatewayUpdatedAt = getDisputeEventTime(payload, signatureTimestamp);
+  const mapped = mapGatewayStatus(gatewayStatus);
+
+  let dispute = await Dispute.findOne({ gatewayDisputeId });
+  const isNew = !dispute;
+
+  if (!isNew && isDuplicateDisputeEvent(dispute, { eventId, eventType, gatewayStatus, gatewayUpdatedAt })) {
+    return { success: true, disputeId: dispute.disputeId, status: dispute.status, idempotent: true };
+  }
+
+  if (isNew) {
+    const orderId = order.order_id || null;
+    const paymentId = order.cf_payment_id != null ? String(order.cf_payment_id) : null;
+    const { booking, transaction, invoice } = await findLinkedRecords(orderId, paymentId);
+    const trip = booking ? await Trip.findById(booking.tripId).select('driver').lean() : null;
+
+    dispute = new Dispute({
+      disputeId: await Dispute.generateDisputeId(),
+      gatewayDisputeId,
+      orderId,
+      gatewayPaymentId: paymentId,
+      bookingId: booking?._id,
+      tripId: booking?.tripId,
+      transactionId: transaction?._id,
+      invoiceId: invoice?._id,
+      passengerId: booking?.passengerId,
+      driverId: trip?.driver,
+      openedAt: payload.created_at ? new Date(payload.created_at) : new Date()
+    });
+  }
+
+  const isStale = !isNew && gatewayUpdatedAt && dispute.gatewayUpdatedAt && gatewayUpdatedAt < dispute.gatewayUpdatedAt;
+  const previousStatus = dispute.status;
+
+  if (!isStale) {
+    const type = String(payload.dispute_type || '').toLowerCase();
+    if (Dispute.schema.path('type').enumValues.includes(type)) dispute.type = type;
+    if (payload.reason_code) dispute.reasonCode = payload.reason_code;
+    if (payload.reason_description) dispute.reasonDescription = payload.reason_description;
+    if (payload.dispute_amount != null) dispute.amount = Number(payload.dispute_amount);
+    if (payload.dispute_amount_currency || order.order_currency) {
+      dispute.currency = payload.dispute_amount_currency || order.order_currency;
+    }
+    if (payload.respond_by) dispute.respondBy = new Date(payload.respond_by);
+
+    dispute.status = resolveNextStatus(dispute.status, mapped);
+    dispute.gatewayStatus = gatewayStatus;
+    if (gatewayUpdatedAt) dispute.gatewayUpdatedAt = gatewayUpdatedAt;
+    if (!UNDECIDED_STATUSES.includes(dispute.status) && dispute.status !== previousStatus) {
+      dispute.resolvedAt = payload.resolved_at ? new Date(payload.resolved_at) : new Date();
+    }
+  }
+
+  dispute.events.push({
+    eventId,
+    eventType,
+    gatewayStatus,
+    status: dispute.status,
+    gatewayUpdatedAt,
+    remarks: payload.cf_dispute_remarks
+  });
+
+  if (!isStale) {
+    await settleDriverShare(dispute);
+  }
+  await dispute.save();
+
+  if (isNew || dispute.status !== previousStatus) {
+    await refreshTripHolds(dispute);
+  }
+
+  if (isNew && dispute.bookingId) {
+    // Evidence is best-effort at intake; finance can re-assemble it later
+    try {
+      await assembleEvidence(dispute);
+    } catch (error) {
+      console.error(`[Disputes] Failed to assemble evidence for ${dispute.disputeId}:`, error.message);
+    }
+  }
+
+  return {
+    success: true,
+    disputeId: dispute.disputeId,
+    status: dispute.status,
+    created: isNew,
+    stale: Boolean(isStale)
+  };
+};
+
+/**
+ * Build the service timeline shown in the proof-of-service PDF
+ * @param {Object} record - { booking, trip }
+ * @returns {Array} Events { at, description } in time order
+ */
+const buildServiceTimeline = ({ booking, trip }) => {
+  const events = [
+    booking?.bookedAt && { at: booking.bookedAt, description: `Booking ${booking.bookingId} made` },
+    booking?.paymentTime && { at: booking.paymentTime, description: 'Payment received' },
+    trip?.startedAt && { at: trip.startedAt, description: 'Trip started' },
+    booking?.otpVerifiedAt && { at: booking.otpVerifiedAt, description: 'Passenger verified boarding with their ride OTP' },
+    booking?.pickedUpAt && { at: booking.pickedUpAt, description: `Passenger picked up at ${booking.pickupPoint?.address || 'pickup point'}` },
+    trip?.completedAt && { at: trip.completedAt, description: 'Trip completed' },
+    booking?.noShowMarkedAt && { at: booking.noShowMarkedAt, description: 'Passenger did not board; marked no-show at the pickup point' }
+  ].filter(Boolean);
+
+  return events.sort((a, b) => new Date(a.at) - new Date(b.at));
+};
+
+/**
+ * Collect the evidence record for a dispute
+ * @param {Object} dispute - Dispute document
+ * @returns {Promise<Object>} Evidence record
+ */
+const collectDisputeEvidence = async (dispute) => {
+  const booking = dispute.bookingId
+    ? await Booking.findById(dispute.bookingId).populate('passengerId', 'name phone').lean()
+    : null;
+  if (!booking) {
+    throw createError('BOOKING_NOT_LINKED', 'Dispute is not linked to a booking', 409);
+  }
+
+  const trip = await Trip.findById(booking.tripId)
+    .select('tripId scheduledAt startedAt completedAt source destination route tracking driver vehicle')
+    .populate({ path: 'driver', select: 'userId', populate: { path: 'userId', select: 'name' } })
+    .lean();
+
+  // Tracking while the passenger was on board (whole trip if times are missing)
+  const boardedAt = booking.pickedUpAt || booking.verifiedAt || trip?.startedAt;
+  const leftAt = trip?.completedAt;
+  const tracking = (trip?.tracking || [])
+    .filter(point => typeof point.coordinates?.lat === 'number' && typeof point.coordinates?.lng === 'number')
+    .filter(point => (!boardedAt || point.timestamp >= boardedAt) && (!leftAt || point.timestamp <= leftAt))
+    .map(point => ({
+      lat: point.coordinates.lat,
+      lng: point.coordinates.lng,
+      timestamp: point.timestamp,
+      speed: point.speed
+    }))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  let invoice = dispute.invoiceId ? await Invoice.findById(dispute.invoiceId).lean() : null;
+  if (!invoice && booking.paymentStatus !== 'pending') {
+    const generated = await invoiceService.generateInvoice(booking.bookingId);
+    invoice = generated.invoice?.toObject ? generated.invoice.toObject() : generated.invoice;
+    if (invoice) dispute.invoiceId = invoice._id;
+  }
+
+  const record = {
+    dispute: {
+      id: dispute.disputeId,
+      gatewayDisputeId: dispute.gatewayDisputeId,
+      type: dispute.type,
+      reasonCode: dispute.reasonCode,
+      reasonDescription: dispute.reasonDescription,
+      amount: dispute.amount,
+      orderId: dispute.orderId,
+      gatewayPaymentId: dispute.gatewayPaymentId
+    },
+    booking: {
+      bookingId: booking.bookingId,
+      bookedAt: booking.bookedAt,
+      seats: booking.seats,
+      fare: booking.fare,
+      status: booking.status,
+      pickupPoint: booking.pickupPoint,
+      dropPoint: booking.dropPoint,
+      paymentTime: booking.paymentDetails?.paymentTime,
+      paymentMode: booking.paymentDetails?.paymentMode,
+      bankReference: booking.paymentDetails?.bankReference,
+      otpVerifiedAt: booking.verifiedAt,
+      pickedUpAt: booking.pickedUpAt,
+      noShowMarkedAt: booking.pickupStatus === 'no_show' ? booking.noShow?.markedAt : undefined
+    },
+    passenger: {
+      name: booking.passengerId?.name,
+      phone: booking.passengerId?.phone
+    },
+    trip: trip
+      ? {
+        tripId: trip.tripId,
+        scheduledAt: trip.scheduledAt,
+        startedAt: trip.startedAt,
+        completedAt: trip.completedAt,
+        source: trip.source?.address,
+        destination: trip.destination?.address,
+        plannedRoutePolyline: trip.route?.polyline,
+        driverName: trip.driver?.userId?.name,
+        vehicle: [invoice?.vehicleDetails?.make, invoice?.vehicleDetails?.model, invoice?.vehicleDetails?.plateNumber]
+          .filter(Boolean).join(' ')
+      }
+      : null,
+    invoice: invoice
+      ? { number: invoice.invoiceId, issuedAt: invoice.generatedAt, total: invoice.fareBreakdown?.total }
+      : null,
+    tracking
+  };
+
+  return { record, invoice };
+};
+
+/**
+ * Assemble the dispute's evidence documents
+ * Files: proof-of-service PDF, evidence JSON and (when invoiced) the tax
+ * invoice PDF. Their hashes are recorded on the dispute.
+ *
+ * @param {Object} dispute - Dispute document
+ * @returns {Promise<Object>} { dataHash, files: [{ name, docType, contentType, data }] }
+ */
+const assembleEvidence = async (dispute) => {
+  const { record, invoice } = await collectDisputeEvidence(dispute);
+  const generatedAt = new Date();
+  const evidence = {
+    ...record,
+    timeline: buildServiceTimeline(record),
+    generatedAt
+  };
+
+  const json = Buffer.from(canonicalize(evidence), 'utf8');
+  const dataHash = sha256(json);
+
+  const files = [
+    {
+      name: 'proof-of-service.pdf',
+      docType: EVIDENCE_DOC_TYPES.proofOfService,
+      contentType: 'application/pdf',
+      data: await renderDisputeEvidencePdf(evidence, { dataHash })
+    },
+    { name: 'evidence.json', contentType: 'application/json', data: json }
+  ];
+  if (invoice) {
+    files.push({
+      name: 'invoice.pdf',
+      docType: EVIDENCE_DOC_TYPES.invoice,
+      contentType: 'application/pdf',
+      data: await renderInvoicePdf(invoice)
+    });
+  }
+
+  dispute.evidence = {
+    assembledAt: generatedAt,
+    dataHash,
+    documents: files.map(file => ({
+      docType: file.docType || 'data',
+      fileName: file.name,
+      sha256: sha256(file.data),
+      size: file.data.length
+    }))
+  };
+  await dispute.save();
+
+  return { dataHash, files };
+};
+
+/**
+ * Load a dispute by ID
+ * @param {string} id - Dispute ObjectId or DSP- ID
+ * @returns {Promise<Object>} Dispute document
+ */
+const loadDispute = async (id) => {
+  const dispute = await Dispute.findByDisputeId(String(id));
+  if (!dispute) {
+    throw createError('DISPUTE_NOT_FOUND', 'Dispute not found', 404);
+  }
+  return dispute;
+};
+
+/**
+ * Check a dispute can still be accepted or contested
+ * @param {Object} dispute - Dispute document
+ * @param {Date} now - Current time
+ */
+const assertDecidable = (dispute, now = new Date()) => {
+  if (dispute.status !== 'open') {
+    throw createError('DISPUTE_NOT_OPEN', `Dispute is already ${dispute.status}`, 409);
+  }
+  if (dispute.respondBy && dispute.respondBy < now) {
+    throw createError('RESPONSE_DEADLINE_PASSED', 'The deadline to respond to this dispute has passed', 409);
+  }
+};
+
+/**
+ * Accept a dispute (refund the passenger's bank without contesting)
+ * The driver's share of the amount is clawed back.
+ *
+ * @param {string} id - Dispute ID
+ * @param {Object} data - { note }
+ * @param {string} staffId - Finance user ID
+ * @returns {Promise<Object>} Updated dispute
+ */
+const acceptDispute = async (id, { note } = {}, staffId) => {
+  const dispute = await loadDispute(id);
+  assertDecidable(dispute);
+
+  const result = await cashfreeService.acceptDispute(dispute.gatewayDisputeId);
+
+  dispute.status = 'accepted';
+  dispute.gatewayStatus = result.disputeStatus || dispute.gatewayStatus;
+  dispute.resolvedAt = new Date();
+  dispute.decision = { action: 'accept', note, decidedBy: staffId, decidedAt: new Date() };
+  dispute.events.push({ eventType: 'FINANCE_ACCEPTED', gatewayStatus: result.disputeStatus, status: 'accepted', remarks: note });
+
+  await settleDriverShare(dispute);
+  await dispute.save();
+  await refreshTripHolds(dispute);
+
+  return { success: true, dispute };
+};
+
+/**
+ * Contest a dispute by uploading the assembled evidence to Cashfree
+ * @param {string} id - Dispute ID
+ * @param {Object} data - { note }
+ * @param {string} staffId - Finance user ID
+ * @returns {Promise<Object>} Updated dispute and uploaded documents
+ */
+const contestDispute = async (id, { note } = {}, staffId) => {
+  const dispute = await loadDispute(id);
+  assertDecidable(dispute);
+
+  const { files } = await assembleEvidence(dispute);
+  const uploads = files.filter(file => file.docType);
+
+  let gatewayStatus = dispute.gatewayStatus;
+  for (const file of uploads) {
+    const result = await cashfreeService.uploadDisputeDocument({
+      disputeId: dispute.gatewayDisputeId,
+      content: file.data,
+      contentType: file.contentType,
+      docType: file.docType,
+      note
+    });
+    gatewayStatus = result.disputeStatus || gatewayStatus;
+    const document = dispute.evidence.documents.find(doc => doc.fileName === file.name);
+    if (document) document.uploadedAt = new Date();
+  }
+
+  dispute.status = 'contested';
+  dispute.gatewayStatus = gatewayStatus;
+  dispute.decision = { action: 'contest', note, decidedBy: staffId, decidedAt: new Date() };
+  dispute.events.push({ eventType: 'FINANCE_CONTESTED', gatewayStatus, status: 'contested', remarks: note });
+  await dispute.save();
+
+  return {
+    success: true,
+    dispute,
+    uploaded: uploads.map(file => file.name)
+  };
+};
+
+/**
+ * List disputes (finance view)
+ * @param {Object} options - { status, page, limit }
+ * @returns {Promise<Object>} Paginated disputes, soonest deadline first
+ */
+const listDisputes = async ({ status, page = 1, limit = 20 } = {}) => {
+  const query = status ? { status } : {};
+  const skip = (page - 1) * limit;
+
+  const [disputes, total] = await Promise.all([
+    Dispute.find(query)
+      .select('-events')
+      .populate('bookingId', 'bookingId fare status')
+      .populate('passengerId', 'name phone')
+      .sort({ respondBy: 1, openedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Dispute.countDocuments(query)
+  ]);
+
+  return {
+    success: true,
+    disputes,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Get a dispute with its links and history
+ * @param {string} id - Dispute ID
+ * @returns {Promise<Object>} Dispute
+ */
+const getDispute = async (id) => {
+  const query = mongoose.isValidObjectId(id) ? { _id: id } : { disputeId: id };
+  const dispute = await Dispute.findOne(query)
+    .populate('bookingId', 'bookingId fare status pickupStatus verifiedAt pickedUpAt')
+    .populate('tripId', 'tripId status startedAt completedAt')
+    .populate('invoiceId', 'invoiceId generatedAt fareBreakdown.total')
+    .populate('passengerId', 'name phone')
+    .lean();
+  if (!dispute) {
+    throw createError('DISPUTE_NOT_FOUND', 'Dispute not found', 404);
+  }
+  return { success: true, dispute };
+};
+
+/**
+ * Get a dispute's evidence files, re-assembled from current data
+ * @param {string} id - Dispute ID
+ * @returns {Promise<Object>} { dataHash, files }
+ */
+const getDisputeEvidence = async (id) => {
+  const dispute = await loadDispute(id);
+  return assembleEvidence(dispute);
+};
+
+/**
+ * Whether an open dispute's deadline alert is due
+ * @param {Object} dispute - { status, respondBy, deadlineAlertedAt }
+ * @param {Date} now - Current time
+ * @param {Object} config - Dispute configuration
+ * @returns {boolean} True if finance should be alerted now
+ */
+const isDeadlineAlertDue = (dispute, now = new Date(), config = DISPUTE_CONFIG) => {
+  if (dispute.status !== 'open' || !dispute.respondBy || dispute.deadlineAlertedAt) return false;
+  const respondBy = new Date(dispute.respondBy).getTime();
+  return respondBy > now.getTime() && respondBy - now.getTime() <= config.deadlineAlertHours * 60 * 60 * 1000;
+};
+
+/**
+ * Alert finance about open disputes nearing their respond-by deadline
+ * Each dispute gets one high-priority payment ticket.
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { alerted, failed }
+ */
+const processDisputeDeadlines = async (now = new Date()) => {
+  const horizon = new Date(now.getTime() + DISPUTE_CONFIG.deadlineAlertHours * 60 * 60 * 1000);
+  const disputes = await Dispute.find({
+    status: 'open',
+    respondBy: { $gt: now, $lte: horizon },
+    deadlineAlertedAt: { $exists: false }
+  });
+
+  const results = { alerted: 0, failed: 0 };
+  for (const dispute of disputes) {
+    if (!isDeadlineAlertDue(dispute, now)) continue;
+    try {
+      // Tickets need a user; unmatched orders are only visible in the dispute list
+      if (!dispute.passengerId) {
+        console.warn(`[Disputes] ${dispute.disputeId} is due by ${dispute.respondBy.toISOString()} but has no linked booking`);
+        dispute.deadlineAlertedAt = now;
+        await dispute.save();
+        results.alerted++;
+        continue;
+      }
+
+      const ticket = new SupportTicket({
+        ticketId: await SupportTicket.generateTicketId(),
+        category: 'payment',
+        priority: 'high',
+        status: 'open',
+        subject: `Payment dispute ${dispute.disputeId} needs a response`,
+        description: `${dispute.type} for INR ${dispute.amount} (${dispute.reasonCode || 'no reason code'}) must be accepted or contested by ${dispute.respondBy.toISOString()}.`,
+        userId: dispute.passengerId,
+        // Not linked to the trip or booking: the dispute itself holds the payout
+        metadata: {
+          type: 'dispute_deadline',
+          disputeId: dispute.disputeId,
+          bookingId: dispute.bookingId,
+          respondBy: dispute.respondBy
+        }
+      });
+      await ticket.save();
+
+      dispute.deadlineAlertedAt = now;
+      await dispute.save();
+      results.alerted++;
+    } catch (error) {
+      console.error(`[Disputes] Failed to alert deadline for ${dispute.disputeId}:`, error.message);
+      results.failed++;
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  DISPUTE_CONFIG,
+  DISPUTE_EVENTS,
+  EVIDENCE_DOC_TYPES,
+  mapGatewayStatus,
+  resolveNextStatus,
+  getDisputeEventTime,
+  isDuplicateDisputeEvent,
+  calculateClawbackAmount,
+  buildServiceTimeline,
+  isDeadlineAlertDue,
+  handleDisputeWebhook,
+  assembleEvidence,
+  acceptDispute,
+  contestDispute,
+  listDisputes,
+  getDispute,
+  getDisputeEvidence,
+  processDisputeDeadlines
+};
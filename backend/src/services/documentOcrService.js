@@ -0,0 +1,592 @@
+/**
+ * Document OCR Service
+ * Reads driving licence, RC and Aadhaar photos offline and cross-checks
+ * them against the driver's profile
+ *
+ * The document worker runs this after an upload is validated. Extracted
+ * fields, a confidence score and mismatch flags are stored on the document
+ * so reviewers can fast-track clean submissions; approval stays manual.
+ *
+ * Design Decision: Tesseract (tesseract.js) with locally stored language data
+ * Rationale: Document images never leave our infrastructure and there is no
+ * per-call cost; OCR_LANG_PATH must contain eng.traineddata
+ */
+
+const path = require('path');
+const Driver = require('../models/Driver');
+const s3Service = require('./s3Service');
+
+const OCR_CONFIG = {
+  langPath: process.env.OCR_LANG_PATH || null,
+  enabled: process.env.DOCUMENT_OCR_ENABLED !== 'false',
+  // Minimum overall confidence for a fast-track suggestion
+  fastTrackThreshold: parseFloat(process.env.OCR_FAST_TRACK_THRESHOLD) || 0.85,
+  // Engine confidence (0-100) below which the read is flagged
+  lowConfidence: 60,
+  // Longest image side passed to the engine
+  maxDimension: 2000
+};
+
+/**
+ * Document types read by OCR and the fields each must yield
+ */
+const OCR_REQUIRED_FIELDS = {
+  license: ['name', 'licenseNumber', 'expiryDate'],
+  registration: ['name', 'registrationNumber', 'expiryDate'],
+  kyc: ['name']
+};
+
+const OCR_DOCUMENT_TYPES = Object.keys(OCR_REQUIRED_FIELDS);
+
+/**
+ * State and UT codes used in licence and registration numbers
+ */
+const STATE_CODES = [
+  'AN', 'AP', 'AR', 'AS', 'BR', 'CG', 'CH', 'DD', 'DL', 'DN', 'GA', 'GJ', 'HP', 'HR', 'JH', 'JK',
+  'KA', 'KL', 'LA', 'LD', 'MH', 'ML', 'MN', 'MP', 'MZ', 'NL', 'OD', 'OR', 'PB', 'PY', 'RJ', 'SK',
+  'TN', 'TR', 'TS', 'UK', 'UP', 'WB'
+];
+
+// Letters OCR commonly reads in place of digits
+const DIGIT_LOOKALIKES = { O: '0', Q: '0', D: '0', I: '1', L: '1', Z: '2', S: '5', B: '8', G: '6' };
+
+const NAME_HONORIFICS = ['MR', 'MRS', 'MS', 'SHRI', 'SMT', 'KUMARI', 'DR'];
+
+const CHECK_SCORES = { match: 1, partial: 0.6, mismatch: 0, missing: 0 };
+
+// ============================================
+// Text helpers
+// ============================================
+
+/**
+ * Uppercase lines of OCR text with runs of whitespace collapsed
+ * @param {string} text - Raw OCR text
+ * @returns {Array} Non-empty lines
+ */
+const toLines = (text) => String(text || '')
+  .toUpperCase()
+  .split(/\r?\n/)
+  .map(line => line.replace(/\s+/g, ' ').trim())
+  .filter(Boolean);
+
+/**
+ * Strip everything but letters and digits
+ * @param {string} value - Identifier
+ * @returns {string} Compact uppercase identifier
+ */
+const compactId = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const fixDigits = (value) => value.replace(/[A-Z]/g, ch => DIGIT_LOOKALIKES[ch] || ch);
+
+/**
+ * Levenshtein distance (for OCR slips of a character or two)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// ============================================
+// Field extraction
+// ============================================
+
+/**
+ * Find an Indian driving licence number (SS RR YYYY NNNNNNN)
+ * @param {string} text - OCR text
+ * @returns {string|null} Compact licence number, e.g. MH1220110012345
+ */
+const extractLicenseNumber = (text) => {
+  for (const line of toLines(text)) {
+    const compact = compactId(line);
+    const pattern = /([A-Z]{2})([0-9A-Z]{13})/g;
+    let found;
+    while ((found = pattern.exec(compact)) !== null) {
+      const [, state, rest] = found;
+      const digits = fixDigits(rest);
+      if (STATE_CODES.includes(state) && /^\d{2}(19|20)\d{2}\d{7}$/.test(digits)) {
+        return `${state}${digits}`;
+      }
+      pattern.lastIndex = found.index + 1;
+    }
+  }
+  return null;
+};
+
+/**
+ * Find a vehicle registration number (e.g. MH12AB1234 or 22BH1234AB)
+ * @param {string} text - OCR text
+ * @returns {string|null} Compact registration number
+ */
+const extractRegistrationNumber = (text) => {
+  for (const line of toLines(text)) {
+    const compact = compactId(line);
+
+    const bharat = compact.match(/(\d{2})BH(\d{4})([A-Z]{1,2})/);
+    if (bharat) return bharat[0];
+
+    const pattern = /([A-Z]{2})(\d{1,2})([A-Z]{1,3})(\d{4})/g;
+    let found;
+    while ((found = pattern.exec(compact)) !== null) {
+      if (STATE_CODES.includes(found[1])) return found[0];
+      pattern.lastIndex = found.index + 1;
+    }
+  }
+  return null;
+};
+
+/**
+ * Parse DD/MM/YYYY (or - or . separated) dates in a line
+ * @param {string} line - Text line
+ * @returns {Array} Dates (UTC midnight)
+ */
+const parseDates = (line) => {
+  const dates = [];
+  const pattern = /\b(\d{2})[/.-](\d{2})[/.-]((?:19|20)\d{2})\b/g;
+  let found;
+  while ((found = pattern.exec(line)) !== null) {
+    const [day, month, year] = [Number(found[1]), Number(found[2]), Number(found[3])];
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() === month - 1 && date.getUTCDate() === day) {
+      dates.push(date);
+    }
+  }
+  return dates;
+};
+
+const EXPIRY_LABELS = {
+  license: /VALID\s*(TILL|UPTO|UP TO|THRU)|VALIDITY|EXPIRY|EXPIRES|\bEXP\b/,
+  registration: /VALID\s*(TILL|UPTO|UP TO)|REGN?\.?\s*VALID|REGISTRATION\s*VALID|VALIDITY|EXPIRY/
+};
+
+/**
+ * Find the expiry date of a licence or RC
+ * Prefers dates on or after a validity label; otherwise the latest date
+ * on the document (issue date and date of birth come earlier).
+ *
+ * @param {string} type - Document type
+ * @param {string} text - OCR text
+ * @returns {Date|null} Expiry date
+ */
+const extractExpiryDate = (type, text) => {
+  const label = EXPIRY_LABELS[type];
+  if (!label) return null;
+
+  const lines = toLines(text);
+  const labelled = [];
+  lines.forEach((line, index) => {
+    if (!label.test(line)) return;
+    const dates = parseDates(line);
+    labelled.push(...(dates.length > 0 ? dates : parseDates(lines[index + 1] || '')));
+  });
+
+  const candidates = labelled.length > 0 ? labelled : lines.flatMap(parseDates);
+  if (labelled.length === 0 && candidates.length < 2) return null;
+
+  return candidates.reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+};
+
+/**
+ * Clean an OCR'd name: letters only, honorifics removed
+ * @param {string} value - Raw name
+ * @returns {string} Cleaned uppercase name ('' if not a plausible name)
+ */
+const cleanName = (value) => {
+  const tokens = String(value || '')
+    .toUpperCase()
+    .replace(/[^A-Z\s.]/g, ' ')
+    .replace(/\./g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .filter(token => !NAME_HONORIFICS.includes(token));
+  const name = tokens.join(' ');
+  return name.replace(/\s/g, '').length >= 3 ? name : '';
+};
+
+const NAME_LABELS = {
+  license: /^(?:NAME OF (?:THE )?HOLDER|HOLDER'?S NAME|NAME)\b\s*[:.-]?\s*(.*)$/,
+  registration: /^(?:REGISTERED )?OWNER'?S? ?NAME\b\s*[:.-]?\s*(.*)$/
+};
+
+// Relation lines (S/O, D/O, W/O) that follow the holder's name
+const RELATION_LINE = /^(S|D|W|C)\s*\/\s*O\b|^(SON|DAUGHTER|WIFE) OF\b/;
+
+/**
+ * Find the holder's (or RC owner's) name
+ * Licences and RCs label it; Aadhaar cards print it on the line above the
+ * date or year of birth.
+ *
+ * @param {string} type - Document type
+ * @param {string} text - OCR text
+ * @returns {string|null} Name
+ */
+const extractName = (type, text) => {
+  const lines = toLines(text);
+
+  if (type === 'kyc') {
+    const birthIndex = lines.findIndex(line => /\bDOB\b|DATE OF BIRTH|YEAR OF BIRTH/.test(line));
+    for (let i = birthIndex - 1; i >= 0 && i >= birthIndex - 2; i--) {
+      const name = RELATION_LINE.test(lines[i]) ? '' : cleanName(lines[i]);
+      if (name) return name;
+    }
+    return null;
+  }
+
+  const label = NAME_LABELS[type];
+  if (!label) return null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const found = lines[i].match(label);
+    if (!found) continue;
+    const value = found[1] || lines[i + 1] || '';
+    const name = RELATION_LINE.test(value) ? '' : cleanName(value);
+    if (name) return name;
+  }
+  return null;
+};
+
+/**
+ * Last four digits of an Aadhaar number (the full number is never kept)
+ * @param {string} text - OCR text
+ * @returns {string|null} Last four digits
+ */
+const extractAadhaarLast4 = (text) => {
+  const found = toLines(text).join('\n').match(/\b\d{4} \d{4} (\d{4})\b/);
+  return found ? found[1] : null;
+};
+
+/**
+ * Extract the fields relevant to a document type
+ * @param {string} type - Document type
+ * @param {string} text - OCR text
+ * @returns {Object} Extracted fields (absent when not found)
+ */
+const extractFields = (type, text) => {
+  const fields = { name: extractName(type, text) };
+
+  if (type === 'license') {
+    fields.licenseNumber = extractLicenseNumber(text);
+    fields.expiryDate = extractExpiryDate(type, text);
+  } else if (type === 'registration') {
+    fields.registrationNumber = extractRegistrationNumber(text);
+    fields.expiryDate = extractExpiryDate(type, text);
+  } else if (type === 'kyc') {
+    fields.aadhaarLast4 = extractAadhaarLast4(text);
+  }
+
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value));
+};
+
+// ============================================
+// Cross-checks and scoring
+// ============================================
+
+/**
+ * Compare a name read from a document with the profile name
+ * Initials match full names and a one-letter OCR slip is tolerated in
+ * longer name parts.
+ *
+ * @param {string} documentName - Name from the document
+ * @param {string} profileName - Name on the profile
+ * @returns {string} 'match' | 'partial' | 'mismatch' | 'missing'
+ */
+const compareNames = (documentName, profileName) => {
+  const a = cleanName(documentName).split(' ').filter(Boolean);
+  const b = cleanName(profileName).split(' ').filter(Boolean);
+  if (a.length === 0 || b.length === 0) return 'missing';
+
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  const remaining = [...longer];
+  let matched = 0;
+
+  for (const token of shorter) {
+    const index = remaining.findIndex(other =>
+      other === token
+      || (token.length === 1 && other.startsWith(token))
+      || (other.length === 1 && token.startsWith(other))
+      || (Math.min(token.length, other.length) >= 5 && editDistance(token, other) <= 1)
+    );
+    if (index !== -1) {
+      matched++;
+      remaining.splice(index, 1);
+    }
+  }
+
+  if (matched === longer.length) return 'match';
+  if (matched === shorter.length || matched / longer.length >= 0.5) return 'partial';
+  return 'mismatch';
+};
+
+/**
+ * Compare an identifier read from a document with the profile values
+ * @param {string} documentValue - Identifier from the document
+ * @param {Array} profileValues - Identifiers on the profile
+ * @returns {string} 'match' | 'partial' | 'mismatch' | 'missing' | 'not_applicable'
+ */
+const compareIdentifiers = (documentValue, profileValues) => {
+  const expected = profileValues.map(compactId).filter(Boolean);
+  if (expected.length === 0) return 'not_applicable';
+
+  const value = compactId(documentValue);
+  if (!value) return 'missing';
+  if (expected.includes(value)) return 'match';
+  if (expected.some(other => editDistance(value, other) <= 1)) return 'partial';
+  return 'mismatch';
+};
+
+/**
+ * Analyse OCR text for a document
+ * Pure: extraction, cross-checks against the driver's profile, flags and
+ * the overall confidence score.
+ *
+ * @param {Object} params
+ * @param {string} params.type - Document type
+ * @param {string} params.text - OCR text
+ * @param {number} params.engineConfidence - OCR engine confidence (0-100)
+ * @param {Object} params.profile - { name, licenseNumber, registrationNumbers, expiryDate }
+ * @param {Date} [params.now] - Current time
+ * @returns {Object} { extracted, checks, flags, confidence, fastTrack }
+ */
+const analyzeDocumentText = ({ type, text, engineConfidence = 0, profile = {}, now = new Date() }) => {
+  const extracted = extractFields(type, text);
+  const checks = { name: compareNames(extracted.name, profile.name) };
+  if (checks.name === 'missing' && !profile.name) checks.name = 'not_applicable';
+
+  if (type === 'license') {
+    checks.licenseNumber = compareIdentifiers(extracted.licenseNumber, [profile.licenseNumber]);
+  } else if (type === 'registration') {
+    checks.registrationNumber = compareIdentifiers(extracted.registrationNumber, profile.registrationNumbers || []);
+  }
+
+  const flags = [];
+  const required = OCR_REQUIRED_FIELDS[type] || [];
+  const missingFields = required.filter(field => !extracted[field]);
+  const fieldFlag = { name: 'name', licenseNumber: 'license_number', registrationNumber: 'registration_number', expiryDate: 'expiry' };
+
+  for (const field of missingFields) {
+    flags.push(`${fieldFlag[field]}_not_found`);
+  }
+  for (const [field, result] of Object.entries(checks)) {
+    if (result === 'mismatch') {
+      flags.push(type === 'registration' && field === 'name' ? 'owner_name_mismatch' : `${fieldFlag[field]}_mismatch`);
+    }
+  }
+  if (extracted.expiryDate && extracted.expiryDate < now) {
+    flags.push('document_expired');
+  }
+  if (extracted.expiryDate && profile.expiryDate
+    && Math.abs(new Date(profile.expiryDate) - extracted.expiryDate) > 24 * 60 * 60 * 1000) {
+    flags.push('expiry_mismatch');
+  }
+  if (engineConfidence < OCR_CONFIG.lowConfidence) {
+    flags.push('low_ocr_confidence');
+  }
+
+  const scored = Object.values(checks).filter(result => result in CHECK_SCORES);
+  const checkScore = scored.length > 0
+    ? scored.reduce((sum, result) => sum + CHECK_SCORES[result], 0) / scored.length
+    : 1;
+  const fieldScore = required.length > 0 ? (required.length - missingFields.length) / required.length : 1;
+  const engineScore = Math.min(Math.max(engineConfidence, 0), 100) / 100;
+
+  let confidence = 0.4 * engineScore + 0.3 * fieldScore + 0.3 * checkScore;
+  if (Object.values(checks).includes('mismatch')) {
+    confidence = Math.min(confidence, 0.5);
+  }
+  confidence = Math.round(confidence * 100) / 100;
+
+  return {
+    extracted,
+    checks,
+    flags,
+    confidence,
+    fastTrack: flags.length === 0 && confidence >= OCR_CONFIG.fastTrackThreshold
+  };
+};
+
+// ============================================
+// OCR engine
+// ============================================
+
+let enginePromise = null;
+
+/**
+ * Whether OCR can run (enabled and language data configured)
+ * @returns {boolean} True if available
+ */
+const isOcrAvailable = () => OCR_CONFIG.enabled && Boolean(OCR_CONFIG.langPath);
+
+/**
+ * Shared Tesseract worker, created on first use
+ * @returns {Promise<Object>} tesseract.js worker
+ */
+const getEngine = () => {
+  if (!enginePromise) {
+    const { createWorker } = require('tesseract.js');
+    enginePromise = createWorker('eng', 1, {
+      langPath: path.resolve(OCR_CONFIG.langPath),
+      cachePath: path.resolve(OCR_CONFIG.langPath),
+      gzip: false
+    }).catch(error => {
+      enginePromise = null;
+      throw error;
+    });
+  }
+  return enginePromise;
+};
+
+/**
+ * Stop the Tesseract worker
+ * @returns {Promise<void>}
+ */
+const terminateOcrEngine = async () => {
+  if (enginePromise) {
+    const engine = await enginePromise.catch(() => null);
+    enginePromise = null;
+    if (engine) await engine.terminate();
+  }
+};
+
+/**
+ * Prepare a photo for OCR: upright, greyscale, contrast-stretched
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Promise<Buffer>} PNG bytes
+ */
+const preprocessImage = async (buffer) => {
+  const sharp = require('sharp');
+  return sharp(buffer)
+    .rotate()
+    .resize({ width: OCR_CONFIG.maxDimension, height: OCR_CONFIG.maxDimension, fit: 'inside', withoutEnlargement: true })
+    .greyscale()
+    .normalise()
+    .png()
+    .toBuffer();
+};
+
+/**
+ * Run OCR on an image
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Promise<Object>} { text, confidence (0-100) }
+ */
+const recognizeText = async (buffer) => {
+  const engine = await getEngine();
+  const { data } = await engine.recognize(await preprocessImage(buffer));
+  return { text: data.text || '', confidence: data.confidence || 0 };
+};
+
+// ============================================
+// Pipeline
+// ============================================
+
+/**
+ * Store an OCR result on a driver document
+ * @param {string} driverId - Driver ID
+ * @param {string} documentId - Document ID
+ * @param {Object} ocr - OCR result
+ * @param {Date} [prefillExpiry] - Expiry date to fill in
+ * @returns {Promise<void>}
+ */
+const saveOcrResult = async (driverId, documentId, ocr, prefillExpiry = null) => {
+  const update = { 'documents.$.ocr': ocr };
+  if (prefillExpiry) {
+    update['documents.$.expiryDate'] = prefillExpiry;
+  }
+  await Driver.updateOne({ _id: driverId, 'documents._id': documentId }, { $set: update });
+};
+
+/**
+ * Read a submitted document and record the result for reviewers
+ * Fills in the document's expiry date when the driver left it empty.
+ *
+ * @param {Object} params
+ * @param {string} params.driverId - Driver ID
+ * @param {string} params.documentId - Document ID
+ * @returns {Promise<Object|null>} OCR result, or null if the type is not read
+ */
+const runDocumentOcr = async ({ driverId, documentId }) => {
+  const driver = await Driver.findById(driverId).populate('userId', 'name');
+  if (!driver) {
+    throw new Error(`Driver not found: ${driverId}`);
+  }
+
+  const document = driver.documents.id(documentId);
+  if (!document) {
+    throw new Error(`Document not found: ${documentId}`);
+  }
+
+  if (!OCR_DOCUMENT_TYPES.includes(document.type) || !isOcrAvailable()) {
+    return null;
+  }
+
+  if (document.contentType === 'application/pdf') {
+    const ocr = { status: 'skipped', processedAt: new Date(), reason: 'PDF documents are not read by OCR' };
+    await saveOcrResult(driverId, documentId, ocr);
+    return ocr;
+  }
+
+  let recognized;
+  try {
+    const { buffer } = await s3Service.downloadFile(document.s3Key);
+    recognized = await recognizeText(buffer);
+  } catch (error) {
+    const ocr = { status: 'failed', processedAt: new Date(), reason: error.message };
+    await saveOcrResult(driverId, documentId, ocr);
+    return ocr;
+  }
+
+  const analysis = analyzeDocumentText({
+    type: document.type,
+    text: recognized.text,
+    engineConfidence: recognized.confidence,
+    profile: {
+      name: driver.userId?.name,
+      licenseNumber: driver.licenseNumber,
+      registrationNumbers: (driver.vehicles || []).map(v => v.registrationNumber),
+      expiryDate: document.expiryDate
+    }
+  });
+
+  const prefillExpiry = !document.expiryDate && analysis.extracted.expiryDate ? analysis.extracted.expiryDate : null;
+  const ocr = {
+    status: 'completed',
+    processedAt: new Date(),
+    engineConfidence: Math.round(recognized.confidence),
+    ...analysis,
+    expiryPrefilled: Boolean(prefillExpiry)
+  };
+
+  await saveOcrResult(driverId, documentId, ocr, prefillExpiry);
+  return ocr;
+};
+
+module.exports = {
+  OCR_CONFIG,
+  OCR_DOCUMENT_TYPES,
+  OCR_REQUIRED_FIELDS,
+  extractLicenseNumber,
+  extractRegistrationNumber,
+  extractExpiryDate,
+  extractName,
+  extractAadhaarLast4,
+  extractFields,
+  compareNames,
+  compareIdentifiers,
+  analyzeDocumentText,
+  isOcrAvailable,
+  recognizeText,
+  terminateOcrEngine,
+  runDocumentOcr
+};
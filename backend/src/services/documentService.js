@@ -12,6 +12,9 @@ const User = require('../models/User');
 const notificationService = require('./notificationService');
 const s3Service = require('./s3Service');
 const imageQualityService = require('./imageQualityService');
+const { addDocumentJob } = require('../queues/documentQueue');
+const faceVerificationService = require('./faceVerificationService');
+const { buildUserScopeFilter } = require('./accessScopeService');
 
 /**
  * Document types that can be submitted
@@ -267,6 +270,7 @@ const submitDocument = async ({ driverId, type, file, expiryDate = null }) => {
     existingRejectedDoc.rejectionReason = undefined;
     existingRejectedDoc.reviewedBy = undefined;
     existingRejectedDoc.reviewedAt = undefined;
+    existingRejectedDoc.ocr = undefined;
 
     await driver.save();
     addedDocument = existingRejectedDoc;
@@ -311,6 +315,20 @@ const submitDocument = async ({ driverId, type, file, expiryDate = null }) => {
     // Don't throw - document was saved successfully
   }
 
+  // Queue OCR and profile cross-checks; the document stays in manual review if
+  // the queue is unavailable
+  try {
+    await addDocumentJob({
+      userId: driver.userId?._id?.toString(),
+      driverId: driver._id.toString(),
+      documentId: addedDocument._id.toString(),
+      documentType: type,
+      s3Key: addedDocument.s3Key
+    });
+  } catch (queueError) {
+    console.error('Failed to queue document processing:', queueError.message);
+  }
+
   // Requirements: 2.1 - Re-evaluate driver verification eligibility after re-upload
   // If this was a re-upload of a rejected required document, re-evaluate driver status
   if (existingRejectedDoc && REQUIRED_DOCUMENT_TYPES.includes(type)) {
@@ -535,8 +553,10 @@ const formatDocumentType = (type) => {
  * @param {string} [params.status] - Filter by status
  * @param {string} [params.type] - Filter by document type
  * @param {string} [params.driverId] - Filter by driver
+ * @param {boolean} [params.fastTrack] - Filter by OCR fast-track suggestion
  * @param {number} [params.page] - Page number
  * @param {number} [params.limit] - Items per page
+ * @param {Object} [scope] - Staff access scope; limits results to drivers in its regions
  * @returns {Promise<Object>} Documents with pagination
  * 
  * Requirements: 6.2
@@ -545,9 +565,10 @@ const getDocumentsForReview = async ({
   status, 
   type, 
   driverId, 
+  fastTrack,
   page = 1, 
   limit = 20 
-} = {}) => {
+} = {}, scope = null) => {
   // Build aggregation pipeline
   const matchStage = {};
   if (driverId) {
@@ -569,10 +590,17 @@ const getDocumentsForReview = async ({
     { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } }
   ];
 
+  const userScopeFilter = scope ? buildUserScopeFilter(scope, 'user.') : {};
+  if (Object.keys(userScopeFilter).length > 0) {
+    pipeline.push({ $match: userScopeFilter });
+  }
+
   // Add document filters
   const docMatch = {};
   if (status) docMatch['documents.status'] = status;
   if (type) docMatch['documents.type'] = type;
+  if (fastTrack === true) docMatch['documents.ocr.fastTrack'] = true;
+  if (fastTrack === false) docMatch['documents.ocr.fastTrack'] = { $ne: true };
   
   if (Object.keys(docMatch).length > 0) {
     pipeline.push({ $match: docMatch });
@@ -617,6 +645,7 @@ const getDocumentsForReview = async ({
       reviewedBy: '$documents.reviewedBy',
       reviewedAt: '$documents.reviewedAt',
       rejectionReason: '$documents.rejectionReason',
+      ocr: '$documents.ocr',
       verificationStatus: '$verificationStatus'
     }
   });
@@ -704,6 +733,7 @@ const getDocumentById = async (documentId) => {
         driverPhone: '$user.phone',
         driverEmail: '$user.email',
         licenseNumber: '$licenseNumber',
+        faceMatch: '$faceVerification.idMatch',
         type: '$documents.type',
         url: '$documents.url',
         status: '$documents.status',
@@ -715,6 +745,7 @@ const getDocumentById = async (documentId) => {
         },
         reviewedAt: '$documents.reviewedAt',
         rejectionReason: '$documents.rejectionReason',
+        ocr: '$documents.ocr',
         verificationStatus: '$verificationStatus',
         allDocuments: '$documents'
       }
@@ -978,11 +1009,13 @@ const getDocumentWithUrl = async (documentId) => {
  * 
  * @param {string} documentId - Document ID
  * @param {string} reviewerId - Reviewer user ID
+ * @param {Object} [options]
+ * @param {string} [options.faceMatchOverride] - Reason for approving a selfie/ID face mismatch
  * @returns {Promise<Object>} Updated document
  * 
  * Requirements: 6.3
  */
-const approveDocument = async (documentId, reviewerId) => {
+const approveDocument = async (documentId, reviewerId, { faceMatchOverride = null } = {}) => {
   const mongoose = require('mongoose');
   
   // Log the incoming documentId for debugging
@@ -1033,6 +1066,17 @@ const approveDocument = async (documentId, reviewerId) => {
     throw error;
   }
 
+  // Selfie and ID photo must show the same person (throws FACE_MISMATCH)
+  const idMatch = await faceVerificationService.checkIdMatch({
+    driver,
+    document,
+    reviewerId,
+    overrideReason: faceMatchOverride
+  });
+  if (idMatch) {
+    driver.faceVerification.idMatch = idMatch;
+  }
+
   // Update document status
   document.status = 'approved';
   document.reviewedBy = reviewerId;
@@ -1078,7 +1122,8 @@ const approveDocument = async (documentId, reviewerId) => {
     type: document.type,
     status: document.status,
     reviewedAt: document.reviewedAt,
-    driverVerificationStatus: driver.verificationStatus
+    driverVerificationStatus: driver.verificationStatus,
+    ...(idMatch && { faceMatch: idMatch })
   };
 };
 
@@ -1441,13 +1486,14 @@ const flagDriverAccount = async (driverId, documentType, expiryDate) => {
  * @param {string} params.status - 'approved' or 'rejected'
  * @param {string} params.reviewerId - Reviewer user ID
  * @param {string} [params.reason] - Rejection reason (required if rejected)
+ * @param {string} [params.faceMatchOverride] - Reason for approving a selfie/ID face mismatch
  * @returns {Promise<Object>} Verification result
  * 
  * Requirements: 6.3, 6.4
  */
-const verifyDocument = async (documentId, { status, reviewerId, reason }) => {
+const verifyDocument = async (documentId, { status, reviewerId, reason, faceMatchOverride }) => {
   if (status === 'approved') {
-    return approveDocument(documentId, reviewerId);
+    return approveDocument(documentId, reviewerId, { faceMatchOverride });
   } else if (status === 'rejected') {
     return rejectDocument(documentId, reviewerId, reason);
   } else {
@@ -0,0 +1,450 @@
+/**
+ * Driver Schedule Service
+ * Driver/vehicle scheduling, trip conflict prevention and the availability calendar
+ *
+ * Design Decision: A trip occupies the driver and vehicle from its scheduled
+ * departure until departure + route duration + a turnaround buffer
+ * Rationale: Drivers cannot be in two places at once, and back-to-back trips
+ * need time to reach the next pickup
+ *
+ * Availability (working days, daily working hours and blocked dates) is kept
+ * on the driver and evaluated in IST.
+ */
+
+const Trip = require('../models/Trip');
+const Driver = require('../models/Driver');
+
+const SCHEDULE_CONFIG = {
+  // Minutes kept free after a trip's estimated arrival before the next departure
+  bufferMinutes: parseInt(process.env.SCHEDULE_BUFFER_MINUTES ?? 30, 10),
+  // Trip length assumed when the route has neither duration nor distance
+  defaultDurationMinutes: parseInt(process.env.SCHEDULE_DEFAULT_TRIP_MINUTES, 10) || 60,
+  // Speed used to estimate duration from distance (km/h)
+  averageSpeedKmh: 40
+};
+
+/**
+ * Trip statuses that hold the driver and vehicle
+ */
+const ACTIVE_TRIP_STATUSES = ['scheduled', 'driver_assigned', 'in_progress'];
+
+/**
+ * Longest trip considered when looking back for trips still running (hours)
+ */
+const MAX_TRIP_HOURS = 24;
+
+/**
+ * IST offset from UTC in minutes (India has no daylight saving)
+ */
+const IST_OFFSET_MINUTES = 330;
+
+const MINUTE = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+/**
+ * Build an error with code and HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error object
+ */
+const createError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Convert an instant to IST calendar fields
+ * @param {Date} date - Instant
+ * @returns {Object} { dateKey: 'YYYY-MM-DD', dayOfWeek, minuteOfDay }
+ */
+const toIst = (date) => {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MINUTES * MINUTE);
+  return {
+    dateKey: ist.toISOString().slice(0, 10),
+    dayOfWeek: ist.getUTCDay(),
+    minuteOfDay: ist.getUTCHours() * 60 + ist.getUTCMinutes()
+  };
+};
+
+/**
+ * Parse an HH:mm time to minutes after midnight
+ * @param {string} time - HH:mm
+ * @returns {number} Minutes
+ */
+const parseTime = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Estimate how long a trip runs
+ * @param {Object} trip - Trip with route { duration, distance }
+ * @param {Object} [config] - Schedule config
+ * @returns {number} Duration in minutes
+ */
+const getTripDurationMinutes = (trip, config = SCHEDULE_CONFIG) => {
+  if (trip.route?.duration > 0) return trip.route.duration;
+  if (trip.route?.distance > 0) return Math.ceil((trip.route.distance / config.averageSpeedKmh) * 60);
+  return config.defaultDurationMinutes;
+};
+
+/**
+ * Get the time a trip occupies the driver and vehicle
+ * @param {Object} trip - Trip with scheduledAt and route
+ * @param {Object} [config] - Schedule config
+ * @returns {Object} { start, end, busyUntil } - end is the estimated arrival, busyUntil adds the buffer
+ */
+const getTripWindow = (trip, config = SCHEDULE_CONFIG) => {
+  const start = new Date(trip.scheduledAt);
+  const end = new Date(start.getTime() + getTripDurationMinutes(trip, config) * MINUTE);
+  return {
+    start,
+    end,
+    busyUntil: new Date(end.getTime() + config.bufferMinutes * MINUTE)
+  };
+};
+
+/**
+ * Check whether two trip windows overlap, buffers included
+ * @param {Object} a - Window { start, busyUntil }
+ * @param {Object} b - Window { start, busyUntil }
+ * @returns {boolean} True if they overlap
+ */
+const windowsOverlap = (a, b) =>
+  a.start.getTime() < b.busyUntil.getTime() && b.start.getTime() < a.busyUntil.getTime();
+
+/**
+ * Find the trips whose windows overlap a proposed trip
+ * @param {Object} trip - Proposed trip { scheduledAt, route }
+ * @param {Array} existingTrips - Trips already scheduled for the driver/vehicle
+ * @param {Object} [config] - Schedule config
+ * @returns {Array} Conflicting trips with their windows
+ */
+const findConflicts = (trip, existingTrips, config = SCHEDULE_CONFIG) => {
+  const window = getTripWindow(trip, config);
+  return existingTrips
+    .map(existing => ({ trip: existing, window: getTripWindow(existing, config) }))
+    .filter(({ window: other }) => windowsOverlap(window, other));
+};
+
+/**
+ * Check a trip window against a driver's availability calendar
+ * The trip must depart on a working day, touch no blocked date and run
+ * entirely within working hours.
+ *
+ * @param {Object} availability - { workingHours, workingDays, blockedDates }
+ * @param {Object} window - Trip window { start, end }
+ * @returns {Object} { available, reason, message }
+ */
+const checkAvailability = (availability, window) => {
+  const departure = toIst(window.start);
+  const arrival = toIst(window.end);
+
+  // Every IST date the trip touches, from departure to arrival
+  const tripDates = new Set([arrival.dateKey]);
+  for (let t = window.start.getTime(); t < window.end.getTime(); t += DAY_MINUTES * MINUTE) {
+    tripDates.add(toIst(new Date(t)).dateKey);
+  }
+  const blocked = new Set((availability?.blockedDates || []).map(b => b.date));
+  const blockedDate = [...tripDates].find(dateKey => blocked.has(dateKey));
+  if (blockedDate) {
+    return { available: false, reason: 'DATE_BLOCKED', message: `Driver is unavailable on ${blockedDate}` };
+  }
+
+  const workingDays = availability?.workingDays || [];
+  if (workingDays.length > 0 && !workingDays.includes(departure.dayOfWeek)) {
+    return { available: false, reason: 'NON_WORKING_DAY', message: 'Trip departs on a day the driver does not work' };
+  }
+
+  const { start, end } = availability?.workingHours || {};
+  if (start && end) {
+    const startMin = parseTime(start);
+    const endMin = parseTime(end);
+    // Working periods around the departure day; end before start wraps midnight
+    const periods = endMin > startMin
+      ? [[startMin, endMin], [startMin + DAY_MINUTES, endMin + DAY_MINUTES]]
+      : [[startMin - DAY_MINUTES, endMin], [startMin, endMin + DAY_MINUTES]];
+    const tripStart = departure.minuteOfDay;
+    const tripEnd = tripStart + (window.end.getTime() - window.start.getTime()) / MINUTE;
+
+    if (!periods.some(([from, to]) => from <= tripStart && tripEnd <= to)) {
+      return {
+        available: false,
+        reason: 'OUTSIDE_WORKING_HOURS',
+        message: `Trip must run within working hours ${start}-${end}`
+      };
+    }
+  }
+
+  return { available: true, reason: null, message: null };
+};
+
+/**
+ * Load the driver's active trips that could overlap a window
+ * @param {Object} filter - Driver/vehicle filter
+ * @param {Object} window - { start, busyUntil }
+ * @param {string} [excludeTripId] - Trip to ignore (e.g. the one being changed)
+ * @returns {Promise<Array>} Trips
+ */
+const findActiveTripsAround = async (filter, window, excludeTripId) => {
+  const query = {
+    ...filter,
+    status: { $in: ACTIVE_TRIP_STATUSES },
+    scheduledAt: {
+      $gte: new Date(window.start.getTime() - MAX_TRIP_HOURS * 60 * MINUTE),
+      $lt: window.busyUntil
+    }
+  };
+  if (excludeTripId) query._id = { $ne: excludeTripId };
+
+  return Trip.find(query).select('tripId scheduledAt route.duration route.distance status vehicle').lean();
+};
+
+/**
+ * Reject a trip that overlaps the driver's or vehicle's other trips or falls
+ * outside the driver's availability
+ *
+ * @param {string} driverId - Driver ID
+ * @param {Object} trip - { scheduledAt, route, vehicleId, excludeTripId }
+ * @returns {Promise<Object>} The trip window
+ * @throws {Error} DRIVER_UNAVAILABLE or SCHEDULE_CONFLICT (409)
+ */
+const assertCanSchedule = async (driverId, trip) => {
+  const window = getTripWindow(trip);
+
+  const driver = await Driver.findById(driverId).select('availability').lean();
+  const availability = checkAvailability(driver?.availability, window);
+  if (!availability.available) {
+    const error = createError('DRIVER_UNAVAILABLE', availability.message, 409);
+    error.reason = availability.reason;
+    throw error;
+  }
+
+  const filter = trip.vehicleId
+    ? { $or: [{ driver: driverId }, { vehicle: trip.vehicleId }] }
+    : { driver: driverId };
+  const existing = await findActiveTripsAround(filter, window, trip.excludeTripId);
+  const conflicts = findConflicts(trip, existing);
+
+  if (conflicts.length > 0) {
+    const error = createError(
+      'SCHEDULE_CONFLICT',
+      'This trip overlaps another trip for the same driver or vehicle',
+      409
+    );
+    error.conflicts = conflicts.map(({ trip: other, window: otherWindow }) => ({
+      _id: other._id,
+      tripId: other.tripId,
+      status: other.status,
+      scheduledAt: other.scheduledAt,
+      estimatedEndAt: otherWindow.end,
+      busyUntil: otherWindow.busyUntil
+    }));
+    throw error;
+  }
+
+  return window;
+};
+
+/**
+ * Reject starting a trip while the driver has another trip in progress
+ * @param {string} driverId - Driver ID
+ * @param {string} tripId - Trip being started
+ * @throws {Error} TRIP_ALREADY_IN_PROGRESS (409)
+ */
+const assertNoTripInProgress = async (driverId, tripId) => {
+  const active = await Trip.findOne({
+    driver: driverId,
+    status: 'in_progress',
+    _id: { $ne: tripId }
+  }).select('tripId').lean();
+
+  if (active) {
+    const error = createError(
+      'TRIP_ALREADY_IN_PROGRESS',
+      `Complete trip ${active.tripId} before starting another`,
+      409
+    );
+    error.activeTripId = active.tripId;
+    throw error;
+  }
+};
+
+/**
+ * Format a driver's availability for API responses
+ * @param {Object} availability - Stored availability
+ * @returns {Object} Availability
+ */
+const formatAvailability = (availability = {}) => ({
+  workingHours: availability.workingHours?.start && availability.workingHours?.end
+    ? { start: availability.workingHours.start, end: availability.workingHours.end }
+    : null,
+  workingDays: availability.workingDays || [],
+  blockedDates: (availability.blockedDates || [])
+    .map(b => ({ date: b.date, reason: b.reason || null }))
+    .sort((a, b) => a.date.localeCompare(b.date)),
+  updatedAt: availability.updatedAt || null
+});
+
+/**
+ * Get a driver's availability calendar
+ * @param {string} driverId - Driver ID
+ * @returns {Promise<Object>} Availability
+ */
+const getAvailability = async (driverId) => {
+  const driver = await Driver.findById(driverId).select('availability').lean();
+  if (!driver) {
+    throw createError('DRIVER_NOT_FOUND', 'Driver not found', 404);
+  }
+  return formatAvailability(driver.availability);
+};
+
+/**
+ * Update a driver's availability calendar
+ * Existing trips are kept; trips that now fall outside availability are
+ * returned so the driver can cancel or reschedule them.
+ *
+ * @param {string} driverId - Driver ID
+ * @param {Object} updates - { workingHours (null clears), workingDays, blockedDates }
+ * @returns {Promise<Object>} { availability, affectedTrips }
+ */
+const updateAvailability = async (driverId, updates) => {
+  const driver = await Driver.findById(driverId);
+  if (!driver) {
+    throw createError('DRIVER_NOT_FOUND', 'Driver not found', 404);
+  }
+
+  const current = driver.availability || {};
+  const next = {
+    workingHours: current.workingHours,
+    workingDays: current.workingDays || [],
+    blockedDates: current.blockedDates || []
+  };
+
+  if (updates.workingHours !== undefined) {
+    next.workingHours = updates.workingHours
+      ? { start: updates.workingHours.start, end: updates.workingHours.end }
+      : undefined;
+  }
+  if (updates.workingDays !== undefined) {
+    next.workingDays = [...new Set(updates.workingDays)].sort((a, b) => a - b);
+  }
+  if (updates.blockedDates !== undefined) {
+    const byDate = new Map(updates.blockedDates.map(b => [b.date, { date: b.date, reason: b.reason }]));
+    next.blockedDates = [...byDate.values()];
+  }
+
+  driver.availability = { ...next, updatedAt: new Date() };
+  await driver.save();
+
+  const upcoming = await Trip.find({
+    driver: driverId,
+    status: { $in: ['scheduled', 'driver_assigned'] },
+    scheduledAt: { $gte: new Date() }
+  }).select('tripId scheduledAt route.duration route.distance').lean();
+
+  const affectedTrips = upcoming
+    .map(trip => ({ trip, check: checkAvailability(driver.availability, getTripWindow(trip)) }))
+    .filter(({ check }) => !check.available)
+    .map(({ trip, check }) => ({
+      _id: trip._id,
+      tripId: trip.tripId,
+      scheduledAt: trip.scheduledAt,
+      reason: check.reason
+    }));
+
+  return {
+    availability: formatAvailability(driver.availability),
+    affectedTrips
+  };
+};
+
+/**
+ * Get a driver's upcoming schedule
+ * Lists active trips with their occupied windows, flags overlapping trips
+ * and trips outside the availability calendar.
+ *
+ * @param {string} driverId - Driver ID
+ * @param {Object} [options] - { from, days }
+ * @returns {Promise<Object>} { driver, availability, trips }
+ */
+const getDriverSchedule = async (driverId, options = {}) => {
+  const { from = new Date(), days = 14 } = options;
+
+  const driver = await Driver.findById(driverId)
+    .select('userId availability vehicles verificationStatus')
+    .populate('userId', 'name phone')
+    .lean();
+  if (!driver) {
+    throw createError('DRIVER_NOT_FOUND', 'Driver not found', 404);
+  }
+
+  const rangeStart = new Date(from);
+  const rangeEnd = new Date(rangeStart.getTime() + days * DAY_MINUTES * MINUTE);
+
+  const trips = await Trip.find({
+    driver: driverId,
+    status: { $in: ACTIVE_TRIP_STATUSES },
+    $or: [
+      { status: 'in_progress' },
+      { scheduledAt: { $gte: rangeStart, $lt: rangeEnd } }
+    ]
+  })
+    .select('tripId status source.address destination.address scheduledAt startedAt route.duration route.distance vehicle availableSeats passengers')
+    .sort({ scheduledAt: 1 })
+    .lean();
+
+  const windows = trips.map(trip => getTripWindow(trip));
+  const vehicleById = new Map((driver.vehicles || []).map(v => [v._id.toString(), v]));
+
+  return {
+    driver: {
+      _id: driver._id,
+      name: driver.userId?.name || null,
+      phone: driver.userId?.phone || null,
+      verificationStatus: driver.verificationStatus
+    },
+    availability: formatAvailability(driver.availability),
+    range: { from: rangeStart, to: rangeEnd },
+    trips: trips.map((trip, i) => {
+      const vehicle = trip.vehicle ? vehicleById.get(trip.vehicle.toString()) : null;
+      const availability = checkAvailability(driver.availability, windows[i]);
+      return {
+        _id: trip._id,
+        tripId: trip.tripId,
+        status: trip.status,
+        source: trip.source?.address,
+        destination: trip.destination?.address,
+        scheduledAt: trip.scheduledAt,
+        startedAt: trip.startedAt || null,
+        estimatedEndAt: windows[i].end,
+        busyUntil: windows[i].busyUntil,
+        vehicle: vehicle ? { _id: vehicle._id, registrationNumber: vehicle.registrationNumber, make: vehicle.make, model: vehicle.model } : null,
+        bookedSeats: (trip.passengers || []).reduce((sum, p) => sum + (p.seats || 0), 0),
+        availableSeats: trip.availableSeats,
+        conflictsWith: trips
+          .filter((other, j) => j !== i && windowsOverlap(windows[i], windows[j]))
+          .map(other => other.tripId),
+        outsideAvailability: availability.available ? null : availability.reason
+      };
+    })
+  };
+};
+
+module.exports = {
+  SCHEDULE_CONFIG,
+  ACTIVE_TRIP_STATUSES,
+  getTripDurationMinutes,
+  getTripWindow,
+  windowsOverlap,
+  findConflicts,
+  checkAvailability,
+  assertCanSchedule,
+  assertNoTripInProgress,
+  getAvailability,
+  updateAvailability,
+  getDriverSchedule
+};
@@ -0,0 +1,686 @@
+/**
+ * Face Verification Service
+ * Confirms the person driving is the person who registered
+ *
+ * Two checks use the same face comparison:
+ * - During document review the registered selfie (selfie_with_car) is
+ *   compared with the ID photo (kyc); a mismatch blocks approval unless the
+ *   reviewer overrides it
+ * - Before a trip start the driver may be asked for a live selfie
+ *   (first trip, periodically, or at random); a failed check blocks the
+ *   start and alerts operations, and repeated failures lock trip starts
+ *   until operations unlocks the driver
+ *
+ * Design Decision: AWS Rekognition CompareFaces reading from the document bucket
+ * Rationale: Documents already live in S3, so images are compared in place
+ * without downloading them
+ */
+
+const { RekognitionClient, CompareFacesCommand } = require('@aws-sdk/client-rekognition');
+const Driver = require('../models/Driver');
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { buildUserScopeFilter } = require('./accessScopeService');
+const s3Service = require('./s3Service');
+const notificationService = require('./notificationService');
+const { getConfig } = require('../config/environment');
+
+const FACE_VERIFICATION_CONFIG = {
+  enabled: process.env.FACE_VERIFICATION_ENABLED !== 'false',
+  // Minimum similarity (0-100) for two photos to be the same person
+  matchThreshold: parseFloat(process.env.FACE_MATCH_THRESHOLD) || 90,
+  // Hours after which a new selfie check is due
+  checkIntervalHours: parseFloat(process.env.SELFIE_CHECK_INTERVAL_HOURS) || 24,
+  // Chance (0-1) of a random check on any other trip start
+  randomCheckRate: process.env.SELFIE_CHECK_RANDOM_RATE !== undefined
+    ? parseFloat(process.env.SELFIE_CHECK_RANDOM_RATE)
+    : 0.1,
+  // Minutes a passed check covers a trip start
+  passValidityMinutes: 15,
+  // Consecutive failed checks before trip starts are locked
+  maxConsecutiveFailures: 3,
+  // Selfie checks kept on the driver record
+  maxStoredChecks: 20,
+  maxFileSize: 5 * 1024 * 1024,
+  allowedMimeTypes: ['image/jpeg', 'image/png']
+};
+
+// Document types holding the registered selfie and the ID photo
+const SELFIE_DOCUMENT_TYPE = 'selfie_with_car';
+const ID_DOCUMENT_TYPE = 'kyc';
+
+// ID-match results that block document approval without an override
+const BLOCKING_ID_MATCH = ['mismatch', 'no_face'];
+
+/**
+ * Create error with code
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with code
+ */
+const createError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+// ============================================
+// Decisions
+// ============================================
+
+/**
+ * Classify a face similarity score
+ * @param {number} similarity - Similarity (0-100)
+ * @param {number} [threshold] - Match threshold
+ * @returns {string} 'matched' | 'mismatch'
+ */
+const classifyFaceMatch = (similarity, threshold = FACE_VERIFICATION_CONFIG.matchThreshold) =>
+  (similarity >= threshold ? 'matched' : 'mismatch');
+
+/**
+ * Decide whether a trip start needs a selfie check
+ * @param {Object} faceVerification - Driver.faceVerification
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current time
+ * @param {number} [options.random] - Random number in [0, 1)
+ * @param {Object} [options.config] - Configuration overrides
+ * @returns {Object} { required, reason, locked }
+ */
+const getSelfieCheckRequirement = (faceVerification = {}, { now = new Date(), random = Math.random(), config = {} } = {}) => {
+  const settings = { ...FACE_VERIFICATION_CONFIG, ...config };
+  const fv = faceVerification || {};
+
+  if (fv.lockedAt) {
+    return { required: true, reason: fv.pendingCheck?.reason || 'manual', locked: true };
+  }
+  if (fv.pendingCheck?.reason) {
+    return { required: true, reason: fv.pendingCheck.reason, locked: false };
+  }
+  if (!fv.lastPassedAt) {
+    return { required: true, reason: 'initial', locked: false };
+  }
+
+  const sincePass = now - new Date(fv.lastPassedAt);
+  if (sincePass <= settings.passValidityMinutes * 60 * 1000) {
+    return { required: false, reason: null, locked: false };
+  }
+  if (sincePass > settings.checkIntervalHours * 60 * 60 * 1000) {
+    return { required: true, reason: 'periodic', locked: false };
+  }
+  if (random < settings.randomCheckRate) {
+    return { required: true, reason: 'random', locked: false };
+  }
+  return { required: false, reason: null, locked: false };
+};
+
+/**
+ * State changes after a selfie check
+ * Only real mismatches count towards the lock; a photo without a face or an
+ * engine error just asks the driver to try again.
+ *
+ * @param {Object} faceVerification - Driver.faceVerification
+ * @param {string} status - 'passed' | 'failed' | 'no_face' | 'error'
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current time
+ * @param {Object} [options.config] - Configuration overrides
+ * @returns {Object} { set, unset, alert, locked, attemptsRemaining }
+ */
+const applySelfieCheckResult = (faceVerification = {}, status, { now = new Date(), config = {} } = {}) => {
+  const settings = { ...FACE_VERIFICATION_CONFIG, ...config };
+  const failures = (faceVerification || {}).consecutiveFailures || 0;
+
+  if (status === 'passed') {
+    return {
+      set: { lastPassedAt: now, consecutiveFailures: 0 },
+      unset: ['pendingCheck'],
+      alert: false,
+      locked: false,
+      attemptsRemaining: settings.maxConsecutiveFailures
+    };
+  }
+
+  if (status !== 'failed') {
+    return {
+      set: {},
+      unset: [],
+      alert: false,
+      locked: Boolean(faceVerification?.lockedAt),
+      attemptsRemaining: Math.max(settings.maxConsecutiveFailures - failures, 0)
+    };
+  }
+
+  const consecutiveFailures = failures + 1;
+  const locked = consecutiveFailures >= settings.maxConsecutiveFailures;
+  return {
+    set: { consecutiveFailures, ...(locked && { lockedAt: now }) },
+    unset: [],
+    alert: true,
+    locked,
+    attemptsRemaining: Math.max(settings.maxConsecutiveFailures - consecutiveFailures, 0)
+  };
+};
+
+// ============================================
+// Face comparison
+// ============================================
+
+let rekognitionClient = null;
+
+/**
+ * Get or create the Rekognition client (same account and region as S3)
+ * @returns {RekognitionClient} Client
+ */
+const getRekognitionClient = () => {
+  if (!rekognitionClient) {
+    const config = getConfig('s3');
+    rekognitionClient = new RekognitionClient({
+      region: config.region,
+      credentials: {
+        accessKeyId: config.accessKeyId,
+        secretAccessKey: config.secretAccessKey
+      }
+    });
+  }
+  return rekognitionClient;
+};
+
+/**
+ * Compare the face in a source photo with the faces in a target photo
+ * @param {Object} source - { s3Key } or { bytes }
+ * @param {Object} target - { s3Key } or { bytes }
+ * @returns {Promise<Object>} { status: 'matched'|'mismatch'|'no_face', similarity }
+ */
+const compareFaces = async (source, target) => {
+  const { bucket } = getConfig('s3');
+  const toImage = (image) => (image.bytes
+    ? { Bytes: image.bytes }
+    : { S3Object: { Bucket: bucket, Name: image.s3Key } });
+
+  try {
+    const response = await getRekognitionClient().send(new CompareFacesCommand({
+      SourceImage: toImage(source),
+      TargetImage: toImage(target),
+      SimilarityThreshold: 0
+    }));
+
+    const similarity = Math.max(0, ...(response.FaceMatches || []).map(match => match.Similarity || 0));
+    const rounded = Math.round(similarity * 10) / 10;
+    return { status: classifyFaceMatch(rounded), similarity: rounded };
+  } catch (error) {
+    // Rekognition rejects photos in which it cannot find a face
+    if (error.name === 'InvalidParameterException') {
+      return { status: 'no_face', similarity: 0 };
+    }
+    throw error;
+  }
+};
+
+const isComparableImage = (document) => document && document.s3Key && document.contentType !== 'application/pdf';
+
+/**
+ * Latest usable document of a type
+ * @param {Object} driver - Driver document
+ * @param {string} type - Document type
+ * @param {Array} statuses - Acceptable statuses
+ * @returns {Object|null} Document
+ */
+const findLatestDocument = (driver, type, statuses) => (driver.documents || [])
+  .filter(doc => doc.type === type && statuses.includes(doc.status))
+  .sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt))[0] || null;
+
+/**
+ * Photo live selfies are compared with: the approved registered selfie,
+ * otherwise the approved ID
+ * @param {Object} driver - Driver document
+ * @returns {Object|null} Document
+ */
+const getReferencePhoto = (driver) => {
+  const selfie = findLatestDocument(driver, SELFIE_DOCUMENT_TYPE, ['approved']);
+  if (isComparableImage(selfie)) return selfie;
+  const id = findLatestDocument(driver, ID_DOCUMENT_TYPE, ['approved']);
+  return isComparableImage(id) ? id : null;
+};
+
+// ============================================
+// Document review
+// ============================================
+
+/**
+ * Compare the registered selfie with the ID photo while a reviewer approves
+ * either of them
+ * Stores the result on the driver; throws FACE_MISMATCH when the faces do not
+ * match and the reviewer has not given an override reason.
+ *
+ * @param {Object} params
+ * @param {Object} params.driver - Driver document
+ * @param {Object} params.document - Document being approved
+ * @param {string} params.reviewerId - Reviewer user ID
+ * @param {string} [params.overrideReason] - Reason for approving despite a mismatch
+ * @returns {Promise<Object|null>} ID match result, or null if not applicable
+ */
+const checkIdMatch = async ({ driver, document, reviewerId, overrideReason = null }) => {
+  if (!FACE_VERIFICATION_CONFIG.enabled || ![SELFIE_DOCUMENT_TYPE, ID_DOCUMENT_TYPE].includes(document.type)) {
+    return null;
+  }
+
+  const counterpartType = document.type === SELFIE_DOCUMENT_TYPE ? ID_DOCUMENT_TYPE : SELFIE_DOCUMENT_TYPE;
+  const counterpart = findLatestDocument(driver, counterpartType, ['pending', 'approved']);
+  if (!counterpart) {
+    return null;
+  }
+
+  const selfie = document.type === SELFIE_DOCUMENT_TYPE ? document : counterpart;
+  const id = document.type === ID_DOCUMENT_TYPE ? document : counterpart;
+
+  let result;
+  if (!isComparableImage(selfie) || !isComparableImage(id)) {
+    result = { status: 'unsupported' };
+  } else {
+    try {
+      result = await compareFaces({ s3Key: selfie.s3Key }, { s3Key: id.s3Key });
+    } catch (error) {
+      console.error(`Face comparison failed for driver ${driver._id}:`, error.message);
+      result = { status: 'error' };
+    }
+  }
+
+  const blocking = BLOCKING_ID_MATCH.includes(result.status);
+  const idMatch = {
+    status: result.status,
+    similarity: result.similarity,
+    selfieDocumentId: selfie._id,
+    idDocumentId: id._id,
+    comparedAt: new Date(),
+    ...(blocking && overrideReason && { overriddenBy: reviewerId, overrideReason })
+  };
+
+  await Driver.updateOne({ _id: driver._id }, { $set: { 'faceVerification.idMatch': idMatch } });
+
+  if (blocking && !overrideReason) {
+    const error = createError(
+      'FACE_MISMATCH',
+      result.status === 'no_face'
+        ? 'No face found in the selfie to compare with the ID photo'
+        : `Selfie does not match the ID photo (similarity ${result.similarity}%)`
+    );
+    error.idMatch = idMatch;
+    throw error;
+  }
+
+  if (blocking) {
+    await AuditLog.logAction({
+      userId: reviewerId,
+      action: 'document_approve',
+      targetType: 'document',
+      targetId: document._id,
+      details: { type: 'face_match_override', driverId: driver._id, reason: overrideReason, similarity: result.similarity }
+    });
+  }
+
+  return idMatch;
+};
+
+// ============================================
+// Pre-trip selfie checks
+// ============================================
+
+/**
+ * Block a trip start until the driver passes a required selfie check
+ * A randomly or periodically required check is stored so it cannot be dodged
+ * by retrying the start.
+ *
+ * @param {string} driverId - Driver ID
+ * @param {string} tripId - Trip ObjectId being started
+ * @returns {Promise<void>}
+ */
+const assertSelfieCheckPassed = async (driverId, tripId) => {
+  if (!FACE_VERIFICATION_CONFIG.enabled) return;
+
+  const driver = await Driver.findById(driverId).select('documents faceVerification');
+  if (!driver) {
+    throw createError('DRIVER_NOT_FOUND', 'Driver not found', 404);
+  }
+
+  // Without an approved photo there is nothing to compare with
+  if (!getReferencePhoto(driver)) return;
+
+  const requirement = getSelfieCheckRequirement(driver.faceVerification);
+  if (!requirement.required) return;
+
+  if (requirement.locked) {
+    throw createError('SELFIE_CHECK_LOCKED', 'Trip starts are blocked after failed selfie checks. Please contact support.', 403);
+  }
+
+  if (!driver.faceVerification?.pendingCheck?.reason) {
+    await Driver.updateOne({ _id: driver._id }, {
+      $set: {
+        'faceVerification.pendingCheck': { reason: requirement.reason, requestedAt: new Date(), tripId }
+      }
+    });
+  }
+
+  const error = createError('SELFIE_CHECK_REQUIRED', 'Please take a selfie to confirm your identity before starting this trip', 403);
+  error.reason = requirement.reason;
+  throw error;
+};
+
+/**
+ * Email active operations staff about a failed selfie check
+ * @param {Object} params - Alert details
+ * @returns {Promise<void>}
+ */
+const alertOperations = async ({ driver, tripId, similarity, consecutiveFailures, locked }) => {
+  try {
+    const operationsUsers = await User.find({ role: 'operations', isActive: true }).select('_id email').lean();
+
+    for (const user of operationsUsers) {
+      if (!user.email) continue;
+      await notificationService.sendNotification({
+        userId: user._id,
+        channel: 'email',
+        template: 'selfie_check_failed_ops',
+        recipient: user.email,
+        data: {
+          driverName: driver.userId?.name || 'Unknown',
+          driverId: driver._id.toString(),
+          tripId: tripId ? tripId.toString() : '-',
+          similarity: `${similarity}%`,
+          consecutiveFailures,
+          lockedNote: locked ? '\nTrip starts are now locked for this driver.' : ''
+        },
+        relatedEntity: tripId ? { type: 'trip', id: tripId } : null
+      }).catch(() => {
+        console.error('Failed to alert operations team member:', user._id);
+      });
+    }
+  } catch (error) {
+    console.error('Failed to alert operations about selfie check:', error.message);
+  }
+};
+
+/**
+ * Compare a live selfie with the driver's verified photo before a trip
+ * @param {Object} params
+ * @param {string} params.driverId - Driver ID
+ * @param {string} params.tripId - Trip ObjectId or tripId
+ * @param {Object} params.file - Uploaded selfie (multer memory file)
+ * @returns {Promise<Object>} { status, similarity, passed, locked, attemptsRemaining }
+ */
+const submitSelfieCheck = async ({ driverId, tripId, file }) => {
+  if (!FACE_VERIFICATION_CONFIG.enabled) {
+    throw createError('FACE_VERIFICATION_DISABLED', 'Selfie checks are not enabled', 400);
+  }
+  if (!file || !file.buffer) {
+    throw createError('FILE_REQUIRED', 'Selfie photo is required');
+  }
+  if (!FACE_VERIFICATION_CONFIG.allowedMimeTypes.includes(file.mimetype)) {
+    throw createError('INVALID_FILE_TYPE', 'Selfie must be a JPEG or PNG photo');
+  }
+  if (file.size > FACE_VERIFICATION_CONFIG.maxFileSize) {
+    throw createError('FILE_TOO_LARGE', 'File size must be less than 5MB');
+  }
+
+  const trip = /^[0-9a-fA-F]{24}$/.test(String(tripId))
+    ? await Trip.findById(tripId).select('driver')
+    : await Trip.findOne({ tripId }).select('driver');
+  if (!trip) {
+    throw createError('TRIP_NOT_FOUND', 'Trip not found', 404);
+  }
+  if (trip.driver.toString() !== driverId.toString()) {
+    throw createError('UNAUTHORIZED', 'Unauthorized to start this trip', 403);
+  }
+
+  const driver = await Driver.findById(driverId).populate('userId', 'name');
+  if (!driver) {
+    throw createError('DRIVER_NOT_FOUND', 'Driver not found', 404);
+  }
+  if (driver.faceVerification?.lockedAt) {
+    throw createError('SELFIE_CHECK_LOCKED', 'Trip starts are blocked after failed selfie checks. Please contact support.', 403);
+  }
+
+  const reference = getReferencePhoto(driver);
+  if (!reference) {
+    throw createError('REFERENCE_PHOTO_MISSING', 'No verified photo on file to compare with', 409);
+  }
+
+  const s3Key = s3Service.generateDocumentKey(driver._id.toString(), 'selfie_check', file.originalname || 'selfie.jpg');
+  await s3Service.uploadFile(file.buffer, s3Key, file.mimetype);
+
+  let status;
+  let similarity = 0;
+  try {
+    const result = await compareFaces({ bytes: file.buffer }, { s3Key: reference.s3Key });
+    status = result.status === 'matched' ? 'passed' : result.status === 'no_face' ? 'no_face' : 'failed';
+    similarity = result.similarity;
+  } catch (error) {
+    console.error(`Selfie check comparison failed for driver ${driver._id}:`, error.message);
+    status = 'error';
+  }
+
+  const outcome = applySelfieCheckResult(driver.faceVerification, status);
+  const check = {
+    tripId: trip._id,
+    reason: driver.faceVerification?.pendingCheck?.reason || 'manual',
+    status,
+    similarity,
+    s3Key,
+    checkedAt: new Date()
+  };
+
+  const update = {
+    $push: { 'faceVerification.checks': { $each: [check], $slice: -FACE_VERIFICATION_CONFIG.maxStoredChecks } }
+  };
+  const set = Object.fromEntries(Object.entries(outcome.set).map(([key, value]) => [`faceVerification.${key}`, value]));
+  if (Object.keys(set).length > 0) update.$set = set;
+  if (outcome.unset.length > 0) {
+    update.$unset = Object.fromEntries(outcome.unset.map(key => [`faceVerification.${key}`, '']));
+  }
+  await Driver.updateOne({ _id: driver._id }, update);
+
+  if (outcome.alert) {
+    await alertOperations({
+      driver,
+      tripId: trip._id,
+      similarity,
+      consecutiveFailures: outcome.set.consecutiveFailures,
+      locked: outcome.locked
+    });
+  }
+
+  return {
+    status,
+    similarity,
+    passed: status === 'passed',
+    locked: outcome.locked,
+    attemptsRemaining: outcome.attemptsRemaining
+  };
+};
+
+// ============================================
+// Admin review
+// ============================================
+
+/**
+ * Add a presigned URL to a selfie check
+ * @param {Object} check - Selfie check
+ * @returns {Promise<Object>} Check with url
+ */
+const withSelfieUrl = async (check) => {
+  if (!check.s3Key) return check;
+  try {
+    const { url, expiresAt } = await s3Service.getPresignedUrl(check.s3Key);
+    return { ...check, url, urlExpiresAt: expiresAt };
+  } catch (error) {
+    console.error(`Failed to generate presigned URL for selfie check ${check._id}:`, error.message);
+    return check;
+  }
+};
+
+/**
+ * Face verification state for a driver, with selfie URLs
+ * @param {string} driverId - Driver ID
+ * @returns {Promise<Object>} Face verification details
+ */
+const getFaceVerification = async (driverId) => {
+  if (!/^[0-9a-fA-F]{24}$/.test(String(driverId))) {
+    throw createError('INVALID_DRIVER_ID', 'Invalid driver ID format');
+  }
+
+  const driver = await Driver.findById(driverId).select('userId documents faceVerification').populate('userId', 'name phone').lean();
+  if (!driver) {
+    throw createError('DRIVER_NOT_FOUND', 'Driver not found', 404);
+  }
+
+  const fv = driver.faceVerification || {};
+  const checks = await Promise.all([...(fv.checks || [])].reverse().map(withSelfieUrl));
+  const reference = getReferencePhoto(driver);
+
+  return {
+    driverId: driver._id.toString(),
+    driverName: driver.userId?.name,
+    driverPhone: driver.userId?.phone,
+    idMatch: fv.idMatch || null,
+    referenceDocumentId: reference ? reference._id.toString() : null,
+    lastPassedAt: fv.lastPassedAt || null,
+    pendingCheck: fv.pendingCheck || null,
+    consecutiveFailures: fv.consecutiveFailures || 0,
+    lockedAt: fv.lockedAt || null,
+    checks
+  };
+};
+
+/**
+ * Selfie checks across drivers, newest first
+ * @param {Object} params
+ * @param {string} [params.status] - Filter by check status
+ * @param {boolean} [params.locked] - Only locked drivers
+ * @param {number} [params.page] - Page number
+ * @param {number} [params.limit] - Items per page
+ * @param {Object} [scope] - Staff access scope; limits results to drivers in its regions
+ * @returns {Promise<Object>} Checks with pagination
+ */
+const listSelfieChecks = async ({ status, locked, page = 1, limit = 20 } = {}, scope = null) => {
+  const userScopeFilter = scope ? buildUserScopeFilter(scope, 'scopeUser.') : {};
+  const pipeline = [
+    { $match: { 'faceVerification.checks.0': { $exists: true }, ...(locked && { 'faceVerification.lockedAt': { $ne: null } }) } },
+    // Region-scoped staff only see drivers whose user is in their cities
+    ...(Object.keys(userScopeFilter).length > 0 ? [
+      { $lookup: { from: 'users', localField: 'userId', foreignField: '_id', as: 'scopeUser' } },
+      { $match: userScopeFilter }
+    ] : []),
+    { $unwind: '$faceVerification.checks' },
+    ...(status ? [{ $match: { 'faceVerification.checks.status': status } }] : []),
+    { $sort: { 'faceVerification.checks.checkedAt': -1 } }
+  ];
+
+  const countResult = await Driver.aggregate([...pipeline, { $count: 'total' }]);
+  const total = countResult[0]?.total || 0;
+
+  const rows = await Driver.aggregate([
+    ...pipeline,
+    { $skip: (page - 1) * limit },
+    { $limit: limit },
+    { $lookup: { from: 'users', localField: 'userId', foreignField: '_id', as: 'user' } },
+    { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: { $toString: '$faceVerification.checks._id' },
+        driverId: { $toString: '$_id' },
+        driverName: '$user.name',
+        driverPhone: '$user.phone',
+        tripId: { $toString: '$faceVerification.checks.tripId' },
+        reason: '$faceVerification.checks.reason',
+        status: '$faceVerification.checks.status',
+        similarity: '$faceVerification.checks.similarity',
+        s3Key: '$faceVerification.checks.s3Key',
+        checkedAt: '$faceVerification.checks.checkedAt',
+        reviewedAt: '$faceVerification.checks.reviewedAt',
+        reviewNote: '$faceVerification.checks.reviewNote',
+        driverLockedAt: '$faceVerification.lockedAt'
+      }
+    }
+  ]);
+
+  return {
+    checks: await Promise.all(rows.map(withSelfieUrl)),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasNextPage: page * limit < total,
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * Unlock trip starts after operations has reviewed failed selfie checks
+ * The driver must still pass a fresh selfie check on the next trip start.
+ *
+ * @param {Object} params
+ * @param {string} params.driverId - Driver ID
+ * @param {Object} params.reviewer - Staff user
+ * @param {string} params.note - Review note
+ * @param {string} [params.ipAddress] - Request IP
+ * @param {string} [params.userAgent] - Request user agent
+ * @returns {Promise<Object>} Updated face verification details
+ */
+const unlockSelfieChecks = async ({ driverId, reviewer, note, ipAddress, userAgent }) => {
+  if (!/^[0-9a-fA-F]{24}$/.test(String(driverId))) {
+    throw createError('INVALID_DRIVER_ID', 'Invalid driver ID format');
+  }
+
+  const driver = await Driver.findById(driverId).select('faceVerification');
+  if (!driver) {
+    throw createError('DRIVER_NOT_FOUND', 'Driver not found', 404);
+  }
+
+  const now = new Date();
+  const fv = driver.faceVerification || {};
+  const previousValue = { lockedAt: fv.lockedAt || null, consecutiveFailures: fv.consecutiveFailures || 0 };
+
+  (fv.checks || []).forEach(check => {
+    if (check.status === 'failed' && !check.reviewedAt) {
+      check.reviewedBy = reviewer._id;
+      check.reviewedAt = now;
+      check.reviewNote = note;
+    }
+  });
+  fv.lockedAt = undefined;
+  fv.consecutiveFailures = 0;
+  fv.pendingCheck = { reason: 'manual', requestedAt: now };
+  await driver.save();
+
+  await AuditLog.logAction({
+    userId: reviewer._id,
+    action: 'user_activate',
+    targetType: 'driver',
+    targetId: driver._id,
+    details: { type: 'selfie_check_unlock', note },
+    previousValue,
+    newValue: { lockedAt: null, consecutiveFailures: 0 },
+    ipAddress,
+    userAgent
+  });
+
+  return getFaceVerification(driverId);
+};
+
+module.exports = {
+  FACE_VERIFICATION_CONFIG,
+  classifyFaceMatch,
+  getSelfieCheckRequirement,
+  applySelfieCheckResult,
+  getReferencePhoto,
+  compareFaces,
+  checkIdMatch,
+  assertSelfieCheckPassed,
+  submitSelfieCheck,
+  getFaceVerification,
+  listSelfieChecks,
+  unlockSelfieChecks
+};
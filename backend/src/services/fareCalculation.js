@@ -3,6 +3,9 @@
  * 
  * Handles platform fee calculations for passenger bookings and driver earnings.
  * Platform fee is ₹15 per seat for both passengers and drivers.
+ *
+ * These are the default fees. Bookings are priced by the active fee schedule
+ * through pricingService, which falls back to these constants.
  */
 
 const PLATFORM_FEE = {
@@ -34,7 +37,23 @@ function calculateBookingFare(farePerSeat, seats) {
   };
 }
 
+/**
+ * Calculate the per-seat fare for a partial route segment
+ * Segment fares are proportional to the share of the route travelled,
+ * rounded to the nearest rupee and never above the full fare.
+ * 
+ * @param {number} farePerSeat - Full-route fare per seat set by driver
+ * @param {number} segmentRatio - Segment distance / full route distance (0-1)
+ * @returns {number} Fare per seat for the segment
+ */
+function calculateSegmentFarePerSeat(farePerSeat, segmentRatio) {
+  if (!(segmentRatio > 0)) return 0;
+  const ratio = Math.min(1, segmentRatio);
+  return Math.min(farePerSeat, Math.round(farePerSeat * ratio));
+}
+
 module.exports = {
   PLATFORM_FEE,
-  calculateBookingFare
+  calculateBookingFare,
+  calculateSegmentFarePerSeat
 };
@@ -0,0 +1,497 @@
+/**
+ * Fare Suggestion Service
+ * Recommends a per-seat fare for a new trip and enforces the fare-per-km cap
+ *
+ * Design Decision: Blend a cost-sharing estimate with corridor history
+ * Rationale: Fuel cost per km gives every route a sensible baseline, while
+ * completed trips on the same corridor reflect what passengers actually pay.
+ * History only takes over once there are enough comparable trips.
+ */
+
+const Trip = require('../models/Trip');
+const Driver = require('../models/Driver');
+const mapsService = require('./mapsService');
+const { haversineDistance } = require('../utils/polylineUtils');
+
+/**
+ * Fuel price in INR per litre
+ */
+const FUEL_PRICE_PER_LITRE = parseFloat(process.env.FUEL_PRICE_PER_LITRE) || 105;
+
+/**
+ * Typical mileage (km per litre) by vehicle type
+ */
+const VEHICLE_MILEAGE_KMPL = {
+  hatchback: 18,
+  sedan: 15,
+  suv: 12,
+  premium: 10
+};
+
+/**
+ * Vehicle type assumed when the driver has no vehicle on file
+ */
+const DEFAULT_VEHICLE_TYPE = 'sedan';
+
+/**
+ * Wear, maintenance and toll allowance per km (INR)
+ */
+const RUNNING_COST_PER_KM = 2;
+
+/**
+ * Road distance is roughly this much longer than the straight line
+ */
+const ROAD_DISTANCE_FACTOR = 1.3;
+
+/**
+ * Maximum fare per seat per km (INR); 0 disables enforcement
+ */
+const MAX_FARE_PER_KM = parseFloat(process.env.MAX_FARE_PER_KM) || 0;
+
+/**
+ * Completed trips starting and ending within this radius share a corridor
+ */
+const CORRIDOR_RADIUS_KM = 15;
+
+/**
+ * How far back to look for comparable trips
+ */
+const HISTORY_LOOKBACK_DAYS = 90;
+
+/**
+ * Comparable trips needed before history is used
+ */
+const MIN_HISTORY_SAMPLES = 5;
+
+/**
+ * Weight of corridor history in the blended recommendation
+ */
+const HISTORY_WEIGHT = 0.6;
+
+/**
+ * Departure window (hours either side, time of day) for preferred comparables
+ */
+const DEPARTURE_WINDOW_HOURS = 3;
+
+/**
+ * IST offset used to compare departure times of day
+ */
+const IST_OFFSET_MINUTES = 330;
+
+/**
+ * Recommended range around the suggested fare
+ */
+const RANGE_LOWER_FACTOR = 0.85;
+const RANGE_UPPER_FACTOR = 1.2;
+
+/**
+ * Build an error with code and HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error object
+ */
+const createError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Round a fare to the nearest ₹5
+ * @param {number} amount - Fare in INR
+ * @returns {number} Rounded fare
+ */
+const roundFare = (amount) => Math.max(0, Math.round(amount / 5) * 5);
+
+/**
+ * Check that a location has usable coordinates
+ * Trips created without coordinates store { lat: 0, lng: 0 }.
+ *
+ * @param {Object} location - { coordinates: { lat, lng } }
+ * @returns {boolean}
+ */
+const hasCoordinates = (location) => {
+  const coords = location?.coordinates;
+  return !!coords &&
+    typeof coords.lat === 'number' && typeof coords.lng === 'number' &&
+    !(coords.lat === 0 && coords.lng === 0);
+};
+
+/**
+ * Get the configured maximum fare per seat per km
+ * @returns {number} INR per km, 0 when not enforced
+ */
+const getMaxFarePerKm = () => MAX_FARE_PER_KM;
+
+/**
+ * Calculate fuel and running cost per km for a vehicle type
+ * @param {string} vehicleType - hatchback, sedan, suv or premium
+ * @returns {number} INR per km
+ */
+const calculateCostPerKm = (vehicleType) => {
+  const mileage = VEHICLE_MILEAGE_KMPL[vehicleType] || VEHICLE_MILEAGE_KMPL[DEFAULT_VEHICLE_TYPE];
+  return FUEL_PRICE_PER_LITRE / mileage + RUNNING_COST_PER_KM;
+};
+
+/**
+ * Cost-sharing fare per seat
+ * The trip cost is shared between the driver and the offered seats.
+ *
+ * @param {number} distanceKm - Route distance
+ * @param {string} vehicleType - Vehicle type
+ * @param {number} seats - Seats offered
+ * @returns {number} INR per seat (unrounded)
+ */
+const calculateCostBasedFare = (distanceKm, vehicleType, seats = 3) => {
+  const occupants = Math.max(1, seats) + 1;
+  return (calculateCostPerKm(vehicleType) * distanceKm) / occupants;
+};
+
+/**
+ * Get a percentile from sorted values (linear interpolation)
+ * @param {Array<number>} sorted - Ascending values
+ * @param {number} p - Percentile 0-100
+ * @returns {number} Value
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  const index = (sorted.length - 1) * (p / 100);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+/**
+ * Minutes since IST midnight
+ * @param {Date} date - Date
+ * @returns {number} Minutes
+ */
+const getISTMinuteOfDay = (date) => {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+  return ist.getUTCHours() * 60 + ist.getUTCMinutes();
+};
+
+/**
+ * Check whether two departures fall within the time-of-day window
+ * @param {Date} a - First departure
+ * @param {Date} b - Second departure
+ * @returns {boolean}
+ */
+const isSimilarDepartureTime = (a, b) => {
+  const diff = Math.abs(getISTMinuteOfDay(a) - getISTMinuteOfDay(b));
+  return Math.min(diff, 24 * 60 - diff) <= DEPARTURE_WINDOW_HOURS * 60;
+};
+
+/**
+ * Summarise fare-per-km across comparable trips
+ * Trips departing at a similar time of day are preferred when there are enough.
+ *
+ * @param {Array} trips - Completed trips with farePerSeat, route.distance, scheduledAt
+ * @param {Date} [scheduledAt] - Requested departure
+ * @returns {Object|null} { sampleSize, timeMatched, p25, median, p75 } per km
+ */
+const summarizeHistoricalFares = (trips, scheduledAt) => {
+  const usable = trips.filter(t => t.route?.distance > 0 && typeof t.farePerSeat === 'number');
+
+  let sample = usable;
+  let timeMatched = false;
+  if (scheduledAt) {
+    const sameTime = usable.filter(t => isSimilarDepartureTime(t.scheduledAt, scheduledAt));
+    if (sameTime.length >= MIN_HISTORY_SAMPLES) {
+      sample = sameTime;
+      timeMatched = true;
+    }
+  }
+
+  if (sample.length < MIN_HISTORY_SAMPLES) return null;
+
+  const perKm = sample.map(t => t.farePerSeat / t.route.distance).sort((a, b) => a - b);
+  return {
+    sampleSize: sample.length,
+    timeMatched,
+    p25: percentile(perKm, 25),
+    median: percentile(perKm, 50),
+    p75: percentile(perKm, 75)
+  };
+};
+
+/**
+ * Build the recommended fare range
+ *
+ * @param {Object} params
+ * @param {number} params.distanceKm - Route distance
+ * @param {string} params.vehicleType - Vehicle type
+ * @param {number} params.seats - Seats offered
+ * @param {Object|null} params.history - Output of summarizeHistoricalFares
+ * @param {number} [params.maxFarePerKm] - Fare cap per km (0 = none)
+ * @returns {Object} { suggested, min, max, costBased, historical, maxAllowed }
+ */
+const buildFareRecommendation = ({ distanceKm, vehicleType, seats, history, maxFarePerKm = 0 }) => {
+  const costBased = calculateCostBasedFare(distanceKm, vehicleType, seats);
+
+  let suggested = costBased;
+  let min = costBased * RANGE_LOWER_FACTOR;
+  let max = costBased * RANGE_UPPER_FACTOR;
+
+  if (history) {
+    const blend = (historical, cost) => HISTORY_WEIGHT * historical + (1 - HISTORY_WEIGHT) * cost;
+    suggested = blend(history.median * distanceKm, costBased);
+    min = blend(history.p25 * distanceKm, costBased * RANGE_LOWER_FACTOR);
+    max = blend(history.p75 * distanceKm, costBased * RANGE_UPPER_FACTOR);
+  }
+
+  const maxAllowed = maxFarePerKm > 0 ? Math.floor(maxFarePerKm * distanceKm) : null;
+  if (maxAllowed !== null) {
+    max = Math.min(max, maxAllowed);
+    suggested = Math.min(suggested, max);
+    min = Math.min(min, suggested);
+  }
+
+  const clampRounded = (amount) => {
+    const rounded = roundFare(amount);
+    return maxAllowed !== null ? Math.min(rounded, maxAllowed) : rounded;
+  };
+
+  return {
+    suggested: clampRounded(suggested),
+    min: clampRounded(min),
+    max: clampRounded(max),
+    costBased: roundFare(costBased),
+    historical: history ? roundFare(history.median * distanceKm) : null,
+    maxAllowed
+  };
+};
+
+/**
+ * Check a fare against the per-km cap
+ * @param {number} farePerSeat - Fare per seat
+ * @param {number} distanceKm - Route distance
+ * @param {number} [maxFarePerKm] - Cap (defaults to configuration)
+ * @returns {Object} { allowed, maxFarePerSeat }
+ */
+const checkFareCap = (farePerSeat, distanceKm, maxFarePerKm = getMaxFarePerKm()) => {
+  if (!(maxFarePerKm > 0) || !(distanceKm > 0)) {
+    return { allowed: true, maxFarePerSeat: null };
+  }
+  const maxFarePerSeat = Math.floor(maxFarePerKm * distanceKm);
+  return { allowed: farePerSeat <= maxFarePerSeat, maxFarePerSeat };
+};
+
+/**
+ * Resolve the road distance between two locations
+ * Uses the route distance when supplied, then Google Maps, then the
+ * straight-line distance scaled to an approximate road distance.
+ *
+ * @param {Object} source - { address, coordinates }
+ * @param {Object} destination - { address, coordinates }
+ * @param {number} [knownDistanceKm] - Distance already calculated by the client
+ * @returns {Promise<Object|null>} { distanceKm, durationMinutes, source } or null
+ */
+const resolveRouteDistance = async (source, destination, knownDistanceKm) => {
+  if (knownDistanceKm > 0) {
+    return { distanceKm: knownDistanceKm, durationMinutes: null, source: 'client' };
+  }
+
+  if (mapsService.isAvailable()) {
+    try {
+      const origin = hasCoordinates(source) ? source.coordinates : source.address;
+      const target = hasCoordinates(destination) ? destination.coordinates : destination.address;
+      const route = await mapsService.calculateRoute(origin, target);
+      return {
+        distanceKm: Math.round(route.distance.value / 100) / 10,
+        durationMinutes: Math.round(route.duration.value / 60),
+        source: 'maps'
+      };
+    } catch (error) {
+      console.error('Fare suggestion route lookup failed:', error.message);
+    }
+  }
+
+  if (hasCoordinates(source) && hasCoordinates(destination)) {
+    const straightLine = haversineDistance(source.coordinates, destination.coordinates);
+    return {
+      distanceKm: Math.round(straightLine * ROAD_DISTANCE_FACTOR * 10) / 10,
+      durationMinutes: null,
+      source: 'estimate'
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Find completed trips on the same corridor
+ * @param {Object} source - { coordinates }
+ * @param {Object} destination - { coordinates }
+ * @returns {Promise<Array>} Trips with farePerSeat, route.distance and scheduledAt
+ */
+const findCorridorTrips = async (source, destination) => {
+  if (!hasCoordinates(source) || !hasCoordinates(destination)) return [];
+
+  // Bounding box prefilter, then exact radius check
+  const latDelta = CORRIDOR_RADIUS_KM / 111;
+  const boxFor = (coords) => {
+    const lngDelta = CORRIDOR_RADIUS_KM / (111 * Math.max(0.1, Math.cos(coords.lat * Math.PI / 180)));
+    return {
+      lat: { $gte: coords.lat - latDelta, $lte: coords.lat + latDelta },
+      lng: { $gte: coords.lng - lngDelta, $lte: coords.lng + lngDelta }
+    };
+  };
+  const sourceBox = boxFor(source.coordinates);
+  const destinationBox = boxFor(destination.coordinates);
+
+  const trips = await Trip.find({
+    status: 'completed',
+    scheduledAt: { $gte: new Date(Date.now() - HISTORY_LOOKBACK_DAYS * 24 * 60 * 60 * 1000) },
+    'source.coordinates.lat': sourceBox.lat,
+    'source.coordinates.lng': sourceBox.lng,
+    'destination.coordinates.lat': destinationBox.lat,
+    'destination.coordinates.lng': destinationBox.lng
+  })
+    .select('farePerSeat route.distance scheduledAt source.coordinates destination.coordinates')
+    .limit(500)
+    .lean();
+
+  return trips.filter(t =>
+    haversineDistance(t.source.coordinates, source.coordinates) <= CORRIDOR_RADIUS_KM &&
+    haversineDistance(t.destination.coordinates, destination.coordinates) <= CORRIDOR_RADIUS_KM
+  );
+};
+
+/**
+ * Get the vehicle type a driver will use
+ * Prefers the given vehicle, then the first active vehicle.
+ *
+ * @param {string} driverId - Driver ID
+ * @param {string} [vehicleId] - Selected vehicle
+ * @returns {Promise<string|null>} Vehicle type
+ */
+const getDriverVehicleType = async (driverId, vehicleId) => {
+  const driver = await Driver.findById(driverId).select('vehicles').lean();
+  const vehicles = driver?.vehicles || [];
+  const vehicle = (vehicleId && vehicles.find(v => v._id.toString() === vehicleId)) ||
+    vehicles.find(v => v.isActive) ||
+    vehicles[0];
+  return vehicle ? vehicle.type : null;
+};
+
+/**
+ * Suggest a fare range for a new trip
+ *
+ * @param {Object} params
+ * @param {Object} params.source - { address, coordinates }
+ * @param {Object} params.destination - { address, coordinates }
+ * @param {Date} [params.scheduledAt] - Departure time
+ * @param {string} [params.driverId] - Driver whose vehicle sets the type
+ * @param {string} [params.vehicleId] - Driver's selected vehicle
+ * @param {string} [params.vehicleType] - Vehicle type (overrides the driver's vehicle)
+ * @param {number} [params.seats] - Seats offered
+ * @param {number} [params.distanceKm] - Route distance if already known
+ * @returns {Promise<Object>} Fare suggestion
+ */
+const suggestFare = async (params) => {
+  const route = await resolveRouteDistance(params.source, params.destination, params.distanceKm);
+  if (!route) {
+    throw createError(
+      'ROUTE_DISTANCE_UNAVAILABLE',
+      'Could not determine route distance; provide coordinates or route distance'
+    );
+  }
+
+  let vehicleType = params.vehicleType;
+  if (!vehicleType && params.driverId) {
+    vehicleType = await getDriverVehicleType(params.driverId, params.vehicleId);
+  }
+  if (!VEHICLE_MILEAGE_KMPL[vehicleType]) {
+    vehicleType = DEFAULT_VEHICLE_TYPE;
+  }
+  const seats = params.seats || 3;
+
+  const corridorTrips = await findCorridorTrips(params.source, params.destination);
+  const history = summarizeHistoricalFares(corridorTrips, params.scheduledAt);
+  const maxFarePerKm = getMaxFarePerKm();
+
+  const recommendation = buildFareRecommendation({
+    distanceKm: route.distanceKm,
+    vehicleType,
+    seats,
+    history,
+    maxFarePerKm
+  });
+
+  return {
+    success: true,
+    suggestion: {
+      currency: 'INR',
+      farePerSeat: {
+        suggested: recommendation.suggested,
+        min: recommendation.min,
+        max: recommendation.max
+      },
+      maxAllowedFarePerSeat: recommendation.maxAllowed,
+      distanceKm: route.distanceKm,
+      durationMinutes: route.durationMinutes,
+      distanceSource: route.source,
+      vehicleType,
+      basis: {
+        fuelPricePerLitre: FUEL_PRICE_PER_LITRE,
+        costPerKm: Math.round(calculateCostPerKm(vehicleType) * 100) / 100,
+        costBasedFarePerSeat: recommendation.costBased,
+        historicalFarePerSeat: recommendation.historical,
+        comparableTrips: history ? history.sampleSize : corridorTrips.length,
+        usedHistory: !!history,
+        departureTimeMatched: history ? history.timeMatched : false
+      }
+    }
+  };
+};
+
+/**
+ * Enforce the fare-per-km cap for a new trip
+ * Skipped when no cap is configured or the distance cannot be determined.
+ *
+ * @param {Object} tripData - Trip creation data
+ * @returns {Promise<Object|null>} Resolved route distance, if any
+ * @throws {Error} FARE_EXCEEDS_LIMIT when the fare is above the cap
+ */
+const enforceFareCap = async (tripData) => {
+  const maxFarePerKm = getMaxFarePerKm();
+  if (!(maxFarePerKm > 0)) return null;
+
+  const route = await resolveRouteDistance(
+    tripData.source,
+    tripData.destination,
+    tripData.route?.distance || tripData.distance
+  );
+  if (!route) return null;
+
+  const check = checkFareCap(tripData.farePerSeat, route.distanceKm, maxFarePerKm);
+  if (!check.allowed) {
+    const error = createError(
+      'FARE_EXCEEDS_LIMIT',
+      `Fare per seat cannot exceed ₹${check.maxFarePerSeat} for a ${route.distanceKm} km trip`
+    );
+    error.maxFarePerSeat = check.maxFarePerSeat;
+    error.maxFarePerKm = maxFarePerKm;
+    error.distanceKm = route.distanceKm;
+    throw error;
+  }
+
+  return route;
+};
+
+module.exports = {
+  VEHICLE_MILEAGE_KMPL,
+  MIN_HISTORY_SAMPLES,
+  getMaxFarePerKm,
+  calculateCostPerKm,
+  calculateCostBasedFare,
+  summarizeHistoricalFares,
+  buildFareRecommendation,
+  checkFareCap,
+  resolveRouteDistance,
+  suggestFare,
+  enforceFareCap
+};
@@ -0,0 +1,388 @@
+/**
+ * GST Service
+ * Tax rules for invoices and credit notes: SAC codes, CGST/SGST/IGST split,
+ * place of supply, GSTIN validation and financial-year document numbering
+ *
+ * Design Decision: Booking amounts are treated as GST-inclusive
+ * Rationale: Passengers pay the fare and platform fee shown at booking; the
+ * invoice back-calculates the taxable value so totals never change. Tax is
+ * rounded to whole rupees per line as permitted by section 170 of the CGST Act.
+ */
+
+/**
+ * Platform (supplier) registration
+ */
+const SUPPLIER_GSTIN = process.env.PLATFORM_GSTIN || '29AABCH1234C1Z5';
+const SUPPLIER_LEGAL_NAME = process.env.PLATFORM_LEGAL_NAME || 'HushRyd Technologies Pvt Ltd';
+const SUPPLIER_ADDRESS = process.env.PLATFORM_ADDRESS || 'Bangalore, Karnataka, India';
+
+/**
+ * Supply lines on a ride invoice
+ * The ride is passenger transport supplied through the platform (section 9(5));
+ * the platform fee is a support service supplied by HushRyd itself.
+ */
+const SUPPLY_LINES = {
+  ride: {
+    sacCode: '9964',
+    description: 'Passenger transport services',
+    rate: 5
+  },
+  platform_fee: {
+    sacCode: '9985',
+    description: 'Platform convenience fee',
+    rate: 18
+  }
+};
+
+/**
+ * GST state codes
+ */
+const STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+/**
+ * Address keywords (state names, alternate spellings and major cities)
+ * used to find the boarding state when the trip has no explicit state
+ */
+const STATE_KEYWORDS = [
+  ...Object.entries(STATE_CODES).map(([code, name]) => [name, code]),
+  ['Orissa', '21'], ['Pondicherry', '34'], ['New Delhi', '07'], ['NCR', '07'],
+  ['Bangalore', '29'], ['Bengaluru', '29'], ['Mysore', '29'], ['Mysuru', '29'],
+  ['Hyderabad', '36'], ['Secunderabad', '36'], ['Warangal', '36'],
+  ['Vijayawada', '37'], ['Visakhapatnam', '37'], ['Tirupati', '37'],
+  ['Chennai', '33'], ['Coimbatore', '33'], ['Madurai', '33'],
+  ['Mumbai', '27'], ['Pune', '27'], ['Nagpur', '27'], ['Nashik', '27'],
+  ['Kolkata', '19'], ['Ahmedabad', '24'], ['Surat', '24'], ['Vadodara', '24'],
+  ['Jaipur', '08'], ['Lucknow', '09'], ['Noida', '09'], ['Gurugram', '06'], ['Gurgaon', '06'],
+  ['Kochi', '32'], ['Thiruvananthapuram', '32'], ['Bhopal', '23'], ['Indore', '23'],
+  ['Patna', '10'], ['Bhubaneswar', '21'], ['Panaji', '30']
+];
+
+/**
+ * GSTIN format: state code, PAN, entity number, 'Z', checksum
+ */
+const GSTIN_REGEX = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Document number prefixes (max 16 characters per GST rules)
+ */
+const DOCUMENT_PREFIXES = {
+  tax_invoice: 'INV',
+  credit_note: 'CN'
+};
+
+/**
+ * IST offset used for financial-year and period boundaries
+ */
+const IST_OFFSET_MINUTES = 330;
+
+/**
+ * Calculate the GSTIN checksum character for the first 14 characters
+ * @param {string} base - First 14 characters of a GSTIN
+ * @returns {string} Checksum character
+ */
+const calculateGstinChecksum = (base) => {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const value = GSTIN_CHARSET.indexOf(base[i]);
+    const product = value * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+};
+
+/**
+ * Validate a GSTIN (format, state code and checksum)
+ * @param {string} gstin - GSTIN
+ * @returns {boolean} True if valid
+ */
+const isValidGSTIN = (gstin) => {
+  if (typeof gstin !== 'string') return false;
+  const value = gstin.trim().toUpperCase();
+  if (!GSTIN_REGEX.test(value)) return false;
+  if (!STATE_CODES[value.slice(0, 2)]) return false;
+  return calculateGstinChecksum(value.slice(0, 14)) === value[14];
+};
+
+/**
+ * Get the state code of a GSTIN
+ * @param {string} gstin - GSTIN
+ * @returns {string|null} Two-digit state code
+ */
+const getStateCodeFromGSTIN = (gstin) => {
+  if (!gstin || typeof gstin !== 'string') return null;
+  const code = gstin.trim().slice(0, 2);
+  return STATE_CODES[code] ? code : null;
+};
+
+/**
+ * Find the state of an address
+ * The last matching keyword wins, since addresses end with city and state.
+ *
+ * @param {string} address - Free-text address
+ * @returns {string|null} Two-digit state code
+ */
+const getStateCodeFromAddress = (address) => {
+  if (!address || typeof address !== 'string') return null;
+  const text = address.toLowerCase();
+
+  let best = null;
+  for (const [keyword, code] of STATE_KEYWORDS) {
+    const pattern = new RegExp(`\\b${keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'g');
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (!best || match.index > best.index) {
+        best = { index: match.index, code };
+      }
+    }
+  }
+  return best ? best.code : null;
+};
+
+/**
+ * Determine the place of supply
+ * B2B: the recipient's registered state. B2C: the state where the passenger
+ * boards (section 12(9) IGST Act), falling back to the supplier's state.
+ *
+ * @param {Object} params
+ * @param {string} [params.buyerGstin] - Recipient GSTIN
+ * @param {string} [params.boardingAddress] - Passenger boarding address
+ * @param {string} [params.supplierGstin] - Supplier GSTIN
+ * @returns {Object} { stateCode, stateName, basis }
+ */
+const resolvePlaceOfSupply = ({ buyerGstin, boardingAddress, supplierGstin = SUPPLIER_GSTIN } = {}) => {
+  let stateCode = null;
+  let basis = 'supplier_state';
+
+  if (buyerGstin && isValidGSTIN(buyerGstin)) {
+    stateCode = getStateCodeFromGSTIN(buyerGstin);
+    basis = 'recipient_gstin';
+  } else {
+    stateCode = getStateCodeFromAddress(boardingAddress);
+    if (stateCode) basis = 'boarding_point';
+  }
+
+  if (!stateCode) {
+    stateCode = getStateCodeFromGSTIN(supplierGstin);
+  }
+
+  return { stateCode, stateName: STATE_CODES[stateCode] || null, basis };
+};
+
+/**
+ * Calculate tax on a GST-inclusive amount
+ * Intra-state supplies split tax equally into CGST and SGST; inter-state
+ * supplies carry IGST.
+ *
+ * @param {number} amount - Amount including GST (INR)
+ * @param {number} rate - GST rate in percent
+ * @param {boolean} interState - Whether supply is inter-state
+ * @returns {Object} { taxableValue, cgst, sgst, igst, totalTax, total }
+ */
+const calculateInclusiveTax = (amount, rate, interState) => {
+  const total = Math.max(0, amount || 0);
+  const totalTax = Math.round(total * rate / (100 + rate));
+  const halfTax = totalTax / 2;
+
+  return {
+    taxableValue: total - totalTax,
+    cgst: interState ? 0 : halfTax,
+    sgst: interState ? 0 : halfTax,
+    igst: interState ? totalTax : 0,
+    totalTax,
+    total
+  };
+};
+
+/**
+ * Build a tax line for a supply
+ * @param {string} type - 'ride' or 'platform_fee'
+ * @param {number} amount - GST-inclusive amount
+ * @param {boolean} interState - Whether supply is inter-state
+ * @returns {Object} Tax line
+ */
+const buildTaxLine = (type, amount, interState) => {
+  const supply = SUPPLY_LINES[type];
+  const tax = calculateInclusiveTax(amount, supply.rate, interState);
+  return {
+    type,
+    description: supply.description,
+    sacCode: supply.sacCode,
+    rate: supply.rate,
+    cgstRate: interState ? 0 : supply.rate / 2,
+    sgstRate: interState ? 0 : supply.rate / 2,
+    igstRate: interState ? supply.rate : 0,
+    ...tax
+  };
+};
+
+/**
+ * Sum tax lines into document totals
+ * @param {Array} lines - Tax lines
+ * @returns {Object} { taxableValue, cgst, sgst, igst, totalTax, total }
+ */
+const sumTaxLines = (lines) => lines.reduce((totals, line) => ({
+  taxableValue: totals.taxableValue + line.taxableValue,
+  cgst: totals.cgst + line.cgst,
+  sgst: totals.sgst + line.sgst,
+  igst: totals.igst + line.igst,
+  totalTax: totals.totalTax + line.totalTax,
+  total: totals.total + line.total
+}), { taxableValue: 0, cgst: 0, sgst: 0, igst: 0, totalTax: 0, total: 0 });
+
+/**
+ * Calculate the GST breakdown of a booking
+ *
+ * @param {Object} params
+ * @param {number} params.rideAmount - Fare after discount (GST-inclusive)
+ * @param {number} [params.platformFee] - Platform fee (GST-inclusive)
+ * @param {string} [params.placeOfSupplyStateCode] - Place of supply state
+ * @param {string} [params.supplierGstin] - Supplier GSTIN
+ * @returns {Object} { supplyType, supplierStateCode, placeOfSupply, lines, totals }
+ */
+const calculateTaxBreakdown = ({ rideAmount, platformFee = 0, placeOfSupplyStateCode, supplierGstin = SUPPLIER_GSTIN }) => {
+  const supplierStateCode = getStateCodeFromGSTIN(supplierGstin);
+  const placeOfSupply = placeOfSupplyStateCode || supplierStateCode;
+  const interState = placeOfSupply !== supplierStateCode;
+
+  const lines = [buildTaxLine('ride', rideAmount, interState)];
+  if (platformFee > 0) {
+    lines.push(buildTaxLine('platform_fee', platformFee, interState));
+  }
+
+  return {
+    supplyType: interState ? 'inter_state' : 'intra_state',
+    supplierStateCode,
+    placeOfSupply,
+    lines,
+    totals: sumTaxLines(lines)
+  };
+};
+
+/**
+ * Allocate a refund across the original invoice lines
+ * The ride is credited first, then the platform fee, never exceeding what is
+ * left on each line after earlier credit notes.
+ *
+ * @param {Array} originalLines - Tax lines of the original invoice
+ * @param {number} refundAmount - Refund amount (GST-inclusive)
+ * @param {Object} [alreadyCredited] - Amount already credited per line type
+ * @returns {Array} Credit note tax lines
+ */
+const allocateCreditLines = (originalLines, refundAmount, alreadyCredited = {}) => {
+  let remaining = Math.max(0, refundAmount || 0);
+  const lines = [];
+
+  const ordered = [...originalLines].sort((a, b) =>
+    (a.type === 'ride' ? 0 : 1) - (b.type === 'ride' ? 0 : 1)
+  );
+
+  for (const original of ordered) {
+    if (remaining <= 0) break;
+    const available = Math.max(0, original.total - (alreadyCredited[original.type] || 0));
+    const credit = Math.min(available, remaining);
+    if (credit <= 0) continue;
+
+    const interState = original.igstRate > 0;
+    lines.push(buildTaxLine(original.type, credit, interState));
+    remaining -= credit;
+  }
+
+  return lines;
+};
+
+/**
+ * Get the Indian financial year (April-March) of a date in IST
+ * @param {Date} date - Date
+ * @returns {string} Financial year such as '2025-26'
+ */
+const getFinancialYear = (date = new Date()) => {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+  const year = ist.getUTCFullYear();
+  const startYear = ist.getUTCMonth() >= 3 ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Format a tax document number
+ * @param {string} documentType - 'tax_invoice' or 'credit_note'
+ * @param {string} financialYear - e.g. '2025-26'
+ * @param {number} sequence - Sequence within the financial year
+ * @returns {string} Document number such as INV-2526-000123
+ */
+const formatDocumentNumber = (documentType, financialYear, sequence) => {
+  const [start, end] = financialYear.split('-');
+  return `${DOCUMENT_PREFIXES[documentType]}-${start.slice(2)}${end}-${String(sequence).padStart(6, '0')}`;
+};
+
+/**
+ * Get the IST month boundaries for a return period
+ * @param {string} period - Month as YYYY-MM
+ * @returns {Object} { start, end } as UTC dates
+ */
+const getPeriodRange = (period) => {
+  const [year, month] = period.split('-').map(Number);
+  const offsetMs = IST_OFFSET_MINUTES * 60 * 1000;
+  return {
+    start: new Date(Date.UTC(year, month - 1, 1) - offsetMs),
+    end: new Date(Date.UTC(year, month, 1) - offsetMs)
+  };
+};
+
+module.exports = {
+  SUPPLIER_GSTIN,
+  SUPPLIER_LEGAL_NAME,
+  SUPPLIER_ADDRESS,
+  SUPPLY_LINES,
+  STATE_CODES,
+  calculateGstinChecksum,
+  isValidGSTIN,
+  getStateCodeFromGSTIN,
+  getStateCodeFromAddress,
+  resolvePlaceOfSupply,
+  calculateInclusiveTax,
+  calculateTaxBreakdown,
+  allocateCreditLines,
+  sumTaxLines,
+  getFinancialYear,
+  formatDocumentNumber,
+  getPeriodRange
+};
@@ -1,6 +1,7 @@
 /**
  * Invoice Service
- * Implements invoice generation and multi-channel delivery for bookings
+ * Implements GST tax invoice generation, credit notes for refunds and
+ * multi-channel delivery for bookings
  * 
  * Requirements: 6.1, 6.2, 6.3, 6.4, 6.5, 6.6
  */
@@ -9,6 +10,64 @@ const Invoice = require('../models/Invoice');
 const Booking = require('../models/Booking');
 const Trip = require('../models/Trip');
 const User = require('../models/User');
+const {
+  SUPPLIER_GSTIN,
+  SUPPLIER_LEGAL_NAME,
+  SUPPLIER_ADDRESS,
+  STATE_CODES,
+  isValidGSTIN,
+  getStateCodeFromGSTIN,
+  resolvePlaceOfSupply,
+  calculateTaxBreakdown,
+  allocateCreditLines,
+  sumTaxLines,
+  getFinancialYear,
+  formatDocumentNumber
+} = require('./gstService');
+
+/**
+ * Attempts to claim a document number before giving up (concurrent issues)
+ */
+const MAX_NUMBERING_ATTEMPTS = 3;
+
+/**
+ * Assign the next number in the document's financial-year series and save
+ * The unique series index rejects a number claimed concurrently; the next
+ * free number is then retried.
+ *
+ * @param {Object} invoice - Unsaved invoice or credit note document
+ * @returns {Promise<Object>} Saved document
+ */
+const saveWithDocumentNumber = async (invoice) => {
+  const financialYear = getFinancialYear(invoice.generatedAt);
+
+  for (let attempt = 1; ; attempt++) {
+    const sequence = await Invoice.getNextSequence(invoice.documentType, financialYear);
+    invoice.financialYear = financialYear;
+    invoice.sequence = sequence;
+    invoice.invoiceId = formatDocumentNumber(invoice.documentType, financialYear, sequence);
+
+    try {
+      return await invoice.save();
+    } catch (error) {
+      const seriesClash = error.code === 11000 && !error.keyPattern?.bookingId;
+      if (!seriesClash || attempt >= MAX_NUMBERING_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Supplier block printed on every tax document
+ * @returns {Object} Supplier details
+ */
+const getSupplierDetails = () => ({
+  legalName: SUPPLIER_LEGAL_NAME,
+  gstin: SUPPLIER_GSTIN,
+  stateCode: getStateCodeFromGSTIN(SUPPLIER_GSTIN),
+  address: SUPPLIER_ADDRESS
+});
 
 /**
  * Generate invoice for a confirmed booking
@@ -31,7 +90,7 @@ const generateInvoice = async (bookingId) => {
   }
 
   // Check if invoice already exists for this booking
-  const existingInvoice = await Invoice.findOne({ bookingId: booking._id });
+  const existingInvoice = await Invoice.findOne({ bookingId: booking._id, documentType: 'tax_invoice' });
   if (existingInvoice) {
     return { success: true, invoice: existingInvoice, existing: true };
   }
@@ -63,9 +122,6 @@ const generateInvoice = async (bookingId) => {
     throw error;
   }
 
-  // Generate invoice ID
-  const invoiceId = await Invoice.generateInvoiceId();
-
   // Extract driver details
   const driverDetails = {
     name: trip.driver?.userId?.name || 'Driver',
@@ -95,14 +151,46 @@ const generateInvoice = async (bookingId) => {
     }
   }
 
-  // Calculate fare breakdown
+  // B2B when the passenger supplied a valid GSTIN at booking
+  const buyerGstin = isValidGSTIN(booking.billing?.gstin) ? booking.billing.gstin : null;
+  const placeOfSupply = resolvePlaceOfSupply({
+    buyerGstin,
+    boardingAddress: booking.pickupPoint?.address || trip.source?.address
+  });
+
+  // Calculate fare breakdown, including any coupon applied at payment initiation
+  // and the platform fee charged by the booking's fee schedule
   const totalFare = booking.fare || 0;
-  const fareBreakdown = calculateFareBreakdown(totalFare);
+  const { gst, ...fareBreakdown } = calculateFareBreakdown(
+    totalFare,
+    booking.fareBreakdown?.discount || 0,
+    booking.fareBreakdown?.couponCode,
+    {
+      platformFee: booking.pricing?.passengerFee ?? booking.fareBreakdown?.platformFee ?? 0,
+      placeOfSupplyStateCode: placeOfSupply.stateCode
+    }
+  );
 
   // Create invoice
   const invoice = new Invoice({
-    invoiceId,
+    documentType: 'tax_invoice',
+    invoiceType: buyerGstin ? 'B2B' : 'B2C',
     bookingId: booking._id,
+    userId: passenger._id,
+    supplier: getSupplierDetails(),
+    buyer: {
+      name: passenger.name,
+      phone: passenger.phone,
+      email: passenger.email,
+      gstin: buyerGstin || undefined,
+      legalName: buyerGstin ? booking.billing.legalName : undefined
+    },
+    tax: {
+      supplyType: gst.supplyType,
+      placeOfSupply,
+      lines: gst.lines,
+      totals: gst.totals
+    },
     tripDetails: {
       tripId: trip.tripId,
       source: {
@@ -127,9 +215,19 @@ const generateInvoice = async (bookingId) => {
     generatedAt: new Date()
   });
 
+  try {
+    await saveWithDocumentNumber(invoice);
+  } catch (error) {
+    // Generated concurrently for the same booking
+    if (error.code === 11000 && error.keyPattern?.bookingId) {
+      const concurrent = await Invoice.findOne({ bookingId: booking._id, documentType: 'tax_invoice' });
+      return { success: true, invoice: concurrent, existing: true };
+    }
+    throw error;
+  }
+
   // Generate PDF URL (in production, this would generate actual PDF)
   invoice.pdfUrl = generatePdfUrl(invoice.invoiceId);
-
   await invoice.save();
 
   return {
@@ -141,22 +239,57 @@ const generateInvoice = async (bookingId) => {
 
 /**
  * Calculate fare breakdown from total fare
- * @param {number} totalFare - Total fare amount
- * @returns {Object} Fare breakdown with baseFare, distanceCharge, taxes, total
+ * Amounts are GST-inclusive. GST on the ride is charged on the fare after
+ * discount; the pre-tax fare is split into base fare (70%) and distance
+ * charge. The platform fee is shown at its taxable value, its GST in taxes.
+ *
+ * baseFare + distanceCharge + platformFee + taxes - discount = total
+ *
+ * @param {number} totalFare - Total fare amount before discount
+ * @param {number} [discount=0] - Coupon discount (capped at the fare)
+ * @param {string} [couponCode] - Coupon code that gave the discount
+ * @param {Object} [options] - { platformFee, placeOfSupplyStateCode }
+ * @returns {Object} Fare breakdown with baseFare, distanceCharge, platformFee, taxes, discount, total and gst
  */
-const calculateFareBreakdown = (totalFare) => {
-  // Calculate breakdown (approximate percentages)
-  // Base fare: 60%, Distance charge: 25%, Taxes: 15%
-  const baseFare = Math.round(totalFare * 0.60);
-  const distanceCharge = Math.round(totalFare * 0.25);
-  const taxes = totalFare - baseFare - distanceCharge;
+const calculateFareBreakdown = (totalFare, discount = 0, couponCode = null, options = {}) => {
+  const appliedDiscount = Math.max(0, Math.min(discount, totalFare));
 
-  return {
+  const gst = calculateTaxBreakdown({
+    rideAmount: totalFare - appliedDiscount,
+    platformFee: options.platformFee || 0,
+    placeOfSupplyStateCode: options.placeOfSupplyStateCode
+  });
+  const rideLine = gst.lines.find(line => line.type === 'ride');
+  const platformLine = gst.lines.find(line => line.type === 'platform_fee');
+
+  const preTaxFare = totalFare - rideLine.totalTax;
+  const baseFare = Math.round(preTaxFare * 0.70);
+  const distanceCharge = preTaxFare - baseFare;
+
+  const breakdown = {
     baseFare,
     distanceCharge,
-    taxes,
-    total: totalFare
+    platformFee: platformLine ? platformLine.taxableValue : 0,
+    taxes: gst.totals.totalTax,
+    discount: appliedDiscount,
+    total: gst.totals.total,
+    gst
   };
+
+  if (couponCode && appliedDiscount > 0) {
+    breakdown.couponCode = couponCode;
+  }
+
+  return breakdown;
+};
+
+/**
+ * Format the discount label for invoice templates
+ * @param {Object} fareBreakdown - Invoice fare breakdown
+ * @returns {string} Label such as "Discount (WELCOME50)"
+ */
+const formatDiscountLabel = (fareBreakdown) => {
+  return fareBreakdown.couponCode ? `Discount (${fareBreakdown.couponCode})` : 'Discount';
 };
 
 /**
@@ -178,12 +311,50 @@ const generatePdfUrl = (invoiceId) => {
   return `${baseUrl}/invoices/${invoiceId}/pdf`;
 };
 
+/**
+ * Render the GST section of a tax document
+ * @param {Object} invoice - Invoice or credit note
+ * @returns {string} HTML rows (empty for documents without tax lines)
+ */
+const renderTaxSection = (invoice) => {
+  const lines = invoice.tax?.lines || [];
+  if (lines.length === 0) return '';
+
+  const interState = invoice.tax.supplyType === 'inter_state';
+  const pos = invoice.tax.placeOfSupply || {};
+  const rows = lines.map(line => `
+      <tr>
+        <td>${line.description} (SAC ${line.sacCode})</td>
+        <td>₹${line.taxableValue}</td>
+        ${interState
+          ? `<td>IGST ${line.igstRate}%: ₹${line.igst}</td>`
+          : `<td>CGST ${line.cgstRate}%: ₹${line.cgst} / SGST ${line.sgstRate}%: ₹${line.sgst}</td>`}
+        <td>₹${line.total}</td>
+      </tr>`).join('');
+
+  return `
+  <div class="section">
+    <div class="section-title">GST Details</div>
+    <div class="row"><span class="label">Supplier GSTIN:</span><span class="value">${invoice.supplier?.gstin || 'N/A'}</span></div>
+    ${invoice.buyer?.gstin ? `<div class="row"><span class="label">Recipient GSTIN:</span><span class="value">${invoice.buyer.gstin} (${invoice.buyer.legalName || invoice.buyer.name || ''})</span></div>` : ''}
+    <div class="row"><span class="label">Place of Supply:</span><span class="value">${pos.stateCode || ''}-${pos.stateName || STATE_CODES[pos.stateCode] || 'N/A'}</span></div>
+    <table class="fare-table">
+      <tr><td class="label">Supply</td><td class="label">Taxable Value</td><td class="label">Tax</td><td class="label">Total</td></tr>
+      ${rows}
+      <tr class="total"><td>Total</td><td>₹${invoice.tax.totals?.taxableValue}</td><td>₹${invoice.tax.totals?.totalTax}</td><td>₹${invoice.tax.totals?.total}</td></tr>
+    </table>
+  </div>`;
+};
+
 /**
  * Generate PDF content for invoice (HTML template)
  * @param {Object} invoice - Invoice document
  * @returns {string} HTML content for PDF generation
  */
 const generatePdfContent = (invoice) => {
+  const isCreditNote = invoice.documentType === 'credit_note';
+  const documentTitle = isCreditNote ? 'Credit Note' : 'Tax Invoice';
+
   const scheduledDate = invoice.tripDetails.scheduledAt 
     ? new Date(invoice.tripDetails.scheduledAt).toLocaleDateString('en-IN', {
         weekday: 'long',
@@ -205,7 +376,7 @@ const generatePdfContent = (invoice) => {
 <html>
 <head>
   <meta charset="utf-8">
-  <title>HushRyd Invoice - ${invoice.invoiceId}</title>
+  <title>HushRyd ${documentTitle} - ${invoice.invoiceId}</title>
   <style>
     body { font-family: Arial, sans-serif; margin: 40px; color: #333; }
     .header { text-align: center; margin-bottom: 30px; }
@@ -227,8 +398,11 @@ const generatePdfContent = (invoice) => {
 <body>
   <div class="header">
     <div class="logo">HushRyd</div>
-    <div class="invoice-id">Invoice: ${invoice.invoiceId}</div>
-    <div class="invoice-id">Generated: ${new Date(invoice.generatedAt).toLocaleString('en-IN')}</div>
+    <div class="invoice-id">${documentTitle}: ${invoice.invoiceId}</div>
+    ${isCreditNote ? `<div class="invoice-id">Against Invoice: ${invoice.originalInvoiceNumber}</div>
+    <div class="invoice-id">Reason: ${invoice.creditNote?.reason || 'Refund'}</div>` : ''}
+    <div class="invoice-id">Date: ${new Date(invoice.generatedAt).toLocaleString('en-IN')}</div>
+    ${invoice.supplier?.legalName ? `<div class="invoice-id">${invoice.supplier.legalName}, ${invoice.supplier.address || ''}</div>` : ''}
   </div>
 
   <div class="section">
@@ -240,7 +414,7 @@ const generatePdfContent = (invoice) => {
     <div class="row"><span class="label">Time:</span><span class="value">${scheduledTime}</span></div>
   </div>
 
-  <div class="section">
+  ${invoice.driverDetails?.name ? `<div class="section">
     <div class="section-title">Driver Details</div>
     <div class="row"><span class="label">Name:</span><span class="value">${invoice.driverDetails.name}</span></div>
     <div class="row"><span class="label">Phone:</span><span class="value">${invoice.driverDetails.phone}</span></div>
@@ -252,23 +426,27 @@ const generatePdfContent = (invoice) => {
     <div class="row"><span class="label">Vehicle:</span><span class="value">${invoice.vehicleDetails.make} ${invoice.vehicleDetails.model}</span></div>
     <div class="row"><span class="label">Color:</span><span class="value">${invoice.vehicleDetails.color}</span></div>
     <div class="row"><span class="label">Plate Number:</span><span class="value">${invoice.vehicleDetails.plateNumber}</span></div>
-  </div>
+  </div>` : ''}
 
   <div class="section">
     <div class="section-title">Fare Breakdown</div>
     <table class="fare-table">
       <tr><td class="label">Base Fare</td><td class="value">₹${invoice.fareBreakdown.baseFare}</td></tr>
       <tr><td class="label">Distance Charge</td><td class="value">₹${invoice.fareBreakdown.distanceCharge}</td></tr>
-      <tr><td class="label">Taxes & Fees</td><td class="value">₹${invoice.fareBreakdown.taxes}</td></tr>
+      ${invoice.fareBreakdown.platformFee > 0 ? `<tr><td class="label">Platform Fee</td><td class="value">₹${invoice.fareBreakdown.platformFee}</td></tr>` : ''}
+      <tr><td class="label">GST</td><td class="value">₹${invoice.fareBreakdown.taxes}</td></tr>
+      ${invoice.fareBreakdown.discount > 0 ? `<tr><td class="label">${formatDiscountLabel(invoice.fareBreakdown)}</td><td class="value">-₹${invoice.fareBreakdown.discount}</td></tr>` : ''}
       <tr class="total"><td>Total</td><td>₹${invoice.fareBreakdown.total}</td></tr>
     </table>
   </div>
 
-  <div class="verification-code">
+${renderTaxSection(invoice)}
+
+  ${!isCreditNote && invoice.verificationCode ? `<div class="verification-code">
     <div>Your Verification Code</div>
     <div class="code">${invoice.verificationCode}</div>
     <div style="font-size: 12px; color: #666; margin-top: 5px;">Share this code with your driver when boarding</div>
-  </div>
+  </div>` : ''}
 
   <div class="footer">
     <p>Thank you for choosing HushRyd!</p>
@@ -308,7 +486,7 @@ const getInvoiceByBooking = async (bookingId) => {
     throw error;
   }
 
-  const invoice = await Invoice.findOne({ bookingId: booking._id });
+  const invoice = await Invoice.findOne({ bookingId: booking._id, documentType: 'tax_invoice' });
   if (!invoice) {
     const error = new Error('Invoice not found for this booking');
     error.code = 'INVOICE_NOT_FOUND';
@@ -316,7 +494,122 @@ const getInvoiceByBooking = async (bookingId) => {
     throw error;
   }
 
-  return { success: true, invoice };
+  const creditNotes = await Invoice.find({ originalInvoice: invoice._id, documentType: 'credit_note' })
+    .sort({ generatedAt: 1 });
+
+  return { success: true, invoice, creditNotes };
+};
+
+/**
+ * Issue a credit note against a booking's tax invoice for a refund
+ * The refund is credited to the ride first, then the platform fee, at the
+ * original invoice's rates and place of supply. The tax invoice is generated
+ * first if the booking was paid but never invoiced. Issuing again with the
+ * same refund reference returns the existing credit note.
+ *
+ * @param {Object|string} bookingRef - Booking document or booking ID
+ * @param {Object} refund - Refund details
+ * @param {number} refund.amount - Refunded amount (INR)
+ * @param {string} refund.reason - Reason printed on the credit note
+ * @param {string} refund.source - passenger_cancellation, driver_cancellation or admin_refund
+ * @param {string} [refund.refundReference] - Refund transaction reference
+ * @returns {Promise<Object>} { success, creditNote, skipped }
+ */
+const issueCreditNote = async (bookingRef, { amount, reason, source, refundReference } = {}) => {
+  if (!(amount > 0)) {
+    return { success: true, creditNote: null, skipped: true };
+  }
+
+  const booking = bookingRef?._id
+    ? bookingRef
+    : await Booking.findByBookingId(String(bookingRef));
+  if (!booking) {
+    const error = new Error('Booking not found');
+    error.code = 'BOOKING_NOT_FOUND';
+    error.statusCode = 404;
+    throw error;
+  }
+
+  let original = await Invoice.findOne({ bookingId: booking._id, documentType: 'tax_invoice' });
+  if (!original) {
+    const generated = await generateInvoice(booking.bookingId || booking._id.toString());
+    original = generated.invoice;
+  }
+
+  if (refundReference) {
+    const existing = await Invoice.findOne({
+      originalInvoice: original._id,
+      documentType: 'credit_note',
+      'creditNote.refundReference': refundReference
+    });
+    if (existing) {
+      return { success: true, creditNote: existing, skipped: false, existing: true };
+    }
+  }
+
+  // Invoices issued before GST lines existed are credited as a ride supply
+  const originalLines = original.tax?.lines?.length
+    ? original.tax.lines
+    : calculateTaxBreakdown({
+      rideAmount: original.fareBreakdown?.total || 0,
+      placeOfSupplyStateCode: original.tax?.placeOfSupply?.stateCode
+    }).lines;
+
+  const previousNotes = await Invoice.find({ originalInvoice: original._id, documentType: 'credit_note' });
+  const alreadyCredited = {};
+  for (const note of previousNotes) {
+    for (const line of note.tax?.lines || []) {
+      alreadyCredited[line.type] = (alreadyCredited[line.type] || 0) + line.total;
+    }
+  }
+
+  const lines = allocateCreditLines(originalLines, amount, alreadyCredited);
+  if (lines.length === 0) {
+    return { success: true, creditNote: null, skipped: true };
+  }
+
+  const totals = sumTaxLines(lines);
+  const rideLine = lines.find(line => line.type === 'ride');
+  const platformLine = lines.find(line => line.type === 'platform_fee');
+
+  const creditNote = new Invoice({
+    documentType: 'credit_note',
+    invoiceType: original.invoiceType,
+    bookingId: original.bookingId,
+    userId: original.userId,
+    originalInvoice: original._id,
+    originalInvoiceNumber: original.invoiceId,
+    creditNote: {
+      reason: reason || 'Refund',
+      source,
+      refundAmount: amount,
+      refundReference
+    },
+    supplier: original.supplier?.gstin ? original.supplier : getSupplierDetails(),
+    buyer: original.buyer,
+    tax: {
+      supplyType: lines[0].igstRate > 0 ? 'inter_state' : 'intra_state',
+      placeOfSupply: original.tax?.placeOfSupply,
+      lines,
+      totals
+    },
+    tripDetails: original.tripDetails,
+    fareBreakdown: {
+      baseFare: rideLine ? rideLine.taxableValue : 0,
+      distanceCharge: 0,
+      platformFee: platformLine ? platformLine.taxableValue : 0,
+      taxes: totals.totalTax,
+      discount: 0,
+      total: totals.total
+    },
+    generatedAt: new Date()
+  });
+
+  await saveWithDocumentNumber(creditNote);
+  creditNote.pdfUrl = generatePdfUrl(creditNote.invoiceId);
+  await creditNote.save();
+
+  return { success: true, creditNote, skipped: false };
 };
 
 /**
@@ -559,7 +852,7 @@ Plate: ${invoice.vehicleDetails.plateNumber}
 Base Fare: ₹${invoice.fareBreakdown.baseFare}
 Distance: ₹${invoice.fareBreakdown.distanceCharge}
 Taxes: ₹${invoice.fareBreakdown.taxes}
-*Total: ₹${invoice.fareBreakdown.total}*
+${invoice.fareBreakdown.discount > 0 ? `${formatDiscountLabel(invoice.fareBreakdown)}: -₹${invoice.fareBreakdown.discount}\n` : ''}*Total: ₹${invoice.fareBreakdown.total}*
 
 Thank you for choosing HushRyd! 🙏`;
 };
@@ -606,7 +899,7 @@ Fare Breakdown:
 - Base Fare: ₹${invoice.fareBreakdown.baseFare}
 - Distance Charge: ₹${invoice.fareBreakdown.distanceCharge}
 - Taxes & Fees: ₹${invoice.fareBreakdown.taxes}
-- Total: ₹${invoice.fareBreakdown.total}
+${invoice.fareBreakdown.discount > 0 ? `- ${formatDiscountLabel(invoice.fareBreakdown)}: -₹${invoice.fareBreakdown.discount}\n` : ''}- Total: ₹${invoice.fareBreakdown.total}
 
 Please share your verification code (${invoice.verificationCode}) with the driver when boarding.
 
@@ -783,6 +1076,7 @@ module.exports = {
   generatePdfContent,
   getInvoice,
   getInvoiceByBooking,
+  issueCreditNote,
   validateInvoiceCompleteness,
   sendInvoice,
   formatWhatsAppInvoice,
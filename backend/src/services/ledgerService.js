@@ -0,0 +1,909 @@
+/**
+ * Ledger Service
+ * Double-entry ledger for wallet, payment, cancellation and payout money
+ * movements, the daily trial balance and wallet reconciliation
+ *
+ * Money flow through the accounts:
+ * - Passengers pay into fares_escrow, from the gateway (gateway_clearing) or
+ *   their wallet (wallet_cash / wallet_promo)
+ * - Trip completion settles escrow into the driver's payable, platform
+ *   revenue, GST and TDS; the driver advance paid at trip start is debited
+ *   to the payable up front
+ * - Refunds return escrow through the gateway; cancellation and no-show
+ *   charges that are kept move to revenue (and the driver's payable)
+ * - Payouts clear the driver's payable
+ * - Cashback, referral rewards and promo credits are platform expenses
+ *   credited to the passenger's wallet; expired promo credit reverses them
+ * - Wallet balances held before the ledger went live are posted once as
+ *   opening balances against opening_balance_equity
+ *
+ * Posting never blocks the money movement itself: failures are logged, and
+ * the trial balance and wallet reconciliation surface any gap.
+ */
+
+const LedgerEntry = require('../models/LedgerEntry');
+const TrialBalance = require('../models/TrialBalance');
+const Wallet = require('../models/Wallet');
+
+/**
+ * Chart of accounts: account class -> account type
+ * Holder-specific accounts are '<class>:<id>'.
+ */
+const ACCOUNT_CLASSES = {
+  gateway_clearing: 'asset',
+  wallet_cash: 'liability',
+  wallet_promo: 'liability',
+  fares_escrow: 'liability',
+  driver_payable: 'liability',
+  driver_wallet: 'liability',
+  gst_payable: 'liability',
+  tds_payable: 'liability',
+  platform_revenue: 'revenue',
+  cancellation_revenue: 'revenue',
+  cashback_expense: 'expense',
+  referral_expense: 'expense',
+  promo_expense: 'expense',
+  coupon_expense: 'expense',
+  driver_adjustment_expense: 'expense',
+  opening_balance_equity: 'equity'
+};
+
+/**
+ * Largest difference (₹) treated as rounding
+ */
+const TOLERANCE = 0.01;
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build an error with code and HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error object
+ */
+const createError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Account name for a class, optionally for one holder
+ * @param {string} accountClass - Account class
+ * @param {string} [holderId] - User or driver ID
+ * @returns {string} Account name
+ */
+const account = (accountClass, holderId) =>
+  holderId ? `${accountClass}:${holderId.toString()}` : accountClass;
+
+/**
+ * Account class of an account name
+ * @param {string} name - Account name
+ * @returns {string} Account class
+ */
+const getAccountClass = (name) => String(name).split(':')[0];
+
+/**
+ * Amount a passenger paid for a booking (fare plus fees and taxes, less
+ * discounts)
+ * @param {Object} booking - Booking
+ * @returns {number} Amount collected
+ */
+const getCollectedAmount = (booking) => booking.fareBreakdown?.totalFare ?? booking.fare ?? 0;
+
+/**
+ * Turn signed postings into journal lines
+ * Positive amounts are debits and negative amounts credits. Postings to the
+ * same account are netted and zero lines dropped. When the postings balance,
+ * the paise lost to rounding are absorbed by the largest line so the lines
+ * balance too.
+ *
+ * @param {Array} postings - [{ account, amount }]
+ * @returns {Array} Lines [{ account, debit, credit }]
+ */
+const toJournalLines = (postings) => {
+  const net = new Map();
+  for (const { account: name, amount } of postings) {
+    if (!name || !Number.isFinite(amount)) continue;
+    net.set(name, (net.get(name) || 0) + amount);
+  }
+
+  const rawTotal = [...net.values()].reduce((sum, amount) => sum + amount, 0);
+  const rounded = [...net.entries()]
+    .map(([name, amount]) => ({ account: name, amount: roundAmount(amount) }));
+
+  const residual = roundAmount(rounded.reduce((sum, line) => sum + line.amount, 0));
+  if (Math.abs(rawTotal) < 0.005 && residual !== 0 && rounded.length > 0) {
+    const largest = rounded.reduce((max, line) => (Math.abs(line.amount) > Math.abs(max.amount) ? line : max));
+    largest.amount = roundAmount(largest.amount - residual);
+  }
+
+  return rounded
+    .filter(line => line.amount !== 0)
+    .map(line => ({
+      account: line.account,
+      debit: line.amount > 0 ? line.amount : 0,
+      credit: line.amount < 0 ? -line.amount : 0
+    }));
+};
+
+/**
+ * Check that journal lines balance
+ * @param {Array} lines - [{ debit, credit }]
+ * @returns {Object} { balanced, totalDebits, totalCredits }
+ */
+const checkBalance = (lines) => {
+  const totalDebits = roundAmount(lines.reduce((sum, l) => sum + (l.debit || 0), 0));
+  const totalCredits = roundAmount(lines.reduce((sum, l) => sum + (l.credit || 0), 0));
+  return {
+    balanced: lines.length >= 2 && totalDebits > 0 && Math.abs(totalDebits - totalCredits) < 0.005,
+    totalDebits,
+    totalCredits
+  };
+};
+
+// ============================================
+// Entry builders (signed postings)
+// ============================================
+
+/**
+ * Wallet credit funded by the platform (cashback, referral or promo)
+ * @param {Object} params - { userId, amount, bucket: 'cash'|'promo', source }
+ * @returns {Array} Postings
+ */
+const walletCreditPostings = ({ userId, amount, bucket, source }) => {
+  const expense = bucket === 'promo'
+    ? 'promo_expense'
+    : source === 'referral' ? 'referral_expense' : 'cashback_expense';
+  return [
+    { account: expense, amount },
+    { account: account(bucket === 'promo' ? 'wallet_promo' : 'wallet_cash', userId), amount: -amount }
+  ];
+};
+
+/**
+ * Wallet balance applied to a fare
+ * @param {Object} params - { userId, fromCash, fromPromo }
+ * @returns {Array} Postings
+ */
+const walletDebitPostings = ({ userId, fromCash = 0, fromPromo = 0 }) => [
+  { account: account('wallet_cash', userId), amount: fromCash },
+  { account: account('wallet_promo', userId), amount: fromPromo },
+  { account: 'fares_escrow', amount: -(fromCash + fromPromo) }
+];
+
+/**
+ * Fare paid through the payment gateway
+ * @param {number} amount - Amount collected
+ * @returns {Array} Postings
+ */
+const gatewayCollectionPostings = (amount) => [
+  { account: 'gateway_clearing', amount },
+  { account: 'fares_escrow', amount: -amount }
+];
+
+/**
+ * Refund of a paid fare through the payment gateway
+ * @param {number} amount - Amount refunded
+ * @returns {Array} Postings
+ */
+const refundPostings = (amount) => [
+  { account: 'fares_escrow', amount },
+  { account: 'gateway_clearing', amount: -amount }
+];
+
+/**
+ * Trip completion: settle the completed bookings' escrow
+ * The driver is credited with the fare less commission and TDS; the
+ * passenger-side fee is whatever was collected beyond the fare and GST, plus
+ * any coupon discount the platform funded.
+ *
+ * @param {Object} params - { driverId, bookings, platformFee, tdsAmount }
+ * @returns {Array} Postings
+ */
+const tripSettlementPostings = ({ driverId, bookings, platformFee = 0, tdsAmount = 0 }) => {
+  let collected = 0;
+  let fare = 0;
+  let taxes = 0;
+  let discount = 0;
+  for (const booking of bookings) {
+    collected += getCollectedAmount(booking);
+    fare += booking.fare || 0;
+    taxes += booking.fareBreakdown?.taxes || 0;
+    discount += booking.fareBreakdown?.discount || 0;
+  }
+  const passengerFee = collected + discount - fare - taxes;
+
+  return [
+    { account: 'fares_escrow', amount: collected },
+    { account: 'coupon_expense', amount: discount },
+    { account: account('driver_payable', driverId), amount: -(fare - platformFee - tdsAmount) },
+    { account: 'platform_revenue', amount: -(platformFee + passengerFee) },
+    { account: 'gst_payable', amount: -taxes },
+    { account: 'tds_payable', amount: -tdsAmount }
+  ];
+};
+
+/**
+ * Charge kept from a cancelled or no-show booking
+ * The driver's share is credited net of TDS.
+ *
+ * @param {Object} params - { amount, driverId, driverShare, tdsAmount, revenueAccount }
+ * @returns {Array} Postings
+ */
+const retainedChargePostings = ({ amount, driverId, driverShare = 0, tdsAmount = 0, revenueAccount = 'platform_revenue' }) => [
+  { account: 'fares_escrow', amount },
+  { account: account('driver_payable', driverId), amount: -(driverShare - tdsAmount) },
+  { account: 'tds_payable', amount: -tdsAmount },
+  { account: revenueAccount, amount: -(amount - driverShare) }
+];
+
+/**
+ * Opening balance of a wallet bucket held before the ledger went live
+ * @param {Object} params - { userId, amount, bucket: 'cash'|'promo' }
+ * @returns {Array} Postings
+ */
+const openingBalancePostings = ({ userId, amount, bucket }) => [
+  { account: 'opening_balance_equity', amount },
+  { account: account(bucket === 'promo' ? 'wallet_promo' : 'wallet_cash', userId), amount: -amount }
+];
+
+// ============================================
+// Posting
+// ============================================
+
+/**
+ * Post a balanced journal entry
+ * Posting the same source key again returns the existing entry.
+ *
+ * @param {Object} entry - { sourceKey, type, description, postings, bookingId, tripId, userId, driverId, postedAt }
+ * @returns {Promise<Object|null>} Ledger entry (null when every posting nets to zero)
+ */
+const postEntry = async ({ sourceKey, type, description, postings, ...refs }) => {
+  const lines = toJournalLines(postings);
+  if (lines.length === 0) return null;
+
+  const { balanced, totalDebits, totalCredits } = checkBalance(lines);
+  if (!balanced) {
+    throw createError('UNBALANCED_ENTRY', `Entry ${sourceKey} does not balance (Dr ${totalDebits}, Cr ${totalCredits})`);
+  }
+
+  try {
+    return await LedgerEntry.create({ sourceKey, type, description, lines, ...refs });
+  } catch (error) {
+    // Posted already (retry or concurrent delivery)
+    if (error.code === 11000) {
+      return LedgerEntry.findOne({ sourceKey });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Post an entry, logging instead of throwing on failure
+ * @param {Object} entry - See postEntry
+ * @returns {Promise<Object|null>} Ledger entry, or null
+ */
+const recordEntry = async (entry) => {
+  try {
+    return await postEntry(entry);
+  } catch (error) {
+    console.error(`[Ledger] Failed to post ${entry.sourceKey}:`, error.message);
+    return null;
+  }
+};
+
+const recordWalletCredit = ({ transactionId, userId, amount, bucket = 'cash', source = 'cashback' }) =>
+  recordEntry({
+    sourceKey: `wallet_credit:${transactionId}`,
+    type: 'wallet_credit',
+    description: `${bucket === 'promo' ? 'Promo credit' : 'Wallet credit'} (${source})`,
+    postings: walletCreditPostings({ userId, amount, bucket, source }),
+    userId
+  });
+
+const recordWalletDebit = ({ transactionId, userId, fromCash, fromPromo, bookingId }) =>
+  recordEntry({
+    sourceKey: `wallet_debit:${transactionId}`,
+    type: 'wallet_debit',
+    description: 'Wallet applied to fare',
+    postings: walletDebitPostings({ userId, fromCash, fromPromo }),
+    userId,
+    bookingId
+  });
+
+const recordPromoExpiry = ({ transactionId, userId, amount }) =>
+  recordEntry({
+    sourceKey: `promo_expiry:${transactionId}`,
+    type: 'promo_expiry',
+    description: 'Expired promotional credit',
+    postings: [
+      { account: account('wallet_promo', userId), amount },
+      { account: 'promo_expense', amount: -amount }
+    ],
+    userId
+  });
+
+const recordGatewayCollection = ({ paymentId, amount, bookingId, tripId, userId }) =>
+  recordEntry({
+    sourceKey: `gateway_collection:${paymentId}`,
+    type: 'gateway_collection',
+    description: 'Fare collected through the payment gateway',
+    postings: gatewayCollectionPostings(amount),
+    bookingId,
+    tripId,
+    userId
+  });
+
+const recordDriverAdvance = ({ tripId, driverId, amount }) =>
+  recordEntry({
+    sourceKey: `driver_advance:${tripId}`,
+    type: 'driver_advance',
+    description: 'Driver advance at trip start',
+    postings: [
+      { account: account('driver_payable', driverId), amount },
+      { account: 'gateway_clearing', amount: -amount }
+    ],
+    tripId,
+    driverId
+  });
+
+const recordTripSettlement = ({ tripId, driverId, bookings, platformFee, tdsAmount }) =>
+  recordEntry({
+    sourceKey: `trip_settlement:${tripId}`,
+    type: 'trip_settlement',
+    description: `Trip settled for ${bookings.length} booking(s)`,
+    postings: tripSettlementPostings({ driverId, bookings, platformFee, tdsAmount }),
+    tripId,
+    driverId
+  });
+
+const recordRefund = ({ refundId, amount, bookingId, tripId, userId, reason }) =>
+  recordEntry({
+    sourceKey: `refund:${refundId}`,
+    type: 'refund',
+    description: reason ? `Refund: ${reason}` : 'Refund',
+    postings: refundPostings(amount),
+    bookingId,
+    tripId,
+    userId
+  });
+
+const recordCancellationCharge = ({ bookingId, tripId, userId, amount }) =>
+  recordEntry({
+    sourceKey: `cancellation_charge:${bookingId}`,
+    type: 'cancellation_charge',
+    description: 'Cancellation charge kept',
+    postings: retainedChargePostings({ amount, revenueAccount: 'cancellation_revenue' }),
+    bookingId,
+    tripId,
+    userId
+  });
+
+const recordNoShowCharge = ({ bookingId, tripId, userId, driverId, amount, driverShare, tdsAmount }) =>
+  recordEntry({
+    sourceKey: `no_show_charge:${bookingId}`,
+    type: 'no_show_charge',
+    description: 'No-show charge kept',
+    postings: retainedChargePostings({ amount, driverId, driverShare, tdsAmount }),
+    bookingId,
+    tripId,
+    userId,
+    driverId
+  });
+
+/**
+ * Put an overturned no-show charge back in escrow so it can be refunded
+ * The driver's share comes back through the compensating adjustment.
+ */
+const recordNoShowReversal = ({ bookingId, tripId, userId, amount, driverShare = 0 }) =>
+  recordEntry({
+    sourceKey: `no_show_reversal:${bookingId}`,
+    type: 'no_show_reversal',
+    description: 'No-show overturned',
+    postings: [
+      { account: 'platform_revenue', amount: amount - driverShare },
+      { account: 'driver_adjustment_expense', amount: driverShare },
+      { account: 'fares_escrow', amount: -amount }
+    ],
+    bookingId,
+    tripId,
+    userId
+  });
+
+const recordDriverAdjustment = ({ earningId, driverId, amount, reason }) =>
+  recordEntry({
+    sourceKey: `driver_adjustment:${earningId}`,
+    type: 'driver_adjustment',
+    description: reason || 'Earnings adjustment',
+    postings: [
+      { account: 'driver_adjustment_expense', amount },
+      { account: account('driver_payable', driverId), amount: -amount }
+    ],
+    driverId
+  });
+
+const recordDriverPayout = ({ payoutId, driverId, amount, destination }) =>
+  recordEntry({
+    sourceKey: `driver_payout:${payoutId}`,
+    type: 'driver_payout',
+    description: `Driver payout ${payoutId}`,
+    postings: [
+      { account: account('driver_payable', driverId), amount },
+      { account: destination === 'bank_account' ? 'gateway_clearing' : account('driver_wallet', driverId), amount: -amount }
+    ],
+    driverId
+  });
+
+// ============================================
+// Balances, trial balance and reconciliation
+// ============================================
+
+/**
+ * Sum debits and credits per account
+ * @param {Object} options - { asOf, accountPrefix }
+ * @returns {Promise<Array>} [{ account, debit, credit }]
+ */
+const getAccountTotals = async ({ asOf, accountPrefix } = {}) => {
+  const match = {};
+  if (asOf) match.postedAt = { $lt: asOf };
+  if (accountPrefix) match['lines.account'] = { $regex: `^${accountPrefix}` };
+
+  const rows = await LedgerEntry.aggregate([
+    { $match: match },
+    { $unwind: '$lines' },
+    ...(accountPrefix ? [{ $match: { 'lines.account': { $regex: `^${accountPrefix}` } } }] : []),
+    {
+      $group: {
+        _id: '$lines.account',
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' }
+      }
+    }
+  ]);
+
+  return rows.map(row => ({ account: row._id, debit: roundAmount(row.debit), credit: roundAmount(row.credit) }));
+};
+
+/**
+ * Build a trial balance from per-account totals
+ * @param {Array} totals - [{ account, debit, credit }]
+ * @returns {Object} { accounts, totalDebits, totalCredits, balanced }
+ */
+const buildTrialBalance = (totals) => {
+  const byClass = new Map();
+  for (const { account: name, debit, credit } of totals) {
+    const accountClass = getAccountClass(name);
+    const row = byClass.get(accountClass) || { accountClass, accountType: ACCOUNT_CLASSES[accountClass] || 'unknown', debit: 0, credit: 0 };
+    row.debit += debit;
+    row.credit += credit;
+    byClass.set(accountClass, row);
+  }
+
+  const accounts = [...byClass.values()]
+    .map(row => {
+      const debitNormal = ['asset', 'expense'].includes(row.accountType);
+      return {
+        ...row,
+        debit: roundAmount(row.debit),
+        credit: roundAmount(row.credit),
+        balance: roundAmount(debitNormal ? row.debit - row.credit : row.credit - row.debit)
+      };
+    })
+    .sort((a, b) => a.accountClass.localeCompare(b.accountClass));
+
+  const totalDebits = roundAmount(accounts.reduce((sum, a) => sum + a.debit, 0));
+  const totalCredits = roundAmount(accounts.reduce((sum, a) => sum + a.credit, 0));
+
+  return {
+    accounts,
+    totalDebits,
+    totalCredits,
+    balanced: Math.abs(totalDebits - totalCredits) < TOLERANCE
+  };
+};
+
+/**
+ * Compare wallet counters with their ledger balances
+ * Wallet accounts are liabilities, so the ledger balance is credits less debits.
+ *
+ * @param {Array} wallets - [{ userId, promoBalance, nonPromoBalance }]
+ * @param {Map} ledgerBalances - account -> balance
+ * @returns {Array} Mismatches { userId, counter, ledger, difference } per bucket
+ */
+const reconcileWallets = (wallets, ledgerBalances) => {
+  const mismatches = [];
+  for (const wallet of wallets) {
+    const userId = wallet.userId.toString();
+    const cash = ledgerBalances.get(account('wallet_cash', userId)) || 0;
+    const promo = ledgerBalances.get(account('wallet_promo', userId)) || 0;
+    const cashDiff = roundAmount((wallet.nonPromoBalance || 0) - cash);
+    const promoDiff = roundAmount((wallet.promoBalance || 0) - promo);
+
+    if (Math.abs(cashDiff) >= TOLERANCE || Math.abs(promoDiff) >= TOLERANCE) {
+      mismatches.push({
+        userId,
+        walletId: wallet._id,
+        counters: { nonPromoBalance: wallet.nonPromoBalance || 0, promoBalance: wallet.promoBalance || 0 },
+        ledger: { nonPromoBalance: roundAmount(cash), promoBalance: roundAmount(promo) },
+        difference: { nonPromoBalance: cashDiff, promoBalance: promoDiff }
+      });
+    }
+  }
+  return mismatches;
+};
+
+/**
+ * Ledger balance of the given accounts
+ * @param {Array<string>} names - Account names
+ * @returns {Promise<Map>} account -> balance (credits less debits)
+ */
+const getLedgerBalances = async (names) => {
+  const rows = await LedgerEntry.aggregate([
+    { $match: { 'lines.account': { $in: names } } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': { $in: names } } },
+    {
+      $group: {
+        _id: '$lines.account',
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' }
+      }
+    }
+  ]);
+  return new Map(rows.map(row => [row._id, roundAmount(row.credit - row.debit)]));
+};
+
+/**
+ * Aggregation stages that total each wallet's counters and ledger balances
+ * Wallets are unioned with their ledger lines and grouped by user, so the
+ * comparison runs in the database. Users with ledger lines but no wallet are
+ * dropped, as are wallets with no lines and empty counters.
+ *
+ * @returns {Array} Pipeline stages, one row per candidate wallet
+ */
+const walletBalancesPipeline = () => {
+  const accountParts = { $split: ['$lines.account', ':'] };
+  const walletBalance = (accountClass) => ({
+    $cond: [
+      { $eq: [{ $arrayElemAt: [accountParts, 0] }, accountClass] },
+      { $subtract: ['$lines.credit', '$lines.debit'] },
+      0
+    ]
+  });
+
+  return [
+    {
+      $project: {
+        _id: 0,
+        userId: 1,
+        walletId: '$_id',
+        promoBalance: { $ifNull: ['$promoBalance', 0] },
+        nonPromoBalance: { $ifNull: ['$nonPromoBalance', 0] }
+      }
+    },
+    {
+      $unionWith: {
+        coll: LedgerEntry.collection.name,
+        pipeline: [
+          { $match: { 'lines.account': { $regex: '^wallet_' } } },
+          { $unwind: '$lines' },
+          { $match: { 'lines.account': { $regex: '^wallet_' } } },
+          {
+            $project: {
+              _id: 0,
+              userId: {
+                $convert: { input: { $arrayElemAt: [accountParts, 1] }, to: 'objectId', onError: null, onNull: null }
+              },
+              ledgerCash: walletBalance('wallet_cash'),
+              ledgerPromo: walletBalance('wallet_promo'),
+              ledgerLines: { $literal: 1 }
+            }
+          }
+        ]
+      }
+    },
+    {
+      $group: {
+        _id: '$userId',
+        walletId: { $max: '$walletId' },
+        promoBalance: { $sum: '$promoBalance' },
+        nonPromoBalance: { $sum: '$nonPromoBalance' },
+        ledgerCash: { $sum: '$ledgerCash' },
+        ledgerPromo: { $sum: '$ledgerPromo' },
+        ledgerLines: { $sum: '$ledgerLines' }
+      }
+    },
+    {
+      $match: {
+        walletId: { $ne: null },
+        $or: [
+          { ledgerLines: { $gt: 0 } },
+          { promoBalance: { $ne: 0 } },
+          { nonPromoBalance: { $ne: 0 } }
+        ]
+      }
+    }
+  ];
+};
+
+/**
+ * Find wallets whose counters disagree with their ledger balance
+ * Wallets that never had an entry but hold a balance are included. The
+ * comparison and pagination run in the database.
+ *
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} Paginated mismatches and the total count
+ */
+const findWalletMismatches = async ({ page = 1, limit = 50 } = {}) => {
+  const drift = (counter, ledger) => ({
+    $gte: [{ $abs: { $round: [{ $subtract: [counter, ledger] }, 2] } }, TOLERANCE]
+  });
+  const mismatched = {
+    $match: {
+      $expr: {
+        $or: [drift('$nonPromoBalance', '$ledgerCash'), drift('$promoBalance', '$ledgerPromo')]
+      }
+    }
+  };
+
+  const [result] = await Wallet.aggregate([
+    ...walletBalancesPipeline(),
+    {
+      $facet: {
+        checked: [{ $count: 'count' }],
+        total: [mismatched, { $count: 'count' }],
+        rows: [mismatched, { $sort: { _id: 1 } }, { $skip: (page - 1) * limit }, { $limit: limit }]
+      }
+    }
+  ]).allowDiskUse(true);
+
+  const rows = result?.rows || [];
+  const total = result?.total[0]?.count || 0;
+  const balances = new Map(rows.flatMap(row => [
+    [account('wallet_cash', row._id), roundAmount(row.ledgerCash)],
+    [account('wallet_promo', row._id), roundAmount(row.ledgerPromo)]
+  ]));
+  const wallets = rows.map(row => ({
+    _id: row.walletId,
+    userId: row._id,
+    promoBalance: row.promoBalance,
+    nonPromoBalance: row.nonPromoBalance
+  }));
+
+  return {
+    success: true,
+    checkedWallets: result?.checked[0]?.count || 0,
+    mismatches: reconcileWallets(wallets, balances),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Post opening balances for wallet money the ledger does not hold
+ * Wallets funded before the ledger went live have counters but no entries.
+ * Each bucket's difference between counter and ledger balance is posted
+ * once, keyed by its wallet account, against opening_balance_equity. Wallets
+ * are walked with a cursor and their ledger balances read per batch.
+ *
+ * @param {Object} options - { batchSize }
+ * @returns {Promise<Object>} { scanned, posted }
+ */
+const postWalletOpeningBalances = async ({ batchSize = 500 } = {}) => {
+  let scanned = 0;
+  let posted = 0;
+
+  const postBatch = async (wallets) => {
+    const balances = await getLedgerBalances(wallets.flatMap(w => [
+      account('wallet_cash', w.userId),
+      account('wallet_promo', w.userId)
+    ]));
+
+    for (const { userId, difference } of reconcileWallets(wallets, balances)) {
+      for (const [bucket, amount] of [['cash', difference.nonPromoBalance], ['promo', difference.promoBalance]]) {
+        const walletAccount = account(bucket === 'promo' ? 'wallet_promo' : 'wallet_cash', userId);
+        const entry = await postEntry({
+          sourceKey: `opening_balance:${walletAccount}`,
+          type: 'opening_balance',
+          description: `Opening ${bucket === 'promo' ? 'promo' : 'wallet'} balance`,
+          postings: openingBalancePostings({ userId, amount, bucket }),
+          userId
+        });
+        if (entry) posted += 1;
+      }
+    }
+  };
+
+  let batch = [];
+  const cursor = Wallet.find({})
+    .select('userId promoBalance nonPromoBalance')
+    .lean()
+    .cursor({ batchSize });
+
+  for await (const wallet of cursor) {
+    scanned += 1;
+    batch.push(wallet);
+    if (batch.length === batchSize) {
+      await postBatch(batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) await postBatch(batch);
+
+  return { scanned, posted };
+};
+
+/**
+ * IST date key (YYYY-MM-DD) of a date
+ * @param {Date} date - Date
+ * @returns {string} Date key
+ */
+const toIstDateKey = (date) => new Date(new Date(date).getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+/**
+ * End of an IST date (start of the next IST day)
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {Date} Exclusive end
+ */
+const getIstDayEnd = (dateKey) => new Date(Date.parse(`${dateKey}T00:00:00Z`) - IST_OFFSET_MS + DAY_MS);
+
+/**
+ * Compute the trial balance as of the end of an IST date
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {Promise<Object>} Trial balance (not saved)
+ */
+const computeTrialBalance = async (dateKey) => {
+  const asOf = getIstDayEnd(dateKey);
+  const [totals, entryCount, unbalanced] = await Promise.all([
+    getAccountTotals({ asOf }),
+    LedgerEntry.countDocuments({ postedAt: { $lt: asOf } }),
+    LedgerEntry.aggregate([
+      { $match: { postedAt: { $lt: asOf } } },
+      {
+        $project: {
+          sourceKey: 1,
+          difference: { $abs: { $subtract: [{ $sum: '$lines.debit' }, { $sum: '$lines.credit' }] } }
+        }
+      },
+      { $match: { difference: { $gte: 0.005 } } },
+      { $limit: 100 }
+    ])
+  ]);
+
+  return {
+    date: dateKey,
+    asOf,
+    entryCount,
+    unbalancedEntries: unbalanced.map(e => e.sourceKey),
+    ...buildTrialBalance(totals)
+  };
+};
+
+/**
+ * Take and store the trial balance for the IST day before a date
+ * Also counts wallet mismatches so drift shows up in the daily snapshot.
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Saved trial balance
+ */
+const runDailyTrialBalance = async (now = new Date()) => {
+  const dateKey = toIstDateKey(new Date(now.getTime() - DAY_MS));
+  const trialBalance = await computeTrialBalance(dateKey);
+  const { pagination } = await findWalletMismatches({ page: 1, limit: 1 });
+
+  const snapshot = {
+    ...trialBalance,
+    balanced: trialBalance.balanced && trialBalance.unbalancedEntries.length === 0,
+    walletMismatches: pagination.total
+  };
+
+  return TrialBalance.findOneAndUpdate(
+    { date: dateKey },
+    { $set: snapshot },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Get the trial balance for a date
+ * Stored snapshots are returned as taken; other dates are computed live.
+ *
+ * @param {string} [dateKey] - YYYY-MM-DD (default: today, live)
+ * @returns {Promise<Object>} { trialBalance, live }
+ */
+const getTrialBalance = async (dateKey = toIstDateKey(new Date())) => {
+  const stored = await TrialBalance.findOne({ date: dateKey }).lean();
+  if (stored) {
+    return { success: true, trialBalance: stored, live: false };
+  }
+  return { success: true, trialBalance: await computeTrialBalance(dateKey), live: true };
+};
+
+/**
+ * List journal entries for an account
+ * @param {string} name - Account name (class or class:holder)
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} Paginated entries with the account balance
+ */
+const getAccountEntries = async (name, { page = 1, limit = 50 } = {}) => {
+  if (!ACCOUNT_CLASSES[getAccountClass(name)]) {
+    throw createError('UNKNOWN_ACCOUNT', `Unknown ledger account ${name}`, 404);
+  }
+
+  const query = { 'lines.account': name };
+  const skip = (page - 1) * limit;
+  const [entries, total, totals] = await Promise.all([
+    LedgerEntry.find(query).sort({ postedAt: -1 }).skip(skip).limit(limit).lean(),
+    LedgerEntry.countDocuments(query),
+    LedgerEntry.aggregate([
+      { $match: query },
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': name } },
+      { $group: { _id: null, debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } }
+    ])
+  ]);
+
+  const debitNormal = ['asset', 'expense'].includes(ACCOUNT_CLASSES[getAccountClass(name)]);
+  const { debit = 0, credit = 0 } = totals[0] || {};
+
+  return {
+    success: true,
+    account: name,
+    balance: roundAmount(debitNormal ? debit - credit : credit - debit),
+    entries,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+module.exports = {
+  ACCOUNT_CLASSES,
+  account,
+  getAccountClass,
+  getCollectedAmount,
+  toJournalLines,
+  checkBalance,
+  walletCreditPostings,
+  walletDebitPostings,
+  gatewayCollectionPostings,
+  refundPostings,
+  tripSettlementPostings,
+  retainedChargePostings,
+  openingBalancePostings,
+  postEntry,
+  recordWalletCredit,
+  recordWalletDebit,
+  recordPromoExpiry,
+  recordGatewayCollection,
+  recordDriverAdvance,
+  recordTripSettlement,
+  recordRefund,
+  recordCancellationCharge,
+  recordNoShowCharge,
+  recordNoShowReversal,
+  recordDriverAdjustment,
+  recordDriverPayout,
+  getAccountTotals,
+  buildTrialBalance,
+  reconcileWallets,
+  findWalletMismatches,
+  postWalletOpeningBalances,
+  computeTrialBalance,
+  runDailyTrialBalance,
+  getTrialBalance,
+  getAccountEntries
+};
@@ -678,9 +678,10 @@ const updatePassengerLocation = async (bookingId, passengerId, coordinates) => {
  * 
  * @param {string} sessionId - Location sharing session ID
  * @param {Object} tripDetails - Trip details for notification
+ * @param {Object} [templates] - Template overrides { sms, whatsapp }
  * @returns {Promise<Object>} Notification results
  */
-const sendTrackingLinksToContacts = async (sessionId, tripDetails = {}) => {
+const sendTrackingLinksToContacts = async (sessionId, tripDetails = {}, templates = {}) => {
   const session = await LocationShare.findById(sessionId);
   
   if (!session) {
@@ -708,6 +709,7 @@ const sendTrackingLinksToContacts = async (sessionId, tripDetails = {}) => {
       trackingUrl: contact.trackingUrl,
       source: tripDetails.source || 'Pickup location',
       destination: tripDetails.destination || 'Drop location',
+      expectedArrival: tripDetails.expectedArrival || '',
       contactName: contact.name
     };
 
@@ -723,7 +725,7 @@ const sendTrackingLinksToContacts = async (sessionId, tripDetails = {}) => {
       const smsResult = await notificationService.sendNotification({
         userId: session.userId,
         channel: 'sms',
-        template: 'tracking_link_sms',
+        template: templates.sms || 'tracking_link_sms',
         recipient: contact.phone,
         data: notificationData,
         relatedEntity: {
@@ -749,7 +751,7 @@ const sendTrackingLinksToContacts = async (sessionId, tripDetails = {}) => {
       const whatsappResult = await notificationService.sendNotification({
         userId: session.userId,
         channel: 'whatsapp',
-        template: 'tracking_link_whatsapp',
+        template: templates.whatsapp || 'tracking_link_whatsapp',
         recipient: contact.phone,
         data: notificationData,
         relatedEntity: {
@@ -0,0 +1,597 @@
+/**
+ * No-show Service
+ * Passenger no-show handling for bookings on in-progress trips
+ *
+ * Flow: driver reaches the pickup point and reports arrival (validated
+ * against the cached trip location) -> passenger is told to come within the
+ * wait time -> after the wait, still inside the pickup geofence, the driver
+ * marks the passenger no-show -> booking is cancelled with a no-show charge,
+ * the driver's share is credited through the payout pipeline, and the
+ * passenger gets a strike on their reputation
+ *
+ * Passengers can dispute a no-show within the dispute window. A dispute opens
+ * a support ticket and holds the driver's compensation until staff resolve
+ * it; an overturned no-show refunds the charge, reverses the compensation and
+ * voids the strike.
+ */
+
+const Booking = require('../models/Booking');
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const DriverEarning = require('../models/DriverEarning');
+const SupportTicket = require('../models/SupportTicket');
+const { PaymentStateMachine } = require('./paymentService');
+const { sendNotification } = require('./notificationService');
+const { getTripLocation } = require('./locationCacheService');
+const { releaseCouponForBooking } = require('./couponService');
+const waitlistService = require('./waitlistService');
+const invoiceService = require('./invoiceService');
+const payoutService = require('./payoutService');
+const ledgerService = require('./ledgerService');
+const { updatePassengerReputation } = require('./ratingService');
+const { haversineDistance } = require('../utils/polylineUtils');
+
+const NO_SHOW_CONFIG = {
+  // Distance from the pickup point (meters) the driver must be within
+  geofenceMeters: parseInt(process.env.NO_SHOW_GEOFENCE_METERS, 10) || 200,
+  // Minutes the driver must wait after arriving before marking a no-show
+  waitMinutes: parseInt(process.env.NO_SHOW_WAIT_MINUTES, 10) || 10,
+  // Share of the booking fare charged to the passenger
+  chargePercent: parseFloat(process.env.NO_SHOW_CHARGE_PERCENT ?? 50),
+  // Share of the no-show charge credited to the driver
+  driverSharePercent: parseFloat(process.env.NO_SHOW_DRIVER_SHARE_PERCENT ?? 80),
+  // Cached driver locations older than this are not trusted
+  maxLocationAgeSeconds: parseInt(process.env.NO_SHOW_MAX_LOCATION_AGE_SECONDS, 10) || 120,
+  // Hours after the no-show during which the passenger can dispute it
+  disputeWindowHours: parseInt(process.env.NO_SHOW_DISPUTE_WINDOW_HOURS, 10) || 48
+};
+
+/**
+ * Build an error with code and HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error object
+ */
+const createError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Split a no-show charge between the refund, the driver and the platform
+ *
+ * @param {number} fare - Amount the passenger paid for the booking
+ * @param {Object} config - No-show configuration
+ * @returns {Object} { charge, driverCompensation, platformShare, refundAmount }
+ */
+const calculateNoShowCharge = (fare, config = NO_SHOW_CONFIG) => {
+  const paid = Math.max(0, fare || 0);
+  const chargePercent = Math.min(100, Math.max(0, config.chargePercent));
+  const sharePercent = Math.min(100, Math.max(0, config.driverSharePercent));
+
+  const charge = roundAmount(paid * chargePercent / 100);
+  const driverCompensation = roundAmount(charge * sharePercent / 100);
+
+  return {
+    charge,
+    driverCompensation,
+    platformShare: roundAmount(charge - driverCompensation),
+    refundAmount: roundAmount(paid - charge)
+  };
+};
+
+/**
+ * Check a cached driver location against the pickup geofence
+ *
+ * @param {Object|null} location - Cached location ({ lat, lng, age })
+ * @param {Object} pickup - Pickup coordinates { lat, lng }
+ * @param {Object} config - No-show configuration
+ * @returns {Object} { ok, reason, distanceMeters }
+ */
+const checkDriverLocation = (location, pickup, config = NO_SHOW_CONFIG) => {
+  if (!location || typeof location.lat !== 'number' || typeof location.lng !== 'number') {
+    return { ok: false, reason: 'LOCATION_UNAVAILABLE', distanceMeters: null };
+  }
+  if (location.age > config.maxLocationAgeSeconds * 1000) {
+    return { ok: false, reason: 'LOCATION_STALE', distanceMeters: null };
+  }
+
+  const distanceMeters = Math.round(haversineDistance(location, pickup) * 1000);
+  if (distanceMeters > config.geofenceMeters) {
+    return { ok: false, reason: 'OUTSIDE_PICKUP_GEOFENCE', distanceMeters };
+  }
+  return { ok: true, reason: null, distanceMeters };
+};
+
+/**
+ * Decide whether a driver may mark a passenger no-show
+ * The driver must have reported arrival, waited the configured time and
+ * still be inside the pickup geofence.
+ *
+ * @param {Object} params - Inputs
+ * @param {Date} params.driverArrivedAt - When the driver reported arrival
+ * @param {Object|null} params.location - Current cached driver location
+ * @param {Object} params.pickup - Pickup coordinates { lat, lng }
+ * @param {Date} params.now - Reference time
+ * @param {Object} config - No-show configuration
+ * @returns {Object} { eligible, reason, waitedMinutes, remainingMinutes, distanceMeters }
+ */
+const evaluateNoShowEligibility = ({ driverArrivedAt, location, pickup, now = new Date() }, config = NO_SHOW_CONFIG) => {
+  if (!driverArrivedAt) {
+    return { eligible: false, reason: 'DRIVER_NOT_ARRIVED', waitedMinutes: 0, remainingMinutes: config.waitMinutes, distanceMeters: null };
+  }
+
+  const waitedMinutes = Math.max(0, Math.floor((now.getTime() - new Date(driverArrivedAt).getTime()) / 60000));
+  const remainingMinutes = Math.max(0, config.waitMinutes - waitedMinutes);
+  if (remainingMinutes > 0) {
+    return { eligible: false, reason: 'WAIT_TIME_NOT_ELAPSED', waitedMinutes, remainingMinutes, distanceMeters: null };
+  }
+
+  const check = checkDriverLocation(location, pickup, config);
+  return {
+    eligible: check.ok,
+    reason: check.reason,
+    waitedMinutes,
+    remainingMinutes: 0,
+    distanceMeters: check.distanceMeters
+  };
+};
+
+/**
+ * Load a booking on the driver's in-progress trip that is awaiting pickup
+ *
+ * @param {string} bookingId - Booking ID (MongoDB ObjectId or human-readable)
+ * @param {string} driverId - Driver ObjectId
+ * @returns {Promise<Object>} { booking, trip }
+ */
+const loadPendingPickup = async (bookingId, driverId) => {
+  const booking = await Booking.findByBookingId(bookingId);
+  if (!booking) {
+    throw createError('BOOKING_NOT_FOUND', 'Booking not found', 404);
+  }
+
+  const trip = await Trip.findById(booking.tripId);
+  if (!trip || trip.driver?.toString() !== driverId.toString()) {
+    throw createError('UNAUTHORIZED', 'Unauthorized to manage this booking', 403);
+  }
+  if (trip.status !== 'in_progress') {
+    throw createError('TRIP_NOT_IN_PROGRESS', 'Trip must be in progress to report pickups');
+  }
+  if (booking.status !== 'confirmed' || booking.pickupStatus !== 'pending') {
+    throw createError('BOOKING_NOT_AWAITING_PICKUP', 'Booking is not awaiting pickup');
+  }
+
+  return { booking, trip };
+};
+
+/**
+ * Map a failed location check to an error
+ * @param {Object} check - Result of checkDriverLocation or evaluateNoShowEligibility
+ * @returns {Error} Error object
+ */
+const locationError = (check) => {
+  if (check.reason === 'OUTSIDE_PICKUP_GEOFENCE') {
+    return createError(
+      'OUTSIDE_PICKUP_GEOFENCE',
+      `You are ${check.distanceMeters} m from the pickup point; you must be within ${NO_SHOW_CONFIG.geofenceMeters} m`
+    );
+  }
+  return createError(check.reason, 'Your current location is unavailable. Keep location sharing on and try again.');
+};
+
+/**
+ * Driver reports arrival at a passenger's pickup point
+ * Starts the no-show wait and tells the passenger the driver is waiting.
+ *
+ * @param {string} bookingId - Booking ID
+ * @param {string} driverId - Driver ObjectId
+ * @returns {Promise<Object>} Arrival details
+ */
+const markDriverArrived = async (bookingId, driverId) => {
+  const { booking, trip } = await loadPendingPickup(bookingId, driverId);
+
+  if (booking.noShow?.driverArrivedAt) {
+    return {
+      success: true,
+      alreadyArrived: true,
+      bookingId: booking.bookingId,
+      driverArrivedAt: booking.noShow.driverArrivedAt,
+      noShowAllowedAt: new Date(booking.noShow.driverArrivedAt.getTime() + NO_SHOW_CONFIG.waitMinutes * 60000)
+    };
+  }
+
+  const location = await getTripLocation(trip._id.toString());
+  const check = checkDriverLocation(location, booking.pickupPoint.coordinates);
+  if (!check.ok) {
+    throw locationError(check);
+  }
+
+  const driverArrivedAt = new Date();
+  booking.noShow.driverArrivedAt = driverArrivedAt;
+  booking.noShow.arrivalDistanceMeters = check.distanceMeters;
+  await booking.save();
+
+  try {
+    await sendNotification({
+      userId: booking.passengerId,
+      channel: 'push',
+      template: 'driver_arrived_push',
+      recipient: booking.passengerId.toString(),
+      data: {
+        pickupAddress: booking.pickupPoint.address,
+        waitMinutes: NO_SHOW_CONFIG.waitMinutes,
+        bookingId: booking.bookingId
+      },
+      relatedEntity: { type: 'booking', id: booking._id }
+    });
+  } catch (error) {
+    console.error(`Driver arrival notice failed for booking ${booking._id}:`, error.message);
+  }
+
+  return {
+    success: true,
+    alreadyArrived: false,
+    bookingId: booking.bookingId,
+    driverArrivedAt,
+    distanceMeters: check.distanceMeters,
+    noShowAllowedAt: new Date(driverArrivedAt.getTime() + NO_SHOW_CONFIG.waitMinutes * 60000)
+  };
+};
+
+/**
+ * Driver marks a passenger no-show after waiting at the pickup point
+ * Cancels the booking, refunds the fare minus the no-show charge, credits
+ * the driver's share, records a strike and notifies the passenger.
+ *
+ * @param {string} bookingId - Booking ID
+ * @param {string} driverId - Driver ObjectId
+ * @returns {Promise<Object>} No-show result
+ */
+const markNoShow = async (bookingId, driverId) => {
+  const { booking, trip } = await loadPendingPickup(bookingId, driverId);
+
+  const location = await getTripLocation(trip._id.toString());
+  const eligibility = evaluateNoShowEligibility({
+    driverArrivedAt: booking.noShow?.driverArrivedAt,
+    location,
+    pickup: booking.pickupPoint.coordinates
+  });
+  if (!eligibility.eligible) {
+    if (eligibility.reason === 'DRIVER_NOT_ARRIVED') {
+      throw createError('DRIVER_NOT_ARRIVED', 'Report your arrival at the pickup point first');
+    }
+    if (eligibility.reason === 'WAIT_TIME_NOT_ELAPSED') {
+      const error = createError(
+        'WAIT_TIME_NOT_ELAPSED',
+        `Please wait ${eligibility.remainingMinutes} more minute(s) before marking a no-show`
+      );
+      error.remainingMinutes = eligibility.remainingMinutes;
+      throw error;
+    }
+    throw locationError(eligibility);
+  }
+
+  // Nothing can be charged on unpaid bookings; the strike still applies
+  const paid = booking.paymentStatus === 'paid';
+  const split = calculateNoShowCharge(paid ? booking.fare : 0);
+
+  if (paid) {
+    if (split.refundAmount > 0) {
+      await PaymentStateMachine.onRefund(
+        trip._id,
+        split.refundAmount,
+        'Passenger no-show (fare less no-show charge)',
+        booking.passengerId
+      );
+    }
+    booking.paymentStatus = 'refunded';
+  }
+
+  const markedAt = new Date();
+  booking.status = 'cancelled';
+  booking.cancelledAt = markedAt;
+  booking.cancelReason = 'Passenger did not show up at the pickup point';
+  booking.cancelledBy = 'system';
+  booking.pickupStatus = 'no_show';
+  booking.noShow.markedAt = markedAt;
+  booking.noShow.markedDistanceMeters = eligibility.distanceMeters;
+  booking.noShow.markedLocation = { lat: location.lat, lng: location.lng };
+  booking.noShow.waitedMinutes = eligibility.waitedMinutes;
+  booking.noShow.charge = split.charge;
+  booking.noShow.refundAmount = paid ? split.refundAmount : 0;
+  booking.noShow.driverCompensation = split.driverCompensation;
+  await booking.save();
+
+  if (paid && split.refundAmount > 0) {
+    try {
+      await invoiceService.issueCreditNote(booking, {
+        amount: split.refundAmount,
+        reason: booking.cancelReason,
+        source: 'no_show',
+        refundReference: `NOSHOW-${booking.bookingId}`
+      });
+    } catch (creditNoteError) {
+      console.error('Failed to issue credit note:', creditNoteError.message);
+    }
+  }
+
+  try {
+    await releaseCouponForBooking(booking._id);
+  } catch (couponError) {
+    console.error('Failed to release coupon:', couponError.message);
+  }
+
+  await Trip.findByIdAndUpdate(
+    booking.tripId,
+    { $pull: { passengers: { userId: booking.passengerId } } }
+  );
+  await waitlistService.handleBookingCancelled(booking);
+
+  let earning = null;
+  if (split.driverCompensation > 0) {
+    const recorded = await payoutService.recordNoShowCompensation(booking, trip, split.driverCompensation);
+    earning = recorded.earning;
+    booking.noShow.earningId = earning._id;
+    await booking.save();
+  }
+
+  if (paid) {
+    await ledgerService.recordNoShowCharge({
+      bookingId: booking._id,
+      tripId: trip._id,
+      userId: booking.passengerId,
+      driverId: trip.driver,
+      amount: Math.max(0, ledgerService.getCollectedAmount(booking) - split.refundAmount),
+      driverShare: earning ? earning.grossFare : 0,
+      tdsAmount: earning ? earning.tdsAmount : 0
+    });
+  }
+
+  const reputation = await updatePassengerReputation(booking.passengerId);
+
+  const notificationData = {
+    bookingId: booking.bookingId,
+    charge: split.charge,
+    refundAmount: booking.noShow.refundAmount,
+    waitedMinutes: eligibility.waitedMinutes,
+    disputeHours: NO_SHOW_CONFIG.disputeWindowHours
+  };
+  try {
+    await sendNotification({
+      userId: booking.passengerId,
+      channel: 'push',
+      template: 'no_show_charged_push',
+      recipient: booking.passengerId.toString(),
+      data: notificationData,
+      relatedEntity: { type: 'booking', id: booking._id }
+    });
+    const passenger = await User.findById(booking.passengerId).select('phone').lean();
+    if (passenger?.phone) {
+      await sendNotification({
+        userId: booking.passengerId,
+        channel: 'sms',
+        template: 'no_show_charged_sms',
+        recipient: passenger.phone,
+        data: notificationData,
+        relatedEntity: { type: 'booking', id: booking._id }
+      });
+    }
+  } catch (error) {
+    console.error(`No-show notice failed for booking ${booking._id}:`, error.message);
+  }
+
+  return {
+    success: true,
+    bookingId: booking.bookingId,
+    status: 'cancelled',
+    pickupStatus: 'no_show',
+    waitedMinutes: eligibility.waitedMinutes,
+    charge: split.charge,
+    refundAmount: booking.noShow.refundAmount,
+    driverCompensation: split.driverCompensation,
+    earningId: earning?._id || null,
+    passengerNoShowStrikes: reputation.noShowStrikes
+  };
+};
+
+/**
+ * Passenger disputes a no-show
+ * Opens a support ticket and holds the driver's compensation until resolved.
+ *
+ * @param {string} bookingId - Booking ID
+ * @param {string} passengerId - Passenger user ID
+ * @param {string} reason - Why the passenger disputes the no-show
+ * @returns {Promise<Object>} Dispute details
+ */
+const disputeNoShow = async (bookingId, passengerId, reason) => {
+  const booking = await Booking.findByBookingId(bookingId);
+  if (!booking) {
+    throw createError('BOOKING_NOT_FOUND', 'Booking not found', 404);
+  }
+  if (booking.passengerId.toString() !== passengerId.toString()) {
+    throw createError('UNAUTHORIZED', 'Unauthorized to dispute this booking', 403);
+  }
+  if (booking.pickupStatus !== 'no_show' || !booking.noShow?.markedAt) {
+    throw createError('NOT_A_NO_SHOW', 'This booking was not marked as a no-show');
+  }
+  if (booking.noShow.dispute?.status) {
+    throw createError('DISPUTE_EXISTS', 'This no-show has already been disputed', 409);
+  }
+  const deadline = booking.noShow.markedAt.getTime() + NO_SHOW_CONFIG.disputeWindowHours * 60 * 60 * 1000;
+  if (Date.now() > deadline) {
+    throw createError('DISPUTE_WINDOW_CLOSED', `No-shows can only be disputed within ${NO_SHOW_CONFIG.disputeWindowHours} hours`);
+  }
+
+  const ticketId = await SupportTicket.generateTicketId();
+  const ticket = new SupportTicket({
+    ticketId,
+    category: 'booking',
+    priority: 'high',
+    status: 'open',
+    subject: `No-show Dispute - Booking ${booking.bookingId}`,
+    description: reason,
+    userId: booking.passengerId,
+    relatedTrip: booking.tripId,
+    relatedEntity: {
+      type: 'booking',
+      id: booking._id
+    },
+    metadata: {
+      type: 'no_show_dispute',
+      driverArrivedAt: booking.noShow.driverArrivedAt,
+      markedAt: booking.noShow.markedAt,
+      waitedMinutes: booking.noShow.waitedMinutes,
+      markedDistanceMeters: booking.noShow.markedDistanceMeters,
+      charge: booking.noShow.charge,
+      driverCompensation: booking.noShow.driverCompensation
+    }
+  });
+  await ticket.save();
+
+  booking.noShow.dispute = {
+    status: 'open',
+    reason,
+    openedAt: new Date(),
+    ticketId: ticket._id
+  };
+  await booking.save();
+
+  // Hold the driver's compensation while the dispute is open
+  if (booking.noShow.earningId) {
+    const earning = await DriverEarning.findById(booking.noShow.earningId);
+    if (earning) {
+      await payoutService.refreshHolds(earning);
+    }
+  }
+
+  return {
+    success: true,
+    bookingId: booking.bookingId,
+    dispute: {
+      status: 'open',
+      ticketId: ticket.ticketId,
+      openedAt: booking.noShow.dispute.openedAt
+    }
+  };
+};
+
+/**
+ * Resolve a no-show dispute (support staff)
+ * Upheld: the charge stands and the driver's compensation is released.
+ * Overturned: the charge is refunded, the compensation reversed with a
+ * negative adjustment and the passenger's strike voided.
+ *
+ * @param {string} bookingId - Booking ID
+ * @param {Object} resolution - { outcome: 'upheld'|'overturned', note }
+ * @param {string} staffId - Staff user ID
+ * @returns {Promise<Object>} Resolution result
+ */
+const resolveNoShowDispute = async (bookingId, { outcome, note }, staffId) => {
+  const booking = await Booking.findByBookingId(bookingId);
+  if (!booking) {
+    throw createError('BOOKING_NOT_FOUND', 'Booking not found', 404);
+  }
+  if (booking.noShow?.dispute?.status !== 'open') {
+    throw createError('NO_OPEN_DISPUTE', 'This booking has no open no-show dispute');
+  }
+
+  const resolvedAt = new Date();
+  booking.noShow.dispute.status = outcome;
+  booking.noShow.dispute.resolvedAt = resolvedAt;
+  booking.noShow.dispute.resolvedBy = staffId;
+  booking.noShow.dispute.resolutionNote = note;
+
+  let refunded = 0;
+  let reversedCompensation = 0;
+  if (outcome === 'overturned') {
+    booking.noShow.strikeVoided = true;
+
+    if (booking.noShow.charge > 0) {
+      // Back into escrow first, so the refund comes out of it
+      await ledgerService.recordNoShowReversal({
+        bookingId: booking._id,
+        tripId: booking.tripId,
+        userId: booking.passengerId,
+        amount: booking.noShow.charge,
+        driverShare: booking.noShow.driverCompensation || 0
+      });
+      await PaymentStateMachine.onRefund(booking.tripId, booking.noShow.charge, 'No-show overturned on dispute', booking.passengerId);
+      refunded = booking.noShow.charge;
+    }
+  }
+  await booking.save();
+
+  const ticket = await SupportTicket.findById(booking.noShow.dispute.ticketId);
+  if (ticket && !['resolved', 'closed'].includes(ticket.status)) {
+    await ticket.resolve(staffId, `No-show ${outcome}${note ? `: ${note}` : ''}`);
+  }
+
+  if (booking.noShow.earningId) {
+    const earning = await DriverEarning.findById(booking.noShow.earningId);
+    if (earning) {
+      await payoutService.refreshHolds(earning);
+      if (outcome === 'overturned' && earning.netAmount > 0) {
+        await payoutService.addAdjustment(earning.driverId, {
+          amount: -earning.netAmount,
+          reason: `No-show overturned on booking ${booking.bookingId}`
+        }, staffId);
+        reversedCompensation = earning.netAmount;
+      }
+    }
+  }
+
+  if (outcome === 'overturned') {
+    if (refunded > 0) {
+      try {
+        await invoiceService.issueCreditNote(booking, {
+          amount: refunded,
+          reason: 'No-show overturned on dispute',
+          source: 'no_show',
+          refundReference: `NOSHOW-DISPUTE-${booking.bookingId}`
+        });
+      } catch (creditNoteError) {
+        console.error('Failed to issue credit note:', creditNoteError.message);
+      }
+    }
+
+    await updatePassengerReputation(booking.passengerId);
+
+    try {
+      await sendNotification({
+        userId: booking.passengerId,
+        channel: 'push',
+        template: 'no_show_overturned_push',
+        recipient: booking.passengerId.toString(),
+        data: { bookingId: booking.bookingId, amount: refunded },
+        relatedEntity: { type: 'booking', id: booking._id }
+      });
+    } catch (error) {
+      console.error(`No-show dispute notice failed for booking ${booking._id}:`, error.message);
+    }
+  }
+
+  return {
+    success: true,
+    bookingId: booking.bookingId,
+    outcome,
+    refunded,
+    reversedCompensation,
+    strikeVoided: booking.noShow.strikeVoided === true
+  };
+};
+
+module.exports = {
+  NO_SHOW_CONFIG,
+  calculateNoShowCharge,
+  checkDriverLocation,
+  evaluateNoShowEligibility,
+  markDriverArrived,
+  markNoShow,
+  disputeNoShow,
+  resolveNoShowDispute
+};
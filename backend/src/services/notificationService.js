@@ -78,6 +78,14 @@ Safe travels! 🙏`
   trip_cancelled: {
     body: `HushRyd: Trip {{tripId}} has been cancelled. {{reason}} If you have questions, contact support.`
   },
+
+  // Recurring trip occurrence created from a driver's trip template
+  recurring_trip_scheduled: {
+    body: `HushRyd: Your recurring trip {{tripId}} from {{source}} to {{destination}} is scheduled for {{scheduledDate}} at {{scheduledTime}}. Trip start OTP: {{otp}}`
+  },
+  waitlist_seat_offered: {
+    body: `HushRyd: A seat opened up on trip {{tripId}} from {{source}} to {{destination}} on {{scheduledDate}} at {{scheduledTime}}. Booking {{bookingId}} is held for you for {{holdMinutes}} minutes - complete payment to confirm.`
+  },
   
   // OTP templates
   otp_sms: {
@@ -140,6 +148,20 @@ Document ID: {{documentId}}
 
 Please review this document in the admin dashboard.`
   },
+
+  // Operations alert when a driver's live selfie does not match their ID
+  selfie_check_failed_ops: {
+    subject: '⚠️ Driver Selfie Check Failed - {{driverName}}',
+    body: `A driver's pre-trip selfie did not match their verified photo. The trip start was blocked.
+
+Driver: {{driverName}}
+Driver ID: {{driverId}}
+Trip: {{tripId}}
+Similarity: {{similarity}}
+Consecutive failures: {{consecutiveFailures}}{{lockedNote}}
+
+Please review the selfie in the admin dashboard.`
+  },
   
   // Missing documents notification for drivers
   missing_documents: {
@@ -197,6 +219,69 @@ Trip ID: {{tripId}}`
     body: `Is everything okay? Your vehicle has been stationary for an extended period. Please confirm your safety or request help.`
   },
   
+  // Route deviation safety check templates
+  route_deviation_check: {
+    subject: 'Safety Check - HushRyd',
+    body: `Is everything okay? Your vehicle has left the planned route.
+
+Please respond to confirm your safety:
+- Tap "Confirm Safety" if everything is fine
+- Tap "Request Help" if you need assistance
+
+Event ID: {{eventId}}
+Trip ID: {{tripId}}`
+  },
+  
+  route_deviation_check_push: {
+    body: `Is everything okay? Your vehicle has left the planned route. Please confirm your safety or request help.`
+  },
+
+  // Trusted-contact check-in templates (passenger overdue at drop point)
+  check_in_overdue_sms: {
+    body: `HushRyd: {{passengerName}} was expected at {{destination}} by {{expectedArrival}} but has not arrived yet. Track their ride: {{trackingUrl}}`
+  },
+
+  check_in_overdue_whatsapp: {
+    body: `⏰ *HushRyd Check-in*
+
+{{passengerName}} was expected to reach {{destination}} by {{expectedArrival}} and has not arrived yet.
+
+🔗 Track their ride live:
+{{trackingUrl}}
+
+Please check in with them. Our support team is monitoring the ride.`
+  },
+
+  check_in_overdue_push: {
+    body: `You haven't reached your drop point yet, so we've shared your live location with your trusted contacts.`
+  },
+
+  check_in_arrived_sms: {
+    body: `HushRyd: {{passengerName}} has now reached {{destination}}. Thanks for checking in.`
+  },
+
+  // Passenger no-show templates
+  driver_arrived_push: {
+    body: `Your driver has arrived at {{pickupAddress}}. Please reach the pickup point within {{waitMinutes}} minutes to avoid a no-show charge.`
+  },
+
+  no_show_charged_push: {
+    body: `Booking {{bookingId}} was cancelled because you didn't reach the pickup point. A no-show charge of ₹{{charge}} applies; ₹{{refundAmount}} will be refunded. Disagree? Dispute it within {{disputeHours}} hours.`
+  },
+
+  no_show_charged_sms: {
+    body: `HushRyd: Booking {{bookingId}} was cancelled as a no-show after the driver waited {{waitedMinutes}} min. Charge: ₹{{charge}}. Refund: ₹{{refundAmount}}. Dispute within {{disputeHours}} hours in the app.`
+  },
+
+  no_show_overturned_push: {
+    body: `Your no-show dispute for booking {{bookingId}} was accepted. ₹{{amount}} has been refunded and the no-show has been removed from your record.`
+  },
+
+  // Account security templates
+  security_signout_push: {
+    body: `For your security, we signed you out of HushRyd on {{deviceInfo}} because its sign-in was used from another device. If this wasn't you, sign in again there and review your active sessions.`
+  },
+
   // Cashback credit notification templates
   // Requirements: 4.4 - Notify user with amount and expiry
   cashback_credit_sms: {
@@ -11,19 +11,23 @@ const Trip = require('../models/Trip');
 const Driver = require('../models/Driver');
 const Booking = require('../models/Booking');
 const Transaction = require('../models/Transaction');
+const DriverPayout = require('../models/DriverPayout');
 const { getCircuitBreaker, CircuitBreakers } = require('./circuitBreakerService');
 const { processPaymentWithIsolation, queuePaymentConfirmation } = require('./serviceIsolationService');
 const cashfreeService = require('./cashfreeService');
+const { PLATFORM_FEE } = require('./fareCalculation');
+const ledgerService = require('./ledgerService');
 
 /**
- * Fixed platform fee for driver (₹15)
+ * Default platform fee for driver (₹15 per seat)
+ * Bookings record the fee-schedule commission in booking.pricing
  */
-const DRIVER_PLATFORM_FEE = 15;
+const DRIVER_PLATFORM_FEE = PLATFORM_FEE.DRIVER_FEE_PER_SEAT;
 
 /**
- * Fixed platform fee for passenger (₹15)
+ * Default platform fee for passenger (₹15 per seat)
  */
-const PASSENGER_PLATFORM_FEE = 15;
+const PASSENGER_PLATFORM_FEE = PLATFORM_FEE.PASSENGER_FEE_PER_SEAT;
 
 /**
  * Total platform fee per booking (driver + passenger)
@@ -37,15 +41,19 @@ const DRIVER_ADVANCE_RATE = 0.70;
 
 /**
  * Calculate payment breakdown for a trip
- * Design Decision: Fixed ₹15 platform fee for both driver and passenger
- * Rationale: Simple, transparent pricing - driver pays ₹15, passenger pays ₹15
+ * Design Decision: Platform fees come from the active fee schedule (pricingService)
+ * Rationale: One source of truth for fees; the per-seat defaults below only apply
+ * when no fees are passed in
  * Driver gets 70% advance at trip start, remaining 30% released after completion
  * 
  * @param {number} totalFare - Total fare amount (what passenger pays excluding platform fee)
  * @param {number} seats - Number of seats booked (default 1)
+ * @param {Object} fees - Scheduled fees (optional)
+ * @param {number} fees.passengerPlatformFee - Passenger fee for all seats
+ * @param {number} fees.driverPlatformFee - Commission deducted from the driver for all seats
  * @returns {Object} Payment breakdown with all components
  */
-const calculatePaymentBreakdown = (totalFare, seats = 1) => {
+const calculatePaymentBreakdown = (totalFare, seats = 1, fees = {}) => {
   if (typeof totalFare !== 'number' || isNaN(totalFare)) {
     throw new Error('INVALID_FARE_AMOUNT');
   }
@@ -54,9 +62,9 @@ const calculatePaymentBreakdown = (totalFare, seats = 1) => {
     throw new Error('NEGATIVE_FARE_NOT_ALLOWED');
   }
 
-  // Platform fee is ₹15 per seat for both driver and passenger
-  const driverPlatformFee = DRIVER_PLATFORM_FEE * seats;
-  const passengerPlatformFee = PASSENGER_PLATFORM_FEE * seats;
+  // Scheduled fees, or ₹15 per seat for both driver and passenger
+  const driverPlatformFee = fees.driverPlatformFee ?? DRIVER_PLATFORM_FEE * seats;
+  const passengerPlatformFee = fees.passengerPlatformFee ?? PASSENGER_PLATFORM_FEE * seats;
   const totalPlatformFee = driverPlatformFee + passengerPlatformFee;
   
   // Total collected from passenger = fare + passenger platform fee
@@ -284,6 +292,12 @@ const PaymentStateMachine = {
       { new: true }
     );
 
+    await ledgerService.recordGatewayCollection({
+      paymentId: razorpayPaymentId,
+      amount: transaction.amount,
+      tripId: trip._id
+    });
+
     return updatedTrip;
   },
 
@@ -344,6 +358,14 @@ const PaymentStateMachine = {
       { new: true }
     );
 
+    if (trip.driver && driverAdvance > 0) {
+      await ledgerService.recordDriverAdvance({
+        tripId: trip._id,
+        driverId: trip.driver._id || trip.driver,
+        amount: driverAdvance
+      });
+    }
+
     return updatedTrip;
   },
 
@@ -351,11 +373,13 @@ const PaymentStateMachine = {
    * Handle trip completion - release vault amount
    * Called when driver completes the trip
    * 
+   * The remaining fare is recorded as a DriverEarning and paid on the
+   * driver's payout cycle (see payoutService)
+   * 
    * @param {string} tripId - Trip ID
-   * @param {string} payoutId - Razorpay payout ID (optional, for testing)
-   * @returns {Promise<Object>} Updated trip with vault release transaction
+   * @returns {Promise<Object>} Updated trip
    */
-  onTripComplete: async (tripId, payoutId = null) => {
+  onTripComplete: async (tripId) => {
     const trip = await Trip.findById(tripId).populate('driver');
     if (!trip) {
       const error = new Error('Trip not found');
@@ -377,19 +401,8 @@ const PaymentStateMachine = {
 
     const { vaultAmount } = trip.payment;
 
-    // In production, this would initiate Razorpay payout
-    const gatewayTransactionId = payoutId || `payout_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-    const transaction = {
-      type: 'payout',
-      amount: vaultAmount,
-      status: 'completed',
-      gateway: 'razorpay',
-      gatewayTransactionId,
-      createdAt: new Date()
-    };
-
-    // Update driver earnings
+    // Move the trip out of the vault; the payable balance is added to
+    // earnings.pending when the trip earning is recorded
     if (trip.driver) {
       await Driver.findByIdAndUpdate(trip.driver._id || trip.driver, {
         $inc: {
@@ -405,8 +418,7 @@ const PaymentStateMachine = {
       {
         status: 'completed',
         completedAt: new Date(),
-        'payment.vaultStatus': 'released',
-        $push: { 'payment.transactions': transaction }
+        'payment.vaultStatus': 'released'
       },
       { new: true }
     );
@@ -444,6 +456,7 @@ const PaymentStateMachine = {
           const cashbackEntry = await walletService.creditCashback(
             booking.passengerId._id,
             cashbackAmount,
+            'cashback',
             booking._id,
             expiryDays
           );
@@ -465,6 +478,29 @@ const PaymentStateMachine = {
       }
     }
 
+    // Record the driver's earning for payout (after bookings are completed)
+    try {
+      const payoutService = require('./payoutService');
+      const { earning } = await payoutService.recordTripEarning(tripId);
+
+      // Settle the completed bookings' fares out of escrow
+      const completedBookings = await Booking.find({ tripId, status: 'completed' })
+        .select('fare fareBreakdown')
+        .lean();
+      if (earning && completedBookings.length > 0) {
+        await ledgerService.recordTripSettlement({
+          tripId: trip._id,
+          driverId: earning.driverId,
+          bookings: completedBookings,
+          platformFee: earning.platformFee,
+          tdsAmount: earning.tdsAmount
+        });
+      }
+    } catch (error) {
+      console.error(`[PaymentService] Error recording driver earning for trip ${tripId}:`, error.message);
+      // Don't fail trip completion if the earning cannot be recorded
+    }
+
     return updatedTrip;
   },
 
@@ -515,6 +551,14 @@ const PaymentStateMachine = {
       $push: { 'payment.transactions': transaction }
     };
 
+    await ledgerService.recordRefund({
+      refundId: gatewayTransactionId,
+      amount: refundAmount,
+      tripId: trip._id,
+      userId: passengerId,
+      reason
+    });
+
     // Update passenger payment status if specified
     if (passengerId) {
       const updatedTrip = await Trip.findOneAndUpdate(
@@ -1287,11 +1331,8 @@ const getDriverEarningsSummary = async (driverId) => {
     throw error;
   }
   
-  // Get recent payout transactions
-  const recentPayouts = await Transaction.find({
-    driverId,
-    type: 'payout'
-  })
+  // Get recent payouts
+  const recentPayouts = await DriverPayout.find({ driverId })
     .sort({ createdAt: -1 })
     .limit(10);
   
@@ -1301,11 +1342,12 @@ const getDriverEarningsSummary = async (driverId) => {
     vault: driver.earnings?.vault || 0,
     hasBankAccount: !!(driver.bankDetails?.accountNumber),
     isBeneficiaryRegistered: driver.bankDetails?.beneficiaryStatus === 'registered',
+    payoutCycle: driver.payoutSettings?.cycle || 'instant',
     recentPayouts: recentPayouts.map(p => ({
-      transactionId: p.transactionId,
+      transactionId: p.payoutId,
       amount: p.amount,
       status: p.status,
-      destination: p.metadata?.payoutDestination,
+      destination: p.destination,
       createdAt: p.createdAt
     }))
   };
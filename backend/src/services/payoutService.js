@@ -0,0 +1,1071 @@
+/**
+ * Payout Service
+ * Driver payout cycles, minimum payout thresholds, payout holds and monthly
+ * earnings statements
+ *
+ * Money flow per trip: the advance is paid at trip start (PaymentStateMachine);
+ * at completion the remainder, less the driver platform fee and TDS, is
+ * recorded as a pending DriverEarning and paid with the next batch for the
+ * driver's cycle. Bank transfers that fail are retried through payoutQueue.
+ */
+
+const Driver = require('../models/Driver');
+const Trip = require('../models/Trip');
+const Booking = require('../models/Booking');
+const SOSAlert = require('../models/SOSAlert');
+const SupportTicket = require('../models/SupportTicket');
+const DriverEarning = require('../models/DriverEarning');
+const DriverPayout = require('../models/DriverPayout');
+const Dispute = require('../models/Dispute');
+const cashfreeService = require('./cashfreeService');
+const payoutQueue = require('../queues/payoutQueue');
+const { PLATFORM_FEE } = require('./fareCalculation');
+const { getPeriodRange } = require('./gstService');
+const ledgerService = require('./ledgerService');
+
+/**
+ * Supported payout cycles
+ */
+const PAYOUT_CYCLES = ['instant', 'daily', 'weekly'];
+
+/**
+ * Default minimum amount (₹) for a payout; smaller balances roll over
+ */
+const DEFAULT_MINIMUM_PAYOUT = parseFloat(process.env.MIN_DRIVER_PAYOUT) || 100;
+
+/**
+ * Highest minimum payout a driver may choose (₹)
+ */
+const MAX_MINIMUM_PAYOUT = 10000;
+
+/**
+ * TDS rate (%) withheld on gross fares under section 194-O
+ */
+const TDS_RATE_PERCENT = process.env.TDS_RATE_PERCENT !== undefined
+  ? parseFloat(process.env.TDS_RATE_PERCENT)
+  : 0.1;
+
+/**
+ * Cashfree transfer statuses that mean no money moved
+ */
+const FAILED_TRANSFER_STATUSES = ['FAILED', 'REJECTED', 'REVERSED'];
+
+/**
+ * Hour of day (IST) at which daily and weekly payouts run
+ */
+const PAYOUT_HOUR_IST = 10;
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build an error with code and HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error object
+ */
+const createError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Round to paise
+ * @param {number} amount - Amount in rupees
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Start of the IST day containing a date
+ * @param {Date} date - Date
+ * @returns {number} Timestamp in ms
+ */
+const getIstDayStart = (date) => {
+  const shifted = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  return Date.UTC(shifted.getUTCFullYear(), shifted.getUTCMonth(), shifted.getUTCDate()) - IST_OFFSET_MS;
+};
+
+/**
+ * Start of the IST week (Monday) containing a date
+ * @param {Date} date - Date
+ * @returns {number} Timestamp in ms
+ */
+const getIstWeekStart = (date) => {
+  const dayStart = getIstDayStart(date);
+  const weekday = (new Date(dayStart + IST_OFFSET_MS).getUTCDay() + 6) % 7;
+  return dayStart - weekday * DAY_MS;
+};
+
+/**
+ * Calculate TDS on a gross fare
+ * @param {number} grossFare - Gross fare in rupees
+ * @param {number} ratePercent - TDS rate in percent
+ * @returns {number} TDS amount (paise precision)
+ */
+const calculateTds = (grossFare, ratePercent = TDS_RATE_PERCENT) =>
+  roundAmount(Math.max(0, grossFare || 0) * ratePercent / 100);
+
+/**
+ * Calculate the payable amount for a completed trip
+ *
+ * @param {Object} params - Trip amounts
+ * @param {number} params.grossFare - Fares of completed bookings
+ * @param {number} params.platformFee - Driver platform fee
+ * @param {number} params.advancePaid - Advance paid at trip start
+ * @param {number} params.tdsRatePercent - TDS rate
+ * @returns {{tdsAmount: number, netAmount: number}} TDS and amount still owed
+ */
+const calculateTripEarning = ({ grossFare, platformFee = 0, advancePaid = 0, tdsRatePercent = TDS_RATE_PERCENT }) => {
+  const tdsAmount = calculateTds(grossFare, tdsRatePercent);
+  const netAmount = roundAmount(Math.max(0, grossFare - platformFee - advancePaid - tdsAmount));
+  return { tdsAmount, netAmount };
+};
+
+/**
+ * Whether a driver's payout cycle allows a payout now
+ * Daily payouts run once per IST day; weekly payouts once per Monday-Sunday
+ * week, from Monday onwards.
+ *
+ * @param {string} cycle - instant, daily or weekly
+ * @param {Date|null} lastPayoutAt - Previous payout time
+ * @param {Date} now - Current time
+ * @returns {boolean} True if a payout may run
+ */
+const isPayoutDue = (cycle, lastPayoutAt, now = new Date()) => {
+  if (cycle === 'instant' || !lastPayoutAt) return true;
+  const last = new Date(lastPayoutAt).getTime();
+  if (cycle === 'daily') return last < getIstDayStart(now);
+  if (cycle === 'weekly') return last < getIstWeekStart(now);
+  return false;
+};
+
+/**
+ * Get the next scheduled payout time for display
+ * @param {string} cycle - instant, daily or weekly
+ * @param {Date} now - Current time
+ * @returns {Date|null} Next payout run (null for instant payouts)
+ */
+const getNextPayoutAt = (cycle, now = new Date()) => {
+  const nowMs = new Date(now).getTime();
+  const hourOffset = PAYOUT_HOUR_IST * 60 * 60 * 1000;
+
+  if (cycle === 'daily') {
+    const today = getIstDayStart(now) + hourOffset;
+    return new Date(today > nowMs ? today : today + DAY_MS);
+  }
+  if (cycle === 'weekly') {
+    const monday = getIstWeekStart(now) + hourOffset;
+    return new Date(monday > nowMs ? monday : monday + 7 * DAY_MS);
+  }
+  return null;
+};
+
+/**
+ * Whether a batch amount may be paid out
+ * @param {number} amount - Batch total
+ * @param {number} minimumPayout - Driver's minimum payout
+ * @returns {boolean} True if payable
+ */
+const meetsMinimumPayout = (amount, minimumPayout) => amount > 0 && amount >= (minimumPayout || 0);
+
+/**
+ * Split outstanding earnings into payable and held entries
+ * @param {Array} earnings - Pending and held DriverEarning entries
+ * @returns {Object} { payable, held, payableAmount, heldAmount }
+ */
+const splitPayableEarnings = (earnings) => {
+  const payable = earnings.filter(e => e.status === 'pending');
+  const held = earnings.filter(e => e.status === 'held');
+  return {
+    payable,
+    held,
+    payableAmount: roundAmount(payable.reduce((sum, e) => sum + e.netAmount, 0)),
+    heldAmount: roundAmount(held.reduce((sum, e) => sum + e.netAmount, 0))
+  };
+};
+
+/**
+ * Get a driver's effective payout settings
+ * @param {Object} driver - Driver document
+ * @returns {{cycle: string, minimumPayout: number, lastPayoutAt: Date|null}}
+ */
+const getPayoutSettings = (driver) => ({
+  cycle: driver.payoutSettings?.cycle || 'instant',
+  minimumPayout: driver.payoutSettings?.minimumPayout ?? DEFAULT_MINIMUM_PAYOUT,
+  lastPayoutAt: driver.payoutSettings?.lastPayoutAt || null
+});
+
+/**
+ * Find open issues that block payout of a trip's earnings
+ * Open (active or acknowledged) SOS alerts on the trip, unresolved support
+ * tickets with category 'payment' linked to the trip or its bookings, and
+ * payment disputes on the trip that are not yet decided.
+ *
+ * @param {string} tripId - Trip ObjectId
+ * @returns {Promise<Array>} Holds ({ reason, referenceId })
+ */
+const findOpenHolds = async (tripId) => {
+  const bookingIds = await Booking.find({ tripId }).distinct('_id');
+
+  const [alerts, tickets, disputes] = await Promise.all([
+    SOSAlert.find({ tripId, status: { $in: ['active', 'acknowledged'] } }).select('_id').lean(),
+    SupportTicket.find({
+      category: 'payment',
+      status: { $in: ['open', 'in_progress'] },
+      $or: [
+        { relatedTrip: tripId },
+        { 'relatedEntity.type': 'trip', 'relatedEntity.id': tripId },
+        { 'relatedEntity.type': 'booking', 'relatedEntity.id': { $in: bookingIds } }
+      ]
+    }).select('_id').lean(),
+    Dispute.find({ tripId, status: { $in: ['open', 'contested', 'under_review'] } }).select('_id').lean()
+  ]);
+
+  return [
+    ...alerts.map(alert => ({ reason: 'sos_alert', referenceId: alert._id })),
+    ...tickets.map(ticket => ({ reason: 'payment_ticket', referenceId: ticket._id })),
+    ...disputes.map(dispute => ({ reason: 'payment_dispute', referenceId: dispute._id }))
+  ];
+};
+
+/**
+ * Find open no-show disputes that block payout of no-show compensation
+ *
+ * @param {string} bookingId - Booking ObjectId
+ * @returns {Promise<Array>} Holds ({ reason, referenceId })
+ */
+const findNoShowHolds = async (bookingId) => {
+  const tickets = await SupportTicket.find({
+    status: { $in: ['open', 'in_progress'] },
+    'relatedEntity.type': 'booking',
+    'relatedEntity.id': bookingId,
+    'metadata.type': 'no_show_dispute'
+  }).select('_id').lean();
+
+  return tickets.map(ticket => ({ reason: 'no_show_dispute', referenceId: ticket._id }));
+};
+
+/**
+ * Re-evaluate holds on an outstanding trip or no-show earning
+ * Keeps the original placement time of holds that are still open and records
+ * the release time of holds that have cleared.
+ *
+ * @param {Object} earning - DriverEarning document (pending or held)
+ * @returns {Promise<Object>} Updated earning
+ */
+const refreshHolds = async (earning) => {
+  if (!['trip', 'no_show'].includes(earning.kind) || !['pending', 'held'].includes(earning.status)) {
+    return earning;
+  }
+
+  const open = earning.kind === 'no_show'
+    ? await findNoShowHolds(earning.bookingId)
+    : await findOpenHolds(earning.tripId);
+  const openIds = new Set(open.map(hold => hold.referenceId.toString()));
+  const now = new Date();
+
+  for (const hold of earning.holds) {
+    if (!hold.releasedAt && !openIds.has(hold.referenceId.toString())) {
+      hold.releasedAt = now;
+    }
+  }
+  for (const hold of open) {
+    const existing = earning.holds.find(h => !h.releasedAt && h.referenceId.toString() === hold.referenceId.toString());
+    if (!existing) {
+      earning.holds.push({ ...hold, placedAt: now });
+    }
+  }
+
+  earning.status = open.length > 0 ? 'held' : 'pending';
+  if (earning.isModified()) {
+    await earning.save();
+  }
+  return earning;
+};
+
+/**
+ * Record the earning for a completed trip and pay it if the driver is on
+ * instant payouts. Safe to call more than once per trip.
+ *
+ * @param {string} tripId - Trip ObjectId
+ * @returns {Promise<Object>} { earning, payout }
+ */
+const recordTripEarning = async (tripId) => {
+  const existing = await DriverEarning.findOne({ tripId, kind: 'trip' });
+  if (existing) {
+    return { earning: existing, payout: null };
+  }
+
+  const trip = await Trip.findById(tripId);
+  if (!trip) {
+    throw createError('TRIP_NOT_FOUND', 'Trip not found', 404);
+  }
+
+  const bookings = await Booking.find({ tripId: trip._id, status: 'completed' })
+    .select('fare seats pricing')
+    .lean();
+
+  const advancePaid = trip.payment?.driverAdvance || 0;
+  let grossFare;
+  let platformFee;
+  if (bookings.length > 0) {
+    grossFare = bookings.reduce((sum, b) => sum + (b.fare || 0), 0);
+    platformFee = bookings.reduce((sum, b) =>
+      sum + (b.pricing?.driverCommission ?? PLATFORM_FEE.DRIVER_FEE_PER_SEAT * (b.seats || 1)), 0);
+  } else {
+    grossFare = advancePaid + (trip.payment?.vaultAmount || 0);
+    platformFee = 0;
+  }
+
+  const { tdsAmount, netAmount } = calculateTripEarning({ grossFare, platformFee, advancePaid });
+
+  let earning;
+  try {
+    earning = await DriverEarning.create({
+      driverId: trip.driver,
+      kind: 'trip',
+      tripId: trip._id,
+      tripCode: trip.tripId,
+      grossFare,
+      platformFee,
+      tdsAmount,
+      advancePaid,
+      netAmount,
+      earnedAt: trip.completedAt || new Date()
+    });
+  } catch (error) {
+    // Recorded concurrently
+    if (error.code === 11000) {
+      return { earning: await DriverEarning.findOne({ tripId, kind: 'trip' }), payout: null };
+    }
+    throw error;
+  }
+
+  await Driver.findByIdAndUpdate(trip.driver, { $inc: { 'earnings.pending': netAmount } });
+  await refreshHolds(earning);
+
+  const driver = await Driver.findById(trip.driver).select('payoutSettings');
+  let payout = null;
+  if (driver && getPayoutSettings(driver).cycle === 'instant') {
+    payout = await processDriverPayout(trip.driver);
+  }
+
+  return { earning, payout };
+};
+
+/**
+ * Record the driver's share of a passenger no-show charge and pay it if the
+ * driver is on instant payouts. Safe to call more than once per booking.
+ *
+ * @param {Object} booking - Cancelled no-show booking
+ * @param {Object} trip - Trip the booking was on
+ * @param {number} amount - Driver's share of the no-show charge
+ * @returns {Promise<Object>} { earning, payout }
+ */
+const recordNoShowCompensation = async (booking, trip, amount) => {
+  const existing = await DriverEarning.findOne({ bookingId: booking._id, kind: 'no_show' });
+  if (existing) {
+    return { earning: existing, payout: null };
+  }
+
+  const grossFare = roundAmount(amount);
+  const { tdsAmount, netAmount } = calculateTripEarning({ grossFare });
+
+  let earning;
+  try {
+    earning = await DriverEarning.create({
+      driverId: trip.driver,
+      kind: 'no_show',
+      tripId: trip._id,
+      tripCode: trip.tripId,
+      bookingId: booking._id,
+      grossFare,
+      tdsAmount,
+      netAmount,
+      reason: `Passenger no-show on booking ${booking.bookingId}`,
+      earnedAt: new Date()
+    });
+  } catch (error) {
+    // Recorded concurrently
+    if (error.code === 11000) {
+      return { earning: await DriverEarning.findOne({ bookingId: booking._id, kind: 'no_show' }), payout: null };
+    }
+    throw error;
+  }
+
+  await Driver.findByIdAndUpdate(trip.driver, { $inc: { 'earnings.pending': netAmount } });
+  await refreshHolds(earning);
+
+  const driver = await Driver.findById(trip.driver).select('payoutSettings');
+  let payout = null;
+  if (driver && getPayoutSettings(driver).cycle === 'instant') {
+    payout = await processDriverPayout(trip.driver);
+  }
+
+  return { earning, payout };
+};
+
+/**
+ * Mark a payout as transferred and its earnings as paid
+ * Called directly after a successful transfer and by the payout worker after
+ * a successful retry.
+ *
+ * @param {string} payoutId - DriverPayout payoutId
+ * @param {Object} transfer - Transfer result (transferId, referenceId, utr)
+ * @returns {Promise<Object|null>} Updated payout
+ */
+const completePayout = async (payoutId, transfer = {}) => {
+  const payout = await DriverPayout.findOneAndUpdate(
+    { payoutId, status: { $in: ['processing', 'queued'] } },
+    {
+      $set: {
+        status: 'completed',
+        transferId: transfer.transferId,
+        referenceId: transfer.referenceId,
+        utr: transfer.utr,
+        processedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+  if (!payout) return null;
+
+  const paidAt = new Date();
+  await DriverEarning.updateMany(
+    { _id: { $in: payout.earnings } },
+    { $set: { status: 'paid', paidAt } }
+  );
+  await Driver.findByIdAndUpdate(payout.driverId, { $inc: { 'earnings.pending': -payout.amount } });
+  await ledgerService.recordDriverPayout({
+    payoutId: payout.payoutId,
+    driverId: payout.driverId,
+    amount: payout.amount,
+    destination: payout.destination
+  });
+
+  // Record the payout on each trip's payment ledger (used by financial reports)
+  const tripEarnings = await DriverEarning.find({ _id: { $in: payout.earnings }, kind: 'trip' })
+    .select('tripId netAmount')
+    .lean();
+  for (const earning of tripEarnings) {
+    if (earning.netAmount <= 0) continue;
+    await Trip.findByIdAndUpdate(earning.tripId, {
+      $push: {
+        'payment.transactions': {
+          type: 'payout',
+          amount: earning.netAmount,
+          status: 'completed',
+          gateway: payout.destination === 'bank_account' ? 'cashfree' : 'wallet',
+          gatewayTransactionId: payout.transferId || payout.payoutId,
+          createdAt: paidAt
+        }
+      }
+    });
+  }
+
+  return payout;
+};
+
+/**
+ * Mark a payout as failed and return its earnings to the pending balance
+ * @param {string} payoutId - DriverPayout payoutId
+ * @param {string} reason - Failure reason
+ * @returns {Promise<Object|null>} Updated payout
+ */
+const failPayout = async (payoutId, reason) => {
+  const payout = await DriverPayout.findOneAndUpdate(
+    { payoutId, status: { $in: ['processing', 'queued'] } },
+    { $set: { status: 'failed', failureReason: reason, processedAt: new Date() } },
+    { new: true }
+  );
+  if (!payout) return null;
+
+  await DriverEarning.updateMany(
+    { _id: { $in: payout.earnings }, status: 'processing' },
+    { $set: { status: 'pending' }, $unset: { payoutId: 1 } }
+  );
+  return payout;
+};
+
+/**
+ * Pay a driver's outstanding, unheld earnings as one transfer
+ * Bank transfers go through Cashfree (IMPS); drivers without a registered
+ * beneficiary are credited to their HushRyd wallet balance. Failed transfers
+ * are queued for retry on the payout queue.
+ *
+ * @param {string} driverId - Driver ObjectId
+ * @param {Object} options - Options
+ * @param {boolean} options.force - Ignore the minimum payout (manual payouts)
+ * @returns {Promise<Object>} Payout result
+ */
+const processDriverPayout = async (driverId, { force = false } = {}) => {
+  const driver = await Driver.findById(driverId);
+  if (!driver) {
+    throw createError('DRIVER_NOT_FOUND', 'Driver not found', 404);
+  }
+  const settings = getPayoutSettings(driver);
+
+  const outstanding = await DriverEarning.find({ driverId, status: { $in: ['pending', 'held'] } });
+  for (const earning of outstanding) {
+    await refreshHolds(earning);
+  }
+
+  const { payable, payableAmount, heldAmount } = splitPayableEarnings(outstanding);
+  if (payableAmount <= 0 || (!force && !meetsMinimumPayout(payableAmount, settings.minimumPayout))) {
+    return {
+      success: true,
+      skipped: true,
+      reason: payableAmount <= 0 ? 'NOTHING_TO_PAY' : 'BELOW_MINIMUM_PAYOUT',
+      payableAmount,
+      heldAmount,
+      minimumPayout: settings.minimumPayout
+    };
+  }
+
+  const hasBank = !!(driver.bankDetails?.accountNumber) &&
+    driver.bankDetails?.beneficiaryStatus === 'registered' &&
+    !!driver.bankDetails?.beneficiaryId;
+
+  const payout = await DriverPayout.create({
+    payoutId: await DriverPayout.generatePayoutId(),
+    driverId,
+    cycle: force ? 'manual' : settings.cycle,
+    amount: payableAmount,
+    destination: hasBank ? 'bank_account' : 'wallet',
+    beneficiaryId: hasBank ? driver.bankDetails.beneficiaryId : undefined
+  });
+
+  // Claim the entries; anything claimed concurrently is left out of this batch
+  await DriverEarning.updateMany(
+    { _id: { $in: payable.map(e => e._id) }, status: 'pending' },
+    { $set: { status: 'processing', payoutId: payout._id } }
+  );
+  const claimed = await DriverEarning.find({ payoutId: payout._id, status: 'processing' }).select('_id netAmount').lean();
+  payout.earnings = claimed.map(e => e._id);
+  payout.amount = roundAmount(claimed.reduce((sum, e) => sum + e.netAmount, 0));
+
+  if (payout.amount <= 0) {
+    await DriverEarning.updateMany({ payoutId: payout._id }, { $set: { status: 'pending' }, $unset: { payoutId: 1 } });
+    await payout.deleteOne();
+    return { success: true, skipped: true, reason: 'NOTHING_TO_PAY', payableAmount: 0, heldAmount };
+  }
+  await payout.save();
+
+  await Driver.findByIdAndUpdate(driverId, { $set: { 'payoutSettings.lastPayoutAt': new Date() } });
+
+  if (!hasBank) {
+    const completed = await completePayout(payout.payoutId);
+    return { success: true, payout: completed, heldAmount };
+  }
+
+  try {
+    const transfer = await cashfreeService.initiatePayout({
+      beneficiaryId: payout.beneficiaryId,
+      amount: payout.amount,
+      transferId: payout.payoutId,
+      transferMode: 'IMPS',
+      remarks: `HushRyd payout ${payout.payoutId}`
+    });
+    if (transfer.status !== 'SUCCESS') {
+      // Accepted but not yet settled; reconciled on the next payout run
+      payout.transferId = transfer.transferId;
+      payout.referenceId = transfer.referenceId;
+      await payout.save();
+      return { success: true, payout, heldAmount };
+    }
+    const completed = await completePayout(payout.payoutId, transfer);
+    return { success: true, payout: completed, heldAmount };
+  } catch (transferError) {
+    console.error(`[PayoutService] Transfer failed for payout ${payout.payoutId}:`, transferError.message);
+
+    try {
+      const queued = await payoutQueue.queueFailedPayout({
+        driverId: driverId.toString(),
+        amount: payout.amount,
+        beneficiaryId: payout.beneficiaryId,
+        transactionId: payout.payoutId,
+        payoutId: payout.payoutId
+      }, transferError.message);
+
+      if (!queued.success) {
+        throw new Error(queued.error || 'Queue not available');
+      }
+
+      payout.status = 'queued';
+      payout.failureReason = transferError.message;
+      await payout.save();
+      await payoutQueue.notifyAdminPayoutFailure({
+        driverId: driverId.toString(),
+        amount: payout.amount,
+        transactionId: payout.payoutId
+      }, transferError.message);
+
+      return { success: false, queued: true, payout, heldAmount };
+    } catch (queueError) {
+      const failed = await failPayout(payout.payoutId, `${transferError.message}; ${queueError.message}`);
+      return { success: false, queued: false, payout: failed, heldAmount };
+    }
+  }
+};
+
+/**
+ * Transfer ID (Cashfree idempotency key) for a payout attempt
+ * Attempt 0 is the transfer sent by processDriverPayout; retries are numbered.
+ *
+ * @param {string} payoutId - DriverPayout payoutId
+ * @param {number} attempt - Retry number (0 for the first transfer)
+ * @returns {string} Transfer ID
+ */
+const getPayoutTransferId = (payoutId, attempt = 0) =>
+  attempt > 0 ? `${payoutId}_RETRY_${attempt}` : payoutId;
+
+/**
+ * Decide what a retry does given the status of the previous transfer
+ * A transfer that timed out may still have gone through, so it is only
+ * re-sent once Cashfree reports it failed or has no record of it.
+ *
+ * @param {Object|null} previous - Previous transfer status, null if not found
+ * @returns {string} 'complete', 'await' or 'resend'
+ */
+const resolveRetryAction = (previous) => {
+  if (!previous) return 'resend';
+  if (previous.status === 'SUCCESS') return 'complete';
+  if (FAILED_TRANSFER_STATUSES.includes(previous.status)) return 'resend';
+  return 'await';
+};
+
+/**
+ * Whether a Cashfree status lookup failed because the transfer does not exist
+ * @param {Error} error - Error from cashfreeService.getPayoutStatus
+ * @returns {boolean}
+ */
+const isTransferNotFound = (error) =>
+  error.response?.status === 404 || String(error.response?.data?.subCode) === '404';
+
+/**
+ * Leave an accepted but unsettled transfer for reconcilePendingTransfers
+ * @param {string} payoutId - DriverPayout payoutId
+ * @param {Object} transfer - Transfer result (transferId, referenceId)
+ * @returns {Promise<Object|null>} Updated payout
+ */
+const markTransferPending = async (payoutId, transfer) => DriverPayout.findOneAndUpdate(
+  { payoutId, status: { $in: ['processing', 'queued'] } },
+  { $set: { status: 'processing', transferId: transfer.transferId, referenceId: transfer.referenceId } },
+  { new: true }
+);
+
+/**
+ * Retry a queued bank transfer for a payout
+ * Checks the previous attempt at Cashfree first and only sends a new transfer
+ * (with the next stable transfer ID) when that attempt did not go through.
+ *
+ * @param {string} payoutId - DriverPayout payoutId
+ * @returns {Promise<Object>} { action, transfer, payout }
+ */
+const retryPayoutTransfer = async (payoutId) => {
+  const payout = await DriverPayout.findOne({ payoutId });
+  if (!payout || !['processing', 'queued'].includes(payout.status)) {
+    return { action: 'skipped', payout };
+  }
+
+  const attempt = payout.transferAttempts || 0;
+  let previous = null;
+  try {
+    previous = await cashfreeService.getPayoutStatus(getPayoutTransferId(payoutId, attempt));
+  } catch (error) {
+    if (!isTransferNotFound(error)) throw error;
+  }
+
+  const action = resolveRetryAction(previous);
+  if (action === 'complete') {
+    return { action, transfer: previous, payout: await completePayout(payoutId, previous) };
+  }
+  if (action === 'await') {
+    return { action, transfer: previous, payout: await markTransferPending(payoutId, previous) };
+  }
+
+  // Claim the next attempt number so concurrent retries never send twice
+  const claimed = await DriverPayout.findOneAndUpdate(
+    { payoutId, status: { $in: ['processing', 'queued'] }, transferAttempts: payout.transferAttempts },
+    { $inc: { transferAttempts: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    return { action: 'skipped', payout };
+  }
+
+  const transfer = await cashfreeService.initiatePayout({
+    beneficiaryId: claimed.beneficiaryId,
+    amount: claimed.amount,
+    transferId: getPayoutTransferId(payoutId, claimed.transferAttempts),
+    transferMode: 'IMPS',
+    remarks: `HushRyd payout retry ${payoutId}`
+  });
+  if (transfer.status !== 'SUCCESS') {
+    return { action: 'await', transfer, payout: await markTransferPending(payoutId, transfer) };
+  }
+  return { action: 'complete', transfer, payout: await completePayout(payoutId, transfer) };
+};
+
+/**
+ * Settle bank transfers that were accepted but still pending at Cashfree
+ * @returns {Promise<Object>} { completed, failed }
+ */
+const reconcilePendingTransfers = async () => {
+  const results = { completed: 0, failed: 0 };
+  const pending = await DriverPayout.find({
+    status: 'processing',
+    destination: 'bank_account',
+    transferId: { $exists: true }
+  }).select('payoutId transferId').lean();
+
+  for (const payout of pending) {
+    try {
+      const transfer = await cashfreeService.getPayoutStatus(payout.transferId);
+      if (transfer.status === 'SUCCESS') {
+        await completePayout(payout.payoutId, transfer);
+        results.completed += 1;
+      } else if (FAILED_TRANSFER_STATUSES.includes(transfer.status)) {
+        await failPayout(payout.payoutId, `Transfer ${transfer.status.toLowerCase()}`);
+        results.failed += 1;
+      }
+    } catch (error) {
+      console.error(`[PayoutService] Could not check transfer ${payout.transferId}:`, error.message);
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Run payouts for every driver whose cycle is due
+ * Also retries instant-cycle balances that were previously held or below
+ * the minimum.
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { processed, paid, skipped, errors }
+ */
+const runScheduledPayouts = async (now = new Date()) => {
+  const results = { processed: 0, paid: 0, skipped: 0, errors: [] };
+  results.reconciled = await reconcilePendingTransfers();
+
+  const driverIds = await DriverEarning.distinct('driverId', { status: { $in: ['pending', 'held'] } });
+  for (const driverId of driverIds) {
+    try {
+      const driver = await Driver.findById(driverId).select('payoutSettings');
+      if (!driver) continue;
+
+      const { cycle, lastPayoutAt } = getPayoutSettings(driver);
+      if (!isPayoutDue(cycle, lastPayoutAt, now)) continue;
+
+      results.processed += 1;
+      const result = await processDriverPayout(driverId);
+      if (result.skipped) {
+        results.skipped += 1;
+      } else if (result.payout?.status === 'completed') {
+        results.paid += 1;
+      }
+    } catch (error) {
+      results.errors.push({ driverId: driverId.toString(), error: error.message });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Update a driver's payout cycle and minimum payout
+ * @param {string} driverId - Driver ObjectId
+ * @param {Object} data - { cycle, minimumPayout }
+ * @returns {Promise<Object>} Effective settings
+ */
+const updatePayoutSettings = async (driverId, { cycle, minimumPayout }) => {
+  if (cycle !== undefined && !PAYOUT_CYCLES.includes(cycle)) {
+    throw createError('INVALID_PAYOUT_CYCLE', `Payout cycle must be one of: ${PAYOUT_CYCLES.join(', ')}`);
+  }
+  if (minimumPayout !== undefined && (typeof minimumPayout !== 'number' || minimumPayout < 0 || minimumPayout > MAX_MINIMUM_PAYOUT)) {
+    throw createError('INVALID_MINIMUM_PAYOUT', `Minimum payout must be between 0 and ${MAX_MINIMUM_PAYOUT}`);
+  }
+
+  const update = {};
+  if (cycle !== undefined) update['payoutSettings.cycle'] = cycle;
+  if (minimumPayout !== undefined) update['payoutSettings.minimumPayout'] = minimumPayout;
+
+  const driver = await Driver.findByIdAndUpdate(driverId, { $set: update }, { new: true });
+  if (!driver) {
+    throw createError('DRIVER_NOT_FOUND', 'Driver not found', 404);
+  }
+
+  const settings = getPayoutSettings(driver);
+  return { success: true, settings: { ...settings, nextPayoutAt: getNextPayoutAt(settings.cycle) } };
+};
+
+/**
+ * Get a driver's payout settings, balances, holds and recent payouts
+ * @param {string} driverId - Driver ObjectId
+ * @returns {Promise<Object>} Payout overview
+ */
+const getPayoutOverview = async (driverId) => {
+  const driver = await Driver.findById(driverId).select('payoutSettings');
+  if (!driver) {
+    throw createError('DRIVER_NOT_FOUND', 'Driver not found', 404);
+  }
+  const settings = getPayoutSettings(driver);
+
+  const [outstanding, recentPayouts] = await Promise.all([
+    DriverEarning.find({ driverId, status: { $in: ['pending', 'held', 'processing'] } })
+      .sort({ earnedAt: -1 })
+      .lean(),
+    DriverPayout.find({ driverId }).sort({ createdAt: -1 }).limit(10).lean()
+  ]);
+
+  const { payableAmount, held, heldAmount } = splitPayableEarnings(outstanding);
+  const processingAmount = roundAmount(outstanding
+    .filter(e => e.status === 'processing')
+    .reduce((sum, e) => sum + e.netAmount, 0));
+
+  return {
+    success: true,
+    settings: { ...settings, nextPayoutAt: getNextPayoutAt(settings.cycle) },
+    balances: {
+      payable: payableAmount,
+      held: heldAmount,
+      processing: processingAmount,
+      belowMinimum: payableAmount > 0 && payableAmount < settings.minimumPayout
+    },
+    holds: held.map(e => ({
+      tripId: e.tripCode,
+      amount: e.netAmount,
+      reasons: e.holds.filter(h => !h.releasedAt).map(h => h.reason),
+      heldSince: e.holds.filter(h => !h.releasedAt).reduce(
+        (earliest, h) => (!earliest || h.placedAt < earliest ? h.placedAt : earliest), null
+      )
+    })),
+    recentPayouts: recentPayouts.map(p => ({
+      payoutId: p.payoutId,
+      amount: p.amount,
+      cycle: p.cycle,
+      status: p.status,
+      destination: p.destination,
+      utr: p.utr,
+      createdAt: p.createdAt,
+      processedAt: p.processedAt
+    }))
+  };
+};
+
+/**
+ * Add a manual earnings adjustment (bonus or deduction) for a driver
+ * @param {string} driverId - Driver ObjectId
+ * @param {Object} data - { amount (signed), reason }
+ * @param {string} adminId - Staff user ID
+ * @returns {Promise<Object>} Created adjustment
+ */
+const addAdjustment = async (driverId, { amount, reason }, adminId) => {
+  if (typeof amount !== 'number' || amount === 0 || !isFinite(amount)) {
+    throw createError('INVALID_ADJUSTMENT', 'Adjustment amount must be a non-zero number');
+  }
+
+  const driver = await Driver.findById(driverId).select('_id');
+  if (!driver) {
+    throw createError('DRIVER_NOT_FOUND', 'Driver not found', 404);
+  }
+
+  const adjustmentAmount = roundAmount(amount);
+  const earning = await DriverEarning.create({
+    driverId,
+    kind: 'adjustment',
+    adjustmentAmount,
+    netAmount: adjustmentAmount,
+    reason,
+    createdBy: adminId
+  });
+  await Driver.findByIdAndUpdate(driverId, { $inc: { 'earnings.pending': adjustmentAmount } });
+  await ledgerService.recordDriverAdjustment({
+    earningId: earning._id,
+    driverId,
+    amount: adjustmentAmount,
+    reason
+  });
+
+  return { success: true, adjustment: earning };
+};
+
+/**
+ * List trip earnings currently on hold (admin view)
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} Paginated held earnings
+ */
+const getHeldEarnings = async ({ page = 1, limit = 20 } = {}) => {
+  const query = { status: 'held' };
+  const skip = (page - 1) * limit;
+
+  const [earnings, total] = await Promise.all([
+    DriverEarning.find(query)
+      .populate({ path: 'driverId', select: 'userId', populate: { path: 'userId', select: 'name phone' } })
+      .sort({ earnedAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    DriverEarning.countDocuments(query)
+  ]);
+
+  return {
+    success: true,
+    earnings,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasNextPage: page * limit < total,
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * Build a monthly earnings statement from ledger entries and payouts
+ *
+ * @param {Object} params - Statement inputs
+ * @param {string} params.month - YYYY-MM
+ * @param {Object} params.driver - { name, phone } of the driver
+ * @param {Object} params.summary - Lifetime summary from getDriverEarningsSummary
+ * @param {Array} params.earnings - Ledger entries earned in the month
+ * @param {Array} params.payouts - Completed payouts processed in the month
+ * @returns {Object} Statement
+ */
+const buildEarningsStatement = ({ month, driver = {}, summary = {}, earnings, payouts }) => {
+  const trips = earnings.filter(e => e.kind === 'trip');
+  const noShows = earnings.filter(e => e.kind === 'no_show');
+  const adjustments = earnings.filter(e => e.kind === 'adjustment');
+  const sum = (items, field) => roundAmount(items.reduce((total, item) => total + (item[field] || 0), 0));
+
+  const totals = {
+    trips: trips.length,
+    grossFare: sum(trips, 'grossFare'),
+    platformFees: sum(trips, 'platformFee'),
+    tdsDeducted: sum(trips, 'tdsAmount'),
+    advancesPaid: sum(trips, 'advancePaid'),
+    noShowCompensation: sum(noShows, 'netAmount'),
+    adjustments: sum(adjustments, 'adjustmentAmount')
+  };
+  totals.netEarnings = roundAmount(
+    totals.grossFare - totals.platformFees - totals.tdsDeducted + totals.noShowCompensation + totals.adjustments
+  );
+  totals.paidOut = roundAmount(totals.advancesPaid + sum(payouts, 'amount'));
+  totals.onHold = sum(earnings.filter(e => e.status === 'held'), 'netAmount');
+
+  return {
+    month,
+    driver,
+    totals,
+    lifetime: {
+      total: summary.total || 0,
+      pending: summary.pending || 0,
+      vault: summary.vault || 0
+    },
+    trips: trips.map(e => ({
+      tripId: e.tripCode,
+      date: e.earnedAt,
+      grossFare: e.grossFare,
+      platformFee: e.platformFee,
+      tds: e.tdsAmount,
+      advancePaid: e.advancePaid,
+      netAmount: e.netAmount,
+      status: e.status
+    })),
+    noShows: noShows.map(e => ({
+      tripId: e.tripCode,
+      date: e.earnedAt,
+      amount: e.netAmount,
+      status: e.status
+    })),
+    adjustments: adjustments.map(e => ({
+      date: e.earnedAt,
+      amount: e.adjustmentAmount,
+      reason: e.reason
+    })),
+    payouts: payouts.map(p => ({
+      payoutId: p.payoutId,
+      date: p.processedAt,
+      amount: p.amount,
+      destination: p.destination,
+      utr: p.utr
+    }))
+  };
+};
+
+/**
+ * Get a driver's earnings statement for a calendar month (IST)
+ * @param {string} driverId - Driver ObjectId
+ * @param {string} month - YYYY-MM
+ * @returns {Promise<Object>} Statement
+ */
+const getMonthlyStatement = async (driverId, month) => {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || '')) {
+    throw createError('INVALID_MONTH', 'Month must be in YYYY-MM format');
+  }
+
+  // Lazy require: paymentService records trip earnings through this module
+  const { getDriverEarningsSummary } = require('./paymentService');
+  const summary = await getDriverEarningsSummary(driverId);
+
+  const driver = await Driver.findById(driverId).populate('userId', 'name phone').lean();
+  const { start, end } = getPeriodRange(month);
+
+  const [earnings, payouts] = await Promise.all([
+    DriverEarning.find({ driverId, earnedAt: { $gte: start, $lt: end } }).sort({ earnedAt: 1 }).lean(),
+    DriverPayout.find({ driverId, status: 'completed', processedAt: { $gte: start, $lt: end } })
+      .sort({ processedAt: 1 })
+      .lean()
+  ]);
+
+  const statement = buildEarningsStatement({
+    month,
+    driver: { name: driver?.userId?.name, phone: driver?.userId?.phone },
+    summary,
+    earnings,
+    payouts
+  });
+
+  return { success: true, statement };
+};
+
+module.exports = {
+  PAYOUT_CYCLES,
+  DEFAULT_MINIMUM_PAYOUT,
+  MAX_MINIMUM_PAYOUT,
+  TDS_RATE_PERCENT,
+  PAYOUT_HOUR_IST,
+  calculateTds,
+  calculateTripEarning,
+  isPayoutDue,
+  getNextPayoutAt,
+  meetsMinimumPayout,
+  splitPayableEarnings,
+  getPayoutSettings,
+  findOpenHolds,
+  findNoShowHolds,
+  refreshHolds,
+  recordTripEarning,
+  recordNoShowCompensation,
+  completePayout,
+  failPayout,
+  processDriverPayout,
+  getPayoutTransferId,
+  resolveRetryAction,
+  retryPayoutTransfer,
+  reconcilePendingTransfers,
+  runScheduledPayouts,
+  updatePayoutSettings,
+  getPayoutOverview,
+  addAdjustment,
+  getHeldEarnings,
+  buildEarningsStatement,
+  getMonthlyStatement
+};
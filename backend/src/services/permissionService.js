@@ -21,18 +21,29 @@ const ROLE_PERMISSIONS = {
     'passengers:read',
     'documents:read',
     'documents:write',
-    'documents:verify'
+    'documents:verify',
+    'chat:read',
+    'sos:export'
   ],
   customer_support: [
     'drivers:read',
     'passengers:read',
     'tickets:read',
-    'tickets:write'
+    'tickets:write',
+    'chat:read'
   ],
   finance: [
     'payments:read',
     'transactions:read',
-    'reports:read'
+    'reports:read',
+    'reports:write',
+    'coupons:read',
+    'coupons:write',
+    'pricing:read',
+    'pricing:write',
+    'disputes:read',
+    'disputes:write',
+    'ledger:read'
   ],
   admin: [
     'drivers:read',
@@ -42,10 +53,20 @@ const ROLE_PERMISSIONS = {
     'documents:verify',
     'tickets:read',
     'tickets:write',
+    'chat:read',
+    'sos:export',
     'payments:read',
     'transactions:read',
     'reports:read',
-    'staff:read'
+    'reports:write',
+    'staff:read',
+    'coupons:read',
+    'coupons:write',
+    'pricing:read',
+    'pricing:write',
+    'disputes:read',
+    'disputes:write',
+    'ledger:read'
   ],
   super_admin: [
     'drivers:read',
@@ -55,14 +76,24 @@ const ROLE_PERMISSIONS = {
     'documents:verify',
     'tickets:read',
     'tickets:write',
+    'chat:read',
+    'sos:export',
     'payments:read',
     'transactions:read',
     'reports:read',
+    'reports:write',
     'staff:read',
     'staff:write',
     'staff:delete',
     'analytics:read',
-    'settings:write'
+    'settings:write',
+    'coupons:read',
+    'coupons:write',
+    'pricing:read',
+    'pricing:write',
+    'disputes:read',
+    'disputes:write',
+    'ledger:read'
   ]
 };
 
@@ -82,14 +113,24 @@ const ALL_PERMISSIONS = [
   'documents:verify',
   'tickets:read',
   'tickets:write',
+  'chat:read',
+  'sos:export',
   'payments:read',
   'transactions:read',
   'reports:read',
+  'reports:write',
   'staff:read',
   'staff:write',
   'staff:delete',
   'analytics:read',
-  'settings:write'
+  'settings:write',
+  'coupons:read',
+  'coupons:write',
+  'pricing:read',
+  'pricing:write',
+  'disputes:read',
+  'disputes:write',
+  'ledger:read'
 ];
 
 /**
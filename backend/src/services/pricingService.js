@@ -0,0 +1,692 @@
+/**
+ * Pricing Service
+ * Rules engine for platform fees and driver commission
+ *
+ * Design Decision: Fee schedules are versioned documents in the database
+ * Rationale: Finance can change fees per route, city, distance band, date and
+ * subscription tier without a deploy, and every booking records the version
+ * that priced it so historical fares stay explainable
+ *
+ * When no schedule is active the built-in default applies, matching what was
+ * charged before schedules existed: the flat per-booking passenger fee from
+ * cashfreePaymentCalculation and the per-seat driver fee from fareCalculation.
+ * The default's driver fee is recorded but not deducted from driver earnings;
+ * commission is only taken once a schedule is activated.
+ */
+
+const FeeSchedule = require('../models/FeeSchedule');
+const Booking = require('../models/Booking');
+const { PLATFORM_FEE } = require('./fareCalculation');
+const { PLATFORM_FEE: PASSENGER_BOOKING_FEE } = require('./cashfreePaymentCalculation');
+
+/**
+ * IST offset used to evaluate weekend and festival surcharges
+ */
+const IST_OFFSET_MINUTES = 330;
+
+/**
+ * How long the active schedule is cached in memory
+ */
+const ACTIVE_SCHEDULE_CACHE_MS = 60 * 1000;
+
+/**
+ * Rule scope specificity: the most specific matching rule wins
+ */
+const SCOPE_SPECIFICITY = { route: 3, city: 2, global: 1 };
+
+/**
+ * Built-in schedule used when none is active (version 0)
+ */
+const DEFAULT_FEE_SCHEDULE = Object.freeze({
+  version: 0,
+  name: 'Default platform fee',
+  rules: [{
+    name: 'Default flat fee',
+    scope: { type: 'global' },
+    distanceBand: { minKm: 0 },
+    passengerFee: { type: 'flat', value: PASSENGER_BOOKING_FEE, perSeat: false },
+    driverCommission: { type: 'flat', value: PLATFORM_FEE.DRIVER_FEE_PER_SEAT, perSeat: true }
+  }],
+  surcharges: [],
+  tierWaivers: []
+});
+
+let activeScheduleCache = null;
+let activeScheduleCachedAt = 0;
+
+/**
+ * Build an error with code and HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error object
+ */
+const createError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Get IST date key (YYYY-MM-DD) and day of week for a date
+ * @param {Date} date - Date
+ * @returns {Object} { dateKey, dayOfWeek }
+ */
+const getISTDay = (date) => {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+  return {
+    dateKey: ist.toISOString().slice(0, 10),
+    dayOfWeek: ist.getUTCDay()
+  };
+};
+
+/**
+ * Calculate a fee amount
+ * Flat fees are rupees (per seat unless perSeat is false); percentage fees are
+ * a share of the base fare. Results are clamped to min/max and rounded to rupees.
+ *
+ * @param {Object} amount - { type, value, perSeat, minAmount, maxAmount }
+ * @param {Object} context - { baseFare, seats }
+ * @returns {number} Fee in INR
+ */
+const calculateFeeAmount = (amount, { baseFare, seats }) => {
+  if (!amount) return 0;
+
+  let fee = amount.type === 'percentage'
+    ? baseFare * (amount.value / 100)
+    : amount.value * (amount.perSeat === false ? 1 : seats);
+
+  if (typeof amount.minAmount === 'number') fee = Math.max(fee, amount.minAmount);
+  if (typeof amount.maxAmount === 'number') fee = Math.min(fee, amount.maxAmount);
+
+  return Math.max(0, Math.round(fee));
+};
+
+/**
+ * Check whether an address mentions a city (case-insensitive)
+ * @param {string} address - Trip address
+ * @param {string} city - City name from a rule
+ * @returns {boolean}
+ */
+const addressInCity = (address, city) => {
+  if (!address || !city) return false;
+  return address.toLowerCase().includes(city.toLowerCase());
+};
+
+/**
+ * Check whether a rule applies to a booking
+ * @param {Object} rule - Fee rule
+ * @param {Object} context - { distanceKm, sourceAddress, destinationAddress }
+ * @returns {boolean}
+ */
+const ruleMatches = (rule, context) => {
+  const minKm = rule.distanceBand?.minKm || 0;
+  const maxKm = rule.distanceBand?.maxKm;
+  const distance = context.distanceKm || 0;
+  if (distance < minKm || (typeof maxKm === 'number' && distance >= maxKm)) {
+    return false;
+  }
+
+  const scope = rule.scope || { type: 'global' };
+  switch (scope.type) {
+    case 'route':
+      return addressInCity(context.sourceAddress, scope.sourceCity) &&
+        addressInCity(context.destinationAddress, scope.destinationCity);
+    case 'city':
+      return addressInCity(context.sourceAddress, scope.city) ||
+        addressInCity(context.destinationAddress, scope.city);
+    default:
+      return true;
+  }
+};
+
+/**
+ * Select the rule that prices a booking
+ * The most specific matching scope wins; ties go to the rule listed first.
+ *
+ * @param {Object} schedule - Fee schedule
+ * @param {Object} context - Pricing context
+ * @returns {Object|null} Matching rule
+ */
+const selectFeeRule = (schedule, context) => {
+  let selected = null;
+  for (const rule of schedule.rules || []) {
+    if (!ruleMatches(rule, context)) continue;
+    const specificity = SCOPE_SPECIFICITY[rule.scope?.type || 'global'];
+    if (!selected || specificity > SCOPE_SPECIFICITY[selected.scope?.type || 'global']) {
+      selected = rule;
+    }
+  }
+  return selected;
+};
+
+/**
+ * Get surcharges that apply on a date
+ * @param {Object} schedule - Fee schedule
+ * @param {Date} scheduledAt - Trip departure
+ * @returns {Array} Applicable surcharges
+ */
+const getApplicableSurcharges = (schedule, scheduledAt) => {
+  if (!scheduledAt) return [];
+  const { dateKey, dayOfWeek } = getISTDay(scheduledAt);
+
+  return (schedule.surcharges || []).filter(surcharge => {
+    if (surcharge.type === 'weekend') {
+      const days = surcharge.daysOfWeek?.length ? surcharge.daysOfWeek : [0, 6];
+      return days.includes(dayOfWeek);
+    }
+    if (surcharge.type === 'festival') {
+      return (surcharge.dates || []).includes(dateKey);
+    }
+    return false;
+  });
+};
+
+/**
+ * Calculate platform fees for a booking under a fee schedule
+ *
+ * @param {Object} schedule - Fee schedule (document or plain object)
+ * @param {Object} context - Pricing context
+ * @param {number} context.baseFare - Booking fare (all seats)
+ * @param {number} context.seats - Seats booked
+ * @param {number} [context.distanceKm] - Distance travelled by the passenger
+ * @param {string} [context.sourceAddress] - Trip source address
+ * @param {string} [context.destinationAddress] - Trip destination address
+ * @param {Date} [context.scheduledAt] - Trip departure
+ * @param {string} [context.planId] - Passenger subscription tier
+ * @returns {Object} Fee breakdown
+ */
+const calculateFees = (schedule, context) => {
+  const seats = context.seats || 1;
+  const baseFare = context.baseFare || 0;
+  const feeContext = { baseFare, seats };
+
+  const rule = selectFeeRule(schedule, context);
+  const baseFee = rule ? calculateFeeAmount(rule.passengerFee, feeContext) : 0;
+  const driverCommission = rule ? Math.min(baseFare, calculateFeeAmount(rule.driverCommission, feeContext)) : 0;
+
+  const surcharges = getApplicableSurcharges(schedule, context.scheduledAt);
+  const surcharge = surcharges.reduce((sum, s) => sum + calculateFeeAmount(s.amount, feeContext), 0);
+
+  const waiverRule = (schedule.tierWaivers || []).find(w => w.planId === (context.planId || 'normal'));
+  const waiver = waiverRule ? Math.round((baseFee + surcharge) * waiverRule.waivePercent / 100) : 0;
+
+  const passengerFee = baseFee + surcharge - waiver;
+
+  return {
+    feeScheduleVersion: schedule.version,
+    ruleName: rule?.name || null,
+    planId: context.planId || 'normal',
+    distanceKm: context.distanceKm || 0,
+    baseFee,
+    surcharge,
+    surchargesApplied: surcharges.map(s => s.name),
+    waiver,
+    passengerFee,
+    driverCommission,
+    totalPassengerPays: baseFare + passengerFee,
+    driverNetEarnings: baseFare - driverCommission
+  };
+};
+
+/**
+ * Validate a fee schedule before saving
+ * Every schedule needs a global rule without an upper distance bound so that
+ * every booking is priced by some rule.
+ *
+ * @param {Object} data - Schedule data
+ * @returns {Object} { isValid, errors }
+ */
+const validateFeeSchedule = (data) => {
+  const errors = [];
+  const rules = data.rules || [];
+
+  const validateAmount = (amount, label) => {
+    if (!amount) return;
+    if (amount.type === 'percentage' && amount.value > 100) {
+      errors.push(`${label}: percentage cannot exceed 100`);
+    }
+    if (typeof amount.minAmount === 'number' && typeof amount.maxAmount === 'number' &&
+        amount.minAmount > amount.maxAmount) {
+      errors.push(`${label}: minAmount cannot exceed maxAmount`);
+    }
+  };
+
+  rules.forEach((rule, index) => {
+    const label = `Rule ${index + 1} (${rule.name || 'unnamed'})`;
+    const scope = rule.scope || { type: 'global' };
+    if (scope.type === 'city' && !scope.city) {
+      errors.push(`${label}: city is required for city rules`);
+    }
+    if (scope.type === 'route' && (!scope.sourceCity || !scope.destinationCity)) {
+      errors.push(`${label}: sourceCity and destinationCity are required for route rules`);
+    }
+    const minKm = rule.distanceBand?.minKm || 0;
+    const maxKm = rule.distanceBand?.maxKm;
+    if (typeof maxKm === 'number' && maxKm <= minKm) {
+      errors.push(`${label}: distance band maxKm must be greater than minKm`);
+    }
+    validateAmount(rule.passengerFee, `${label} passenger fee`);
+    validateAmount(rule.driverCommission, `${label} driver commission`);
+  });
+
+  const hasFallback = rules.some(rule =>
+    (rule.scope?.type || 'global') === 'global' &&
+    !(rule.distanceBand?.minKm > 0) &&
+    typeof rule.distanceBand?.maxKm !== 'number'
+  );
+  if (!hasFallback) {
+    errors.push('Schedule must include a global rule covering all distances');
+  }
+
+  (data.surcharges || []).forEach((surcharge, index) => {
+    const label = `Surcharge ${index + 1} (${surcharge.name || 'unnamed'})`;
+    if (surcharge.type === 'festival' && !(surcharge.dates || []).length) {
+      errors.push(`${label}: festival surcharges need at least one date`);
+    }
+    validateAmount(surcharge.amount, label);
+  });
+
+  const waiverPlans = (data.tierWaivers || []).map(w => w.planId);
+  if (new Set(waiverPlans).size !== waiverPlans.length) {
+    errors.push('Only one waiver per subscription tier is allowed');
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Get the active fee schedule (cached), or the built-in default
+ * @returns {Promise<Object>} Fee schedule
+ */
+const getActiveFeeSchedule = async () => {
+  if (activeScheduleCache && Date.now() - activeScheduleCachedAt < ACTIVE_SCHEDULE_CACHE_MS) {
+    return activeScheduleCache;
+  }
+
+  const active = await FeeSchedule.findOne({ status: 'active' }).lean();
+  activeScheduleCache = active || DEFAULT_FEE_SCHEDULE;
+  activeScheduleCachedAt = Date.now();
+  return activeScheduleCache;
+};
+
+/**
+ * Drop the cached active schedule (after activation)
+ */
+const clearActiveScheduleCache = () => {
+  activeScheduleCache = null;
+  activeScheduleCachedAt = 0;
+};
+
+/**
+ * Build pricing context for a booking on a trip
+ * @param {Object} trip - Trip document
+ * @param {Object} booking - { seats, baseFare, segment, planId }
+ * @returns {Object} Pricing context
+ */
+const buildPricingContext = (trip, booking) => ({
+  baseFare: booking.baseFare,
+  seats: booking.seats,
+  distanceKm: typeof booking.segment?.distanceKm === 'number'
+    ? booking.segment.distanceKm
+    : trip.route?.distance || 0,
+  sourceAddress: trip.source?.address,
+  destinationAddress: trip.destination?.address,
+  scheduledAt: trip.scheduledAt,
+  planId: booking.planId || 'normal'
+});
+
+/**
+ * Price a new booking with the active fee schedule
+ * Returns the fields stored in booking.pricing.
+ *
+ * @param {Object} trip - Trip document
+ * @param {Object} booking - { seats, baseFare, segment, planId }
+ * @returns {Promise<Object>} Booking pricing record
+ */
+const quoteBookingFees = async (trip, booking) => {
+  const schedule = await getActiveFeeSchedule();
+  const fees = calculateFees(schedule, buildPricingContext(trip, booking));
+
+  return {
+    feeSchedule: schedule._id || undefined,
+    feeScheduleVersion: fees.feeScheduleVersion,
+    ruleName: fees.ruleName,
+    planId: fees.planId,
+    distanceKm: fees.distanceKm,
+    passengerFee: fees.passengerFee,
+    surcharge: fees.surcharge,
+    waiver: fees.waiver,
+    driverCommission: fees.driverCommission
+  };
+};
+
+/**
+ * Whether fees were priced by an activated schedule rather than the built-in default
+ * @param {Object} pricing - Booking pricing record or fee quote
+ * @returns {boolean}
+ */
+const isScheduledPricing = (pricing) =>
+  typeof pricing?.feeScheduleVersion === 'number' &&
+  pricing.feeScheduleVersion > DEFAULT_FEE_SCHEDULE.version;
+
+/**
+ * Driver commission actually deducted for a pricing record
+ * The built-in default only records its per-seat commission; drivers keep
+ * their full fare until finance activates a schedule with a commission.
+ *
+ * @param {Object} pricing - Booking pricing record or fee quote
+ * @returns {number} Commission in INR
+ */
+const getChargedDriverCommission = (pricing) =>
+  isScheduledPricing(pricing) ? pricing.driverCommission || 0 : 0;
+
+/**
+ * Price a whole trip (all offered seats) with the active fee schedule
+ * Used for the trip-level payment breakdown at creation.
+ *
+ * @param {Object} trip - { source, destination, route, scheduledAt }
+ * @param {Object} options - { seats, baseFare }
+ * @returns {Promise<Object>} Fee quote (see calculateFees)
+ */
+const quoteTripFees = async (trip, { seats, baseFare }) => {
+  const schedule = await getActiveFeeSchedule();
+  return calculateFees(schedule, buildPricingContext(trip, { seats, baseFare }));
+};
+
+/**
+ * Pick schedule fields that admins may set
+ * @param {Object} data - Request data
+ * @returns {Object} Schedule fields
+ */
+const pickScheduleFields = (data) => {
+  const fields = {};
+  ['name', 'description', 'rules', 'surcharges', 'tierWaivers'].forEach(key => {
+    if (data[key] !== undefined) fields[key] = data[key];
+  });
+  return fields;
+};
+
+/**
+ * Create a draft fee schedule
+ * @param {Object} data - Schedule data
+ * @param {string} adminId - Creating admin
+ * @returns {Promise<Object>} Created schedule
+ */
+const createFeeSchedule = async (data, adminId) => {
+  const validation = validateFeeSchedule(data);
+  if (!validation.isValid) {
+    const error = createError('INVALID_FEE_SCHEDULE', 'Invalid fee schedule');
+    error.errors = validation.errors;
+    throw error;
+  }
+
+  const schedule = new FeeSchedule({
+    ...pickScheduleFields(data),
+    version: await FeeSchedule.getNextVersion(),
+    status: 'draft',
+    createdBy: adminId
+  });
+  await schedule.save();
+
+  return { success: true, schedule };
+};
+
+/**
+ * Update a draft fee schedule
+ * Active and archived versions are immutable - create a new version instead.
+ *
+ * @param {string} identifier - Schedule ID or version
+ * @param {Object} data - Fields to update
+ * @returns {Promise<Object>} Updated schedule
+ */
+const updateFeeSchedule = async (identifier, data) => {
+  const schedule = await FeeSchedule.findByIdentifier(identifier);
+  if (!schedule) {
+    throw createError('FEE_SCHEDULE_NOT_FOUND', 'Fee schedule not found', 404);
+  }
+  if (schedule.status !== 'draft') {
+    throw createError('FEE_SCHEDULE_LOCKED', 'Only draft fee schedules can be edited; create a new version instead');
+  }
+
+  const merged = { ...schedule.toObject(), ...pickScheduleFields(data) };
+  const validation = validateFeeSchedule(merged);
+  if (!validation.isValid) {
+    const error = createError('INVALID_FEE_SCHEDULE', 'Invalid fee schedule');
+    error.errors = validation.errors;
+    throw error;
+  }
+
+  Object.assign(schedule, pickScheduleFields(data));
+  await schedule.save();
+
+  return { success: true, schedule };
+};
+
+/**
+ * Activate a draft fee schedule, archiving the current one
+ * New bookings are priced with it from the next cache refresh on each instance.
+ *
+ * @param {string} identifier - Schedule ID or version
+ * @param {string} adminId - Activating admin
+ * @returns {Promise<Object>} Activated schedule and the version it replaced
+ */
+const activateFeeSchedule = async (identifier, adminId) => {
+  const schedule = await FeeSchedule.findByIdentifier(identifier);
+  if (!schedule) {
+    throw createError('FEE_SCHEDULE_NOT_FOUND', 'Fee schedule not found', 404);
+  }
+  if (schedule.status !== 'draft') {
+    throw createError('FEE_SCHEDULE_LOCKED', `Fee schedule is already ${schedule.status}`);
+  }
+
+  const now = new Date();
+  const previous = await FeeSchedule.findOneAndUpdate(
+    { status: 'active' },
+    { $set: { status: 'archived', archivedAt: now } },
+    { new: true }
+  );
+
+  schedule.status = 'active';
+  schedule.activatedAt = now;
+  schedule.activatedBy = adminId;
+  await schedule.save();
+
+  clearActiveScheduleCache();
+
+  return {
+    success: true,
+    schedule,
+    previousVersion: previous ? previous.version : DEFAULT_FEE_SCHEDULE.version
+  };
+};
+
+/**
+ * List fee schedules
+ * @param {Object} options - { page, limit, status }
+ * @returns {Promise<Object>} Paginated schedules
+ */
+const getFeeSchedules = async (options = {}) => {
+  const { page = 1, limit = 20, status } = options;
+
+  const query = {};
+  if (status) query.status = status;
+
+  const skip = (page - 1) * limit;
+  const [schedules, total] = await Promise.all([
+    FeeSchedule.find(query)
+      .sort({ version: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    FeeSchedule.countDocuments(query)
+  ]);
+
+  return {
+    success: true,
+    schedules,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasNextPage: page * limit < total,
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * Get a fee schedule
+ * @param {string} identifier - Schedule ID or version
+ * @returns {Promise<Object>} Schedule
+ */
+const getFeeScheduleById = async (identifier) => {
+  const schedule = await FeeSchedule.findByIdentifier(identifier);
+  if (!schedule) {
+    throw createError('FEE_SCHEDULE_NOT_FOUND', 'Fee schedule not found', 404);
+  }
+  return { success: true, schedule };
+};
+
+/**
+ * Fees a historical booking was actually charged
+ * Bookings made before the pricing engine have no pricing record; they paid
+ * the flat per-booking fee and no driver commission was recorded.
+ *
+ * @param {Object} booking - Booking document
+ * @returns {Object} { passengerFee, driverCommission, feeScheduleVersion }
+ */
+const getRecordedFees = (booking) => {
+  if (booking.pricing && typeof booking.pricing.passengerFee === 'number') {
+    return {
+      passengerFee: booking.pricing.passengerFee,
+      driverCommission: getChargedDriverCommission(booking.pricing),
+      feeScheduleVersion: booking.pricing.feeScheduleVersion
+    };
+  }
+  return {
+    passengerFee: booking.fareBreakdown?.platformFee ?? PASSENGER_BOOKING_FEE,
+    driverCommission: 0,
+    feeScheduleVersion: null
+  };
+};
+
+/**
+ * Preview a schedule's effect on historical bookings
+ * Re-prices confirmed and completed bookings in the date range and compares
+ * the result with what was recorded. Nothing is written.
+ *
+ * @param {string} identifier - Schedule ID or version
+ * @param {Object} options - { startDate, endDate, limit }
+ * @returns {Promise<Object>} Totals, per-rule counts and sample differences
+ */
+const previewFeeSchedule = async (identifier, options = {}) => {
+  const schedule = await FeeSchedule.findByIdentifier(identifier);
+  if (!schedule) {
+    throw createError('FEE_SCHEDULE_NOT_FOUND', 'Fee schedule not found', 404);
+  }
+
+  const endDate = options.endDate ? new Date(options.endDate) : new Date();
+  const startDate = options.startDate
+    ? new Date(options.startDate)
+    : new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+  const limit = Math.min(options.limit || 1000, 5000);
+
+  const bookings = await Booking.find({
+    status: { $in: ['confirmed', 'completed'] },
+    bookedAt: { $gte: startDate, $lte: endDate }
+  })
+    .sort({ bookedAt: -1 })
+    .limit(limit)
+    .populate('tripId', 'tripId source destination route scheduledAt')
+    .lean();
+
+  const totals = {
+    current: { passengerFees: 0, driverCommission: 0 },
+    proposed: { passengerFees: 0, driverCommission: 0 }
+  };
+  const byRule = {};
+  const changes = [];
+
+  for (const booking of bookings) {
+    if (!booking.tripId) continue;
+
+    const recorded = getRecordedFees(booking);
+    const proposed = calculateFees(schedule, buildPricingContext(booking.tripId, {
+      baseFare: booking.fare,
+      seats: booking.seats,
+      segment: booking.segment,
+      planId: booking.pricing?.planId
+    }));
+
+    totals.current.passengerFees += recorded.passengerFee;
+    totals.current.driverCommission += recorded.driverCommission;
+    totals.proposed.passengerFees += proposed.passengerFee;
+    totals.proposed.driverCommission += proposed.driverCommission;
+
+    const ruleKey = proposed.ruleName || 'unmatched';
+    byRule[ruleKey] = (byRule[ruleKey] || 0) + 1;
+
+    const passengerFeeChange = proposed.passengerFee - recorded.passengerFee;
+    const driverCommissionChange = proposed.driverCommission - recorded.driverCommission;
+    if (passengerFeeChange !== 0 || driverCommissionChange !== 0) {
+      changes.push({
+        bookingId: booking.bookingId,
+        tripId: booking.tripId.tripId,
+        bookedAt: booking.bookedAt,
+        recordedVersion: recorded.feeScheduleVersion,
+        ruleName: proposed.ruleName,
+        current: { passengerFee: recorded.passengerFee, driverCommission: recorded.driverCommission },
+        proposed: { passengerFee: proposed.passengerFee, driverCommission: proposed.driverCommission },
+        passengerFeeChange,
+        driverCommissionChange
+      });
+    }
+  }
+
+  const platformRevenue = (t) => t.passengerFees + t.driverCommission;
+
+  return {
+    success: true,
+    preview: {
+      version: schedule.version,
+      status: schedule.status,
+      period: { startDate, endDate },
+      bookingsEvaluated: bookings.length,
+      bookingsChanged: changes.length,
+      totals: {
+        ...totals,
+        difference: {
+          passengerFees: totals.proposed.passengerFees - totals.current.passengerFees,
+          driverCommission: totals.proposed.driverCommission - totals.current.driverCommission,
+          platformRevenue: platformRevenue(totals.proposed) - platformRevenue(totals.current)
+        }
+      },
+      byRule,
+      sampleChanges: changes.slice(0, 50)
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_FEE_SCHEDULE,
+  calculateFeeAmount,
+  selectFeeRule,
+  getApplicableSurcharges,
+  calculateFees,
+  validateFeeSchedule,
+  getActiveFeeSchedule,
+  clearActiveScheduleCache,
+  quoteBookingFees,
+  quoteTripFees,
+  isScheduledPricing,
+  getChargedDriverCommission,
+  createFeeSchedule,
+  updateFeeSchedule,
+  activateFeeSchedule,
+  getFeeSchedules,
+  getFeeScheduleById,
+  previewFeeSchedule
+};
@@ -13,7 +13,7 @@ const { invalidateUserCache } = require('./cacheService');
  * List of fields that users can edit in their profile
  * Requirements: 5.2, 8.1 - Personal info including name, email, gender, date of birth
  */
-const EDITABLE_FIELDS = ['name', 'email', 'gender', 'dateOfBirth', 'healthInfo', 'preferences'];
+const EDITABLE_FIELDS = ['name', 'email', 'gender', 'dateOfBirth', 'healthInfo', 'city', 'preferences'];
 
 /**
  * Get user profile with editable fields list
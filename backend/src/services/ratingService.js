@@ -2,6 +2,9 @@
  * Rating Service
  * Implements rating submission and average rating calculation
  * 
+ * Passengers rate drivers; drivers rate passengers with structured tags,
+ * which are aggregated into User.passengerReputation
+ * 
  * Requirements: 6.4
  */
 
@@ -19,6 +22,27 @@ const RATING_CONSTRAINTS = {
   MAX_FEEDBACK_LENGTH: 1000
 };
 
+/**
+ * Tags a driver can attach to a passenger rating
+ */
+const PASSENGER_RATING_TAGS = {
+  POSITIVE: ['punctual', 'polite'],
+  NEGATIVE: ['no_show', 'late', 'abusive', 'vehicle_damage', 'unsafe_behaviour']
+};
+
+/**
+ * Passenger reputation thresholds
+ * Passengers below these lose instant booking until their reputation recovers
+ */
+const REPUTATION_THRESHOLDS = {
+  // Ratings needed before a low average can restrict a passenger
+  MIN_RATINGS: 3,
+  MIN_AVERAGE: 3.5,
+  // No-shows within the window that restrict a passenger
+  MAX_RECENT_NO_SHOWS: 2,
+  NO_SHOW_WINDOW_DAYS: 90
+};
+
 /**
  * Validate rating data
  * @param {Object} ratingData - Rating data to validate
@@ -294,11 +318,290 @@ const getDriverReviews = async (driverId, options = {}) => {
   };
 };
 
+/**
+ * Validate a driver's rating of a passenger
+ * @param {Object} ratingData - Rating data (rating, tags, comment)
+ * @returns {Object} Validation result with isValid and errors
+ */
+const validatePassengerRatingData = (ratingData) => {
+  const { errors } = validateRatingData({ rating: ratingData.rating, feedback: ratingData.comment });
+  const allowedTags = [...PASSENGER_RATING_TAGS.POSITIVE, ...PASSENGER_RATING_TAGS.NEGATIVE];
+
+  if (ratingData.tags !== undefined) {
+    if (!Array.isArray(ratingData.tags)) {
+      errors.push('Tags must be an array');
+    } else {
+      const invalid = ratingData.tags.filter(tag => !allowedTags.includes(tag));
+      if (invalid.length > 0) {
+        errors.push(`Invalid tags: ${invalid.join(', ')}`);
+      }
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Aggregate driver ratings of a passenger into a reputation
+ * Design Decision: Restrict on a low average only after MIN_RATINGS ratings,
+ * but on repeated recent no-shows regardless of the average
+ * 
+ * @param {Array} ratings - Passenger ratings ({ rating, tags, ratedAt })
+ * @param {Date} now - Reference time for the no-show window
+ * @param {Array<Date>} strikes - Reported no-shows not already tagged in a rating
+ * @returns {Object} Reputation (rating, totalRatings, recentNoShows, tagCounts, instantBookingDisabled, restrictionReason)
+ */
+const calculatePassengerReputation = (ratings, now = new Date(), strikes = []) => {
+  const windowStart = now.getTime() - REPUTATION_THRESHOLDS.NO_SHOW_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const tagCounts = {};
+  let sum = 0;
+  let recentNoShows = 0;
+
+  for (const entry of ratings) {
+    sum += entry.rating;
+    for (const tag of entry.tags || []) {
+      tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+    }
+    if ((entry.tags || []).includes('no_show') && new Date(entry.ratedAt).getTime() >= windowStart) {
+      recentNoShows += 1;
+    }
+  }
+  for (const strikeAt of strikes) {
+    if (new Date(strikeAt).getTime() >= windowStart) {
+      recentNoShows += 1;
+    }
+  }
+
+  const totalRatings = ratings.length;
+  const rating = totalRatings > 0 ? Math.round((sum / totalRatings) * 10) / 10 : 0;
+
+  let restrictionReason = null;
+  if (recentNoShows >= REPUTATION_THRESHOLDS.MAX_RECENT_NO_SHOWS) {
+    restrictionReason = 'REPEATED_NO_SHOWS';
+  } else if (totalRatings >= REPUTATION_THRESHOLDS.MIN_RATINGS && rating < REPUTATION_THRESHOLDS.MIN_AVERAGE) {
+    restrictionReason = 'LOW_RATING';
+  }
+
+  return {
+    rating,
+    totalRatings,
+    recentNoShows,
+    tagCounts,
+    instantBookingDisabled: restrictionReason !== null,
+    restrictionReason
+  };
+};
+
+/**
+ * Split a passenger's bookings into ratings and no-show strikes
+ * Reported no-shows count once: as the rating's no_show tag when the driver
+ * rated the booking, otherwise as a strike. Overturned no-shows count neither.
+ *
+ * @param {Array} bookings - Bookings ({ passengerRating, pickupStatus, noShow })
+ * @returns {Object} { ratings, strikes, totalStrikes }
+ */
+const collectReputationInputs = (bookings) => {
+  const ratings = [];
+  const strikes = [];
+  let totalStrikes = 0;
+
+  for (const booking of bookings) {
+    const reported = booking.pickupStatus === 'no_show' && !!booking.noShow?.markedAt;
+    const voided = reported && booking.noShow.strikeVoided === true;
+    let tagged = false;
+
+    if (booking.passengerRating?.rating) {
+      const tags = (booking.passengerRating.tags || []).filter(tag => !(voided && tag === 'no_show'));
+      tagged = tags.includes('no_show');
+      ratings.push({ ...booking.passengerRating, tags });
+    }
+    if (reported && !voided) {
+      totalStrikes += 1;
+      if (!tagged) {
+        strikes.push(booking.noShow.markedAt);
+      }
+    }
+  }
+
+  return { ratings, strikes, totalStrikes };
+};
+
+/**
+ * Recalculate and store a passenger's reputation from all driver ratings
+ * and reported no-shows
+ * @param {string} passengerId - Passenger user ID
+ * @returns {Promise<Object>} Updated reputation
+ */
+const updatePassengerReputation = async (passengerId) => {
+  const bookings = await Booking.find({
+    passengerId,
+    $or: [
+      { 'passengerRating.rating': { $exists: true, $ne: null } },
+      { pickupStatus: 'no_show', 'noShow.markedAt': { $exists: true } }
+    ]
+  })
+    .select('passengerRating pickupStatus noShow')
+    .lean();
+
+  const { ratings, strikes, totalStrikes } = collectReputationInputs(bookings);
+  const reputation = {
+    ...calculatePassengerReputation(ratings, new Date(), strikes),
+    noShowStrikes: totalStrikes
+  };
+
+  const user = await User.findById(passengerId).select('passengerReputation');
+  const wasRestricted = user?.passengerReputation?.instantBookingDisabled === true;
+
+  const update = {
+    'passengerReputation.rating': reputation.rating,
+    'passengerReputation.totalRatings': reputation.totalRatings,
+    'passengerReputation.recentNoShows': reputation.recentNoShows,
+    'passengerReputation.noShowStrikes': reputation.noShowStrikes,
+    'passengerReputation.tagCounts': reputation.tagCounts,
+    'passengerReputation.instantBookingDisabled': reputation.instantBookingDisabled,
+    'passengerReputation.updatedAt': new Date()
+  };
+  const unset = {};
+  if (reputation.instantBookingDisabled) {
+    update['passengerReputation.restrictionReason'] = reputation.restrictionReason;
+    if (!wasRestricted) {
+      update['passengerReputation.restrictedAt'] = new Date();
+    }
+  } else {
+    unset['passengerReputation.restrictionReason'] = 1;
+    unset['passengerReputation.restrictedAt'] = 1;
+  }
+
+  await User.findByIdAndUpdate(passengerId, Object.keys(unset).length > 0
+    ? { $set: update, $unset: unset }
+    : { $set: update });
+
+  return {
+    passengerId: passengerId.toString(),
+    ...reputation
+  };
+};
+
+/**
+ * Driver rates the passenger of a booking on their trip
+ * Design Decision: Completed bookings and reported no-shows can be rated
+ * 
+ * @param {string} bookingId - Booking ID
+ * @param {string} driverId - Driver ID (for authorization)
+ * @param {Object} ratingData - Rating data (rating, tags, comment)
+ * @returns {Promise<Object>} Passenger rating and updated reputation
+ */
+const submitPassengerRating = async (bookingId, driverId, ratingData) => {
+  const validation = validatePassengerRatingData(ratingData);
+  if (!validation.isValid) {
+    const error = new Error(validation.errors.join(', '));
+    error.code = 'INVALID_RATING_DATA';
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const booking = await Booking.findByBookingId(bookingId);
+  if (!booking) {
+    const error = new Error('Booking not found');
+    error.code = 'BOOKING_NOT_FOUND';
+    error.statusCode = 404;
+    throw error;
+  }
+
+  // Verify driver owns the booking's trip
+  const trip = await Trip.findById(booking.tripId).select('driver');
+  const requestDriverId = driverId?.toString ? driverId.toString() : driverId;
+  if (!trip || trip.driver?.toString() !== requestDriverId) {
+    const error = new Error('Unauthorized to rate this passenger');
+    error.code = 'UNAUTHORIZED';
+    error.statusCode = 403;
+    throw error;
+  }
+
+  if (booking.status !== 'completed' && booking.pickupStatus !== 'no_show') {
+    const error = new Error('Can only rate passengers after the trip or a reported no-show');
+    error.code = 'BOOKING_NOT_COMPLETED';
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (booking.passengerRating?.rating) {
+    const error = new Error('Passenger has already been rated for this booking');
+    error.code = 'ALREADY_RATED';
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const tags = [...new Set(ratingData.tags || [])];
+  if (booking.pickupStatus === 'no_show' && !tags.includes('no_show')) {
+    tags.push('no_show');
+  }
+
+  booking.passengerRating = {
+    rating: ratingData.rating,
+    tags,
+    comment: ratingData.comment ? ratingData.comment.trim() : undefined,
+    ratedAt: new Date()
+  };
+  await booking.save();
+
+  const reputation = await updatePassengerReputation(booking.passengerId);
+
+  return {
+    success: true,
+    booking: {
+      _id: booking._id,
+      bookingId: booking.bookingId,
+      passengerRating: booking.passengerRating
+    },
+    reputation: {
+      rating: reputation.rating,
+      totalRatings: reputation.totalRatings
+    },
+    message: 'Passenger rating submitted successfully'
+  };
+};
+
+/**
+ * Summarize a passenger's reputation for drivers reviewing booking requests
+ * Negative tags are listed most frequent first; comments are not exposed
+ * 
+ * @param {Object} reputation - User.passengerReputation (document or lean)
+ * @returns {Object} Reputation summary
+ */
+const summarizePassengerReputation = (reputation) => {
+  const tagCounts = reputation?.tagCounts instanceof Map
+    ? Object.fromEntries(reputation.tagCounts)
+    : (reputation?.tagCounts || {});
+
+  return {
+    rating: reputation?.rating || 0,
+    totalRatings: reputation?.totalRatings || 0,
+    recentNoShows: reputation?.recentNoShows || 0,
+    flags: PASSENGER_RATING_TAGS.NEGATIVE
+      .filter(tag => tagCounts[tag] > 0)
+      .map(tag => ({ tag, count: tagCounts[tag] }))
+      .sort((a, b) => b.count - a.count),
+    instantBookingDisabled: reputation?.instantBookingDisabled === true
+  };
+};
+
 module.exports = {
   RATING_CONSTRAINTS,
+  PASSENGER_RATING_TAGS,
+  REPUTATION_THRESHOLDS,
   validateRatingData,
+  validatePassengerRatingData,
+  calculatePassengerReputation,
+  collectReputationInputs,
+  summarizePassengerReputation,
   submitRating,
+  submitPassengerRating,
   updateDriverRating,
+  updatePassengerReputation,
   getDriverRating,
   getDriverReviews
 };
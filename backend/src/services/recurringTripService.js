@@ -0,0 +1,716 @@
+/**
+ * Recurring Trip Service
+ * Implements trip templates for commuter drivers, materialization of template
+ * occurrences into Trip documents and recurring seat bookings for passengers
+ *
+ * Design Decision: Occurrences are real Trip documents created N days ahead
+ * Rationale: Search, booking, tracking and payments keep working unchanged
+ * because every occurrence is an ordinary scheduled trip
+ */
+
+const crypto = require('crypto');
+const Trip = require('../models/Trip');
+const TripTemplate = require('../models/TripTemplate');
+const Driver = require('../models/Driver');
+const tripService = require('./tripService');
+const bookingService = require('./bookingService');
+const cancellationService = require('./cancellationService');
+const { sendNotification } = require('./notificationService');
+
+/**
+ * IST offset from UTC in minutes (India has no daylight saving)
+ */
+const IST_OFFSET_MINUTES = 330;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Maximum span of a single recurring seat booking
+ */
+const MAX_RECURRING_BOOKING_DAYS = 31;
+
+/**
+ * Days of week covered by the 'weekdays' pattern (Mon-Fri)
+ */
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+/**
+ * Build an error with code and HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error object
+ */
+const createError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Get the IST calendar date key for an instant
+ * @param {Date} date - Instant
+ * @returns {string} Date key (YYYY-MM-DD)
+ */
+const toDateKey = (date) => {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+  return ist.toISOString().slice(0, 10);
+};
+
+/**
+ * Add days to a date key
+ * @param {string} dateKey - Date key (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date key
+ */
+const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  return new Date(date.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+/**
+ * Get day of week for a date key
+ * @param {string} dateKey - Date key (YYYY-MM-DD)
+ * @returns {number} Day of week (0 = Sunday)
+ */
+const getDayOfWeek = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+/**
+ * Convert an occurrence date and IST departure time to an instant
+ * @param {string} dateKey - Occurrence date (YYYY-MM-DD)
+ * @param {string} departureTime - Departure time in IST (HH:mm)
+ * @returns {Date} Scheduled departure
+ */
+const getOccurrenceDateTime = (dateKey, departureTime) => {
+  const [hours, minutes] = departureTime.split(':').map(Number);
+  const utcMidnight = Date.parse(`${dateKey}T00:00:00Z`);
+  return new Date(utcMidnight + (hours * 60 + minutes - IST_OFFSET_MINUTES) * 60 * 1000);
+};
+
+/**
+ * Resolve the days of week a recurrence runs on
+ * @param {Object} recurrence - Recurrence rule
+ * @returns {number[]} Days of week (0 = Sunday)
+ */
+const getRecurrenceDays = (recurrence) => {
+  if (recurrence.pattern === 'daily') return [0, 1, 2, 3, 4, 5, 6];
+  if (recurrence.pattern === 'weekdays') return WEEKDAYS;
+  return recurrence.daysOfWeek || [];
+};
+
+/**
+ * List occurrence dates of a recurrence within a window
+ * Respects the rule's date range, days of week and skip dates.
+ *
+ * @param {Object} recurrence - Recurrence rule { pattern, daysOfWeek, startDate, endDate, skipDates }
+ * @param {string} fromKey - First date to consider (YYYY-MM-DD, inclusive)
+ * @param {string} toKey - Last date to consider (YYYY-MM-DD, inclusive)
+ * @param {number[]} [onlyDays] - Further restrict to these days of week
+ * @returns {string[]} Occurrence dates in ascending order
+ */
+const getOccurrenceDates = (recurrence, fromKey, toKey, onlyDays = null) => {
+  const days = getRecurrenceDays(recurrence).filter(d => !onlyDays || onlyDays.includes(d));
+  const skipDates = new Set(recurrence.skipDates || []);
+
+  const start = fromKey > recurrence.startDate ? fromKey : recurrence.startDate;
+  const end = recurrence.endDate && recurrence.endDate < toKey ? recurrence.endDate : toKey;
+
+  const dates = [];
+  for (let key = start; key <= end; key = addDays(key, 1)) {
+    if (days.includes(getDayOfWeek(key)) && !skipDates.has(key)) {
+      dates.push(key);
+    }
+  }
+  return dates;
+};
+
+/**
+ * Validate a recurrence rule
+ * @param {Object} recurrence - Recurrence rule
+ * @returns {Object} { isValid, errors }
+ */
+const validateRecurrence = (recurrence) => {
+  const errors = [];
+
+  if (!recurrence) {
+    return { isValid: false, errors: ['Recurrence is required'] };
+  }
+
+  if (recurrence.pattern === 'custom' && (!recurrence.daysOfWeek || recurrence.daysOfWeek.length === 0)) {
+    errors.push('At least one day of week is required for custom recurrence');
+  }
+
+  if (recurrence.endDate && recurrence.endDate < recurrence.startDate) {
+    errors.push('End date must be on or after start date');
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Notify driver of a materialized occurrence with its start OTP
+ * The OTP is only available at creation time, so it is sent by SMS.
+ *
+ * @param {Object} driver - Driver document populated with userId
+ * @param {Object} result - createTrip result with trip and otp
+ */
+const notifyDriverOfOccurrence = async (driver, result) => {
+  const user = driver?.userId;
+  if (!user?.phone) return;
+
+  try {
+    const scheduledAt = new Date(result.trip.scheduledAt);
+    await sendNotification({
+      userId: user._id,
+      channel: 'sms',
+      template: 'recurring_trip_scheduled',
+      recipient: user.phone,
+      data: {
+        tripId: result.trip.tripId,
+        source: result.trip.source?.address,
+        destination: result.trip.destination?.address,
+        scheduledDate: scheduledAt.toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' }),
+        scheduledTime: scheduledAt.toLocaleTimeString('en-IN', {
+          timeZone: 'Asia/Kolkata',
+          hour: '2-digit',
+          minute: '2-digit'
+        }),
+        otp: result.otp
+      },
+      relatedEntity: { type: 'trip', id: result.trip._id }
+    });
+  } catch (error) {
+    console.error(`[RecurringTrips] Failed to notify driver for trip ${result.trip.tripId}:`, error.message);
+  }
+};
+
+/**
+ * Create Trip documents for template occurrences that do not exist yet
+ *
+ * @param {Object} template - TripTemplate document
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now] - Current time
+ * @param {string} [options.untilDate] - Materialize up to this date instead of the template horizon
+ * @returns {Promise<Object>} { created, skipped, errors }
+ */
+const materializeTemplate = async (template, options = {}) => {
+  const now = options.now || new Date();
+  const todayKey = toDateKey(now);
+  const untilKey = options.untilDate || addDays(todayKey, template.materializeDaysAhead);
+
+  const results = { created: [], skipped: 0, errors: [] };
+
+  if (template.status !== 'active') {
+    return results;
+  }
+
+  const dates = getOccurrenceDates(template.recurrence, todayKey, untilKey)
+    .filter(dateKey => getOccurrenceDateTime(dateKey, template.departureTime) > now);
+
+  if (dates.length === 0) {
+    return results;
+  }
+
+  const existing = await Trip.find({ template: template._id, occurrenceDate: { $in: dates } })
+    .select('occurrenceDate')
+    .lean();
+  const existingDates = new Set(existing.map(t => t.occurrenceDate));
+
+  const driver = await Driver.findById(template.driver).populate('userId', 'name phone');
+
+  for (const dateKey of dates) {
+    if (existingDates.has(dateKey)) {
+      results.skipped++;
+      continue;
+    }
+
+    try {
+      const result = await tripService.createTrip(template.driver, {
+        source: template.source,
+        destination: template.destination,
+        stopovers: template.stopovers,
+        route: template.route,
+        scheduledAt: getOccurrenceDateTime(dateKey, template.departureTime),
+        availableSeats: template.availableSeats,
+        farePerSeat: template.farePerSeat,
+        vehicleId: template.vehicleId ? template.vehicleId.toString() : undefined,
+        instantBooking: template.instantBooking,
+        ladiesOnly: template.ladiesOnly,
+        description: template.description,
+        templateId: template._id,
+        occurrenceDate: dateKey
+      });
+
+      results.created.push({ date: dateKey, tripId: result.trip.tripId, _id: result.trip._id });
+      await notifyDriverOfOccurrence(driver, result);
+    } catch (error) {
+      // Duplicate key means a concurrent run already created this occurrence
+      if (error.code === 11000) {
+        results.skipped++;
+        continue;
+      }
+      results.errors.push({ date: dateKey, code: error.code, message: error.message });
+    }
+  }
+
+  template.lastMaterializedAt = now;
+  await template.save();
+
+  return results;
+};
+
+/**
+ * Materialize upcoming occurrences for every active template
+ * Called by the recurring trips cron job.
+ *
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} { processed, created, errors }
+ */
+const materializeAllTemplates = async (now = new Date()) => {
+  const todayKey = toDateKey(now);
+
+  // End templates whose date range is over
+  await TripTemplate.updateMany(
+    { status: { $in: ['active', 'paused'] }, 'recurrence.endDate': { $lt: todayKey } },
+    { $set: { status: 'ended', endedAt: now } }
+  );
+
+  const templates = await TripTemplate.find({ status: 'active' });
+  const summary = { processed: 0, created: 0, errors: [] };
+
+  for (const template of templates) {
+    try {
+      const result = await materializeTemplate(template, { now });
+      summary.processed++;
+      summary.created += result.created.length;
+      result.errors.forEach(e => summary.errors.push({ templateId: template.templateId, ...e }));
+    } catch (error) {
+      summary.errors.push({ templateId: template.templateId, message: error.message });
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Find a template owned by the driver
+ * @param {string} templateId - Template MongoDB ID or TT- ID
+ * @param {string} driverId - Driver ID
+ * @returns {Promise<Object>} Template document
+ */
+const getOwnedTemplate = async (templateId, driverId) => {
+  const template = await TripTemplate.findByIdentifier(templateId);
+  if (!template) {
+    throw createError('TEMPLATE_NOT_FOUND', 'Trip template not found', 404);
+  }
+  if (template.driver.toString() !== driverId.toString()) {
+    throw createError('UNAUTHORIZED', 'Unauthorized to manage this trip template', 403);
+  }
+  return template;
+};
+
+/**
+ * Format template for API responses
+ * @param {Object} template - TripTemplate document
+ * @returns {Object} Formatted template
+ */
+const formatTemplate = (template) => ({
+  _id: template._id,
+  templateId: template.templateId,
+  source: template.source,
+  destination: template.destination,
+  stopovers: template.stopovers,
+  departureTime: template.departureTime,
+  availableSeats: template.availableSeats,
+  farePerSeat: template.farePerSeat,
+  instantBooking: template.instantBooking,
+  ladiesOnly: template.ladiesOnly,
+  description: template.description,
+  recurrence: template.recurrence,
+  materializeDaysAhead: template.materializeDaysAhead,
+  status: template.status,
+  pausedAt: template.pausedAt,
+  endedAt: template.endedAt,
+  lastMaterializedAt: template.lastMaterializedAt,
+  createdAt: template.createdAt
+});
+
+/**
+ * Create a recurring trip template and materialize its first occurrences
+ *
+ * @param {string} driverId - Driver ID
+ * @param {Object} data - Template data
+ * @returns {Promise<Object>} Created template with materialization result
+ */
+const createTemplate = async (driverId, data) => {
+  const recurrenceValidation = validateRecurrence(data.recurrence);
+  if (!recurrenceValidation.isValid) {
+    const error = createError('INVALID_TEMPLATE_DATA', recurrenceValidation.errors.join(', '));
+    error.errors = recurrenceValidation.errors;
+    throw error;
+  }
+
+  // Reuse trip validation against the first occurrence so templates fail fast
+  const firstDate = getOccurrenceDates(
+    data.recurrence,
+    toDateKey(new Date()),
+    data.recurrence.endDate || addDays(toDateKey(new Date()), 366)
+  ).find(dateKey => getOccurrenceDateTime(dateKey, data.departureTime) > new Date());
+
+  if (!firstDate) {
+    throw createError('INVALID_TEMPLATE_DATA', 'Recurrence has no upcoming occurrences');
+  }
+
+  const validation = tripService.validateTripData({
+    ...data,
+    scheduledAt: getOccurrenceDateTime(firstDate, data.departureTime)
+  });
+  if (!validation.isValid) {
+    const error = createError('INVALID_TEMPLATE_DATA', validation.errors.join(', '));
+    error.errors = validation.errors;
+    error.fieldErrors = validation.fieldErrors;
+    throw error;
+  }
+
+  const eligibility = await tripService.checkDriverDocumentEligibility(driverId);
+  if (!eligibility.eligible) {
+    const error = createError('DOCUMENTS_NEED_ATTENTION', 'Cannot create trip template: Some documents need attention', 403);
+    error.rejectedDocuments = eligibility.rejectedDocuments;
+    throw error;
+  }
+
+  const templateId = await TripTemplate.generateTemplateId();
+  const template = new TripTemplate({
+    ...data,
+    templateId,
+    driver: driverId,
+    status: 'active'
+  });
+  await template.save();
+
+  const materialized = await materializeTemplate(template);
+
+  return {
+    success: true,
+    template: formatTemplate(template),
+    materialized
+  };
+};
+
+/**
+ * List a driver's templates
+ * @param {string} driverId - Driver ID
+ * @param {Object} options - { status }
+ * @returns {Promise<Object>} Templates
+ */
+const getDriverTemplates = async (driverId, options = {}) => {
+  const query = { driver: driverId };
+  if (options.status) {
+    query.status = options.status;
+  }
+
+  const templates = await TripTemplate.find(query).sort({ createdAt: -1 });
+
+  return {
+    success: true,
+    templates: templates.map(formatTemplate)
+  };
+};
+
+/**
+ * Get template details with upcoming occurrences
+ * Public so passengers can see a commuter route before booking a recurring seat.
+ *
+ * @param {string} templateId - Template MongoDB ID or TT- ID
+ * @returns {Promise<Object>} Template with upcoming trips
+ */
+const getTemplateById = async (templateId) => {
+  const template = await TripTemplate.findByIdentifier(templateId);
+  if (!template) {
+    throw createError('TEMPLATE_NOT_FOUND', 'Trip template not found', 404);
+  }
+
+  const upcoming = await Trip.find({
+    template: template._id,
+    status: { $in: ['scheduled', 'driver_assigned'] },
+    scheduledAt: { $gt: new Date() }
+  })
+    .sort({ scheduledAt: 1 })
+    .select('tripId scheduledAt occurrenceDate availableSeats farePerSeat status')
+    .lean();
+
+  return {
+    success: true,
+    template: formatTemplate(template),
+    upcomingTrips: upcoming
+  };
+};
+
+/**
+ * Update a template
+ * Changes apply to occurrences materialized after the update only.
+ *
+ * @param {string} templateId - Template MongoDB ID or TT- ID
+ * @param {string} driverId - Driver ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated template
+ */
+const updateTemplate = async (templateId, driverId, updates) => {
+  const template = await getOwnedTemplate(templateId, driverId);
+
+  if (template.status === 'ended') {
+    throw createError('TEMPLATE_ENDED', 'Trip template has ended');
+  }
+
+  if (updates.recurrence) {
+    const recurrence = { ...template.recurrence.toObject(), ...updates.recurrence };
+    const validation = validateRecurrence(recurrence);
+    if (!validation.isValid) {
+      const error = createError('INVALID_TEMPLATE_DATA', validation.errors.join(', '));
+      error.errors = validation.errors;
+      throw error;
+    }
+    template.recurrence = recurrence;
+  }
+
+  const { recurrence, ...rest } = updates;
+  Object.assign(template, rest);
+  await template.save();
+
+  return {
+    success: true,
+    template: formatTemplate(template)
+  };
+};
+
+/**
+ * Pause a template - no new occurrences are created until resumed
+ * Occurrences already created keep running; cancel them separately if needed.
+ *
+ * @param {string} templateId - Template MongoDB ID or TT- ID
+ * @param {string} driverId - Driver ID
+ * @returns {Promise<Object>} Updated template
+ */
+const pauseTemplate = async (templateId, driverId) => {
+  const template = await getOwnedTemplate(templateId, driverId);
+
+  if (template.status !== 'active') {
+    throw createError('INVALID_TEMPLATE_STATUS', `Cannot pause a ${template.status} template`);
+  }
+
+  template.status = 'paused';
+  template.pausedAt = new Date();
+  await template.save();
+
+  return {
+    success: true,
+    template: formatTemplate(template),
+    message: 'Trip template paused'
+  };
+};
+
+/**
+ * Resume a paused template and materialize upcoming occurrences
+ * @param {string} templateId - Template MongoDB ID or TT- ID
+ * @param {string} driverId - Driver ID
+ * @returns {Promise<Object>} Updated template with materialization result
+ */
+const resumeTemplate = async (templateId, driverId) => {
+  const template = await getOwnedTemplate(templateId, driverId);
+
+  if (template.status !== 'paused') {
+    throw createError('INVALID_TEMPLATE_STATUS', `Cannot resume a ${template.status} template`);
+  }
+
+  template.status = 'active';
+  template.pausedAt = undefined;
+  await template.save();
+
+  const materialized = await materializeTemplate(template);
+
+  return {
+    success: true,
+    template: formatTemplate(template),
+    materialized,
+    message: 'Trip template resumed'
+  };
+};
+
+/**
+ * Cancel future occurrences of a template
+ * Each trip goes through the regular driver cancellation flow so booked
+ * passengers are refunded and notified.
+ *
+ * @param {string} templateId - Template MongoDB ID or TT- ID
+ * @param {string} driverId - Driver ID
+ * @param {Object} options - Options
+ * @param {string} [options.fromDate] - First occurrence date to cancel (YYYY-MM-DD), default today
+ * @param {string} [options.toDate] - Last occurrence date to cancel (YYYY-MM-DD), default all
+ * @param {string} [options.reason] - Cancellation reason
+ * @param {boolean} [options.endTemplate] - Also end the template
+ * @returns {Promise<Object>} { cancelled, failed }
+ */
+const cancelFutureOccurrences = async (templateId, driverId, options = {}) => {
+  const template = await getOwnedTemplate(templateId, driverId);
+  const now = new Date();
+
+  const occurrenceDate = { $gte: options.fromDate || toDateKey(now) };
+  if (options.toDate) {
+    occurrenceDate.$lte = options.toDate;
+  }
+
+  const trips = await Trip.find({
+    template: template._id,
+    occurrenceDate,
+    scheduledAt: { $gt: now },
+    status: { $in: ['scheduled', 'driver_assigned'] }
+  }).sort({ scheduledAt: 1 });
+
+  const results = { cancelled: [], failed: [] };
+  const reason = options.reason || 'Recurring trip cancelled by driver';
+
+  for (const trip of trips) {
+    try {
+      await cancellationService.cancelDriverTrip(trip._id, driverId.toString(), reason);
+      results.cancelled.push({ tripId: trip.tripId, date: trip.occurrenceDate });
+    } catch (error) {
+      results.failed.push({ tripId: trip.tripId, date: trip.occurrenceDate, code: error.code, message: error.message });
+    }
+  }
+
+  // Keep the job from re-creating cancelled dates
+  if (!options.endTemplate && trips.length > 0) {
+    const skipDates = new Set(template.recurrence.skipDates || []);
+    trips.forEach(trip => skipDates.add(trip.occurrenceDate));
+    template.recurrence.skipDates = [...skipDates].sort();
+  }
+
+  if (options.endTemplate) {
+    template.status = 'ended';
+    template.endedAt = now;
+  }
+  await template.save();
+
+  return {
+    success: true,
+    ...results,
+    template: formatTemplate(template),
+    message: `${results.cancelled.length} occurrence(s) cancelled`
+  };
+};
+
+/**
+ * Book a seat on every occurrence of a template in a date range
+ * Missing occurrences in the range are materialized first. Occurrences that
+ * cannot be booked (full, already booked) are reported without failing the request.
+ *
+ * @param {string} passengerId - Passenger user ID
+ * @param {Object} data - Booking request
+ * @param {string} data.templateId - Template MongoDB ID or TT- ID
+ * @param {string} data.startDate - First date (YYYY-MM-DD)
+ * @param {string} data.endDate - Last date (YYYY-MM-DD)
+ * @param {number[]} [data.daysOfWeek] - Restrict to these days of week
+ * @param {number} data.seats - Seats per occurrence
+ * @param {Object} data.pickupPoint - Pickup location
+ * @param {Object} data.dropPoint - Drop location
+ * @returns {Promise<Object>} { recurringGroupId, bookings, skipped }
+ */
+const createRecurringBooking = async (passengerId, data) => {
+  const template = await TripTemplate.findByIdentifier(data.templateId);
+  if (!template) {
+    throw createError('TEMPLATE_NOT_FOUND', 'Trip template not found', 404);
+  }
+
+  if (template.status !== 'active') {
+    throw createError('TEMPLATE_NOT_ACTIVE', 'This recurring trip is not currently running');
+  }
+
+  if (data.endDate < data.startDate) {
+    throw createError('INVALID_BOOKING_DATA', 'End date must be on or after start date');
+  }
+
+  const maxEndDate = addDays(data.startDate, MAX_RECURRING_BOOKING_DAYS - 1);
+  if (data.endDate > maxEndDate) {
+    throw createError('INVALID_BOOKING_DATA', `Recurring bookings can cover at most ${MAX_RECURRING_BOOKING_DAYS} days`);
+  }
+
+  const now = new Date();
+  const dates = getOccurrenceDates(template.recurrence, data.startDate, data.endDate, data.daysOfWeek)
+    .filter(dateKey => getOccurrenceDateTime(dateKey, template.departureTime) > now);
+
+  if (dates.length === 0) {
+    throw createError('NO_OCCURRENCES', 'No upcoming trips in the selected dates');
+  }
+
+  await materializeTemplate(template, { now, untilDate: dates[dates.length - 1] });
+
+  const trips = await Trip.find({
+    template: template._id,
+    occurrenceDate: { $in: dates },
+    status: { $in: ['scheduled', 'driver_assigned'] }
+  }).sort({ scheduledAt: 1 });
+
+  const recurringGroupId = `RB-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`.toUpperCase();
+  const bookings = [];
+  const skipped = [];
+
+  const tripDates = new Set(trips.map(t => t.occurrenceDate));
+  dates.filter(dateKey => !tripDates.has(dateKey))
+    .forEach(dateKey => skipped.push({ date: dateKey, code: 'TRIP_NOT_AVAILABLE', message: 'Trip is not available' }));
+
+  for (const trip of trips) {
+    try {
+      const result = await bookingService.createBooking(passengerId, {
+        tripId: trip._id.toString(),
+        seats: data.seats,
+        pickupPoint: data.pickupPoint,
+        dropPoint: data.dropPoint,
+        recurringGroupId
+      });
+      bookings.push({ date: trip.occurrenceDate, tripId: trip.tripId, ...result.booking });
+    } catch (error) {
+      // Profile problems apply to every occurrence - fail the whole request
+      if (['PASSENGER_NOT_FOUND', 'PROFILE_INCOMPLETE', 'EMERGENCY_CONTACT_REQUIRED', 'INVALID_BOOKING_DATA'].includes(error.code)) {
+        throw error;
+      }
+      skipped.push({ date: trip.occurrenceDate, tripId: trip.tripId, code: error.code, message: error.message });
+    }
+  }
+
+  if (bookings.length === 0) {
+    const error = createError('NO_SEATS_BOOKED', 'No seats could be booked for the selected dates');
+    error.skipped = skipped;
+    throw error;
+  }
+
+  skipped.sort((a, b) => a.date.localeCompare(b.date));
+
+  return {
+    success: true,
+    recurringGroupId,
+    totalFare: bookings.reduce((sum, b) => sum + b.fare, 0),
+    bookings,
+    skipped
+  };
+};
+
+module.exports = {
+  IST_OFFSET_MINUTES,
+  MAX_RECURRING_BOOKING_DAYS,
+  toDateKey,
+  addDays,
+  getOccurrenceDateTime,
+  getOccurrenceDates,
+  validateRecurrence,
+  materializeTemplate,
+  materializeAllTemplates,
+  createTemplate,
+  getDriverTemplates,
+  getTemplateById,
+  updateTemplate,
+  pauseTemplate,
+  resumeTemplate,
+  cancelFutureOccurrences,
+  createRecurringBooking
+};
@@ -8,6 +8,7 @@ const User = require('../models/User');
 const Wallet = require('../models/Wallet');
 const Transaction = require('../models/Transaction');
 const { REFERRAL_REWARDS } = require('../config/constants');
+const ledgerService = require('./ledgerService');
 
 /**
  * Generate referral code for user
@@ -238,6 +239,12 @@ const processReferralRewards = async (userId, bookingId, bookingAmount) => {
     // Credit reward to referee (new user)
     const refereeWallet = await Wallet.findOne({ userId }) || await Wallet.createForUser(userId);
     await refereeWallet.addCashback(refereeReward, 'referral');
+    await ledgerService.recordWalletCredit({
+      transactionId: refereeWallet.lastTransactionId,
+      userId: userId,
+      amount: refereeReward,
+      source: 'referral'
+    });
 
     // Create transaction for referee
     await Transaction.create({
@@ -259,6 +266,12 @@ const processReferralRewards = async (userId, bookingId, bookingAmount) => {
     // Credit reward to referrer
     const referrerWallet = await Wallet.findOne({ userId: referrer._id }) || await Wallet.createForUser(referrer._id);
     await referrerWallet.addCashback(referrerReward, 'referral');
+    await ledgerService.recordWalletCredit({
+      transactionId: referrerWallet.lastTransactionId,
+      userId: referrer._id,
+      amount: referrerReward,
+      source: 'referral'
+    });
 
     // Create transaction for referrer
     await Transaction.create({
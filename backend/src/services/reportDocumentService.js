@@ -0,0 +1,946 @@
+/**
+ * Report Document Service
+ * Renders financial reports as PDF (pdf-lib) and XLSX (exceljs) files, and
+ * driver earnings statements as PDF
+ *
+ * Design Decision: Draw PDFs with pdf-lib instead of rendering HTML in Puppeteer
+ * Rationale: Reports are generated from cron jobs and API requests; pdf-lib is
+ * pure JavaScript and does not need a headless browser per report
+ *
+ * PDF layout: summary page with daily GMV, refund and commission charts,
+ * followed by paginated transaction tables.
+ *
+ * SOS evidence PDFs: incident summary and participants, map trace, timeline
+ * and staff action tables, and an integrity page with the evidence data hash.
+ *
+ * Payment dispute PDFs: the tax invoice, and a proof-of-service report with
+ * the booking timeline (including passenger OTP verification) and GPS trace.
+ */
+
+const { PDFDocument, rgb } = require('pdf-lib');
+const ExcelJS = require('exceljs');
+const { decodePolyline } = require('../utils/polylineUtils');
+const { embedPdfFonts, drawText, textWidth, fitText } = require('../utils/pdfFonts');
+
+/**
+ * A4 portrait page size in points
+ */
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 40;
+
+/**
+ * Transaction rows per PDF table page
+ */
+const ROWS_PER_PAGE = 40;
+
+const COLORS = {
+  text: rgb(0.2, 0.2, 0.2),
+  muted: rgb(0.45, 0.45, 0.45),
+  rule: rgb(0.85, 0.85, 0.85),
+  gmv: rgb(0.1, 0.45, 0.8),
+  refunds: rgb(0.85, 0.3, 0.25),
+  commission: rgb(0.2, 0.65, 0.35),
+  plannedRoute: rgb(0.7, 0.7, 0.7),
+  routeTaken: rgb(0.1, 0.45, 0.8),
+  stationary: rgb(0.95, 0.6, 0.1),
+  sos: rgb(0.85, 0.15, 0.15)
+};
+
+/**
+ * Most location points listed in the evidence PDF timeline (the evidence
+ * JSON keeps every point)
+ */
+const MAX_EVIDENCE_LOCATION_ROWS = 200;
+
+const TABLE_COLUMNS = [
+  { header: 'Trip ID', key: 'tripId', width: 90 },
+  { header: 'Date', key: 'date', width: 75 },
+  { header: 'Type', key: 'type', width: 60 },
+  { header: 'Amount', key: 'amount', width: 60, numeric: true },
+  { header: 'Commission', key: 'platformCommission', width: 65, numeric: true },
+  { header: 'Gateway', key: 'gateway', width: 70 },
+  { header: 'Status', key: 'status', width: 95 }
+];
+
+const STATEMENT_TRIP_COLUMNS = [
+  { header: 'Trip ID', key: 'tripId', width: 90 },
+  { header: 'Date', key: 'date', width: 70 },
+  { header: 'Gross Fare', key: 'grossFare', width: 60, numeric: true },
+  { header: 'Platform Fee', key: 'platformFee', width: 60, numeric: true },
+  { header: 'TDS', key: 'tds', width: 45, numeric: true },
+  { header: 'Advance', key: 'advancePaid', width: 55, numeric: true },
+  { header: 'Net', key: 'netAmount', width: 60, numeric: true },
+  { header: 'Status', key: 'status', width: 70 }
+];
+
+const STATEMENT_ADJUSTMENT_COLUMNS = [
+  { header: 'Date', key: 'date', width: 90 },
+  { header: 'Amount', key: 'amount', width: 80, numeric: true },
+  { header: 'Reason', key: 'reason', width: 340 }
+];
+
+const EVIDENCE_PARTICIPANT_COLUMNS = [
+  { header: 'Role', key: 'role', width: 65 },
+  { header: 'Name', key: 'name', width: 130 },
+  { header: 'Phone', key: 'phone', width: 100 },
+  { header: 'Booking / Vehicle', key: 'reference', width: 130 },
+  { header: 'Raised SOS', key: 'triggeredSos', width: 90 }
+];
+
+const EVIDENCE_TIMELINE_COLUMNS = [
+  { header: 'Time (IST)', key: 'time', width: 105 },
+  { header: 'Event', key: 'type', width: 95 },
+  { header: 'Details', key: 'description', width: 215 },
+  { header: 'Lat', key: 'lat', width: 50 },
+  { header: 'Lng', key: 'lng', width: 50 }
+];
+
+const EVIDENCE_STAFF_COLUMNS = [
+  { header: 'Time (IST)', key: 'time', width: 105 },
+  { header: 'Staff', key: 'staff', width: 110 },
+  { header: 'Role', key: 'role', width: 70 },
+  { header: 'Action', key: 'action', width: 110 },
+  { header: 'IP Address', key: 'ipAddress', width: 120 }
+];
+
+const INVOICE_LINE_COLUMNS = [
+  { header: 'Description', key: 'description', width: 150 },
+  { header: 'SAC', key: 'sacCode', width: 50 },
+  { header: 'Taxable', key: 'taxableValue', width: 65, numeric: true },
+  { header: 'CGST', key: 'cgst', width: 55, numeric: true },
+  { header: 'SGST', key: 'sgst', width: 55, numeric: true },
+  { header: 'IGST', key: 'igst', width: 55, numeric: true },
+  { header: 'Total', key: 'total', width: 65, numeric: true }
+];
+
+const DISPUTE_TRACKING_COLUMNS = [
+  { header: 'Time (IST)', key: 'time', width: 140 },
+  { header: 'Lat', key: 'lat', width: 100 },
+  { header: 'Lng', key: 'lng', width: 100 },
+  { header: 'Speed (km/h)', key: 'speed', width: 100 }
+];
+
+const STATEMENT_PAYOUT_COLUMNS = [
+  { header: 'Payout ID', key: 'payoutId', width: 110 },
+  { header: 'Date', key: 'date', width: 90 },
+  { header: 'Amount', key: 'amount', width: 80, numeric: true },
+  { header: 'Destination', key: 'destination', width: 90 },
+  { header: 'UTR', key: 'utr', width: 140 }
+];
+
+/**
+ * Format a date as YYYY-MM-DD in IST
+ * @param {Date|string} date - Date to format
+ * @returns {string} IST calendar date
+ */
+const toIstDateKey = (date) =>
+  new Date(date).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+
+/**
+ * Format a rupee amount for PDF text
+ * @param {number} amount - Amount in rupees
+ * @returns {string} Formatted amount
+ */
+const formatAmount = (amount) =>
+  `₹${Number(amount || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+/**
+ * Format a timestamp as IST date and time
+ * @param {Date|string} date - Timestamp
+ * @returns {string} YYYY-MM-DD HH:mm:ss in IST
+ */
+const toIstDateTime = (date) =>
+  date ? new Date(date).toLocaleString('sv-SE', { timeZone: 'Asia/Kolkata' }) : '';
+
+/**
+ * Single-line PDF text (line breaks and other control characters become spaces)
+ * Characters the embedded fonts cannot draw are handled by pdfFonts.
+ * @param {*} value - Cell value
+ * @returns {string} Printable text
+ */
+const toPdfText = (value) => String(value ?? '').replace(/[\x00-\x1F\x7F]/g, ' ');
+
+/**
+ * Aggregate transactions into per-day GMV, refunds and commission (IST days)
+ * Commission is counted once per trip, on the day of its first collection,
+ * matching calculateSummary.
+ *
+ * @param {Array} transactions - Report transactions
+ * @returns {Array<{date: string, gmv: number, refunds: number, commission: number}>} Days in ascending order
+ */
+const buildDailySeries = (transactions) => {
+  const days = new Map();
+  const commissionedTrips = new Set();
+
+  const getDay = (key) => {
+    if (!days.has(key)) {
+      days.set(key, { date: key, gmv: 0, refunds: 0, commission: 0 });
+    }
+    return days.get(key);
+  };
+
+  const ordered = [...transactions]
+    .filter(t => t.date)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  for (const txn of ordered) {
+    const day = getDay(toIstDateKey(txn.date));
+    if (txn.type === 'collection') {
+      day.gmv += txn.amount || 0;
+      if (!commissionedTrips.has(txn.tripId)) {
+        day.commission += txn.platformCommission || 0;
+        commissionedTrips.add(txn.tripId);
+      }
+    } else if (txn.type === 'refund') {
+      day.refunds += txn.amount || 0;
+    }
+  }
+
+  return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Split rows into fixed-size pages
+ * @param {Array} rows - Table rows
+ * @param {number} rowsPerPage - Rows per page
+ * @returns {Array<Array>} Pages (at least one, possibly empty)
+ */
+const paginateRows = (rows, rowsPerPage = ROWS_PER_PAGE) => {
+  const pages = [];
+  for (let i = 0; i < rows.length; i += rowsPerPage) {
+    pages.push(rows.slice(i, i + rowsPerPage));
+  }
+  return pages.length > 0 ? pages : [[]];
+};
+
+/**
+ * Draw a daily bar chart for one series
+ * @param {Object} page - pdf-lib page
+ * @param {Object} fonts - Regular and bold fonts
+ * @param {Object} options - Chart position, title, values and colour
+ */
+const drawBarChart = (page, fonts, { x, y, width, height, title, series, key, color }) => {
+  drawText(page, title, { x, y: y + height + 8, size: 11, font: fonts.bold, color: COLORS.text });
+  page.drawLine({ start: { x, y }, end: { x: x + width, y }, thickness: 0.8, color: COLORS.rule });
+
+  if (series.length === 0) {
+    drawText(page, 'No data for this period', { x, y: y + height / 2, size: 9, font: fonts.regular, color: COLORS.muted });
+    return;
+  }
+
+  const max = Math.max(...series.map(day => day[key]), 0);
+  drawText(page, formatAmount(max), { x: x + width - 80, y: y + height + 8, size: 8, font: fonts.regular, color: COLORS.muted });
+
+  const slot = width / series.length;
+  const barWidth = Math.max(1, slot * 0.7);
+  series.forEach((day, index) => {
+    const barHeight = max > 0 ? (day[key] / max) * height : 0;
+    if (barHeight > 0) {
+      page.drawRectangle({ x: x + index * slot + (slot - barWidth) / 2, y, width: barWidth, height: barHeight, color });
+    }
+  });
+
+  drawText(page, series[0].date, { x, y: y - 12, size: 7, font: fonts.regular, color: COLORS.muted });
+  if (series.length > 1) {
+    const last = series[series.length - 1].date;
+    drawText(page, last, { x: x + width - textWidth(fonts.regular, last, 7), y: y - 12, size: 7, font: fonts.regular, color: COLORS.muted });
+  }
+};
+
+/**
+ * Draw a table with a header row; cells are truncated to their column width
+ * @param {Object} page - pdf-lib page
+ * @param {Object} fonts - { regular, bold }
+ * @param {Object} table - { y, columns, rows, emptyText }
+ * @returns {number} Y position below the last row
+ */
+const drawTable = (page, fonts, { y, columns, rows, emptyText }) => {
+  let x = MARGIN;
+  for (const column of columns) {
+    drawText(page, column.header, { x, y, size: 8, font: fonts.bold, color: COLORS.text });
+    x += column.width;
+  }
+  y -= 6;
+  page.drawLine({ start: { x: MARGIN, y }, end: { x: PAGE_WIDTH - MARGIN, y }, thickness: 0.8, color: COLORS.rule });
+  y -= 12;
+
+  if (rows.length === 0) {
+    drawText(page, emptyText, { x: MARGIN, y, size: 9, font: fonts.regular, color: COLORS.muted });
+    y -= 17;
+  }
+
+  for (const row of rows) {
+    x = MARGIN;
+    for (const column of columns) {
+      let value = row[column.key];
+      if (column.key === 'date') value = value ? toIstDateKey(value) : '';
+      if (column.numeric) value = Number(value || 0).toFixed(2);
+      const text = fitText(fonts.regular, toPdfText(value), 8, column.width - 4);
+      drawText(page, text, { x, y, size: 8, font: fonts.regular, color: COLORS.text });
+      x += column.width;
+    }
+    y -= 17;
+  }
+
+  return y;
+};
+
+/**
+ * Render a financial report as a PDF
+ *
+ * @param {Object} report - Report data
+ * @param {string} report.title - Report title
+ * @param {string} report.reportType - transactions, revenue or payouts
+ * @param {Date} [report.startDate] - Period start
+ * @param {Date} [report.endDate] - Period end
+ * @param {Object} report.summary - Totals from calculateSummary
+ * @param {Array} report.transactions - Report transactions
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const renderReportPdf = async ({ title, reportType, startDate, endDate, summary, transactions }) => {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle(title);
+  pdfDoc.setProducer('HushRyd');
+
+  const fonts = await embedPdfFonts(pdfDoc);
+  const series = buildDailySeries(transactions);
+  const period = `${startDate ? toIstDateKey(startDate) : 'Beginning'} to ${endDate ? toIstDateKey(endDate) : toIstDateKey(new Date())}`;
+
+  // Summary page
+  const summaryPage = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  let cursor = PAGE_HEIGHT - MARGIN - 10;
+  drawText(summaryPage, toPdfText(title), { x: MARGIN, y: cursor, size: 20, font: fonts.bold, color: COLORS.text });
+  cursor -= 20;
+  drawText(summaryPage, `Report type: ${reportType}   Period: ${period}`, { x: MARGIN, y: cursor, size: 10, font: fonts.regular, color: COLORS.muted });
+  cursor -= 14;
+  drawText(summaryPage, `Generated: ${new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })} IST`, { x: MARGIN, y: cursor, size: 10, font: fonts.regular, color: COLORS.muted });
+
+  cursor -= 36;
+  const summaryRows = [
+    ['Total revenue (GMV)', formatAmount(summary.totalRevenue)],
+    ['Platform commission', formatAmount(summary.totalCommission)],
+    ['Driver payouts', formatAmount(summary.totalPayouts)],
+    ['Refunds', formatAmount(summary.totalRefunds)],
+    ['Transactions', String(transactions.length)]
+  ];
+  for (const [label, value] of summaryRows) {
+    drawText(summaryPage, label, { x: MARGIN, y: cursor, size: 12, font: fonts.regular, color: COLORS.text });
+    drawText(summaryPage, value, { x: MARGIN + 250, y: cursor, size: 12, font: fonts.bold, color: COLORS.text });
+    cursor -= 20;
+  }
+
+  const chartWidth = PAGE_WIDTH - MARGIN * 2;
+  const chartHeight = 120;
+  cursor -= 40;
+  for (const chart of [
+    { title: 'Daily GMV', key: 'gmv', color: COLORS.gmv },
+    { title: 'Daily refunds', key: 'refunds', color: COLORS.refunds },
+    { title: 'Daily commission', key: 'commission', color: COLORS.commission }
+  ]) {
+    cursor -= chartHeight;
+    drawBarChart(summaryPage, fonts, { x: MARGIN, y: cursor, width: chartWidth, height: chartHeight, series, ...chart });
+    cursor -= 45;
+  }
+
+  // Transaction table pages
+  const pages = paginateRows(transactions);
+  pages.forEach((rows, pageIndex) => {
+    const page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    let y = PAGE_HEIGHT - MARGIN;
+    drawText(page, `Transactions (page ${pageIndex + 1} of ${pages.length})`, { x: MARGIN, y, size: 12, font: fonts.bold, color: COLORS.text });
+    y -= 24;
+
+    drawTable(page, fonts, { y, columns: TABLE_COLUMNS, rows, emptyText: 'No transactions in this period' });
+  });
+
+  return Buffer.from(await pdfDoc.save());
+};
+
+/**
+ * Render a financial report as an XLSX workbook
+ * Sheets: Summary, Daily (GMV/refunds/commission) and Transactions
+ *
+ * @param {Object} report - Report data (see renderReportPdf)
+ * @returns {Promise<Buffer>} XLSX file contents
+ */
+const renderReportXlsx = async ({ title, reportType, startDate, endDate, summary, transactions }) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'HushRyd';
+  workbook.created = new Date();
+
+  const summarySheet = workbook.addWorksheet('Summary');
+  summarySheet.columns = [{ width: 28 }, { width: 20 }];
+  summarySheet.addRows([
+    [title],
+    ['Report type', reportType],
+    ['Period start', startDate ? toIstDateKey(startDate) : ''],
+    ['Period end', endDate ? toIstDateKey(endDate) : ''],
+    [],
+    ['Total revenue (GMV)', summary.totalRevenue],
+    ['Platform commission', summary.totalCommission],
+    ['Driver payouts', summary.totalPayouts],
+    ['Refunds', summary.totalRefunds],
+    ['Transactions', transactions.length]
+  ]);
+  summarySheet.getRow(1).font = { bold: true, size: 14 };
+
+  const dailySheet = workbook.addWorksheet('Daily');
+  dailySheet.columns = [
+    { header: 'Date', key: 'date', width: 14 },
+    { header: 'GMV', key: 'gmv', width: 14 },
+    { header: 'Refunds', key: 'refunds', width: 14 },
+    { header: 'Commission', key: 'commission', width: 14 }
+  ];
+  dailySheet.addRows(buildDailySeries(transactions));
+  dailySheet.getRow(1).font = { bold: true };
+
+  const transactionSheet = workbook.addWorksheet('Transactions');
+  transactionSheet.columns = [
+    { header: 'Trip ID', key: 'tripId', width: 18 },
+    { header: 'Date', key: 'date', width: 22 },
+    { header: 'Transaction Type', key: 'type', width: 16 },
+    { header: 'Amount', key: 'amount', width: 12 },
+    { header: 'Platform Commission', key: 'platformCommission', width: 18 },
+    { header: 'Driver Advance', key: 'driverAdvance', width: 14 },
+    { header: 'Vault Amount', key: 'vaultAmount', width: 14 },
+    { header: 'Vault Status', key: 'vaultStatus', width: 14 },
+    { header: 'Gateway', key: 'gateway', width: 12 },
+    { header: 'Gateway Transaction ID', key: 'gatewayTransactionId', width: 26 },
+    { header: 'Status', key: 'status', width: 12 }
+  ];
+  transactionSheet.addRows(transactions.map(t => ({
+    ...t,
+    date: t.date ? new Date(t.date) : null
+  })));
+  transactionSheet.getRow(1).font = { bold: true };
+  transactionSheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Render a driver's monthly earnings statement as a PDF
+ * First page: totals and up to 10 adjustments and payouts (the JSON statement
+ * lists all); trips follow in paginated tables.
+ *
+ * @param {Object} statement - Statement from payoutService.buildEarningsStatement
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const renderEarningsStatementPdf = async (statement) => {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle(`HushRyd Earnings Statement ${statement.month}`);
+  pdfDoc.setProducer('HushRyd');
+
+  const fonts = await embedPdfFonts(pdfDoc);
+  const { totals } = statement;
+
+  const summaryPage = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  let cursor = PAGE_HEIGHT - MARGIN - 10;
+  drawText(summaryPage, 'Earnings Statement', { x: MARGIN, y: cursor, size: 20, font: fonts.bold, color: COLORS.text });
+  cursor -= 20;
+  drawText(summaryPage, toPdfText(`Month: ${statement.month}   Driver: ${statement.driver?.name || ''} ${statement.driver?.phone || ''}`), { x: MARGIN, y: cursor, size: 10, font: fonts.regular, color: COLORS.muted });
+  cursor -= 14;
+  drawText(summaryPage, `Generated: ${new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })} IST`, { x: MARGIN, y: cursor, size: 10, font: fonts.regular, color: COLORS.muted });
+
+  cursor -= 36;
+  const summaryRows = [
+    ['Completed trips', String(totals.trips)],
+    ['Gross fares', formatAmount(totals.grossFare)],
+    ['Platform fees', `- ${formatAmount(totals.platformFees)}`],
+    ['TDS deducted', `- ${formatAmount(totals.tdsDeducted)}`],
+    ['No-show compensation', formatAmount(totals.noShowCompensation || 0)],
+    ['Adjustments', formatAmount(totals.adjustments)],
+    ['Net earnings', formatAmount(totals.netEarnings)],
+    ['Paid out (advances and payouts)', formatAmount(totals.paidOut)],
+    ['On hold', formatAmount(totals.onHold)]
+  ];
+  for (const [label, value] of summaryRows) {
+    drawText(summaryPage, label, { x: MARGIN, y: cursor, size: 12, font: fonts.regular, color: COLORS.text });
+    drawText(summaryPage, value, { x: MARGIN + 250, y: cursor, size: 12, font: fonts.bold, color: COLORS.text });
+    cursor -= 20;
+  }
+
+  cursor -= 20;
+  drawText(summaryPage, 'Adjustments', { x: MARGIN, y: cursor, size: 12, font: fonts.bold, color: COLORS.text });
+  cursor = drawTable(summaryPage, fonts, {
+    y: cursor - 20,
+    columns: STATEMENT_ADJUSTMENT_COLUMNS,
+    rows: statement.adjustments.slice(0, 10),
+    emptyText: 'No adjustments this month'
+  });
+
+  cursor -= 20;
+  drawText(summaryPage, 'Payouts', { x: MARGIN, y: cursor, size: 12, font: fonts.bold, color: COLORS.text });
+  drawTable(summaryPage, fonts, {
+    y: cursor - 20,
+    columns: STATEMENT_PAYOUT_COLUMNS,
+    rows: statement.payouts.slice(0, 10),
+    emptyText: 'No payouts this month'
+  });
+
+  const pages = paginateRows(statement.trips);
+  pages.forEach((rows, pageIndex) => {
+    const page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    const y = PAGE_HEIGHT - MARGIN;
+    drawText(page, `Trips (page ${pageIndex + 1} of ${pages.length})`, { x: MARGIN, y, size: 12, font: fonts.bold, color: COLORS.text });
+    drawTable(page, fonts, { y: y - 24, columns: STATEMENT_TRIP_COLUMNS, rows, emptyText: 'No trips this month' });
+  });
+
+  return Buffer.from(await pdfDoc.save());
+};
+
+/**
+ * Project coordinates into a drawing box, keeping the map aspect ratio
+ * Longitude is scaled by cos(latitude) so distances look right at Indian latitudes.
+ *
+ * @param {Array<Object>} points - Coordinates { lat, lng }
+ * @param {Object} box - { x, y, width, height } in PDF points
+ * @returns {Function} Projection (coordinate) => { x, y }
+ */
+const createMapProjection = (points, box) => {
+  const valid = points.filter(p => typeof p?.lat === 'number' && typeof p?.lng === 'number');
+  if (valid.length === 0) {
+    return () => ({ x: box.x + box.width / 2, y: box.y + box.height / 2 });
+  }
+
+  const lats = valid.map(p => p.lat);
+  const lngs = valid.map(p => p.lng);
+  const minLat = Math.min(...lats);
+  const maxLat = Math.max(...lats);
+  const minLng = Math.min(...lngs);
+  const maxLng = Math.max(...lngs);
+  const lngScale = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+
+  const spanX = Math.max((maxLng - minLng) * lngScale, 1e-6);
+  const spanY = Math.max(maxLat - minLat, 1e-6);
+  const scale = Math.min(box.width / spanX, box.height / spanY);
+  const offsetX = box.x + (box.width - spanX * scale) / 2;
+  const offsetY = box.y + (box.height - spanY * scale) / 2;
+
+  return ({ lat, lng }) => ({
+    x: offsetX + (lng - minLng) * lngScale * scale,
+    y: offsetY + (lat - minLat) * scale
+  });
+};
+
+/**
+ * Draw a connected line through projected points
+ * @param {Object} page - pdf-lib page
+ * @param {Array<Object>} points - Coordinates
+ * @param {Function} project - Projection from createMapProjection
+ * @param {Object} options - { thickness, color }
+ */
+const drawTrace = (page, points, project, { thickness, color }) => {
+  for (let i = 1; i < points.length; i++) {
+    page.drawLine({ start: project(points[i - 1]), end: project(points[i]), thickness, color });
+  }
+};
+
+/**
+ * Keep at most max points, always including the first and last
+ * @param {Array} points - Points in order
+ * @param {number} max - Maximum points
+ * @returns {Array} Sampled points
+ */
+const samplePoints = (points, max) => {
+  if (points.length <= max) return points;
+  const step = (points.length - 1) / (max - 1);
+  return Array.from({ length: max }, (_, i) => points[Math.round(i * step)]);
+};
+
+/**
+ * Render an SOS evidence report as a PDF
+ * Pages: incident summary and participants, map trace, timeline, staff
+ * actions and chain of custody, integrity (evidence data hash).
+ *
+ * @param {Object} evidence - Evidence record from sosEvidenceService
+ * @param {Object} integrity - { dataHash } SHA-256 of the evidence JSON
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const renderSosEvidencePdf = async (evidence, { dataHash }) => {
+  const { alert, trip } = evidence;
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle(`HushRyd SOS Evidence ${alert.id}`);
+  pdfDoc.setSubject(`Evidence data SHA-256 ${dataHash}`);
+  pdfDoc.setProducer('HushRyd');
+  pdfDoc.setCreationDate(new Date(evidence.export.generatedAt));
+
+  const fonts = await embedPdfFonts(pdfDoc);
+  const text = (page, value, x, y, size = 10, font = fonts.regular, color = COLORS.text) =>
+    drawText(page, toPdfText(value), { x, y, size, font, color });
+
+  // Incident summary and participants
+  const summaryPage = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  let cursor = PAGE_HEIGHT - MARGIN - 10;
+  text(summaryPage, 'SOS Evidence Report', MARGIN, cursor, 20, fonts.bold);
+  cursor -= 20;
+  text(summaryPage, `Alert: ${alert.id}   Trip: ${trip?.tripId || 'Unknown'}`, MARGIN, cursor, 10, fonts.regular, COLORS.muted);
+  cursor -= 14;
+  text(summaryPage, `Generated: ${toIstDateTime(evidence.export.generatedAt)} IST   Recipient: ${evidence.export.recipient || '-'}   Reference: ${evidence.export.reference || '-'}`, MARGIN, cursor, 10, fonts.regular, COLORS.muted);
+
+  cursor -= 36;
+  const summaryRows = [
+    ['Triggered', `${toIstDateTime(alert.triggeredAt)} IST by ${alert.userType}`],
+    ['Trigger', alert.silent ? `Silent (${alert.triggerSource})` : alert.triggerSource],
+    ['Location', `${alert.location?.coordinates?.lat}, ${alert.location?.coordinates?.lng} ${alert.location?.address || ''}`],
+    ['Status', alert.status],
+    ['Acknowledged', alert.acknowledgedAt ? `${toIstDateTime(alert.acknowledgedAt)} IST by ${alert.acknowledgedBy?.name || alert.acknowledgedBy?.id || '-'}` : '-'],
+    ['Resolved', alert.resolvedAt ? `${toIstDateTime(alert.resolvedAt)} IST by ${alert.resolvedBy?.name || alert.resolvedBy?.id || '-'}` : '-'],
+    ['Resolution', alert.resolution || '-'],
+    ['Route', `${trip?.source?.address || '-'} to ${trip?.destination?.address || '-'}`],
+    ['Vehicle', [evidence.vehicle?.color, evidence.vehicle?.make, evidence.vehicle?.model, evidence.vehicle?.plateNumber].filter(Boolean).join(' ') || '-']
+  ];
+  for (const [label, value] of summaryRows) {
+    text(summaryPage, label, MARGIN, cursor, 10);
+    const line = fitText(fonts.bold, toPdfText(value), 10, PAGE_WIDTH - MARGIN * 2 - 110);
+    text(summaryPage, line, MARGIN + 110, cursor, 10, fonts.bold);
+    cursor -= 16;
+  }
+
+  cursor -= 20;
+  text(summaryPage, 'Participants', MARGIN, cursor, 12, fonts.bold);
+  cursor = drawTable(summaryPage, fonts, {
+    y: cursor - 20,
+    columns: EVIDENCE_PARTICIPANT_COLUMNS,
+    rows: evidence.participants.map(p => ({ ...p, triggeredSos: p.triggeredSos ? 'Yes' : '' })),
+    emptyText: 'No participants recorded'
+  });
+
+  cursor -= 20;
+  text(summaryPage, 'Actions taken', MARGIN, cursor, 12, fonts.bold);
+  cursor -= 18;
+  for (const action of (alert.actionsTaken.length > 0 ? alert.actionsTaken : ['None recorded']).slice(0, 10)) {
+    text(summaryPage, `- ${action}`, MARGIN, cursor, 9);
+    cursor -= 14;
+  }
+
+  // Map trace
+  const mapPage = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  text(mapPage, 'Map trace', MARGIN, PAGE_HEIGHT - MARGIN, 12, fonts.bold);
+  const box = { x: MARGIN, y: 220, width: PAGE_WIDTH - MARGIN * 2, height: PAGE_HEIGHT - MARGIN - 250 };
+  mapPage.drawRectangle({ ...box, borderColor: COLORS.rule, borderWidth: 0.8 });
+
+  const plannedRoute = trip?.plannedRoutePolyline ? decodePolyline(trip.plannedRoutePolyline) : [];
+  const routeTaken = evidence.locationPoints;
+  const markers = [
+    ...evidence.stationaryEvents.map(e => ({ ...e.location?.coordinates, color: COLORS.stationary, size: 4 })),
+    ...evidence.routeDeviations.map(e => ({ ...e.location?.coordinates, color: COLORS.stationary, size: 4 })),
+    { ...alert.location?.coordinates, color: COLORS.sos, size: 6 }
+  ].filter(m => typeof m.lat === 'number' && typeof m.lng === 'number');
+
+  const project = createMapProjection([...plannedRoute, ...routeTaken, ...markers], box);
+  drawTrace(mapPage, plannedRoute, project, { thickness: 2, color: COLORS.plannedRoute });
+  drawTrace(mapPage, routeTaken, project, { thickness: 1.5, color: COLORS.routeTaken });
+  for (const marker of markers) {
+    const { x, y } = project(marker);
+    mapPage.drawCircle({ x, y, size: marker.size, color: marker.color });
+  }
+  if (routeTaken.length > 0) {
+    const start = project(routeTaken[0]);
+    const end = project(routeTaken[routeTaken.length - 1]);
+    text(mapPage, 'Start', start.x + 4, start.y + 4, 8, fonts.bold);
+    text(mapPage, 'Last', end.x + 4, end.y + 4, 8, fonts.bold);
+  }
+
+  let legendY = box.y - 24;
+  for (const [label, color] of [
+    ['Planned route', COLORS.plannedRoute],
+    [`Route taken (${routeTaken.length} location points)`, COLORS.routeTaken],
+    ['Stationary / route deviation event', COLORS.stationary],
+    ['SOS location', COLORS.sos]
+  ]) {
+    mapPage.drawRectangle({ x: MARGIN, y: legendY, width: 10, height: 8, color });
+    text(mapPage, label, MARGIN + 16, legendY, 9);
+    legendY -= 16;
+  }
+
+  // Timeline: every event, location points sampled
+  const locationRows = evidence.timeline.filter(e => e.type === 'location');
+  const sampledLocations = new Set(samplePoints(locationRows, MAX_EVIDENCE_LOCATION_ROWS));
+  const timelineRows = evidence.timeline
+    .filter(e => e.type !== 'location' || sampledLocations.has(e))
+    .map(e => ({
+      time: toIstDateTime(e.at),
+      type: e.type,
+      description: e.description,
+      lat: typeof e.lat === 'number' ? e.lat.toFixed(5) : '',
+      lng: typeof e.lng === 'number' ? e.lng.toFixed(5) : ''
+    }));
+
+  const timelinePages = paginateRows(timelineRows);
+  timelinePages.forEach((rows, pageIndex) => {
+    const page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    const y = PAGE_HEIGHT - MARGIN;
+    text(page, `Timeline (page ${pageIndex + 1} of ${timelinePages.length})`, MARGIN, y, 12, fonts.bold);
+    if (pageIndex === 0 && locationRows.length > sampledLocations.size) {
+      text(page, `Showing ${sampledLocations.size} of ${locationRows.length} location points; evidence.json lists all.`, MARGIN, y - 14, 8, fonts.regular, COLORS.muted);
+    }
+    drawTable(page, fonts, { y: y - 30, columns: EVIDENCE_TIMELINE_COLUMNS, rows, emptyText: 'No events recorded' });
+  });
+
+  // Staff actions and previous exports
+  const toStaffRow = (a) => ({
+    time: toIstDateTime(a.at),
+    staff: a.staff?.name || a.staff?.email || a.staff?.id || '',
+    role: a.staff?.role || '',
+    action: a.action,
+    ipAddress: a.ipAddress || ''
+  });
+  const staffPages = paginateRows(evidence.staffActions.map(toStaffRow));
+  staffPages.forEach((rows, pageIndex) => {
+    const page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    let y = PAGE_HEIGHT - MARGIN;
+    text(page, `Staff actions (page ${pageIndex + 1} of ${staffPages.length})`, MARGIN, y, 12, fonts.bold);
+    y = drawTable(page, fonts, { y: y - 24, columns: EVIDENCE_STAFF_COLUMNS, rows, emptyText: 'No staff actions recorded' });
+
+    if (pageIndex === staffPages.length - 1) {
+      y -= 20;
+      text(page, 'Previous evidence exports', MARGIN, y, 12, fonts.bold);
+      drawTable(page, fonts, {
+        y: y - 24,
+        columns: EVIDENCE_STAFF_COLUMNS,
+        rows: evidence.custody.slice(-10).map(toStaffRow),
+        emptyText: 'This is the first export'
+      });
+    }
+  });
+
+  // Integrity
+  const integrityPage = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  cursor = PAGE_HEIGHT - MARGIN;
+  text(integrityPage, 'Integrity', MARGIN, cursor, 12, fonts.bold);
+  cursor -= 24;
+  for (const line of [
+    'This report was rendered from evidence.json in the same bundle.',
+    'SHA-256 of evidence.json:',
+    dataHash,
+    '',
+    'The bundle manifest lists the SHA-256 of this PDF and of evidence.json and is',
+    'signed by HushRyd (HMAC-SHA256). Submit the manifest, signature and files to',
+    'HushRyd operations to verify that none of them has been altered.',
+    '',
+    `Exported by staff user ${evidence.export.generatedBy || '-'} at ${toIstDateTime(evidence.export.generatedAt)} IST`
+  ]) {
+    text(integrityPage, line, MARGIN, cursor, line === dataHash ? 9 : 10, line === dataHash ? fonts.bold : fonts.regular);
+    cursor -= 16;
+  }
+
+  return Buffer.from(await pdfDoc.save());
+};
+
+/**
+ * Render a tax invoice or credit note as a PDF
+ *
+ * @param {Object} invoice - Invoice document (lean or hydrated)
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const renderInvoicePdf = async (invoice) => {
+  const isCreditNote = invoice.documentType === 'credit_note';
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle(`HushRyd ${isCreditNote ? 'Credit Note' : 'Tax Invoice'} ${invoice.invoiceId}`);
+  pdfDoc.setProducer('HushRyd');
+
+  const fonts = await embedPdfFonts(pdfDoc);
+  const text = (page, value, x, y, size = 10, font = fonts.regular, color = COLORS.text) =>
+    drawText(page, toPdfText(value), { x, y, size, font, color });
+
+  const page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  let cursor = PAGE_HEIGHT - MARGIN - 10;
+  text(page, isCreditNote ? 'Credit Note' : 'Tax Invoice', MARGIN, cursor, 20, fonts.bold);
+  cursor -= 20;
+  text(page, `No. ${invoice.invoiceId}   Date: ${toIstDateKey(invoice.generatedAt)}   ${invoice.invoiceType || 'B2C'}`, MARGIN, cursor, 10, fonts.regular, COLORS.muted);
+  if (isCreditNote) {
+    cursor -= 14;
+    text(page, `Against invoice ${invoice.originalInvoiceNumber || '-'}: ${invoice.creditNote?.reason || ''}`, MARGIN, cursor, 10, fonts.regular, COLORS.muted);
+  }
+
+  cursor -= 30;
+  const supplier = invoice.supplier || {};
+  const buyer = invoice.buyer || {};
+  text(page, 'Supplier', MARGIN, cursor, 11, fonts.bold);
+  text(page, 'Billed to', MARGIN + 260, cursor, 11, fonts.bold);
+  cursor -= 16;
+  const supplierLines = [supplier.legalName, supplier.address, supplier.gstin && `GSTIN ${supplier.gstin}`].filter(Boolean);
+  const buyerLines = [buyer.legalName || buyer.name, buyer.phone, buyer.email, buyer.gstin && `GSTIN ${buyer.gstin}`].filter(Boolean);
+  for (let i = 0; i < Math.max(supplierLines.length, buyerLines.length); i++) {
+    text(page, supplierLines[i] || '', MARGIN, cursor, 9);
+    text(page, buyerLines[i] || '', MARGIN + 260, cursor, 9);
+    cursor -= 13;
+  }
+
+  cursor -= 16;
+  text(page, 'Trip', MARGIN, cursor, 11, fonts.bold);
+  cursor -= 16;
+  for (const [label, value] of [
+    ['Trip ID', invoice.tripDetails?.tripId || '-'],
+    ['From', invoice.tripDetails?.source?.address || '-'],
+    ['To', invoice.tripDetails?.destination?.address || '-'],
+    ['Departure', invoice.tripDetails?.scheduledAt ? `${toIstDateTime(invoice.tripDetails.scheduledAt)} IST` : '-'],
+    ['Driver', invoice.driverDetails?.name || '-'],
+    ['Vehicle', [invoice.vehicleDetails?.make, invoice.vehicleDetails?.model, invoice.vehicleDetails?.plateNumber].filter(Boolean).join(' ') || '-']
+  ]) {
+    text(page, label, MARGIN, cursor, 9);
+    text(page, value, MARGIN + 80, cursor, 9, fonts.bold);
+    cursor -= 13;
+  }
+
+  cursor -= 16;
+  const placeOfSupply = invoice.tax?.placeOfSupply;
+  text(page, `Tax (${(invoice.tax?.supplyType || '').replace('_', '-') || '-'}; place of supply ${placeOfSupply?.stateName || '-'} ${placeOfSupply?.stateCode || ''})`, MARGIN, cursor, 11, fonts.bold);
+  cursor = drawTable(page, fonts, {
+    y: cursor - 20,
+    columns: INVOICE_LINE_COLUMNS,
+    rows: invoice.tax?.lines || [],
+    emptyText: 'No tax lines'
+  });
+
+  cursor -= 10;
+  const fare = invoice.fareBreakdown || {};
+  for (const [label, value] of [
+    ['Fare', formatAmount(fare.baseFare)],
+    ['Platform fee', formatAmount(fare.platformFee)],
+    ['Taxes', formatAmount(fare.taxes)],
+    ['Discount', `- ${formatAmount(fare.discount)}${fare.couponCode ? ` (${fare.couponCode})` : ''}`],
+    [isCreditNote ? 'Credit amount' : 'Total', formatAmount(fare.total)]
+  ]) {
+    text(page, label, MARGIN + 300, cursor, 10);
+    text(page, value, MARGIN + 400, cursor, 10, fonts.bold);
+    cursor -= 15;
+  }
+
+  cursor -= 20;
+  text(page, `Verification code: ${invoice.verificationCode || '-'}`, MARGIN, cursor, 9, fonts.regular, COLORS.muted);
+
+  return Buffer.from(await pdfDoc.save());
+};
+
+/**
+ * Render proof of service for a payment dispute as a PDF
+ * Pages: dispute and booking summary with the service timeline, GPS trace
+ * map, and tracking points (sampled; the evidence JSON keeps every point).
+ *
+ * @param {Object} evidence - Evidence record from disputeService
+ * @param {Object} integrity - { dataHash } SHA-256 of the evidence JSON
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const renderDisputeEvidencePdf = async (evidence, { dataHash }) => {
+  const { dispute, booking, trip } = evidence;
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle(`HushRyd Proof of Service ${booking?.bookingId || dispute.id}`);
+  pdfDoc.setSubject(`Evidence data SHA-256 ${dataHash}`);
+  pdfDoc.setProducer('HushRyd');
+  pdfDoc.setCreationDate(new Date(evidence.generatedAt));
+
+  const fonts = await embedPdfFonts(pdfDoc);
+  const text = (page, value, x, y, size = 10, font = fonts.regular, color = COLORS.text) =>
+    drawText(page, toPdfText(value), { x, y, size, font, color });
+
+  const summaryPage = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  let cursor = PAGE_HEIGHT - MARGIN - 10;
+  text(summaryPage, 'Proof of Service', MARGIN, cursor, 20, fonts.bold);
+  cursor -= 20;
+  text(summaryPage, `Dispute ${dispute.gatewayDisputeId} (${dispute.type})   Order: ${dispute.orderId || '-'}   Amount: ${formatAmount(dispute.amount)}`, MARGIN, cursor, 10, fonts.regular, COLORS.muted);
+  cursor -= 14;
+  text(summaryPage, `Reason: ${dispute.reasonCode || '-'} ${dispute.reasonDescription || ''}`, MARGIN, cursor, 10, fonts.regular, COLORS.muted);
+
+  cursor -= 30;
+  const summaryRows = [
+    ['Booking', booking ? `${booking.bookingId} (${booking.seats} seat(s), ${formatAmount(booking.fare)})` : 'Not found'],
+    ['Passenger', [evidence.passenger?.name, evidence.passenger?.phone].filter(Boolean).join(' ') || '-'],
+    ['Route', `${booking?.pickupPoint?.address || '-'} to ${booking?.dropPoint?.address || '-'}`],
+    ['Trip', trip ? `${trip.tripId}, departure ${toIstDateTime(trip.scheduledAt)} IST` : '-'],
+    ['Driver / vehicle', [trip?.driverName, trip?.vehicle].filter(Boolean).join(', ') || '-'],
+    ['Payment', booking?.paymentTime ? `${toIstDateTime(booking.paymentTime)} IST ${booking.paymentMode || ''} ${booking.bankReference ? `ref ${booking.bankReference}` : ''}` : '-'],
+    ['Invoice', evidence.invoice ? `${evidence.invoice.number} (${formatAmount(evidence.invoice.total)})` : '-']
+  ];
+  for (const [label, value] of summaryRows) {
+    text(summaryPage, label, MARGIN, cursor, 10);
+    const line = fitText(fonts.bold, toPdfText(value), 10, PAGE_WIDTH - MARGIN * 2 - 110);
+    text(summaryPage, line, MARGIN + 110, cursor, 10, fonts.bold);
+    cursor -= 16;
+  }
+
+  cursor -= 20;
+  text(summaryPage, 'Service timeline', MARGIN, cursor, 12, fonts.bold);
+  cursor = drawTable(summaryPage, fonts, {
+    y: cursor - 20,
+    columns: [
+      { header: 'Time (IST)', key: 'time', width: 140 },
+      { header: 'Event', key: 'description', width: 375 }
+    ],
+    rows: evidence.timeline.map(e => ({ time: toIstDateTime(e.at), description: e.description })),
+    emptyText: 'No service events recorded'
+  });
+
+  cursor -= 20;
+  for (const line of [
+    `GPS points recorded for the booking: ${evidence.tracking.length}`,
+    `SHA-256 of the evidence data: ${dataHash}`
+  ]) {
+    text(summaryPage, line, MARGIN, cursor, 9, fonts.regular, COLORS.muted);
+    cursor -= 14;
+  }
+
+  // GPS trace
+  const mapPage = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  text(mapPage, 'GPS trace', MARGIN, PAGE_HEIGHT - MARGIN, 12, fonts.bold);
+  const box = { x: MARGIN, y: 220, width: PAGE_WIDTH - MARGIN * 2, height: PAGE_HEIGHT - MARGIN - 250 };
+  mapPage.drawRectangle({ ...box, borderColor: COLORS.rule, borderWidth: 0.8 });
+
+  const plannedRoute = trip?.plannedRoutePolyline ? decodePolyline(trip.plannedRoutePolyline) : [];
+  const markers = [booking?.pickupPoint?.coordinates, booking?.dropPoint?.coordinates]
+    .filter(m => typeof m?.lat === 'number' && typeof m?.lng === 'number');
+  const project = createMapProjection([...plannedRoute, ...evidence.tracking, ...markers], box);
+  drawTrace(mapPage, plannedRoute, project, { thickness: 2, color: COLORS.plannedRoute });
+  drawTrace(mapPage, evidence.tracking, project, { thickness: 1.5, color: COLORS.routeTaken });
+  markers.forEach((marker, index) => {
+    const { x, y } = project(marker);
+    mapPage.drawCircle({ x, y, size: 4, color: COLORS.stationary });
+    text(mapPage, index === 0 ? 'Pickup' : 'Drop', x + 5, y + 5, 8, fonts.bold);
+  });
+
+  let legendY = box.y - 24;
+  for (const [label, color] of [
+    ['Planned route', COLORS.plannedRoute],
+    [`Route driven (${evidence.tracking.length} GPS points)`, COLORS.routeTaken],
+    ['Passenger pickup and drop points', COLORS.stationary]
+  ]) {
+    mapPage.drawRectangle({ x: MARGIN, y: legendY, width: 10, height: 8, color });
+    text(mapPage, label, MARGIN + 16, legendY, 9);
+    legendY -= 16;
+  }
+
+  // Tracking points
+  const sampled = samplePoints(evidence.tracking, MAX_EVIDENCE_LOCATION_ROWS);
+  const trackingPages = paginateRows(sampled.map(point => ({
+    time: toIstDateTime(point.timestamp),
+    lat: point.lat.toFixed(5),
+    lng: point.lng.toFixed(5),
+    speed: typeof point.speed === 'number' ? point.speed.toFixed(0) : ''
+  })));
+  trackingPages.forEach((rows, pageIndex) => {
+    const page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    const y = PAGE_HEIGHT - MARGIN;
+    text(page, `GPS tracking (page ${pageIndex + 1} of ${trackingPages.length})`, MARGIN, y, 12, fonts.bold);
+    if (pageIndex === 0 && evidence.tracking.length > sampled.length) {
+      text(page, `Showing ${sampled.length} of ${evidence.tracking.length} points; the evidence data lists all.`, MARGIN, y - 14, 8, fonts.regular, COLORS.muted);
+    }
+    drawTable(page, fonts, { y: y - 30, columns: DISPUTE_TRACKING_COLUMNS, rows, emptyText: 'No GPS points recorded' });
+  });
+
+  return Buffer.from(await pdfDoc.save());
+};
+
+module.exports = {
+  ROWS_PER_PAGE,
+  buildDailySeries,
+  paginateRows,
+  renderReportPdf,
+  renderReportXlsx,
+  renderEarningsStatementPdf,
+  createMapProjection,
+  renderSosEvidencePdf,
+  renderInvoicePdf,
+  renderDisputeEvidencePdf
+};
@@ -0,0 +1,418 @@
+/**
+ * Report Schedule Service
+ * Emails recurring financial reports (daily, weekly, monthly) to finance staff
+ *
+ * Design Decision: Schedules store their next run time
+ * Rationale: An hourly job picks up every due schedule, so reports missed
+ * while the server was down are still sent, and claiming a run by advancing
+ * nextRunAt keeps multiple instances from sending duplicates
+ */
+
+const ReportSchedule = require('../models/ReportSchedule');
+const User = require('../models/User');
+const reportService = require('./reportService');
+const { getInstance: getSendGridService } = require('./sendgridService');
+
+/**
+ * Hour of day (IST) at which scheduled reports are delivered
+ */
+const DELIVERY_HOUR_IST = 7;
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Build an error with code and HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error object
+ */
+const createError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Get the IST calendar fields of an instant
+ * @param {Date} date - Instant
+ * @returns {{year: number, month: number, day: number, weekday: number, midnight: number}}
+ *   month is 0-based, weekday 0 = Monday, midnight is the IST day start in ms
+ */
+const getIstCalendar = (date) => {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const year = ist.getUTCFullYear();
+  const month = ist.getUTCMonth();
+  const day = ist.getUTCDate();
+  return {
+    year,
+    month,
+    day,
+    weekday: (ist.getUTCDay() + 6) % 7,
+    midnight: Date.UTC(year, month, day) - IST_OFFSET_MS
+  };
+};
+
+/**
+ * Start of an IST calendar month
+ * @param {number} year - Year
+ * @param {number} month - 0-based month (may overflow)
+ * @returns {number} Timestamp in ms
+ */
+const istMonthStart = (year, month) => Date.UTC(year, month, 1) - IST_OFFSET_MS;
+
+/**
+ * Get the reporting period for a run: the last complete IST day, Monday-Sunday
+ * week or calendar month before runAt
+ *
+ * @param {string} frequency - daily, weekly or monthly
+ * @param {Date} runAt - Run time
+ * @returns {{start: Date, end: Date, label: string}} Period (end exclusive)
+ */
+const getReportPeriod = (frequency, runAt = new Date()) => {
+  const { year, month, weekday, midnight } = getIstCalendar(runAt);
+  let start;
+  let end;
+
+  if (frequency === 'daily') {
+    end = midnight;
+    start = end - DAY_MS;
+  } else if (frequency === 'weekly') {
+    end = midnight - weekday * DAY_MS;
+    start = end - 7 * DAY_MS;
+  } else if (frequency === 'monthly') {
+    end = istMonthStart(year, month);
+    start = istMonthStart(year, month - 1);
+  } else {
+    throw createError('INVALID_FREQUENCY', `Unknown report frequency: ${frequency}`);
+  }
+
+  const startKey = new Date(start + IST_OFFSET_MS).toISOString().slice(0, 10);
+  const lastKey = new Date(end - DAY_MS + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+  return {
+    start: new Date(start),
+    end: new Date(end),
+    label: startKey === lastKey ? startKey : `${startKey} to ${lastKey}`
+  };
+};
+
+/**
+ * Get the first delivery time strictly after a given instant
+ * Daily at DELIVERY_HOUR_IST, weekly on Mondays, monthly on the 1st
+ *
+ * @param {string} frequency - daily, weekly or monthly
+ * @param {Date} after - Reference time
+ * @returns {Date} Next run time
+ */
+const getNextRunAt = (frequency, after = new Date()) => {
+  const afterMs = new Date(after).getTime();
+  const { year, month, weekday, midnight } = getIstCalendar(after);
+  const deliveryOffset = DELIVERY_HOUR_IST * HOUR_MS;
+
+  if (frequency === 'daily') {
+    const candidate = midnight + deliveryOffset;
+    return new Date(candidate > afterMs ? candidate : candidate + DAY_MS);
+  }
+  if (frequency === 'weekly') {
+    const candidate = midnight - weekday * DAY_MS + deliveryOffset;
+    return new Date(candidate > afterMs ? candidate : candidate + 7 * DAY_MS);
+  }
+  if (frequency === 'monthly') {
+    const candidate = istMonthStart(year, month) + deliveryOffset;
+    return new Date(candidate > afterMs ? candidate : istMonthStart(year, month + 1) + deliveryOffset);
+  }
+  throw createError('INVALID_FREQUENCY', `Unknown report frequency: ${frequency}`);
+};
+
+/**
+ * Merge explicit recipients with staff emails, removing duplicates
+ * @param {Array<string>} explicit - Addresses configured on the schedule
+ * @param {Array<Object>} staff - Staff users with email
+ * @returns {Array<string>} Lower-cased unique valid addresses
+ */
+const mergeRecipients = (explicit = [], staff = []) => {
+  const emails = [...explicit, ...staff.map(user => user.email)]
+    .filter(Boolean)
+    .map(email => email.trim().toLowerCase())
+    .filter(email => EMAIL_REGEX.test(email));
+  return [...new Set(emails)];
+};
+
+/**
+ * Resolve the addresses a schedule is delivered to
+ * @param {Object} schedule - Report schedule
+ * @returns {Promise<Array<string>>} Recipient emails
+ */
+const resolveRecipients = async (schedule) => {
+  let staff = [];
+  if (schedule.recipientRoles && schedule.recipientRoles.length > 0) {
+    staff = await User.find({
+      role: { $in: schedule.recipientRoles },
+      isActive: true,
+      email: { $exists: true, $ne: null }
+    }).select('email').lean();
+  }
+  return mergeRecipients(schedule.recipients, staff);
+};
+
+/**
+ * Generate a schedule's report for its period and email it
+ * Records the outcome on the schedule; does not change nextRunAt.
+ *
+ * @param {Object} schedule - Report schedule document
+ * @param {Date} runAt - Run time (determines the period)
+ * @returns {Promise<Object>} Run result
+ */
+const runSchedule = async (schedule, runAt = new Date()) => {
+  const period = getReportPeriod(schedule.frequency, runAt);
+  const result = {
+    scheduleId: schedule._id,
+    period: period.label,
+    recipients: 0,
+    delivered: 0,
+    failures: []
+  };
+
+  try {
+    const recipients = await resolveRecipients(schedule);
+    result.recipients = recipients.length;
+
+    if (recipients.length === 0) {
+      result.status = 'no_recipients';
+    } else {
+      const report = await reportService.exportReport({
+        format: schedule.format,
+        reportType: schedule.reportType,
+        startDate: period.start,
+        endDate: new Date(period.end.getTime() - 1)
+      });
+
+      const filename = `hushryd-${schedule.reportType}-${schedule.frequency}-${period.label.split(' ')[0]}.${schedule.format}`;
+      const attachment = {
+        content: Buffer.from(report.content).toString('base64'),
+        name: filename,
+        type: report.contentType
+      };
+      const content = {
+        subject: `HushRyd ${schedule.frequency} ${schedule.reportType} report: ${period.label}`,
+        body: [
+          `${schedule.name}`,
+          '',
+          `Period: ${period.label}`,
+          `Transactions: ${report.recordCount}`,
+          `Total revenue: ₹${report.summary.totalRevenue}`,
+          `Platform commission: ₹${report.summary.totalCommission}`,
+          `Driver payouts: ₹${report.summary.totalPayouts}`,
+          `Refunds: ₹${report.summary.totalRefunds}`,
+          '',
+          'The full report is attached.'
+        ].join('\n')
+      };
+
+      const sendgridService = getSendGridService();
+      for (const email of recipients) {
+        try {
+          await sendgridService.send(email, content, [attachment]);
+          result.delivered += 1;
+        } catch (sendError) {
+          result.failures.push({ email, error: sendError.message });
+        }
+      }
+
+      if (result.delivered === recipients.length) {
+        result.status = 'success';
+      } else {
+        result.status = result.delivered > 0 ? 'partial' : 'failed';
+      }
+    }
+  } catch (error) {
+    result.status = 'failed';
+    result.failures.push({ error: error.message });
+  }
+
+  schedule.lastRunAt = runAt;
+  schedule.lastStatus = result.status;
+  schedule.lastDeliveredCount = result.delivered;
+  schedule.lastError = result.failures.length > 0
+    ? result.failures.map(f => (f.email ? `${f.email}: ${f.error}` : f.error)).join('; ')
+    : undefined;
+  await schedule.save();
+
+  return result;
+};
+
+/**
+ * Run every active schedule whose delivery time has passed
+ * Each run is claimed by advancing nextRunAt first so concurrent workers
+ * never deliver the same period twice.
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { processed, delivered, errors }
+ */
+const runDueSchedules = async (now = new Date()) => {
+  const results = { processed: 0, delivered: 0, errors: [] };
+
+  const due = await ReportSchedule.find({ isActive: true, nextRunAt: { $lte: now } })
+    .sort({ nextRunAt: 1 });
+
+  for (const schedule of due) {
+    const claimed = await ReportSchedule.findOneAndUpdate(
+      { _id: schedule._id, nextRunAt: schedule.nextRunAt },
+      { $set: { nextRunAt: getNextRunAt(schedule.frequency, now) } },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    const result = await runSchedule(claimed, now);
+    results.processed += 1;
+    results.delivered += result.delivered;
+    if (result.status === 'failed' || result.status === 'partial') {
+      results.errors.push({ scheduleId: schedule._id.toString(), failures: result.failures });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Create a report schedule
+ * @param {Object} data - Schedule fields
+ * @param {string} createdBy - Staff user ID
+ * @returns {Promise<Object>} Created schedule
+ */
+const createSchedule = async (data, createdBy) => {
+  const schedule = await ReportSchedule.create({
+    name: data.name,
+    reportType: data.reportType,
+    format: data.format,
+    frequency: data.frequency,
+    recipients: data.recipients,
+    recipientRoles: data.recipientRoles,
+    isActive: data.isActive,
+    nextRunAt: getNextRunAt(data.frequency),
+    createdBy
+  });
+
+  return { success: true, schedule };
+};
+
+/**
+ * List report schedules
+ * @param {Object} options - { page, limit, isActive }
+ * @returns {Promise<Object>} Paginated schedules
+ */
+const getSchedules = async (options = {}) => {
+  const { page = 1, limit = 20, isActive } = options;
+
+  const query = {};
+  if (typeof isActive === 'boolean') query.isActive = isActive;
+
+  const skip = (page - 1) * limit;
+  const [schedules, total] = await Promise.all([
+    ReportSchedule.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    ReportSchedule.countDocuments(query)
+  ]);
+
+  return {
+    success: true,
+    schedules,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasNextPage: page * limit < total,
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * Get a report schedule or throw
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<Object>} Schedule document
+ */
+const findScheduleOrThrow = async (scheduleId) => {
+  const schedule = /^[0-9a-fA-F]{24}$/.test(scheduleId)
+    ? await ReportSchedule.findById(scheduleId)
+    : null;
+  if (!schedule) {
+    throw createError('REPORT_SCHEDULE_NOT_FOUND', 'Report schedule not found', 404);
+  }
+  return schedule;
+};
+
+/**
+ * Update a report schedule
+ * Changing the frequency or re-activating recomputes the next run time.
+ *
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} data - Fields to update
+ * @returns {Promise<Object>} Updated schedule
+ */
+const updateSchedule = async (scheduleId, data) => {
+  const schedule = await findScheduleOrThrow(scheduleId);
+  const wasActive = schedule.isActive;
+
+  for (const field of ['name', 'reportType', 'format', 'frequency', 'recipients', 'recipientRoles', 'isActive']) {
+    if (data[field] !== undefined) {
+      schedule[field] = data[field];
+    }
+  }
+
+  if (data.frequency !== undefined || (!wasActive && schedule.isActive)) {
+    schedule.nextRunAt = getNextRunAt(schedule.frequency);
+  }
+
+  await schedule.save();
+  return { success: true, schedule };
+};
+
+/**
+ * Delete a report schedule
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<Object>} Result
+ */
+const deleteSchedule = async (scheduleId) => {
+  const schedule = await findScheduleOrThrow(scheduleId);
+  await schedule.deleteOne();
+  return { success: true };
+};
+
+/**
+ * Send a schedule's report immediately for its most recent period
+ * The regular schedule is unaffected.
+ *
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<Object>} Run result
+ */
+const runScheduleNow = async (scheduleId) => {
+  const schedule = await findScheduleOrThrow(scheduleId);
+  const result = await runSchedule(schedule, new Date());
+  return { success: true, result };
+};
+
+module.exports = {
+  DELIVERY_HOUR_IST,
+  getReportPeriod,
+  getNextRunAt,
+  mergeRecipients,
+  resolveRecipients,
+  runSchedule,
+  runDueSchedules,
+  createSchedule,
+  getSchedules,
+  updateSchedule,
+  deleteSchedule,
+  runScheduleNow
+};
@@ -1,11 +1,29 @@
 /**
  * Report Service
- * Implements financial report export in CSV and PDF formats
+ * Implements financial report export in CSV, PDF and XLSX formats and the
+ * monthly GSTR-1 outward supplies return
  * 
  * Requirements: 5.5
  */
 
 const Trip = require('../models/Trip');
+const Invoice = require('../models/Invoice');
+const { SUPPLIER_GSTIN, getPeriodRange } = require('./gstService');
+const { renderReportPdf, renderReportXlsx } = require('./reportDocumentService');
+
+/**
+ * Supported export formats and their MIME types
+ */
+const REPORT_FORMATS = {
+  csv: 'text/csv',
+  pdf: 'application/pdf',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Inter-state B2C invoices above this value are reported individually (B2CL)
+ */
+const B2CL_THRESHOLD = 100000;
 
 /**
  * Generate CSV content from transactions
@@ -51,8 +69,8 @@ const generateCSV = (transactions) => {
 };
 
 /**
- * Generate PDF content structure (returns data for PDF generation)
- * In production, this would use a library like PDFKit or Puppeteer
+ * Generate PDF content structure (report data as JSON)
+ * The PDF file itself is rendered by reportDocumentService
  * 
  * @param {Array} transactions - Array of transaction objects
  * @param {Object} summary - Summary statistics
@@ -176,14 +194,14 @@ const calculateSummary = (transactions) => {
  * Export financial report
  * 
  * @param {Object} options - Export options
- * @param {string} options.format - Export format ('csv' or 'pdf')
+ * @param {string} options.format - Export format ('csv', 'pdf' or 'xlsx')
  * @param {string} options.reportType - Report type ('transactions', 'revenue', 'payouts')
  * @param {Date} options.startDate - Start date filter
  * @param {Date} options.endDate - End date filter
- * @returns {Promise<Object>} Export result with content and metadata
+ * @returns {Promise<Object>} Export result with content (string for CSV, Buffer otherwise) and metadata
  */
 const exportReport = async ({ format, reportType = 'transactions', startDate, endDate }) => {
-  if (!['csv', 'pdf'].includes(format)) {
+  if (!REPORT_FORMATS[format]) {
     const error = new Error('Invalid export format');
     error.code = 'INVALID_FORMAT';
     throw error;
@@ -198,26 +216,30 @@ const exportReport = async ({ format, reportType = 'transactions', startDate, en
   const transactions = await getTransactionsInRange(startDate, endDate, reportType);
   const summary = calculateSummary(transactions);
 
-  let content;
-  let contentType;
-  let filename;
-
   const dateStr = new Date().toISOString().split('T')[0];
+  const filename = `hushryd-${reportType}-report-${dateStr}.${format}`;
+  const report = {
+    title: 'HushRyd Financial Report',
+    reportType,
+    startDate,
+    endDate,
+    summary,
+    transactions
+  };
 
+  let content;
   if (format === 'csv') {
     content = generateCSV(transactions);
-    contentType = 'text/csv';
-    filename = `hushryd-${reportType}-report-${dateStr}.csv`;
+  } else if (format === 'pdf') {
+    content = await renderReportPdf(report);
   } else {
-    content = generatePDFData(transactions, summary);
-    contentType = 'application/json'; // In production, this would be application/pdf
-    filename = `hushryd-${reportType}-report-${dateStr}.pdf`;
+    content = await renderReportXlsx(report);
   }
 
   return {
     success: true,
     content,
-    contentType,
+    contentType: REPORT_FORMATS[format],
     filename,
     recordCount: transactions.length,
     summary,
@@ -225,8 +247,260 @@ const exportReport = async ({ format, reportType = 'transactions', startDate, en
   };
 };
 
+/**
+ * Format a date as DD-MM-YYYY in IST (GST portal date format)
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ */
+const formatReturnDate = (date) =>
+  new Date(date).toLocaleDateString('en-GB', { timeZone: 'Asia/Kolkata' }).replace(/\//g, '-');
+
+/**
+ * Convert a document's tax lines into GSTR-1 item entries (one per rate)
+ * @param {Array} lines - Tax lines
+ * @returns {Array} Items with rate, taxable value and tax amounts
+ */
+const buildReturnItems = (lines = []) => {
+  const byRate = new Map();
+  for (const line of lines) {
+    const item = byRate.get(line.rate) || { rt: line.rate, txval: 0, iamt: 0, camt: 0, samt: 0 };
+    item.txval += line.taxableValue;
+    item.iamt += line.igst || 0;
+    item.camt += line.cgst || 0;
+    item.samt += line.sgst || 0;
+    byRate.set(line.rate, item);
+  }
+  return [...byRate.values()].map((itm_det, index) => ({ num: index + 1, itm_det }));
+};
+
+/**
+ * Whether a B2C document falls in the large inter-state (B2CL) category
+ * Credit notes are classified by the invoice they reduce.
+ * @param {Object} doc - Invoice or credit note
+ * @returns {boolean} True for B2CL
+ */
+const isLargeInterStateB2C = (doc) => {
+  if (doc.invoiceType === 'B2B' || doc.tax?.supplyType !== 'inter_state') return false;
+  const invoiceValue = doc.documentType === 'credit_note'
+    ? doc.originalInvoice?.tax?.totals?.total
+    : doc.tax?.totals?.total;
+  return (invoiceValue || 0) > B2CL_THRESHOLD;
+};
+
+/**
+ * Summarise a numbering series for the documents-issued table
+ * @param {Array} docs - Documents of one type
+ * @param {string} label - GSTR-1 document type label
+ * @returns {Object|null} Series range and count
+ */
+const summarizeDocumentSeries = (docs, label) => {
+  if (docs.length === 0) return null;
+  const sorted = [...docs].sort((a, b) => a.sequence - b.sequence);
+  return {
+    doc_typ: label,
+    from: sorted[0].invoiceId,
+    to: sorted[sorted.length - 1].invoiceId,
+    totnum: sorted.length,
+    cancel: 0,
+    net_issue: sorted.length
+  };
+};
+
+/**
+ * Build a GSTR-1 style return from a month's tax invoices and credit notes
+ * Sections follow the GST portal JSON: b2b, b2cl, b2cs (net of B2C credit
+ * notes), cdnr, cdnur, hsn and doc_issue.
+ *
+ * @param {Array} documents - Invoices and credit notes issued in the period
+ * @param {Object} options - Return options
+ * @param {string} options.gstin - Supplier GSTIN
+ * @param {string} options.period - Period as YYYY-MM
+ * @returns {Object} GSTR-1 return
+ */
+const buildGstr1Return = (documents, { gstin = SUPPLIER_GSTIN, period }) => {
+  const [year, month] = period.split('-');
+  const b2b = new Map();
+  const b2cl = new Map();
+  const b2cs = new Map();
+  const cdnr = new Map();
+  const cdnur = [];
+  const hsn = new Map();
+
+  for (const doc of documents) {
+    const isCredit = doc.documentType === 'credit_note';
+    const sign = isCredit ? -1 : 1;
+    const lines = doc.tax?.lines || [];
+    const pos = doc.tax?.placeOfSupply?.stateCode;
+    const value = doc.tax?.totals?.total || 0;
+    const itms = buildReturnItems(lines);
+
+    for (const line of lines) {
+      const entry = hsn.get(line.sacCode) || {
+        hsn_sc: line.sacCode, desc: line.description, uqc: 'NA', qty: 0,
+        txval: 0, iamt: 0, camt: 0, samt: 0
+      };
+      entry.txval += sign * line.taxableValue;
+      entry.iamt += sign * (line.igst || 0);
+      entry.camt += sign * (line.cgst || 0);
+      entry.samt += sign * (line.sgst || 0);
+      hsn.set(line.sacCode, entry);
+    }
+
+    if (doc.invoiceType === 'B2B') {
+      const ctin = doc.buyer?.gstin;
+      if (isCredit) {
+        const notes = cdnr.get(ctin) || [];
+        notes.push({
+          ntty: 'C', nt_num: doc.invoiceId, nt_dt: formatReturnDate(doc.generatedAt),
+          val: value, pos, rchrg: 'N', inv_typ: 'R', itms
+        });
+        cdnr.set(ctin, notes);
+      } else {
+        const invoices = b2b.get(ctin) || [];
+        invoices.push({
+          inum: doc.invoiceId, idt: formatReturnDate(doc.generatedAt),
+          val: value, pos, rchrg: 'N', inv_typ: 'R', itms
+        });
+        b2b.set(ctin, invoices);
+      }
+      continue;
+    }
+
+    if (isLargeInterStateB2C(doc)) {
+      if (isCredit) {
+        cdnur.push({
+          ntty: 'C', nt_num: doc.invoiceId, nt_dt: formatReturnDate(doc.generatedAt),
+          val: value, pos, typ: 'B2CL', itms
+        });
+      } else {
+        const invoices = b2cl.get(pos) || [];
+        invoices.push({ inum: doc.invoiceId, idt: formatReturnDate(doc.generatedAt), val: value, itms });
+        b2cl.set(pos, invoices);
+      }
+      continue;
+    }
+
+    const splyTy = doc.tax?.supplyType === 'inter_state' ? 'INTER' : 'INTRA';
+    for (const line of lines) {
+      const key = `${splyTy}|${pos}|${line.rate}`;
+      const entry = b2cs.get(key) || { sply_ty: splyTy, pos, typ: 'OE', rt: line.rate, txval: 0, iamt: 0, camt: 0, samt: 0 };
+      entry.txval += sign * line.taxableValue;
+      entry.iamt += sign * (line.igst || 0);
+      entry.camt += sign * (line.cgst || 0);
+      entry.samt += sign * (line.sgst || 0);
+      b2cs.set(key, entry);
+    }
+  }
+
+  const invoices = documents.filter(doc => doc.documentType !== 'credit_note');
+  const creditNotes = documents.filter(doc => doc.documentType === 'credit_note');
+
+  return {
+    gstin,
+    fp: `${month}${year}`,
+    b2b: [...b2b].map(([ctin, inv]) => ({ ctin, inv })),
+    b2cl: [...b2cl].map(([pos, inv]) => ({ pos, inv })),
+    b2cs: [...b2cs.values()],
+    cdnr: [...cdnr].map(([ctin, nt]) => ({ ctin, nt })),
+    cdnur,
+    hsn: { data: [...hsn.values()].map((entry, index) => ({ num: index + 1, ...entry })) },
+    doc_issue: {
+      doc_det: [
+        summarizeDocumentSeries(invoices, 'Invoices for outward supply'),
+        summarizeDocumentSeries(creditNotes, 'Credit Note')
+      ].filter(Boolean)
+    }
+  };
+};
+
+/**
+ * Flatten a GSTR-1 return into CSV rows (one per section entry and rate)
+ * @param {Object} gstr1 - Return built by buildGstr1Return
+ * @returns {string} CSV formatted string
+ */
+const generateGstr1CSV = (gstr1) => {
+  const headers = [
+    'Section', 'Document Number', 'Date', 'Recipient GSTIN', 'Place of Supply',
+    'Supply Type', 'SAC', 'Rate', 'Taxable Value', 'IGST', 'CGST', 'SGST', 'Document Value'
+  ];
+  const rows = [];
+
+  const pushItems = (section, doc, extra) => {
+    for (const { itm_det: item } of doc.itms) {
+      rows.push([section, extra.number, extra.date, extra.ctin || '', extra.pos || '', '', '',
+        item.rt, item.txval, item.iamt, item.camt, item.samt, doc.val]);
+    }
+  };
+
+  for (const { ctin, inv } of gstr1.b2b) {
+    inv.forEach(doc => pushItems('B2B', doc, { number: doc.inum, date: doc.idt, ctin, pos: doc.pos }));
+  }
+  for (const { pos, inv } of gstr1.b2cl) {
+    inv.forEach(doc => pushItems('B2CL', doc, { number: doc.inum, date: doc.idt, pos }));
+  }
+  for (const entry of gstr1.b2cs) {
+    rows.push(['B2CS', '', '', '', entry.pos, entry.sply_ty, '', entry.rt, entry.txval, entry.iamt, entry.camt, entry.samt, '']);
+  }
+  for (const { ctin, nt } of gstr1.cdnr) {
+    nt.forEach(doc => pushItems('CDNR', doc, { number: doc.nt_num, date: doc.nt_dt, ctin, pos: doc.pos }));
+  }
+  gstr1.cdnur.forEach(doc => pushItems('CDNUR', doc, { number: doc.nt_num, date: doc.nt_dt, pos: doc.pos }));
+  for (const entry of gstr1.hsn.data) {
+    rows.push(['HSN', '', '', '', '', '', entry.hsn_sc, '', entry.txval, entry.iamt, entry.camt, entry.samt, '']);
+  }
+
+  return [
+    headers.join(','),
+    ...rows.map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+  ].join('\n');
+};
+
+/**
+ * Export the GSTR-1 return for a calendar month (IST)
+ * 
+ * @param {Object} options - Export options
+ * @param {string} options.period - Month as YYYY-MM
+ * @param {string} options.format - 'json' or 'csv'
+ * @returns {Promise<Object>} Export result with content and metadata
+ */
+const exportGstr1 = async ({ period, format = 'json' }) => {
+  if (!['json', 'csv'].includes(format)) {
+    const error = new Error('Invalid export format');
+    error.code = 'INVALID_FORMAT';
+    throw error;
+  }
+
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period || '')) {
+    const error = new Error('Period must be in YYYY-MM format');
+    error.code = 'INVALID_PERIOD';
+    throw error;
+  }
+
+  const { start, end } = getPeriodRange(period);
+  const documents = await Invoice.find({ generatedAt: { $gte: start, $lt: end } })
+    .populate('originalInvoice', 'tax.totals')
+    .sort({ documentType: 1, sequence: 1 })
+    .lean();
+
+  const gstr1 = buildGstr1Return(documents, { gstin: SUPPLIER_GSTIN, period });
+
+  return {
+    success: true,
+    content: format === 'csv' ? generateGstr1CSV(gstr1) : gstr1,
+    contentType: format === 'csv' ? 'text/csv' : 'application/json',
+    filename: `hushryd-gstr1-${period}.${format}`,
+    recordCount: documents.length,
+    generatedAt: new Date().toISOString()
+  };
+};
+
 module.exports = {
+  REPORT_FORMATS,
+  B2CL_THRESHOLD,
   exportReport,
+  exportGstr1,
+  buildGstr1Return,
+  generateGstr1CSV,
   generateCSV,
   generatePDFData,
   getTransactionsInRange,
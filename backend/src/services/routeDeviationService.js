@@ -0,0 +1,494 @@
+/**
+ * Route Deviation Service
+ * Monitors live trips against their planned route and triggers safety checks
+ * when the vehicle leaves the route corridor for a sustained period
+ *
+ * Flow: off-route beyond the corridor for DEVIATION_DURATION_MS -> safety
+ * check to passengers and admin dashboard alert -> SOS alert if no passenger
+ * responds within ESCALATION_TIMEOUT_MS
+ */
+
+const mongoose = require('mongoose');
+const RouteDeviationEvent = require('../models/RouteDeviationEvent');
+const Trip = require('../models/Trip');
+const Booking = require('../models/Booking');
+const { triggerSOS } = require('./sosService');
+const { sendNotification } = require('./notificationService');
+const { decodePolyline, getCumulativeDistances, locateOnRoute } = require('../utils/polylineUtils');
+
+// Distance from the planned route (meters) treated as off-route
+const DEVIATION_CORRIDOR_METERS = parseInt(process.env.ROUTE_DEVIATION_CORRIDOR_METERS, 10) || 500;
+// How long the vehicle must stay off-route before passengers are asked
+const DEVIATION_DURATION_MS = (parseInt(process.env.ROUTE_DEVIATION_DURATION_MINUTES, 10) || 3) * 60 * 1000;
+// Time passengers have to answer before an SOS alert is raised
+const ESCALATION_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Store monitoring state per trip
+const monitoringState = new Map();
+
+// Store escalation timeouts per event
+const escalationTimeouts = new Map();
+
+/**
+ * Evaluate whether a vehicle has been off-route long enough to alert
+ * Requirements: deviation must exceed the corridor continuously for the duration
+ *
+ * @param {number|null} offRouteSince - Timestamp (ms) the vehicle left the corridor
+ * @param {number} distanceMeters - Current distance from the route in meters
+ * @param {number} now - Current timestamp in ms
+ * @param {Object} options - { corridorMeters, durationMs }
+ * @returns {Object} { offRoute, offRouteSince, duration, thresholdReached }
+ */
+const evaluateDeviation = (offRouteSince, distanceMeters, now, options = {}) => {
+  const corridorMeters = options.corridorMeters ?? DEVIATION_CORRIDOR_METERS;
+  const durationMs = options.durationMs ?? DEVIATION_DURATION_MS;
+
+  if (!(distanceMeters > corridorMeters)) {
+    return { offRoute: false, offRouteSince: null, duration: 0, thresholdReached: false };
+  }
+
+  const since = offRouteSince ?? now;
+  const duration = now - since;
+  return {
+    offRoute: true,
+    offRouteSince: since,
+    duration,
+    thresholdReached: duration >= durationMs
+  };
+};
+
+/**
+ * Load a trip's planned route into monitoring state
+ * @param {string} tripId - Trip ID
+ * @returns {Promise<Object>} Monitoring state
+ */
+const startMonitoring = async (tripId) => {
+  if (monitoringState.has(tripId)) {
+    return monitoringState.get(tripId);
+  }
+
+  const trip = mongoose.isValidObjectId(tripId)
+    ? await Trip.findById(tripId).select('route.polyline status')
+    : null;
+
+  const points = trip?.route?.polyline ? decodePolyline(trip.route.polyline) : [];
+  const state = {
+    points,
+    cumulative: points.length > 0 ? getCumulativeDistances(points) : [],
+    offRouteSince: null,
+    activeEventId: null
+  };
+
+  monitoringState.set(tripId, state);
+  return state;
+};
+
+/**
+ * Stop monitoring a trip and close any open deviation event
+ * @param {string} tripId - Trip ID
+ * @returns {Promise<Object>} Monitoring stop result
+ */
+const stopMonitoring = async (tripId) => {
+  const state = monitoringState.get(tripId);
+  monitoringState.delete(tripId);
+
+  if (state?.activeEventId) {
+    await resolveEvent(state.activeEventId, 'trip_ended');
+  }
+
+  return {
+    success: !!state,
+    tripId,
+    message: state ? 'Route deviation monitoring stopped' : 'No active monitoring found'
+  };
+};
+
+/**
+ * Process a location update for route deviation detection
+ *
+ * @param {string} tripId - Trip ID
+ * @param {Object} coordinates - GPS coordinates {lat, lng}
+ * @returns {Promise<Object>} Processing result
+ */
+const processLocationUpdate = async (tripId, coordinates) => {
+  if (typeof coordinates?.lat !== 'number' || typeof coordinates?.lng !== 'number') {
+    throw new Error('Valid coordinates are required');
+  }
+
+  const state = await startMonitoring(tripId);
+  if (state.points.length === 0) {
+    return { tripId, action: 'no_planned_route' };
+  }
+
+  const located = locateOnRoute(state.points, coordinates, state.cumulative);
+  const distanceMeters = Math.round(located.distanceFromRoute * 1000);
+  const now = Date.now();
+  const check = evaluateDeviation(state.offRouteSince, distanceMeters, now);
+
+  // Back inside the corridor - clear tracking and close an unanswered event
+  if (!check.offRoute) {
+    const hadEvent = state.activeEventId;
+    state.offRouteSince = null;
+    state.activeEventId = null;
+    if (hadEvent) {
+      await resolveEvent(hadEvent, 'returned_to_route');
+    }
+
+    return {
+      tripId,
+      offRoute: false,
+      distanceFromRoute: distanceMeters,
+      action: hadEvent ? 'returned_to_route' : 'on_route'
+    };
+  }
+
+  state.offRouteSince = check.offRouteSince;
+
+  if (check.thresholdReached && !state.activeEventId) {
+    const event = await createDeviationEvent(tripId, coordinates, distanceMeters, check.offRouteSince);
+    state.activeEventId = event._id.toString();
+    await sendSafetyCheckNotification(event);
+
+    return {
+      tripId,
+      offRoute: true,
+      distanceFromRoute: distanceMeters,
+      duration: check.duration,
+      eventId: event._id,
+      action: 'alert_triggered'
+    };
+  }
+
+  return {
+    tripId,
+    offRoute: true,
+    distanceFromRoute: distanceMeters,
+    duration: check.duration,
+    action: state.activeEventId ? 'monitoring_active_event' : 'monitoring'
+  };
+};
+
+/**
+ * Create a deviation event for the passengers on board
+ * @param {string} tripId - Trip ID
+ * @param {Object} coordinates - GPS coordinates
+ * @param {number} distanceMeters - Distance from route
+ * @param {number} offRouteSince - Timestamp (ms) the vehicle left the corridor
+ * @returns {Promise<Object>} Created event
+ */
+const createDeviationEvent = async (tripId, coordinates, distanceMeters, offRouteSince) => {
+  const bookings = await Booking.find({
+    tripId,
+    status: 'confirmed',
+    pickupStatus: { $ne: 'no_show' }
+  }).select('passengerId');
+
+  const event = new RouteDeviationEvent({
+    tripId,
+    passengerIds: [...new Set(bookings.map(b => b.passengerId.toString()))],
+    location: {
+      coordinates: {
+        lat: coordinates.lat,
+        lng: coordinates.lng
+      }
+    },
+    distanceFromRoute: distanceMeters,
+    corridorMeters: DEVIATION_CORRIDOR_METERS,
+    offRouteSince: new Date(offRouteSince),
+    alertSentAt: new Date(),
+    status: 'alert_sent'
+  });
+
+  await event.save();
+  return event;
+};
+
+/**
+ * Send the safety check to passengers and alert the admin tracking dashboard
+ * Uses the same "Confirm Safety" / "Request Help" flow as stationary detection
+ *
+ * @param {Object} event - Route deviation event
+ * @returns {Promise<Object>} Notification result
+ */
+const sendSafetyCheckNotification = async (event) => {
+  const tripId = event.tripId.toString();
+
+  for (const passengerId of event.passengerIds) {
+    try {
+      await sendNotification({
+        userId: passengerId,
+        channel: 'push',
+        template: 'route_deviation_check',
+        recipient: passengerId.toString(),
+        data: {
+          eventId: event._id.toString(),
+          tripId,
+          message: 'Your vehicle has left the planned route. Is everything okay?',
+          options: ['Confirm Safety', 'Request Help']
+        },
+        relatedEntity: {
+          type: 'trip',
+          id: event.tripId
+        },
+        metadata: {
+          priority: 'high',
+          requiresResponse: true
+        }
+      });
+    } catch (error) {
+      console.error(`Route deviation safety check failed for passenger ${passengerId}:`, error.message);
+    }
+
+    const { sendToUser } = require('./socketService');
+    sendToUser(passengerId.toString(), 'safety:check', {
+      type: 'route_deviation',
+      eventId: event._id.toString(),
+      tripId
+    });
+  }
+
+  broadcastDeviation(event, 'detected');
+  scheduleEscalationCheck(event._id.toString());
+
+  return {
+    success: true,
+    eventId: event._id,
+    passengersNotified: event.passengerIds.length
+  };
+};
+
+/**
+ * Broadcast deviation state to the admin tracking dashboard
+ * @param {Object} event - Route deviation event
+ * @param {string} state - detected, escalated or resolved
+ */
+const broadcastDeviation = (event, state) => {
+  const { broadcastRouteDeviation } = require('./socketService');
+  broadcastRouteDeviation({
+    eventId: event._id,
+    tripId: event.tripId,
+    state,
+    status: event.status,
+    location: event.location,
+    distanceFromRoute: event.distanceFromRoute,
+    offRouteSince: event.offRouteSince,
+    sosAlertId: event.sosAlertId
+  });
+};
+
+/**
+ * Handle a passenger's response to the deviation safety check
+ *
+ * @param {string} eventId - Route deviation event ID
+ * @param {string} userId - Responding passenger
+ * @param {string} response - 'safe' or 'help'
+ * @returns {Promise<Object>} Response handling result
+ */
+const handleSafetyResponse = async (eventId, userId, response) => {
+  if (!['safe', 'help'].includes(response)) {
+    const error = new Error('Response must be safe or help');
+    error.code = 'INVALID_RESPONSE';
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const event = mongoose.isValidObjectId(eventId) ? await RouteDeviationEvent.findById(eventId) : null;
+  if (!event) {
+    const error = new Error('Route deviation event not found');
+    error.code = 'EVENT_NOT_FOUND';
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (!event.passengerIds.some(id => id.toString() === userId.toString())) {
+    const error = new Error('Not a passenger on this trip');
+    error.code = 'UNAUTHORIZED';
+    error.statusCode = 403;
+    throw error;
+  }
+
+  if (event.passengerResponse?.responded || event.status !== 'alert_sent') {
+    return {
+      success: false,
+      eventId,
+      message: 'Response already recorded'
+    };
+  }
+
+  clearEscalation(eventId.toString());
+  await event.recordResponse(userId, response);
+
+  if (response === 'safe') {
+    broadcastDeviation(event, 'resolved');
+    return {
+      success: true,
+      eventId,
+      response: 'safe',
+      action: 'safety_confirmed',
+      message: 'Safety confirmed, continuing monitoring'
+    };
+  }
+
+  const sosResult = await triggerSOSFromEvent(event, userId, 'help_requested');
+  return {
+    success: true,
+    eventId,
+    response: 'help',
+    action: 'sos_triggered',
+    sosAlertId: sosResult.alertId,
+    message: 'SOS alert triggered'
+  };
+};
+
+/**
+ * Raise an SOS alert for a deviation event
+ * @param {Object} event - Route deviation event
+ * @param {string} userId - Passenger the alert is raised for
+ * @param {string} status - Event status after linking (help_requested or escalated)
+ * @param {string} userType - 'passenger' or 'driver'
+ * @returns {Promise<Object>} SOS trigger result
+ */
+const triggerSOSFromEvent = async (event, userId, status, userType = 'passenger') => {
+  const sosResult = await triggerSOS({
+    tripId: event.tripId,
+    userId,
+    userType,
+    location: {
+      coordinates: event.location.coordinates,
+      address: event.location.address
+    }
+  });
+
+  await event.linkSOSAlert(sosResult.alertId, status);
+  broadcastDeviation(event, 'escalated');
+
+  return sosResult;
+};
+
+/**
+ * Schedule escalation if no passenger answers the safety check
+ * @param {string} eventId - Route deviation event ID
+ */
+const scheduleEscalationCheck = (eventId) => {
+  clearEscalation(eventId);
+
+  const timeoutId = setTimeout(async () => {
+    escalationTimeouts.delete(eventId);
+    try {
+      await checkAndEscalate(eventId);
+    } catch (error) {
+      console.error(`Route deviation escalation failed for event ${eventId}:`, error.message);
+    }
+  }, ESCALATION_TIMEOUT_MS);
+
+  escalationTimeouts.set(eventId, timeoutId);
+};
+
+/**
+ * Clear a scheduled escalation
+ * @param {string} eventId - Route deviation event ID
+ */
+const clearEscalation = (eventId) => {
+  if (escalationTimeouts.has(eventId)) {
+    clearTimeout(escalationTimeouts.get(eventId));
+    escalationTimeouts.delete(eventId);
+  }
+};
+
+/**
+ * Escalate an unanswered safety check to an SOS alert
+ * @param {string} eventId - Route deviation event ID
+ * @returns {Promise<Object>} Escalation result
+ */
+const checkAndEscalate = async (eventId) => {
+  const event = await RouteDeviationEvent.findById(eventId);
+  if (!event) {
+    return { success: false, message: 'Event not found' };
+  }
+
+  if (event.passengerResponse?.responded || event.status !== 'alert_sent') {
+    return { success: true, message: 'No escalation needed', reason: 'already_handled' };
+  }
+
+  // SOS alerts belong to a user; with no passenger on board, raise it for the driver
+  let userId = event.passengerIds[0];
+  let userType = 'passenger';
+  if (!userId) {
+    const trip = await Trip.findById(event.tripId).populate('driver', 'userId');
+    userId = trip?.driver?.userId;
+    userType = 'driver';
+  }
+  if (!userId) {
+    await event.resolve('trip_ended');
+    return { success: false, message: 'No user to raise SOS for' };
+  }
+
+  const sosResult = await triggerSOSFromEvent(event, userId, 'escalated', userType);
+
+  return {
+    success: true,
+    action: 'escalated_to_sos',
+    sosAlertId: sosResult.alertId,
+    message: 'Unanswered route deviation escalated to SOS'
+  };
+};
+
+/**
+ * Resolve an unanswered deviation event
+ * @param {string} eventId - Route deviation event ID
+ * @param {string} reason - returned_to_route or trip_ended
+ * @returns {Promise<Object>} Resolution result
+ */
+const resolveEvent = async (eventId, reason) => {
+  clearEscalation(eventId);
+
+  const event = await RouteDeviationEvent.findById(eventId);
+  if (!event || event.status !== 'alert_sent') {
+    return { success: true, message: 'Event already resolved' };
+  }
+
+  await event.resolve(reason);
+  broadcastDeviation(event, 'resolved');
+
+  return {
+    success: true,
+    eventId,
+    resolution: reason
+  };
+};
+
+/**
+ * Get monitoring state for a trip
+ * @param {string} tripId - Trip ID
+ * @returns {Object|null} Monitoring state
+ */
+const getMonitoringState = (tripId) => {
+  return monitoringState.get(tripId) || null;
+};
+
+/**
+ * Clear all monitoring state (for testing/cleanup)
+ */
+const clearAllMonitoring = () => {
+  for (const timeoutId of escalationTimeouts.values()) {
+    clearTimeout(timeoutId);
+  }
+  escalationTimeouts.clear();
+  monitoringState.clear();
+};
+
+module.exports = {
+  startMonitoring,
+  stopMonitoring,
+  processLocationUpdate,
+  evaluateDeviation,
+  sendSafetyCheckNotification,
+  handleSafetyResponse,
+  checkAndEscalate,
+  resolveEvent,
+  getMonitoringState,
+  clearAllMonitoring,
+  DEVIATION_CORRIDOR_METERS,
+  DEVIATION_DURATION_MS,
+  ESCALATION_TIMEOUT_MS
+};
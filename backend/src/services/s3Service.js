@@ -125,6 +125,38 @@ const deleteFile = async (key) => {
   }
 };
 
+/**
+ * Download a file from S3 into memory
+ * 
+ * @param {string} key - S3 object key
+ * @returns {Promise<{buffer: Buffer, contentType: string}>} File contents
+ */
+const downloadFile = async (key) => {
+  if (!key) {
+    throw new Error('S3_DOWNLOAD_FAILED: key is required');
+  }
+  
+  const config = getConfig('s3');
+  const client = getS3Client();
+  
+  const command = new GetObjectCommand({
+    Bucket: config.bucket,
+    Key: key
+  });
+  
+  try {
+    const response = await client.send(command);
+    const bytes = await response.Body.transformToByteArray();
+    return {
+      buffer: Buffer.from(bytes),
+      contentType: response.ContentType
+    };
+  } catch (error) {
+    console.error('S3 download error:', error);
+    throw new Error(`S3_DOWNLOAD_FAILED: ${error.message}`);
+  }
+};
+
 /**
  * Generate a presigned URL for viewing a document
  * 
@@ -302,6 +334,7 @@ const resetClient = () => {
 module.exports = {
   uploadFile,
   deleteFile,
+  downloadFile,
   getPresignedUrl,
   generateDocumentKey,
   resetClient,
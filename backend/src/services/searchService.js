@@ -10,6 +10,9 @@ const Driver = require('../models/Driver');
 const { getPresignedUrl } = require('./s3Service');
 const { getConfig } = require('../config/environment');
 const { getWomenOnlyBadge, filterRidesForUser } = require('./womenOnlyRideService');
+const { calculateSegmentFarePerSeat } = require('./fareCalculation');
+const { decodePolyline, getCumulativeDistances, locateOnRoute } = require('../utils/polylineUtils');
+const { getStopSequence, getStopPairFare, matchStops, matchStopsByText } = require('./tripStopService');
 
 /**
  * Get the API base URL for constructing document URLs
@@ -120,6 +123,54 @@ const matchesGeoSearch = (trip, sourceCoords, destCoords, radiusKm = DEFAULT_SEA
   };
 };
 
+/**
+ * Check if a passenger's pickup and drop lie along a trip's route (en-route matching)
+ * Design Decision: Match against the encoded route polyline rather than trip endpoints
+ * Rationale: A Bengaluru→Hosur passenger should see a Bengaluru→Chennai trip passing through Hosur
+ *
+ * Pickup and drop must each be within radiusKm of the route and the drop must come
+ * after the pickup in the direction of travel.
+ *
+ * @param {Object} trip - Trip object with route.polyline
+ * @param {Object} pickupCoords - Passenger pickup coordinates
+ * @param {Object} dropCoords - Passenger drop coordinates
+ * @param {number} radiusKm - Maximum distance from the route in km
+ * @returns {Object} Match result with detour and segment distances
+ */
+const matchesRouteSegment = (trip, pickupCoords, dropCoords, radiusKm = DEFAULT_SEARCH_RADIUS_KM) => {
+  const points = decodePolyline(trip.route?.polyline);
+  if (points.length < 2) {
+    return { matches: false, reason: 'NO_ROUTE' };
+  }
+
+  const cumulative = getCumulativeDistances(points);
+  const polylineDistance = cumulative[cumulative.length - 1];
+  if (polylineDistance <= 0) {
+    return { matches: false, reason: 'NO_ROUTE' };
+  }
+
+  const pickup = locateOnRoute(points, pickupCoords, cumulative);
+  const drop = locateOnRoute(points, dropCoords, cumulative);
+
+  const onRoute = pickup.distanceFromRoute <= radiusKm && drop.distanceFromRoute <= radiusKm;
+  const inOrder = drop.distanceAlongRoute > pickup.distanceAlongRoute;
+  const segmentRatio = Math.min(1, (drop.distanceAlongRoute - pickup.distanceAlongRoute) / polylineDistance);
+
+  // Prefer the stored road distance; fall back to the polyline length
+  const routeDistance = trip.route?.distance > 0 ? trip.route.distance : polylineDistance;
+
+  return {
+    matches: onRoute && inOrder,
+    reason: !onRoute ? 'OFF_ROUTE' : (!inOrder ? 'WRONG_DIRECTION' : null),
+    pickupDetour: pickup.distanceFromRoute,
+    dropDetour: drop.distanceFromRoute,
+    segmentStartKm: pickup.distanceAlongRoute,
+    segmentEndKm: drop.distanceAlongRoute,
+    segmentRatio: inOrder ? segmentRatio : 0,
+    segmentDistance: inOrder ? routeDistance * segmentRatio : 0,
+    routeDistance
+  };
+};
 
 /**
  * Sort search results by specified criteria
@@ -305,6 +356,22 @@ const filterTrips = (trips, filters = {}) => {
 };
 
 
+/**
+ * Price a search result for the stops a passenger boards and alights at
+ * Matches spanning the whole route are left at the full fare.
+ *
+ * @param {Object} trip - Search result trip (mutated)
+ * @param {Object} match - { fromStop, toStop }
+ */
+const applyStopMatch = (trip, match) => {
+  const lastIndex = (trip.stopovers || []).length + 1;
+  if (match.fromStop === 0 && match.toStop === lastIndex) return;
+
+  trip.stopMatch = match;
+  trip.fullFarePerSeat = trip.farePerSeat;
+  trip.farePerSeat = getStopPairFare(trip, match.fromStop, match.toStop);
+};
+
 /**
  * Search for available rides
  * Design Decision: Support both geo-based and text-based search
@@ -368,13 +435,21 @@ const searchRides = async (searchParams) => {
     query.scheduledAt = { $gte: startOfToday };
   }
 
-  // Text-based search on source/destination addresses
+  // Text-based search on source/destination and stop addresses
+  // (stop order is checked after fetching)
   if (hasTextSearch) {
+    query.$and = [];
     if (from) {
-      query['source.address'] = { $regex: from, $options: 'i' };
+      query.$and.push({ $or: [
+        { 'source.address': { $regex: from, $options: 'i' } },
+        { 'stopovers.address': { $regex: from, $options: 'i' } }
+      ] });
     }
     if (to) {
-      query['destination.address'] = { $regex: to, $options: 'i' };
+      query.$and.push({ $or: [
+        { 'destination.address': { $regex: to, $options: 'i' } },
+        { 'stopovers.address': { $regex: to, $options: 'i' } }
+      ] });
     }
   }
 
@@ -469,6 +544,28 @@ const searchRides = async (searchParams) => {
         trip.destDistance = geoMatch.destDistance;
         return true;
       }
+
+      // Stop match: pickup and drop near trip stops, in stop order
+      if (trip.stopovers?.length > 0) {
+        const stopMatch = matchStops(trip, sourceCoords, destCoords, radiusKm);
+        if (stopMatch) {
+          trip.sourceDistance = stopMatch.pickupDistance;
+          trip.destDistance = stopMatch.dropDistance;
+          applyStopMatch(trip, stopMatch);
+          return true;
+        }
+      }
+
+      // En-route match: pickup and drop lie along the trip's route polyline
+      const segmentMatch = matchesRouteSegment(trip, sourceCoords, destCoords, radiusKm);
+      if (segmentMatch.matches) {
+        trip.sourceDistance = segmentMatch.pickupDetour;
+        trip.destDistance = segmentMatch.dropDetour;
+        trip.segmentMatch = segmentMatch;
+        trip.fullFarePerSeat = trip.farePerSeat;
+        trip.farePerSeat = calculateSegmentFarePerSeat(trip.farePerSeat, segmentMatch.segmentRatio);
+        return true;
+      }
       return false;
     });
   } else {
@@ -478,6 +575,16 @@ const searchRides = async (searchParams) => {
       sourceDistance: 0,
       destDistance: 0
     }));
+
+    // Text matches on stops must board before they alight
+    if (hasTextSearch) {
+      geoFilteredTrips = geoFilteredTrips.filter(trip => {
+        if (!(trip.stopovers?.length > 0)) return true;
+        const stopMatch = matchStopsByText(trip, from, to);
+        if (stopMatch) applyStopMatch(trip, stopMatch);
+        return !!stopMatch;
+      });
+    }
   }
 
   // Filter out trips with zero available seats (Requirement 2.1)
@@ -526,6 +633,9 @@ const searchRides = async (searchParams) => {
       tripId: trip.tripId,
       source: trip.source,
       destination: trip.destination,
+      stops: trip.stopovers?.length > 0
+        ? getStopSequence(trip).map(({ index, address, landmark, scheduledAt }) => ({ index, address, landmark, scheduledAt }))
+        : [],
       scheduledAt: trip.scheduledAt,
       availableSeats: trip.availableSeats,
       farePerSeat: trip.farePerSeat,
@@ -550,6 +660,8 @@ const searchRides = async (searchParams) => {
       // Trip flags for badges - Requirements 2.1, 2.2, 2.3, 10.1, 10.5
       instantBooking: trip.instantBooking,
       ladiesOnly: trip.ladiesOnly,
+      // Recurring trip template - passengers can book a recurring seat on it
+      recurringTemplateId: trip.template || null,
       // Women-only ride privacy indicators (Requirements 10.1, 10.5)
       isWomenOnly,
       womenOnlyBadge: womenOnlyBadge ? womenOnlyBadge.text : null,
@@ -561,7 +673,21 @@ const searchRides = async (searchParams) => {
         tooltip: 'This ride is exclusively for women passengers for safety and privacy.'
       } : null,
       sourceDistance: Math.round(trip.sourceDistance * 100) / 100,
-      destDistance: Math.round(trip.destDistance * 100) / 100
+      destDistance: Math.round(trip.destDistance * 100) / 100,
+      // En-route (partial segment) match details
+      isPartialSegment: !!(trip.segmentMatch || trip.stopMatch),
+      fullFarePerSeat: trip.segmentMatch || trip.stopMatch ? trip.fullFarePerSeat : trip.farePerSeat,
+      // Stops the passenger boards and alights at on multi-stop trips
+      stopMatch: trip.stopMatch ? {
+        pickupStop: trip.stopMatch.fromStop,
+        dropStop: trip.stopMatch.toStop
+      } : null,
+      segment: trip.segmentMatch ? {
+        pickupDetourKm: Math.round(trip.segmentMatch.pickupDetour * 100) / 100,
+        dropDetourKm: Math.round(trip.segmentMatch.dropDetour * 100) / 100,
+        distanceKm: Math.round(trip.segmentMatch.segmentDistance * 100) / 100,
+        ratio: Math.round(trip.segmentMatch.segmentRatio * 1000) / 1000
+      } : null
     };
   });
 
@@ -815,6 +941,7 @@ const getPublicTripDetails = async (tripId) => {
 module.exports = {
   calculateDistance,
   matchesGeoSearch,
+  matchesRouteSegment,
   sortSearchResults,
   filterTrips,
   searchRides,
@@ -197,6 +197,7 @@ class SendGridService {
       'jpeg': 'image/jpeg',
       'gif': 'image/gif',
       'csv': 'text/csv',
+      'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
       'txt': 'text/plain',
       'html': 'text/html'
     };
@@ -10,6 +10,8 @@
 const crypto = require('crypto');
 const Session = require('../models/Session');
 const { hashToken, REFRESH_TOKEN_EXPIRY_SECONDS } = require('./tokenService');
+const { logRefreshTokenReuse } = require('./authAuditService');
+const { sendNotification } = require('./notificationService');
 
 /**
  * Extract device info from user-agent string
@@ -92,6 +94,16 @@ const generateSessionId = () => {
   return crypto.randomUUID();
 };
 
+/**
+ * Generate a refresh token family ID
+ * A new family starts at every sign-in and is shared by all refresh tokens
+ * rotated from it
+ * @returns {string} Family identifier
+ */
+const generateTokenFamilyId = () => {
+  return crypto.randomUUID();
+};
+
 /**
  * Create a new session for a user
  * Requirements: 4.1 - Track sessions with device info, IP, and timestamps
@@ -100,9 +112,10 @@ const generateSessionId = () => {
  * @param {string} refreshToken - The refresh token to bind to this session
  * @param {string} ipAddress - Client IP address
  * @param {string} userAgent - User-Agent header value
+ * @param {Object} [options] - { sessionId, familyId } the refresh token was issued for
  * @returns {Promise<Object>} Created session object
  */
-const createSession = async (userId, refreshToken, ipAddress, userAgent = '') => {
+const createSession = async (userId, refreshToken, ipAddress, userAgent = '', options = {}) => {
   if (!userId) {
     throw new Error('User ID is required to create a session');
   }
@@ -113,7 +126,7 @@ const createSession = async (userId, refreshToken, ipAddress, userAgent = '') =>
     throw new Error('IP address is required to create a session');
   }
 
-  const sessionId = generateSessionId();
+  const sessionId = options.sessionId || generateSessionId();
   const deviceInfo = extractDeviceInfo(userAgent);
   const refreshTokenHash = hashToken(refreshToken);
   
@@ -127,6 +140,7 @@ const createSession = async (userId, refreshToken, ipAddress, userAgent = '') =>
     ipAddress,
     userAgent: userAgent ? userAgent.substring(0, 1000) : '', // Truncate to max length
     refreshTokenHash,
+    tokenFamilyId: options.familyId || sessionId,
     expiresAt,
     isActive: true,
     lastActivityAt: new Date()
@@ -253,15 +267,39 @@ const updateSessionActivity = async (sessionId) => {
   return result !== null;
 };
 
+/**
+ * Classify a presented refresh token against its session
+ * A token signed for the session's family that is not the current token
+ * has already been rotated away, so presenting it again is reuse.
+ * 
+ * @param {Object|null} session - Session the token names
+ * @param {Object} token - { tokenHash, familyId } of the presented token
+ * @param {Date} now - Current time
+ * @returns {string} 'current' | 'reused' | 'mismatch' | 'revoked' | 'expired' | 'not_found'
+ */
+const classifyRefreshToken = (session, { tokenHash, familyId }, now = new Date()) => {
+  if (!session) return 'not_found';
+  if (!session.isActive) return 'revoked';
+  if (session.expiresAt < now) return 'expired';
+  if (session.refreshTokenHash === tokenHash) return 'current';
+
+  // Sessions created before rotation have no family; their tokens are
+  // simply rejected
+  const sessionFamily = session.tokenFamilyId;
+  if (sessionFamily && familyId && sessionFamily === familyId) return 'reused';
+  return 'mismatch';
+};
+
 /**
  * Validate a refresh token against its session
  * Requirements: 4.3 - Revoked sessions prevent token refresh
  * 
  * @param {string} refreshToken - The refresh token to validate
  * @param {string} sessionId - The session ID from the token payload
- * @returns {Promise<{valid: boolean, error?: string, errorCode?: string}>}
+ * @param {string} [familyId] - The token family from the token payload
+ * @returns {Promise<{valid: boolean, session?: Object, reuseDetected?: boolean, error?: string, errorCode?: string}>}
  */
-const validateSessionForRefresh = async (refreshToken, sessionId) => {
+const validateSessionForRefresh = async (refreshToken, sessionId, familyId = null) => {
   if (!refreshToken || !sessionId) {
     return { 
       valid: false, 
@@ -271,42 +309,117 @@ const validateSessionForRefresh = async (refreshToken, sessionId) => {
   }
 
   const session = await Session.findOne({ sessionId });
-
-  if (!session) {
-    return { 
-      valid: false, 
-      error: 'Session not found', 
-      errorCode: 'AUTH_008' 
-    };
+  const status = classifyRefreshToken(session, { tokenHash: hashToken(refreshToken), familyId });
+
+  switch (status) {
+    case 'current':
+      return { valid: true, session };
+    case 'not_found':
+      return { 
+        valid: false, 
+        error: 'Session not found', 
+        errorCode: 'AUTH_008' 
+      };
+    case 'revoked':
+      return { 
+        valid: false, 
+        error: 'Session has been revoked', 
+        errorCode: 'AUTH_008' 
+      };
+    case 'expired':
+      return { 
+        valid: false, 
+        error: 'Session has expired', 
+        errorCode: 'AUTH_007' 
+      };
+    case 'reused':
+      return {
+        valid: false,
+        reuseDetected: true,
+        session,
+        error: 'Refresh token has already been used. Please sign in again.',
+        errorCode: 'AUTH_010'
+      };
+    default:
+      return { 
+        valid: false, 
+        error: 'Invalid refresh token for this session', 
+        errorCode: 'AUTH_005' 
+      };
   }
+};
 
-  if (!session.isActive) {
-    return { 
-      valid: false, 
-      error: 'Session has been revoked', 
-      errorCode: 'AUTH_008' 
-    };
-  }
+/**
+ * Rotate a session's refresh token
+ * Retires the presented token and binds the next one in the family. Only
+ * succeeds while the presented token is still current, so two refreshes
+ * racing with the same token cannot both win.
+ * 
+ * @param {string} sessionId - Session identifier
+ * @param {string} currentToken - Refresh token being exchanged
+ * @param {string} nextToken - Newly issued refresh token
+ * @returns {Promise<Object|null>} Updated session, or null if the token was no longer current
+ */
+const rotateRefreshToken = async (sessionId, currentToken, nextToken) => {
+  return Session.findOneAndUpdate(
+    {
+      sessionId,
+      isActive: true,
+      refreshTokenHash: hashToken(currentToken)
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        lastActivityAt: new Date()
+      },
+      $inc: { refreshTokenGeneration: 1 }
+    },
+    { new: true }
+  );
+};
 
-  if (session.expiresAt < new Date()) {
-    return { 
-      valid: false, 
-      error: 'Session has expired', 
-      errorCode: 'AUTH_007' 
-    };
-  }
+/**
+ * Revoke a refresh token family after a retired token was presented
+ * Revokes every session in the family, writes an audit event and tells the
+ * user's other devices that the session was signed out for security.
+ * 
+ * @param {Object} session - Session the reused token belongs to
+ * @param {Object} context - { ipAddress, userAgent } of the request that presented it
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeTokenFamily = async (session, { ipAddress, userAgent } = {}) => {
+  const familyId = session.tokenFamilyId || session.sessionId;
+  const result = await Session.updateMany(
+    { userId: session.userId, tokenFamilyId: familyId, isActive: true },
+    {
+      isActive: false,
+      revokedAt: new Date(),
+      revokedReason: 'refresh_token_reuse',
+      lastActivityAt: new Date()
+    }
+  );
 
-  // Verify the refresh token matches the session
-  const tokenHash = hashToken(refreshToken);
-  if (session.refreshTokenHash !== tokenHash) {
-    return { 
-      valid: false, 
-      error: 'Invalid refresh token for this session', 
-      errorCode: 'AUTH_005' 
-    };
+  await logRefreshTokenReuse(session.userId, ipAddress || 'unknown', userAgent, {
+    sessionId: session.sessionId,
+    familyId,
+    generation: session.refreshTokenGeneration || 0,
+    sessionsRevoked: result.modifiedCount
+  });
+
+  try {
+    await sendNotification({
+      userId: session.userId,
+      channel: 'push',
+      template: 'security_signout_push',
+      recipient: session.userId.toString(),
+      data: { deviceInfo: session.deviceInfo || 'a device' },
+      metadata: { sessionId: session.sessionId, reason: 'refresh_token_reuse' }
+    });
+  } catch (error) {
+    console.error('[SessionService] Failed to send security sign-out notification:', error.message);
   }
 
-  return { valid: true, session };
+  return result.modifiedCount;
 };
 
 /**
@@ -350,12 +463,16 @@ module.exports = {
   revokeAllSessions,
   updateSessionActivity,
   
-  // Session validation
+  // Session validation and refresh token rotation
   validateSessionForRefresh,
+  classifyRefreshToken,
+  rotateRefreshToken,
+  revokeTokenFamily,
   getSessionById,
   getActiveSessionCount,
   
   // Utility functions
   extractDeviceInfo,
-  generateSessionId
+  generateSessionId,
+  generateTokenFamilyId
 };
@@ -1,6 +1,6 @@
 /**
  * Socket.io WebSocket Service
- * Handles real-time communication for trip tracking and SOS alerts
+ * Handles real-time communication for trip tracking, SOS alerts and trip chat
  * Requirements: 2.1, 2.2, 4.4, 5.1, 5.2, 5.3, 5.4, 5.5, 7.2
  * 
  * Design Decision: Redis adapter for horizontal scaling
@@ -25,6 +25,7 @@ const {
   attemptRecovery,
   getRecoveryStats
 } = require('./connectionRecoveryService');
+const chatService = require('./chatService');
 
 // Store active socket connections
 const connectedClients = new Map();
@@ -344,6 +345,22 @@ const initializeSocketServer = async (httpServer) => {
       // Broadcast to all subscribers via Redis pub/sub (for horizontal scaling)
       // Requirements: 2.2 - Broadcast within 500ms using Redis pub/sub
       await broadcastTripLocation(tripId, locationData);
+
+      // Check the update against the planned route corridor
+      try {
+        const routeDeviationService = require('./routeDeviationService');
+        await routeDeviationService.processLocationUpdate(tripId, coordinates);
+      } catch (error) {
+        console.error(`Route deviation check failed for trip ${tripId}:`, error.message);
+      }
+
+      // Close check-ins for passengers who reached their drop point
+      try {
+        const checkInService = require('./checkInService');
+        await checkInService.processLocationUpdate(tripId, coordinates);
+      } catch (error) {
+        console.error(`Check-in geofence check failed for trip ${tripId}:`, error.message);
+      }
     });
 
     // Handle driver starting tracking for a trip
@@ -367,6 +384,96 @@ const initializeSocketServer = async (httpServer) => {
       console.log(`Driver ${userId} stopped tracking for trip: ${tripId}`);
     });
 
+    // Trip chat: join a booking's passenger-driver thread
+    socket.on('chat:join', async (data, ack) => {
+      const { bookingId } = data || {};
+      if (!bookingId) return;
+
+      try {
+        const result = await chatService.openChat(bookingId, userId);
+        socket.join(`chat:${result.chat.bookingId}`);
+        replyToSocket(socket, ack, 'chat:joined', result);
+      } catch (error) {
+        replyToSocket(socket, ack, 'chat:error', chatErrorPayload(error, bookingId));
+      }
+    });
+
+    socket.on('chat:leave', (data) => {
+      const { bookingId } = data || {};
+      if (!bookingId) return;
+
+      socket.leave(`chat:${bookingId}`);
+    });
+
+    // Send a chat message (free text or quick reply)
+    socket.on('chat:send', async (data, ack) => {
+      const { bookingId, text, quickReplyKey, clientMessageId } = data || {};
+      if (!bookingId) return;
+
+      try {
+        const { message, recipientId, duplicate } = await chatService.sendMessage(bookingId, userId, {
+          text,
+          quickReplyKey,
+          clientMessageId
+        });
+
+        if (!duplicate) {
+          io.to(`chat:${message.bookingId}`).emit('chat:message', message);
+          sendToUser(recipientId, 'chat:unread', {
+            bookingId: message.bookingId,
+            tripId: message.tripId,
+            messageId: message._id
+          });
+        }
+
+        replyToSocket(socket, ack, 'chat:sent', { success: true, message });
+      } catch (error) {
+        replyToSocket(socket, ack, 'chat:error', chatErrorPayload(error, bookingId));
+      }
+    });
+
+    // Delivery receipts from the recipient's device
+    socket.on('chat:delivered', async (data) => {
+      const { bookingId, messageIds } = data || {};
+      if (!bookingId) return;
+
+      try {
+        const { booking } = await chatService.getChatContext(bookingId, userId);
+        const result = await chatService.markDelivered(booking._id, userId, messageIds);
+        if (result.messageIds.length > 0) {
+          io.to(`chat:${booking._id}`).emit('chat:receipt', {
+            bookingId: booking._id,
+            type: 'delivered',
+            messageIds: result.messageIds,
+            at: result.deliveredAt
+          });
+        }
+      } catch (error) {
+        socket.emit('chat:error', chatErrorPayload(error, bookingId));
+      }
+    });
+
+    // Read receipts: marks every incoming message in the thread as read
+    socket.on('chat:read', async (data) => {
+      const { bookingId } = data || {};
+      if (!bookingId) return;
+
+      try {
+        const { booking } = await chatService.getChatContext(bookingId, userId);
+        const result = await chatService.markRead(booking._id, userId);
+        if (result.messageIds.length > 0) {
+          io.to(`chat:${booking._id}`).emit('chat:receipt', {
+            bookingId: booking._id,
+            type: 'read',
+            messageIds: result.messageIds,
+            at: result.readAt
+          });
+        }
+      } catch (error) {
+        socket.emit('chat:error', chatErrorPayload(error, bookingId));
+      }
+    });
+
     // Handle disconnection
     // Requirements: 2.4 - Store state for recovery on disconnect
     socket.on('disconnect', async (reason) => {
@@ -408,6 +515,41 @@ const initializeSocketServer = async (httpServer) => {
   return io;
 };
 
+/**
+ * Reply to a socket event through its acknowledgement callback, or emit the
+ * given event when the client did not pass one
+ * @param {Object} socket - Socket instance
+ * @param {Function} ack - Acknowledgement callback (optional)
+ * @param {string} event - Fallback event name
+ * @param {Object} payload - Response payload
+ */
+const replyToSocket = (socket, ack, event, payload) => {
+  if (typeof ack === 'function') {
+    ack(payload);
+  } else {
+    socket.emit(event, payload);
+  }
+};
+
+/**
+ * Build chat error payload for socket clients
+ * @param {Error} error - Service error
+ * @param {string} bookingId - Booking the event was for
+ * @returns {Object} Error payload
+ */
+const chatErrorPayload = (error, bookingId) => {
+  if (!error.statusCode || error.statusCode >= 500) {
+    console.error(`Chat error for booking ${bookingId}:`, error.message);
+  }
+
+  return {
+    success: false,
+    bookingId,
+    error: error.statusCode && error.statusCode < 500 ? error.message : 'Chat service unavailable',
+    code: error.code || 'INTERNAL_ERROR'
+  };
+};
+
 /**
  * Get the Socket.io server instance
  * @returns {Object|null} Socket.io server instance
@@ -536,6 +678,9 @@ const broadcastSOSAlert = (alertData) => {
     location: alertData.location,
     journeyDetails: alertData.journeyDetails || null,
     status: alertData.status || 'active',
+    // Staff must not alert the driver when handling a silent SOS
+    silent: alertData.silent || false,
+    triggerSource: alertData.triggerSource || 'app',
     createdAt: alertData.createdAt || new Date().toISOString(),
     timestamp: new Date().toISOString()
   };
@@ -691,6 +836,7 @@ const sendProximityNotification = (tripId, passengerId, notificationData) => {
     message: notificationData.message || 'Driver is approaching your pickup point',
     distance: notificationData.distance,
     eta: notificationData.eta,
+    ...(notificationData.stop && { stop: notificationData.stop }),
     timestamp: new Date().toISOString()
   };
 
@@ -966,7 +1112,7 @@ const broadcastSupportEscalation = (escalationData) => {
   }
 
   const payload = {
-    type: 'safety_escalation',
+    type: escalationData.type || 'safety_escalation',
     ticketId: escalationData.ticketId,
     tripId: escalationData.tripId,
     passengerId: escalationData.passengerId,
@@ -988,6 +1134,42 @@ const broadcastSupportEscalation = (escalationData) => {
   };
 };
 
+/**
+ * Broadcast route deviation state to admin tracking and support dashboards
+ *
+ * @param {Object} deviationData - Route deviation event data
+ * @returns {Object} Broadcast result
+ */
+const broadcastRouteDeviation = (deviationData) => {
+  if (!io) {
+    console.warn('Socket.io not initialized');
+    return { success: false, error: 'Socket.io not initialized' };
+  }
+
+  const payload = {
+    type: 'route_deviation',
+    eventId: deviationData.eventId,
+    tripId: deviationData.tripId,
+    state: deviationData.state,
+    status: deviationData.status,
+    location: deviationData.location,
+    distanceFromRoute: deviationData.distanceFromRoute,
+    offRouteSince: deviationData.offRouteSince,
+    sosAlertId: deviationData.sosAlertId || null,
+    priority: deviationData.state === 'escalated' ? 'critical' : 'high',
+    timestamp: new Date().toISOString()
+  };
+
+  io.to('admin-room').emit('trip:deviation', payload);
+  io.to('support-room').emit('trip:deviation', payload);
+
+  return {
+    success: true,
+    adminNotified: adminSockets.size > 0,
+    supportNotified: customerSupportSockets.size > 0
+  };
+};
+
 /**
  * Cleanup Redis adapter connections
  * @returns {Promise<void>}
@@ -1055,6 +1237,7 @@ module.exports = {
   getContactTrackingStats,
   // Support escalation (Requirements: 8.7)
   broadcastSupportEscalation,
+  broadcastRouteDeviation,
   // Redis adapter functions (Requirements: 2.1, 2.2)
   configureRedisAdapter,
   isRedisAdapterConfigured,
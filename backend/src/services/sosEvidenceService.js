@@ -0,0 +1,475 @@
+/**
+ * SOS Evidence Service
+ * Builds tamper-evident evidence bundles for SOS alerts that operations can
+ * hand to police or insurers
+ *
+ * Design Decision: A bundle is an evidence PDF plus the machine-readable
+ * evidence JSON, listed with their SHA-256 hashes in a manifest signed with
+ * HMAC-SHA256
+ * Rationale: Recipients can check every file against the manifest, the
+ * signature proves the manifest was issued by HushRyd, and the PDF prints the
+ * hash of the JSON it was rendered from
+ *
+ * Chain of custody: every export is written to the audit log with the
+ * manifest hash, recipient and reference, and earlier exports are listed in
+ * the next bundle.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const SOSAlert = require('../models/SOSAlert');
+const Trip = require('../models/Trip');
+const Booking = require('../models/Booking');
+const StationaryEvent = require('../models/StationaryEvent');
+const RouteDeviationEvent = require('../models/RouteDeviationEvent');
+const AuditLog = require('../models/AuditLog');
+const { captureJourneyData } = require('./sosService');
+const { renderSosEvidencePdf } = require('./reportDocumentService');
+
+/**
+ * Evidence bundle format version
+ */
+const EVIDENCE_VERSION = 1;
+
+/**
+ * Build an error with code and HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error object
+ */
+const createError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Serialize a value as JSON with object keys sorted at every level
+ * Hashes and signatures are computed over this form so they do not depend
+ * on key order.
+ *
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+const canonicalize = (value) => {
+  const normalize = (item) => {
+    if (item === null || item === undefined) return item ?? null;
+    if (item instanceof Date) return item.toISOString();
+    if (Array.isArray(item)) return item.map(normalize);
+    if (typeof item === 'object') {
+      if (typeof item.toHexString === 'function') return item.toHexString();
+      return Object.keys(item).sort().reduce((acc, key) => {
+        if (item[key] !== undefined) acc[key] = normalize(item[key]);
+        return acc;
+      }, {});
+    }
+    return item;
+  };
+  return JSON.stringify(normalize(value));
+};
+
+/**
+ * SHA-256 hash as hex
+ * @param {Buffer|string} data - Data to hash
+ * @returns {string} Hex digest
+ */
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Get the secret used to sign evidence manifests
+ * @returns {string} Signing secret
+ */
+const getSigningSecret = () => {
+  const secret = process.env.EVIDENCE_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw createError('SIGNING_NOT_CONFIGURED', 'EVIDENCE_SIGNING_SECRET or JWT_SECRET must be set to sign evidence', 503);
+  }
+  return secret;
+};
+
+/**
+ * Merge trip tracking and SOS continuous tracking into one ordered trace
+ * Points at the same time and place are kept once.
+ *
+ * @param {Array} tripTracking - Trip tracking entries { coordinates, timestamp, speed }
+ * @param {Array} sosTracking - SOS tracking entries { coordinates, timestamp }
+ * @returns {Array} Location points { lat, lng, timestamp, speed, source }
+ */
+const mergeLocationPoints = (tripTracking = [], sosTracking = []) => {
+  const seen = new Set();
+  const points = [];
+
+  const add = (entries, source) => {
+    for (const entry of entries) {
+      const lat = entry.coordinates?.lat;
+      const lng = entry.coordinates?.lng;
+      const timestamp = entry.timestamp ? new Date(entry.timestamp) : null;
+      if (typeof lat !== 'number' || typeof lng !== 'number' || !timestamp || isNaN(timestamp)) continue;
+
+      const key = `${timestamp.getTime()}:${lat}:${lng}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      points.push({ lat, lng, timestamp, speed: entry.speed ?? null, source });
+    }
+  };
+
+  add(tripTracking, 'trip');
+  add(sosTracking, 'sos');
+
+  return points.sort((a, b) => a.timestamp - b.timestamp);
+};
+
+/**
+ * Build the incident timeline from location points, safety events and staff actions
+ *
+ * @param {Object} evidence - { alert, locationPoints, stationaryEvents, routeDeviations, staffActions }
+ * @returns {Array} Timeline entries { at, type, description, lat, lng } sorted by time
+ */
+const buildTimeline = ({ alert, locationPoints = [], stationaryEvents = [], routeDeviations = [], staffActions = [] }) => {
+  const entries = [];
+  const push = (at, type, description, coordinates) => {
+    if (!at) return;
+    entries.push({
+      at: new Date(at),
+      type,
+      description,
+      lat: coordinates?.lat ?? null,
+      lng: coordinates?.lng ?? null
+    });
+  };
+
+  for (const point of locationPoints) {
+    const speed = typeof point.speed === 'number' ? ` at ${point.speed} km/h` : '';
+    push(point.timestamp, 'location', `Location (${point.source})${speed}`, point);
+  }
+
+  for (const event of stationaryEvents) {
+    push(event.startedAt, 'stationary_started', 'Vehicle stopped moving', event.location?.coordinates);
+    push(event.alertSentAt, 'stationary_alert', `Safety check sent after ${Math.round((event.duration || 0) / 60)} min stationary`, event.location?.coordinates);
+    if (event.passengerResponse?.respondedAt) {
+      push(event.passengerResponse.respondedAt, 'passenger_response', `Passenger responded: ${event.passengerResponse.response}`, event.location?.coordinates);
+    }
+  }
+
+  for (const event of routeDeviations) {
+    push(event.offRouteSince, 'route_deviation', `Left planned route (${event.distanceFromRoute} m off route)`, event.location?.coordinates);
+    push(event.alertSentAt, 'deviation_alert', 'Route deviation safety check sent', event.location?.coordinates);
+    if (event.passengerResponse?.respondedAt) {
+      push(event.passengerResponse.respondedAt, 'passenger_response', `Passenger responded: ${event.passengerResponse.response}`, event.location?.coordinates);
+    }
+  }
+
+  if (alert) {
+    const source = alert.silent ? `silent, ${alert.triggerSource}` : alert.triggerSource || 'app';
+    push(alert.triggeredAt, 'sos_triggered', `SOS triggered by ${alert.userType} (${source})`, alert.location?.coordinates);
+    push(alert.acknowledgedAt, 'sos_acknowledged', `Acknowledged by ${alert.acknowledgedBy?.name || 'staff'}`);
+    push(alert.resolvedAt, 'sos_resolved', `Resolved by ${alert.resolvedBy?.name || 'staff'}: ${alert.resolution || ''}`.trim());
+  }
+
+  for (const action of staffActions) {
+    push(action.at, 'staff_action', `${action.staff?.name || 'Staff'}: ${action.action}`);
+  }
+
+  return entries.sort((a, b) => a.at - b.at);
+};
+
+/**
+ * Build the file manifest for an evidence bundle
+ *
+ * @param {Object} params - { alertId, generatedAt, generatedBy, files: [{ name, contentType, data }] }
+ * @returns {Object} Manifest
+ */
+const buildManifest = ({ alertId, generatedAt, generatedBy, files }) => ({
+  version: EVIDENCE_VERSION,
+  alertId: String(alertId),
+  generatedAt: new Date(generatedAt).toISOString(),
+  generatedBy: generatedBy ? String(generatedBy) : null,
+  algorithm: 'SHA-256',
+  files: files.map(file => ({
+    name: file.name,
+    contentType: file.contentType,
+    bytes: file.data.length,
+    sha256: sha256(file.data)
+  }))
+});
+
+/**
+ * Sign a manifest with HMAC-SHA256 over its canonical JSON
+ * @param {Object} manifest - Evidence manifest
+ * @param {string} [secret] - Signing secret
+ * @returns {string} Hex signature
+ */
+const signManifest = (manifest, secret = getSigningSecret()) =>
+  crypto.createHmac('sha256', secret).update(canonicalize(manifest)).digest('hex');
+
+/**
+ * Verify a manifest signature and, optionally, the bundle files against it
+ *
+ * @param {Object} params - { manifest, signature, files: [{ name, data }] }
+ * @param {string} [secret] - Signing secret
+ * @returns {Object} { valid, signatureValid, files: [{ name, matches }] }
+ */
+const verifyBundle = ({ manifest, signature, files = [] }, secret = getSigningSecret()) => {
+  const expected = Buffer.from(signManifest(manifest, secret), 'hex');
+  const provided = Buffer.from(String(signature || ''), 'hex');
+  const signatureValid = expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+
+  const fileResults = files.map(file => {
+    const listed = (manifest.files || []).find(f => f.name === file.name);
+    return {
+      name: file.name,
+      matches: !!listed && listed.sha256 === sha256(file.data)
+    };
+  });
+
+  return {
+    valid: signatureValid && fileResults.every(f => f.matches),
+    signatureValid,
+    files: fileResults
+  };
+};
+
+/**
+ * Format a staff user reference for the evidence record
+ * @param {Object} user - Populated user
+ * @returns {Object|null} { id, name, email, role }
+ */
+const toStaffRef = (user) => {
+  if (!user) return null;
+  if (!user._id) return { id: String(user) };
+  return {
+    id: user._id.toString(),
+    name: user.name || null,
+    email: user.email || null,
+    role: user.role || null
+  };
+};
+
+/**
+ * Collect everything recorded about an SOS alert
+ * @param {string} alertId - SOS alert ID
+ * @returns {Promise<Object>} Evidence record (without timeline)
+ */
+const collectEvidence = async (alertId) => {
+  if (!mongoose.isValidObjectId(alertId)) {
+    throw createError('ALERT_NOT_FOUND', 'SOS alert not found', 404);
+  }
+
+  const alert = await SOSAlert.findById(alertId)
+    .populate('triggeredBy', 'name phone email')
+    .populate('acknowledgedBy', 'name email role')
+    .populate('resolvedBy', 'name email role')
+    .lean();
+  if (!alert) {
+    throw createError('ALERT_NOT_FOUND', 'SOS alert not found', 404);
+  }
+
+  const trip = await Trip.findById(alert.tripId)
+    .select('tripId status scheduledAt startedAt completedAt source destination route tracking driver vehicle')
+    .populate({ path: 'driver', select: 'userId', populate: { path: 'userId', select: 'name phone' } })
+    .lean();
+
+  const [journey, bookings, stationaryEvents, routeDeviations, auditEntries] = await Promise.all([
+    captureJourneyData(alert.tripId),
+    Booking.find({ tripId: alert.tripId, status: { $in: ['confirmed', 'completed'] } })
+      .populate('passengerId', 'name phone')
+      .lean(),
+    StationaryEvent.find({ tripId: alert.tripId }).sort({ startedAt: 1 }).lean(),
+    RouteDeviationEvent.find({ tripId: alert.tripId }).sort({ createdAt: 1 }).lean(),
+    AuditLog.find({
+      $or: [
+        { targetType: 'sos', targetId: alert._id },
+        { targetType: 'trip', targetId: alert.tripId }
+      ]
+    }).populate('userId', 'name email role').sort({ timestamp: 1 }).lean()
+  ]);
+
+  // Driver and vehicle as captured when the SOS was raised
+  const driverSnapshot = alert.journeyDetails?.driverSnapshot?.name
+    ? alert.journeyDetails.driverSnapshot
+    : journey?.driverSnapshot || {};
+  const vehicle = alert.journeyDetails?.vehicleSnapshot?.plateNumber
+    ? alert.journeyDetails.vehicleSnapshot
+    : journey?.vehicleSnapshot || {};
+
+  const participants = [];
+  if (driverSnapshot.name || trip?.driver) {
+    participants.push({
+      role: 'driver',
+      userId: String(driverSnapshot.userId || trip?.driver?.userId?._id || ''),
+      name: driverSnapshot.name || trip?.driver?.userId?.name || 'Unknown',
+      phone: driverSnapshot.phone || trip?.driver?.userId?.phone || '',
+      reference: vehicle.plateNumber || null,
+      triggeredSos: alert.userType === 'driver'
+    });
+  }
+  for (const booking of bookings) {
+    const passenger = booking.passengerId;
+    participants.push({
+      role: 'passenger',
+      userId: String(passenger?._id || passenger || ''),
+      name: passenger?.name || 'Unknown',
+      phone: passenger?.phone || '',
+      reference: booking.bookingId,
+      triggeredSos: String(passenger?._id || passenger) === String(alert.triggeredBy?._id || alert.triggeredBy)
+    });
+  }
+  // The triggering user is always listed even without a booking
+  if (!participants.some(p => p.triggeredSos) && alert.triggeredBy) {
+    participants.push({
+      role: alert.userType,
+      userId: String(alert.triggeredBy._id || alert.triggeredBy),
+      name: alert.triggeredBy.name || 'Unknown',
+      phone: alert.triggeredBy.phone || '',
+      reference: null,
+      triggeredSos: true
+    });
+  }
+
+  const staffActions = auditEntries.map(entry => ({
+    at: entry.timestamp,
+    staff: toStaffRef(entry.userId),
+    action: entry.action,
+    targetType: entry.targetType,
+    details: entry.details || {},
+    ipAddress: entry.ipAddress || null
+  }));
+
+  return {
+    version: EVIDENCE_VERSION,
+    alert: {
+      id: alert._id.toString(),
+      status: alert.status,
+      priority: alert.priority,
+      silent: !!alert.silent,
+      triggerSource: alert.triggerSource || 'app',
+      userType: alert.userType,
+      triggeredAt: alert.createdAt,
+      location: alert.location,
+      acknowledgedAt: alert.acknowledgedAt || null,
+      acknowledgedBy: toStaffRef(alert.acknowledgedBy),
+      resolvedAt: alert.resolvedAt || null,
+      resolvedBy: toStaffRef(alert.resolvedBy),
+      resolution: alert.resolution || null,
+      actionsTaken: alert.actionsTaken || [],
+      notificationsSent: alert.notificationsSent
+    },
+    trip: trip ? {
+      id: trip._id.toString(),
+      tripId: trip.tripId,
+      status: trip.status,
+      scheduledAt: trip.scheduledAt,
+      startedAt: trip.startedAt || null,
+      completedAt: trip.completedAt || null,
+      source: trip.source,
+      destination: trip.destination,
+      plannedRoutePolyline: trip.route?.polyline || null
+    } : null,
+    participants,
+    vehicle,
+    locationPoints: mergeLocationPoints(trip?.tracking || [], alert.continuousTracking?.trackingHistory || []),
+    stops: journey?.stops || [],
+    stationaryEvents: stationaryEvents.map(event => ({
+      id: event._id.toString(),
+      startedAt: event.startedAt,
+      duration: event.duration,
+      status: event.status,
+      location: event.location,
+      alertSentAt: event.alertSentAt || null,
+      passengerResponse: event.passengerResponse || null
+    })),
+    routeDeviations: routeDeviations.map(event => ({
+      id: event._id.toString(),
+      offRouteSince: event.offRouteSince,
+      distanceFromRoute: event.distanceFromRoute,
+      status: event.status,
+      location: event.location,
+      alertSentAt: event.alertSentAt || null,
+      passengerResponse: event.passengerResponse || null
+    })),
+    staffActions: staffActions.filter(a => a.action !== 'sos_evidence_export'),
+    custody: staffActions.filter(a => a.action === 'sos_evidence_export')
+  };
+};
+
+/**
+ * Export a signed evidence bundle for an SOS alert
+ * Files: evidence.pdf and evidence.json, listed in the signed manifest.
+ *
+ * @param {string} alertId - SOS alert ID
+ * @param {Object} context - { staffId, recipient, reference, ipAddress, userAgent }
+ * @returns {Promise<Object>} { manifest, signature, files: [{ name, contentType, data }] }
+ */
+const exportEvidenceBundle = async (alertId, context = {}) => {
+  const secret = getSigningSecret();
+  const record = await collectEvidence(alertId);
+  const generatedAt = new Date();
+
+  const evidence = {
+    ...record,
+    timeline: buildTimeline(record),
+    export: {
+      generatedAt,
+      generatedBy: context.staffId ? String(context.staffId) : null,
+      recipient: context.recipient || null,
+      reference: context.reference || null
+    }
+  };
+
+  const json = Buffer.from(canonicalize(evidence), 'utf8');
+  const dataHash = sha256(json);
+  const pdf = await renderSosEvidencePdf(evidence, { dataHash });
+
+  const files = [
+    { name: 'evidence.pdf', contentType: 'application/pdf', data: pdf },
+    { name: 'evidence.json', contentType: 'application/json', data: json }
+  ];
+  const manifest = buildManifest({ alertId: record.alert.id, generatedAt, generatedBy: context.staffId, files });
+  const signature = signManifest(manifest, secret);
+
+  await AuditLog.logAction({
+    userId: context.staffId,
+    action: 'sos_evidence_export',
+    targetType: 'sos',
+    targetId: record.alert.id,
+    details: {
+      manifestSha256: sha256(canonicalize(manifest)),
+      signature,
+      files: manifest.files,
+      recipient: context.recipient || null,
+      reference: context.reference || null
+    },
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent
+  });
+
+  return { manifest, signature, files };
+};
+
+/**
+ * Verify an evidence bundle returned by exportEvidenceBundle
+ * @param {Object} bundle - { manifest, signature, files: [{ name, data (base64) }] }
+ * @returns {Object} Verification result
+ */
+const verifyEvidenceBundle = ({ manifest, signature, files = [] }) => {
+  return verifyBundle({
+    manifest,
+    signature,
+    files: files.map(file => ({ name: file.name, data: Buffer.from(file.data, 'base64') }))
+  });
+};
+
+module.exports = {
+  EVIDENCE_VERSION,
+  canonicalize,
+  mergeLocationPoints,
+  buildTimeline,
+  buildManifest,
+  signManifest,
+  verifyBundle,
+  collectEvidence,
+  exportEvidenceBundle,
+  verifyEvidenceBundle
+};
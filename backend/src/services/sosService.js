@@ -8,12 +8,28 @@ const SOSAlert = require('../models/SOSAlert');
 const User = require('../models/User');
 const Trip = require('../models/Trip');
 const Driver = require('../models/Driver');
+const Booking = require('../models/Booking');
+const { encryptField, decryptField } = require('./encryptionService');
 const { sendNotification, sendMultiChannel } = require('./notificationService');
 const { broadcastSOSAlert, broadcastSOSUpdate, broadcastTripLocation, getIO } = require('./socketService');
 
 // Store active SOS tracking intervals
 const activeSOSTracking = new Map();
 
+/**
+ * Silent SOS hardware-button pattern: PRESSES presses within WINDOW_MS
+ */
+const BUTTON_PATTERN = {
+  PRESSES: parseInt(process.env.SILENT_SOS_BUTTON_PRESSES, 10) || 5,
+  WINDOW_MS: (parseInt(process.env.SILENT_SOS_BUTTON_WINDOW_SECONDS, 10) || 4) * 1000
+};
+
+/**
+ * Safe word length limits (after normalization)
+ */
+const SAFE_WORD_MIN_LENGTH = 4;
+const SAFE_WORD_MAX_LENGTH = 50;
+
 /**
  * Generate a live location link for emergency contacts
  * @param {Object} coordinates - GPS coordinates {lat, lng}
@@ -212,9 +228,11 @@ const captureJourneyData = async (tripId) => {
  * @param {string} params.userId - User triggering SOS
  * @param {string} params.userType - 'passenger' or 'driver'
  * @param {Object} params.location - GPS location {coordinates: {lat, lng}, address}
+ * @param {boolean} [params.silent] - Hide the alert from the driver
+ * @param {string} [params.triggerSource] - app, button_pattern, chat_safe_word or sms_safe_word
  * @returns {Promise<Object>} Created SOS alert
  */
-const triggerSOS = async ({ tripId, userId, userType, location }) => {
+const triggerSOS = async ({ tripId, userId, userType, location, silent = false, triggerSource = 'app' }) => {
   // Validate required fields
   if (!tripId) {
     const error = new Error('Trip ID is required');
@@ -273,6 +291,8 @@ const triggerSOS = async ({ tripId, userId, userType, location }) => {
     },
     status: 'active',
     priority: 'critical',
+    silent,
+    triggerSource,
     notificationsSent: {
       adminNotified: false,
       emergencyContactsNotified: false,
@@ -310,6 +330,7 @@ const triggerSOS = async ({ tripId, userId, userType, location }) => {
     location: sosAlert.location,
     createdAt: sosAlert.createdAt,
     priority: sosAlert.priority,
+    silent: sosAlert.silent,
     hasJourneyDetails: !!journeyData
   };
 };
@@ -346,6 +367,8 @@ const notifyAdminDashboard = async (alertId) => {
     location: alert.location,
     journeyDetails: alert.journeyDetails,
     status: alert.status,
+    silent: alert.silent,
+    triggerSource: alert.triggerSource,
     createdAt: alert.createdAt
   });
   
@@ -394,6 +417,8 @@ const notifyAllDashboards = async (alertId) => {
     location: alert.location,
     journeyDetails: alert.journeyDetails,
     status: alert.status,
+    silent: alert.silent,
+    triggerSource: alert.triggerSource,
     createdAt: alert.createdAt
   });
 
@@ -557,6 +582,8 @@ const getAlertDetails = async (alertId) => {
     location: alert.location,
     status: alert.status,
     priority: alert.priority,
+    silent: alert.silent,
+    triggerSource: alert.triggerSource,
     acknowledgedBy: alert.acknowledgedBy,
     acknowledgedAt: alert.acknowledgedAt,
     resolvedBy: alert.resolvedBy,
@@ -928,6 +955,316 @@ const getActiveTrackingStats = () => {
   };
 };
 
+// ============================================
+// Silent SOS
+// ============================================
+
+/**
+ * Normalize text for safe word matching
+ * Lowercases and collapses punctuation and whitespace to single spaces.
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+const normalizeSafeWord = (text) => {
+  if (typeof text !== 'string') return '';
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+};
+
+/**
+ * Validate a safe word chosen by a user
+ * @param {string} safeWord - Safe word or phrase
+ * @returns {Object} { isValid, errors, normalized }
+ */
+const validateSafeWord = (safeWord) => {
+  const errors = [];
+  const normalized = normalizeSafeWord(safeWord);
+
+  if (normalized.length < SAFE_WORD_MIN_LENGTH) {
+    errors.push(`Safe word must be at least ${SAFE_WORD_MIN_LENGTH} characters`);
+  }
+  if (normalized.length > SAFE_WORD_MAX_LENGTH) {
+    errors.push(`Safe word cannot exceed ${SAFE_WORD_MAX_LENGTH} characters`);
+  }
+
+  return { isValid: errors.length === 0, errors, normalized };
+};
+
+/**
+ * Check whether a message contains the safe word as whole words
+ * @param {string} text - Message text
+ * @param {string} safeWord - Normalized safe word
+ * @returns {boolean} True if the safe word appears in the message
+ */
+const containsSafeWord = (text, safeWord) => {
+  const phrase = normalizeSafeWord(safeWord);
+  if (!phrase) return false;
+  return ` ${normalizeSafeWord(text)} `.includes(` ${phrase} `);
+};
+
+/**
+ * Check whether hardware-button presses reported by the app form the
+ * silent SOS pattern (enough presses inside the time window)
+ *
+ * @param {Array<number|string|Date>} pressTimestamps - Button press times
+ * @param {Object} [pattern] - { PRESSES, WINDOW_MS }
+ * @returns {boolean} True if the pattern matched
+ */
+const matchesButtonPattern = (pressTimestamps, pattern = BUTTON_PATTERN) => {
+  if (!Array.isArray(pressTimestamps)) return false;
+
+  const times = pressTimestamps
+    .map(t => new Date(t).getTime())
+    .filter(t => Number.isFinite(t))
+    .sort((a, b) => a - b);
+
+  for (let i = 0; i + pattern.PRESSES - 1 < times.length; i++) {
+    if (times[i + pattern.PRESSES - 1] - times[i] <= pattern.WINDOW_MS) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Find the in-progress trip a passenger is riding
+ * @param {string} userId - Passenger user ID
+ * @param {string} [tripId] - Trip the app reported, verified against bookings
+ * @returns {Promise<Object|null>} Trip document
+ */
+const findActiveTripForPassenger = async (userId, tripId) => {
+  const bookingQuery = { passengerId: userId, status: 'confirmed' };
+  if (tripId) {
+    bookingQuery.tripId = tripId;
+  }
+
+  const bookings = await Booking.find(bookingQuery).select('tripId');
+  if (bookings.length === 0) return null;
+
+  return Trip.findOne({
+    _id: { $in: bookings.map(b => b.tripId) },
+    status: 'in_progress'
+  });
+};
+
+/**
+ * Trigger a silent SOS
+ * Nothing is sent to the trip room or the driver; staff dashboards get the
+ * alert flagged as silent, emergency contacts are notified and continuous
+ * tracking starts.
+ *
+ * @param {Object} params - Silent SOS parameters
+ * @param {string} params.userId - Passenger triggering the SOS
+ * @param {string} params.source - button_pattern, chat_safe_word or sms_safe_word
+ * @param {string} [params.tripId] - Trip ID if known
+ * @param {Object} [params.location] - GPS location {coordinates: {lat, lng}, address}
+ * @returns {Promise<Object>} Silent SOS result
+ */
+const triggerSilentSOS = async ({ userId, source, tripId, location }) => {
+  const trip = await findActiveTripForPassenger(userId, tripId);
+  if (!trip) {
+    const error = new Error('No active trip found for silent SOS');
+    error.code = 'NO_ACTIVE_TRIP';
+    throw error;
+  }
+
+  // Repeated triggers while an alert is open reuse it
+  const existing = await SOSAlert.findOne({
+    tripId: trip._id,
+    triggeredBy: userId,
+    status: { $in: ['active', 'acknowledged'] }
+  });
+  if (existing) {
+    return {
+      alertId: existing._id,
+      tripId: existing.tripId,
+      status: existing.status,
+      duplicate: true
+    };
+  }
+
+  let alertLocation = location;
+  if (!alertLocation?.coordinates) {
+    const lastTracked = trip.tracking?.length > 0 ? trip.tracking[trip.tracking.length - 1] : null;
+    const coordinates = lastTracked?.coordinates || trip.source?.coordinates;
+    alertLocation = coordinates ? { coordinates: { lat: coordinates.lat, lng: coordinates.lng } } : null;
+  }
+
+  const alert = await triggerSOS({
+    tripId: trip._id,
+    userId,
+    userType: 'passenger',
+    location: alertLocation,
+    silent: true,
+    triggerSource: source
+  });
+
+  const dashboards = await notifyAllDashboards(alert.alertId);
+  const contacts = await notifyEmergencyContacts(alert.alertId);
+  startContinuousTracking(alert.alertId.toString());
+
+  return {
+    alertId: alert.alertId,
+    tripId: alert.tripId,
+    status: alert.status,
+    duplicate: false,
+    adminNotified: dashboards.adminNotified,
+    emergencyContactsNotified: contacts.contactsNotified
+  };
+};
+
+/**
+ * Set or replace a user's silent SOS safe word
+ * @param {string} userId - User ID
+ * @param {string} safeWord - Safe word or phrase
+ * @returns {Promise<Object>} Updated settings (without the safe word)
+ */
+const setSafeWord = async (userId, safeWord) => {
+  const validation = validateSafeWord(safeWord);
+  if (!validation.isValid) {
+    const error = new Error(validation.errors.join(', '));
+    error.code = 'INVALID_SAFE_WORD';
+    throw error;
+  }
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    {
+      $set: {
+        'silentSos.safeWord': encryptField(validation.normalized),
+        'silentSos.updatedAt': new Date()
+      }
+    },
+    { new: true }
+  );
+  if (!user) {
+    const error = new Error('User not found');
+    error.code = 'USER_NOT_FOUND';
+    throw error;
+  }
+
+  return getSilentSOSSettings(userId);
+};
+
+/**
+ * Remove a user's safe word
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Updated settings
+ */
+const clearSafeWord = async (userId) => {
+  await User.updateOne(
+    { _id: userId },
+    { $unset: { 'silentSos.safeWord': '' }, $set: { 'silentSos.updatedAt': new Date() } }
+  );
+  return getSilentSOSSettings(userId);
+};
+
+/**
+ * Get a user's silent SOS settings
+ * The safe word itself is never returned.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Settings
+ */
+const getSilentSOSSettings = async (userId) => {
+  const user = await User.findById(userId).select('+silentSos.safeWord silentSos');
+  if (!user) {
+    const error = new Error('User not found');
+    error.code = 'USER_NOT_FOUND';
+    throw error;
+  }
+
+  return {
+    safeWordConfigured: !!user.silentSos?.safeWord,
+    buttonPatternEnabled: user.silentSos?.buttonPatternEnabled !== false,
+    buttonPattern: {
+      presses: BUTTON_PATTERN.PRESSES,
+      windowSeconds: BUTTON_PATTERN.WINDOW_MS / 1000
+    },
+    updatedAt: user.silentSos?.updatedAt || null
+  };
+};
+
+/**
+ * Load and decrypt a user's safe word
+ * @param {Object} query - User query
+ * @returns {Promise<Object|null>} { user, safeWord }
+ */
+const loadSafeWord = async (query) => {
+  const user = await User.findOne(query).select('+silentSos.safeWord');
+  if (!user?.silentSos?.safeWord) return null;
+  return { user, safeWord: decryptField(user.silentSos.safeWord) };
+};
+
+/**
+ * Trigger a silent SOS from the app's hardware-button pattern
+ * @param {string} userId - Passenger user ID
+ * @param {Object} data - { pressTimestamps, tripId, location }
+ * @returns {Promise<Object>} Silent SOS result
+ */
+const handleButtonPattern = async (userId, { pressTimestamps, tripId, location }) => {
+  const settings = await getSilentSOSSettings(userId);
+  if (!settings.buttonPatternEnabled) {
+    const error = new Error('Button pattern trigger is disabled');
+    error.code = 'BUTTON_PATTERN_DISABLED';
+    throw error;
+  }
+
+  if (!matchesButtonPattern(pressTimestamps)) {
+    const error = new Error('Button presses do not match the silent SOS pattern');
+    error.code = 'PATTERN_NOT_MATCHED';
+    throw error;
+  }
+
+  return triggerSilentSOS({ userId, source: 'button_pattern', tripId, location });
+};
+
+/**
+ * Check a passenger's chat message for their safe word
+ * @param {string} userId - Sender user ID
+ * @param {string} tripId - Trip ID of the chat
+ * @param {string} text - Message text before redaction
+ * @returns {Promise<Object>} { triggered, alertId }
+ */
+const checkChatForSafeWord = async (userId, tripId, text) => {
+  const stored = await loadSafeWord({ _id: userId });
+  if (!stored || !containsSafeWord(text, stored.safeWord)) {
+    return { triggered: false };
+  }
+
+  const result = await triggerSilentSOS({ userId, source: 'chat_safe_word', tripId });
+  return { triggered: true, alertId: result.alertId };
+};
+
+/**
+ * Handle an inbound SMS and trigger a silent SOS when it carries the
+ * sender's safe word
+ *
+ * @param {Object} sms - { from, body }
+ * @returns {Promise<Object>} { triggered, alertId, reason }
+ */
+const handleInboundSms = async ({ from, body }) => {
+  const digits = String(from || '').replace(/\D/g, '');
+  if (digits.length < 10) {
+    return { triggered: false, reason: 'unknown_sender' };
+  }
+
+  // Match stored numbers with or without the country code
+  const local = digits.slice(-10);
+  const stored = await loadSafeWord({
+    phone: { $in: [`+${digits}`, digits, `+91${local}`, local] }
+  });
+  if (!stored) {
+    return { triggered: false, reason: 'unknown_sender' };
+  }
+  if (!containsSafeWord(body, stored.safeWord)) {
+    return { triggered: false, reason: 'no_safe_word' };
+  }
+
+  const result = await triggerSilentSOS({ userId: stored.user._id, source: 'sms_safe_word' });
+  return { triggered: true, alertId: result.alertId };
+};
+
 module.exports = {
   triggerSOS,
   notifyAdminDashboard,
@@ -946,5 +1283,18 @@ module.exports = {
   startContinuousTracking,
   stopContinuousTracking,
   updateSOSLocation,
-  getActiveTrackingStats
+  getActiveTrackingStats,
+  // Silent SOS
+  BUTTON_PATTERN,
+  normalizeSafeWord,
+  validateSafeWord,
+  containsSafeWord,
+  matchesButtonPattern,
+  triggerSilentSOS,
+  setSafeWord,
+  clearSafeWord,
+  getSilentSOSSettings,
+  handleButtonPattern,
+  checkChatForSafeWord,
+  handleInboundSms
 };
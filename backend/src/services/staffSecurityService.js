@@ -0,0 +1,450 @@
+/**
+ * Staff Security Service
+ * Two-factor authentication, IP allow-lists and step-up re-authentication
+ * for staff accounts
+ *
+ * - Operations, finance, admin and super_admin accounts must enrol a TOTP
+ *   authenticator; their password login returns a short-lived challenge
+ *   that is exchanged for a session token with a TOTP or backup code
+ * - Each staff role can be limited to IP addresses or CIDR ranges
+ *   (STAFF_IP_ALLOWLIST_<ROLE>); unset means any address
+ * - Sensitive actions (refunds, staff credential resets) need a step-up
+ *   token from a fresh TOTP code, sent in the X-Step-Up-Token header
+ *
+ * Challenge and step-up tokens are signed with their own secret, so they
+ * can never be used as API access tokens.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { encryptField, decryptField } = require('./encryptionService');
+const { generateSecret, verifyTotp, buildOtpAuthUrl } = require('./totpService');
+
+/**
+ * Staff roles that must use two-factor authentication
+ */
+const TWO_FACTOR_ROLES = ['operations', 'finance', 'admin', 'super_admin'];
+
+const STAFF_SECURITY_CONFIG = {
+  issuer: process.env.STAFF_2FA_ISSUER || 'HushRyd Admin',
+  challengeTtlMinutes: 5,
+  stepUpTtlMinutes: parseInt(process.env.STAFF_STEP_UP_TTL_MINUTES, 10) || 5,
+  backupCodeCount: 10
+};
+
+const TOKEN_TYPES = {
+  CHALLENGE: 'staff_2fa_challenge',
+  STEP_UP: 'staff_step_up'
+};
+
+/**
+ * Build an error with code and HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error object
+ */
+const createError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getTokenSecret = () => process.env.STAFF_2FA_SECRET || `${process.env.JWT_SECRET}_staff_2fa`;
+
+/**
+ * Whether an account must pass two-factor authentication
+ * @param {Object} user - User
+ * @returns {boolean} True for staff in a two-factor role
+ */
+const requiresTwoFactor = (user) => Boolean(user?.isStaff && TWO_FACTOR_ROLES.includes(user.role));
+
+// ============================================
+// IP allow-lists
+// ============================================
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix Express reports for IPv4 clients
+ * @param {string} ip - Address
+ * @returns {string} Address
+ */
+const normalizeIp = (ip) => {
+  const value = String(ip || '').trim();
+  return value.startsWith('::ffff:') && net.isIPv4(value.slice(7)) ? value.slice(7) : value;
+};
+
+/**
+ * Parse a comma-separated allow-list of addresses and CIDR ranges
+ * Invalid entries are dropped with a warning.
+ *
+ * @param {string} value - e.g. '203.0.113.0/24, 198.51.100.7'
+ * @returns {Array} Valid entries
+ */
+const parseAllowList = (value) => {
+  if (!value) return [];
+
+  return String(value)
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .filter(entry => {
+      const [address, prefix] = entry.split('/');
+      const family = net.isIP(address);
+      const maxPrefix = family === 4 ? 32 : 128;
+      const valid = family !== 0 && (prefix === undefined || (/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix));
+      if (!valid) {
+        console.warn(`[StaffSecurity] Ignoring invalid IP allow-list entry: ${entry}`);
+      }
+      return valid;
+    });
+};
+
+/**
+ * Allow-list configured for a staff role
+ * @param {string} role - Staff role
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Array} Entries (empty when unrestricted)
+ */
+const getRoleAllowList = (role, env = process.env) =>
+  parseAllowList(env[`STAFF_IP_ALLOWLIST_${String(role).toUpperCase()}`]);
+
+/**
+ * Check an address against an allow-list
+ * @param {string} ip - Client address
+ * @param {Array} entries - Allow-list entries
+ * @returns {boolean} True if allowed (always, for an empty list)
+ */
+const isIpAllowed = (ip, entries) => {
+  if (!entries || entries.length === 0) return true;
+
+  const address = normalizeIp(ip);
+  const family = net.isIP(address);
+  if (family === 0) return false;
+
+  const list = new net.BlockList();
+  for (const entry of entries) {
+    const [base, prefix] = entry.split('/');
+    const type = net.isIP(base) === 4 ? 'ipv4' : 'ipv6';
+    if (prefix === undefined) {
+      list.addAddress(base, type);
+    } else {
+      list.addSubnet(base, Number(prefix), type);
+    }
+  }
+
+  return list.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Check a staff member's address against their role's allow-list
+ * @param {Object} user - Staff user
+ * @param {string} ip - Client address
+ * @returns {boolean} True if allowed
+ */
+const isStaffIpAllowed = (user, ip) => {
+  if (!user?.isStaff) return true;
+  return isIpAllowed(ip, getRoleAllowList(user.role));
+};
+
+// ============================================
+// Challenge and step-up tokens
+// ============================================
+
+/**
+ * Issue the challenge returned by a successful password login
+ * @param {Object} staff - Staff user
+ * @returns {Object} { challengeToken, enrollmentRequired, expiresIn }
+ */
+const createLoginChallenge = (staff) => {
+  const enrollmentRequired = !staff.twoFactor?.enabled;
+  const expiresIn = STAFF_SECURITY_CONFIG.challengeTtlMinutes * 60;
+  const challengeToken = jwt.sign(
+    { userId: staff._id.toString(), type: TOKEN_TYPES.CHALLENGE, enroll: enrollmentRequired },
+    getTokenSecret(),
+    { expiresIn }
+  );
+
+  return { challengeToken, enrollmentRequired, expiresIn };
+};
+
+/**
+ * Verify a login challenge
+ * @param {string} challengeToken - Challenge token
+ * @returns {Object} Token payload
+ */
+const verifyLoginChallenge = (challengeToken) => {
+  try {
+    const payload = jwt.verify(challengeToken, getTokenSecret());
+    if (payload.type !== TOKEN_TYPES.CHALLENGE) throw new Error('Wrong token type');
+    return payload;
+  } catch (error) {
+    throw createError('INVALID_CHALLENGE', 'Login challenge is invalid or has expired. Please sign in again.', 401);
+  }
+};
+
+/**
+ * Issue a step-up token after a fresh two-factor verification
+ * @param {string} userId - Staff user ID
+ * @returns {Object} { stepUpToken, expiresIn }
+ */
+const createStepUpToken = (userId) => {
+  const expiresIn = STAFF_SECURITY_CONFIG.stepUpTtlMinutes * 60;
+  const stepUpToken = jwt.sign(
+    { userId: userId.toString(), type: TOKEN_TYPES.STEP_UP },
+    getTokenSecret(),
+    { expiresIn }
+  );
+  return { stepUpToken, expiresIn };
+};
+
+/**
+ * Check a step-up token belongs to a user and is still fresh
+ * @param {string} stepUpToken - Step-up token
+ * @param {string} userId - Authenticated user ID
+ * @returns {boolean} True if valid
+ */
+const verifyStepUpToken = (stepUpToken, userId) => {
+  if (!stepUpToken || !userId) return false;
+  try {
+    const payload = jwt.verify(stepUpToken, getTokenSecret());
+    return payload.type === TOKEN_TYPES.STEP_UP && payload.userId === userId.toString();
+  } catch (error) {
+    return false;
+  }
+};
+
+// ============================================
+// Backup codes
+// ============================================
+
+const normalizeBackupCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const hashBackupCode = (code) => crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+
+/**
+ * Generate one-time backup codes (XXXXX-XXXXX)
+ * @param {number} count - Number of codes
+ * @returns {Array} Plain codes
+ */
+const generateBackupCodes = (count = STAFF_SECURITY_CONFIG.backupCodeCount) => {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  return Array.from({ length: count }, () => {
+    const chars = Array.from(crypto.randomBytes(10), byte => alphabet[byte % alphabet.length]).join('');
+    return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+  });
+};
+
+// ============================================
+// Enrolment and verification
+// ============================================
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes';
+
+/**
+ * Load a staff account with its two-factor secrets
+ * @param {string} userId - Staff user ID
+ * @returns {Promise<Object>} User document
+ */
+const loadStaff = async (userId) => {
+  const staff = await User.findOne({ _id: userId, isStaff: true }).select(TWO_FACTOR_FIELDS);
+  if (!staff) {
+    throw createError('STAFF_NOT_FOUND', 'Staff account not found', 404);
+  }
+  if (!staff.isActive) {
+    throw createError('ACCOUNT_DEACTIVATED', 'Account is deactivated', 403);
+  }
+  return staff;
+};
+
+/**
+ * Start authenticator enrolment
+ * Generates a new secret (kept pending until a code is confirmed) and the
+ * QR code to scan.
+ *
+ * @param {string} userId - Staff user ID
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode (PNG data URL) }
+ */
+const startEnrollment = async (userId) => {
+  const staff = await loadStaff(userId);
+  if (staff.twoFactor?.enabled) {
+    throw createError('TWO_FACTOR_ALREADY_ENABLED', 'Two-factor authentication is already set up for this account', 409);
+  }
+
+  const secret = generateSecret();
+  staff.twoFactor.pendingSecret = encryptField(secret);
+  await staff.save();
+
+  const otpauthUrl = buildOtpAuthUrl(secret, staff.email, STAFF_SECURITY_CONFIG.issuer);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+/**
+ * Confirm enrolment with a code from the authenticator
+ * @param {string} userId - Staff user ID
+ * @param {string} code - TOTP code
+ * @returns {Promise<Object>} { backupCodes } shown to the user once
+ */
+const confirmEnrollment = async (userId, code) => {
+  const staff = await loadStaff(userId);
+  if (staff.twoFactor?.enabled) {
+    throw createError('TWO_FACTOR_ALREADY_ENABLED', 'Two-factor authentication is already set up for this account', 409);
+  }
+  if (!staff.twoFactor?.pendingSecret) {
+    throw createError('ENROLLMENT_NOT_STARTED', 'Start two-factor enrolment first');
+  }
+
+  const step = verifyTotp(decryptField(staff.twoFactor.pendingSecret), code);
+  if (step === null) {
+    throw createError('INVALID_2FA_CODE', 'Invalid authentication code', 401);
+  }
+
+  const backupCodes = generateBackupCodes();
+  staff.twoFactor.secret = staff.twoFactor.pendingSecret;
+  staff.twoFactor.pendingSecret = undefined;
+  staff.twoFactor.enabled = true;
+  staff.twoFactor.enrolledAt = new Date();
+  staff.twoFactor.lastUsedStep = step;
+  staff.twoFactor.backupCodes = backupCodes.map(c => ({ hash: hashBackupCode(c) }));
+  await staff.save();
+
+  return { backupCodes };
+};
+
+/**
+ * Verify a TOTP or backup code for an enrolled staff member
+ * Each TOTP step and each backup code is accepted once.
+ *
+ * @param {string} userId - Staff user ID
+ * @param {Object} credentials - { code } or { backupCode }
+ * @returns {Promise<Object>} { staff, method, backupCodesRemaining }
+ */
+const verifySecondFactor = async (userId, { code, backupCode }) => {
+  const staff = await loadStaff(userId);
+  if (!staff.twoFactor?.enabled || !staff.twoFactor.secret) {
+    throw createError('TWO_FACTOR_NOT_ENABLED', 'Two-factor authentication is not set up for this account');
+  }
+
+  const unusedCodes = () => (staff.twoFactor.backupCodes || []).filter(c => !c.usedAt).length;
+
+  if (code) {
+    const step = verifyTotp(decryptField(staff.twoFactor.secret), code, {
+      lastUsedStep: staff.twoFactor.lastUsedStep
+    });
+    if (step !== null) {
+      // Conditional update so the same code cannot be accepted twice concurrently
+      const updated = await User.updateOne(
+        {
+          _id: staff._id,
+          $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': { $exists: false } }]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      if (updated.modifiedCount === 1) {
+        return { staff, method: 'totp', backupCodesRemaining: unusedCodes() };
+      }
+    }
+  } else if (backupCode) {
+    const hash = hashBackupCode(backupCode);
+    const updated = await User.updateOne(
+      { _id: staff._id, 'twoFactor.backupCodes': { $elemMatch: { hash, usedAt: null } } },
+      { $set: { 'twoFactor.backupCodes.$.usedAt': new Date() } }
+    );
+    if (updated.modifiedCount === 1) {
+      return { staff, method: 'backup_code', backupCodesRemaining: unusedCodes() - 1 };
+    }
+  }
+
+  throw createError('INVALID_2FA_CODE', 'Invalid authentication code', 401);
+};
+
+/**
+ * Replace a staff member's backup codes
+ * @param {string} userId - Staff user ID
+ * @param {string} code - Current TOTP code
+ * @returns {Promise<Object>} { backupCodes }
+ */
+const regenerateBackupCodes = async (userId, code) => {
+  const { staff } = await verifySecondFactor(userId, { code });
+
+  const backupCodes = generateBackupCodes();
+  await User.updateOne(
+    { _id: staff._id },
+    { $set: { 'twoFactor.backupCodes': backupCodes.map(c => ({ hash: hashBackupCode(c) })) } }
+  );
+
+  return { backupCodes };
+};
+
+/**
+ * Reset a staff member's two-factor authentication (super admin)
+ * The staff member enrols a new authenticator at their next login.
+ *
+ * @param {string} staffId - Staff account ID
+ * @param {string} performedById - Super admin user ID
+ * @returns {Promise<Object>} Result
+ */
+const resetTwoFactor = async (staffId, performedById) => {
+  const staff = await User.findOne({ _id: staffId, isStaff: true });
+  if (!staff) {
+    throw createError('STAFF_NOT_FOUND', 'Staff account not found', 404);
+  }
+
+  await User.updateOne(
+    { _id: staff._id },
+    {
+      $set: {
+        'twoFactor.enabled': false,
+        'twoFactor.resetAt': new Date(),
+        'twoFactor.resetBy': performedById
+      },
+      $unset: {
+        'twoFactor.secret': '',
+        'twoFactor.pendingSecret': '',
+        'twoFactor.enrolledAt': '',
+        'twoFactor.lastUsedStep': '',
+        'twoFactor.backupCodes': ''
+      }
+    }
+  );
+
+  await AuditLog.logAction({
+    userId: performedById,
+    action: 'settings_update',
+    targetType: 'user',
+    targetId: staffId,
+    details: {
+      type: 'two_factor_reset'
+    }
+  });
+
+  return { success: true };
+};
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  STAFF_SECURITY_CONFIG,
+  requiresTwoFactor,
+  normalizeIp,
+  parseAllowList,
+  getRoleAllowList,
+  isIpAllowed,
+  isStaffIpAllowed,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  createStepUpToken,
+  verifyStepUpToken,
+  generateBackupCodes,
+  hashBackupCode,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  resetTwoFactor
+};
@@ -11,6 +11,7 @@ const Driver = require('../models/Driver');
 const SupportTicket = require('../models/SupportTicket');
 const AuditLog = require('../models/AuditLog');
 const { ROLE_PERMISSIONS, VALID_ROLES } = require('./permissionService');
+const { buildUserScopeFilter, buildTicketScopeFilter } = require('./accessScopeService');
 
 const BCRYPT_SALT_ROUNDS = 10;
 
@@ -570,6 +571,34 @@ const getFilteredUserLookup = async (identifier) => {
   };
 };
 
+/**
+ * User filter for the admin user picker (GET /api/admin/users/search)
+ * Drivers are matched on their linked user; passengers exclude staff accounts
+ * 
+ * @param {Object} filters - Search filters
+ * @param {string} [filters.type] - 'driver' or passenger (default)
+ * @param {string} [filters.query] - Search by name, phone, or email (min 2 chars)
+ * @param {Object} [scope] - Staff access scope; limits results to its regions
+ * @returns {Object} Mongo filter on User
+ */
+const buildAdminUserSearchQuery = ({ type, query } = {}, scope = null) => {
+  const userQuery = {
+    ...(type === 'driver' ? {} : { role: 'passenger', isStaff: { $ne: true } }),
+    ...(scope && buildUserScopeFilter(scope))
+  };
+
+  if (query && query.trim().length >= 2) {
+    const searchRegex = new RegExp(query, 'i');
+    userQuery.$or = [
+      { name: searchRegex },
+      { phone: searchRegex },
+      { email: searchRegex }
+    ];
+  }
+
+  return userQuery;
+};
+
 /**
  * Search users for customer support with filtering
  * Excludes sensitive financial information from results
@@ -579,11 +608,12 @@ const getFilteredUserLookup = async (identifier) => {
  * @param {string} [filters.role] - Filter by role (passenger, driver)
  * @param {number} [filters.page=1] - Page number
  * @param {number} [filters.limit=20] - Items per page
+ * @param {Object} [scope] - Staff access scope; limits results to its regions
  * @returns {Promise<Object>} Paginated filtered user list
  * 
  * Requirements: 4.2
  */
-const searchUsersFiltered = async (filters = {}) => {
+const searchUsersFiltered = async (filters = {}, scope = null) => {
   const {
     search,
     role,
@@ -591,7 +621,10 @@ const searchUsersFiltered = async (filters = {}) => {
     limit = 20
   } = filters;
 
-  const query = { isStaff: { $ne: true } }; // Exclude staff accounts
+  const query = {
+    isStaff: { $ne: true }, // Exclude staff accounts
+    ...(scope && buildUserScopeFilter(scope))
+  };
 
   if (role && ['passenger', 'driver'].includes(role)) {
     query.role = role;
@@ -647,11 +680,12 @@ const searchUsersFiltered = async (filters = {}) => {
  * @param {string} [filters.assignedTo] - Filter by assigned staff
  * @param {number} [filters.page=1] - Page number
  * @param {number} [filters.limit=20] - Items per page
+ * @param {Object} [scope] - Staff access scope; limits results to visible tickets
  * @returns {Promise<Object>} Paginated support tickets
  * 
  * Requirements: 4.1
  */
-const getSupportTickets = async (filters = {}) => {
+const getSupportTickets = async (filters = {}, scope = null) => {
   const {
     status,
     priority,
@@ -688,6 +722,11 @@ const getSupportTickets = async (filters = {}) => {
     ];
   }
 
+  const scopeFilter = scope ? buildTicketScopeFilter(scope) : {};
+  if (scopeFilter.$or) {
+    query.$and = [scopeFilter];
+  }
+
   const skip = (page - 1) * limit;
 
   const [tickets, total] = await Promise.all([
@@ -703,6 +742,7 @@ const getSupportTickets = async (filters = {}) => {
 
   // Get ticket stats
   const stats = await SupportTicket.aggregate([
+    ...(scopeFilter.$or ? [{ $match: scopeFilter }] : []),
     {
       $group: {
         _id: '$status',
@@ -920,6 +960,7 @@ module.exports = {
   // Filtered user lookup for customer support (Requirements: 4.2)
   getFilteredUserLookup,
   searchUsersFiltered,
+  buildAdminUserSearchQuery,
   // Support ticket functions (Requirements: 4.1, 4.3)
   getSupportTickets,
   getSupportTicketById,
@@ -39,9 +39,10 @@ const hashToken = (token) => {
  * Generate JWT token for authenticated user (legacy support)
  * @param {Object} user - User object from database
  * @param {boolean} isNewUser - Whether this is a new user (for routing)
+ * @param {Object} claims - Extra claims (e.g. { mfa: true } after staff two-factor)
  * @returns {{token: string, expiresIn: string}} Token and expiry info
  */
-const generateToken = (user, isNewUser = false) => {
+const generateToken = (user, isNewUser = false, claims = {}) => {
   if (!user || !user._id) {
     throw new Error('Valid user object with _id is required');
   }
@@ -51,7 +52,8 @@ const generateToken = (user, isNewUser = false) => {
     phone: user.phone || null,
     email: user.email || null,
     role: user.role || 'passenger',
-    isNewUser
+    isNewUser,
+    ...claims
   };
   
   // Include permissions in JWT payload for staff accounts (Requirements 6.4)
@@ -73,12 +75,16 @@ const generateToken = (user, isNewUser = false) => {
  * Generate dual token pair (access + refresh) for authenticated user
  * Requirements: 1.1 - Access token 15 min, refresh token 7 days
  * 
+ * Refresh tokens carry their session's token family and a unique jti, so
+ * every rotation yields a distinct token in the same family.
+ * 
  * @param {Object} user - User object from database
  * @param {string} sessionId - Session identifier for token binding
  * @param {boolean} isNewUser - Whether this is a new user (for routing)
+ * @param {string} [familyId] - Refresh token family (defaults to the session ID)
  * @returns {{accessToken: string, refreshToken: string, accessExpiresIn: number, refreshExpiresIn: number}}
  */
-const generateTokenPair = (user, sessionId, isNewUser = false) => {
+const generateTokenPair = (user, sessionId, isNewUser = false, familyId = sessionId) => {
   if (!user || !user._id) {
     throw new Error('Valid user object with _id is required');
   }
@@ -108,7 +114,12 @@ const generateTokenPair = (user, sessionId, isNewUser = false) => {
   });
   
   // Generate refresh token (long-lived)
-  const refreshPayload = { ...basePayload, type: 'refresh' };
+  const refreshPayload = {
+    ...basePayload,
+    type: 'refresh',
+    familyId,
+    jti: crypto.randomUUID()
+  };
   const refreshToken = jwt.sign(refreshPayload, REFRESH_TOKEN_SECRET, {
     expiresIn: REFRESH_TOKEN_EXPIRY
   });
@@ -0,0 +1,170 @@
+/**
+ * TOTP Service
+ * Time-based one-time passwords (RFC 6238) for staff two-factor
+ * authentication, compatible with Google Authenticator, Authy and similar
+ * apps
+ *
+ * Design Decision: HMAC-SHA1, 6 digits, 30-second steps
+ * Rationale: The defaults every authenticator app supports; the otpauth URL
+ * leaves them implicit so older apps read it correctly
+ */
+
+const crypto = require('crypto');
+
+const TOTP_CONFIG = {
+  stepSeconds: 30,
+  digits: 6,
+  // Steps either side of now that are accepted (clock drift)
+  window: 1,
+  secretBytes: 20
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case, spaces and padding ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(TOTP_CONFIG.secretBytes));
+
+/**
+ * Time step containing a moment
+ * @param {number} timeMs - Unix time in milliseconds
+ * @returns {number} Step counter
+ */
+const getTimeStep = (timeMs = Date.now()) => Math.floor(timeMs / 1000 / TOTP_CONFIG.stepSeconds);
+
+/**
+ * HOTP code for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Counter value
+ * @returns {string} Zero-padded code
+ */
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % (10 ** TOTP_CONFIG.digits)).padStart(TOTP_CONFIG.digits, '0');
+};
+
+/**
+ * TOTP code for a moment
+ * @param {string} secret - Base32 secret
+ * @param {number} timeMs - Unix time in milliseconds
+ * @returns {string} Code
+ */
+const generateTotp = (secret, timeMs = Date.now()) => generateHotp(secret, getTimeStep(timeMs));
+
+/**
+ * Verify a TOTP code
+ * Accepts codes from adjacent steps for clock drift. A step at or before
+ * lastUsedStep is rejected so a code cannot be replayed.
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { timeMs, lastUsedStep, window }
+ * @returns {number|null} Matched step, or null
+ */
+const verifyTotp = (secret, code, { timeMs = Date.now(), lastUsedStep = null, window = TOTP_CONFIG.window } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_CONFIG.digits}}$`).test(normalized)) {
+    return null;
+  }
+
+  const current = getTimeStep(timeMs);
+  for (let offset = -window; offset <= window; offset++) {
+    const step = current + offset;
+    if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) continue;
+
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URL that authenticator apps scan
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label (staff email)
+ * @param {string} issuer - Issuer name
+ * @returns {string} otpauth URL
+ */
+const buildOtpAuthUrl = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({ secret, issuer });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  TOTP_CONFIG,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUrl
+};
@@ -13,7 +13,13 @@ const Driver = require('../models/Driver');
 const bcrypt = require('bcryptjs');
 const { invalidateTripCache } = require('./cacheService');
 const { calculatePaymentBreakdown, PaymentStateMachine } = require('./paymentService');
+const { quoteTripFees, isScheduledPricing } = require('./pricingService');
 const { generateOTPCode } = require('./otpService');
+const { enforceFareCap } = require('./fareSuggestionService');
+const { buildStopovers, validateStopFares } = require('./tripStopService');
+const { assertCanSchedule, assertNoTripInProgress } = require('./driverScheduleService');
+const faceVerificationService = require('./faceVerificationService');
+const { assignUserCity } = require('./accessScopeService');
 
 const BCRYPT_SALT_ROUNDS = 10;
 
@@ -241,6 +247,26 @@ const createTrip = async (driverId, tripData) => {
     throw error;
   }
   
+  // Reject fares above the configured maximum per km (no-op when no cap is set)
+  const resolvedRoute = await enforceFareCap(tripData);
+
+  const route = tripData.route || {
+    distance: tripData.distance || resolvedRoute?.distanceKm || 0,
+    duration: tripData.duration || resolvedRoute?.durationMinutes || 0,
+    polyline: tripData.polyline || ''
+  };
+
+  // Place intermediate stops along the route and check per-stop-pair fares
+  const stopovers = buildStopovers({
+    source: tripData.source,
+    destination: tripData.destination,
+    scheduledAt: tripData.scheduledAt,
+    route
+  }, tripData.stopovers);
+  const stopFares = stopovers.length > 0
+    ? validateStopFares(tripData.stopFares, stopovers.length + 2, tripData.farePerSeat)
+    : [];
+
   // Get driver for vehicle validation (driver existence already verified by checkDriverDocumentEligibility)
   const driver = await Driver.findById(driverIdStr);
 
@@ -277,6 +303,13 @@ const createTrip = async (driverId, tripData) => {
   
   // vehicleId can be null if driver has no vehicles - that's OK
 
+  // Reject overlapping trips for this driver or vehicle and trips outside the driver's availability
+  await assertCanSchedule(driverIdStr, {
+    scheduledAt: tripData.scheduledAt,
+    route,
+    vehicleId
+  });
+
   // Generate trip ID
   const tripId = await Trip.generateTripId();
 
@@ -295,8 +328,16 @@ const createTrip = async (driverId, tripData) => {
     total: totalFare
   };
 
-  // Calculate payment breakdown
-  const paymentBreakdown = calculatePaymentBreakdown(totalFare);
+  // Calculate payment breakdown with the active fee schedule; the driver fee
+  // only changes once finance activates a schedule
+  const fees = await quoteTripFees(
+    { source: tripData.source, destination: tripData.destination, route, scheduledAt: tripData.scheduledAt },
+    { seats: tripData.availableSeats, baseFare: totalFare }
+  );
+  const paymentBreakdown = calculatePaymentBreakdown(totalFare, 1, {
+    passengerPlatformFee: fees.passengerFee,
+    ...(isScheduledPricing(fees) && { driverPlatformFee: fees.driverCommission })
+  });
 
   // Build source and destination with optional coordinates
   const source = {
@@ -337,7 +378,8 @@ const createTrip = async (driverId, tripData) => {
     passengers: [],
     source,
     destination,
-    stopovers: tripData.stopovers || [],
+    stopovers,
+    stopFares,
     scheduledAt: new Date(tripData.scheduledAt),
     status: 'scheduled',
     availableSeats: tripData.availableSeats,
@@ -348,21 +390,23 @@ const createTrip = async (driverId, tripData) => {
       transactions: []
     },
     otp: hashedOTP,
-    route: tripData.route || {
-      distance: tripData.distance || 0,
-      duration: tripData.duration || 0,
-      polyline: tripData.polyline || ''
-    },
+    route,
     instantBooking: tripData.instantBooking || false,
     ladiesOnly: tripData.ladiesOnly || false,
     description: tripData.description || '',
     boardingPoints: boardingPoints,
-    droppingPoints: droppingPoints
+    droppingPoints: droppingPoints,
+    // Set only when materialized from a recurring trip template
+    template: tripData.templateId || undefined,
+    occurrenceDate: tripData.occurrenceDate || undefined
   });
 
   // Save the trip
   await trip.save();
 
+  // Regional staff scoping needs a home city; take it from the trip if unset
+  await assignUserCity(driver.userId, [source.address, destination.address]);
+
   // Invalidate trip search cache on new trip creation - Requirements: 6.4
   await invalidateTripCache();
 
@@ -373,6 +417,8 @@ const createTrip = async (driverId, tripData) => {
       tripId: trip.tripId,
       source: trip.source,
       destination: trip.destination,
+      stopovers: trip.stopovers,
+      stopFares: trip.stopFares,
       scheduledAt: trip.scheduledAt,
       availableSeats: tripData.availableSeats,
       farePerSeat: tripData.farePerSeat,
@@ -645,6 +691,12 @@ const startTrip = async (tripId, driverId, otp) => {
     throw error;
   }
 
+  // A driver can only run one trip at a time
+  await assertNoTripInProgress(driverId, trip._id);
+
+  // Periodic or random live selfie check against the verified photo
+  await faceVerificationService.assertSelfieCheckPassed(driverId, trip._id);
+
   // Use payment state machine to handle trip start
   const updatedTrip = await PaymentStateMachine.onTripStart(trip._id);
 
@@ -0,0 +1,353 @@
+/**
+ * Trip Stop Service
+ * Intermediate stops (stopovers) on carpool trips
+ *
+ * Design Decision: Stops are addressed by their index in the stop sequence
+ * [source, ...stopovers, destination], so index 0 is the source and
+ * stopovers.length + 1 the destination
+ * Rationale: Pickup-before-drop is a simple index comparison and stop pairs
+ * map directly onto route segments (routeKm) for seat tracking and pricing
+ *
+ * Each stopover stores its distance along the route (routeKm, measured on the
+ * route polyline or, without one, along the straight legs between stops) and
+ * a scheduled time, estimated from the route duration when the driver does
+ * not give one.
+ */
+
+const { calculateSegmentFarePerSeat } = require('./fareCalculation');
+const {
+  decodePolyline,
+  getCumulativeDistances,
+  locateOnRoute,
+  haversineDistance
+} = require('../utils/polylineUtils');
+
+/**
+ * Maximum intermediate stops on a trip
+ */
+const MAX_STOPOVERS = 8;
+
+/**
+ * Maximum distance (km) of a stopover from the route polyline
+ */
+const MAX_STOP_DETOUR_KM = 5;
+
+/**
+ * Average speed (km/h) used to estimate stop times when the route has no duration
+ */
+const DEFAULT_AVERAGE_SPEED_KMH = 40;
+
+/**
+ * Build an error with code and HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error object
+ */
+const createError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Check a coordinate has numeric lat/lng
+ * @param {Object} coords - Coordinates
+ * @returns {boolean} True if usable
+ */
+const hasCoordinates = (coords) =>
+  typeof coords?.lat === 'number' && typeof coords?.lng === 'number';
+
+/**
+ * Measure where each stopover sits along the route
+ *
+ * @param {Object} trip - { source, destination, route: { polyline } }
+ * @param {Array} stopovers - Stopovers with coordinates, in travel order
+ * @returns {Object} { stopKms: number[], totalKm, detours: number[] }
+ */
+const measureStops = (trip, stopovers) => {
+  const points = decodePolyline(trip.route?.polyline);
+  const cumulative = points.length >= 2 ? getCumulativeDistances(points) : null;
+
+  if (cumulative && cumulative[cumulative.length - 1] > 0) {
+    const located = stopovers.map(stop => locateOnRoute(points, stop.coordinates, cumulative));
+    return {
+      stopKms: located.map(l => l.distanceAlongRoute),
+      totalKm: cumulative[cumulative.length - 1],
+      detours: located.map(l => l.distanceFromRoute)
+    };
+  }
+
+  // No route polyline: measure along straight legs source -> stops -> destination
+  const chain = [trip.source.coordinates, ...stopovers.map(s => s.coordinates), trip.destination.coordinates];
+  const legKms = getCumulativeDistances(chain);
+  return {
+    stopKms: legKms.slice(1, -1),
+    totalKm: legKms[legKms.length - 1],
+    detours: stopovers.map(() => 0)
+  };
+};
+
+/**
+ * Validate driver stopovers and fill in routeKm and scheduled times
+ * Stops must be in travel order along the route, within MAX_STOP_DETOUR_KM
+ * of it, and any given times must be strictly increasing after departure.
+ *
+ * @param {Object} trip - { source, destination, scheduledAt, route }
+ * @param {Array} stopovers - [{ address, coordinates, landmark, scheduledAt }]
+ * @returns {Array} Stopovers with routeKm and scheduledAt
+ * @throws {Error} INVALID_STOPOVERS
+ */
+const buildStopovers = (trip, stopovers = []) => {
+  if (!stopovers || stopovers.length === 0) return [];
+
+  if (stopovers.length > MAX_STOPOVERS) {
+    throw createError('INVALID_STOPOVERS', `A trip can have at most ${MAX_STOPOVERS} stops`);
+  }
+  if (!hasCoordinates(trip.source?.coordinates) || !hasCoordinates(trip.destination?.coordinates)) {
+    throw createError('INVALID_STOPOVERS', 'Source and destination coordinates are required for trips with stops');
+  }
+  stopovers.forEach((stop, i) => {
+    if (!stop.address || !hasCoordinates(stop.coordinates)) {
+      throw createError('INVALID_STOPOVERS', `Stop ${i + 1} needs an address and coordinates`);
+    }
+  });
+
+  const { stopKms, totalKm, detours } = measureStops(trip, stopovers);
+
+  detours.forEach((detour, i) => {
+    if (detour > MAX_STOP_DETOUR_KM) {
+      throw createError('INVALID_STOPOVERS', `Stop ${i + 1} (${stopovers[i].address}) is not on the trip route`);
+    }
+  });
+
+  const kms = [0, ...stopKms, totalKm];
+  for (let i = 1; i < kms.length; i++) {
+    if (!(kms[i] > kms[i - 1])) {
+      throw createError('INVALID_STOPOVERS', 'Stops must be listed in the order they are reached along the route');
+    }
+  }
+
+  // Estimate stop times from the route duration (or an average speed)
+  const departure = new Date(trip.scheduledAt).getTime();
+  const durationMinutes = trip.route?.duration > 0
+    ? trip.route.duration
+    : (totalKm / DEFAULT_AVERAGE_SPEED_KMH) * 60;
+  const estimateAt = (km) => new Date(departure + (km / totalKm) * durationMinutes * 60 * 1000);
+
+  let previous = departure;
+  return stopovers.map((stop, i) => {
+    const scheduledAt = stop.scheduledAt ? new Date(stop.scheduledAt) : estimateAt(stopKms[i]);
+    if (isNaN(scheduledAt.getTime()) || scheduledAt.getTime() <= previous) {
+      throw createError('INVALID_STOPOVERS', `Stop ${i + 1} (${stop.address}) must be scheduled after the previous stop`);
+    }
+    previous = scheduledAt.getTime();
+
+    return {
+      address: stop.address,
+      coordinates: { lat: stop.coordinates.lat, lng: stop.coordinates.lng },
+      landmark: stop.landmark || undefined,
+      scheduledAt,
+      routeKm: Math.round(stopKms[i] * 1000) / 1000
+    };
+  });
+};
+
+/**
+ * Validate per-stop-pair fares against the stop sequence
+ *
+ * @param {Array} stopFares - [{ fromStop, toStop, farePerSeat }]
+ * @param {number} stopCount - Number of stops in the sequence (stopovers + 2)
+ * @param {number} fullFarePerSeat - Source-to-destination fare per seat
+ * @returns {Array} Validated stop fares
+ * @throws {Error} INVALID_STOP_FARES
+ */
+const validateStopFares = (stopFares = [], stopCount, fullFarePerSeat) => {
+  const seen = new Set();
+  return (stopFares || []).map(({ fromStop, toStop, farePerSeat }) => {
+    if (!Number.isInteger(fromStop) || !Number.isInteger(toStop) ||
+        fromStop < 0 || toStop >= stopCount || fromStop >= toStop) {
+      throw createError('INVALID_STOP_FARES', `Invalid stop pair ${fromStop} to ${toStop}`);
+    }
+    const key = `${fromStop}-${toStop}`;
+    if (seen.has(key)) {
+      throw createError('INVALID_STOP_FARES', `Duplicate fare for stop pair ${fromStop} to ${toStop}`);
+    }
+    seen.add(key);
+    if (!(farePerSeat >= 0) || farePerSeat > fullFarePerSeat) {
+      throw createError('INVALID_STOP_FARES', 'Stop fares must be between 0 and the full trip fare');
+    }
+    return { fromStop, toStop, farePerSeat };
+  });
+};
+
+/**
+ * Get the ordered stop sequence for a trip
+ * @param {Object} trip - Trip with source, destination, stopovers, scheduledAt, route
+ * @returns {Array} [{ index, address, coordinates, landmark, scheduledAt, routeKm, arrivedAt }]
+ */
+const getStopSequence = (trip) => {
+  const stopovers = trip.stopovers || [];
+  const totalKm = stopovers.length > 0
+    ? measureStops(trip, stopovers).totalKm
+    : Number.POSITIVE_INFINITY;
+
+  const toStop = (location, index, extra) => ({
+    index,
+    address: location.address,
+    coordinates: location.coordinates,
+    landmark: location.landmark || null,
+    ...extra
+  });
+
+  return [
+    toStop(trip.source, 0, { scheduledAt: trip.scheduledAt, routeKm: 0, arrivedAt: trip.startedAt || null }),
+    ...stopovers.map((stop, i) => toStop(stop, i + 1, {
+      scheduledAt: stop.scheduledAt,
+      routeKm: stop.routeKm,
+      arrivedAt: stop.arrivedAt || null
+    })),
+    toStop(trip.destination, stopovers.length + 1, {
+      scheduledAt: null,
+      routeKm: totalKm,
+      arrivedAt: trip.completedAt || null
+    })
+  ];
+};
+
+/**
+ * Validate that a pickup stop precedes a drop stop on a trip
+ *
+ * @param {Object} trip - Trip with stopovers
+ * @param {number} fromStop - Pickup stop index
+ * @param {number} toStop - Drop stop index
+ * @throws {Error} INVALID_STOP or INVALID_STOP_ORDER
+ */
+const validateStopOrder = (trip, fromStop, toStop) => {
+  const lastIndex = (trip.stopovers || []).length + 1;
+  if (![fromStop, toStop].every(i => Number.isInteger(i) && i >= 0 && i <= lastIndex)) {
+    throw createError('INVALID_STOP', `Stops must be between 0 and ${lastIndex} for this trip`);
+  }
+  if (fromStop >= toStop) {
+    throw createError('INVALID_STOP_ORDER', 'Pickup stop must come before the drop stop');
+  }
+};
+
+/**
+ * Get the route segment between two stops
+ * @param {Object} trip - Trip with stopovers
+ * @param {number} fromStop - Pickup stop index
+ * @param {number} toStop - Drop stop index
+ * @returns {Object|null} { startKm, endKm, distanceKm, ratio } or null for the full route
+ */
+const getStopSegment = (trip, fromStop, toStop) => {
+  const sequence = getStopSequence(trip);
+  const lastIndex = sequence.length - 1;
+  if (fromStop === 0 && toStop === lastIndex) return null;
+
+  const totalKm = sequence[lastIndex].routeKm;
+  const startKm = sequence[fromStop].routeKm;
+  const endKm = sequence[toStop].routeKm;
+  const ratio = Math.min(1, (endKm - startKm) / totalKm);
+  const routeDistance = trip.route?.distance > 0 ? trip.route.distance : totalKm;
+
+  return {
+    startKm,
+    endKm,
+    distanceKm: Math.round(routeDistance * ratio * 100) / 100,
+    ratio
+  };
+};
+
+/**
+ * Get the per-seat fare between two stops
+ * Uses the driver's fare for the stop pair when set, otherwise prices the
+ * pair proportionally to the share of the route travelled.
+ *
+ * @param {Object} trip - Trip with farePerSeat, stopovers and stopFares
+ * @param {number} fromStop - Pickup stop index
+ * @param {number} toStop - Drop stop index
+ * @returns {number} Fare per seat
+ */
+const getStopPairFare = (trip, fromStop, toStop) => {
+  const explicit = (trip.stopFares || []).find(f => f.fromStop === fromStop && f.toStop === toStop);
+  if (explicit) return explicit.farePerSeat;
+
+  const segment = getStopSegment(trip, fromStop, toStop);
+  return segment ? calculateSegmentFarePerSeat(trip.farePerSeat, segment.ratio) : trip.farePerSeat;
+};
+
+/**
+ * Find the stops nearest a passenger's pickup and drop
+ * The pickup stop must come before the drop stop; among valid pairs the one
+ * with the least total walking distance wins.
+ *
+ * @param {Object} trip - Trip with source, destination and stopovers
+ * @param {Object} pickupCoords - Passenger pickup coordinates
+ * @param {Object} dropCoords - Passenger drop coordinates
+ * @param {number} radiusKm - Maximum distance from a stop
+ * @returns {Object|null} { fromStop, toStop, pickupDistance, dropDistance } or null
+ */
+const matchStops = (trip, pickupCoords, dropCoords, radiusKm) => {
+  if (!hasCoordinates(pickupCoords) || !hasCoordinates(dropCoords)) return null;
+
+  const sequence = getStopSequence(trip).filter(stop => hasCoordinates(stop.coordinates));
+  const pickups = sequence
+    .map(stop => ({ index: stop.index, distance: haversineDistance(stop.coordinates, pickupCoords) }))
+    .filter(s => s.distance <= radiusKm);
+  const drops = sequence
+    .map(stop => ({ index: stop.index, distance: haversineDistance(stop.coordinates, dropCoords) }))
+    .filter(s => s.distance <= radiusKm);
+
+  let best = null;
+  for (const pickup of pickups) {
+    for (const drop of drops) {
+      if (drop.index <= pickup.index) continue;
+      const total = pickup.distance + drop.distance;
+      if (!best || total < best.pickupDistance + best.dropDistance) {
+        best = { fromStop: pickup.index, toStop: drop.index, pickupDistance: pickup.distance, dropDistance: drop.distance };
+      }
+    }
+  }
+  return best;
+};
+
+/**
+ * Find stops whose address matches text search terms, pickup before drop
+ *
+ * @param {Object} trip - Trip with source, destination and stopovers
+ * @param {string} [from] - Pickup search text
+ * @param {string} [to] - Drop search text
+ * @returns {Object|null} { fromStop, toStop } or null
+ */
+const matchStopsByText = (trip, from, to) => {
+  const sequence = getStopSequence(trip);
+  const lastIndex = sequence.length - 1;
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const matching = (text) => {
+    const pattern = new RegExp(escape(text), 'i');
+    return sequence.filter(stop => pattern.test(stop.address || '')).map(stop => stop.index);
+  };
+
+  const fromIndexes = from ? matching(from) : [0];
+  const toIndexes = to ? matching(to) : [lastIndex];
+  for (const fromStop of fromIndexes) {
+    const toStop = toIndexes.find(i => i > fromStop);
+    if (toStop !== undefined) return { fromStop, toStop };
+  }
+  return null;
+};
+
+module.exports = {
+  MAX_STOPOVERS,
+  MAX_STOP_DETOUR_KM,
+  buildStopovers,
+  validateStopFares,
+  getStopSequence,
+  validateStopOrder,
+  getStopSegment,
+  getStopPairFare,
+  matchStops,
+  matchStopsByText
+};
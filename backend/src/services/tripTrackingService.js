@@ -38,6 +38,9 @@ const lastNotifiedETA = new Map();
 // Store passengers already notified for proximity per trip
 const proximityNotified = new Map();
 
+// Store trip stopovers and the stops already announced per trip
+const stopArrivals = new Map();
+
 /**
  * Update trip location and broadcast to subscribers
  * Requirements: 4.4 - Real-time GPS location updates
@@ -275,6 +278,20 @@ const updateTripStatus = async (tripId, newStatus, additionalData = {}) => {
     } catch (error) {
       console.error(`Error starting stationary monitoring for ${tripId}:`, error.message);
     }
+
+    try {
+      const routeDeviationService = require('./routeDeviationService');
+      await routeDeviationService.startMonitoring(tripId);
+    } catch (error) {
+      console.error(`Error starting route deviation monitoring for ${tripId}:`, error.message);
+    }
+
+    try {
+      const checkInService = require('./checkInService');
+      await checkInService.activateForTrip(tripId);
+    } catch (error) {
+      console.error(`Error starting check-ins for ${tripId}:`, error.message);
+    }
   }
 
   // Handle trip end cleanup for completed or cancelled trips
@@ -439,7 +456,72 @@ const checkProximityNotifications = async (tripId, driverCoords) => {
 };
 
 /**
- * Process location update with ETA, proximity checks, and stationary detection
+ * Announce arrival at intermediate stops on multi-stop trips
+ * Passengers boarding or alighting at the stop get a personalised message;
+ * others still on the trip are told which stop the vehicle is reaching.
+ * 
+ * @param {string} tripId - Trip ID
+ * @param {Object} driverCoords - Driver's current coordinates
+ * @returns {Promise<Array>} Stops announced on this update
+ */
+const checkStopArrivals = async (tripId, driverCoords) => {
+  if (!stopArrivals.has(tripId)) {
+    const trip = await Trip.findById(tripId).select('stopovers');
+    stopArrivals.set(tripId, {
+      stopovers: trip?.stopovers || [],
+      announced: new Set((trip?.stopovers || []).map((stop, i) => (stop.arrivedAt ? i : null)).filter(i => i !== null))
+    });
+  }
+
+  const state = stopArrivals.get(tripId);
+  const announcedStops = [];
+  let bookings = null;
+
+  for (let i = 0; i < state.stopovers.length; i++) {
+    if (state.announced.has(i)) continue;
+
+    const stop = state.stopovers[i];
+    const distance = calculateDistance(driverCoords, stop.coordinates);
+    if (distance > PROXIMITY_THRESHOLD_KM) continue;
+
+    const stopIndex = i + 1;
+    const eta = calculateETAMinutes(distance);
+    if (!bookings) {
+      bookings = await Booking.find({
+        tripId,
+        status: { $in: ['confirmed', 'pending'] }
+      }).select('passengerId pickupStop dropStop');
+    }
+
+    for (const booking of bookings) {
+      // Passengers who already alighted are not told about later stops
+      if (typeof booking.dropStop === 'number' && booking.dropStop < stopIndex) continue;
+
+      let message = `Arriving at stop ${stopIndex}: ${stop.address}`;
+      if (booking.pickupStop === stopIndex) {
+        message = `Arriving at ${stop.address}, your pickup stop`;
+      } else if (booking.dropStop === stopIndex) {
+        message = `Arriving at ${stop.address}, your drop stop`;
+      }
+
+      sendProximityNotification(tripId, booking.passengerId.toString(), {
+        message,
+        distance: Math.round(distance * 1000), // Convert to meters
+        eta,
+        stop: { index: stopIndex, address: stop.address }
+      });
+    }
+
+    state.announced.add(i);
+    await Trip.updateOne({ _id: tripId }, { $set: { [`stopovers.${i}.arrivedAt`]: new Date() } });
+    announcedStops.push({ stop: stopIndex, address: stop.address, distance, eta });
+  }
+
+  return announcedStops;
+};
+
+/**
+ * Process location update with ETA, proximity checks, stationary and route deviation detection
  * Requirements: 5.1, 5.2, 5.3, 5.4, 8.1
  * 
  * @param {string} tripId - Trip ID
@@ -459,6 +541,9 @@ const processLocationUpdate = async (tripId, locationData) => {
   // Check proximity notifications
   const proximityNotifications = await checkProximityNotifications(tripId, coordinates);
 
+  // Announce intermediate stops on multi-stop trips
+  const stopArrivalsAnnounced = await checkStopArrivals(tripId, coordinates);
+
   // Process stationary detection for passenger safety
   // Requirements: 8.1 - Monitor vehicle movement using GPS coordinates
   let stationaryResult = null;
@@ -469,6 +554,24 @@ const processLocationUpdate = async (tripId, locationData) => {
     console.error(`Stationary detection error for trip ${tripId}:`, error.message);
   }
 
+  // Check the vehicle is still within the planned route corridor
+  let routeDeviationResult = null;
+  try {
+    const routeDeviationService = require('./routeDeviationService');
+    routeDeviationResult = await routeDeviationService.processLocationUpdate(tripId, coordinates);
+  } catch (error) {
+    console.error(`Route deviation detection error for trip ${tripId}:`, error.message);
+  }
+
+  // Close check-ins for passengers who reached their drop point
+  let checkInResult = null;
+  try {
+    const checkInService = require('./checkInService');
+    checkInResult = await checkInService.processLocationUpdate(tripId, coordinates);
+  } catch (error) {
+    console.error(`Check-in geofence error for trip ${tripId}:`, error.message);
+  }
+
   return {
     success: true,
     tripId,
@@ -476,7 +579,10 @@ const processLocationUpdate = async (tripId, locationData) => {
     eta: etaResult,
     etaBroadcasted,
     proximityNotifications,
-    stationaryDetection: stationaryResult
+    stopArrivals: stopArrivalsAnnounced,
+    stationaryDetection: stationaryResult,
+    routeDeviation: routeDeviationResult,
+    checkIns: checkInResult
   };
 };
 
@@ -533,6 +639,7 @@ const getTrackingInfo = async (tripId) => {
 const clearTrackingState = (tripId) => {
   lastNotifiedETA.delete(tripId);
   proximityNotified.delete(tripId);
+  stopArrivals.delete(tripId);
 };
 
 // Import location sharing service for trip end cleanup
@@ -572,13 +679,33 @@ const handleTripEnd = async (tripId) => {
   } catch (error) {
     console.error(`Error stopping stationary monitoring for ${tripId}:`, error.message);
   }
+
+  // Stop route deviation monitoring and close any unanswered deviation alert
+  let routeDeviationCleanup = null;
+  try {
+    const routeDeviationService = require('./routeDeviationService');
+    routeDeviationCleanup = await routeDeviationService.stopMonitoring(tripId);
+  } catch (error) {
+    console.error(`Error stopping route deviation monitoring for ${tripId}:`, error.message);
+  }
+
+  // Settle check-ins: arrival at the final location counts, anything else keeps escalating
+  let checkInCleanup = null;
+  try {
+    const checkInService = require('./checkInService');
+    checkInCleanup = await checkInService.handleTripEnd(tripId);
+  } catch (error) {
+    console.error(`Error settling check-ins for ${tripId}:`, error.message);
+  }
   
   return {
     success: true,
     tripId,
     sharingSessionsDeactivated: sharingResult.deactivatedCount,
     contactsNotified: sharingResult.contactsToNotify?.length || 0,
-    stationaryMonitoringStopped: stationaryCleanup?.success || false
+    stationaryMonitoringStopped: stationaryCleanup?.success || false,
+    routeDeviationMonitoringStopped: routeDeviationCleanup?.success || false,
+    checkInsSettled: checkInCleanup?.settled || 0
   };
 };
 
@@ -872,6 +999,7 @@ module.exports = {
   calculateTripETA,
   checkAndBroadcastETAChange,
   checkProximityNotifications,
+  checkStopArrivals,
   processLocationUpdate,
   getTrackingInfo,
   clearTrackingState,
@@ -8,6 +8,7 @@
  */
 
 const https = require('https');
+const crypto = require('crypto');
 const { getCircuitBreaker, CircuitBreakers } = require('./circuitBreakerService');
 
 /**
@@ -154,6 +155,35 @@ class TwilioService {
     return /^\+[1-9]\d{9,14}$/.test(formatted);
   }
 
+  /**
+   * Verify the X-Twilio-Signature header of an inbound webhook
+   * Signature is HMAC-SHA1 over the full URL followed by the sorted
+   * POST parameters (name + value), keyed with the auth token
+   *
+   * @param {string} url - Full webhook URL as configured in Twilio
+   * @param {Object} params - POST parameters
+   * @param {string} signature - X-Twilio-Signature header value
+   * @returns {boolean} True if the signature is valid
+   */
+  validateWebhookSignature(url, params, signature) {
+    if (!this.authToken || !signature) {
+      return false;
+    }
+
+    const payload = Object.keys(params || {})
+      .sort()
+      .reduce((acc, key) => acc + key + params[key], url);
+    const expected = crypto
+      .createHmac('sha1', this.authToken)
+      .update(Buffer.from(payload, 'utf8'))
+      .digest('base64');
+
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(String(signature));
+    return expectedBuffer.length === signatureBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+  }
+
   /**
    * Make a voice call via Twilio API
    * Protected by circuit breaker for resilience
@@ -0,0 +1,530 @@
+/**
+ * Waitlist Service
+ * Implements persistent per-trip waitlists with automatic seat offers
+ *
+ * Design Decision: An offer is a regular pending booking with a timed hold
+ * Rationale: The offered seat counts against availability like any other
+ * pending booking, and the passenger confirms through the normal payment flow
+ *
+ * Requirements: 8.1 - Waitlist ordered Gold > Silver > Normal, FIFO within a tier
+ */
+
+const Booking = require('../models/Booking');
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const {
+  getUserPriorityInfo,
+  sortByPriority
+} = require('../middleware/priorityAllocation');
+const bookingService = require('./bookingService');
+const { releaseCouponForBooking } = require('./couponService');
+const { canUserBookWomenOnlyRide } = require('./womenOnlyRideService');
+const { sendNotification } = require('./notificationService');
+
+/**
+ * Minutes an offered seat is held for the waitlisted passenger
+ */
+const WAITLIST_OFFER_HOLD_MINUTES = 15;
+
+/**
+ * Extra minutes allowed when the passenger has already started payment
+ */
+const PAYMENT_GRACE_MINUTES = 10;
+
+/**
+ * Trip statuses that still accept bookings
+ */
+const BOOKABLE_TRIP_STATUSES = ['scheduled', 'driver_assigned'];
+
+/**
+ * Build an error with code and HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error object
+ */
+const createError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Pick waitlist entries that fit into the trip's free seats
+ * Entries are considered in the given (priority) order; an entry that does not
+ * fit is passed over so smaller requests behind it can still use the seats,
+ * matching processPendingBookingsWithPriority.
+ *
+ * @param {Array} sortedEntries - Waiting entries in priority order
+ * @param {Array} bookings - Active (pending/confirmed) bookings on the trip
+ * @param {number} maxSeats - Trip seat capacity
+ * @returns {Array} Entries to offer a seat to
+ */
+const planWaitlistOffers = (sortedEntries, bookings, maxSeats) => {
+  const planned = [];
+  const held = [...bookings];
+
+  for (const entry of sortedEntries) {
+    const segment = typeof entry.segment?.endKm === 'number'
+      ? entry.segment
+      : undefined;
+    const occupied = bookingService.calculateSegmentOccupancy(held, segment);
+
+    if (occupied + entry.seats <= maxSeats) {
+      planned.push(entry);
+      held.push({ seats: entry.seats, segment: entry.segment });
+    }
+  }
+
+  return planned;
+};
+
+/**
+ * Get a waiting entry's position in its trip queue
+ * @param {Object} entry - Waitlist entry
+ * @returns {Promise<number|null>} 1-based position, null if not waiting
+ */
+const getWaitlistPosition = async (entry) => {
+  if (entry.status !== 'waiting') return null;
+
+  const waiting = await WaitlistEntry.find({ tripId: entry.tripId, status: 'waiting' }).lean();
+  const sorted = await sortByPriority(waiting);
+  const index = sorted.findIndex(e => e._id.toString() === entry._id.toString());
+  return index === -1 ? null : index + 1;
+};
+
+/**
+ * Format entry for API responses
+ * @param {Object} entry - Waitlist entry
+ * @param {number|null} position - Queue position
+ * @returns {Object} Formatted entry
+ */
+const formatEntry = (entry, position = null) => ({
+  _id: entry._id,
+  tripId: entry.tripId,
+  seats: entry.seats,
+  pickupPoint: entry.pickupPoint,
+  dropPoint: entry.dropPoint,
+  status: entry.status,
+  position,
+  bookingId: entry.bookingId || null,
+  offerExpiresAt: entry.offerExpiresAt || null,
+  closedReason: entry.closedReason || null,
+  joinedAt: entry.createdAt
+});
+
+/**
+ * Join the waitlist for a fully-booked trip
+ *
+ * @param {string} passengerId - Passenger user ID
+ * @param {Object} data - { tripId, seats, pickupPoint, dropPoint }
+ * @returns {Promise<Object>} Created entry with queue position
+ */
+const joinWaitlist = async (passengerId, data) => {
+  const trip = await Trip.findById(data.tripId);
+  if (!trip) {
+    throw createError('TRIP_NOT_FOUND', 'Trip not found', 404);
+  }
+
+  if (!BOOKABLE_TRIP_STATUSES.includes(trip.status) || new Date(trip.scheduledAt) <= new Date()) {
+    throw createError('TRIP_NOT_AVAILABLE', 'Trip is not available for booking');
+  }
+
+  if (trip.isWomenOnly || trip.ladiesOnly) {
+    const passenger = await User.findById(passengerId);
+    const womenOnlyCheck = canUserBookWomenOnlyRide(passenger || {}, trip);
+    if (!womenOnlyCheck.canBook) {
+      throw createError(womenOnlyCheck.reason, womenOnlyCheck.message, 403);
+    }
+  }
+
+  const existingBooking = await Booking.findOne({
+    tripId: trip._id,
+    passengerId,
+    status: { $in: ['pending', 'confirmed'] }
+  });
+  if (existingBooking) {
+    throw createError('DUPLICATE_BOOKING', 'You already have a booking for this trip');
+  }
+
+  const existingEntry = await WaitlistEntry.findOne({
+    tripId: trip._id,
+    passengerId,
+    status: { $in: ['waiting', 'offered'] }
+  });
+  if (existingEntry) {
+    throw createError('ALREADY_WAITLISTED', 'You are already on the waitlist for this trip', 409);
+  }
+
+  const segment = bookingService.resolveBookingSegment(trip, data.pickupPoint, data.dropPoint);
+  const availableSeats = await bookingService.getAvailableSeats(trip._id, segment || undefined);
+  if (availableSeats >= data.seats) {
+    throw createError('SEATS_AVAILABLE', 'Seats are available on this trip - book directly instead');
+  }
+
+  const priorityInfo = await getUserPriorityInfo(passengerId);
+
+  const entry = new WaitlistEntry({
+    tripId: trip._id,
+    passengerId,
+    seats: data.seats,
+    pickupPoint: data.pickupPoint,
+    dropPoint: data.dropPoint,
+    segment: segment || undefined,
+    planId: priorityInfo.planId,
+    status: 'waiting'
+  });
+  await entry.save();
+
+  return {
+    success: true,
+    entry: formatEntry(entry, await getWaitlistPosition(entry)),
+    message: 'You have been added to the waitlist'
+  };
+};
+
+/**
+ * Get passenger's waitlist entries
+ * @param {string} passengerId - Passenger user ID
+ * @returns {Promise<Object>} Entries with queue positions
+ */
+const getPassengerWaitlist = async (passengerId) => {
+  const entries = await WaitlistEntry.find({ passengerId })
+    .sort({ createdAt: -1 })
+    .limit(50);
+
+  const formatted = await Promise.all(
+    entries.map(async entry => formatEntry(entry, await getWaitlistPosition(entry)))
+  );
+
+  return {
+    success: true,
+    entries: formatted
+  };
+};
+
+/**
+ * Notify a passenger that a seat is held for them
+ * @param {Object} entry - Waitlist entry
+ * @param {Object} trip - Trip document
+ * @param {Object} booking - Held booking
+ */
+const notifySeatOffered = async (entry, trip, booking) => {
+  try {
+    const passenger = await User.findById(entry.passengerId).select('phone');
+    if (!passenger?.phone) return;
+
+    const scheduledAt = new Date(trip.scheduledAt);
+    await sendNotification({
+      userId: entry.passengerId,
+      channel: 'sms',
+      template: 'waitlist_seat_offered',
+      recipient: passenger.phone,
+      data: {
+        tripId: trip.tripId,
+        bookingId: booking.bookingId,
+        source: trip.source?.address,
+        destination: trip.destination?.address,
+        scheduledDate: scheduledAt.toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' }),
+        scheduledTime: scheduledAt.toLocaleTimeString('en-IN', {
+          timeZone: 'Asia/Kolkata',
+          hour: '2-digit',
+          minute: '2-digit'
+        }),
+        holdMinutes: WAITLIST_OFFER_HOLD_MINUTES
+      },
+      relatedEntity: { type: 'booking', id: booking._id }
+    });
+  } catch (error) {
+    console.error(`[Waitlist] Failed to notify passenger ${entry.passengerId}:`, error.message);
+  }
+};
+
+/**
+ * Offer a held seat to one waitlisted passenger
+ * The entry is claimed atomically so concurrent promotions cannot double-offer.
+ *
+ * @param {Object} entry - Waiting entry
+ * @param {Object} trip - Trip document
+ * @returns {Promise<Object|null>} Offer details, or null if no offer was made
+ */
+const makeOffer = async (entry, trip) => {
+  const now = new Date();
+  const offerExpiresAt = new Date(now.getTime() + WAITLIST_OFFER_HOLD_MINUTES * 60 * 1000);
+
+  const claimed = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'waiting' },
+    { $set: { status: 'offered', offeredAt: now, offerExpiresAt } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  let result;
+  try {
+    result = await bookingService.createBooking(entry.passengerId, {
+      tripId: trip._id.toString(),
+      seats: entry.seats,
+      pickupPoint: entry.pickupPoint,
+      dropPoint: entry.dropPoint
+    });
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_SEATS') {
+      // Seat was taken in the meantime - stay in the queue
+      claimed.status = 'waiting';
+      claimed.offeredAt = undefined;
+      claimed.offerExpiresAt = undefined;
+    } else {
+      claimed.status = 'closed';
+      claimed.closedReason = error.code || error.message;
+    }
+    await claimed.save();
+    return null;
+  }
+
+  // Replace the regular seat hold with the waitlist offer hold
+  const booking = await Booking.findByIdAndUpdate(
+    result.booking._id,
+    { $set: { expiresAt: offerExpiresAt } },
+    { new: true }
+  );
+
+  claimed.bookingId = booking._id;
+  await claimed.save();
+
+  await notifySeatOffered(claimed, trip, booking);
+
+  return {
+    entryId: claimed._id,
+    passengerId: claimed.passengerId,
+    bookingId: booking.bookingId,
+    seats: claimed.seats,
+    offerExpiresAt
+  };
+};
+
+/**
+ * Offer freed seats on a trip to the next waitlisted passengers
+ *
+ * @param {string} tripId - Trip MongoDB ID
+ * @returns {Promise<Object>} { offered }
+ */
+const offerFreedSeats = async (tripId) => {
+  const trip = await Trip.findById(tripId);
+  if (!trip || !BOOKABLE_TRIP_STATUSES.includes(trip.status) || new Date(trip.scheduledAt) <= new Date()) {
+    return { offered: [] };
+  }
+
+  const waiting = await WaitlistEntry.find({ tripId: trip._id, status: 'waiting' }).lean();
+  if (waiting.length === 0) {
+    return { offered: [] };
+  }
+
+  const [sorted, bookings] = await Promise.all([
+    sortByPriority(waiting),
+    Booking.find({ tripId: trip._id, status: { $in: ['pending', 'confirmed'] } }).lean()
+  ]);
+
+  const planned = planWaitlistOffers(sorted, bookings, trip.availableSeats || 6);
+  const offered = [];
+
+  for (const entry of planned) {
+    const offer = await makeOffer(entry, trip);
+    if (offer) offered.push(offer);
+  }
+
+  return { offered };
+};
+
+/**
+ * React to a cancelled booking: close its waitlist offer and promote the queue
+ * Never throws - cancellation flows must not fail because of the waitlist.
+ *
+ * @param {Object} booking - Cancelled booking
+ * @returns {Promise<Object>} { offered }
+ */
+const handleBookingCancelled = async (booking) => {
+  try {
+    const statusByActor = { passenger: 'cancelled', system: 'expired', driver: 'closed' };
+    const status = statusByActor[booking.cancelledBy] || 'closed';
+    await WaitlistEntry.updateOne(
+      { bookingId: booking._id, status: 'offered' },
+      { $set: { status, respondedAt: new Date(), closedReason: booking.cancelReason } }
+    );
+
+    return await offerFreedSeats(booking.tripId);
+  } catch (error) {
+    console.error(`[Waitlist] Failed to promote waitlist for trip ${booking.tripId}:`, error.message);
+    return { offered: [] };
+  }
+};
+
+/**
+ * Mark a waitlist offer accepted once its booking is confirmed
+ * @param {string} bookingId - Booking MongoDB ID
+ */
+const markOfferAccepted = async (bookingId) => {
+  try {
+    await WaitlistEntry.updateOne(
+      { bookingId, status: 'offered' },
+      { $set: { status: 'accepted', respondedAt: new Date() } }
+    );
+  } catch (error) {
+    console.error(`[Waitlist] Failed to mark offer accepted for booking ${bookingId}:`, error.message);
+  }
+};
+
+/**
+ * Leave a trip waitlist
+ * Declining an active offer releases the held seat to the next passenger.
+ *
+ * @param {string} entryId - Waitlist entry ID
+ * @param {string} passengerId - Passenger user ID
+ * @returns {Promise<Object>} Updated entry
+ */
+const leaveWaitlist = async (entryId, passengerId) => {
+  const entry = await WaitlistEntry.findById(entryId);
+  if (!entry) {
+    throw createError('WAITLIST_ENTRY_NOT_FOUND', 'Waitlist entry not found', 404);
+  }
+
+  if (entry.passengerId.toString() !== passengerId.toString()) {
+    throw createError('UNAUTHORIZED', 'Unauthorized to modify this waitlist entry', 403);
+  }
+
+  if (!['waiting', 'offered'].includes(entry.status)) {
+    throw createError('INVALID_WAITLIST_STATUS', `Waitlist entry is already ${entry.status}`);
+  }
+
+  entry.status = 'cancelled';
+  entry.respondedAt = new Date();
+  entry.closedReason = 'Left waitlist';
+  await entry.save();
+
+  // Cancelling the held booking promotes the next passenger
+  if (entry.bookingId) {
+    const booking = await Booking.findById(entry.bookingId);
+    if (booking && booking.status === 'pending') {
+      await bookingService.cancelBooking(booking.bookingId, passengerId.toString(), 'Declined waitlist offer');
+    }
+  }
+
+  return {
+    success: true,
+    entry: formatEntry(entry),
+    message: 'You have left the waitlist'
+  };
+};
+
+/**
+ * Close all active waitlist entries for a cancelled trip
+ * @param {string} tripId - Trip MongoDB ID
+ * @param {string} reason - Reason stored on entries
+ * @returns {Promise<number>} Number of entries closed
+ */
+const cancelTripWaitlist = async (tripId, reason = 'Trip cancelled') => {
+  const result = await WaitlistEntry.updateMany(
+    { tripId, status: { $in: ['waiting', 'offered'] } },
+    { $set: { status: 'cancelled', closedReason: reason } }
+  );
+  return result.modifiedCount || 0;
+};
+
+/**
+ * Expire unanswered offers and move their seats down the queue
+ * Also closes queues of trips that have departed or stopped taking bookings.
+ * Called by the waitlist offers cron job.
+ *
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} { expired, accepted, closed, offered }
+ */
+const expireWaitlistOffers = async (now = new Date()) => {
+  const results = { expired: 0, accepted: 0, closed: 0, offered: 0 };
+  const tripsToPromote = new Set();
+
+  const offers = await WaitlistEntry.find({ status: 'offered', offerExpiresAt: { $lt: now } });
+
+  for (const entry of offers) {
+    try {
+      const booking = entry.bookingId ? await Booking.findById(entry.bookingId) : null;
+
+      if (booking && (booking.status === 'confirmed' || booking.paymentStatus === 'paid')) {
+        entry.status = 'accepted';
+        entry.respondedAt = now;
+        await entry.save();
+        results.accepted++;
+        continue;
+      }
+
+      // Payment started before the hold ran out - give the gateway time to call back
+      const graceUntil = new Date(entry.offerExpiresAt.getTime() + PAYMENT_GRACE_MINUTES * 60 * 1000);
+      if (booking && booking.status === 'pending' && booking.paymentId && graceUntil > now) {
+        continue;
+      }
+
+      if (booking && booking.status === 'pending') {
+        booking.status = 'cancelled';
+        booking.cancelledBy = 'system';
+        booking.cancelledAt = now;
+        booking.cancelReason = 'Waitlist seat offer expired';
+        await booking.save();
+
+        try {
+          await releaseCouponForBooking(booking._id);
+        } catch (couponError) {
+          console.error('[Waitlist] Failed to release coupon:', couponError.message);
+        }
+      }
+
+      entry.status = 'expired';
+      entry.respondedAt = now;
+      await entry.save();
+      results.expired++;
+      tripsToPromote.add(entry.tripId.toString());
+    } catch (error) {
+      console.error(`[Waitlist] Failed to expire offer ${entry._id}:`, error.message);
+    }
+  }
+
+  // Close queues that can no longer be served
+  const waitingTripIds = await WaitlistEntry.distinct('tripId', { status: 'waiting' });
+  if (waitingTripIds.length > 0) {
+    const closedTrips = await Trip.find({
+      _id: { $in: waitingTripIds },
+      $or: [
+        { scheduledAt: { $lte: now } },
+        { status: { $nin: BOOKABLE_TRIP_STATUSES } }
+      ]
+    }).select('_id').lean();
+
+    if (closedTrips.length > 0) {
+      const closed = await WaitlistEntry.updateMany(
+        { tripId: { $in: closedTrips.map(t => t._id) }, status: 'waiting' },
+        { $set: { status: 'closed', closedReason: 'Trip no longer available' } }
+      );
+      results.closed = closed.modifiedCount || 0;
+    }
+  }
+
+  for (const tripId of tripsToPromote) {
+    const { offered } = await offerFreedSeats(tripId);
+    results.offered += offered.length;
+  }
+
+  return results;
+};
+
+module.exports = {
+  WAITLIST_OFFER_HOLD_MINUTES,
+  planWaitlistOffers,
+  joinWaitlist,
+  getPassengerWaitlist,
+  getWaitlistPosition,
+  leaveWaitlist,
+  offerFreedSeats,
+  handleBookingCancelled,
+  markOfferAccepted,
+  cancelTripWaitlist,
+  expireWaitlistOffers
+};
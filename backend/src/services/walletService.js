@@ -8,6 +8,7 @@
 
 const Wallet = require('../models/Wallet');
 const Transaction = require('../models/Transaction');
+const ledgerService = require('./ledgerService');
 
 /**
  * Get wallet balance for a user
@@ -132,6 +133,14 @@ const creditCashback = async (userId, amount, source = 'cashback', bookingId = n
     });
   }
 
+  await ledgerService.recordWalletCredit({
+    transactionId: wallet.lastTransactionId,
+    userId,
+    amount,
+    bucket: 'cash',
+    source
+  });
+
   return {
     amount,
     source,
@@ -191,6 +200,14 @@ const applyWalletToPayment = async (userId, fareAmount, bookingId = null) => {
   // Deduct amount from wallet using wallet method
   const deductionResult = await wallet.deductAmount(amountToApply, 'booking', bookingId);
 
+  await ledgerService.recordWalletDebit({
+    transactionId: deductionResult.transaction._id,
+    userId,
+    fromCash: deductionResult.deductedFromNonPromo,
+    fromPromo: deductionResult.deductedFromPromo,
+    bookingId
+  });
+
   return {
     amountApplied: deductionResult.totalDeducted,
     remainingFare: fareAmount - deductionResult.totalDeducted,
@@ -215,6 +232,10 @@ const expirePromotionalCredits = async () => {
   // Use Transaction model's static method to expire promotional credits
   const expiryResults = await Transaction.expirePromotionalCredits();
 
+  for (const expired of expiryResults.expired || []) {
+    await ledgerService.recordPromoExpiry(expired);
+  }
+
   console.log(`[WalletService] Expiry check complete: ${expiryResults.expiredCount} transactions expired, ₹${expiryResults.totalAmount} total`);
   
   return {
@@ -256,6 +277,14 @@ const addPromoCredit = async (userId, amount, source = 'promo', expiryDays = 30)
   // Add promo credit using wallet method
   await wallet.addPromoCredit(amount, source, expiryDate);
 
+  await ledgerService.recordWalletCredit({
+    transactionId: wallet.lastTransactionId,
+    userId,
+    amount,
+    bucket: 'promo',
+    source
+  });
+
   return {
     amount,
     source,
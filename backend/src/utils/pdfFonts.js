@@ -0,0 +1,184 @@
+/**
+ * PDF Font Utilities
+ *
+ * Embeds Unicode fonts into pdf-lib documents (via fontkit) so names,
+ * addresses and ₹ amounts are drawn as written. The standard PDF fonts only
+ * encode WinAnsi (Latin-1) text.
+ *
+ * Each weight is a font family: DejaVu Sans (Latin, Greek, Cyrillic, ₹)
+ * followed by Noto Sans Devanagari and Telugu. Text is split into runs drawn
+ * with the first font that has the glyph; characters no font covers are
+ * drawn as '?'. Fonts are subset, so a PDF only carries the glyphs it uses.
+ */
+
+// fontkit's Indic and Universal shapers are built as generator code that
+// expects a global regeneratorRuntime
+require('regenerator-runtime/runtime');
+
+const fs = require('fs');
+const fontkit = require('@pdf-lib/fontkit');
+
+/**
+ * Font files per weight, in fallback order
+ */
+const FONT_FILES = {
+  regular: [
+    'dejavu-fonts-ttf/ttf/DejaVuSans.ttf',
+    '@expo-google-fonts/noto-sans-devanagari/400Regular/NotoSansDevanagari_400Regular.ttf',
+    '@expo-google-fonts/noto-sans-telugu/400Regular/NotoSansTelugu_400Regular.ttf'
+  ],
+  bold: [
+    'dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf',
+    '@expo-google-fonts/noto-sans-devanagari/700Bold/NotoSansDevanagari_700Bold.ttf',
+    '@expo-google-fonts/noto-sans-telugu/700Bold/NotoSansTelugu_700Bold.ttf'
+  ]
+};
+
+/**
+ * Drawn in place of characters no embedded font covers
+ */
+const MISSING_GLYPH = '?';
+
+// User-perceived characters, for truncating without splitting a syllable
+const graphemeSegmenter = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+// Font bytes and parsed faces (for glyph coverage), loaded once per process
+const loadedFaces = {};
+
+/**
+ * Skip mark attachment when the base anchor is NULL
+ * fontkit dereferences NULL anchors in GPOS mark tables and throws; the
+ * OpenType spec uses them for "this mark does not attach to this base" and
+ * Noto Sans Telugu has them (e.g. the common name prefix శ్రీ). The
+ * processor class is not exported, so it is patched through a loaded face;
+ * every font from this fontkit module shares the prototype.
+ * @param {Object} face - fontkit font
+ */
+const skipNullAnchors = (face) => {
+  const processor = face._layoutEngine.engine?.GPOSProcessor;
+  const prototype = processor && Object.getPrototypeOf(processor);
+  if (!prototype || prototype.applyAnchor.skipsNullAnchors) return;
+
+  const { applyAnchor } = prototype;
+  prototype.applyAnchor = function (markRecord, baseAnchor, baseGlyphIndex) {
+    if (!baseAnchor || !markRecord.markAnchor) return;
+    applyAnchor.call(this, markRecord, baseAnchor, baseGlyphIndex);
+  };
+  prototype.applyAnchor.skipsNullAnchors = true;
+};
+
+/**
+ * Load the font files for a weight
+ * @param {string} weight - 'regular' or 'bold'
+ * @returns {Array<{bytes: Buffer, face: Object}>} Fonts in fallback order
+ */
+const loadFontFaces = (weight) => {
+  if (!loadedFaces[weight]) {
+    loadedFaces[weight] = FONT_FILES[weight].map(file => {
+      const bytes = fs.readFileSync(require.resolve(file));
+      const face = fontkit.create(bytes);
+      skipNullAnchors(face);
+      return { bytes, face };
+    });
+  }
+  return loadedFaces[weight];
+};
+
+/**
+ * Embed the regular and bold font families into a document
+ * @param {Object} pdfDoc - pdf-lib PDFDocument
+ * @returns {Promise<Object>} { regular, bold } font families
+ */
+const embedPdfFonts = async (pdfDoc) => {
+  pdfDoc.registerFontkit(fontkit);
+
+  const embedFamily = (weight) => Promise.all(loadFontFaces(weight).map(async ({ bytes, face }) => ({
+    face,
+    font: await pdfDoc.embedFont(bytes, { subset: true })
+  })));
+
+  return {
+    regular: await embedFamily('regular'),
+    bold: await embedFamily('bold')
+  };
+};
+
+/**
+ * Split text into runs that one font of the family can draw
+ * @param {Array} family - Font family from embedPdfFonts
+ * @param {*} value - Text to draw
+ * @returns {Array<{font: Object, text: string}>} Runs in order
+ */
+const splitTextRuns = (family, value) => {
+  const runs = [];
+  for (const char of String(value ?? '')) {
+    const codePoint = char.codePointAt(0);
+    let index = family.findIndex(({ face }) => face.hasGlyphForCodePoint(codePoint));
+    let text = char;
+    if (index === -1) {
+      index = 0;
+      text = MISSING_GLYPH;
+    }
+
+    const last = runs[runs.length - 1];
+    if (last && last.index === index) {
+      last.text += text;
+    } else {
+      runs.push({ index, text });
+    }
+  }
+  return runs.map(({ index, text }) => ({ font: family[index].font, text }));
+};
+
+/**
+ * Width of text in points
+ * @param {Array} family - Font family from embedPdfFonts
+ * @param {*} value - Text
+ * @param {number} size - Font size
+ * @returns {number} Width
+ */
+const textWidth = (family, value, size) =>
+  splitTextRuns(family, value).reduce((width, run) => width + run.font.widthOfTextAtSize(run.text, size), 0);
+
+/**
+ * Truncate text to a width, dropping whole characters as the reader sees
+ * them (an Indic syllable with its vowel signs, a surrogate pair) so no
+ * dangling marks are drawn
+ * @param {Array} family - Font family from embedPdfFonts
+ * @param {*} value - Text
+ * @param {number} size - Font size
+ * @param {number} maxWidth - Available width in points
+ * @returns {string} Text that fits (at least one character)
+ */
+const fitText = (family, value, size, maxWidth) => {
+  const graphemes = Array.from(graphemeSegmenter.segment(String(value ?? '')), ({ segment }) => segment);
+  let text = graphemes.join('');
+  while (graphemes.length > 1 && textWidth(family, text, size) > maxWidth) {
+    graphemes.pop();
+    text = graphemes.join('');
+  }
+  return text;
+};
+
+/**
+ * Draw a single line of text, switching fonts per run
+ * @param {Object} page - pdf-lib page
+ * @param {*} value - Text
+ * @param {Object} options - { x, y, size, font (family), color }
+ */
+const drawText = (page, value, { x, y, size, font, color }) => {
+  let cursor = x;
+  for (const run of splitTextRuns(font, value)) {
+    page.drawText(run.text, { x: cursor, y, size, font: run.font, color });
+    cursor += run.font.widthOfTextAtSize(run.text, size);
+  }
+};
+
+module.exports = {
+  MISSING_GLYPH,
+  embedPdfFonts,
+  splitTextRuns,
+  textWidth,
+  fitText,
+  drawText
+};
@@ -0,0 +1,190 @@
+/**
+ * Polyline Utilities
+ *
+ * Decodes Google encoded polylines and locates points along a route.
+ * Used for en-route (partial segment) ride matching.
+ */
+
+// Earth radius in kilometers for Haversine formula
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Calculate distance between two coordinates using Haversine formula
+ * @param {Object} coord1 - First coordinate {lat, lng}
+ * @param {Object} coord2 - Second coordinate {lat, lng}
+ * @returns {number} Distance in kilometers
+ */
+const haversineDistance = (coord1, coord2) => {
+  const lat1 = coord1.lat * Math.PI / 180;
+  const lat2 = coord2.lat * Math.PI / 180;
+  const deltaLat = (coord2.lat - coord1.lat) * Math.PI / 180;
+  const deltaLng = (coord2.lng - coord1.lng) * Math.PI / 180;
+
+  const a = Math.sin(deltaLat / 2) * Math.sin(deltaLat / 2) +
+            Math.cos(lat1) * Math.cos(lat2) *
+            Math.sin(deltaLng / 2) * Math.sin(deltaLng / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  return EARTH_RADIUS_KM * c;
+};
+
+/**
+ * Decode a Google encoded polyline string into coordinates
+ * @param {string} encoded - Encoded polyline (precision 5)
+ * @returns {Array<{lat: number, lng: number}>} Decoded points, empty on invalid input
+ */
+const decodePolyline = (encoded) => {
+  if (!encoded || typeof encoded !== 'string') {
+    return [];
+  }
+
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  while (index < encoded.length) {
+    let result = 0;
+    let shift = 0;
+    let byte;
+
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20 && index < encoded.length);
+    lat += (result & 1) ? ~(result >> 1) : (result >> 1);
+
+    if (index >= encoded.length) break;
+
+    result = 0;
+    shift = 0;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20 && index < encoded.length);
+    lng += (result & 1) ? ~(result >> 1) : (result >> 1);
+
+    points.push({ lat: lat / 1e5, lng: lng / 1e5 });
+  }
+
+  return points;
+};
+
+/**
+ * Encode coordinates into a Google encoded polyline string
+ * @param {Array<{lat: number, lng: number}>} points - Points to encode
+ * @returns {string} Encoded polyline (precision 5)
+ */
+const encodePolyline = (points) => {
+  if (!Array.isArray(points)) return '';
+
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : (value << 1);
+    let output = '';
+    while (v >= 0x20) {
+      output += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    return output + String.fromCharCode(v + 63);
+  };
+
+  let prevLat = 0;
+  let prevLng = 0;
+  let encoded = '';
+
+  for (const point of points) {
+    const lat = Math.round(point.lat * 1e5);
+    const lng = Math.round(point.lng * 1e5);
+    encoded += encodeValue(lat - prevLat) + encodeValue(lng - prevLng);
+    prevLat = lat;
+    prevLng = lng;
+  }
+
+  return encoded;
+};
+
+/**
+ * Calculate cumulative distance at each vertex of a route
+ * @param {Array<{lat: number, lng: number}>} points - Route points
+ * @returns {number[]} Cumulative distance in km, same length as points
+ */
+const getCumulativeDistances = (points) => {
+  const cumulative = [];
+  let total = 0;
+  points.forEach((point, i) => {
+    if (i > 0) {
+      total += haversineDistance(points[i - 1], point);
+    }
+    cumulative.push(total);
+  });
+  return cumulative;
+};
+
+/**
+ * Locate a coordinate on a route
+ * Projects the coordinate onto every route segment using a local equirectangular
+ * approximation (accurate for the short distances between polyline vertices)
+ * and keeps the closest projection.
+ *
+ * @param {Array<{lat: number, lng: number}>} points - Decoded route points
+ * @param {Object} coord - Coordinate to locate {lat, lng}
+ * @param {number[]} [cumulative] - Precomputed cumulative distances
+ * @returns {Object|null} { distanceFromRoute, distanceAlongRoute, segmentIndex } in km, or null if route is empty
+ */
+const locateOnRoute = (points, coord, cumulative = getCumulativeDistances(points)) => {
+  if (!points || points.length === 0 || !coord) {
+    return null;
+  }
+
+  if (points.length === 1) {
+    return {
+      distanceFromRoute: haversineDistance(points[0], coord),
+      distanceAlongRoute: 0,
+      segmentIndex: 0
+    };
+  }
+
+  const kmPerDegLat = Math.PI * EARTH_RADIUS_KM / 180;
+  let best = null;
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const kmPerDegLng = kmPerDegLat * Math.cos(a.lat * Math.PI / 180);
+
+    // Segment and point in local km space with `a` as origin
+    const bx = (b.lng - a.lng) * kmPerDegLng;
+    const by = (b.lat - a.lat) * kmPerDegLat;
+    const px = (coord.lng - a.lng) * kmPerDegLng;
+    const py = (coord.lat - a.lat) * kmPerDegLat;
+
+    const segLenSq = bx * bx + by * by;
+    const t = segLenSq === 0 ? 0 : Math.max(0, Math.min(1, (px * bx + py * by) / segLenSq));
+    const projected = {
+      lat: a.lat + (b.lat - a.lat) * t,
+      lng: a.lng + (b.lng - a.lng) * t
+    };
+
+    const distanceFromRoute = haversineDistance(projected, coord);
+    if (!best || distanceFromRoute < best.distanceFromRoute) {
+      const segmentLength = cumulative[i + 1] - cumulative[i];
+      best = {
+        distanceFromRoute,
+        distanceAlongRoute: cumulative[i] + segmentLength * t,
+        segmentIndex: i
+      };
+    }
+  }
+
+  return best;
+};
+
+module.exports = {
+  haversineDistance,
+  decodePolyline,
+  encodePolyline,
+  getCumulativeDistances,
+  locateOnRoute
+};
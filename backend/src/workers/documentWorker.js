@@ -11,6 +11,7 @@
 const { Worker } = require('bullmq');
 const Driver = require('../models/Driver');
 const s3Service = require('../services/s3Service');
+const documentOcrService = require('../services/documentOcrService');
 const { QUEUE_NAME } = require('../queues/documentQueue');
 
 // Worker configuration
@@ -168,6 +169,15 @@ const processDocument = async (job) => {
     // Status remains 'pending' until admin review
   });
 
+  // Step 4: Read license, RC and Aadhaar photos and cross-check the profile
+  // OCR only assists reviewers, so a failure here must not fail the job
+  let ocr = null;
+  try {
+    ocr = await documentOcrService.runDocumentOcr({ driverId, documentId });
+  } catch (error) {
+    console.error(`OCR failed for document ${documentId}:`, error.message);
+  }
+
   console.log(`Document ${documentId} processed successfully`);
 
   return {
@@ -175,6 +185,7 @@ const processDocument = async (job) => {
     documentId,
     documentType,
     metadata,
+    ocr: ocr && { status: ocr.status, confidence: ocr.confidence, fastTrack: ocr.fastTrack },
     processedAt: metadata.processedAt
   };
 };
@@ -237,6 +248,7 @@ const getDocumentWorker = () => documentWorker;
 const closeWorker = async () => {
   if (documentWorker) {
     await documentWorker.close();
+    await documentOcrService.terminateOcrEngine();
     documentWorker = null;
     console.log('Document worker closed');
   }
@@ -8,6 +8,7 @@
 const { Worker } = require('bullmq');
 const { QUEUE_NAME, notifyAdminPayoutFailure } = require('../queues/payoutQueue');
 const cashfreeService = require('../services/cashfreeService');
+const payoutService = require('../services/payoutService');
 const Transaction = require('../models/Transaction');
 const Driver = require('../models/Driver');
 
@@ -41,12 +42,21 @@ const processPayoutJob = async (job) => {
     amount, 
     beneficiaryId, 
     transactionId,
+    payoutId,
     retryCount = 0 
   } = job.data;
 
   console.log(`[PayoutWorker] Processing payout job ${job.id} for driver ${driverId}, attempt ${retryCount + 1}`);
 
   try {
+    // Batched driver payouts retry through payoutService, which checks the
+    // previous transfer and reuses stable transfer IDs so nothing is paid twice
+    if (payoutId) {
+      const retry = await payoutService.retryPayoutTransfer(payoutId);
+      console.log(`[PayoutWorker] Payout ${payoutId} retry for driver ${driverId}: ${retry.action}`);
+      return { success: true, action: retry.action, transferId: retry.transfer?.transferId, amount };
+    }
+
     // Generate unique transfer ID for this attempt
     const transferId = `PAYOUT_${tripId}_RETRY_${Date.now()}`;
     
@@ -130,7 +140,12 @@ const onJobCompleted = async (job, result) => {
 const onJobFailed = async (job, error) => {
   console.error(`[PayoutWorker] Job ${job.id} failed permanently:`, error.message);
 
-  const { tripId, driverId, amount, transactionId, retryCount } = job.data;
+  const { tripId, driverId, amount, transactionId, payoutId, retryCount } = job.data;
+
+  // Return batched earnings to the driver's pending balance once retries are used up
+  if (payoutId && job.attemptsMade >= (job.opts?.attempts || 1)) {
+    await payoutService.failPayout(payoutId, error.message);
+  }
 
   // Update transaction status to failed
   if (transactionId) {
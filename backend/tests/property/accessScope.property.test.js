@@ -0,0 +1,239 @@
+/**
+ * Property-based tests for Staff Access Scopes
+ * Tests region scoping, ticket queue visibility and per-role refund caps
+ *
+ * **Feature: staff-access-scope**
+ */
+const fc = require('fast-check');
+const {
+  DEFAULT_ROLE_POLICIES,
+  TICKET_QUEUES,
+  mergeRolePolicy,
+  resolveAccessScope,
+  buildUserScopeFilter,
+  isUserInScope,
+  buildTicketScopeFilter,
+  isTicketInScope,
+  isRefundWithinLimit,
+  inferCityFromAddresses
+} = require('../../src/services/accessScopeService');
+const { buildAdminUserSearchQuery } = require('../../src/services/staffService');
+
+const STAFF_ID = '64b000000000000000000001';
+const OTHER_ID = '64b000000000000000000002';
+const CITIES = ['Hyderabad', 'Bengaluru', 'Chennai', 'Mumbai', 'Pune', 'Delhi'];
+
+const staffArb = fc.record({
+  role: fc.constantFrom('operations', 'customer_support', 'finance', 'admin'),
+  cities: fc.subarray(CITIES),
+  ticketQueues: fc.subarray(TICKET_QUEUES)
+}).map(({ role, cities, ticketQueues }) => ({
+  _id: STAFF_ID,
+  isStaff: true,
+  role,
+  staffScope: { cities, ticketQueues }
+}));
+
+const scopeOf = (staff, stored = null) => resolveAccessScope(staff, mergeRolePolicy(staff.role, stored));
+
+/**
+ * Case-insensitive exact match of a city against a Mongo $in of regexes
+ */
+const matchesFilter = (filter, user) => {
+  if (!filter.city) return true;
+  return filter.city.$in.some(regex => regex.test(user.city || ''));
+};
+
+describe('Staff Access Scope - Property Tests', () => {
+  /**
+   * Region-scoped staff see exactly the users in their cities; the query
+   * filter and the single-record check agree
+   */
+  it('Property 1: Users are visible only inside assigned cities', () => {
+    fc.assert(
+      fc.property(
+        staffArb,
+        fc.option(fc.constantFrom(...CITIES), { nil: undefined }),
+        fc.constantFrom('lower', 'upper', 'same'),
+        (staff, city, casing) => {
+          const scope = scopeOf(staff);
+          const shown = city && (casing === 'lower' ? city.toLowerCase() : casing === 'upper' ? city.toUpperCase() : city);
+          const user = { city: shown };
+
+          const expected = staff.staffScope.cities.length === 0 || staff.staffScope.cities.includes(city);
+          expect(isUserInScope(scope, user)).toBe(expected);
+          expect(matchesFilter(buildUserScopeFilter(scope), user)).toBe(expected);
+          return true;
+        }
+      ),
+      { numRuns: 300 }
+    );
+
+    // City names are matched literally, not as patterns
+    const dotted = scopeOf({ _id: STAFF_ID, isStaff: true, role: 'operations', staffScope: { cities: ['St. Louis'] } });
+    expect(matchesFilter(buildUserScopeFilter(dotted), { city: 'StX Louis' })).toBe(false);
+  });
+
+  /**
+   * Queue-scoped roles see tickets assigned to them or in their queues;
+   * everyone else sees all tickets
+   */
+  it('Property 2: Ticket visibility follows assignment and queues', () => {
+    fc.assert(
+      fc.property(
+        staffArb,
+        fc.constantFrom(...TICKET_QUEUES),
+        fc.constantFrom(STAFF_ID, OTHER_ID, null),
+        fc.option(fc.constantFrom('all', 'assigned_or_queue'), { nil: undefined }),
+        (staff, category, assignedTo, visibility) => {
+          const scope = scopeOf(staff, visibility ? { ticketVisibility: visibility } : null);
+          const ticket = { category, assignedTo };
+
+          const effective = visibility || DEFAULT_ROLE_POLICIES[staff.role].ticketVisibility;
+          const expected = effective === 'all'
+            || assignedTo === STAFF_ID
+            || staff.staffScope.ticketQueues.includes(category);
+
+          expect(isTicketInScope(scope, ticket)).toBe(expected);
+
+          const filter = buildTicketScopeFilter(scope);
+          if (effective === 'all') {
+            expect(filter).toEqual({});
+          } else {
+            const matches = filter.$or.some(condition =>
+              (condition.assignedTo && assignedTo !== null && condition.assignedTo.toString() === assignedTo)
+              || (condition.category && condition.category.$in.includes(category))
+            );
+            expect(matches).toBe(expected);
+          }
+          return true;
+        }
+      ),
+      { numRuns: 300 }
+    );
+  });
+
+  /**
+   * Refunds are allowed up to the role cap; a null cap means unlimited
+   */
+  it('Property 3: Refunds are capped per role', () => {
+    fc.assert(
+      fc.property(
+        staffArb,
+        fc.integer({ min: 1, max: 10000000 }).map(p => p / 100),
+        fc.option(fc.oneof(fc.constant(null), fc.integer({ min: 0, max: 100000 })), { nil: undefined }),
+        (staff, amount, storedLimit) => {
+          const scope = scopeOf(staff, storedLimit === undefined ? null : { refundLimit: storedLimit });
+          const limit = storedLimit === undefined ? DEFAULT_ROLE_POLICIES[staff.role].refundLimit : storedLimit;
+
+          expect(isRefundWithinLimit(scope, amount)).toBe(limit === null || amount <= limit);
+          if (limit !== null) {
+            expect(isRefundWithinLimit(scope, limit)).toBe(true);
+          }
+          return true;
+        }
+      ),
+      { numRuns: 300 }
+    );
+  });
+
+  /**
+   * Super admins and non-staff callers are never scoped
+   */
+  it('Property 4: Super admins are unrestricted', () => {
+    fc.assert(
+      fc.property(staffArb, fc.constantFrom(...TICKET_QUEUES), fc.double({ min: 0, max: 1e9, noNaN: true }), (staff, category, amount) => {
+        const superAdmin = { ...staff, role: 'super_admin' };
+        const scope = resolveAccessScope(superAdmin, null);
+
+        expect(scope.unrestricted).toBe(true);
+        expect(buildUserScopeFilter(scope)).toEqual({});
+        expect(buildTicketScopeFilter(scope)).toEqual({});
+        expect(isUserInScope(scope, { city: 'Nowhere' })).toBe(true);
+        expect(isTicketInScope(scope, { category, assignedTo: OTHER_ID })).toBe(true);
+        expect(isRefundWithinLimit(scope, amount)).toBe(true);
+        return true;
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  /**
+   * The admin user picker applies the same region filter as the other
+   * user routes, for drivers and passengers, with or without a search term
+   */
+  it('Property 5: User search never returns users outside assigned cities', () => {
+    fc.assert(
+      fc.property(
+        staffArb,
+        fc.constantFrom('driver', 'passenger', undefined),
+        fc.option(fc.constantFrom('ra', 'Priya', '98'), { nil: undefined }),
+        fc.constantFrom(...CITIES),
+        (staff, type, query, city) => {
+          const scope = scopeOf(staff);
+          const filter = buildAdminUserSearchQuery({ type, query }, scope);
+
+          const expected = staff.staffScope.cities.length === 0 || staff.staffScope.cities.includes(city);
+          expect(matchesFilter(filter, { city })).toBe(expected);
+          expect(filter.$or !== undefined).toBe(query !== undefined);
+          if (type !== 'driver') {
+            expect(filter.role).toBe('passenger');
+          }
+          return true;
+        }
+      ),
+      { numRuns: 300 }
+    );
+
+    const scoped = scopeOf({ _id: STAFF_ID, isStaff: true, role: 'customer_support', staffScope: { cities: ['Hyderabad'] } });
+    const filter = buildAdminUserSearchQuery({ type: 'passenger', query: 'Priya' }, scoped);
+    expect(matchesFilter(filter, { city: 'Mumbai' })).toBe(false);
+    expect(matchesFilter(filter, { city: 'hyderabad' })).toBe(true);
+  });
+
+  /**
+   * Driver and document listings filter on the looked-up user; the prefixed
+   * filter selects the same users as the plain one
+   */
+  it('Property 6: Prefixed scope filters match the nested user city', () => {
+    fc.assert(
+      fc.property(staffArb, fc.constantFrom(...CITIES), (staff, city) => {
+        const scope = scopeOf(staff);
+        const plain = buildUserScopeFilter(scope);
+        const nested = buildUserScopeFilter(scope, 'user.');
+
+        expect(Object.keys(nested)).toEqual(Object.keys(plain).map(key => `user.${key}`));
+        expect(matchesFilter({ city: nested['user.city'] }, { city })).toBe(matchesFilter(plain, { city }));
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Users without a city get the candidate city their addresses mention
+   * most often (newest first on ties), and never one outside the candidates
+   */
+  it('Property 7: Inferred cities are the most mentioned candidate', () => {
+    const addressArb = fc.constantFrom(...CITIES, 'Vizag').map(city => `12 Main Road, ${city}, India`);
+
+    fc.assert(
+      fc.property(fc.array(addressArb, { maxLength: 12 }), fc.subarray(CITIES), (addresses, candidates) => {
+        const city = inferCityFromAddresses(addresses, candidates);
+        const mentions = (name) => addresses.filter(a => a.toLowerCase().includes(name.toLowerCase())).length;
+
+        if (city === null) {
+          candidates.forEach(candidate => expect(mentions(candidate)).toBe(0));
+        } else {
+          expect(candidates).toContain(city);
+          candidates.forEach(candidate => expect(mentions(candidate)).toBeLessThanOrEqual(mentions(city)));
+        }
+        return true;
+      }),
+      { numRuns: 300 }
+    );
+
+    expect(inferCityFromAddresses(['Gachibowli, HYDERABAD', 'Koramangala, Bengaluru'], ['Bengaluru', 'Hyderabad'])).toBe('Hyderabad');
+    expect(inferCityFromAddresses([], ['Hyderabad'])).toBeNull();
+  });
+});
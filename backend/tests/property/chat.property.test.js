@@ -0,0 +1,123 @@
+/**
+ * Property-based tests for Trip Chat
+ * Tests contact-detail redaction, moderation and the chat open window
+ *
+ * **Feature: trip-chat**
+ */
+const fc = require('fast-check');
+const {
+  CHAT_CLOSE_HOURS,
+  redactContactDetails,
+  moderateText,
+  processMessageText,
+  getChatWindow
+} = require('../../src/services/chatService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const digitsArbitrary = (length) => fc.array(fc.integer({ min: 0, max: 9 }), { minLength: length, maxLength: length })
+  .map(digits => digits.join(''));
+
+// 10-digit Indian mobile number, optionally prefixed and split by spaces or dashes
+const phoneArbitrary = fc.tuple(
+  fc.integer({ min: 6, max: 9 }),
+  digitsArbitrary(9),
+  fc.constantFrom('', '+91', '+91 ', '91', '0'),
+  fc.constantFrom('', ' ', '-')
+).map(([first, rest, prefix, separator]) => {
+  const number = `${first}${rest}`;
+  return prefix + [number.slice(0, 5), number.slice(5)].join(separator);
+});
+
+const upiArbitrary = fc.tuple(
+  fc.stringMatching(/^[a-z0-9.]{3,12}$/),
+  fc.constantFrom('okaxis', 'ybl', 'paytm', 'oksbi', 'upi')
+).map(([handle, bank]) => `${handle}@${bank}`);
+
+const wordsArbitrary = fc.array(fc.constantFrom('near', 'the', 'gate', 'blue', 'car', 'reach'), { maxLength: 5 })
+  .map(words => words.join(' '));
+
+describe('Trip Chat - Property Tests', () => {
+  describe('Contact detail redaction', () => {
+    it('removes every digit of a phone number embedded in a message', () => {
+      fc.assert(
+        fc.property(wordsArbitrary, phoneArbitrary, wordsArbitrary, (before, phone, after) => {
+          const { text, redactionTypes } = redactContactDetails(`${before} ${phone} ${after}`);
+          return !/\d/.test(text) && redactionTypes.includes('phone');
+        }),
+        { numRuns: 200 }
+      );
+    });
+
+    it('removes UPI IDs embedded in a message', () => {
+      fc.assert(
+        fc.property(wordsArbitrary, upiArbitrary, wordsArbitrary, (before, upi, after) => {
+          const { text, redactionTypes } = redactContactDetails(`${before} pay ${upi} ${after}`);
+          return !text.includes(upi) && !text.includes('@') && redactionTypes.includes('upi');
+        }),
+        { numRuns: 200 }
+      );
+    });
+
+    it('leaves messages without contact details unchanged', () => {
+      fc.assert(
+        fc.property(wordsArbitrary, fc.integer({ min: 1, max: 99999 }), (words, number) => {
+          const message = `${words} in ${number} minutes`;
+          const { text, redactionTypes } = redactContactDetails(message);
+          return text === message && redactionTypes.length === 0;
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('labels emails separately from UPI IDs', () => {
+      const { text, redactionTypes } = redactContactDetails('mail me at rider.one@gmail.com');
+      expect(text).toBe('mail me at [email hidden]');
+      expect(redactionTypes).toEqual(['email']);
+    });
+  });
+
+  describe('Moderation', () => {
+    it('masks abusive words and flags the message', () => {
+      const { text, flagReasons } = moderateText('you are an idiot');
+      expect(text).toBe('you are an i****');
+      expect(flagReasons).toEqual(['abusive_language']);
+    });
+
+    it('flags off-platform payment requests without changing the text', () => {
+      const result = processMessageText('Please pay me in cash, not through the app');
+      expect(result.text).toBe('Please pay me in cash, not through the app');
+      expect(result.moderation.flagged).toBe(true);
+      expect(result.moderation.flagReasons).toEqual(['off_platform_payment']);
+    });
+  });
+
+  describe('Chat window', () => {
+    const acceptedBooking = { status: 'confirmed' };
+
+    it('is closed until the booking is accepted', () => {
+      const trip = { status: 'scheduled' };
+      expect(getChatWindow(trip, { status: 'pending', driverResponse: { status: 'pending' } }).isOpen).toBe(false);
+      expect(getChatWindow(trip, { status: 'pending', driverResponse: { status: 'accepted' } }).isOpen).toBe(true);
+      expect(getChatWindow(trip, acceptedBooking).isOpen).toBe(true);
+    });
+
+    it('closes for cancelled bookings and trips', () => {
+      expect(getChatWindow({ status: 'scheduled' }, { status: 'cancelled' }).reason).toBe('BOOKING_CANCELLED');
+      expect(getChatWindow({ status: 'cancelled' }, acceptedBooking).reason).toBe('TRIP_CANCELLED');
+    });
+
+    it('stays open exactly until the close window after completion', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 0, max: 3 * CHAT_CLOSE_HOURS * 60 }), (minutesAfter) => {
+          const completedAt = new Date('2025-06-01T10:00:00Z');
+          const now = new Date(completedAt.getTime() + minutesAfter * 60 * 1000);
+          const window = getChatWindow({ status: 'completed', completedAt }, acceptedBooking, now);
+          return window.isOpen === (minutesAfter * 60 * 1000 < CHAT_CLOSE_HOURS * HOUR_MS) &&
+            window.closesAt.getTime() === completedAt.getTime() + CHAT_CLOSE_HOURS * HOUR_MS;
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
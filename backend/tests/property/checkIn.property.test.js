@@ -0,0 +1,144 @@
+/**
+ * Property-based tests for Trusted-contact Check-ins
+ * Tests night-hour detection, auto-enable rules and the overdue escalation
+ * timing (contacts after ETA plus grace, support after the second timeout)
+ *
+ * **Feature: trusted-contact-check-in**
+ */
+const fc = require('fast-check');
+const {
+  isNightDeparture,
+  getAutoEnableReason,
+  evaluateCheckIn
+} = require('../../src/services/checkInService');
+
+const CONFIG = {
+  graceMinutes: 15,
+  supportTimeoutMinutes: 10,
+  nightStartHour: 22,
+  nightEndHour: 6
+};
+const MINUTE = 60 * 1000;
+
+// IST is UTC+5:30, so build departures from an IST hour and minute
+const istDate = (hour, minute) => new Date(Date.UTC(2026, 2, 1, hour, minute) - 330 * MINUTE);
+
+describe('Check-ins - Property Tests', () => {
+  /**
+   * Night hours are matched in IST, including ranges that wrap midnight
+   */
+  it('Property 1: Night departures follow the configured IST hour range', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 0, max: 23 }),
+        fc.integer({ min: 0, max: 59 }),
+        fc.integer({ min: 0, max: 23 }),
+        fc.integer({ min: 0, max: 23 }),
+        (hour, minute, nightStartHour, nightEndHour) => {
+          const config = { nightStartHour, nightEndHour };
+          const hours = [];
+          for (let h = nightStartHour; h !== nightEndHour; h = (h + 1) % 24) hours.push(h);
+
+          expect(isNightDeparture(istDate(hour, minute), config)).toBe(hours.includes(hour));
+          return true;
+        }
+      ),
+      { numRuns: 300 }
+    );
+
+    expect(isNightDeparture(null, CONFIG)).toBe(false);
+  });
+
+  /**
+   * Ladies-only rides always auto-enable; other rides only at night
+   */
+  it('Property 2: Auto-enable applies to ladies-only rides and night departures', () => {
+    fc.assert(
+      fc.property(
+        fc.boolean(),
+        fc.boolean(),
+        fc.integer({ min: 0, max: 23 }),
+        (ladiesOnly, isWomenOnly, hour) => {
+          const trip = { ladiesOnly, isWomenOnly, scheduledAt: istDate(hour, 30) };
+          const night = hour >= 22 || hour < 6;
+
+          const expected = ladiesOnly || isWomenOnly ? 'ladies_only' : night ? 'night_hours' : null;
+          expect(getAutoEnableReason(trip, CONFIG)).toBe(expected);
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+
+    expect(getAutoEnableReason(null, CONFIG)).toBeNull();
+  });
+
+  /**
+   * Contacts are notified exactly once the ETA plus grace has passed
+   */
+  it('Property 3: Contacts are due only after the ETA plus grace window', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 1600000000000, max: 1900000000000 }),
+        fc.integer({ min: -120, max: 120 }),
+        (expectedArrival, minutesAfter) => {
+          const checkIn = { status: 'monitoring', expectedArrivalAt: new Date(expectedArrival) };
+          const now = expectedArrival + minutesAfter * MINUTE;
+
+          expect(evaluateCheckIn(checkIn, now, CONFIG))
+            .toBe(minutesAfter >= CONFIG.graceMinutes ? 'notify_contacts' : null);
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Support is alerted only after the second timeout following contact notification
+   */
+  it('Property 4: Support is due only after the second timeout', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 1600000000000, max: 1900000000000 }),
+        fc.integer({ min: 0, max: 60 }),
+        (contactsNotifiedAt, minutesAfter) => {
+          const checkIn = {
+            status: 'contacts_notified',
+            expectedArrivalAt: new Date(contactsNotifiedAt - CONFIG.graceMinutes * MINUTE),
+            contactsNotifiedAt: new Date(contactsNotifiedAt)
+          };
+          const now = contactsNotifiedAt + minutesAfter * MINUTE;
+
+          expect(evaluateCheckIn(checkIn, now, CONFIG))
+            .toBe(minutesAfter >= CONFIG.supportTimeoutMinutes ? 'alert_support' : null);
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Arrived, inactive and already-escalated check-ins never escalate again
+   */
+  it('Property 5: Closed check-ins never escalate', () => {
+    fc.assert(
+      fc.property(
+        fc.constantFrom('inactive', 'arrived', 'support_alerted'),
+        fc.integer({ min: 0, max: 1e6 }),
+        (status, minutesAfter) => {
+          const checkIn = {
+            status,
+            expectedArrivalAt: new Date(0),
+            contactsNotifiedAt: new Date(0)
+          };
+
+          expect(evaluateCheckIn(checkIn, minutesAfter * MINUTE, CONFIG)).toBeNull();
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Property-based tests for Coupon Engine
+ * Tests discount calculation, eligibility rules and invoice discount rendering
+ *
+ * **Feature: promo-code-coupons**
+ */
+const fc = require('fast-check');
+const {
+  calculateCouponDiscount,
+  checkCouponEligibility,
+  findFreeRedemptionSlot
+} = require('../../src/services/couponService');
+const CouponRedemption = require('../../src/models/CouponRedemption');
+const { calculateFareBreakdown } = require('../../src/services/invoiceService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const couponArbitrary = fc.oneof(
+  fc.record({
+    discountType: fc.constant('flat'),
+    discountValue: fc.integer({ min: 1, max: 1000 }),
+    maxDiscount: fc.option(fc.integer({ min: 0, max: 500 }), { nil: undefined })
+  }),
+  fc.record({
+    discountType: fc.constant('percentage'),
+    discountValue: fc.integer({ min: 1, max: 100 }),
+    maxDiscount: fc.option(fc.integer({ min: 0, max: 500 }), { nil: undefined })
+  })
+);
+
+const fareArbitrary = fc.integer({ min: 1, max: 10000 });
+
+const buildCoupon = (overrides = {}) => ({
+  discountType: 'flat',
+  discountValue: 50,
+  minFare: 0,
+  validFrom: new Date(Date.now() - DAY_MS),
+  validUntil: new Date(Date.now() + DAY_MS),
+  usageLimit: null,
+  usageCount: 0,
+  perUserLimit: 1,
+  firstRideOnly: false,
+  eligibleTiers: [],
+  isActive: true,
+  ...overrides
+});
+
+describe('Coupon Engine - Property Tests', () => {
+  describe('Discount calculation', () => {
+    it('discount is never negative and never exceeds the fare or the cap', () => {
+      fc.assert(
+        fc.property(couponArbitrary, fareArbitrary, (coupon, fare) => {
+          const discount = calculateCouponDiscount(coupon, fare);
+          const withinCap = coupon.maxDiscount === undefined || discount <= coupon.maxDiscount;
+          return Number.isInteger(discount) && discount >= 0 && discount <= fare && withinCap;
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('percentage discount matches the rounded percentage of the fare when uncapped', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 1, max: 100 }), fareArbitrary, (percent, fare) => {
+          const discount = calculateCouponDiscount({ discountType: 'percentage', discountValue: percent }, fare);
+          return discount === Math.round(fare * percent / 100);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('returns zero for invalid fares', () => {
+      const coupon = { discountType: 'flat', discountValue: 100 };
+      expect(calculateCouponDiscount(coupon, 0)).toBe(0);
+      expect(calculateCouponDiscount(coupon, -10)).toBe(0);
+      expect(calculateCouponDiscount(coupon, NaN)).toBe(0);
+      expect(calculateCouponDiscount(null, 500)).toBe(0);
+    });
+  });
+
+  describe('Eligibility rules', () => {
+    it('accepts a valid coupon for any fare above the minimum', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 0, max: 500 }), fc.integer({ min: 0, max: 5000 }), (minFare, extra) => {
+          const result = checkCouponEligibility(buildCoupon({ minFare }), { fare: minFare + extra });
+          return result.eligible === true && result.code === null;
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('rejects fares below the minimum', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 2, max: 5000 }), (minFare) => {
+          const result = checkCouponEligibility(buildCoupon({ minFare }), { fare: minFare - 1 });
+          return !result.eligible && result.code === 'COUPON_MIN_FARE_NOT_MET';
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('rejects once the global or per-user limit is reached', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 1, max: 50 }), fc.integer({ min: 1, max: 5 }), (usageLimit, perUserLimit) => {
+          const globalResult = checkCouponEligibility(
+            buildCoupon({ usageLimit, usageCount: usageLimit }),
+            { fare: 500 }
+          );
+          const userResult = checkCouponEligibility(
+            buildCoupon({ perUserLimit }),
+            { fare: 500, userRedemptions: perUserLimit }
+          );
+          return globalResult.code === 'COUPON_USAGE_LIMIT_REACHED' &&
+            userResult.code === 'COUPON_USER_LIMIT_REACHED';
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('enforces the validity window', () => {
+      const now = new Date();
+      const notStarted = buildCoupon({ validFrom: new Date(now.getTime() + DAY_MS) });
+      const expired = buildCoupon({ validUntil: new Date(now.getTime() - 1) });
+
+      expect(checkCouponEligibility(notStarted, { fare: 500, now }).code).toBe('COUPON_NOT_STARTED');
+      expect(checkCouponEligibility(expired, { fare: 500, now }).code).toBe('COUPON_EXPIRED');
+      expect(checkCouponEligibility(buildCoupon({ isActive: false }), { fare: 500 }).code).toBe('COUPON_INACTIVE');
+    });
+
+    it('first-ride coupons are only valid without previous rides', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 0, max: 20 }), (previousRides) => {
+          const result = checkCouponEligibility(buildCoupon({ firstRideOnly: true }), { fare: 500, previousRides });
+          return result.eligible === (previousRides === 0);
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    it('tier-restricted coupons are only valid for listed tiers', () => {
+      const tierArbitrary = fc.constantFrom('normal', 'silver', 'gold');
+      fc.assert(
+        fc.property(fc.uniqueArray(tierArbitrary, { minLength: 1, maxLength: 3 }), tierArbitrary, (tiers, planId) => {
+          const result = checkCouponEligibility(buildCoupon({ eligibleTiers: tiers }), { fare: 500, planId });
+          return result.eligible === tiers.includes(planId);
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Per-user redemption slots', () => {
+    it('a user never holds more reserved slots than the per-user limit', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 1, max: 5 }),
+          fc.array(fc.boolean(), { maxLength: 30 }),
+          (perUserLimit, operations) => {
+            // true = a booking claims a slot, false = the oldest reservation is released
+            const held = [];
+            for (const claim of operations) {
+              if (claim) {
+                const slot = findFreeRedemptionSlot(held, perUserLimit);
+                if (slot === null) {
+                  expect(held.length).toBe(perUserLimit);
+                } else {
+                  expect(held).not.toContain(slot);
+                  expect(slot).toBeLessThan(perUserLimit);
+                  held.push(slot);
+                }
+              } else if (held.length > 0) {
+                held.shift();
+              }
+              expect(held.length).toBeLessThanOrEqual(perUserLimit);
+            }
+            return true;
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('reserved slots and bookings are unique at the database level', () => {
+      const uniqueIndexes = CouponRedemption.schema.indexes()
+        .filter(([, options]) => options.unique)
+        .map(([fields, options]) => ({ fields, partial: options.partialFilterExpression }));
+
+      expect(uniqueIndexes).toContainEqual({
+        fields: { couponId: 1, userId: 1, slot: 1 },
+        partial: { status: 'reserved' }
+      });
+      expect(uniqueIndexes).toContainEqual({
+        fields: { bookingId: 1 },
+        partial: { status: 'reserved' }
+      });
+    });
+  });
+
+  describe('Invoice discount', () => {
+    it('invoice total equals fare minus discount and components still sum to the fare', () => {
+      fc.assert(
+        fc.property(fareArbitrary, fc.integer({ min: 0, max: 10000 }), (fare, discount) => {
+          const breakdown = calculateFareBreakdown(fare, discount, 'SAVE50');
+          const components = breakdown.baseFare + breakdown.distanceCharge + breakdown.taxes;
+          return components === fare &&
+            breakdown.discount === Math.min(discount, fare) &&
+            breakdown.total === fare - breakdown.discount &&
+            (breakdown.discount === 0 || breakdown.couponCode === 'SAVE50');
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Property-based tests for Document OCR
+ * Tests field extraction, profile cross-checks and fast-track scoring
+ *
+ * **Feature: document-ocr**
+ */
+const fc = require('fast-check');
+const {
+  extractLicenseNumber,
+  extractRegistrationNumber,
+  extractExpiryDate,
+  extractName,
+  extractAadhaarLast4,
+  compareNames,
+  compareIdentifiers,
+  analyzeDocumentText
+} = require('../../src/services/documentOcrService');
+
+const STATES = ['MH', 'KA', 'TS', 'DL', 'TN', 'GJ'];
+const FIRST_NAMES = ['RAVI', 'PRIYA', 'ARJUN', 'MEERA', 'SURESH', 'ANITA'];
+const LAST_NAMES = ['KUMAR', 'SHARMA', 'REDDY', 'IYER', 'PATEL', 'NAIR'];
+const NOW = new Date(Date.UTC(2026, 5, 1));
+
+const digits = (length) => fc.array(fc.integer({ min: 0, max: 9 }), { minLength: length, maxLength: length }).map(d => d.join(''));
+
+const licenseArb = fc.record({
+  state: fc.constantFrom(...STATES),
+  rto: digits(2),
+  year: fc.integer({ min: 1990, max: 2025 }),
+  serial: digits(7)
+}).map(({ state, rto, year, serial }) => `${state}${rto}${year}${serial}`);
+
+const registrationArb = fc.record({
+  state: fc.constantFrom(...STATES),
+  district: digits(2),
+  series: fc.stringMatching(/^[A-Z]{1,2}$/),
+  number: digits(4)
+}).map(({ state, district, series, number }) => `${state}${district}${series}${number}`);
+
+const nameArb = fc.tuple(fc.constantFrom(...FIRST_NAMES), fc.constantFrom(...LAST_NAMES)).map(parts => parts.join(' '));
+
+const dateArb = fc.date({ min: new Date(Date.UTC(2027, 0, 1)), max: new Date(Date.UTC(2045, 11, 31)), noInvalidDate: true })
+  .map(d => new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate())));
+
+const formatDate = (d) => [
+  String(d.getUTCDate()).padStart(2, '0'),
+  String(d.getUTCMonth() + 1).padStart(2, '0'),
+  d.getUTCFullYear()
+].join('/');
+
+// Spaced the way licences print it: MH12 2011 0012345
+const spaceLicense = (n) => `${n.slice(0, 4)} ${n.slice(4, 8)} ${n.slice(8)}`;
+
+const licenseText = ({ license, name, expiry }) => [
+  'INDIAN UNION DRIVING LICENCE',
+  `DL No. ${spaceLicense(license)}`,
+  'DOI: 12/03/2015',
+  `Valid Till: ${formatDate(expiry)}`,
+  `Name: ${name}`,
+  'S/O: RAMESH KUMAR',
+  'DOB: 04/07/1990'
+].join('\n');
+
+describe('Document OCR - Property Tests', () => {
+  /**
+   * Licence, registration and expiry fields are read back exactly from
+   * printed documents, including common letter-for-digit OCR slips
+   */
+  it('Property 1: Printed fields are extracted', () => {
+    fc.assert(
+      fc.property(licenseArb, registrationArb, nameArb, dateArb, fc.boolean(), (license, registration, name, expiry, slip) => {
+        // OCR reading 0 as O in the numeric part
+        const printed = slip ? license.slice(0, 2) + license.slice(2).replace(/0/g, 'O') : license;
+        const text = licenseText({ license: printed, name, expiry });
+
+        expect(extractLicenseNumber(text)).toBe(license);
+        expect(extractExpiryDate('license', text)).toEqual(expiry);
+        expect(extractName('license', text)).toBe(name);
+
+        const rcText = [
+          'CERTIFICATE OF REGISTRATION',
+          `Regn. No: ${registration.slice(0, 2)} ${registration.slice(2)}`,
+          'Date of Regn: 10/10/2019',
+          `Regn. Validity: ${formatDate(expiry)}`,
+          `Owner Name: ${name}`
+        ].join('\n');
+        expect(extractRegistrationNumber(rcText)).toBe(registration);
+        expect(extractExpiryDate('registration', rcText)).toEqual(expiry);
+        expect(extractName('registration', rcText)).toBe(name);
+        return true;
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Aadhaar reads keep only the last four digits and take the name above
+   * the date of birth
+   */
+  it('Property 2: Aadhaar keeps only the last four digits', () => {
+    fc.assert(
+      fc.property(digits(12), nameArb, (aadhaar, name) => {
+        const text = [
+          'GOVERNMENT OF INDIA',
+          name,
+          'DOB: 04/07/1990',
+          'MALE',
+          `${aadhaar.slice(0, 4)} ${aadhaar.slice(4, 8)} ${aadhaar.slice(8)}`
+        ].join('\n');
+
+        const analysis = analyzeDocumentText({ type: 'kyc', text, engineConfidence: 90, profile: { name }, now: NOW });
+        expect(extractAadhaarLast4(text)).toBe(aadhaar.slice(8));
+        expect(analysis.extracted.aadhaarLast4).toBe(aadhaar.slice(8));
+        expect(JSON.stringify(analysis)).not.toContain(aadhaar);
+        expect(analysis.checks.name).toBe('match');
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Names match regardless of case, honorifics and initials; unrelated
+   * names never match
+   */
+  it('Property 3: Name comparison tolerates formatting only', () => {
+    fc.assert(
+      fc.property(fc.constantFrom(...FIRST_NAMES), fc.constantFrom(...LAST_NAMES), fc.constantFrom(...LAST_NAMES), (first, last, other) => {
+        const full = `${first} ${last}`;
+        expect(compareNames(`Mr. ${full.toLowerCase()}`, full)).toBe('match');
+        expect(compareNames(`${first[0]}. ${last}`, full)).toBe('match');
+        expect(compareNames(`${first} ${other} ${last}`, full)).toBe('partial');
+        expect(compareNames('', full)).toBe('missing');
+
+        const stranger = FIRST_NAMES.find(n => n !== first);
+        const strangerLast = LAST_NAMES.find(n => n !== last);
+        expect(compareNames(`${stranger} ${strangerLast}`, full)).toBe('mismatch');
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Identifiers match ignoring spacing, a single-character slip is partial
+   * and anything else is a mismatch
+   */
+  it('Property 4: Identifier comparison', () => {
+    fc.assert(
+      fc.property(registrationArb, registrationArb, (value, other) => {
+        expect(compareIdentifiers(value, [`${value.slice(0, 2)}-${value.slice(2, 4)} ${value.slice(4)}`.toLowerCase()])).toBe('match');
+        expect(compareIdentifiers(null, [value])).toBe('missing');
+        expect(compareIdentifiers(value, [])).toBe('not_applicable');
+
+        const slipped = value.slice(0, -1) + (value.endsWith('1') ? '2' : '1');
+        expect(compareIdentifiers(slipped, [value])).toBe('partial');
+        expect(compareIdentifiers(value, [other, value])).toBe('match');
+        return true;
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Only clean, confident reads that agree with the profile are fast-tracked;
+   * any mismatch caps confidence at 0.5 and is flagged
+   */
+  it('Property 5: Fast-track requires a clean, consistent read', () => {
+    fc.assert(
+      fc.property(
+        licenseArb, licenseArb, nameArb, dateArb,
+        fc.integer({ min: 0, max: 100 }),
+        fc.boolean(),
+        (license, otherLicense, name, expiry, engineConfidence, sameLicense) => {
+          const profileLicense = sameLicense ? license : otherLicense;
+          const analysis = analyzeDocumentText({
+            type: 'license',
+            text: licenseText({ license, name, expiry }),
+            engineConfidence,
+            profile: { name, licenseNumber: profileLicense },
+            now: NOW
+          });
+
+          expect(analysis.extracted.expiryDate).toEqual(expiry);
+          expect(analysis.confidence).toBeGreaterThanOrEqual(0);
+          expect(analysis.confidence).toBeLessThanOrEqual(1);
+
+          if (analysis.checks.licenseNumber === 'mismatch') {
+            expect(analysis.flags).toContain('license_number_mismatch');
+            expect(analysis.confidence).toBeLessThanOrEqual(0.5);
+            expect(analysis.fastTrack).toBe(false);
+          }
+          if (engineConfidence < 60) {
+            expect(analysis.flags).toContain('low_ocr_confidence');
+            expect(analysis.fastTrack).toBe(false);
+          }
+          if (profileLicense === license && engineConfidence >= 70) {
+            expect(analysis.flags).toEqual([]);
+            expect(analysis.fastTrack).toBe(true);
+          }
+          return true;
+        }
+      ),
+      { numRuns: 300 }
+    );
+  });
+
+  /**
+   * Expired documents and missing fields are always flagged
+   */
+  it('Property 6: Expired documents and missing fields are flagged', () => {
+    const expired = analyzeDocumentText({
+      type: 'license',
+      text: licenseText({ license: 'MH1220110012345', name: 'RAVI KUMAR', expiry: new Date(Date.UTC(2025, 0, 1)) }),
+      engineConfidence: 95,
+      profile: { name: 'Ravi Kumar', licenseNumber: 'MH12 20110012345' },
+      now: NOW
+    });
+    expect(expired.flags).toContain('document_expired');
+    expect(expired.fastTrack).toBe(false);
+
+    fc.assert(
+      fc.property(fc.constantFrom('license', 'registration', 'kyc'), fc.integer({ min: 0, max: 100 }), (type, engineConfidence) => {
+        const analysis = analyzeDocumentText({ type, text: 'BLURRED', engineConfidence, profile: { name: 'Ravi Kumar' }, now: NOW });
+        expect(analysis.flags).toContain('name_not_found');
+        expect(analysis.fastTrack).toBe(false);
+        return true;
+      }),
+      { numRuns: 50 }
+    );
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Property-based tests for Driver Payouts
+ * Tests trip earning amounts, payout cycles, minimum payouts, holds and
+ * monthly earnings statements
+ *
+ * **Feature: driver-payouts**
+ */
+const fc = require('fast-check');
+const { PDFDocument } = require('pdf-lib');
+const {
+  PAYOUT_HOUR_IST,
+  calculateTds,
+  calculateTripEarning,
+  isPayoutDue,
+  getNextPayoutAt,
+  meetsMinimumPayout,
+  splitPayableEarnings,
+  buildEarningsStatement,
+  getPayoutTransferId,
+  resolveRetryAction
+} = require('../../src/services/payoutService');
+const { renderEarningsStatementPdf, ROWS_PER_PAGE } = require('../../src/services/reportDocumentService');
+
+const instantArbitrary = fc.date({ min: new Date('2024-01-01'), max: new Date('2027-12-31'), noInvalidDate: true });
+
+const istDateKey = (date) => date.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+const istHour = (date) => Number(date.toLocaleString('en-GB', { timeZone: 'Asia/Kolkata', hour: '2-digit', hour12: false }));
+const istWeekday = (date) => date.toLocaleDateString('en-GB', { timeZone: 'Asia/Kolkata', weekday: 'short' });
+
+const tripEarningArbitrary = fc.record({
+  grossFare: fc.integer({ min: 100, max: 20000 }),
+  seats: fc.integer({ min: 1, max: 6 }),
+  advanceRatio: fc.integer({ min: 0, max: 50 }),
+  status: fc.constantFrom('pending', 'held', 'processing', 'paid'),
+  tripNumber: fc.nat(999999)
+}).map(({ grossFare, seats, advanceRatio, status, tripNumber }) => {
+  const platformFee = 15 * seats;
+  const advancePaid = Math.round((grossFare - platformFee) * advanceRatio / 100);
+  const { tdsAmount, netAmount } = calculateTripEarning({ grossFare, platformFee, advancePaid });
+  return {
+    kind: 'trip',
+    tripCode: `HR-2025-${String(tripNumber).padStart(6, '0')}`,
+    earnedAt: new Date('2025-03-15T10:00:00Z'),
+    grossFare,
+    platformFee,
+    tdsAmount,
+    advancePaid,
+    netAmount,
+    status
+  };
+});
+
+const adjustmentArbitrary = fc.record({
+  amount: fc.integer({ min: -500, max: 500 }).filter(a => a !== 0),
+  status: fc.constantFrom('pending', 'paid')
+}).map(({ amount, status }) => ({
+  kind: 'adjustment',
+  adjustmentAmount: amount,
+  netAmount: amount,
+  reason: 'Fuel bonus',
+  earnedAt: new Date('2025-03-20T10:00:00Z'),
+  status
+}));
+
+describe('Driver Payouts - Property Tests', () => {
+  /**
+   * Gross fare = platform fee + TDS + advance + amount still owed
+   */
+  it('Property 1: Trip earnings account for every rupee of the gross fare', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 30, max: 50000 }),
+        fc.integer({ min: 1, max: 6 }),
+        fc.integer({ min: 0, max: 100 }),
+        fc.constantFrom(0, 0.1, 1),
+        (grossFare, seats, advancePercent, tdsRatePercent) => {
+          const platformFee = Math.min(grossFare, 15 * seats);
+          const advancePaid = Math.floor((grossFare - platformFee) * advancePercent / 100);
+          const { tdsAmount, netAmount } = calculateTripEarning({ grossFare, platformFee, advancePaid, tdsRatePercent });
+
+          expect(tdsAmount).toBe(calculateTds(grossFare, tdsRatePercent));
+          expect(netAmount).toBeGreaterThanOrEqual(0);
+          if (netAmount > 0) {
+            expect(platformFee + tdsAmount + advancePaid + netAmount).toBeCloseTo(grossFare, 2);
+          }
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Daily payouts run once per IST day; weekly payouts once per IST week
+   */
+  it('Property 2: Payout cycles pay at most once per IST day or week', () => {
+    fc.assert(
+      fc.property(instantArbitrary, fc.integer({ min: 0, max: 14 * 24 * 60 }), (lastPayoutAt, minutesLater) => {
+        const now = new Date(lastPayoutAt.getTime() + minutesLater * 60000);
+
+        expect(isPayoutDue('instant', lastPayoutAt, now)).toBe(true);
+        expect(isPayoutDue('daily', null, now)).toBe(true);
+        expect(isPayoutDue('daily', lastPayoutAt, now)).toBe(istDateKey(lastPayoutAt) !== istDateKey(now));
+
+        const daysApart = minutesLater / (24 * 60);
+        if (isPayoutDue('weekly', lastPayoutAt, now)) {
+          // A new week started: today is Monday or a whole week has passed
+          expect(istWeekday(now) === 'Mon' || daysApart > 1).toBe(true);
+          expect(istDateKey(lastPayoutAt)).not.toBe(istDateKey(now));
+        }
+        if (daysApart >= 7) {
+          expect(isPayoutDue('weekly', lastPayoutAt, now)).toBe(true);
+        }
+        return true;
+      }),
+      { numRuns: 300 }
+    );
+  });
+
+  /**
+   * The next scheduled payout is the next run at PAYOUT_HOUR_IST
+   */
+  it('Property 3: Next payout is the next daily or Monday run after now', () => {
+    fc.assert(
+      fc.property(instantArbitrary, (now) => {
+        expect(getNextPayoutAt('instant', now)).toBeNull();
+
+        const daily = getNextPayoutAt('daily', now);
+        expect(daily.getTime()).toBeGreaterThan(now.getTime());
+        expect(daily - now).toBeLessThanOrEqual(86400000);
+        expect(istHour(daily)).toBe(PAYOUT_HOUR_IST);
+
+        const weekly = getNextPayoutAt('weekly', now);
+        expect(weekly.getTime()).toBeGreaterThan(now.getTime());
+        expect(weekly - now).toBeLessThanOrEqual(7 * 86400000);
+        expect(istWeekday(weekly)).toBe('Mon');
+        expect(istHour(weekly)).toBe(PAYOUT_HOUR_IST);
+        return true;
+      }),
+      { numRuns: 300 }
+    );
+  });
+
+  /**
+   * Held entries are never part of the payable balance
+   */
+  it('Property 4: Only pending entries are payable and held entries are kept back', () => {
+    fc.assert(
+      fc.property(fc.array(tripEarningArbitrary, { maxLength: 30 }), fc.integer({ min: 0, max: 2000 }), (earnings, minimumPayout) => {
+        const { payable, held, payableAmount, heldAmount } = splitPayableEarnings(earnings);
+
+        expect(payable.every(e => e.status === 'pending')).toBe(true);
+        expect(held.every(e => e.status === 'held')).toBe(true);
+        expect(payable.length + held.length).toBe(earnings.filter(e => ['pending', 'held'].includes(e.status)).length);
+        expect(payableAmount).toBeCloseTo(payable.reduce((sum, e) => sum + e.netAmount, 0), 2);
+        expect(heldAmount).toBeCloseTo(held.reduce((sum, e) => sum + e.netAmount, 0), 2);
+
+        expect(meetsMinimumPayout(payableAmount, minimumPayout)).toBe(payableAmount > 0 && payableAmount >= minimumPayout);
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Statement totals reconcile: gross - fees - TDS + adjustments = net
+   */
+  it('Property 5: Monthly statement totals reconcile with ledger entries', () => {
+    fc.assert(
+      fc.property(
+        fc.array(tripEarningArbitrary, { maxLength: 20 }),
+        fc.array(adjustmentArbitrary, { maxLength: 5 }),
+        fc.array(fc.integer({ min: 1, max: 5000 }), { maxLength: 4 }),
+        (trips, adjustments, payoutAmounts) => {
+          const payouts = payoutAmounts.map((amount, i) => ({
+            payoutId: `PO-2025-${String(i).padStart(6, '0')}`,
+            amount,
+            processedAt: new Date('2025-03-25T05:00:00Z'),
+            destination: 'bank_account'
+          }));
+          const statement = buildEarningsStatement({
+            month: '2025-03',
+            earnings: [...trips, ...adjustments],
+            payouts
+          });
+          const { totals } = statement;
+
+          expect(totals.trips).toBe(trips.length);
+          expect(statement.trips).toHaveLength(trips.length);
+          expect(statement.adjustments).toHaveLength(adjustments.length);
+          expect(totals.netEarnings).toBeCloseTo(
+            totals.grossFare - totals.platformFees - totals.tdsDeducted + totals.adjustments, 2
+          );
+          expect(totals.tdsDeducted).toBeCloseTo(trips.reduce((sum, t) => sum + t.tdsAmount, 0), 2);
+          expect(totals.paidOut).toBeCloseTo(totals.advancesPaid + payoutAmounts.reduce((a, b) => a + b, 0), 2);
+          expect(totals.onHold).toBeCloseTo(
+            trips.filter(t => t.status === 'held').reduce((sum, t) => sum + t.netAmount, 0), 2
+          );
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * The downloadable statement is a PDF with a summary page and trip pages
+   */
+  it('Property 6: Statement PDFs have a summary page and paginated trip tables', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.array(tripEarningArbitrary, { maxLength: ROWS_PER_PAGE + 5 }), async (trips) => {
+        const statement = buildEarningsStatement({
+          month: '2025-03',
+          driver: { name: 'Ravi Kumar', phone: '+919876543210' },
+          earnings: trips,
+          payouts: []
+        });
+        const pdf = await renderEarningsStatementPdf(statement);
+
+        expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+        const doc = await PDFDocument.load(pdf);
+        expect(doc.getPageCount()).toBe(1 + Math.max(1, Math.ceil(trips.length / ROWS_PER_PAGE)));
+        return true;
+      }),
+      { numRuns: 10 }
+    );
+  });
+
+  /**
+   * Retries reuse stable transfer IDs and only re-send when the previous
+   * transfer is known not to have gone through
+   */
+  it('Property 7: Payout retries never send a second transfer for a live one', () => {
+    fc.assert(
+      fc.property(
+        fc.nat(999999).map(n => `PO-2025-${String(n).padStart(6, '0')}`),
+        fc.nat(10),
+        fc.option(fc.constantFrom('SUCCESS', 'PENDING', 'RECEIVED', 'QUEUED', 'FAILED', 'REJECTED', 'REVERSED'), { nil: null }),
+        (payoutId, attempt, status) => {
+          const transferId = getPayoutTransferId(payoutId, attempt);
+          expect(getPayoutTransferId(payoutId, attempt)).toBe(transferId);
+          expect(transferId).toBe(attempt === 0 ? payoutId : `${payoutId}_RETRY_${attempt}`);
+          expect(getPayoutTransferId(payoutId, attempt + 1)).not.toBe(transferId);
+
+          const action = resolveRetryAction(status === null ? null : { transferId, status });
+          if (status === 'SUCCESS') {
+            expect(action).toBe('complete');
+          } else if (status === null || ['FAILED', 'REJECTED', 'REVERSED'].includes(status)) {
+            expect(action).toBe('resend');
+          } else {
+            expect(action).toBe('await');
+          }
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+});
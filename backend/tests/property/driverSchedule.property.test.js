@@ -0,0 +1,157 @@
+/**
+ * Property-based tests for Driver Scheduling
+ * Tests trip windows (departure + duration + buffer), overlap detection and
+ * the availability calendar (blocked dates, working days, working hours)
+ *
+ * **Feature: driver-schedule**
+ */
+const fc = require('fast-check');
+const {
+  getTripDurationMinutes,
+  getTripWindow,
+  windowsOverlap,
+  findConflicts,
+  checkAvailability
+} = require('../../src/services/driverScheduleService');
+
+const CONFIG = { bufferMinutes: 30, defaultDurationMinutes: 60, averageSpeedKmh: 40 };
+const MINUTE = 60 * 1000;
+
+// IST is UTC+5:30, so build instants from an IST date and minute of day
+const istDate = (day, minuteOfDay) => new Date(Date.UTC(2026, 2, day) + (minuteOfDay - 330) * MINUTE);
+
+const tripArbitrary = fc.record({
+  offsetMinutes: fc.integer({ min: 0, max: 3 * 24 * 60 }),
+  duration: fc.integer({ min: 10, max: 600 })
+}).map(({ offsetMinutes, duration }) => ({
+  scheduledAt: new Date(Date.UTC(2026, 2, 1) + offsetMinutes * MINUTE),
+  route: { duration }
+}));
+
+describe('Driver Schedule - Property Tests', () => {
+  /**
+   * A trip occupies departure to arrival, plus the buffer before the next trip
+   */
+  it('Property 1: Trip windows span the route duration plus the buffer', () => {
+    fc.assert(
+      fc.property(tripArbitrary, (trip) => {
+        const window = getTripWindow(trip, CONFIG);
+
+        expect(window.start.getTime()).toBe(trip.scheduledAt.getTime());
+        expect(window.end.getTime() - window.start.getTime()).toBe(trip.route.duration * MINUTE);
+        expect(window.busyUntil.getTime() - window.end.getTime()).toBe(CONFIG.bufferMinutes * MINUTE);
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+
+    expect(getTripDurationMinutes({ route: { distance: 80 } }, CONFIG)).toBe(120);
+    expect(getTripDurationMinutes({}, CONFIG)).toBe(CONFIG.defaultDurationMinutes);
+  });
+
+  /**
+   * Overlap is symmetric and matches interval intersection
+   */
+  it('Property 2: Trips conflict exactly when their busy windows intersect', () => {
+    fc.assert(
+      fc.property(tripArbitrary, tripArbitrary, (a, b) => {
+        const wa = getTripWindow(a, CONFIG);
+        const wb = getTripWindow(b, CONFIG);
+        const expected = wa.start < wb.busyUntil && wb.start < wa.busyUntil;
+
+        expect(windowsOverlap(wa, wb)).toBe(expected);
+        expect(windowsOverlap(wb, wa)).toBe(expected);
+        expect(findConflicts(a, [b], CONFIG)).toHaveLength(expected ? 1 : 0);
+        return true;
+      }),
+      { numRuns: 300 }
+    );
+  });
+
+  /**
+   * A trip departing exactly when the previous one's buffer ends is allowed
+   */
+  it('Property 3: Back-to-back trips after the buffer do not conflict', () => {
+    fc.assert(
+      fc.property(tripArbitrary, fc.integer({ min: 0, max: 120 }), (first, gap) => {
+        const { busyUntil } = getTripWindow(first, CONFIG);
+        const next = { scheduledAt: new Date(busyUntil.getTime() + gap * MINUTE), route: { duration: 45 } };
+        const early = { scheduledAt: new Date(busyUntil.getTime() - MINUTE), route: { duration: 45 } };
+
+        expect(findConflicts(next, [first], CONFIG)).toHaveLength(0);
+        expect(findConflicts(early, [first], CONFIG)).toHaveLength(1);
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Trips touching a blocked IST date or departing on a non-working day are unavailable
+   */
+  it('Property 4: Blocked dates and non-working days reject trips', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 1, max: 28 }),
+        fc.integer({ min: 0, max: 24 * 60 - 1 }),
+        fc.integer({ min: 10, max: 600 }),
+        fc.subarray([0, 1, 2, 3, 4, 5, 6]),
+        (day, minuteOfDay, duration, workingDays) => {
+          const start = istDate(day, minuteOfDay);
+          const window = { start, end: new Date(start.getTime() + duration * MINUTE) };
+          const departureKey = `2026-03-${String(day).padStart(2, '0')}`;
+          const arrivesNextDay = minuteOfDay + duration >= 24 * 60;
+          const arrivalKey = `2026-03-${String(day + (arrivesNextDay ? 1 : 0)).padStart(2, '0')}`;
+
+          expect(checkAvailability({ blockedDates: [{ date: departureKey }] }, window).reason).toBe('DATE_BLOCKED');
+          expect(checkAvailability({ blockedDates: [{ date: arrivalKey }] }, window).reason).toBe('DATE_BLOCKED');
+          expect(checkAvailability({ blockedDates: [{ date: '2026-04-15' }] }, window).available).toBe(true);
+
+          const dayOfWeek = new Date(Date.UTC(2026, 2, day)).getUTCDay();
+          const result = checkAvailability({ workingDays }, window);
+          const works = workingDays.length === 0 || workingDays.includes(dayOfWeek);
+          expect(result.available).toBe(works);
+          if (!works) expect(result.reason).toBe('NON_WORKING_DAY');
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Trips must run entirely within working hours, including shifts that wrap midnight
+   */
+  it('Property 5: Trips must fit within working hours', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 0, max: 23 }),
+        fc.integer({ min: 1, max: 23 }),
+        fc.integer({ min: 0, max: 24 * 60 - 1 }),
+        fc.integer({ min: 10, max: 300 }),
+        (startHour, shiftHours, minuteOfDay, duration) => {
+          const endHour = (startHour + shiftHours) % 24;
+          const workingHours = {
+            start: `${String(startHour).padStart(2, '0')}:00`,
+            end: `${String(endHour).padStart(2, '0')}:00`
+          };
+          const start = istDate(10, minuteOfDay);
+          const window = { start, end: new Date(start.getTime() + duration * MINUTE) };
+
+          // Shift periods around the departure day
+          const shiftStart = startHour * 60;
+          const shiftEnd = shiftStart + shiftHours * 60;
+          const fits = [-24 * 60, 0].some(shift =>
+            shiftStart + shift <= minuteOfDay && minuteOfDay + duration <= shiftEnd + shift
+          );
+
+          const result = checkAvailability({ workingHours }, window);
+          expect(result.available).toBe(fits);
+          if (!fits) expect(result.reason).toBe('OUTSIDE_WORKING_HOURS');
+          return true;
+        }
+      ),
+      { numRuns: 300 }
+    );
+  });
+});
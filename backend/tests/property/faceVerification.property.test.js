@@ -0,0 +1,143 @@
+/**
+ * Property-based tests for Driver Face Verification
+ * Tests selfie check scheduling, failure lockout and reference photo choice
+ *
+ * **Feature: driver-face-verification**
+ */
+const fc = require('fast-check');
+const {
+  FACE_VERIFICATION_CONFIG,
+  classifyFaceMatch,
+  getSelfieCheckRequirement,
+  applySelfieCheckResult,
+  getReferencePhoto
+} = require('../../src/services/faceVerificationService');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2026-06-01T10:00:00Z');
+const CONFIG = { checkIntervalHours: 24, randomCheckRate: 0.1, passValidityMinutes: 15, maxConsecutiveFailures: 3 };
+
+const statusArb = fc.constantFrom('passed', 'failed', 'no_face', 'error');
+
+describe('Driver Face Verification - Property Tests', () => {
+  /**
+   * Similarity at or above the threshold is a match, anything below is not
+   */
+  it('Property 1: Face match follows the similarity threshold', () => {
+    fc.assert(
+      fc.property(fc.double({ min: 0, max: 100, noNaN: true }), fc.double({ min: 1, max: 100, noNaN: true }), (similarity, threshold) => {
+        expect(classifyFaceMatch(similarity, threshold)).toBe(similarity >= threshold ? 'matched' : 'mismatch');
+        return true;
+      }),
+      { numRuns: 300 }
+    );
+    expect(classifyFaceMatch(FACE_VERIFICATION_CONFIG.matchThreshold)).toBe('matched');
+  });
+
+  /**
+   * A check is required for a first trip, once the interval has lapsed, while
+   * one is pending or locked, and at random otherwise; a recent pass always
+   * covers the trip start
+   */
+  it('Property 2: Selfie checks are required on schedule', () => {
+    fc.assert(
+      fc.property(
+        fc.option(fc.integer({ min: 0, max: 72 * 60 }), { nil: undefined }),
+        fc.option(fc.constantFrom('initial', 'periodic', 'random', 'manual'), { nil: undefined }),
+        fc.boolean(),
+        fc.double({ min: 0, max: 0.9999, noNaN: true }),
+        (minutesSincePass, pending, locked, random) => {
+          const fv = {
+            lastPassedAt: minutesSincePass === undefined ? undefined : new Date(NOW - minutesSincePass * 60 * 1000),
+            pendingCheck: pending ? { reason: pending } : undefined,
+            lockedAt: locked ? NOW : undefined
+          };
+          const result = getSelfieCheckRequirement(fv, { now: NOW, random, config: CONFIG });
+
+          expect(result.locked).toBe(locked);
+          if (locked || pending) {
+            expect(result.required).toBe(true);
+            if (!locked) expect(result.reason).toBe(pending);
+          } else if (minutesSincePass === undefined) {
+            expect(result).toEqual({ required: true, reason: 'initial', locked: false });
+          } else if (minutesSincePass <= CONFIG.passValidityMinutes) {
+            expect(result.required).toBe(false);
+          } else if (minutesSincePass * 60 * 1000 > CONFIG.checkIntervalHours * HOUR) {
+            expect(result).toEqual({ required: true, reason: 'periodic', locked: false });
+          } else {
+            expect(result.required).toBe(random < CONFIG.randomCheckRate);
+            if (result.required) expect(result.reason).toBe('random');
+          }
+          return true;
+        }
+      ),
+      { numRuns: 500 }
+    );
+  });
+
+  /**
+   * Replaying a sequence of checks: only mismatches count, a pass resets the
+   * count, and the driver is locked exactly when the count reaches the limit
+   */
+  it('Property 3: Repeated mismatches lock trip starts', () => {
+    fc.assert(
+      fc.property(fc.array(statusArb, { minLength: 1, maxLength: 12 }), (statuses) => {
+        let fv = { consecutiveFailures: 0 };
+        let expectedFailures = 0;
+
+        for (const status of statuses) {
+          if (fv.lockedAt) break;
+          const outcome = applySelfieCheckResult(fv, status, { now: NOW, config: CONFIG });
+
+          if (status === 'passed') expectedFailures = 0;
+          if (status === 'failed') expectedFailures += 1;
+
+          fv = { ...fv, ...outcome.set };
+          outcome.unset.forEach(key => delete fv[key]);
+
+          expect(fv.consecutiveFailures).toBe(expectedFailures);
+          expect(outcome.alert).toBe(status === 'failed');
+          expect(outcome.locked).toBe(expectedFailures >= CONFIG.maxConsecutiveFailures);
+          expect(Boolean(fv.lockedAt)).toBe(outcome.locked);
+          expect(outcome.attemptsRemaining).toBe(Math.max(CONFIG.maxConsecutiveFailures - expectedFailures, 0));
+          if (status === 'passed') {
+            expect(fv.lastPassedAt).toEqual(NOW);
+            expect(getSelfieCheckRequirement(fv, { now: NOW, random: 0, config: CONFIG }).required).toBe(false);
+          }
+        }
+        return true;
+      }),
+      { numRuns: 300 }
+    );
+  });
+
+  /**
+   * Live selfies are compared with the newest approved registered selfie,
+   * falling back to the newest approved ID photo; PDFs and unapproved
+   * documents are never used
+   */
+  it('Property 4: Reference photo is the newest approved image', () => {
+    const docArb = fc.record({
+      _id: fc.integer({ min: 1, max: 1e6 }),
+      type: fc.constantFrom('selfie_with_car', 'kyc', 'license'),
+      status: fc.constantFrom('pending', 'approved', 'rejected'),
+      contentType: fc.constantFrom('image/jpeg', 'image/png', 'application/pdf'),
+      uploadedAt: fc.date({ min: new Date('2024-01-01'), max: new Date('2026-01-01'), noInvalidDate: true }),
+      s3Key: fc.constant('driver-documents/x/y.jpg')
+    });
+
+    fc.assert(
+      fc.property(fc.array(docArb, { maxLength: 8 }), (documents) => {
+        const newestApproved = (type) => documents
+          .filter(d => d.type === type && d.status === 'approved')
+          .sort((a, b) => b.uploadedAt - a.uploadedAt)[0];
+        const usable = (d) => d && d.contentType !== 'application/pdf' ? d : null;
+
+        const expected = usable(newestApproved('selfie_with_car')) || usable(newestApproved('kyc'));
+        expect(getReferencePhoto({ documents })).toBe(expected || null);
+        return true;
+      }),
+      { numRuns: 300 }
+    );
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Property-based tests for Fare Suggestion
+ * Tests cost-based fares, corridor history, recommended ranges and the fare-per-km cap
+ *
+ * **Feature: driver-fare-suggestion**
+ */
+const fc = require('fast-check');
+const {
+  VEHICLE_MILEAGE_KMPL,
+  MIN_HISTORY_SAMPLES,
+  calculateCostPerKm,
+  calculateCostBasedFare,
+  summarizeHistoricalFares,
+  buildFareRecommendation,
+  checkFareCap
+} = require('../../src/services/fareSuggestionService');
+
+const vehicleTypeArbitrary = fc.constantFrom(...Object.keys(VEHICLE_MILEAGE_KMPL));
+const distanceArbitrary = fc.integer({ min: 5, max: 1500 });
+const seatsArbitrary = fc.integer({ min: 1, max: 6 });
+
+const historicalTripArbitrary = fc.record({
+  farePerSeat: fc.integer({ min: 50, max: 5000 }),
+  route: fc.record({ distance: fc.integer({ min: 10, max: 1500 }) }),
+  scheduledAt: fc.date({ min: new Date('2025-01-01'), max: new Date('2025-12-31') })
+});
+
+describe('Fare Suggestion - Property Tests', () => {
+  /**
+   * Vehicles with worse mileage cost more per km
+   */
+  it('Property 1: Cost per km is ordered by vehicle mileage', () => {
+    expect(calculateCostPerKm('hatchback')).toBeLessThan(calculateCostPerKm('sedan'));
+    expect(calculateCostPerKm('sedan')).toBeLessThan(calculateCostPerKm('suv'));
+    expect(calculateCostPerKm('suv')).toBeLessThan(calculateCostPerKm('premium'));
+  });
+
+  /**
+   * Sharing the cost with more passengers lowers the per-seat fare
+   */
+  it('Property 2: Cost-based fare grows with distance and shrinks with seats offered', () => {
+    fc.assert(
+      fc.property(vehicleTypeArbitrary, distanceArbitrary, fc.integer({ min: 1, max: 5 }), (vehicleType, distanceKm, seats) => {
+        expect(calculateCostBasedFare(distanceKm + 10, vehicleType, seats))
+          .toBeGreaterThan(calculateCostBasedFare(distanceKm, vehicleType, seats));
+        expect(calculateCostBasedFare(distanceKm, vehicleType, seats + 1))
+          .toBeLessThan(calculateCostBasedFare(distanceKm, vehicleType, seats));
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * History is ignored until there are enough comparable trips
+   */
+  it('Property 3: Historical summary requires the minimum sample size', () => {
+    fc.assert(
+      fc.property(fc.array(historicalTripArbitrary, { minLength: 0, maxLength: 30 }), (trips) => {
+        const summary = summarizeHistoricalFares(trips);
+
+        if (trips.length < MIN_HISTORY_SAMPLES) {
+          expect(summary).toBeNull();
+        } else {
+          expect(summary.sampleSize).toBe(trips.length);
+          expect(summary.p25).toBeLessThanOrEqual(summary.median);
+          expect(summary.median).toBeLessThanOrEqual(summary.p75);
+        }
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Trips at a similar time of day are preferred when there are enough
+   */
+  it('Property 4: Departure-time matching narrows the sample', () => {
+    const morning = (day, fare) => ({
+      farePerSeat: fare,
+      route: { distance: 100 },
+      scheduledAt: new Date(`2025-03-${String(day).padStart(2, '0')}T08:00:00+05:30`)
+    });
+    const night = (day, fare) => ({
+      farePerSeat: fare,
+      route: { distance: 100 },
+      scheduledAt: new Date(`2025-03-${String(day).padStart(2, '0')}T22:00:00+05:30`)
+    });
+
+    const trips = [
+      ...[1, 2, 3, 4, 5].map(d => morning(d, 300)),
+      ...[1, 2, 3, 4, 5].map(d => night(d, 600))
+    ];
+
+    const matched = summarizeHistoricalFares(trips, new Date('2025-04-01T09:00:00+05:30'));
+    expect(matched.timeMatched).toBe(true);
+    expect(matched.sampleSize).toBe(5);
+    expect(matched.median).toBe(3);
+
+    const unmatched = summarizeHistoricalFares(trips, new Date('2025-04-01T15:00:00+05:30'));
+    expect(unmatched.timeMatched).toBe(false);
+    expect(unmatched.sampleSize).toBe(10);
+  });
+
+  /**
+   * The recommended range is ordered and stays within the cap
+   */
+  it('Property 5: Recommendation satisfies min <= suggested <= max <= cap', () => {
+    fc.assert(
+      fc.property(
+        vehicleTypeArbitrary,
+        distanceArbitrary,
+        seatsArbitrary,
+        fc.option(fc.array(historicalTripArbitrary, { minLength: MIN_HISTORY_SAMPLES, maxLength: 20 }), { nil: null }),
+        fc.option(fc.double({ min: 0.5, max: 10, noNaN: true }), { nil: 0 }),
+        (vehicleType, distanceKm, seats, trips, maxFarePerKm) => {
+          const history = trips ? summarizeHistoricalFares(trips) : null;
+          const rec = buildFareRecommendation({ distanceKm, vehicleType, seats, history, maxFarePerKm });
+
+          expect(rec.min).toBeLessThanOrEqual(rec.suggested);
+          expect(rec.suggested).toBeLessThanOrEqual(rec.max);
+          expect(rec.min).toBeGreaterThanOrEqual(0);
+          if (maxFarePerKm > 0) {
+            expect(rec.max).toBeLessThanOrEqual(rec.maxAllowed);
+            expect(checkFareCap(rec.max, distanceKm, maxFarePerKm).allowed).toBe(true);
+          } else {
+            expect(rec.maxAllowed).toBeNull();
+          }
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Fares above distance x cap are rejected; no cap allows any fare
+   */
+  it('Property 6: Fare cap rejects fares above the per-km limit', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 0, max: 20000 }),
+        distanceArbitrary,
+        fc.double({ min: 0.5, max: 20, noNaN: true }),
+        (farePerSeat, distanceKm, maxFarePerKm) => {
+          const check = checkFareCap(farePerSeat, distanceKm, maxFarePerKm);
+          expect(check.maxFarePerSeat).toBe(Math.floor(maxFarePerKm * distanceKm));
+          expect(check.allowed).toBe(farePerSeat <= check.maxFarePerSeat);
+
+          expect(checkFareCap(farePerSeat, distanceKm, 0).allowed).toBe(true);
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+});
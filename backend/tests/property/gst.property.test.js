@@ -0,0 +1,267 @@
+/**
+ * Property-based tests for GST Invoicing
+ * Tests GSTIN validation, CGST/SGST/IGST split, credit note allocation,
+ * financial-year numbering and the GSTR-1 return
+ *
+ * **Feature: gst-tax-invoices**
+ */
+const fc = require('fast-check');
+const {
+  STATE_CODES,
+  calculateGstinChecksum,
+  isValidGSTIN,
+  getStateCodeFromGSTIN,
+  resolvePlaceOfSupply,
+  calculateTaxBreakdown,
+  allocateCreditLines,
+  getFinancialYear,
+  formatDocumentNumber
+} = require('../../src/services/gstService');
+const { calculateFareBreakdown } = require('../../src/services/invoiceService');
+const { buildGstr1Return } = require('../../src/services/reportService');
+
+const SUPPLIER_STATE = '29';
+
+const upperArbitrary = fc.constantFrom(...'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split(''));
+const digitArbitrary = fc.constantFrom(...'0123456789'.split(''));
+const stateCodeArbitrary = fc.constantFrom(...Object.keys(STATE_CODES));
+
+// Structurally valid GSTIN with a correct check digit
+const gstinArbitrary = fc.tuple(
+  stateCodeArbitrary,
+  fc.array(upperArbitrary, { minLength: 5, maxLength: 5 }),
+  fc.array(digitArbitrary, { minLength: 4, maxLength: 4 }),
+  upperArbitrary,
+  fc.constantFrom(...'123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split(''))
+).map(([state, letters, digits, letter, entity]) => {
+  const base = `${state}${letters.join('')}${digits.join('')}${letter}${entity}Z`;
+  return base + calculateGstinChecksum(base);
+});
+
+const amountArbitrary = fc.integer({ min: 0, max: 20000 });
+
+describe('GST Invoicing - Property Tests', () => {
+  /**
+   * Check digits are verified; a single changed character is rejected
+   */
+  it('Property 1: GSTIN validation accepts correct check digits only', () => {
+    expect(isValidGSTIN('27AAPFU0939F1ZV')).toBe(true);
+    expect(isValidGSTIN('29AAGCB7383J1Z4')).toBe(true);
+
+    fc.assert(
+      fc.property(gstinArbitrary, (gstin) => {
+        expect(isValidGSTIN(gstin)).toBe(true);
+        expect(getStateCodeFromGSTIN(gstin)).toBe(gstin.slice(0, 2));
+
+        const wrongCheck = gstin.slice(0, 14) + (gstin[14] === '0' ? '1' : '0');
+        expect(isValidGSTIN(wrongCheck)).toBe(false);
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Intra-state supplies split tax equally; inter-state supplies use IGST only
+   */
+  it('Property 2: Tax split follows place of supply and totals reconcile', () => {
+    fc.assert(
+      fc.property(amountArbitrary, fc.integer({ min: 0, max: 200 }), stateCodeArbitrary, (rideAmount, platformFee, pos) => {
+        const breakdown = calculateTaxBreakdown({ rideAmount, platformFee, placeOfSupplyStateCode: pos });
+        const interState = pos !== SUPPLIER_STATE;
+
+        expect(breakdown.supplyType).toBe(interState ? 'inter_state' : 'intra_state');
+        for (const line of breakdown.lines) {
+          expect(line.taxableValue + line.totalTax).toBe(line.total);
+          expect(line.cgst + line.sgst + line.igst).toBe(line.totalTax);
+          if (interState) {
+            expect(line.cgst).toBe(0);
+            expect(line.sgst).toBe(0);
+          } else {
+            expect(line.igst).toBe(0);
+            expect(line.cgst).toBe(line.sgst);
+          }
+        }
+        expect(breakdown.totals.total).toBe(rideAmount + platformFee);
+        return true;
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Place of supply: recipient GSTIN, then boarding point, then supplier state
+   */
+  it('Property 3: Place of supply prefers the recipient GSTIN', () => {
+    fc.assert(
+      fc.property(gstinArbitrary, (gstin) => {
+        const withGstin = resolvePlaceOfSupply({ buyerGstin: gstin, boardingAddress: 'Andheri, Mumbai' });
+        expect(withGstin.stateCode).toBe(gstin.slice(0, 2));
+        expect(withGstin.basis).toBe('recipient_gstin');
+        return true;
+      }),
+      { numRuns: 50 }
+    );
+
+    expect(resolvePlaceOfSupply({ boardingAddress: 'Andheri, Mumbai' }).stateCode).toBe('27');
+    expect(resolvePlaceOfSupply({ boardingAddress: 'Somewhere' }).basis).toBe('supplier_state');
+  });
+
+  /**
+   * Credit notes never credit more than was invoiced, however refunds are split
+   */
+  it('Property 4: Credit lines never exceed the original invoice', () => {
+    fc.assert(
+      fc.property(
+        amountArbitrary,
+        fc.integer({ min: 0, max: 200 }),
+        stateCodeArbitrary,
+        fc.array(fc.integer({ min: 1, max: 25000 }), { minLength: 1, maxLength: 5 }),
+        (rideAmount, platformFee, pos, refunds) => {
+          const original = calculateTaxBreakdown({ rideAmount, platformFee, placeOfSupplyStateCode: pos });
+          const credited = {};
+
+          for (const refund of refunds) {
+            const lines = allocateCreditLines(original.lines, refund, credited);
+            const creditTotal = lines.reduce((sum, line) => sum + line.total, 0);
+            expect(creditTotal).toBeLessThanOrEqual(refund);
+
+            for (const line of lines) {
+              const originalLine = original.lines.find(l => l.type === line.type);
+              expect(line.igstRate > 0).toBe(originalLine.igstRate > 0);
+              credited[line.type] = (credited[line.type] || 0) + line.total;
+            }
+          }
+
+          for (const line of original.lines) {
+            expect(credited[line.type] || 0).toBeLessThanOrEqual(line.total);
+          }
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * The financial year turns over at midnight IST on 1 April
+   */
+  it('Property 5: Financial year and document numbers follow the IST calendar', () => {
+    expect(getFinancialYear(new Date('2026-03-31T23:59:00+05:30'))).toBe('2025-26');
+    // 1 April 00:10 IST is still 31 March in UTC
+    expect(getFinancialYear(new Date('2026-04-01T00:10:00+05:30'))).toBe('2026-27');
+    expect(getFinancialYear(new Date('2099-12-31T12:00:00+05:30'))).toBe('2099-00');
+
+    fc.assert(
+      fc.property(fc.integer({ min: 1, max: 999999 }), fc.integer({ min: 2020, max: 2090 }), (sequence, startYear) => {
+        const fy = `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+        expect(formatDocumentNumber('tax_invoice', fy, sequence)).toMatch(/^INV-\d{4}-\d{6}$/);
+        expect(formatDocumentNumber('credit_note', fy, sequence))
+          .toBe(`CN-${String(startYear).slice(2)}${fy.slice(5)}-${String(sequence).padStart(6, '0')}`);
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Invoice fare breakdown stays consistent once a platform fee is added
+   */
+  it('Property 6: Fare breakdown totals include the platform fee and GST', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 100, max: 10000 }),
+        fc.integer({ min: 0, max: 100 }),
+        fc.integer({ min: 0, max: 200 }),
+        (fare, discount, platformFee) => {
+          const { gst, ...breakdown } = calculateFareBreakdown(fare, discount, null, { platformFee });
+
+          expect(breakdown.total).toBe(fare - discount + platformFee);
+          expect(breakdown.taxes).toBe(gst.totals.totalTax);
+          // Line items are shown before the discount, which is listed separately
+          expect(breakdown.baseFare + breakdown.distanceCharge + breakdown.platformFee + breakdown.taxes - breakdown.discount)
+            .toBe(breakdown.total);
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * B2C invoices aggregate into B2CS net of their credit notes; B2B
+   * documents are reported per recipient
+   */
+  it('Property 7: GSTR-1 nets B2C credit notes and lists B2B documents per GSTIN', () => {
+    fc.assert(
+      fc.property(
+        fc.array(fc.tuple(fc.integer({ min: 1, max: 5000 }), fc.integer({ min: 0, max: 5000 })), { minLength: 1, maxLength: 10 }),
+        gstinArbitrary,
+        (bookings, buyerGstin) => {
+          const documents = [];
+          let invoiceSeq = 0;
+          let creditSeq = 0;
+          let expectedRideTaxable = 0;
+
+          for (const [fare, refund] of bookings) {
+            const tax = calculateTaxBreakdown({ rideAmount: fare, placeOfSupplyStateCode: SUPPLIER_STATE });
+            invoiceSeq += 1;
+            documents.push({
+              invoiceId: formatDocumentNumber('tax_invoice', '2025-26', invoiceSeq),
+              sequence: invoiceSeq,
+              documentType: 'tax_invoice',
+              invoiceType: 'B2C',
+              generatedAt: new Date('2025-06-10T10:00:00+05:30'),
+              tax: { ...tax, placeOfSupply: { stateCode: SUPPLIER_STATE } }
+            });
+            expectedRideTaxable += tax.totals.taxableValue;
+
+            const lines = allocateCreditLines(tax.lines, refund);
+            if (lines.length > 0) {
+              creditSeq += 1;
+              documents.push({
+                invoiceId: formatDocumentNumber('credit_note', '2025-26', creditSeq),
+                sequence: creditSeq,
+                documentType: 'credit_note',
+                invoiceType: 'B2C',
+                generatedAt: new Date('2025-06-12T10:00:00+05:30'),
+                tax: { supplyType: 'intra_state', placeOfSupply: { stateCode: SUPPLIER_STATE }, lines }
+              });
+              expectedRideTaxable -= lines[0].taxableValue;
+            }
+          }
+
+          const b2bTax = calculateTaxBreakdown({ rideAmount: 1000, placeOfSupplyStateCode: buyerGstin.slice(0, 2) });
+          documents.push({
+            invoiceId: formatDocumentNumber('tax_invoice', '2025-26', invoiceSeq + 1),
+            sequence: invoiceSeq + 1,
+            documentType: 'tax_invoice',
+            invoiceType: 'B2B',
+            buyer: { gstin: buyerGstin },
+            generatedAt: new Date('2025-06-15T10:00:00+05:30'),
+            tax: { ...b2bTax, placeOfSupply: { stateCode: buyerGstin.slice(0, 2) } }
+          });
+
+          const gstr1 = buildGstr1Return(documents, { gstin: '29AAGCB7383J1Z4', period: '2025-06' });
+
+          expect(gstr1.fp).toBe('062025');
+          expect(gstr1.b2cs).toHaveLength(1);
+          expect(gstr1.b2cs[0].sply_ty).toBe('INTRA');
+          expect(gstr1.b2cs[0].txval).toBe(expectedRideTaxable);
+          expect(gstr1.b2cs[0].camt).toBe(gstr1.b2cs[0].samt);
+
+          expect(gstr1.b2b).toHaveLength(1);
+          expect(gstr1.b2b[0].ctin).toBe(buyerGstin);
+          expect(gstr1.b2b[0].inv[0].val).toBe(1000);
+          expect(gstr1.b2b[0].inv[0].idt).toBe('15-06-2025');
+
+          const invoiceSeries = gstr1.doc_issue.doc_det[0];
+          expect(invoiceSeries.totnum).toBe(invoiceSeq + 1);
+          expect(invoiceSeries.from).toBe('INV-2526-000001');
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+});
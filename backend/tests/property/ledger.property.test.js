@@ -0,0 +1,287 @@
+/**
+ * Property-based tests for the double-entry ledger
+ * Tests journal line netting, balanced postings for every money movement,
+ * the trial balance and wallet reconciliation
+ *
+ * **Feature: ledger**
+ */
+const fc = require('fast-check');
+const {
+  ACCOUNT_CLASSES,
+  account,
+  toJournalLines,
+  checkBalance,
+  walletCreditPostings,
+  walletDebitPostings,
+  gatewayCollectionPostings,
+  refundPostings,
+  tripSettlementPostings,
+  retainedChargePostings,
+  openingBalancePostings,
+  buildTrialBalance,
+  reconcileWallets
+} = require('../../src/services/ledgerService');
+
+const USER_ID = '64b000000000000000000001';
+const DRIVER_ID = '64b000000000000000000002';
+
+const money = (max = 5000) => fc.integer({ min: 0, max: max * 100 }).map(paise => paise / 100);
+
+const bookingArb = fc.record({
+  fare: money(3000),
+  seats: fc.integer({ min: 1, max: 4 }),
+  platformFee: money(50),
+  taxes: money(200),
+  discount: money(100)
+}).map(b => ({
+  fare: b.fare,
+  seats: b.seats,
+  fareBreakdown: {
+    baseFare: b.fare,
+    platformFee: b.platformFee,
+    taxes: b.taxes,
+    discount: b.discount,
+    totalFare: Math.round((b.fare + b.platformFee + b.taxes - b.discount) * 100) / 100
+  }
+}));
+
+/**
+ * Lines of a set of postings, with their totals
+ */
+const journal = (postings) => {
+  const lines = toJournalLines(postings);
+  return { lines, ...checkBalance(lines) };
+};
+
+/**
+ * Net credit of an account across lines
+ */
+const creditOf = (lines, name) => lines
+  .filter(l => l.account === name)
+  .reduce((sum, l) => sum + l.credit - l.debit, 0);
+
+describe('Ledger - Property Tests', () => {
+  /**
+   * Postings that sum to zero always produce balanced, netted lines
+   */
+  it('Property 1: Journal lines are netted per account and balance', () => {
+    const names = Object.keys(ACCOUNT_CLASSES);
+
+    fc.assert(
+      fc.property(
+        fc.array(fc.record({ account: fc.constantFrom(...names), amount: money(1000) }), { minLength: 1, maxLength: 10 }),
+        fc.constantFrom(...names),
+        (debits, contra) => {
+          const total = debits.reduce((sum, d) => sum + d.amount, 0);
+          const lines = toJournalLines([...debits, { account: contra, amount: -total }]);
+
+          const accounts = lines.map(l => l.account);
+          expect(new Set(accounts).size).toBe(accounts.length);
+          for (const line of lines) {
+            expect(line.debit >= 0 && line.credit >= 0).toBe(true);
+            expect(line.debit === 0 || line.credit === 0).toBe(true);
+            expect(line.debit + line.credit).toBeGreaterThan(0);
+          }
+          if (lines.length > 0) {
+            expect(checkBalance(lines).balanced).toBe(true);
+          }
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+
+    expect(checkBalance(toJournalLines([
+      { account: 'gateway_clearing', amount: 100 },
+      { account: 'fares_escrow', amount: -99 }
+    ])).balanced).toBe(false);
+  });
+
+  /**
+   * Trip settlement empties escrow into the driver, platform and tax accounts
+   */
+  it('Property 2: Trip settlement balances and credits the driver net of fees and TDS', () => {
+    fc.assert(
+      fc.property(
+        fc.array(bookingArb, { minLength: 1, maxLength: 6 }),
+        fc.integer({ min: 0, max: 100 }),
+        (bookings, tdsBasisPoints) => {
+          const fare = bookings.reduce((sum, b) => sum + b.fare, 0);
+          const platformFee = Math.min(fare, bookings.reduce((sum, b) => sum + 10 * b.seats, 0));
+          const tdsAmount = Math.round(fare * tdsBasisPoints / 100) / 100;
+          const collected = bookings.reduce((sum, b) => sum + b.fareBreakdown.totalFare, 0);
+          const { lines, balanced, totalDebits } = journal(
+            tripSettlementPostings({ driverId: DRIVER_ID, bookings, platformFee, tdsAmount })
+          );
+
+          if (totalDebits === 0) return true;
+          expect(balanced).toBe(true);
+          expect(-creditOf(lines, 'fares_escrow')).toBeCloseTo(collected, 2);
+          expect(creditOf(lines, account('driver_payable', DRIVER_ID))).toBeCloseTo(fare - platformFee - tdsAmount, 2);
+          expect(creditOf(lines, 'tds_payable')).toBeCloseTo(tdsAmount, 2);
+          expect(creditOf(lines, 'gst_payable')).toBeCloseTo(
+            bookings.reduce((sum, b) => sum + b.fareBreakdown.taxes, 0), 2
+          );
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Kept cancellation and no-show charges leave escrow balanced
+   */
+  it('Property 3: Retained charges split between driver, TDS and revenue', () => {
+    fc.assert(
+      fc.property(
+        money(3000),
+        fc.integer({ min: 0, max: 100 }),
+        fc.integer({ min: 0, max: 100 }),
+        fc.constantFrom('platform_revenue', 'cancellation_revenue'),
+        (amount, sharePercent, tdsPercent, revenueAccount) => {
+          const driverShare = Math.round(amount * sharePercent) / 100;
+          const tdsAmount = Math.round(driverShare * tdsPercent / 10) / 100;
+          const { lines, balanced, totalDebits } = journal(
+            retainedChargePostings({ amount, driverId: DRIVER_ID, driverShare, tdsAmount, revenueAccount })
+          );
+
+          if (amount === 0) {
+            expect(totalDebits).toBe(0);
+            return true;
+          }
+          expect(balanced).toBe(true);
+          expect(creditOf(lines, account('driver_payable', DRIVER_ID))).toBeCloseTo(driverShare - tdsAmount, 2);
+          expect(creditOf(lines, revenueAccount)).toBeCloseTo(amount - driverShare, 2);
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * A balanced journal always gives a balanced trial balance where
+   * assets + expenses = liabilities + revenue
+   */
+  it('Property 4: Trial balance of balanced entries balances', () => {
+    const entryArb = fc.oneof(
+      money(2000).map(a => gatewayCollectionPostings(a)),
+      money(2000).map(a => refundPostings(a)),
+      fc.tuple(money(500), fc.boolean(), fc.constantFrom('cashback', 'referral'))
+        .map(([a, promo, source]) => walletCreditPostings({ userId: USER_ID, amount: a, bucket: promo ? 'promo' : 'cash', source })),
+      fc.tuple(money(300), money(300)).map(([c, p]) => walletDebitPostings({ userId: USER_ID, fromCash: c, fromPromo: p })),
+      fc.array(bookingArb, { minLength: 1, maxLength: 3 })
+        .map(bookings => tripSettlementPostings({ driverId: DRIVER_ID, bookings, platformFee: 0, tdsAmount: 0 }))
+    );
+
+    fc.assert(
+      fc.property(fc.array(entryArb, { maxLength: 20 }), (entries) => {
+        const totals = new Map();
+        for (const postings of entries) {
+          for (const line of toJournalLines(postings)) {
+            const row = totals.get(line.account) || { account: line.account, debit: 0, credit: 0 };
+            row.debit += line.debit;
+            row.credit += line.credit;
+            totals.set(line.account, row);
+          }
+        }
+
+        const trialBalance = buildTrialBalance([...totals.values()]);
+        expect(trialBalance.balanced).toBe(true);
+
+        const sumOf = (...types) => trialBalance.accounts
+          .filter(a => types.includes(a.accountType))
+          .reduce((sum, a) => sum + a.balance, 0);
+        expect(sumOf('asset', 'expense')).toBeCloseTo(sumOf('liability', 'revenue'), 1);
+        expect(trialBalance.accounts.every(a => a.accountType !== 'unknown')).toBe(true);
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Wallets that only move through ledger postings reconcile; a counter
+   * changed outside the ledger is flagged
+   */
+  it('Property 5: Wallet reconciliation flags counters that drift from the ledger', () => {
+    const operationArb = fc.oneof(
+      fc.record({ kind: fc.constant('cash'), amount: money(500) }),
+      fc.record({ kind: fc.constant('promo'), amount: money(500) }),
+      fc.record({ kind: fc.constant('debit'), amount: money(800) })
+    );
+
+    fc.assert(
+      fc.property(
+        fc.array(operationArb, { maxLength: 20 }),
+        fc.integer({ min: -50000, max: 50000 }).filter(d => d !== 0),
+        (operations, driftPaise) => {
+          const wallet = { userId: USER_ID, nonPromoBalance: 0, promoBalance: 0 };
+          const balances = new Map();
+          const post = (postings) => {
+            for (const line of toJournalLines(postings)) {
+              balances.set(line.account, (balances.get(line.account) || 0) + line.credit - line.debit);
+            }
+          };
+
+          for (const op of operations) {
+            if (op.kind === 'debit') {
+              // Same split as Wallet.deductAmount: non-promo first
+              const amount = Math.min(op.amount, wallet.nonPromoBalance + wallet.promoBalance);
+              const fromCash = Math.min(amount, wallet.nonPromoBalance);
+              const fromPromo = Math.round((amount - fromCash) * 100) / 100;
+              wallet.nonPromoBalance = Math.round((wallet.nonPromoBalance - fromCash) * 100) / 100;
+              wallet.promoBalance = Math.round((wallet.promoBalance - fromPromo) * 100) / 100;
+              post(walletDebitPostings({ userId: USER_ID, fromCash, fromPromo }));
+            } else {
+              if (op.kind === 'cash') wallet.nonPromoBalance += op.amount;
+              else wallet.promoBalance += op.amount;
+              post(walletCreditPostings({ userId: USER_ID, amount: op.amount, bucket: op.kind }));
+            }
+          }
+
+          expect(reconcileWallets([wallet], balances)).toEqual([]);
+
+          const drifted = { ...wallet, nonPromoBalance: wallet.nonPromoBalance + driftPaise / 100 };
+          const mismatches = reconcileWallets([drifted], balances);
+          expect(mismatches).toHaveLength(1);
+          expect(mismatches[0].difference.nonPromoBalance).toBeCloseTo(driftPaise / 100, 2);
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Posting each bucket's difference as an opening balance reconciles a
+   * wallet funded before the ledger, whatever the ledger already holds
+   */
+  it('Property 6: Opening balances reconcile wallets funded before the ledger', () => {
+    fc.assert(
+      fc.property(money(), money(), money(), money(), (cash, promo, ledgerCash, ledgerPromo) => {
+        const wallet = { userId: USER_ID, nonPromoBalance: cash, promoBalance: promo };
+        const balances = new Map([
+          [account('wallet_cash', USER_ID), ledgerCash],
+          [account('wallet_promo', USER_ID), ledgerPromo]
+        ]);
+
+        for (const { difference } of reconcileWallets([wallet], balances)) {
+          for (const [bucket, amount] of [['cash', difference.nonPromoBalance], ['promo', difference.promoBalance]]) {
+            const lines = toJournalLines(openingBalancePostings({ userId: USER_ID, amount, bucket }));
+            if (lines.length === 0) continue;
+            expect(checkBalance(lines).balanced).toBe(true);
+            for (const line of lines) {
+              balances.set(line.account, (balances.get(line.account) || 0) + line.credit - line.debit);
+            }
+          }
+        }
+
+        expect(reconcileWallets([wallet], balances)).toEqual([]);
+        return true;
+      }),
+      { numRuns: 200 }
+    );
+  });
+});
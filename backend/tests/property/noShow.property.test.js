@@ -0,0 +1,173 @@
+/**
+ * Property-based tests for Passenger No-shows
+ * Tests the no-show charge split, the wait and pickup geofence checks, and
+ * how reported no-shows count towards passenger reputation
+ *
+ * **Feature: passenger-no-show**
+ */
+const fc = require('fast-check');
+const {
+  calculateNoShowCharge,
+  checkDriverLocation,
+  evaluateNoShowEligibility
+} = require('../../src/services/noShowService');
+const {
+  REPUTATION_THRESHOLDS,
+  calculatePassengerReputation,
+  collectReputationInputs
+} = require('../../src/services/ratingService');
+
+const CONFIG = {
+  geofenceMeters: 200,
+  waitMinutes: 10,
+  chargePercent: 50,
+  driverSharePercent: 80,
+  maxLocationAgeSeconds: 120,
+  disputeWindowHours: 48
+};
+const PICKUP = { lat: 17.385, lng: 78.4867 };
+const MINUTE = 60 * 1000;
+const NOW = new Date('2026-03-10T09:00:00Z');
+
+// ~111 m per 0.001 degree of latitude
+const locationAt = (metersNorth, ageSeconds = 5) => ({
+  lat: PICKUP.lat + metersNorth / 111195,
+  lng: PICKUP.lng,
+  age: ageSeconds * 1000
+});
+
+describe('Passenger No-show - Property Tests', () => {
+  /**
+   * The charge, the driver's share and the refund add up to the fare
+   */
+  it('Property 1: No-show charge splits the fare between refund, driver and platform', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 0, max: 10000 }),
+        fc.integer({ min: 0, max: 100 }),
+        fc.integer({ min: 0, max: 100 }),
+        (fare, chargePercent, driverSharePercent) => {
+          const split = calculateNoShowCharge(fare, { ...CONFIG, chargePercent, driverSharePercent });
+
+          expect(split.charge + split.refundAmount).toBeCloseTo(fare, 2);
+          expect(split.driverCompensation + split.platformShare).toBeCloseTo(split.charge, 2);
+          expect(split.charge).toBeLessThanOrEqual(fare);
+          expect(split.driverCompensation).toBeLessThanOrEqual(split.charge);
+          expect(split.refundAmount).toBeGreaterThanOrEqual(0);
+          expect(split.platformShare).toBeGreaterThanOrEqual(0);
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+
+    expect(calculateNoShowCharge(0, CONFIG)).toEqual({ charge: 0, driverCompensation: 0, platformShare: 0, refundAmount: 0 });
+  });
+
+  /**
+   * Driver locations count only when fresh and inside the pickup geofence
+   */
+  it('Property 2: Driver location must be fresh and within the pickup geofence', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 0, max: 1000 }),
+        fc.integer({ min: 0, max: 300 }),
+        (metersAway, ageSeconds) => {
+          const check = checkDriverLocation(locationAt(metersAway, ageSeconds), PICKUP, CONFIG);
+
+          if (ageSeconds > CONFIG.maxLocationAgeSeconds) {
+            expect(check).toMatchObject({ ok: false, reason: 'LOCATION_STALE' });
+          } else {
+            expect(Math.abs(check.distanceMeters - metersAway)).toBeLessThanOrEqual(1);
+            expect(check.ok).toBe(check.distanceMeters <= CONFIG.geofenceMeters);
+            if (!check.ok) expect(check.reason).toBe('OUTSIDE_PICKUP_GEOFENCE');
+          }
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+
+    expect(checkDriverLocation(null, PICKUP, CONFIG).reason).toBe('LOCATION_UNAVAILABLE');
+  });
+
+  /**
+   * A no-show can only be marked after arrival plus the full wait time
+   */
+  it('Property 3: No-shows require arrival and the configured wait', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 0, max: 60 * 60 }),
+        fc.integer({ min: 0, max: 400 }),
+        (waitedSeconds, metersAway) => {
+          const driverArrivedAt = new Date(NOW.getTime() - waitedSeconds * 1000);
+          const result = evaluateNoShowEligibility({
+            driverArrivedAt,
+            location: locationAt(metersAway),
+            pickup: PICKUP,
+            now: NOW
+          }, CONFIG);
+
+          const waitedMinutes = Math.floor(waitedSeconds / 60);
+          expect(result.waitedMinutes).toBe(waitedMinutes);
+          if (waitedMinutes < CONFIG.waitMinutes) {
+            expect(result.eligible).toBe(false);
+            expect(result.reason).toBe('WAIT_TIME_NOT_ELAPSED');
+            expect(result.remainingMinutes).toBe(CONFIG.waitMinutes - waitedMinutes);
+          } else {
+            expect(result.eligible).toBe(result.distanceMeters <= CONFIG.geofenceMeters);
+          }
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+
+    const notArrived = evaluateNoShowEligibility({ location: locationAt(0), pickup: PICKUP, now: NOW }, CONFIG);
+    expect(notArrived).toMatchObject({ eligible: false, reason: 'DRIVER_NOT_ARRIVED' });
+  });
+
+  /**
+   * Each reported no-show counts once, and overturned ones not at all
+   */
+  it('Property 4: Reported no-shows become strikes unless overturned', () => {
+    const bookingArbitrary = fc.record({
+      reported: fc.boolean(),
+      voided: fc.boolean(),
+      rated: fc.boolean(),
+      taggedNoShow: fc.boolean(),
+      daysAgo: fc.integer({ min: 0, max: 200 })
+    }).map(({ reported, voided, rated, taggedNoShow, daysAgo }) => {
+      const at = new Date(NOW.getTime() - daysAgo * 24 * 60 * MINUTE);
+      return {
+        pickupStatus: reported ? 'no_show' : 'picked_up',
+        noShow: reported ? { markedAt: at, strikeVoided: voided } : undefined,
+        passengerRating: rated
+          ? { rating: 3, tags: taggedNoShow || reported ? ['no_show'] : ['late'], ratedAt: at }
+          : undefined,
+        daysAgo
+      };
+    });
+
+    fc.assert(
+      fc.property(fc.array(bookingArbitrary, { maxLength: 12 }), (bookings) => {
+        const { ratings, strikes, totalStrikes } = collectReputationInputs(bookings);
+        const reputation = calculatePassengerReputation(ratings, NOW, strikes);
+
+        const counted = bookings.filter(b =>
+          b.noShow ? !b.noShow.strikeVoided : b.passengerRating?.tags.includes('no_show')
+        );
+        const recent = counted.filter(b => b.daysAgo <= REPUTATION_THRESHOLDS.NO_SHOW_WINDOW_DAYS);
+
+        expect(totalStrikes).toBe(bookings.filter(b => b.noShow && !b.noShow.strikeVoided).length);
+        expect(reputation.recentNoShows).toBe(recent.length);
+        expect(reputation.totalRatings).toBe(bookings.filter(b => b.passengerRating).length);
+        if (recent.length >= REPUTATION_THRESHOLDS.MAX_RECENT_NO_SHOWS) {
+          expect(reputation.restrictionReason).toBe('REPEATED_NO_SHOWS');
+        }
+        return true;
+      }),
+      { numRuns: 200 }
+    );
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Property-based tests for Passenger Ratings and Reputation
+ * Tests driver-to-passenger rating validation, reputation aggregation and
+ * automatic instant booking restrictions
+ *
+ * **Feature: passenger-reputation**
+ */
+const fc = require('fast-check');
+const {
+  PASSENGER_RATING_TAGS,
+  REPUTATION_THRESHOLDS,
+  validatePassengerRatingData,
+  calculatePassengerReputation,
+  summarizePassengerReputation
+} = require('../../src/services/ratingService');
+
+const ALL_TAGS = [...PASSENGER_RATING_TAGS.POSITIVE, ...PASSENGER_RATING_TAGS.NEGATIVE];
+const NOW = new Date('2025-06-01T00:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const passengerRatingArbitrary = fc.record({
+  rating: fc.integer({ min: 1, max: 5 }),
+  tags: fc.uniqueArray(fc.constantFrom(...ALL_TAGS), { maxLength: 3 }),
+  daysAgo: fc.integer({ min: 0, max: 365 })
+}).map(({ rating, tags, daysAgo }) => ({
+  rating,
+  tags,
+  ratedAt: new Date(NOW.getTime() - daysAgo * DAY_MS)
+}));
+
+describe('Passenger Reputation - Property Tests', () => {
+  /**
+   * Ratings must be whole numbers 1-5 with known tags
+   */
+  it('Property 1: Passenger ratings accept only valid scores and tags', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: -2, max: 8 }),
+        fc.array(fc.constantFrom(...ALL_TAGS, 'rude', 'smelly'), { maxLength: 4 }),
+        (rating, tags) => {
+          const result = validatePassengerRatingData({ rating, tags });
+          const expectedValid = rating >= 1 && rating <= 5 && tags.every(tag => ALL_TAGS.includes(tag));
+
+          expect(result.isValid).toBe(expectedValid);
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Aggregate rating is the rounded mean and tag counts are complete
+   */
+  it('Property 2: Reputation averages ratings and counts every tag', () => {
+    fc.assert(
+      fc.property(fc.array(passengerRatingArbitrary, { maxLength: 40 }), (ratings) => {
+        const reputation = calculatePassengerReputation(ratings, NOW);
+
+        expect(reputation.totalRatings).toBe(ratings.length);
+        if (ratings.length === 0) {
+          expect(reputation.rating).toBe(0);
+        } else {
+          const mean = ratings.reduce((sum, r) => sum + r.rating, 0) / ratings.length;
+          expect(Math.abs(reputation.rating - mean)).toBeLessThanOrEqual(0.05 + 1e-9);
+        }
+
+        const tagTotal = Object.values(reputation.tagCounts).reduce((a, b) => a + b, 0);
+        expect(tagTotal).toBe(ratings.reduce((sum, r) => sum + r.tags.length, 0));
+        return true;
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Restrictions follow the thresholds: recent no-shows or a low average
+   * once enough ratings exist
+   */
+  it('Property 3: Instant booking is disabled exactly when a threshold is crossed', () => {
+    fc.assert(
+      fc.property(fc.array(passengerRatingArbitrary, { maxLength: 20 }), (ratings) => {
+        const reputation = calculatePassengerReputation(ratings, NOW);
+        const windowStart = NOW.getTime() - REPUTATION_THRESHOLDS.NO_SHOW_WINDOW_DAYS * DAY_MS;
+        const recentNoShows = ratings.filter(r => r.tags.includes('no_show') && r.ratedAt.getTime() >= windowStart).length;
+        const lowRating = ratings.length >= REPUTATION_THRESHOLDS.MIN_RATINGS &&
+          reputation.rating < REPUTATION_THRESHOLDS.MIN_AVERAGE;
+
+        expect(reputation.recentNoShows).toBe(recentNoShows);
+        expect(reputation.instantBookingDisabled).toBe(
+          recentNoShows >= REPUTATION_THRESHOLDS.MAX_RECENT_NO_SHOWS || lowRating
+        );
+        if (reputation.instantBookingDisabled) {
+          expect(['REPEATED_NO_SHOWS', 'LOW_RATING']).toContain(reputation.restrictionReason);
+        } else {
+          expect(reputation.restrictionReason).toBeNull();
+        }
+        return true;
+      }),
+      { numRuns: 300 }
+    );
+  });
+
+  /**
+   * A single bad rating never restricts a new passenger
+   */
+  it('Property 4: New passengers are not restricted by one low rating', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 1, max: 5 }),
+        fc.uniqueArray(fc.constantFrom(...ALL_TAGS), { maxLength: 3 }),
+        (rating, tags) => {
+          const reputation = calculatePassengerReputation([{ rating, tags, ratedAt: NOW }], NOW);
+          expect(reputation.instantBookingDisabled).toBe(false);
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Drivers see negative flags, most frequent first, from documents or lean objects
+   */
+  it('Property 5: Reputation summaries list negative flags by frequency', () => {
+    fc.assert(
+      fc.property(fc.array(passengerRatingArbitrary, { maxLength: 30 }), fc.boolean(), (ratings, asMap) => {
+        const reputation = calculatePassengerReputation(ratings, NOW);
+        const stored = {
+          ...reputation,
+          tagCounts: asMap ? new Map(Object.entries(reputation.tagCounts)) : reputation.tagCounts
+        };
+        const summary = summarizePassengerReputation(stored);
+
+        expect(summary.flags.every(f => PASSENGER_RATING_TAGS.NEGATIVE.includes(f.tag))).toBe(true);
+        summary.flags.forEach(f => expect(f.count).toBe(reputation.tagCounts[f.tag]));
+        for (let i = 1; i < summary.flags.length; i++) {
+          expect(summary.flags[i - 1].count).toBeGreaterThanOrEqual(summary.flags[i].count);
+        }
+        expect(summary.instantBookingDisabled).toBe(reputation.instantBookingDisabled);
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+
+    expect(summarizePassengerReputation(undefined)).toEqual({
+      rating: 0,
+      totalRatings: 0,
+      recentNoShows: 0,
+      flags: [],
+      instantBookingDisabled: false
+    });
+  });
+});
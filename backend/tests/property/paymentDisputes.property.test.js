@@ -0,0 +1,309 @@
+/**
+ * Property-based tests for Payment Disputes
+ * Tests gateway status mapping and ordering, driver clawback amounts,
+ * deadline alerts, the service timeline and evidence PDF rendering
+ *
+ * **Feature: payment-disputes**
+ */
+const fc = require('fast-check');
+const { PDFDocument } = require('pdf-lib');
+const {
+  mapGatewayStatus,
+  resolveNextStatus,
+  getDisputeEventTime,
+  isDuplicateDisputeEvent,
+  calculateClawbackAmount,
+  buildServiceTimeline,
+  isDeadlineAlertDue
+} = require('../../src/services/disputeService');
+const {
+  ROWS_PER_PAGE,
+  renderInvoicePdf,
+  renderDisputeEvidencePdf
+} = require('../../src/services/reportDocumentService');
+
+const PREFIXES = ['DISPUTE', 'CHARGEBACK', 'RETRIEVAL', 'PRE_ARBITRATION', 'ARBITRATION'];
+const SUFFIXES = {
+  CREATED: 'open',
+  DOCS_RECEIVED: 'under_review',
+  UNDER_REVIEW: 'under_review',
+  MERCHANT_WON: 'won',
+  MERCHANT_LOST: 'lost',
+  INSUFFICIENT_EVIDENCE: 'lost',
+  MERCHANT_ACCEPTED: 'accepted'
+};
+const UNDECIDED = ['open', 'contested', 'under_review'];
+const STATUSES = [...UNDECIDED, 'accepted', 'won', 'lost'];
+const CONFIG = { deadlineAlertHours: 48 };
+const HOUR = 60 * 60 * 1000;
+const START = new Date('2026-03-01T10:00:00Z').getTime();
+
+describe('Payment Disputes - Property Tests', () => {
+  /**
+   * Every dispute type maps by its status suffix
+   */
+  it('Property 1: Gateway statuses map to dispute states for every dispute type', () => {
+    fc.assert(
+      fc.property(
+        fc.constantFrom(...PREFIXES),
+        fc.constantFrom(...Object.keys(SUFFIXES)),
+        (prefix, suffix) => {
+          expect(mapGatewayStatus(`${prefix}_${suffix}`)).toBe(SUFFIXES[suffix]);
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+
+    expect(mapGatewayStatus('SOMETHING_NEW')).toBeNull();
+    expect(mapGatewayStatus(undefined)).toBeNull();
+  });
+
+  /**
+   * Once decided, later undecided updates never reopen a dispute
+   */
+  it('Property 2: Decided disputes are not reopened by later updates', () => {
+    fc.assert(
+      fc.property(
+        fc.constantFrom(...STATUSES),
+        fc.array(fc.option(fc.constantFrom('open', 'under_review', 'accepted', 'won', 'lost'), { nil: null }), { maxLength: 10 }),
+        (initial, updates) => {
+          let status = initial;
+          let decided = !UNDECIDED.includes(initial);
+          for (const next of updates) {
+            const previous = status;
+            status = resolveNextStatus(status, next);
+
+            if (next === null) expect(status).toBe(previous);
+            if (decided) expect(UNDECIDED).not.toContain(status);
+            if (previous === 'contested' && next === 'open') expect(status).toBe('contested');
+            decided = decided || !UNDECIDED.includes(status);
+          }
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Redeliveries are skipped whichever key the webhook carries; webhooks with
+   * no event ID or time are applied only when dispute_status changes
+   */
+  it('Property 2a: Webhook redeliveries are detected by event ID, time or status change', () => {
+    const gatewayStatusArbitrary = fc.constantFrom('DISPUTE_CREATED', 'DISPUTE_UNDER_REVIEW', 'DISPUTE_MERCHANT_WON');
+    const deliveryArbitrary = fc.record({
+      eventId: fc.option(fc.constantFrom('evt_1', 'evt_2', 'evt_3'), { nil: undefined }),
+      eventType: fc.constantFrom('DISPUTE_UPDATED', 'DISPUTE_CLOSED'),
+      gatewayStatus: gatewayStatusArbitrary,
+      updatedAt: fc.option(fc.integer({ min: 0, max: 5 }).map(hours => new Date(START + hours * HOUR).toISOString()), { nil: undefined }),
+      signatureTimestamp: fc.option(fc.integer({ min: 0, max: 5 }).map(hours => String(START + hours * HOUR)), { nil: '' })
+    });
+
+    fc.assert(
+      fc.property(gatewayStatusArbitrary, fc.array(deliveryArbitrary, { minLength: 1, maxLength: 12 }), (initialStatus, deliveries) => {
+        const dispute = { gatewayStatus: initialStatus, events: [] };
+        for (const delivery of deliveries) {
+          const event = {
+            eventId: delivery.eventId,
+            eventType: delivery.eventType,
+            gatewayStatus: delivery.gatewayStatus,
+            gatewayUpdatedAt: getDisputeEventTime({ updated_at: delivery.updatedAt }, delivery.signatureTimestamp)
+          };
+          const duplicate = isDuplicateDisputeEvent(dispute, event);
+
+          if (event.eventId) {
+            expect(duplicate).toBe(dispute.events.some(e => e.eventId === event.eventId));
+          } else if (!event.gatewayUpdatedAt) {
+            expect(duplicate).toBe(dispute.gatewayStatus === event.gatewayStatus);
+          }
+          if (duplicate) continue;
+
+          dispute.events.push(event);
+          dispute.gatewayStatus = event.gatewayStatus;
+          // The same delivery arriving again is always skipped
+          expect(isDuplicateDisputeEvent(dispute, event)).toBe(true);
+        }
+        return true;
+      }),
+      { numRuns: 300 }
+    );
+  });
+
+  /**
+   * updated_at is preferred; the signed header time is the fallback
+   */
+  it('Property 2b: Dispute event time comes from updated_at, then the signature timestamp', () => {
+    const updatedAt = '2026-03-01T12:00:00Z';
+    const signedAt = String(START);
+
+    expect(getDisputeEventTime({ updated_at: updatedAt }, signedAt)).toEqual(new Date(updatedAt));
+    expect(getDisputeEventTime({}, signedAt)).toEqual(new Date(START));
+    expect(getDisputeEventTime({ updated_at: 'not a date' }, signedAt)).toEqual(new Date(START));
+    expect(getDisputeEventTime({}, '')).toBeNull();
+    expect(getDisputeEventTime({}, undefined)).toBeNull();
+    expect(getDisputeEventTime(undefined, 'abc')).toBeNull();
+  });
+
+  /**
+   * The clawback never exceeds the disputed amount or the driver's share
+   */
+  it('Property 3: Clawback is the driver\'s pro-rata share of the disputed fare', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 0, max: 10000 }),
+        fc.integer({ min: 0, max: 10000 }),
+        fc.integer({ min: 0, max: 100 }),
+        (disputeAmount, fare, sharePercent) => {
+          const driverShare = fare * sharePercent / 100;
+          const clawback = calculateClawbackAmount({ disputeAmount, fare, driverShare });
+
+          expect(clawback).toBeGreaterThanOrEqual(0);
+          expect(clawback).toBeLessThanOrEqual(disputeAmount + 0.005);
+          expect(clawback).toBeLessThanOrEqual(driverShare + 0.005);
+          if (fare > 0 && disputeAmount >= fare) {
+            expect(clawback).toBeCloseTo(driverShare, 2);
+          }
+          if (driverShare === 0 || disputeAmount === 0) {
+            expect(clawback).toBe(0);
+          }
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Finance is alerted once, only for open disputes inside the alert window
+   */
+  it('Property 4: Deadline alerts fire once inside the alert window', () => {
+    fc.assert(
+      fc.property(
+        fc.constantFrom(...STATUSES),
+        fc.integer({ min: -24, max: 120 }),
+        fc.boolean(),
+        (status, hoursLeft, alreadyAlerted) => {
+          const now = new Date(START);
+          const dispute = {
+            status,
+            respondBy: new Date(START + hoursLeft * HOUR),
+            deadlineAlertedAt: alreadyAlerted ? new Date(START - HOUR) : undefined
+          };
+
+          const expected = status === 'open' && !alreadyAlerted && hoursLeft > 0 && hoursLeft <= CONFIG.deadlineAlertHours;
+          expect(isDeadlineAlertDue(dispute, now, CONFIG)).toBe(expected);
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+
+    expect(isDeadlineAlertDue({ status: 'open' }, new Date(START), CONFIG)).toBe(false);
+  });
+
+  /**
+   * The service timeline lists recorded events in time order
+   */
+  it('Property 5: Service timeline is ordered and skips missing events', () => {
+    const optionalTime = fc.option(fc.integer({ min: 0, max: 7 * 24 * 3600 }), { nil: undefined });
+
+    fc.assert(
+      fc.property(
+        fc.record({
+          bookedAt: optionalTime,
+          paymentTime: optionalTime,
+          otpVerifiedAt: optionalTime,
+          pickedUpAt: optionalTime,
+          startedAt: optionalTime,
+          completedAt: optionalTime
+        }),
+        (offsets) => {
+          const at = (seconds) => (seconds === undefined ? undefined : new Date(START + seconds * 1000));
+          const timeline = buildServiceTimeline({
+            booking: {
+              bookingId: 'BK-20260301-00001',
+              bookedAt: at(offsets.bookedAt),
+              paymentTime: at(offsets.paymentTime),
+              otpVerifiedAt: at(offsets.otpVerifiedAt),
+              pickedUpAt: at(offsets.pickedUpAt),
+              pickupPoint: { address: 'Gachibowli' }
+            },
+            trip: { startedAt: at(offsets.startedAt), completedAt: at(offsets.completedAt) }
+          });
+
+          expect(timeline).toHaveLength(Object.values(offsets).filter(v => v !== undefined).length);
+          for (let i = 1; i < timeline.length; i++) {
+            expect(timeline[i].at.getTime()).toBeGreaterThanOrEqual(timeline[i - 1].at.getTime());
+          }
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Evidence PDFs carry the data hash and one tracking table per page of points
+   */
+  it('Property 6: Evidence and invoice PDFs render with the expected pages', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.integer({ min: 0, max: 300 }), async (pointCount) => {
+        const tracking = Array.from({ length: pointCount }, (_, i) => ({
+          lat: 17.4 + i * 0.0005,
+          lng: 78.4 + i * 0.0003,
+          timestamp: new Date(START + i * 30000),
+          speed: 40
+        }));
+        const booking = {
+          bookingId: 'BK-20260301-00001',
+          bookedAt: new Date(START - 86400000),
+          seats: 1,
+          fare: 450,
+          pickupPoint: { address: 'Gachibowli', coordinates: { lat: 17.44, lng: 78.35 } },
+          dropPoint: { address: 'Secunderabad', coordinates: { lat: 17.5, lng: 78.5 } },
+          otpVerifiedAt: new Date(START),
+          pickedUpAt: new Date(START)
+        };
+        const evidence = {
+          dispute: { id: 'DSP-2026-000001', gatewayDisputeId: '433475257', type: 'chargeback', amount: 450, reasonCode: '4855' },
+          booking,
+          passenger: { name: 'Priya Sharma', phone: '+919812345678' },
+          trip: { tripId: 'HR-2026-000123', scheduledAt: new Date(START), startedAt: new Date(START), plannedRoutePolyline: null },
+          invoice: { number: 'HR/2025-26/000042', total: 472.5 },
+          tracking,
+          timeline: buildServiceTimeline({ booking, trip: { startedAt: new Date(START) } }),
+          generatedAt: new Date(START + 86400000)
+        };
+
+        const pdf = await renderDisputeEvidencePdf(evidence, { dataHash: 'e'.repeat(64) });
+        const doc = await PDFDocument.load(pdf);
+
+        // Summary + map + tracking pages (at most 200 sampled points)
+        const sampled = Math.min(pointCount, 200);
+        expect(doc.getPageCount()).toBe(2 + Math.max(1, Math.ceil(sampled / ROWS_PER_PAGE)));
+        expect(doc.getSubject()).toContain('e'.repeat(64));
+        return true;
+      }),
+      { numRuns: 10 }
+    );
+
+    const invoicePdf = await renderInvoicePdf({
+      invoiceId: 'HR/2025-26/000042',
+      documentType: 'tax_invoice',
+      invoiceType: 'B2C',
+      generatedAt: new Date(START),
+      supplier: { legalName: 'HushRyd Technologies Pvt Ltd', gstin: '29AABCH1234C1Z5', address: 'Bangalore' },
+      buyer: { name: 'Priya Sharma', phone: '+919812345678' },
+      tripDetails: { tripId: 'HR-2026-000123', source: { address: 'Gachibowli' }, destination: { address: 'Secunderabad' } },
+      tax: {
+        supplyType: 'intra_state',
+        placeOfSupply: { stateCode: '36', stateName: 'Telangana' },
+        lines: [{ description: 'Ride fare', sacCode: '996423', taxableValue: 450, cgst: 11.25, sgst: 11.25, igst: 0, total: 472.5 }]
+      },
+      fareBreakdown: { baseFare: 450, platformFee: 0, taxes: 22.5, discount: 0, total: 472.5 },
+      verificationCode: 'ABC123'
+    });
+    expect((await PDFDocument.load(invoicePdf)).getPageCount()).toBe(1);
+  });
+});
@@ -0,0 +1,366 @@
+/**
+ * Property-based tests for Pricing Engine
+ * Tests fee schedule rule selection, surcharges, tier waivers and payment breakdown
+ *
+ * **Feature: configurable-pricing-engine**
+ */
+const fc = require('fast-check');
+const {
+  DEFAULT_FEE_SCHEDULE,
+  calculateFeeAmount,
+  selectFeeRule,
+  calculateFees,
+  validateFeeSchedule,
+  isScheduledPricing,
+  getChargedDriverCommission
+} = require('../../src/services/pricingService');
+const { calculatePaymentBreakdown } = require('../../src/services/cashfreePaymentCalculation');
+const paymentService = require('../../src/services/paymentService');
+
+const flat = (value, extra = {}) => ({ type: 'flat', value, ...extra });
+
+const globalRule = {
+  name: 'Global',
+  scope: { type: 'global' },
+  distanceBand: { minKm: 0 },
+  passengerFee: flat(10, { perSeat: false }),
+  driverCommission: flat(15)
+};
+
+const cityRule = {
+  name: 'Hyderabad',
+  scope: { type: 'city', city: 'Hyderabad' },
+  distanceBand: { minKm: 0 },
+  passengerFee: flat(20, { perSeat: false }),
+  driverCommission: { type: 'percentage', value: 10 }
+};
+
+const routeRule = {
+  name: 'Hyderabad to Bangalore',
+  scope: { type: 'route', sourceCity: 'Hyderabad', destinationCity: 'Bangalore' },
+  distanceBand: { minKm: 0 },
+  passengerFee: flat(30, { perSeat: false }),
+  driverCommission: { type: 'percentage', value: 8 }
+};
+
+const longDistanceRule = {
+  name: 'Long distance',
+  scope: { type: 'global' },
+  distanceBand: { minKm: 300 },
+  passengerFee: flat(25, { perSeat: false }),
+  driverCommission: flat(20)
+};
+
+const seatsArbitrary = fc.integer({ min: 1, max: 6 });
+const fareArbitrary = fc.integer({ min: 0, max: 10000 });
+
+// 2025-01-04 is a Saturday; 2025-01-06 a Monday (IST noon)
+const SATURDAY_IST = new Date('2025-01-04T12:00:00+05:30');
+const MONDAY_IST = new Date('2025-01-06T12:00:00+05:30');
+
+describe('Pricing Engine - Property Tests', () => {
+  /**
+   * The default schedule keeps the fees charged before schedules existed
+   */
+  it('Property 1: Default schedule charges ₹10 per booking and ₹15 per seat commission', () => {
+    fc.assert(
+      fc.property(seatsArbitrary, fc.integer({ min: 100, max: 5000 }), (seats, farePerSeat) => {
+        const baseFare = farePerSeat * seats;
+        const fees = calculateFees(DEFAULT_FEE_SCHEDULE, { baseFare, seats });
+
+        expect(fees.feeScheduleVersion).toBe(0);
+        expect(fees.passengerFee).toBe(10);
+        expect(fees.driverCommission).toBe(15 * seats);
+        expect(fees.totalPassengerPays).toBe(baseFare + 10);
+        expect(fees.driverNetEarnings).toBe(baseFare - 15 * seats);
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Route rules beat city rules, which beat global rules, regardless of order
+   */
+  it('Property 2: Most specific matching rule prices the booking', () => {
+    fc.assert(
+      fc.property(
+        fc.shuffledSubarray([globalRule, cityRule, routeRule], { minLength: 3, maxLength: 3 }),
+        (rules) => {
+          const schedule = { version: 1, rules };
+
+          const route = selectFeeRule(schedule, {
+            sourceAddress: 'Gachibowli, Hyderabad',
+            destinationAddress: 'Koramangala, Bangalore'
+          });
+          const city = selectFeeRule(schedule, {
+            sourceAddress: 'Gachibowli, Hyderabad',
+            destinationAddress: 'Vijayawada'
+          });
+          const global = selectFeeRule(schedule, {
+            sourceAddress: 'Chennai',
+            destinationAddress: 'Pune'
+          });
+
+          expect(route.name).toBe(routeRule.name);
+          expect(city.name).toBe(cityRule.name);
+          expect(global.name).toBe(globalRule.name);
+          return true;
+        }
+      ),
+      { numRuns: 50 }
+    );
+  });
+
+  /**
+   * Distance bands select rules by the passenger's travelled distance
+   */
+  it('Property 3: Distance bands apply from minKm (inclusive) to maxKm (exclusive)', () => {
+    const schedule = {
+      version: 1,
+      rules: [
+        { ...longDistanceRule },
+        { ...globalRule, name: 'Short', distanceBand: { minKm: 0, maxKm: 300 } },
+        { ...globalRule, name: 'Fallback' }
+      ]
+    };
+
+    fc.assert(
+      fc.property(fc.integer({ min: 0, max: 2000 }), (distanceKm) => {
+        const rule = selectFeeRule(schedule, { distanceKm });
+        expect(rule.name).toBe(distanceKm >= 300 ? 'Long distance' : 'Short');
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Fee amounts are rupee integers within the configured clamps
+   */
+  it('Property 4: Fee amounts are rounded, non-negative and clamped to min/max', () => {
+    fc.assert(
+      fc.property(
+        fc.constantFrom('flat', 'percentage'),
+        fc.integer({ min: 0, max: 100 }),
+        fc.boolean(),
+        fc.integer({ min: 0, max: 50 }),
+        fc.integer({ min: 0, max: 200 }),
+        fareArbitrary,
+        seatsArbitrary,
+        (type, value, perSeat, minAmount, extra, baseFare, seats) => {
+          const maxAmount = minAmount + extra;
+          const fee = calculateFeeAmount(
+            { type, value, perSeat, minAmount, maxAmount },
+            { baseFare, seats }
+          );
+
+          expect(Number.isInteger(fee)).toBe(true);
+          expect(fee).toBeGreaterThanOrEqual(minAmount);
+          expect(fee).toBeLessThanOrEqual(maxAmount);
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Weekend and festival surcharges are evaluated on the IST calendar day
+   */
+  it('Property 5: Surcharges apply only on matching IST days', () => {
+    const schedule = {
+      version: 2,
+      rules: [globalRule],
+      surcharges: [
+        { name: 'Weekend', type: 'weekend', amount: flat(5, { perSeat: false }) },
+        { name: 'Sankranti', type: 'festival', dates: ['2025-01-14'], amount: flat(20, { perSeat: false }) }
+      ]
+    };
+
+    fc.assert(
+      fc.property(fareArbitrary, seatsArbitrary, (baseFare, seats) => {
+        const weekday = calculateFees(schedule, { baseFare, seats, scheduledAt: MONDAY_IST });
+        const weekend = calculateFees(schedule, { baseFare, seats, scheduledAt: SATURDAY_IST });
+        // 00:30 IST on the festival is still 2025-01-13 in UTC
+        const festival = calculateFees(schedule, {
+          baseFare,
+          seats,
+          scheduledAt: new Date('2025-01-14T00:30:00+05:30')
+        });
+
+        expect(weekday.surcharge).toBe(0);
+        expect(weekend.surcharge).toBe(5);
+        expect(weekend.surchargesApplied).toEqual(['Weekend']);
+        expect(festival.surcharge).toBe(20);
+        expect(festival.passengerFee).toBe(30);
+        return true;
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  /**
+   * Tier waivers reduce the passenger fee but never below zero, and never
+   * touch the driver commission
+   */
+  it('Property 6: Tier waivers keep the passenger fee between zero and the unwaived fee', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 0, max: 100 }),
+        fc.constantFrom('normal', 'silver', 'gold'),
+        fareArbitrary,
+        seatsArbitrary,
+        fc.boolean(),
+        (waivePercent, planId, baseFare, seats, weekend) => {
+          const schedule = {
+            version: 3,
+            rules: [cityRule, globalRule],
+            surcharges: [{ name: 'Weekend', type: 'weekend', amount: flat(7) }],
+            tierWaivers: [{ planId: 'gold', waivePercent }]
+          };
+          const context = {
+            baseFare,
+            seats,
+            planId,
+            sourceAddress: 'Hyderabad',
+            scheduledAt: weekend ? SATURDAY_IST : MONDAY_IST
+          };
+
+          const fees = calculateFees(schedule, context);
+          const unwaived = calculateFees({ ...schedule, tierWaivers: [] }, context);
+
+          expect(fees.passengerFee).toBeGreaterThanOrEqual(0);
+          expect(fees.passengerFee).toBeLessThanOrEqual(unwaived.passengerFee);
+          expect(fees.passengerFee).toBe(fees.baseFee + fees.surcharge - fees.waiver);
+          expect(fees.driverCommission).toBe(unwaived.driverCommission);
+          if (planId !== 'gold') {
+            expect(fees.waiver).toBe(0);
+          }
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Driver commission never exceeds the fare
+   */
+  it('Property 7: Driver net earnings are never negative', () => {
+    fc.assert(
+      fc.property(fareArbitrary, seatsArbitrary, (baseFare, seats) => {
+        const schedule = { version: 1, rules: [{ ...globalRule, driverCommission: flat(500) }] };
+        const fees = calculateFees(schedule, { baseFare, seats });
+
+        expect(fees.driverCommission).toBeLessThanOrEqual(baseFare);
+        expect(fees.driverNetEarnings).toBeGreaterThanOrEqual(0);
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Schedules must always be able to price a booking
+   */
+  it('Property 8: Schedules without a global all-distance rule are rejected', () => {
+    expect(validateFeeSchedule({ rules: [globalRule] }).isValid).toBe(true);
+    expect(validateFeeSchedule({ rules: [routeRule, cityRule, globalRule] }).isValid).toBe(true);
+
+    const withoutFallback = validateFeeSchedule({ rules: [routeRule, cityRule, longDistanceRule] });
+    expect(withoutFallback.isValid).toBe(false);
+    expect(withoutFallback.errors).toContain('Schedule must include a global rule covering all distances');
+
+    const badCity = validateFeeSchedule({
+      rules: [globalRule, { ...cityRule, scope: { type: 'city' } }]
+    });
+    expect(badCity.isValid).toBe(false);
+  });
+
+  /**
+   * The payment breakdown charges the booking's scheduled fee and commission
+   */
+  it('Property 9: Payment breakdown uses the scheduled passenger fee and driver commission', () => {
+    fc.assert(
+      fc.property(
+        fareArbitrary,
+        fc.integer({ min: 0, max: 200 }),
+        fc.integer({ min: 0, max: 20000 }),
+        (fare, platformFee, driverCommission) => {
+          const breakdown = calculatePaymentBreakdown(fare, { platformFee, driverCommission });
+
+          expect(breakdown.platformFee).toBe(platformFee);
+          expect(breakdown.totalAmount).toBe(fare + platformFee);
+          expect(breakdown.driverEarnings).toBe(fare - Math.min(driverCommission, fare));
+
+          const legacy = calculatePaymentBreakdown(fare);
+          expect(legacy.platformFee).toBe(10);
+          expect(legacy.driverEarnings).toBe(fare);
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Driver earnings only drop once an activated schedule prices the booking;
+   * the built-in default records its commission without deducting it
+   */
+  it('Property 10: Driver commission is deducted only under an activated schedule', () => {
+    fc.assert(
+      fc.property(
+        fareArbitrary,
+        fc.integer({ min: 1, max: 6 }),
+        fc.integer({ min: 1, max: 50 }),
+        (fare, seats, version) => {
+          const context = { baseFare: fare, seats, distanceKm: 100 };
+
+          const defaultFees = calculateFees(DEFAULT_FEE_SCHEDULE, context);
+          expect(isScheduledPricing(defaultFees)).toBe(false);
+          expect(getChargedDriverCommission(defaultFees)).toBe(0);
+          const legacy = calculatePaymentBreakdown(fare, {
+            platformFee: defaultFees.passengerFee,
+            driverCommission: getChargedDriverCommission(defaultFees)
+          });
+          expect(legacy.driverEarnings).toBe(fare);
+
+          const scheduledFees = calculateFees({ version, rules: [globalRule] }, context);
+          expect(isScheduledPricing(scheduledFees)).toBe(true);
+          expect(getChargedDriverCommission(scheduledFees)).toBe(scheduledFees.driverCommission);
+          const scheduled = calculatePaymentBreakdown(fare, {
+            platformFee: scheduledFees.passengerFee,
+            driverCommission: getChargedDriverCommission(scheduledFees)
+          });
+          expect(scheduled.driverEarnings).toBe(scheduledFees.driverNetEarnings);
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * The trip-level breakdown charges the scheduled passenger fee and stays balanced
+   */
+  it('Property 11: Trip payment breakdown uses scheduled fees', () => {
+    fc.assert(
+      fc.property(
+        fareArbitrary,
+        fc.integer({ min: 0, max: 200 }),
+        fc.option(fc.integer({ min: 0, max: 200 }), { nil: undefined }),
+        (fare, passengerPlatformFee, driverPlatformFee) => {
+          const breakdown = paymentService.calculatePaymentBreakdown(fare, 1, { passengerPlatformFee, driverPlatformFee });
+
+          expect(breakdown.passengerPlatformFee).toBe(passengerPlatformFee);
+          expect(breakdown.driverPlatformFee).toBe(driverPlatformFee ?? paymentService.DRIVER_PLATFORM_FEE);
+          expect(breakdown.totalCollected).toBe(fare + passengerPlatformFee);
+          expect(paymentService.validatePaymentBreakdown(breakdown)).toBe(true);
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+});
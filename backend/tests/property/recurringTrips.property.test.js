@@ -0,0 +1,119 @@
+/**
+ * Property-based tests for Recurring Trip Templates
+ * Tests occurrence date generation and IST departure time conversion
+ *
+ * **Feature: recurring-trip-templates**
+ */
+const fc = require('fast-check');
+const {
+  toDateKey,
+  addDays,
+  getOccurrenceDateTime,
+  getOccurrenceDates,
+  validateRecurrence
+} = require('../../src/services/recurringTripService');
+
+// Date keys between 2024-01-01 and ~2027
+const dateKeyArbitrary = fc.integer({ min: 0, max: 1200 }).map(offset => addDays('2024-01-01', offset));
+
+const dayOfWeek = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+describe('Recurring Trip Templates - Property Tests', () => {
+  describe('Occurrence dates', () => {
+    it('weekday recurrences never produce weekend dates', () => {
+      fc.assert(
+        fc.property(dateKeyArbitrary, fc.integer({ min: 0, max: 60 }), (startDate, span) => {
+          const dates = getOccurrenceDates(
+            { pattern: 'weekdays', startDate },
+            startDate,
+            addDays(startDate, span)
+          );
+          return dates.every(d => dayOfWeek(d) >= 1 && dayOfWeek(d) <= 5);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('daily recurrences produce every date in range except skip dates', () => {
+      fc.assert(
+        fc.property(
+          dateKeyArbitrary,
+          fc.integer({ min: 0, max: 40 }),
+          fc.uniqueArray(fc.integer({ min: 0, max: 40 }), { maxLength: 10 }),
+          (startDate, span, skipOffsets) => {
+            const skipDates = skipOffsets.map(o => addDays(startDate, o));
+            const endDate = addDays(startDate, span);
+            const dates = getOccurrenceDates({ pattern: 'daily', startDate, skipDates }, startDate, endDate);
+            const skippedInRange = skipOffsets.filter(o => o <= span).length;
+            return dates.length === span + 1 - skippedInRange &&
+              dates.every(d => !skipDates.includes(d));
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('custom recurrences stay within the rule and window date ranges', () => {
+      fc.assert(
+        fc.property(
+          dateKeyArbitrary,
+          fc.integer({ min: 0, max: 30 }),
+          fc.integer({ min: -10, max: 10 }),
+          fc.integer({ min: 0, max: 60 }),
+          fc.uniqueArray(fc.integer({ min: 0, max: 6 }), { minLength: 1, maxLength: 7 }),
+          (startDate, ruleSpan, windowOffset, windowSpan, daysOfWeek) => {
+            const recurrence = { pattern: 'custom', daysOfWeek, startDate, endDate: addDays(startDate, ruleSpan) };
+            const fromKey = addDays(startDate, windowOffset);
+            const toKey = addDays(fromKey, windowSpan);
+            const dates = getOccurrenceDates(recurrence, fromKey, toKey);
+            return dates.every(d =>
+              d >= startDate && d <= recurrence.endDate &&
+              d >= fromKey && d <= toKey &&
+              daysOfWeek.includes(dayOfWeek(d))
+            );
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('restricting days of week returns a subset of the recurrence', () => {
+      const recurrence = { pattern: 'weekdays', startDate: '2025-03-03' };
+      const all = getOccurrenceDates(recurrence, '2025-03-03', '2025-03-31');
+      const mwf = getOccurrenceDates(recurrence, '2025-03-03', '2025-03-31', [1, 3, 5]);
+
+      expect(all).toHaveLength(21);
+      expect(mwf).toHaveLength(13);
+      expect(mwf.every(d => all.includes(d))).toBe(true);
+    });
+  });
+
+  describe('Departure time conversion', () => {
+    it('scheduled departure falls on the occurrence date in IST at the departure time', () => {
+      fc.assert(
+        fc.property(
+          dateKeyArbitrary,
+          fc.integer({ min: 0, max: 23 }),
+          fc.integer({ min: 0, max: 59 }),
+          (dateKey, hours, minutes) => {
+            const time = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+            const scheduledAt = getOccurrenceDateTime(dateKey, time);
+            const ist = new Date(scheduledAt.getTime() + 330 * 60 * 1000);
+            return toDateKey(scheduledAt) === dateKey &&
+              ist.getUTCHours() === hours &&
+              ist.getUTCMinutes() === minutes;
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Recurrence validation', () => {
+    it('rejects custom recurrences without days and end dates before start', () => {
+      expect(validateRecurrence({ pattern: 'custom', daysOfWeek: [], startDate: '2025-01-01' }).isValid).toBe(false);
+      expect(validateRecurrence({ pattern: 'daily', startDate: '2025-01-10', endDate: '2025-01-01' }).isValid).toBe(false);
+      expect(validateRecurrence({ pattern: 'weekdays', startDate: '2025-01-01', endDate: '2025-01-31' }).isValid).toBe(true);
+    });
+  });
+});
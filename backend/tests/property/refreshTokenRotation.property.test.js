@@ -0,0 +1,168 @@
+/**
+ * Property-based tests for Refresh Token Rotation
+ * Tests token families, rotation and reuse detection
+ *
+ * **Feature: refresh-token-rotation**
+ */
+const fc = require('fast-check');
+const {
+  generateTokenPair,
+  verifyRefreshToken,
+  hashToken
+} = require('../../src/services/tokenService');
+const { classifyRefreshToken } = require('../../src/services/sessionService');
+
+const USER = { _id: '64b000000000000000000001', phone: '+919812345678', role: 'passenger' };
+const NOW = new Date('2026-03-01T10:00:00Z');
+const LATER = new Date(NOW.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+/**
+ * Sign in: a session with the first refresh token of a new family
+ */
+const signIn = (sessionId, familyId) => {
+  const { refreshToken } = generateTokenPair(USER, sessionId, false, familyId);
+  return {
+    token: refreshToken,
+    session: {
+      sessionId,
+      tokenFamilyId: familyId,
+      refreshTokenHash: hashToken(refreshToken),
+      isActive: true,
+      expiresAt: LATER
+    }
+  };
+};
+
+/**
+ * Present a refresh token the way the refresh endpoint does
+ * Rotates on success and revokes the session on reuse
+ */
+const presentToken = (session, token) => {
+  const { payload } = verifyRefreshToken(token);
+  const status = classifyRefreshToken(session, { tokenHash: hashToken(token), familyId: payload.familyId }, NOW);
+
+  if (status === 'current') {
+    const { refreshToken } = generateTokenPair(USER, session.sessionId, false, session.tokenFamilyId);
+    session.refreshTokenHash = hashToken(refreshToken);
+    return { status, next: refreshToken };
+  }
+  if (status === 'reused') {
+    session.isActive = false;
+  }
+  return { status };
+};
+
+describe('Refresh Token Rotation - Property Tests', () => {
+  /**
+   * Every rotation yields a distinct token bound to the same session and family
+   */
+  it('Property 1: Rotated refresh tokens are unique and stay in their family', () => {
+    fc.assert(
+      fc.property(fc.uuid(), fc.uuid(), fc.integer({ min: 1, max: 10 }), (sessionId, familyId, rotations) => {
+        const tokens = Array.from({ length: rotations + 1 }, () =>
+          generateTokenPair(USER, sessionId, false, familyId).refreshToken
+        );
+
+        expect(new Set(tokens).size).toBe(tokens.length);
+        for (const token of tokens) {
+          const { valid, payload } = verifyRefreshToken(token);
+          expect(valid).toBe(true);
+          expect(payload.sessionId).toBe(sessionId);
+          expect(payload.familyId).toBe(familyId);
+          expect(payload.jti).toBeTruthy();
+        }
+        return true;
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  /**
+   * Only the latest token refreshes; any earlier token in the family is reuse,
+   * and tokens from another family are plain mismatches
+   */
+  it('Property 2: Retired tokens in the family are detected as reuse', () => {
+    fc.assert(
+      fc.property(fc.uuid(), fc.uuid(), fc.uuid(), fc.integer({ min: 1, max: 8 }), (sessionId, familyId, otherFamily, rotations) => {
+        fc.pre(familyId !== otherFamily);
+        const { token: first, session } = signIn(sessionId, familyId);
+
+        const issued = [first];
+        for (let i = 0; i < rotations; i++) {
+          const { status, next } = presentToken(session, issued[issued.length - 1]);
+          expect(status).toBe('current');
+          issued.push(next);
+        }
+
+        const classify = (token) => classifyRefreshToken(
+          session,
+          { tokenHash: hashToken(token), familyId: verifyRefreshToken(token).payload.familyId },
+          NOW
+        );
+        expect(classify(issued[issued.length - 1])).toBe('current');
+        for (const retired of issued.slice(0, -1)) {
+          expect(classify(retired)).toBe('reused');
+        }
+
+        const { token: foreign } = signIn(sessionId, otherFamily);
+        expect(classify(foreign)).toBe('mismatch');
+        return true;
+      }),
+      { numRuns: 30 }
+    );
+  });
+
+  /**
+   * Once a retired token is replayed the session is revoked, so neither the
+   * attacker nor the legitimate holder can refresh again
+   */
+  it('Property 3: Reuse revokes the family for every later refresh', () => {
+    fc.assert(
+      fc.property(
+        fc.array(fc.oneof(fc.constant('refresh'), fc.nat({ max: 10 }).map(n => ({ replay: n }))), { minLength: 1, maxLength: 12 }),
+        (operations) => {
+          const { token, session } = signIn('session-1', 'family-1');
+          const issued = [token];
+          let revoked = false;
+
+          for (const op of operations) {
+            const presented = op === 'refresh'
+              ? issued[issued.length - 1]
+              : issued[op.replay % issued.length];
+            const isCurrent = presented === issued[issued.length - 1];
+            const { status, next } = presentToken(session, presented);
+
+            if (revoked) {
+              expect(status).toBe('revoked');
+            } else if (isCurrent) {
+              expect(status).toBe('current');
+              issued.push(next);
+            } else {
+              expect(status).toBe('reused');
+              revoked = true;
+            }
+            expect(session.isActive).toBe(!revoked);
+          }
+          return true;
+        }
+      ),
+      { numRuns: 50 }
+    );
+  });
+
+  /**
+   * Missing, revoked and expired sessions are reported before token checks
+   */
+  it('Property 4: Session state takes precedence over the token', () => {
+    const { token, session } = signIn('session-2', 'family-2');
+    const presented = { tokenHash: hashToken(token), familyId: 'family-2' };
+
+    expect(classifyRefreshToken(null, presented, NOW)).toBe('not_found');
+    expect(classifyRefreshToken({ ...session, isActive: false }, presented, NOW)).toBe('revoked');
+    expect(classifyRefreshToken({ ...session, expiresAt: new Date(NOW.getTime() - 1) }, presented, NOW)).toBe('expired');
+
+    // Sessions from before rotation have no family and never report reuse
+    const legacy = { ...session, tokenFamilyId: undefined, refreshTokenHash: 'old' };
+    expect(classifyRefreshToken(legacy, presented, NOW)).toBe('mismatch');
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Property-based tests for Financial Report Export
+ * Tests daily chart series, PDF/XLSX rendering and report schedule periods
+ *
+ * **Feature: financial-report-export**
+ */
+const fc = require('fast-check');
+const { PDFDocument } = require('pdf-lib');
+const ExcelJS = require('exceljs');
+const {
+  ROWS_PER_PAGE,
+  buildDailySeries,
+  paginateRows,
+  renderReportPdf,
+  renderReportXlsx
+} = require('../../src/services/reportDocumentService');
+const { calculateSummary } = require('../../src/services/reportService');
+const {
+  DELIVERY_HOUR_IST,
+  getReportPeriod,
+  getNextRunAt,
+  mergeRecipients
+} = require('../../src/services/reportScheduleService');
+const { MISSING_GLYPH, embedPdfFonts, splitTextRuns } = require('../../src/utils/pdfFonts');
+
+const transactionArbitrary = fc.record({
+  tripId: fc.constantFrom('TR-1', 'TR-2', 'TR-3', 'TR-4'),
+  date: fc.date({ min: new Date('2025-01-01'), max: new Date('2025-03-31'), noInvalidDate: true }),
+  type: fc.constantFrom('collection', 'refund', 'advance', 'payout'),
+  amount: fc.integer({ min: 1, max: 5000 }),
+  gateway: fc.constantFrom('cashfree', 'razorpay'),
+  status: fc.constantFrom('completed', 'pending')
+}).map(txn => ({
+  ...txn,
+  // Commission is a trip-level figure repeated on each of its transactions
+  platformCommission: Number(txn.tripId.slice(3)) * 15
+}));
+
+const frequencyArbitrary = fc.constantFrom('daily', 'weekly', 'monthly');
+const instantArbitrary = fc.date({ min: new Date('2024-01-01'), max: new Date('2027-12-31'), noInvalidDate: true });
+
+const istHour = (date) => Number(date.toLocaleString('en-GB', { timeZone: 'Asia/Kolkata', hour: '2-digit', hour12: false }));
+const istWeekday = (date) => date.toLocaleDateString('en-GB', { timeZone: 'Asia/Kolkata', weekday: 'short' });
+const istDayOfMonth = (date) => Number(date.toLocaleDateString('en-GB', { timeZone: 'Asia/Kolkata', day: 'numeric' }));
+
+const summary = { totalRevenue: 0, totalCommission: 0, totalPayouts: 0, totalRefunds: 0 };
+
+describe('Financial Report Export - Property Tests', () => {
+  /**
+   * Chart series add up to the report summary
+   */
+  it('Property 1: Daily series totals match the report summary', () => {
+    fc.assert(
+      fc.property(fc.array(transactionArbitrary, { maxLength: 60 }), (transactions) => {
+        const series = buildDailySeries(transactions);
+        const totals = calculateSummary(transactions);
+
+        expect(series.reduce((sum, day) => sum + day.gmv, 0)).toBe(totals.totalRevenue);
+        expect(series.reduce((sum, day) => sum + day.refunds, 0)).toBe(totals.totalRefunds);
+        expect(series.reduce((sum, day) => sum + day.commission, 0)).toBe(totals.totalCommission);
+
+        const dates = series.map(day => day.date);
+        expect([...dates].sort()).toEqual(dates);
+        expect(new Set(dates).size).toBe(dates.length);
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Pagination keeps every row, in order, within the page size
+   */
+  it('Property 2: Transaction pages preserve rows and respect the page size', () => {
+    fc.assert(
+      fc.property(fc.array(fc.nat(), { maxLength: 200 }), fc.integer({ min: 1, max: 50 }), (rows, size) => {
+        const pages = paginateRows(rows, size);
+
+        expect(pages.flat()).toEqual(rows);
+        expect(pages.length).toBe(Math.max(1, Math.ceil(rows.length / size)));
+        pages.forEach(page => expect(page.length).toBeLessThanOrEqual(size));
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * The PDF is a real document: a summary page plus one page per table page
+   */
+  it('Property 3: PDF reports have a summary page and paginated tables', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.array(transactionArbitrary, { maxLength: 2 * ROWS_PER_PAGE + 5 }), async (transactions) => {
+        const pdf = await renderReportPdf({
+          title: 'HushRyd Financial Report',
+          reportType: 'transactions',
+          summary: calculateSummary(transactions),
+          transactions
+        });
+
+        expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+        const doc = await PDFDocument.load(pdf);
+        expect(doc.getPageCount()).toBe(1 + Math.max(1, Math.ceil(transactions.length / ROWS_PER_PAGE)));
+        return true;
+      }),
+      { numRuns: 10 }
+    );
+  });
+
+  /**
+   * Names in Indian scripts and rupee amounts are drawn as written, not replaced
+   */
+  it('Property 3a: PDF fonts cover Latin, rupee, Devanagari and Telugu text', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const fonts = await embedPdfFonts(pdfDoc);
+    const wordArbitrary = fc.constantFrom('Ramesh', 'Zoë', '₹1,250', 'रमेश कुमार', 'కృష్ణ', 'Ñandú');
+
+    fc.assert(
+      fc.property(fc.array(wordArbitrary, { minLength: 1, maxLength: 6 }), (words) => {
+        const text = words.join(' ');
+        for (const family of [fonts.regular, fonts.bold]) {
+          expect(splitTextRuns(family, text).map(run => run.text).join('')).toBe(text);
+        }
+        return true;
+      }),
+      { numRuns: 50 }
+    );
+
+    // Characters outside every embedded font still fall back to a placeholder
+    expect(splitTextRuns(fonts.regular, 'A漢').map(run => run.text).join('')).toBe(`A${MISSING_GLYPH}`);
+
+    const pdf = await renderReportPdf({
+      title: 'रिपोर्ट / శ్రీ నివేదిక ₹',
+      reportType: 'transactions',
+      summary: calculateSummary([]),
+      transactions: []
+    });
+    expect((await PDFDocument.load(pdf)).getPageCount()).toBe(2);
+  });
+
+  /**
+   * The workbook has summary, daily and transaction sheets
+   */
+  it('Property 4: XLSX reports contain one transaction row per transaction', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.array(transactionArbitrary, { maxLength: 30 }), async (transactions) => {
+        const buffer = await renderReportXlsx({
+          title: 'HushRyd Financial Report',
+          reportType: 'revenue',
+          summary,
+          transactions
+        });
+
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(buffer);
+        expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['Summary', 'Daily', 'Transactions']);
+        expect(workbook.getWorksheet('Transactions').rowCount).toBe(transactions.length + 1);
+        expect(workbook.getWorksheet('Daily').rowCount).toBe(buildDailySeries(transactions).length + 1);
+        return true;
+      }),
+      { numRuns: 10 }
+    );
+  });
+
+  /**
+   * Each run reports the last complete period before the run
+   */
+  it('Property 5: Report periods are complete IST days, weeks and months before the run', () => {
+    fc.assert(
+      fc.property(frequencyArbitrary, instantArbitrary, (frequency, runAt) => {
+        const { start, end } = getReportPeriod(frequency, runAt);
+
+        expect(end.getTime()).toBeLessThanOrEqual(runAt.getTime());
+        expect(runAt.getTime() - end.getTime()).toBeLessThan(
+          frequency === 'monthly' ? 31 * 86400000 : frequency === 'weekly' ? 7 * 86400000 : 86400000
+        );
+        expect(istHour(start)).toBe(0);
+        expect(istHour(end)).toBe(0);
+
+        const days = (end - start) / 86400000;
+        if (frequency === 'daily') expect(days).toBe(1);
+        if (frequency === 'weekly') {
+          expect(days).toBe(7);
+          expect(istWeekday(start)).toBe('Mon');
+        }
+        if (frequency === 'monthly') {
+          expect(days).toBeGreaterThanOrEqual(28);
+          expect(days).toBeLessThanOrEqual(31);
+          expect(istDayOfMonth(start)).toBe(1);
+          expect(istDayOfMonth(end)).toBe(1);
+        }
+        return true;
+      }),
+      { numRuns: 300 }
+    );
+  });
+
+  /**
+   * Next run is the first delivery slot strictly after the reference time
+   */
+  it('Property 6: Next run is the next delivery slot after the reference time', () => {
+    fc.assert(
+      fc.property(frequencyArbitrary, instantArbitrary, (frequency, after) => {
+        const next = getNextRunAt(frequency, after);
+
+        expect(next.getTime()).toBeGreaterThan(after.getTime());
+        expect(istHour(next)).toBe(DELIVERY_HOUR_IST);
+        if (frequency === 'daily') expect(next - after).toBeLessThanOrEqual(86400000);
+        if (frequency === 'weekly') expect(istWeekday(next)).toBe('Mon');
+        if (frequency === 'monthly') expect(istDayOfMonth(next)).toBe(1);
+
+        // The run at a slot reports the period that ended just before it
+        const period = getReportPeriod(frequency, next);
+        expect(next - period.end).toBe(DELIVERY_HOUR_IST * 3600000);
+        return true;
+      }),
+      { numRuns: 300 }
+    );
+  });
+
+  /**
+   * Recipients are de-duplicated case-insensitively and invalid addresses dropped
+   */
+  it('Property 7: Recipient lists are unique and valid', () => {
+    const merged = mergeRecipients(
+      ['Finance@HushRyd.com', 'not-an-email', 'cfo@hushryd.com'],
+      [{ email: 'finance@hushryd.com' }, { email: null }, { email: 'ops@hushryd.com' }]
+    );
+
+    expect(merged).toEqual(['finance@hushryd.com', 'cfo@hushryd.com', 'ops@hushryd.com']);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Property-based tests for Route Deviation Detection
+ * Tests the off-route corridor check and the sustained deviation threshold
+ * that triggers passenger safety checks
+ *
+ * **Feature: route-deviation**
+ */
+const fc = require('fast-check');
+const {
+  evaluateDeviation,
+  DEVIATION_CORRIDOR_METERS,
+  DEVIATION_DURATION_MS
+} = require('../../src/services/routeDeviationService');
+const { getCumulativeDistances, locateOnRoute } = require('../../src/utils/polylineUtils');
+
+const OPTIONS = { corridorMeters: 500, durationMs: 3 * 60 * 1000 };
+
+// A route of a few points around Hyderabad
+const routeArbitrary = fc.array(
+  fc.record({
+    lat: fc.double({ min: 17.2, max: 17.6, noNaN: true }),
+    lng: fc.double({ min: 78.3, max: 78.6, noNaN: true })
+  }),
+  { minLength: 2, maxLength: 8 }
+);
+
+// Sequence of location samples: distance from route and seconds since previous sample
+const sampleArbitrary = fc.record({
+  distanceMeters: fc.integer({ min: 0, max: 2000 }),
+  gapSeconds: fc.integer({ min: 1, max: 90 })
+});
+
+/**
+ * Replay samples through evaluateDeviation the way the service tracks state
+ */
+const replay = (samples, start) => {
+  let offRouteSince = null;
+  let now = start;
+  return samples.map(({ distanceMeters, gapSeconds }) => {
+    now += gapSeconds * 1000;
+    const result = evaluateDeviation(offRouteSince, distanceMeters, now, OPTIONS);
+    offRouteSince = result.offRouteSince;
+    return { ...result, now, distanceMeters };
+  });
+};
+
+describe('Route Deviation - Property Tests', () => {
+  it('uses sensible defaults for the corridor and duration', () => {
+    expect(DEVIATION_CORRIDOR_METERS).toBeGreaterThan(0);
+    expect(DEVIATION_DURATION_MS).toBeGreaterThan(0);
+  });
+
+  /**
+   * Any position inside the corridor is on-route and resets the timer
+   */
+  it('Property 1: Positions within the corridor are never off-route', () => {
+    fc.assert(
+      fc.property(
+        fc.option(fc.integer({ min: 0, max: 1e9 }), { nil: null }),
+        fc.integer({ min: 0, max: OPTIONS.corridorMeters }),
+        fc.integer({ min: 1e9, max: 2e9 }),
+        (offRouteSince, distanceMeters, now) => {
+          const result = evaluateDeviation(offRouteSince, distanceMeters, now, OPTIONS);
+
+          expect(result.offRoute).toBe(false);
+          expect(result.offRouteSince).toBeNull();
+          expect(result.thresholdReached).toBe(false);
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * An alert is due only after the vehicle stays outside the corridor
+   * continuously for the configured duration
+   */
+  it('Property 2: Threshold is reached only after a sustained deviation', () => {
+    fc.assert(
+      fc.property(fc.array(sampleArbitrary, { minLength: 1, maxLength: 30 }), (samples) => {
+        const results = replay(samples, 0);
+
+        results.forEach((result, i) => {
+          expect(result.offRoute).toBe(result.distanceMeters > OPTIONS.corridorMeters);
+          if (!result.thresholdReached) return;
+
+          // Every sample since offRouteSince must have been off-route
+          let j = i;
+          while (j >= 0 && results[j].offRoute) j--;
+          const firstOffRoute = results[j + 1];
+          expect(result.offRouteSince).toBe(firstOffRoute.now);
+          expect(result.now - firstOffRoute.now).toBeGreaterThanOrEqual(OPTIONS.durationMs);
+        });
+        return true;
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Staying off-route long enough always reaches the threshold
+   */
+  it('Property 3: A continuous deviation past the duration always triggers', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: OPTIONS.corridorMeters + 1, max: 5000 }),
+        fc.integer({ min: 0, max: 10 * 60 * 1000 }),
+        (distanceMeters, elapsedMs) => {
+          const start = 1e12;
+          const first = evaluateDeviation(null, distanceMeters, start, OPTIONS);
+          const later = evaluateDeviation(first.offRouteSince, distanceMeters, start + elapsedMs, OPTIONS);
+
+          expect(first.offRouteSince).toBe(start);
+          expect(later.duration).toBe(elapsedMs);
+          expect(later.thresholdReached).toBe(elapsedMs >= OPTIONS.durationMs);
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Route vertices sit inside the corridor; the distance used for the
+   * corridor check is measured from the decoded route
+   */
+  it('Property 4: Points on the planned route are inside the corridor', () => {
+    fc.assert(
+      fc.property(routeArbitrary, fc.nat(), (points, index) => {
+        const cumulative = getCumulativeDistances(points);
+        const vertex = points[index % points.length];
+        const located = locateOnRoute(points, vertex, cumulative);
+        const distanceMeters = Math.round(located.distanceFromRoute * 1000);
+
+        expect(distanceMeters).toBeLessThanOrEqual(1);
+        expect(evaluateDeviation(null, distanceMeters, Date.now(), OPTIONS).offRoute).toBe(false);
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+});
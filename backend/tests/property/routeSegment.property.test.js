@@ -0,0 +1,147 @@
+/**
+ * Property-based tests for En-route Segment Matching
+ * Tests polyline decoding, segment matching, segment pricing and per-segment seat occupancy
+ *
+ * **Feature: en-route-ride-matching**
+ */
+const fc = require('fast-check');
+const { decodePolyline, encodePolyline } = require('../../src/utils/polylineUtils');
+const { matchesRouteSegment } = require('../../src/services/searchService');
+const { calculateSegmentFarePerSeat } = require('../../src/services/fareCalculation');
+const { calculateSegmentOccupancy } = require('../../src/services/bookingService');
+
+// Straight route heading east from Bengaluru, ~0.1° (~11 km) between vertices
+const buildRoute = (vertexCount) => Array.from({ length: vertexCount }, (_, i) => ({
+  lat: 12.97,
+  lng: 77.59 + i * 0.1
+}));
+
+const pointArbitrary = fc.record({
+  lat: fc.double({ min: -80, max: 80, noNaN: true }),
+  lng: fc.double({ min: -179, max: 179, noNaN: true })
+});
+
+const bookingArbitrary = fc.record({
+  seats: fc.integer({ min: 1, max: 3 }),
+  startKm: fc.integer({ min: 0, max: 90 }),
+  length: fc.integer({ min: 1, max: 100 })
+}).map(b => ({ seats: b.seats, segment: { startKm: b.startKm, endKm: b.startKm + b.length } }));
+
+describe('En-route Segment Matching - Property Tests', () => {
+  describe('Polyline encoding', () => {
+    it('decoding an encoded polyline returns the original points to 5 decimals', () => {
+      fc.assert(
+        fc.property(fc.array(pointArbitrary, { minLength: 1, maxLength: 20 }), (points) => {
+          const decoded = decodePolyline(encodePolyline(points));
+          return decoded.length === points.length && decoded.every((p, i) =>
+            Math.abs(p.lat - points[i].lat) < 1e-5 && Math.abs(p.lng - points[i].lng) < 1e-5
+          );
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('returns an empty route for missing polylines', () => {
+      expect(decodePolyline(undefined)).toEqual([]);
+      expect(decodePolyline('')).toEqual([]);
+    });
+  });
+
+  describe('Segment matching along route', () => {
+    const route = buildRoute(11);
+    const trip = { route: { polyline: encodePolyline(route), distance: 120 } };
+
+    it('matches pickup and drop on the route only in the direction of travel', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 0, max: 10 }),
+          fc.integer({ min: 0, max: 10 }),
+          (pickupIndex, dropIndex) => {
+            fc.pre(pickupIndex !== dropIndex);
+            const result = matchesRouteSegment(trip, route[pickupIndex], route[dropIndex]);
+            return result.matches === dropIndex > pickupIndex;
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('segment ratio equals the fraction of the route travelled', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 0, max: 9 }),
+          fc.integer({ min: 1, max: 10 }),
+          (pickupIndex, span) => {
+            const dropIndex = Math.min(10, pickupIndex + span);
+            fc.pre(dropIndex > pickupIndex);
+            const result = matchesRouteSegment(trip, route[pickupIndex], route[dropIndex]);
+            return Math.abs(result.segmentRatio - (dropIndex - pickupIndex) / 10) < 1e-3 &&
+              Math.abs(result.segmentDistance - 120 * result.segmentRatio) < 1e-6;
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('does not match points far from the route', () => {
+      const offRoute = { lat: 13.5, lng: 77.9 };
+      const result = matchesRouteSegment(trip, offRoute, route[10]);
+      expect(result.matches).toBe(false);
+      expect(result.reason).toBe('OFF_ROUTE');
+    });
+  });
+
+  describe('Segment pricing', () => {
+    it('segment fare is proportional and never exceeds the full fare', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 50, max: 5000 }),
+          fc.double({ min: 0.01, max: 1, noNaN: true }),
+          (farePerSeat, ratio) => {
+            const fare = calculateSegmentFarePerSeat(farePerSeat, ratio);
+            return fare <= farePerSeat && Math.abs(fare - farePerSeat * ratio) <= 0.5;
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Per-segment seat occupancy', () => {
+    it('non-overlapping legs do not share occupancy', () => {
+      const bookings = [
+        { seats: 4, segment: { startKm: 0, endKm: 40 } },
+        { seats: 4, segment: { startKm: 40, endKm: 100 } }
+      ];
+      expect(calculateSegmentOccupancy(bookings, { startKm: 0, endKm: 40 })).toBe(4);
+      expect(calculateSegmentOccupancy(bookings, { startKm: 40, endKm: 100 })).toBe(4);
+      expect(calculateSegmentOccupancy(bookings)).toBe(4);
+    });
+
+    it('full-route bookings occupy every segment', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.integer({ min: 1, max: 6 }), { maxLength: 5 }),
+          fc.integer({ min: 0, max: 90 }),
+          (seatCounts, startKm) => {
+            const bookings = seatCounts.map(seats => ({ seats }));
+            const total = seatCounts.reduce((sum, seats) => sum + seats, 0);
+            return calculateSegmentOccupancy(bookings, { startKm, endKm: startKm + 10 }) === total;
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('peak occupancy never exceeds total booked seats and covers every single booking', () => {
+      fc.assert(
+        fc.property(fc.array(bookingArbitrary, { minLength: 1, maxLength: 8 }), (bookings) => {
+          const peak = calculateSegmentOccupancy(bookings);
+          const total = bookings.reduce((sum, b) => sum + b.seats, 0);
+          return peak <= total && bookings.every(b => peak >= b.seats);
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Property-based tests for Silent SOS
+ * Tests safe word matching, hardware-button pattern detection and inbound
+ * SMS webhook signature verification
+ *
+ * **Feature: silent-sos**
+ */
+const crypto = require('crypto');
+const fc = require('fast-check');
+const {
+  BUTTON_PATTERN,
+  normalizeSafeWord,
+  validateSafeWord,
+  containsSafeWord,
+  matchesButtonPattern
+} = require('../../src/services/sosService');
+const { createInstance } = require('../../src/services/twilioService');
+
+const wordArbitrary = fc.stringMatching(/^[a-z]{2,8}$/);
+const phraseArbitrary = fc.array(wordArbitrary, { minLength: 1, maxLength: 3 })
+  .map(words => words.join(' '))
+  .filter(phrase => phrase.length >= 4);
+
+describe('Silent SOS - Property Tests', () => {
+  /**
+   * The safe word is found regardless of case, punctuation and surrounding text
+   */
+  it('Property 1: Safe words match inside messages regardless of case and punctuation', () => {
+    fc.assert(
+      fc.property(
+        phraseArbitrary,
+        fc.array(wordArbitrary, { maxLength: 5 }),
+        fc.array(wordArbitrary, { maxLength: 5 }),
+        fc.constantFrom('', '!', '?', '...', ','),
+        (safeWord, before, after, punctuation) => {
+          const phrase = safeWord.split(' ').map(w => w.toUpperCase()).join(`${punctuation} `);
+          const message = [...before, phrase + punctuation, ...after].join(' ');
+
+          expect(containsSafeWord(message, safeWord)).toBe(true);
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Matching is by whole words, so a safe word inside a longer word does not fire
+   */
+  it('Property 2: Safe words only match whole words', () => {
+    fc.assert(
+      fc.property(phraseArbitrary, wordArbitrary, (safeWord, suffix) => {
+        const message = `${safeWord}${suffix}`;
+
+        expect(containsSafeWord(message, safeWord)).toBe(false);
+        expect(containsSafeWord(`${message} ${safeWord}`, safeWord)).toBe(true);
+        expect(containsSafeWord(message, '')).toBe(false);
+        return true;
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Safe words are accepted only within the length limits after normalization
+   */
+  it('Property 3: Safe word validation enforces length after normalization', () => {
+    fc.assert(
+      fc.property(fc.string({ maxLength: 70 }), (safeWord) => {
+        const result = validateSafeWord(safeWord);
+        const length = normalizeSafeWord(safeWord).length;
+
+        expect(result.isValid).toBe(length >= 4 && length <= 50);
+        expect(result.normalized).toBe(normalizeSafeWord(safeWord));
+        return true;
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * The pattern matches exactly when enough presses fall inside the window
+   */
+  it('Property 4: Button pattern requires the press count within the time window', () => {
+    fc.assert(
+      fc.property(
+        fc.array(fc.integer({ min: 0, max: 20000 }), { maxLength: 12 }),
+        fc.integer({ min: 1600000000000, max: 1900000000000 }),
+        (offsets, start) => {
+          const presses = offsets.map(o => start + o);
+          const sorted = [...presses].sort((a, b) => a - b);
+
+          let expected = false;
+          for (let i = 0; i + BUTTON_PATTERN.PRESSES - 1 < sorted.length; i++) {
+            if (sorted[i + BUTTON_PATTERN.PRESSES - 1] - sorted[i] <= BUTTON_PATTERN.WINDOW_MS) {
+              expected = true;
+            }
+          }
+
+          expect(matchesButtonPattern(presses)).toBe(expected);
+          // Order and ISO string timestamps from the app do not matter
+          expect(matchesButtonPattern([...presses].reverse().map(t => new Date(t).toISOString()))).toBe(expected);
+          return true;
+        }
+      ),
+      { numRuns: 300 }
+    );
+
+    expect(matchesButtonPattern(undefined)).toBe(false);
+  });
+
+  /**
+   * Inbound SMS webhooks are accepted only with a valid Twilio signature
+   */
+  it('Property 5: Inbound SMS signatures verify only for the signed URL and parameters', () => {
+    const twilio = createInstance({ accountSid: 'AC123', authToken: 'test-token', phoneNumber: '+15550000000' });
+    const url = 'https://api.example.com/api/webhooks/sms-inbound';
+
+    fc.assert(
+      fc.property(
+        fc.dictionary(fc.constantFrom('From', 'Body', 'To', 'MessageSid'), fc.string({ maxLength: 40 })),
+        fc.string({ minLength: 1, maxLength: 20 }),
+        (params, tamper) => {
+          const payload = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url);
+          const signature = crypto.createHmac('sha1', 'test-token').update(Buffer.from(payload, 'utf8')).digest('base64');
+
+          expect(twilio.validateWebhookSignature(url, params, signature)).toBe(true);
+          expect(twilio.validateWebhookSignature(url, { ...params, Body: `${params.Body || ''}${tamper}` }, signature)).toBe(false);
+          expect(twilio.validateWebhookSignature(url, params, undefined)).toBe(false);
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * Property-based tests for SOS Evidence Export
+ * Tests canonical serialization, location trace merging, timeline ordering,
+ * manifest signing/tamper detection and evidence PDF rendering
+ *
+ * **Feature: sos-evidence-export**
+ */
+const fc = require('fast-check');
+const { PDFDocument } = require('pdf-lib');
+const {
+  canonicalize,
+  mergeLocationPoints,
+  buildTimeline,
+  buildManifest,
+  signManifest,
+  verifyBundle
+} = require('../../src/services/sosEvidenceService');
+const { renderSosEvidencePdf, createMapProjection } = require('../../src/services/reportDocumentService');
+const { embedPdfFonts, splitTextRuns, textWidth, fitText } = require('../../src/utils/pdfFonts');
+
+const SECRET = 'test-evidence-secret';
+const START = new Date('2026-03-01T10:00:00Z').getTime();
+
+const trackingArbitrary = fc.array(
+  fc.record({
+    coordinates: fc.record({
+      lat: fc.double({ min: 17.2, max: 17.6, noNaN: true }),
+      lng: fc.double({ min: 78.3, max: 78.6, noNaN: true })
+    }),
+    offsetSeconds: fc.integer({ min: 0, max: 3600 }),
+    speed: fc.option(fc.integer({ min: 0, max: 120 }), { nil: undefined })
+  }),
+  { maxLength: 30 }
+).map(entries => entries.map(({ offsetSeconds, ...entry }) => ({
+  ...entry,
+  timestamp: new Date(START + offsetSeconds * 1000)
+})));
+
+const fileArbitrary = fc.record({
+  name: fc.constantFrom('evidence.pdf', 'evidence.json'),
+  contentType: fc.constant('application/octet-stream'),
+  data: fc.uint8Array({ minLength: 1, maxLength: 200 }).map(bytes => Buffer.from(bytes))
+});
+
+/**
+ * Reverse object key order at every level
+ */
+const reverseKeys = (value) => {
+  if (Array.isArray(value)) return value.map(reverseKeys);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.keys(value).reverse().reduce((acc, key) => {
+      acc[key] = reverseKeys(value[key]);
+      return acc;
+    }, {});
+  }
+  return value;
+};
+
+describe('SOS Evidence Export - Property Tests', () => {
+  /**
+   * Hashes are computed over canonical JSON, so key order never changes them
+   */
+  it('Property 1: Canonical JSON does not depend on key order', () => {
+    fc.assert(
+      fc.property(fc.object({ maxDepth: 3 }), (value) => {
+        const canonical = canonicalize(value);
+
+        expect(canonicalize(reverseKeys(value))).toBe(canonical);
+        expect(canonicalize(JSON.parse(canonical))).toBe(canonical);
+        return true;
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Trip and SOS tracking merge into one time-ordered trace without duplicates
+   */
+  it('Property 2: Location points are ordered and duplicates are kept once', () => {
+    fc.assert(
+      fc.property(trackingArbitrary, trackingArbitrary, (tripTracking, sosTracking) => {
+        const points = mergeLocationPoints(tripTracking, [...sosTracking, ...tripTracking]);
+        const keys = points.map(p => `${p.timestamp.getTime()}:${p.lat}:${p.lng}`);
+        const expected = new Set(
+          [...tripTracking, ...sosTracking].map(e => `${e.timestamp.getTime()}:${e.coordinates.lat}:${e.coordinates.lng}`)
+        );
+
+        expect(new Set(keys).size).toBe(keys.length);
+        expect(new Set(keys)).toEqual(expected);
+        for (let i = 1; i < points.length; i++) {
+          expect(points[i].timestamp.getTime()).toBeGreaterThanOrEqual(points[i - 1].timestamp.getTime());
+        }
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * The timeline contains every dated event exactly once, in time order
+   */
+  it('Property 3: Timeline entries are sorted and include every event', () => {
+    fc.assert(
+      fc.property(
+        trackingArbitrary,
+        fc.array(fc.integer({ min: 0, max: 3600 }), { maxLength: 5 }),
+        fc.array(fc.integer({ min: 0, max: 3600 }), { maxLength: 5 }),
+        (tracking, stationaryOffsets, staffOffsets) => {
+          const at = (offset) => new Date(START + offset * 1000);
+          const locationPoints = mergeLocationPoints(tracking);
+          const timeline = buildTimeline({
+            alert: {
+              triggeredAt: at(1800),
+              userType: 'passenger',
+              triggerSource: 'app',
+              location: { coordinates: { lat: 17.4, lng: 78.4 } }
+            },
+            locationPoints,
+            stationaryEvents: stationaryOffsets.map(o => ({ startedAt: at(o), location: { coordinates: { lat: 17.4, lng: 78.4 } } })),
+            staffActions: staffOffsets.map(o => ({ at: at(o), action: 'sos_view', staff: { name: 'Ops' } }))
+          });
+
+          expect(timeline).toHaveLength(locationPoints.length + stationaryOffsets.length + staffOffsets.length + 1);
+          expect(timeline.filter(e => e.type === 'sos_triggered')).toHaveLength(1);
+          for (let i = 1; i < timeline.length; i++) {
+            expect(timeline[i].at.getTime()).toBeGreaterThanOrEqual(timeline[i - 1].at.getTime());
+          }
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * A signed bundle verifies, and changing any file or manifest field breaks it
+   */
+  it('Property 4: Signed bundles verify and any tampering is detected', () => {
+    fc.assert(
+      fc.property(
+        fc.uniqueArray(fileArbitrary, { minLength: 1, maxLength: 2, selector: f => f.name }),
+        fc.integer({ min: 0, max: 199 }),
+        (files, index) => {
+          const manifest = buildManifest({ alertId: 'a'.repeat(24), generatedAt: new Date(START), generatedBy: 'staff-1', files });
+          const signature = signManifest(manifest, SECRET);
+
+          expect(verifyBundle({ manifest, signature, files }, SECRET).valid).toBe(true);
+          // Key order of the manifest as received does not matter
+          expect(verifyBundle({ manifest: reverseKeys(manifest), signature, files }, SECRET).valid).toBe(true);
+
+          // Flip one byte of a file
+          const tampered = files.map((file, i) => {
+            if (i !== 0) return file;
+            const data = Buffer.from(file.data);
+            data[index % data.length] ^= 0xff;
+            return { ...file, data };
+          });
+          const fileResult = verifyBundle({ manifest, signature, files: tampered }, SECRET);
+          expect(fileResult.valid).toBe(false);
+          expect(fileResult.signatureValid).toBe(true);
+          expect(fileResult.files[0].matches).toBe(false);
+
+          // Edit the manifest to match the tampered file
+          const forged = buildManifest({ alertId: 'a'.repeat(24), generatedAt: new Date(START), generatedBy: 'staff-1', files: tampered });
+          expect(verifyBundle({ manifest: forged, signature, files: tampered }, SECRET).signatureValid).toBe(false);
+
+          // Signed with a different secret
+          expect(verifyBundle({ manifest, signature, files }, `${SECRET}-other`).valid).toBe(false);
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Map projection keeps every point inside the drawing box
+   */
+  it('Property 5: Map trace points are projected inside the map box', () => {
+    const box = { x: 40, y: 220, width: 515, height: 550 };
+    fc.assert(
+      fc.property(trackingArbitrary, (tracking) => {
+        const points = tracking.map(e => e.coordinates);
+        const project = createMapProjection(points, box);
+
+        for (const point of points) {
+          const { x, y } = project(point);
+          expect(x).toBeGreaterThanOrEqual(box.x - 1e-6);
+          expect(x).toBeLessThanOrEqual(box.x + box.width + 1e-6);
+          expect(y).toBeGreaterThanOrEqual(box.y - 1e-6);
+          expect(y).toBeLessThanOrEqual(box.y + box.height + 1e-6);
+        }
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  const buildEvidence = ({ participants } = {}) => {
+    const tracking = Array.from({ length: 300 }, (_, i) => ({
+      coordinates: { lat: 17.38 + i * 0.0002, lng: 78.45 + i * 0.0001 },
+      timestamp: new Date(START + i * 10000),
+      speed: 30
+    }));
+    const alert = {
+      id: 'b'.repeat(24),
+      status: 'resolved',
+      silent: true,
+      triggerSource: 'chat_safe_word',
+      userType: 'passenger',
+      triggeredAt: new Date(START + 1500000),
+      location: { coordinates: { lat: 17.41, lng: 78.465 }, address: 'Banjara Hills' },
+      acknowledgedAt: new Date(START + 1560000),
+      acknowledgedBy: { id: 'c'.repeat(24), name: 'Ops Agent', role: 'operations' },
+      resolvedAt: new Date(START + 2400000),
+      resolvedBy: { id: 'c'.repeat(24), name: 'Ops Agent', role: 'operations' },
+      resolution: 'Passenger reached home safely',
+      actionsTaken: ['Called passenger', 'Informed police control room']
+    };
+    const record = {
+      alert,
+      trip: { tripId: 'HR-2026-000123', source: { address: 'Gachibowli' }, destination: { address: 'Secunderabad' }, plannedRoutePolyline: null },
+      participants: participants || [
+        { role: 'driver', name: 'Ravi Kumar', phone: '+919876543210', reference: 'TS09AB1234', triggeredSos: false },
+        { role: 'passenger', name: 'Priya Sharma', phone: '+919812345678', reference: 'BK-20260301-00001', triggeredSos: true }
+      ],
+      vehicle: { make: 'Maruti', model: 'Swift', color: 'White', plateNumber: 'TS09AB1234' },
+      locationPoints: mergeLocationPoints(tracking),
+      stationaryEvents: [],
+      routeDeviations: [],
+      staffActions: [{ at: new Date(START + 1560000), staff: { name: 'Ops Agent', role: 'operations' }, action: 'sos_acknowledge', ipAddress: '10.0.0.1' }],
+      custody: []
+    };
+    return {
+      ...record,
+      timeline: buildTimeline(record),
+      export: { generatedAt: new Date(START + 86400000), generatedBy: 'c'.repeat(24), recipient: 'Hyderabad Police', reference: 'FIR 42/2026' }
+    };
+  };
+
+  it('renders the evidence PDF with summary, map, timeline, staff and integrity pages', async () => {
+    const evidence = buildEvidence();
+    const pdf = await renderSosEvidencePdf(evidence, { dataHash: 'd'.repeat(64) });
+    const doc = await PDFDocument.load(pdf);
+
+    // Summary + map + 6 timeline pages (200 sampled points + 4 SOS and staff events) + staff + integrity
+    expect(doc.getPageCount()).toBe(10);
+    expect(doc.getSubject()).toContain('d'.repeat(64));
+  });
+
+  it('renders participant names in Indian scripts without replacing characters', async () => {
+    const participants = [
+      { role: 'driver', name: 'రవి కుమార్', phone: '+919876543210', reference: 'TS09AB1234', triggeredSos: false },
+      { role: 'passenger', name: 'प्रिया शर्मा', phone: '+919812345678', reference: 'BK-20260301-00001', triggeredSos: true },
+      { role: 'passenger', name: 'శ్రీనివాస వెంకట సుబ్రహ్మణ్య లక్ష్మీనరసింహ', phone: '+919800000000', reference: 'BK-20260301-00002', triggeredSos: false }
+    ];
+    const pdf = await renderSosEvidencePdf(buildEvidence({ participants }), { dataHash: 'd'.repeat(64) });
+    expect((await PDFDocument.load(pdf)).getPageCount()).toBe(10);
+
+    const fonts = await embedPdfFonts(await PDFDocument.create());
+    const segmenter = new Intl.Segmenter('en', { granularity: 'grapheme' });
+    expect(textWidth(fonts.regular, participants[2].name, 8)).toBeGreaterThan(126);
+    for (const { name } of participants) {
+      expect(splitTextRuns(fonts.regular, name).map(run => run.text).join('')).toBe(name);
+
+      // Names too long for the column are cut between syllables, never inside one
+      const fitted = fitText(fonts.regular, name, 8, 126);
+      expect(textWidth(fonts.regular, fitted, 8)).toBeLessThanOrEqual(126);
+      const graphemes = Array.from(segmenter.segment(name), ({ segment }) => segment);
+      const kept = Array.from(segmenter.segment(fitted), ({ segment }) => segment);
+      expect(kept).toEqual(graphemes.slice(0, kept.length));
+    }
+  });
+});
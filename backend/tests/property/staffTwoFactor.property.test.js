@@ -0,0 +1,191 @@
+/**
+ * Property-based tests for Staff Two-Factor Authentication
+ * Tests TOTP codes, replay protection, IP allow-lists and step-up tokens
+ *
+ * **Feature: staff-two-factor**
+ */
+const fc = require('fast-check');
+const {
+  TOTP_CONFIG,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  getTimeStep,
+  verifyTotp
+} = require('../../src/services/totpService');
+const {
+  requiresTwoFactor,
+  parseAllowList,
+  isIpAllowed,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  createStepUpToken,
+  verifyStepUpToken,
+  generateBackupCodes,
+  hashBackupCode
+} = require('../../src/services/staffSecurityService');
+
+const STEP_MS = TOTP_CONFIG.stepSeconds * 1000;
+const STAFF_ID = '64b000000000000000000001';
+const OTHER_ID = '64b000000000000000000002';
+
+const timeArb = fc.integer({ min: 1600000000000, max: 2000000000000 });
+const octet = fc.integer({ min: 0, max: 255 });
+const ipv4Arb = fc.tuple(octet, octet, octet, octet).map(parts => parts.join('.'));
+
+/**
+ * Whether an IPv4 address is in a CIDR range, by integer arithmetic
+ */
+const inRange = (ip, base, prefix) => {
+  const toInt = (address) => address.split('.').reduce((n, part) => n * 256 + Number(part), 0);
+  const size = 2 ** (32 - prefix);
+  return Math.floor(toInt(ip) / size) === Math.floor(toInt(base) / size);
+};
+
+describe('Staff Two-Factor - Property Tests', () => {
+  /**
+   * Secrets survive the base32 round trip used by authenticator apps
+   */
+  it('Property 1: Base32 encoding round-trips', () => {
+    fc.assert(
+      fc.property(fc.uint8Array({ minLength: 0, maxLength: 64 }), (bytes) => {
+        const buffer = Buffer.from(bytes);
+        const encoded = base32Encode(buffer);
+        expect(encoded).toMatch(/^[A-Z2-7]*$/);
+        expect(base32Decode(encoded).equals(buffer)).toBe(true);
+        expect(base32Decode(encoded.toLowerCase()).equals(buffer)).toBe(true);
+        return true;
+      }),
+      { numRuns: 200 }
+    );
+
+    // RFC 6238 test vectors (SHA-1 secret "12345678901234567890", 6 digits)
+    const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+    expect(generateTotp(rfcSecret, 59 * 1000)).toBe('287082');
+    expect(generateTotp(rfcSecret, 1111111109 * 1000)).toBe('081804');
+    expect(generateTotp(rfcSecret, 1111111111 * 1000)).toBe('050471');
+  });
+
+  /**
+   * Codes from adjacent steps are accepted for clock drift; older codes are not
+   */
+  it('Property 2: TOTP verification accepts only the drift window', () => {
+    fc.assert(
+      fc.property(timeArb, fc.integer({ min: -4, max: 4 }), (timeMs, offset) => {
+        const secret = generateSecret();
+        const code = generateTotp(secret, timeMs + offset * STEP_MS);
+        const step = verifyTotp(secret, code, { timeMs });
+
+        if (Math.abs(offset) <= TOTP_CONFIG.window) {
+          expect(step).toBe(getTimeStep(timeMs) + offset);
+        } else if (step !== null) {
+          // Only a coincidental collision with a code inside the window can pass
+          expect(Math.abs(step - getTimeStep(timeMs))).toBeLessThanOrEqual(TOTP_CONFIG.window);
+        }
+        return true;
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Once a step has been used its code, and any earlier code, is rejected
+   */
+  it('Property 3: Used codes cannot be replayed', () => {
+    fc.assert(
+      fc.property(timeArb, (timeMs) => {
+        const secret = generateSecret();
+        const code = generateTotp(secret, timeMs);
+        const step = verifyTotp(secret, code, { timeMs });
+        expect(step).toBe(getTimeStep(timeMs));
+
+        expect(verifyTotp(secret, code, { timeMs, lastUsedStep: step })).toBeNull();
+        expect(verifyTotp(secret, code, { timeMs: timeMs + STEP_MS, lastUsedStep: step })).toBeNull();
+
+        const nextCode = generateTotp(secret, timeMs + STEP_MS);
+        expect(verifyTotp(secret, nextCode, { timeMs: timeMs + STEP_MS, lastUsedStep: step })).toBe(step + 1);
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+
+    const secret = generateSecret();
+    expect(verifyTotp(secret, '12345')).toBeNull();
+    expect(verifyTotp(secret, 'abcdef')).toBeNull();
+    expect(verifyTotp(secret, undefined)).toBeNull();
+  });
+
+  /**
+   * CIDR allow-lists admit exactly the addresses in their ranges
+   */
+  it('Property 4: IP allow-lists match addresses and CIDR ranges', () => {
+    fc.assert(
+      fc.property(ipv4Arb, ipv4Arb, fc.integer({ min: 0, max: 32 }), (ip, base, prefix) => {
+        const entries = parseAllowList(`${base}/${prefix}`);
+        expect(entries).toEqual([`${base}/${prefix}`]);
+
+        const expected = inRange(ip, base, prefix);
+        expect(isIpAllowed(ip, entries)).toBe(expected);
+        // Express reports IPv4 clients as IPv4-mapped IPv6 addresses
+        expect(isIpAllowed(`::ffff:${ip}`, entries)).toBe(expected);
+        return true;
+      }),
+      { numRuns: 300 }
+    );
+
+    expect(isIpAllowed('198.51.100.7', [])).toBe(true);
+    expect(isIpAllowed('198.51.100.7', parseAllowList('198.51.100.7, 2001:db8::/32'))).toBe(true);
+    expect(isIpAllowed('2001:db8::1', parseAllowList('198.51.100.7, 2001:db8::/32'))).toBe(true);
+    expect(isIpAllowed('198.51.100.8', parseAllowList('198.51.100.7'))).toBe(false);
+    expect(isIpAllowed('unknown', parseAllowList('198.51.100.7'))).toBe(false);
+    expect(parseAllowList('10.0.0.0/33, not-an-ip, , 10.0.0.1')).toEqual(['10.0.0.1']);
+  });
+
+  /**
+   * Step-up tokens are bound to their user and cannot stand in for challenges
+   */
+  it('Property 5: Step-up and challenge tokens are bound to their purpose and user', () => {
+    fc.assert(
+      fc.property(fc.constantFrom('operations', 'customer_support', 'finance', 'admin', 'super_admin'), fc.boolean(), (role, enabled) => {
+        const staff = { _id: STAFF_ID, role, isStaff: true, twoFactor: { enabled } };
+        expect(requiresTwoFactor(staff)).toBe(role !== 'customer_support');
+        expect(requiresTwoFactor({ ...staff, isStaff: false })).toBe(false);
+
+        const { challengeToken, enrollmentRequired } = createLoginChallenge(staff);
+        expect(enrollmentRequired).toBe(!enabled);
+        expect(verifyLoginChallenge(challengeToken)).toMatchObject({ userId: STAFF_ID, enroll: !enabled });
+        expect(verifyStepUpToken(challengeToken, STAFF_ID)).toBe(false);
+
+        const { stepUpToken } = createStepUpToken(STAFF_ID);
+        expect(verifyStepUpToken(stepUpToken, STAFF_ID)).toBe(true);
+        expect(verifyStepUpToken(stepUpToken, OTHER_ID)).toBe(false);
+        expect(() => verifyLoginChallenge(stepUpToken)).toThrow();
+        return true;
+      }),
+      { numRuns: 20 }
+    );
+
+    expect(verifyStepUpToken(undefined, STAFF_ID)).toBe(false);
+    expect(verifyStepUpToken('not-a-token', STAFF_ID)).toBe(false);
+  });
+
+  /**
+   * Backup codes are unique and their hashes ignore case and separators
+   */
+  it('Property 6: Backup codes are unique and hash consistently', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 1, max: 20 }), (count) => {
+        const codes = generateBackupCodes(count);
+        expect(codes).toHaveLength(count);
+        expect(new Set(codes).size).toBe(count);
+        for (const code of codes) {
+          expect(code).toMatch(/^[A-Z2-9]{5}-[A-Z2-9]{5}$/);
+          expect(hashBackupCode(code.toLowerCase().replace('-', ' '))).toBe(hashBackupCode(code));
+        }
+        return true;
+      }),
+      { numRuns: 50 }
+    );
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Property-based tests for Multi-stop Trips
+ * Tests stop placement along the route, stop-order validation, stop-pair
+ * pricing and matching passenger points to stops
+ *
+ * **Feature: multi-stop-trips**
+ */
+const fc = require('fast-check');
+const {
+  buildStopovers,
+  validateStopFares,
+  validateStopOrder,
+  getStopSegment,
+  getStopPairFare,
+  matchStops,
+  matchStopsByText
+} = require('../../src/services/tripStopService');
+const { encodePolyline } = require('../../src/utils/polylineUtils');
+
+const DEPARTURE = new Date('2026-03-01T06:00:00Z');
+
+// Straight north-bound route from Hyderabad, ~0.11 km per 0.001 degree
+const SOURCE = { address: 'Hyderabad', coordinates: { lat: 17.0, lng: 78.5 } };
+const DESTINATION = { address: 'Nizamabad', coordinates: { lat: 18.0, lng: 78.5 } };
+const routePoints = Array.from({ length: 101 }, (_, i) => ({ lat: 17.0 + i * 0.01, lng: 78.5 }));
+const ROUTE = { distance: 111, duration: 150, polyline: encodePolyline(routePoints) };
+
+/**
+ * Stopovers at distinct latitudes strictly between source and destination
+ */
+const stopoversArbitrary = fc.uniqueArray(fc.integer({ min: 5, max: 95 }), { minLength: 1, maxLength: 8 })
+  .map(steps => steps.map(step => ({
+    address: `Stop at ${step}`,
+    coordinates: { lat: 17.0 + step * 0.01, lng: 78.5 }
+  })));
+
+const buildTrip = (stopovers, extra = {}) => ({
+  source: SOURCE,
+  destination: DESTINATION,
+  scheduledAt: DEPARTURE,
+  route: ROUTE,
+  farePerSeat: 400,
+  stopFares: [],
+  ...extra,
+  stopovers
+});
+
+const sortedByLat = (stops) => [...stops].sort((a, b) => a.coordinates.lat - b.coordinates.lat);
+
+describe('Multi-stop Trips - Property Tests', () => {
+  /**
+   * Stops in travel order get increasing route distances and times after departure
+   */
+  it('Property 1: Ordered stops get increasing routeKm and scheduled times', () => {
+    fc.assert(
+      fc.property(stopoversArbitrary, (stops) => {
+        const ordered = sortedByLat(stops);
+        const built = buildStopovers(buildTrip([]), ordered);
+
+        expect(built).toHaveLength(ordered.length);
+        let previousKm = 0;
+        let previousAt = DEPARTURE.getTime();
+        for (const stop of built) {
+          expect(stop.routeKm).toBeGreaterThan(previousKm);
+          expect(stop.scheduledAt.getTime()).toBeGreaterThan(previousAt);
+          previousKm = stop.routeKm;
+          previousAt = stop.scheduledAt.getTime();
+        }
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Stops listed out of travel order are rejected
+   */
+  it('Property 2: Out-of-order stops are rejected', () => {
+    fc.assert(
+      fc.property(stopoversArbitrary.filter(stops => stops.length >= 2), (stops) => {
+        const reversed = sortedByLat(stops).reverse();
+
+        expect(() => buildStopovers(buildTrip([]), reversed)).toThrow(
+          expect.objectContaining({ code: 'INVALID_STOPOVERS' })
+        );
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+
+    const offRoute = [{ address: 'Warangal', coordinates: { lat: 17.5, lng: 79.6 } }];
+    expect(() => buildStopovers(buildTrip([]), offRoute)).toThrow(
+      expect.objectContaining({ code: 'INVALID_STOPOVERS' })
+    );
+  });
+
+  /**
+   * Pickup must come strictly before drop in stop order
+   */
+  it('Property 3: Stop pairs are valid only when pickup precedes drop', () => {
+    fc.assert(
+      fc.property(
+        stopoversArbitrary,
+        fc.integer({ min: -1, max: 10 }),
+        fc.integer({ min: -1, max: 10 }),
+        (stops, fromStop, toStop) => {
+          const trip = buildTrip(buildStopovers(buildTrip([]), sortedByLat(stops)));
+          const lastIndex = trip.stopovers.length + 1;
+          const inRange = [fromStop, toStop].every(i => i >= 0 && i <= lastIndex);
+
+          if (!inRange) {
+            expect(() => validateStopOrder(trip, fromStop, toStop)).toThrow(expect.objectContaining({ code: 'INVALID_STOP' }));
+          } else if (fromStop >= toStop) {
+            expect(() => validateStopOrder(trip, fromStop, toStop)).toThrow(expect.objectContaining({ code: 'INVALID_STOP_ORDER' }));
+          } else {
+            expect(() => validateStopOrder(trip, fromStop, toStop)).not.toThrow();
+          }
+          return true;
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * Proportional stop-pair fares never exceed the full fare and grow with distance
+   */
+  it('Property 4: Stop-pair fares are bounded by and monotonic towards the full fare', () => {
+    fc.assert(
+      fc.property(stopoversArbitrary, fc.integer({ min: 0, max: 10 }), (stops, seed) => {
+        const trip = buildTrip(buildStopovers(buildTrip([]), sortedByLat(stops)));
+        const lastIndex = trip.stopovers.length + 1;
+        const fromStop = seed % lastIndex;
+
+        let previousFare = 0;
+        for (let toStop = fromStop + 1; toStop <= lastIndex; toStop++) {
+          const fare = getStopPairFare(trip, fromStop, toStop);
+          expect(fare).toBeGreaterThanOrEqual(previousFare);
+          expect(fare).toBeLessThanOrEqual(trip.farePerSeat);
+          previousFare = fare;
+
+          const segment = getStopSegment(trip, fromStop, toStop);
+          if (fromStop === 0 && toStop === lastIndex) {
+            expect(segment).toBeNull();
+            expect(fare).toBe(trip.farePerSeat);
+          } else {
+            expect(segment.endKm).toBeGreaterThan(segment.startKm);
+            expect(segment.ratio).toBeGreaterThan(0);
+            expect(segment.ratio).toBeLessThanOrEqual(1);
+          }
+        }
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Driver-set stop fares take precedence and are validated against the sequence
+   */
+  it('Property 5: Explicit stop fares override proportional pricing', () => {
+    fc.assert(
+      fc.property(
+        stopoversArbitrary,
+        fc.integer({ min: 0, max: 400 }),
+        (stops, farePerSeat) => {
+          const stopovers = buildStopovers(buildTrip([]), sortedByLat(stops));
+          const stopCount = stopovers.length + 2;
+          const stopFares = validateStopFares([{ fromStop: 0, toStop: 1, farePerSeat }], stopCount, 400);
+          const trip = buildTrip(stopovers, { stopFares });
+
+          expect(getStopPairFare(trip, 0, 1)).toBe(farePerSeat);
+          expect(() => validateStopFares([{ fromStop: 1, toStop: 1, farePerSeat }], stopCount, 400))
+            .toThrow(expect.objectContaining({ code: 'INVALID_STOP_FARES' }));
+          expect(() => validateStopFares([{ fromStop: 0, toStop: 1, farePerSeat: 401 }], stopCount, 400))
+            .toThrow(expect.objectContaining({ code: 'INVALID_STOP_FARES' }));
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Matching points to stops always yields a pickup stop before the drop stop
+   */
+  it('Property 6: Matched stops preserve travel order', () => {
+    fc.assert(
+      fc.property(
+        stopoversArbitrary,
+        fc.integer({ min: 0, max: 100 }),
+        fc.integer({ min: 0, max: 100 }),
+        (stops, pickupStep, dropStep) => {
+          const trip = buildTrip(buildStopovers(buildTrip([]), sortedByLat(stops)));
+          const pickup = { lat: 17.0 + pickupStep * 0.01, lng: 78.5 };
+          const drop = { lat: 17.0 + dropStep * 0.01, lng: 78.5 };
+
+          const match = matchStops(trip, pickup, drop, 2);
+          if (match) {
+            expect(match.fromStop).toBeLessThan(match.toStop);
+            expect(match.pickupDistance).toBeLessThanOrEqual(2);
+            expect(match.dropDistance).toBeLessThanOrEqual(2);
+          }
+          if (dropStep + 36 < pickupStep) {
+            // Drop is well behind the pickup, so no stop pair can be in order
+            expect(match).toBeNull();
+          }
+
+          const textMatch = matchStopsByText(trip, trip.stopovers[0].address, DESTINATION.address);
+          expect(textMatch).toEqual({ fromStop: 1, toStop: trip.stopovers.length + 1 });
+          expect(matchStopsByText(trip, DESTINATION.address, SOURCE.address)).toBeNull();
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Property-based tests for Trip Waitlist
+ * Tests which waitlisted passengers are offered freed seats
+ *
+ * **Feature: trip-waitlist**
+ */
+const fc = require('fast-check');
+const { planWaitlistOffers } = require('../../src/services/waitlistService');
+const { calculateSegmentOccupancy } = require('../../src/services/bookingService');
+
+const MAX_SEATS = 6;
+
+// Segments along a 100 km route; undefined means the full route
+const segmentArbitrary = fc.option(
+  fc.tuple(fc.integer({ min: 0, max: 90 }), fc.integer({ min: 5, max: 100 }))
+    .filter(([start, length]) => start + length <= 100)
+    .map(([start, length]) => ({ startKm: start, endKm: start + length })),
+  { nil: undefined }
+);
+
+const seatHolderArbitrary = fc.record({
+  seats: fc.integer({ min: 1, max: 4 }),
+  segment: segmentArbitrary
+});
+
+const entriesArbitrary = fc.array(seatHolderArbitrary, { maxLength: 10 })
+  .map(entries => entries.map((entry, index) => ({ _id: `entry-${index}`, ...entry })));
+
+describe('Trip Waitlist - Property Tests', () => {
+  describe('Seat offer planning', () => {
+    it('never offers more seats than are free anywhere on the route', () => {
+      fc.assert(
+        fc.property(fc.array(seatHolderArbitrary, { maxLength: 6 }), entriesArbitrary, (bookings, entries) => {
+          const planned = planWaitlistOffers(entries, bookings, MAX_SEATS);
+          const held = [...bookings, ...planned];
+
+          return planned.every(entry => calculateSegmentOccupancy(held, entry.segment) <= MAX_SEATS);
+        }),
+        { numRuns: 200 }
+      );
+    });
+
+    it('offers the head of the queue whenever their seats are free', () => {
+      fc.assert(
+        fc.property(fc.array(seatHolderArbitrary, { maxLength: 6 }), entriesArbitrary, (bookings, entries) => {
+          fc.pre(entries.length > 0);
+          const planned = planWaitlistOffers(entries, bookings, MAX_SEATS);
+          const headFits = calculateSegmentOccupancy(bookings, entries[0].segment) + entries[0].seats <= MAX_SEATS;
+
+          return headFits === (planned[0]?._id === entries[0]._id);
+        }),
+        { numRuns: 200 }
+      );
+    });
+
+    it('keeps queue order among offered entries', () => {
+      fc.assert(
+        fc.property(fc.array(seatHolderArbitrary, { maxLength: 6 }), entriesArbitrary, (bookings, entries) => {
+          const planned = planWaitlistOffers(entries, bookings, MAX_SEATS);
+          const positions = planned.map(entry => entries.indexOf(entry));
+          return positions.every((pos, i) => i === 0 || pos > positions[i - 1]);
+        }),
+        { numRuns: 200 }
+      );
+    });
+
+    it('passes over a request that does not fit so smaller ones behind it get the seat', () => {
+      const bookings = [{ seats: 5 }];
+      const entries = [
+        { _id: 'gold-two-seats', seats: 2 },
+        { _id: 'normal-one-seat', seats: 1 }
+      ];
+
+      const planned = planWaitlistOffers(entries, bookings, MAX_SEATS);
+      expect(planned.map(e => e._id)).toEqual(['normal-one-seat']);
+    });
+
+    it('offers seats freed on one leg only to passengers travelling that leg', () => {
+      const bookings = [
+        { seats: 6, segment: { startKm: 0, endKm: 50 } }
+      ];
+      const entries = [
+        { _id: 'full-route', seats: 1 },
+        { _id: 'second-half', seats: 2, segment: { startKm: 50, endKm: 100 } }
+      ];
+
+      const planned = planWaitlistOffers(entries, bookings, MAX_SEATS);
+      expect(planned.map(e => e._id)).toEqual(['second-half']);
+    });
+  });
+});